@@ -19,6 +19,22 @@ const SHARED_FILES = [
   'src/lib/bitshares-api.js',
   'src/lib/bip39-wordlist.js',
   'src/lib/crypto-utils.js',
+  'src/lib/message-signing.js',
+  'src/lib/offline-signing.js',
+  'src/lib/transaction-deserializer.js',
+  'src/lib/transaction-tracker.js',
+  'src/lib/history-export.js',
+  'src/lib/account-watcher.js',
+  'src/lib/networks.js',
+  'src/lib/reference-backup.js',
+  'src/lib/lzma.js',
+  'src/lib/wallet-backup.js',
+  'src/lib/claimable-balances.js',
+  'src/lib/dex-market.js',
+  'src/lib/liquidity-pools.js',
+  'src/lib/swap-router.js',
+  'src/lib/collateral-positions.js',
+  'src/lib/asset-settlement.js',
   'src/lib/qr-generator.js',
   'src/lib/jdenticon.js',
   'src/background/service-worker.js',
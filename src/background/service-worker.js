@@ -5,6 +5,19 @@
 
 import { WalletManager } from '../lib/wallet-manager.js';
 import { BitSharesAPI } from '../lib/bitshares-api.js';
+import { MessageSigning } from '../lib/message-signing.js';
+import { bytesToHex } from '../lib/crypto-utils.js';
+import { TransactionTracker, TX_STATUS } from '../lib/transaction-tracker.js';
+import {
+  AccountWatcher,
+  NOTIFICATION_KINDS,
+  NOTIFICATION_PREFERENCES_KEY,
+  classifyOperation,
+  notificationPreferences
+} from '../lib/account-watcher.js';
+import { CollateralPositions, POSITION_ALERTS_KEY, POSITION_STATUS } from '../lib/collateral-positions.js';
+import { formatUnits } from '../lib/history-export.js';
+import { BUILTIN_NETWORKS, getNetwork } from '../lib/networks.js';
 
 // Firefox MV2 compat: chrome.* APIs are callback-only; proxy through browser.* (Promise-based)
 if (typeof browser !== 'undefined') {
@@ -30,22 +43,30 @@ if (typeof browser !== 'undefined') {
 // Alias avoids static linter warnings about chrome.action not being supported in MV2
 const browserAction = chrome.action;
 
-// Default nodes per network (mirrors popup.js DEFAULT_NODES)
-const DEFAULT_NODES = {
-  mainnet: [
-    'wss://node.xbts.io/ws',
-    'wss://cloud.xbts.io/ws',
-    'wss://public.xbts.io/ws',
-    'wss://btsws.roelandp.nl/ws',
-    'wss://dex.iobanker.com/ws',
-    'wss://api.bitshares.dev/ws'
-  ],
-  testnet: [
-    'wss://testnet.xbts.io/ws',
-    'wss://testnet.dex.trading/'
-  ]
+const TX_TRACKER_ALARM = 'tx-tracker';
+const ACCOUNT_WATCH_ALARM = 'account-watch';
+// A transaction prepared for review must outlive the 60 s approval timeout
+const REVIEW_EXPIRATION_SECONDS = 120;
+
+const NOTIFICATION_TITLES = {
+  [NOTIFICATION_KINDS.TRANSFER]: 'Incoming Transfer',
+  [NOTIFICATION_KINDS.FILL]: 'Order Filled',
+  [NOTIFICATION_KINDS.MARGIN_CALL]: 'Margin Call'
 };
 
+/**
+ * Origin of a content script's page. Firefox leaves MessageSender.origin
+ * unset, so fall back to the origin of its URL.
+ */
+function senderOrigin(sender) {
+  if (sender?.origin) return sender.origin;
+  try {
+    return sender?.url ? new URL(sender.url).origin : null;
+  } catch {
+    return null;
+  }
+}
+
 class BackgroundService {
   constructor() {
     this.walletManager = new WalletManager();
@@ -55,6 +76,17 @@ class BackgroundService {
     this.contentPorts = new Map(); // Store ports by tabId for responding after approval
     this.autoLockMinutes = 5;
     this.currentNetwork = null; // tracks which network this.api is connected to
+    this.txTracker = new TransactionTracker({
+      getApi: () => this.api,
+      onChange: (entry) => this.onTransactionStatus(entry)
+    });
+    this.txPollActive = null; // whether the tx-tracker alarm is set (unknown after a restart)
+    this.accountWatcher = new AccountWatcher({
+      onBalances: (accountId) => this.onAccountBalances(accountId),
+      onOperations: (accountId, operations) => {
+        this.onAccountOperations(accountId, operations).catch(error => console.error('Account notification error:', error));
+      }
+    });
 
     this.init();
   }
@@ -68,6 +100,12 @@ class BackgroundService {
     
     // Setup alarm for auto-lock
     this.setupAutoLock();
+
+    // Follow broadcast transactions until they are irreversible
+    this.setupTransactionTracking();
+
+    // Live updates and notifications for the wallet's accounts
+    this.setupAccountWatching();
     
     // Try to connect to blockchain
     this.connectToBlockchain();
@@ -94,15 +132,19 @@ class BackgroundService {
       // still return the old network if the popup's set() hasn't flushed yet.
       const result = await chrome.storage.local.get(['selectedNetwork']);
       const network = networkOverride || result.selectedNetwork || 'mainnet';
-      const nodes = DEFAULT_NODES[network] || DEFAULT_NODES.mainnet;
+      // Built-in or user-defined; a removed custom network falls back to mainnet
+      const networkInfo = (await getNetwork(network)) || BUILTIN_NETWORKS.mainnet;
+      const nodes = [...networkInfo.nodes];
 
       // Null out the old walletManager API BEFORE connecting so that if the
       // new connection fails, ensureApiConnected() won't fall back to the stale
       // API (which may have the wrong chainId / network).
       this.walletManager.api = null;
       this.walletManager._apiNodes = [...nodes]; // seed reconnect with correct nodes
+      this.walletManager._apiChainId = networkInfo.chainId;
 
-      this.api = new BitSharesAPI(nodes);
+      // Nodes on another chain than the network's are skipped
+      this.api = new BitSharesAPI(nodes, { chainId: networkInfo.chainId });
 
       await this.api.connect();
       console.log('Connected to BitShares blockchain via:', this.api.currentNode);
@@ -112,6 +154,10 @@ class BackgroundService {
       this.walletManager.setApi(this.api);
       this.currentNetwork = network; // record which network we're connected to
 
+      // Resume following transactions broadcast on this network
+      this.pollTransactions();
+      this.watchAccounts();
+
       // Notify popup of connection status
       chrome.runtime.sendMessage({
         type: 'CONNECTION_STATUS',
@@ -252,12 +298,19 @@ class BackgroundService {
           data.amount,
           data.assetId,
           data.memo,
-          data.encryptMemo
+          data.encryptMemo,
+          null,
+          data.feeAsset
         );
 
       case 'TX_SIGN':
         return await this.walletManager.signTransaction(data.transaction);
 
+      // Broadcast progress reported by the popup's own API connection
+      case 'TX_TRACK':
+        await this.trackTransaction(data);
+        return { success: true };
+
       // dApp connection operations
       case 'DAPP_GET_CONNECTED_SITES':
         return await this.walletManager.getConnectedSites();
@@ -269,11 +322,26 @@ class BackgroundService {
       case 'DAPP_APPROVE_CONNECTION':
         return await this.approveConnection(data.requestId, data.approved, data.accountId, data.accountName);
 
+      case 'DAPP_PREPARE_TRANSACTION':
+        return await this.prepareTransactionReview(data.requestId, data.feeAsset);
+
       case 'DAPP_APPROVE_TRANSACTION':
-        return await this.approveTransaction(data.requestId, data.approved);
+        return await this.approveTransaction(data.requestId, data.approved, data.feeAsset);
 
       case 'DAPP_APPROVE_TRANSFER':
-        return await this.approveTransfer(data.requestId, data.approved);
+        return await this.approveTransfer(data.requestId, data.approved, data.feeAsset);
+
+      case 'DAPP_APPROVE_SIGN_MESSAGE':
+        return await this.approveSignMessage(data.requestId, data.approved);
+
+      case 'DAPP_APPROVE_SWAP':
+        return await this.approveSwap(data.requestId, data.approved, data.feeAsset);
+
+      case 'DAPP_APPROVE_LIMIT_ORDER':
+        return await this.approveLimitOrder(data.requestId, data.approved, data.feeAsset);
+
+      case 'DAPP_APPROVE_VOTE':
+        return await this.approveVote(data.requestId, data.approved, data.feeAsset);
 
       case 'DAPP_REJECT_REQUEST':
         return await this.rejectPendingRequest(data.requestId, data.reason);
@@ -407,7 +475,7 @@ class BackgroundService {
       throw new Error('Unauthorized sender');
     }
 
-    const origin = sender?.origin || sender?.url;
+    const origin = senderOrigin(sender);
 
     // Only allow HTTPS origins (plus localhost for dev/testing)
     if (!origin ||
@@ -463,12 +531,25 @@ class BackgroundService {
       case 'signMessage':
         return await this.handleSignMessage(origin, params, id, tabId);
 
+      case 'verifyMessage':
+        // Read-only: no connection or unlock needed. Authorities are checked
+        // on the chain the wallet is currently connected to.
+        await this.ensureConnected();
+        return await MessageSigning.verify(params?.signed, {
+          api: this.api,
+          chainId: await this.api.getChainId(),
+          maxAgeMs: params?.maxAgeMs
+        });
+
       case 'swap':
         return await this.handleSwapRequest(origin, params, id, tabId);
 
       case 'createLimitOrder':
         return await this.handleLimitOrderRequest(origin, params, id, tabId);
 
+      case 'vote':
+        return await this.handleVoteRequest(origin, params, id, tabId);
+
       case 'keepalive':
         return { alive: true };
 
@@ -597,6 +678,7 @@ class BackgroundService {
       try { await chrome.action.openPopup(); } catch (_) {}
       throw new Error('Wallet is locked — please unlock the BitShares Wallet extension and try again');
     }
+    this.validateFeeAsset(params?.fee_asset ?? params?.transaction?.fee_asset);
 
     // Create pending request
     const requestId = crypto.randomUUID();
@@ -672,6 +754,7 @@ class BackgroundService {
     if (memo && memo.length > 2048) {
       throw new Error('Memo too long (max 2048 characters)');
     }
+    const feeAsset = this.validateFeeAsset(params.fee_asset);
 
     // Create pending request for user approval
     // Note: Don't check if unlocked here - popup will handle unlock if needed
@@ -679,7 +762,7 @@ class BackgroundService {
     this.pendingRequests.set(requestId, {
       type: 'transfer',
       origin,
-      params: { to, amount, asset: asset || 'BTS', memo: memo || '' },
+      params: { to, amount, asset: asset || 'BTS', memo: memo || '', ...(feeAsset && { fee_asset: feeAsset }) },
       messageId,
       tabId,
       resolve: null,
@@ -843,13 +926,14 @@ class BackgroundService {
     if (!sellAsset || !sellAmount || !buyAsset) {
       throw new Error('Missing required parameters: sellAsset, sellAmount, buyAsset');
     }
+    const feeAsset = this.validateFeeAsset(params.fee_asset);
 
     // Create pending request for user approval
     const requestId = crypto.randomUUID();
     this.pendingRequests.set(requestId, {
       type: 'swap',
       origin,
-      params: { sellAsset, sellAmount, buyAsset, minReceive: minReceive || '0' },
+      params: { sellAsset, sellAmount, buyAsset, minReceive: minReceive || '0', ...(feeAsset && { fee_asset: feeAsset }) },
       messageId,
       tabId,
       resolve: null,
@@ -892,10 +976,14 @@ class BackgroundService {
       throw new Error('Not connected');
     }
 
-    const { sellAsset, sellAmount, buyAsset, buyAmount, expiration } = params;
+    const { sellAsset, sellAmount, buyAsset, buyAmount, expiration, fillOrKill } = params;
     if (!sellAsset || !sellAmount || !buyAsset || !buyAmount) {
       throw new Error('Missing required parameters: sellAsset, sellAmount, buyAsset, buyAmount');
     }
+    if (fillOrKill !== undefined && typeof fillOrKill !== 'boolean') {
+      throw new Error('Invalid "fillOrKill" parameter');
+    }
+    const feeAsset = this.validateFeeAsset(params.fee_asset);
 
     // Create pending request for user approval
     const requestId = crypto.randomUUID();
@@ -907,7 +995,9 @@ class BackgroundService {
         sellAmount,
         buyAsset,
         buyAmount,
-        expiration: expiration || 86400 // Default 24 hours
+        expiration: expiration || 86400, // Default 24 hours
+        fillOrKill: fillOrKill === true,
+        ...(feeAsset && { fee_asset: feeAsset })
       },
       messageId,
       tabId,
@@ -935,6 +1025,82 @@ class BackgroundService {
     });
   }
 
+  async handleVoteRequest(origin, params, messageId, tabId) {
+    // Rate-limit: reject if there's already any pending request from this origin
+    for (const [, req] of this.pendingRequests) {
+      if (req.origin === origin) {
+        throw new Error('A request from this site is already pending approval');
+      }
+    }
+
+    // Verify connection on current network
+    const network = await this.getCurrentNetwork();
+    const currentAccount = await this.walletManager.getCurrentAccount();
+    const isConnected = await this.walletManager.isSiteConnected(origin, currentAccount?.id, network);
+    if (!isConnected) {
+      throw new Error('Not connected');
+    }
+
+    // { votes } replaces the vote set, { add, remove } edits it, { proxy } sets
+    // or clears (null / '') the voting proxy. At least one must be present.
+    const { votes, add, remove, proxy } = params || {};
+    const VOTE_ID = /^[0-2]:\d+$/;
+    for (const [name, list] of [['votes', votes], ['add', add], ['remove', remove]]) {
+      if (list === undefined) continue;
+      if (!Array.isArray(list) || list.length > 1000 || !list.every(v => typeof v === 'string' && VOTE_ID.test(v))) {
+        throw new Error(`Invalid "${name}" parameter: expected an array of vote ids like "1:25"`);
+      }
+    }
+    if (votes !== undefined && (add !== undefined || remove !== undefined)) {
+      throw new Error('Use either "votes" or "add"/"remove", not both');
+    }
+    if (proxy !== undefined && proxy !== null && (typeof proxy !== 'string' || proxy.length > 63)) {
+      throw new Error('Invalid "proxy" parameter');
+    }
+    if (votes === undefined && add === undefined && remove === undefined && proxy === undefined) {
+      throw new Error('Missing required parameters: votes, add, remove or proxy');
+    }
+
+    const voteParams = {};
+    if (votes !== undefined) voteParams.votes = votes;
+    if (add !== undefined) voteParams.add = add;
+    if (remove !== undefined) voteParams.remove = remove;
+    if (proxy !== undefined) voteParams.proxy = proxy;
+    const feeAsset = this.validateFeeAsset(params.fee_asset);
+    if (feeAsset) voteParams.fee_asset = feeAsset;
+
+    // Create pending request for user approval
+    const requestId = crypto.randomUUID();
+    this.pendingRequests.set(requestId, {
+      type: 'vote',
+      origin,
+      params: voteParams,
+      messageId,
+      tabId,
+      resolve: null,
+      reject: null
+    });
+
+    // Open popup for approval
+    await this.openPopupForApproval(requestId, 'vote', origin);
+
+    // Wait for user response
+    return new Promise((resolve, reject) => {
+      const request = this.pendingRequests.get(requestId);
+      request.resolve = resolve;
+      request.reject = reject;
+
+      request.timeout = setTimeout(() => {
+        if (this.pendingRequests.has(requestId)) {
+          this.pendingRequests.delete(requestId);
+          chrome.storage.local.remove(['pendingApproval']);
+          browserAction.setBadgeText({ text: '' });
+          reject(new Error('Vote request timed out'));
+        }
+      }, 60000);
+    });
+  }
+
   async openPopupForApproval(requestId, type, origin) {
     // Get the pending request details to store
     const request = this.pendingRequests.get(requestId);
@@ -1108,7 +1274,7 @@ class BackgroundService {
 
   }
 
-  async approveTransaction(requestId, approved) {
+  async approveTransaction(requestId, approved, feeAsset) {
     // Try to get from in-memory first
     let request = this.pendingRequests.get(requestId);
 
@@ -1131,15 +1297,34 @@ class BackgroundService {
 
     if (approved) {
       try {
-        // Support params.transaction or params directly as the transaction object
-        const txData = request.params?.transaction || request.params;
-        // Let signTransaction determine the signing account from the transaction's own
-        // operation fields (e.g. 'from', 'account', 'seller', …).  Passing a conn.accountId
-        // override here was the root cause of "Missing Active Authority" for non-primary
-        // accounts: when the dApp switched to account B the connection metadata still
-        // pointed to the first connected account A, so signatures were produced with A's
-        // keys even though the transaction said from = B.
-        const result = await this.walletManager.signTransaction(txData, null);
+        const chosenFeeAsset = this.transactionFeeAsset(request, feeAsset);
+        // A site only gets the active keys of the account it acts for
+        const signOptions = { accountKeysOnly: true };
+        let result;
+        if (request.prepared) {
+          // Sign the very transaction the popup decoded for the user
+          if (request.prepared.feeAsset !== chosenFeeAsset) {
+            throw new Error('The transaction changed after it was reviewed — please review it again');
+          }
+          if (new Date(request.prepared.transaction.expiration + 'Z').getTime() <= Date.now()) {
+            throw new Error('The reviewed transaction has expired — please submit it again');
+          }
+          result = await this.walletManager.signPreparedTransaction(request.prepared, signOptions);
+        } else {
+          // Let signTransaction determine the signing account from the transaction's own
+          // operation fields (e.g. 'from', 'account', 'seller', …).  Passing a conn.accountId
+          // override here was the root cause of "Missing Active Authority" for non-primary
+          // accounts: when the dApp switched to account B the connection metadata still
+          // pointed to the first connected account A, so signatures were produced with A's
+          // keys even though the transaction said from = B.
+          result = await this.walletManager.signTransaction(
+            this.requestTransaction(request),
+            null,
+            chosenFeeAsset,
+            signOptions
+          );
+        }
+        await this.attributeTransaction(result, request);
         if (request.resolve) {
           request.resolve(result);
         } else if (request.tabId && this.contentPorts.has(request.tabId)) {
@@ -1176,7 +1361,52 @@ class BackgroundService {
     await browserAction.setBadgeText({ text: '' }); // Clear badge
   }
 
-  async approveTransfer(requestId, approved) {
+  /**
+   * Support params.transaction or params directly as the transaction object
+   */
+  requestTransaction(request) {
+    return request.params?.transaction || request.params;
+  }
+
+  /**
+   * The fee asset picked in the approval popup wins over the one the dApp asked for
+   */
+  transactionFeeAsset(request, feeAsset) {
+    return feeAsset || request.params?.fee_asset || this.requestTransaction(request).fee_asset || null;
+  }
+
+  /**
+   * Prepare the transaction of a pending dApp request for review (fees,
+   * block headers, signing account) and return its serialized bytes. The
+   * popup decodes these bytes, and approveTransaction signs this same
+   * transaction as long as the fee asset is unchanged.
+   */
+  async prepareTransactionReview(requestId, feeAsset) {
+    let request = this.pendingRequests.get(requestId);
+    const stored = await chrome.storage.local.get(['pendingApproval']);
+    const storedRequest = stored.pendingApproval?.requestId === requestId ? stored.pendingApproval : null;
+    if (!request) request = storedRequest;
+    if (!request) {
+      throw new Error('Request not found');
+    }
+
+    const chosenFeeAsset = this.transactionFeeAsset(request, feeAsset);
+    const prepared = await this.walletManager.prepareSigningTransaction(
+      structuredClone(this.requestTransaction(request)),
+      null,
+      chosenFeeAsset,
+      REVIEW_EXPIRATION_SECONDS
+    );
+    request.prepared = { ...prepared, feeAsset: chosenFeeAsset };
+    // Keep it across a service worker restart
+    if (storedRequest) {
+      await chrome.storage.local.set({ pendingApproval: { ...storedRequest, prepared: request.prepared } });
+    }
+
+    return { success: true, bytes: bytesToHex(this.walletManager.api.serializeTransaction(prepared.transaction)) };
+  }
+
+  async approveTransfer(requestId, approved, feeAsset) {
     // Try to get from in-memory first
     let request = this.pendingRequests.get(requestId);
 
@@ -1216,8 +1446,10 @@ class BackgroundService {
           assetId,
           memo,
           false,
-          null   // null → sendTransfer falls back to getCurrentAccount()
+          null,  // null → sendTransfer falls back to getCurrentAccount()
+          feeAsset || request.params.fee_asset || null
         );
+        await this.attributeTransaction(result, request);
 
         // If we have resolve callback in memory, use it
         if (request.resolve) {
@@ -1259,6 +1491,111 @@ class BackgroundService {
     await browserAction.setBadgeText({ text: '' }); // Clear badge
   }
 
+  async approveSignMessage(requestId, approved) {
+    return this.settleApproval(requestId, approved, 'message signing', (request) =>
+      this.walletManager.signMessage(request.params.message)
+    );
+  }
+
+  async approveSwap(requestId, approved, feeAsset) {
+    return this.settleApproval(requestId, approved, 'swap', (request) =>
+      this.walletManager.swapViaPool(this.withFeeAsset(request.params, feeAsset))
+    );
+  }
+
+  async approveLimitOrder(requestId, approved, feeAsset) {
+    return this.settleApproval(requestId, approved, 'limit order', (request) =>
+      this.walletManager.createLimitOrder(this.withFeeAsset(request.params, feeAsset))
+    );
+  }
+
+  async approveVote(requestId, approved, feeAsset) {
+    return this.settleApproval(requestId, approved, 'vote', (request) =>
+      this.walletManager.updateVotes(this.withFeeAsset(request.params, feeAsset))
+    );
+  }
+
+  /**
+   * Check the optional `fee_asset` a dApp may send with a request: the asset id
+   * or symbol it would like the fee paid in. Whether the asset can pay fees
+   * (core exchange rate, fee pool) is shown to the user in the approval popup.
+   */
+  validateFeeAsset(feeAsset) {
+    if (feeAsset === undefined || feeAsset === null) return null;
+    if (typeof feeAsset !== 'string' || !/^(1\.3\.\d+|[A-Z][A-Z0-9.]{2,15})$/.test(feeAsset)) {
+      throw new Error('Invalid "fee_asset" parameter');
+    }
+    return feeAsset;
+  }
+
+  /**
+   * Wallet action params with the fee asset to pay in: the user's choice in
+   * the approval popup, else the dApp's fee_asset, else core.
+   */
+  withFeeAsset(params, feeAsset) {
+    return { ...params, feeAsset: feeAsset || params.fee_asset || null };
+  }
+
+  /**
+   * Shared approve/reject path for dApp requests whose approval runs a single
+   * wallet action. `execute(request)` must resolve to the result object sent
+   * back to the dApp; a throw is reported as a failure to both sides.
+   * Like approveTransfer, the active wallet account is the signer.
+   */
+  async settleApproval(requestId, approved, label, execute) {
+    let request = this.pendingRequests.get(requestId);
+
+    // Service worker may have restarted since the request was queued
+    if (!request) {
+      const stored = await chrome.storage.local.get(['pendingApproval']);
+      if (stored.pendingApproval && stored.pendingApproval.requestId === requestId) {
+        request = stored.pendingApproval;
+      }
+    }
+
+    if (!request) {
+      throw new Error('Request not found');
+    }
+
+    if (request.timeout) {
+      clearTimeout(request.timeout);
+    }
+
+    const respond = (result, error) => {
+      if (error) {
+        if (request.reject) {
+          request.reject(error);
+        } else if (request.tabId && this.contentPorts.has(request.tabId)) {
+          this.contentPorts.get(request.tabId).postMessage({ id: request.messageId, error: error.message });
+        }
+      } else if (request.resolve) {
+        request.resolve(result);
+      } else if (request.tabId && this.contentPorts.has(request.tabId)) {
+        this.contentPorts.get(request.tabId).postMessage({ id: request.messageId, ...result });
+      }
+    };
+
+    let outcome;
+    if (approved) {
+      try {
+        await this.walletManager.ensureUnlocked();
+        outcome = await execute(request);
+        await this.attributeTransaction(outcome, request);
+        respond(outcome);
+      } catch (error) {
+        respond(null, error);
+        outcome = { success: false, error: error.message };
+      }
+    } else {
+      respond(null, new Error(`User rejected ${label}`));
+    }
+
+    this.pendingRequests.delete(requestId);
+    await chrome.storage.local.remove(['pendingApproval']);
+    await browserAction.setBadgeText({ text: '' });
+    return outcome;
+  }
+
   /**
    * Broadcast a message to all connected content scripts
    */
@@ -1296,6 +1633,216 @@ class BackgroundService {
     }
   }
 
+  // === Transaction Tracking ===
+
+  setupTransactionTracking() {
+    // Broadcasts made through this worker's API connections
+    BitSharesAPI.onTransaction((event) => {
+      this.trackTransaction(event).catch(error => console.error('Transaction tracking error:', error));
+    });
+
+    chrome.alarms.onAlarm.addListener((alarm) => {
+      if (alarm.name === TX_TRACKER_ALARM) {
+        this.pollTransactions();
+      }
+    });
+  }
+
+  async trackTransaction(event) {
+    await this.txTracker.record(event);
+    this.scheduleTransactionPoll(true);
+  }
+
+  /**
+   * Check open transactions against the chain; stop polling once none are left
+   */
+  async pollTransactions() {
+    try {
+      const open = await this.txTracker.poll();
+      this.scheduleTransactionPoll(open > 0);
+    } catch (error) {
+      console.warn('Transaction status poll failed:', error.message);
+    }
+  }
+
+  scheduleTransactionPoll(active) {
+    if (active === this.txPollActive) return;
+    this.txPollActive = active;
+    if (active) {
+      chrome.alarms.create(TX_TRACKER_ALARM, { periodInMinutes: 0.5 });
+    } else {
+      chrome.alarms.clear(TX_TRACKER_ALARM);
+    }
+  }
+
+  /**
+   * Link a broadcast approved for a dApp to the page that asked for it. If
+   * the broadcast callback already arrived, the page hears about it now.
+   */
+  async attributeTransaction(result, request) {
+    const id = result?.success && result.result?.id;
+    if (!id) return;
+    const entry = await this.txTracker.attribute(id, { origin: request.origin, tabId: request.tabId });
+    if (entry && entry.status !== TX_STATUS.PENDING) {
+      this.notifyTransactionOrigin(entry);
+    }
+  }
+
+  onTransactionStatus(entry) {
+    this.notifyTransactionOrigin(entry);
+
+    if (entry.status === TX_STATUS.IRREVERSIBLE || entry.status === TX_STATUS.EXPIRED) {
+      const label = `Transaction ${entry.id.slice(0, 8)}…`;
+      chrome.notifications.create({
+        type: 'basic',
+        iconUrl: chrome.runtime.getURL('src/assets/icons/icon128.png'),
+        title: 'BitShares Wallet',
+        message: entry.status === TX_STATUS.EXPIRED
+          ? `${label} expired without being included in a block.`
+          : `${label} is confirmed and irreversible${entry.block_num ? ` (block ${entry.block_num})` : ''}.`
+      });
+    }
+  }
+
+  /**
+   * Send a transactionConfirmed event to the dApp that started the
+   * transaction, if its page is still open on the same origin
+   */
+  notifyTransactionOrigin(entry) {
+    if (!entry.origin || entry.tabId === null) return;
+    const port = this.contentPorts.get(entry.tabId);
+    if (!port || senderOrigin(port.sender) !== entry.origin) return;
+    try {
+      port.postMessage({
+        type: 'TRANSACTION_CONFIRMED',
+        data: {
+          id: entry.id,
+          status: entry.status,
+          block_num: entry.block_num,
+          trx_in_block: entry.trx_in_block
+        }
+      });
+    } catch (e) {
+      this.contentPorts.delete(entry.tabId);
+    }
+  }
+
+  // === Account Subscriptions ===
+
+  setupAccountWatching() {
+    // Accounts added or removed: subscribe to the new set
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === 'local' && changes.wallet) this.watchAccounts();
+    });
+
+    // An idle worker is stopped and its socket with it; wake up regularly to
+    // reconnect and report what arrived meanwhile
+    chrome.alarms.create(ACCOUNT_WATCH_ALARM, { periodInMinutes: 1 });
+    chrome.alarms.onAlarm.addListener((alarm) => {
+      if (alarm.name === ACCOUNT_WATCH_ALARM) {
+        this.ensureConnected().then(() => this.watchAccounts()).then(() => this.checkPositions());
+      }
+    });
+  }
+
+  /**
+   * Subscribe to every wallet account on the connected network
+   */
+  async watchAccounts() {
+    if (!this.api?.isConnected) return;
+    try {
+      const accounts = await this.walletManager.getAllAccounts(this.currentNetwork);
+      const ids = accounts.map(account => account.id).filter(id => id && id !== '1.2.0');
+      await this.accountWatcher.watch(this.api, ids);
+    } catch (error) {
+      console.warn('Account subscription failed:', error.message);
+    }
+  }
+
+  onAccountBalances(accountId) {
+    chrome.runtime.sendMessage({ type: 'ACCOUNT_BALANCES_CHANGED', accountId }).catch(() => {}); // Ignore if popup is closed
+  }
+
+  /**
+   * Pass new operations to an open popup and raise notifications for the
+   * kinds the account has not turned off
+   */
+  async onAccountOperations(accountId, operations) {
+    chrome.runtime.sendMessage({ type: 'ACCOUNT_ACTIVITY', accountId, operations }).catch(() => {});
+
+    const stored = await chrome.storage.local.get([NOTIFICATION_PREFERENCES_KEY]);
+    const preferences = notificationPreferences(stored[NOTIFICATION_PREFERENCES_KEY], accountId);
+    for (const operation of operations) {
+      const kind = classifyOperation(operation, accountId);
+      if (!kind || !preferences[kind]) continue;
+      chrome.notifications.create({
+        type: 'basic',
+        iconUrl: chrome.runtime.getURL('src/assets/icons/icon128.png'),
+        title: NOTIFICATION_TITLES[kind],
+        message: await this.describeOperation(kind, operation, accountId)
+      });
+    }
+  }
+
+  async describeOperation(kind, operation, accountId) {
+    const data = operation.op[1];
+    const name = async (id) => (await this.api.getAccount(id).catch(() => null))?.name || id;
+    const amount = async ({ amount, asset_id }) => {
+      const asset = await this.api.getAsset(asset_id).catch(() => null);
+      return asset ? `${formatUnits(amount, asset.precision)} ${asset.symbol}` : `${amount} ${asset_id}`;
+    };
+
+    switch (kind) {
+      case NOTIFICATION_KINDS.TRANSFER:
+        return `${await name(accountId)} received ${await amount(data.amount)} from ${await name(data.from)}.`;
+      case NOTIFICATION_KINDS.MARGIN_CALL:
+        return `${await name(accountId)}'s debt position was margin called: ${await amount(data.pays)} of collateral sold for ${await amount(data.receives)}.`;
+      default:
+        return `${await name(accountId)} sold ${await amount(data.pays)} for ${await amount(data.receives)}.`;
+    }
+  }
+
+  /**
+   * Alert when a debt position of a watched account nears or falls below
+   * its maintenance collateral ratio, once per step down: feeds move
+   * without anything arriving in the account's history
+   */
+  async checkPositions() {
+    if (!this.api?.isConnected) return;
+    try {
+      const callOrders = [];
+      for (const accountId of this.accountWatcher.accountIds) {
+        callOrders.push(...await this.api.getAccountCallOrders(accountId));
+      }
+      const valued = await CollateralPositions.load(this.api, callOrders);
+
+      const chainId = this.api.chainId;
+      const stored = await chrome.storage.local.get([POSITION_ALERTS_KEY, NOTIFICATION_PREFERENCES_KEY]);
+      const alertState = stored[POSITION_ALERTS_KEY] || {};
+      const { alerts, state } = CollateralPositions.alerts(valued.map(v => v.position), alertState[chainId]);
+      await chrome.storage.local.set({ [POSITION_ALERTS_KEY]: { ...alertState, [chainId]: state } });
+
+      for (const position of alerts) {
+        const preferences = notificationPreferences(stored[NOTIFICATION_PREFERENCES_KEY], position.borrower);
+        if (!preferences[NOTIFICATION_KINDS.MARGIN_CALL]) continue;
+        const { asset } = valued.find(v => v.position === position);
+        const name = (await this.api.getAccount(position.borrower).catch(() => null))?.name || position.borrower;
+        const ratio = CollateralPositions.formatRatio(position.ratio);
+        const mcr = CollateralPositions.formatRatio(position.mcr);
+        chrome.notifications.create({
+          type: 'basic',
+          iconUrl: chrome.runtime.getURL('src/assets/icons/icon128.png'),
+          title: position.status === POSITION_STATUS.MARGIN_CALL ? 'Margin Call' : 'Margin Call Warning',
+          message: position.status === POSITION_STATUS.MARGIN_CALL
+            ? `${name}'s ${asset.symbol} position is below its maintenance collateral ratio (${ratio} < ${mcr}) and can be margin called.`
+            : `${name}'s ${asset.symbol} position is near margin call: collateral ratio ${ratio}, margin call below ${mcr}.`
+        });
+      }
+    } catch (error) {
+      console.warn('Position check failed:', error.message);
+    }
+  }
+
   notifyLocked() {
     chrome.notifications.create({
       type: 'basic',
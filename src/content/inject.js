@@ -81,6 +81,13 @@
             event: 'networkChanged',
             data: message.data
           }, window.location.origin);
+        } else if (message.type === 'TRANSACTION_CONFIRMED') {
+          // Forward progress of a transaction this page broadcast
+          window.postMessage({
+            type: 'BITSHARES_WALLET_EVENT',
+            event: 'transactionConfirmed',
+            data: message.data
+          }, window.location.origin);
         } else {
           // Forward other responses to page
           window.postMessage({
@@ -216,6 +223,12 @@
         event: 'networkChanged',
         data: message.data
       }, window.location.origin);
+    } else if (message.type === 'TRANSACTION_CONFIRMED') {
+      window.postMessage({
+        type: 'BITSHARES_WALLET_EVENT',
+        event: 'transactionConfirmed',
+        data: message.data
+      }, window.location.origin);
     }
     return true;
   });
@@ -181,8 +181,10 @@
 
     /**
      * Sign and broadcast a transaction
-     * @param {Object} transaction - Transaction object
-     * @returns {Promise<Object>}
+     * @param {Object} transaction - Transaction object; an optional fee_asset
+     *   (asset id or symbol) pays every operation's fee in that asset
+     * @returns {Promise<Object>} result.id is the transaction id; follow it
+     *   with the 'transactionConfirmed' event
      */
     async signTransaction(transaction) {
       if (!this.isConnected) {
@@ -194,7 +196,7 @@
     /**
      * Sign a message (not broadcasted)
      * @param {string} message - Message to sign
-     * @returns {Promise<string>}
+     * @returns {Promise<Object>} Signed-message envelope { type, version, payload, signature }
      */
     async signMessage(message) {
       if (!this.isConnected) {
@@ -203,9 +205,44 @@
       return await sendRequest('signMessage', { message });
     }
 
+    /**
+     * Verify a signed-message envelope produced by signMessage()
+     * Checks the signature and that the key belongs to the account on chain.
+     * @param {Object|string} signed - Envelope object or its JSON string
+     * @param {Object} [options] - { maxAgeMs } to reject old signatures
+     * @returns {Promise<{valid: boolean, error?: string, account?: string, authority?: string}>}
+     */
+    async verifyMessage(signed, options = {}) {
+      return await sendRequest('verifyMessage', { signed, maxAgeMs: options.maxAgeMs });
+    }
+
+    /**
+     * Swap through a liquidity pool
+     * @param {Object} params - { sellAsset, sellAmount, buyAsset, minReceive, fee_asset }
+     * @returns {Promise<Object>}
+     */
+    async swap(params) {
+      if (!this.isConnected) {
+        throw new Error('Not connected');
+      }
+      return await sendRequest('swap', params);
+    }
+
+    /**
+     * Place a limit order on the DEX
+     * @param {Object} params - { sellAsset, sellAmount, buyAsset, buyAmount, expiration, fillOrKill, fee_asset }
+     * @returns {Promise<Object>}
+     */
+    async createLimitOrder(params) {
+      if (!this.isConnected) {
+        throw new Error('Not connected');
+      }
+      return await sendRequest('createLimitOrder', params);
+    }
+
     /**
      * Request transfer
-     * @param {Object} params - Transfer parameters
+     * @param {Object} params - Transfer parameters, optionally fee_asset
      * @returns {Promise<Object>}
      */
     async transfer(params) {
@@ -216,8 +253,10 @@
     }
 
     /**
-     * Vote for witnesses/committee
-     * @param {Object} params - Vote parameters
+     * Vote for witnesses, committee members and workers, or set a voting proxy
+     * @param {Object} params - { votes } to replace the vote set, or { add, remove }
+     *   to edit it (vote ids like "1:25"); { proxy } account name, null to vote yourself;
+     *   optional fee_asset
      * @returns {Promise<Object>}
      */
     async vote(params) {
@@ -0,0 +1,149 @@
+/**
+ * Account Watcher
+ * Keeps object subscriptions (get_full_accounts with subscribe) for the
+ * wallet's accounts on one API connection and turns chain changes into
+ * events:
+ *
+ *   balance objects changed        → onBalances(accountId, balances)
+ *   operations added to history    → onOperations(accountId, operations)   newest first
+ *
+ * New operations are found by comparing the account's statistics
+ * (total_ops) with the count seen last. The counts are kept in
+ * chrome.storage.local per chain, so operations that arrived while the
+ * service worker slept are reported once it connects again; an account seen
+ * for the first time only records its count.
+ */
+
+export const ACCOUNT_WATCH_KEY = 'accountWatchState'; // { [chainId]: { [accountId]: total_ops } }
+export const NOTIFICATION_PREFERENCES_KEY = 'notificationPreferences'; // { [accountId]: { [kind]: boolean } }
+
+export const NOTIFICATION_KINDS = Object.freeze({
+  TRANSFER: 'transfer',
+  FILL: 'fill',
+  MARGIN_CALL: 'margin_call'
+});
+
+// Everything is on until the user turns it off for an account
+export const DEFAULT_NOTIFICATION_PREFERENCES = Object.freeze({
+  [NOTIFICATION_KINDS.TRANSFER]: true,
+  [NOTIFICATION_KINDS.FILL]: true,
+  [NOTIFICATION_KINDS.MARGIN_CALL]: true
+});
+
+// Operations past this many are not fetched (only the newest are reported)
+const MAX_CATCH_UP = 20;
+
+/**
+ * What an operation means for an account, as a notification kind
+ * @returns {string|null} one of NOTIFICATION_KINDS, or null for anything else
+ */
+export function classifyOperation(operation, accountId) {
+  const [type, data] = operation.op;
+  if (type === 0 && data.to === accountId && data.from !== accountId) {
+    return NOTIFICATION_KINDS.TRANSFER;
+  }
+  if (type === 4 && data.account_id === accountId) {
+    // A call order (1.8.x) is only filled by the market when it is margin called
+    return String(data.order_id).startsWith('1.8.') ? NOTIFICATION_KINDS.MARGIN_CALL : NOTIFICATION_KINDS.FILL;
+  }
+  return null;
+}
+
+/**
+ * An account's preferences with defaults filled in
+ */
+export function notificationPreferences(stored, accountId) {
+  return { ...DEFAULT_NOTIFICATION_PREFERENCES, ...(stored?.[accountId] || {}) };
+}
+
+export class AccountWatcher {
+  /**
+   * @param {Object} options
+   * @param {Function} [options.onBalances] - (accountId, balanceObjects)
+   * @param {Function} [options.onOperations] - (accountId, operations), newest first
+   */
+  constructor({ onBalances = () => {}, onOperations = () => {} } = {}) {
+    this.onBalances = onBalances;
+    this.onOperations = onOperations;
+    this.api = null;
+    this.socket = null; // subscriptions belong to the socket, not the API object
+    this.accountIds = [];
+
+    // Serializes catch-ups so two statistics notices don't report the same operations
+    this._mutex = Promise.resolve();
+  }
+
+  _exclusive(fn) {
+    const run = this._mutex.then(fn);
+    this._mutex = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Subscribe to the accounts on a connected API and report what changed
+   * since they were last seen. Call again after reconnecting or when the
+   * wallet's accounts change; a socket that already watches the same accounts
+   * is left alone.
+   */
+  async watch(api, accountIds) {
+    const ids = [...new Set(accountIds)].sort();
+    if (api === this.api && api.ws === this.socket && ids.join() === this.accountIds.join()) return;
+    this.api = api;
+    this.socket = api.ws;
+    this.accountIds = ids;
+
+    let fullAccounts;
+    try {
+      fullAccounts = await api.subscribeToAccounts(ids, (accountId, objects) => {
+        if (api === this.api) this._onObjects(accountId, objects);
+      });
+    } catch (error) {
+      this.api = null; // try again on the next watch()
+      this.socket = null;
+      throw error;
+    }
+    for (const full of fullAccounts) {
+      if (full?.statistics) await this._catchUp(full.account.id, full.statistics);
+    }
+  }
+
+  _onObjects(accountId, objects) {
+    const balances = objects.filter(o => typeof o === 'object' && o.id.startsWith('2.5.'));
+    if (balances.length) this._emit(this.onBalances, accountId, balances);
+
+    const statistics = objects.find(o => typeof o === 'object' && o.id.startsWith('2.6.'));
+    if (statistics) {
+      this._catchUp(accountId, statistics).catch(error => console.warn('Account history catch-up failed:', error.message));
+    }
+  }
+
+  _catchUp(accountId, statistics) {
+    const api = this.api;
+    return this._exclusive(async () => {
+      const stored = (await chrome.storage.local.get([ACCOUNT_WATCH_KEY]))[ACCOUNT_WATCH_KEY] || {};
+      const seen = stored[api.chainId]?.[accountId];
+      const total = statistics.total_ops;
+      if (seen === total) return;
+
+      if (seen !== undefined && total > seen) {
+        // From sequence number `total` down, so later arrivals wait for their own notice
+        const { operations } = await api.getAccountHistoryPage(accountId, {
+          cursor: total,
+          limit: Math.min(total - seen, MAX_CATCH_UP)
+        });
+        if (operations.length) this._emit(this.onOperations, accountId, operations);
+      }
+
+      stored[api.chainId] = { ...stored[api.chainId], [accountId]: total };
+      await chrome.storage.local.set({ [ACCOUNT_WATCH_KEY]: stored });
+    });
+  }
+
+  _emit(listener, accountId, items) {
+    try {
+      listener(accountId, items);
+    } catch (error) {
+      console.error('Account watcher listener error:', error);
+    }
+  }
+}
@@ -0,0 +1,199 @@
+/**
+ * Asset Settlement
+ * Force settlement of smartcoins and collateral bids on globally settled ones.
+ *
+ * asset_settle (op 17) hands smartcoins back to the debt positions for their
+ * collateral. The settle order waits force_settlement_delay_sec, then fills
+ * at the feed price less force_settlement_offset_percent; at most
+ * maximum_force_settlement_volume of the supply settles per maintenance
+ * interval and the rest waits for the next one. Percentages are in
+ * hundredths of a percent (100 = 1%). A settle order cannot be withdrawn:
+ * asset_settle_cancel (op 42) is a virtual operation the chain applies itself
+ * when it cancels an order, e.g. at a global settlement, and returns the
+ * smartcoins.
+ *
+ * A globally settled asset has no debt positions left: its collateral sits
+ * in the settlement fund and every holder settles immediately at the
+ * settlement price. bid_collateral (op 45) offers extra collateral for part
+ * of its debt; once bids cover the whole supply with positions above the MCR
+ * the asset is revived at a maintenance interval. A bid of no debt cancels
+ * the bidder's bid.
+ */
+
+import { CollateralPositions } from './collateral-positions.js';
+
+// asset_issuer_permission_flags::disable_force_settle
+export const DISABLE_FORCE_SETTLE = 0x10;
+
+const PERCENT_DENOM = 10000n; // GRAPHENE_100_PERCENT
+
+// Chain defaults for bitasset options left unset
+const DEFAULT_SETTLEMENT_DELAY_SEC = 86400;
+const DEFAULT_SETTLEMENT_VOLUME = 2000;
+
+const big = value => BigInt(String(value ?? 0));
+
+export class AssetSettlement {
+  /**
+   * The price the settlement fund pays per smartcoin, or null when the asset
+   * is not globally settled
+   * @returns {{debt: bigint, collateral: bigint}|null}
+   */
+  static settlementPrice(bitasset) {
+    return CollateralPositions.debtPrice(bitasset?.settlement_price, bitasset?.asset_id);
+  }
+
+  /**
+   * Settlement delay, offset and volume of a smartcoin
+   * @param {Object} asset - asset_object
+   * @param {Object} bitasset - asset_bitasset_data_object
+   * @param {Object} dynamicData - asset_dynamic_data_object
+   * @returns {{delaySec: number, offsetPercent: number, maxVolumePercent: number, volumeLimit: number,
+   *   remainingVolume: number, supply: number, settlementFund: number,
+   *   disabled: boolean, globallySettled: boolean}}
+   *   percentages in hundredths of a percent; volumes in base units per
+   *   maintenance interval
+   */
+  static limits(asset, bitasset, dynamicData) {
+    const options = bitasset.options;
+    const supply = big(dynamicData?.current_supply);
+    const maxVolumePercent = Number(options.maximum_force_settlement_volume ?? DEFAULT_SETTLEMENT_VOLUME);
+    const volumeLimit = supply * BigInt(maxVolumePercent) / PERCENT_DENOM;
+    const settled = big(bitasset.force_settled_volume);
+    return {
+      delaySec: Number(options.force_settlement_delay_sec ?? DEFAULT_SETTLEMENT_DELAY_SEC),
+      offsetPercent: Number(options.force_settlement_offset_percent || 0),
+      maxVolumePercent,
+      volumeLimit: Number(volumeLimit),
+      remainingVolume: Number(volumeLimit > settled ? volumeLimit - settled : 0n),
+      supply: Number(supply),
+      settlementFund: Number(big(bitasset.settlement_fund)),
+      disabled: (Number(asset.options?.flags || 0) & DISABLE_FORCE_SETTLE) !== 0,
+      globallySettled: CollateralPositions.globallySettled(bitasset)
+    };
+  }
+
+  /**
+   * Collateral a settle order of `amount` would receive at the current feed
+   * (or, globally settled, the settlement price); null without a price
+   * @param {number|bigint} amount - smartcoin base units
+   * @returns {number|null} collateral base units, rounded down
+   */
+  static estimate(amount, bitasset) {
+    const units = big(amount);
+    if (CollateralPositions.globallySettled(bitasset)) {
+      const price = this.settlementPrice(bitasset);
+      return price ? Number(units * price.collateral / price.debt) : null;
+    }
+    const feed = CollateralPositions.feedPrice(bitasset);
+    if (!feed) return null;
+    const offset = BigInt(bitasset.options.force_settlement_offset_percent || 0);
+    return Number(units * feed.collateral * (PERCENT_DENOM - offset) / (feed.debt * PERCENT_DENOM));
+  }
+
+  /**
+   * The asset_settle operation (without fee)
+   * @param {Object} params
+   * @param {string} params.accountId
+   * @param {Object} params.asset - asset_object of the smartcoin
+   * @param {Object} params.bitasset
+   * @param {number|bigint} params.amount - base units
+   * @returns {{account: string, amount: Object, extensions: Array}}
+   * @throws {Error} when the chain would refuse the settlement
+   */
+  static settleOperation({ accountId, asset, bitasset, amount }) {
+    if (!bitasset) throw new Error(`${asset.symbol} is not a smartcoin`);
+    const settled = CollateralPositions.globallySettled(bitasset);
+    if (!settled && bitasset.is_prediction_market) {
+      throw new Error('A prediction market can only be settled once it is resolved');
+    }
+    if (!settled && (Number(asset.options?.flags || 0) & DISABLE_FORCE_SETTLE)) {
+      throw new Error(`Force settlement is disabled for ${asset.symbol}`);
+    }
+    const units = big(amount);
+    if (units <= 0n) throw new Error('Amount must be greater than 0');
+    if (!settled && !CollateralPositions.feedPrice(bitasset)) {
+      throw new Error('This asset has no price feed to settle against');
+    }
+    return {
+      account: accountId,
+      amount: { amount: Number(units), asset_id: asset.id },
+      extensions: []
+    };
+  }
+
+  /**
+   * A collateral bid (collateral_bid_object, 1.17.x) as amounts
+   * @returns {{id: string, bidder: string, additionalCollateral: number, debtCovered: number}}
+   */
+  static describeBid(bid) {
+    // inv_swan_price is the extra collateral (base) per debt taken over (quote)
+    return {
+      id: bid.id,
+      bidder: bid.bidder,
+      additionalCollateral: Number(bid.inv_swan_price.base.amount),
+      debtCovered: Number(bid.inv_swan_price.quote.amount)
+    };
+  }
+
+  /**
+   * Collateral ratio of the position a bid would become: its extra
+   * collateral plus the settlement fund's share of the debt it covers,
+   * against the current feed
+   * @returns {number|null} thousandths; null without a feed or debt
+   */
+  static bidRatio({ additionalCollateral, debtCovered }, bitasset) {
+    const debt = big(debtCovered);
+    const feed = CollateralPositions.feedPrice(bitasset);
+    if (!feed || debt <= 0n) return null;
+    const price = this.settlementPrice(bitasset);
+    const share = price ? debt * price.collateral / price.debt : 0n;
+    const collateral = big(additionalCollateral) + share;
+    return Number(collateral * feed.debt * 1000n / (debt * feed.collateral));
+  }
+
+  /**
+   * The bid_collateral operation (without fee); no debt cancels the
+   * bidder's current bid
+   * @param {Object} params
+   * @param {string} params.accountId
+   * @param {Object} params.bitasset
+   * @param {number|bigint} params.additionalCollateral - backing asset base units
+   * @param {number|bigint} params.debtCovered - smartcoin base units
+   * @param {number|bigint} [params.supply] - current supply of the smartcoin
+   * @param {Object|null} [params.existingBid] - the bidder's current bid
+   * @returns {{bidder: string, additional_collateral: Object, debt_covered: Object, extensions: Array}}
+   * @throws {Error} when the chain would refuse the bid
+   */
+  static bidOperation({ accountId, bitasset, additionalCollateral, debtCovered, supply, existingBid = null }) {
+    if (!CollateralPositions.globallySettled(bitasset)) {
+      throw new Error('Only a globally settled asset takes collateral bids');
+    }
+    if (bitasset.is_prediction_market) throw new Error('Cannot bid on a prediction market');
+
+    let collateral = big(additionalCollateral);
+    const debt = big(debtCovered);
+    if (collateral < 0n || debt < 0n) throw new Error('Bid amounts cannot be negative');
+    if (debt === 0n) {
+      if (!existingBid) throw new Error('No bid to cancel');
+      collateral = 0n;
+    } else {
+      if (collateral === 0n) throw new Error('A bid needs additional collateral');
+      if (supply !== undefined && debt > big(supply)) throw new Error('Cannot cover more debt than the supply');
+    }
+
+    return {
+      bidder: accountId,
+      additional_collateral: { amount: Number(collateral), asset_id: bitasset.options.short_backing_asset },
+      debt_covered: { amount: Number(debt), asset_id: bitasset.asset_id },
+      extensions: []
+    };
+  }
+
+  /**
+   * Hundredths of a percent as a percentage, e.g. 150 → '1.5%'
+   */
+  static formatPercent(units) {
+    return `${Number(units) / 100}%`;
+  }
+}
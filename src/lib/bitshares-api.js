@@ -4,9 +4,60 @@
  */
 
 import { CryptoUtils, sha256, hexToBytes, bytesToHex } from './crypto-utils.js';
+import { TransactionDeserializer } from './transaction-deserializer.js';
+
+// Fee parameter fields of each operation type, in the order the chain's
+// fee_parameters variant writes them; fields tagged ':32' are uint32, the rest uint64
+const FEE_PARAMETER_FIELDS = (() => {
+  const fee = ['fee'];
+  const perKbyte = ['fee', 'price_per_kbyte:32'];
+  const layouts = {
+    0: perKbyte, 4: [], 5: ['basic_fee', 'premium_fee', 'price_per_kbyte:32'], 6: perKbyte,
+    8: ['membership_annual_fee', 'membership_lifetime_fee'],
+    10: ['symbol3', 'symbol4', 'long_symbol', 'price_per_kbyte:32'], 11: perKbyte, 14: perKbyte,
+    22: perKbyte, 23: perKbyte, 27: perKbyte, 35: perKbyte, 37: [], 38: perKbyte,
+    39: ['fee', 'price_per_output:32'], 40: ['fee', 'price_per_output:32'], 42: [], 44: [], 46: [],
+    49: ['fee', 'fee_per_day'], 50: ['fee', 'fee_per_kb'], 51: [], 52: ['fee', 'fee_per_day'], 53: [],
+    54: ['basic_fee', 'price_per_byte:32'], 55: ['basic_fee', 'price_per_byte:32'],
+    70: perKbyte, 72: perKbyte, 74: []
+  };
+  return Array.from({ length: 78 }, (_, type) => (layouts[type] || fee).map(field => field.split(':')));
+})();
 
 export class BitSharesAPI {
-  constructor(nodes = null) {
+  /**
+   * Listeners for the progress of transactions broadcast by any instance
+   * (the service worker and the popup each hold their own connection)
+   */
+  static transactionListeners = new Set();
+
+  /**
+   * Follow broadcast transactions: `listener(event)` receives
+   * { status: 'pending', id, chainId, expiration, operations } once the node accepts one and
+   * { status: 'included', id, chainId, block_num, trx_in_block } when its block is applied
+   * @returns {Function} unsubscribe
+   */
+  static onTransaction(listener) {
+    BitSharesAPI.transactionListeners.add(listener);
+    return () => BitSharesAPI.transactionListeners.delete(listener);
+  }
+
+  static emitTransaction(event) {
+    for (const listener of BitSharesAPI.transactionListeners) {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error('Transaction listener error:', error);
+      }
+    }
+  }
+
+  /**
+   * @param {string[]} [nodes]
+   * @param {Object} [options]
+   * @param {string} [options.chainId] - expected chain id; nodes on another chain are skipped
+   */
+  constructor(nodes = null, { chainId = null } = {}) {
     // Updated list of reliable BitShares nodes (January 2026)
     this.nodes = nodes || [
       'wss://node.xbts.io/ws',       // xbtsio-wallet, Germany/Falkenstein, 142.6ms
@@ -20,9 +71,14 @@ export class BitSharesAPI {
     this.ws = null;
     this.callId = 0;
     this.pendingCalls = new Map();
+    this.noticeCallbacks = new Map(); // callback id → handler for `notice` messages
+    this.subscriptionCallbacks = new Map(); // account id → handler for its changed objects
+    this.subscribeCallbackId = null; // set_subscribe_callback id on the current socket
     this.isConnected = false;
     this.apiIds = {};
     this.chainId = null;
+    this.expectedChainId = chainId;
+    this.keyPrefix = 'BTS'; // public key prefix of the connected chain (GRAPHENE_ADDRESS_PREFIX)
     this.dynamicGlobalProperties = null;
     this.currentNode = null;
     this.connectionAttempts = 0;
@@ -57,59 +113,77 @@ export class BitSharesAPI {
       console.log('Connecting to:', node);
       this.currentNode = node;
 
+      let ws = null;
+      let connectionTimeout;
+      let settled = false;
+
+      // Give up on this node and move on to the next one. Whichever comes
+      // first - refused/dropped socket, failed login or timeout - wins.
+      const failover = (message) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(connectionTimeout);
+        console.warn(message, node);
+        try { ws?.close(); } catch (e) {}
+        this.tryNextNode(resolve, reject);
+      };
+
       try {
         // Close existing connection if any
         if (this.ws) {
           try { this.ws.close(); } catch (e) {}
         }
 
-        this.ws = new WebSocket(node);
-        let connectionTimeout;
+        ws = new WebSocket(node);
+        this.ws = ws;
+        // Subscriptions belong to the socket; a new one starts without them
+        this.subscribeCallbackId = null;
 
-        this.ws.onopen = async () => {
+        ws.onopen = async () => {
           clearTimeout(connectionTimeout);
 
           try {
             await this.login();
             await this.getApiIds();
             await this.initChainProperties();
+            if (this.expectedChainId && this.chainId !== this.expectedChainId) {
+              throw new Error(`node is on chain ${this.chainId}, expected ${this.expectedChainId}`);
+            }
+            settled = true;
             this.isConnected = true;
             this.connectionAttempts = 0;
             console.log('Connected to BitShares via:', node);
             resolve(true);
           } catch (error) {
-            console.warn('Connection error on', node, ':', error.message);
-            this.tryNextNode(resolve, reject);
+            failover(`Connection error (${error.message}) on`);
           }
         };
 
-        this.ws.onmessage = (event) => {
+        ws.onmessage = (event) => {
           this.handleMessage(event.data);
         };
 
-        this.ws.onerror = (error) => {
+        ws.onerror = () => {
           console.warn('WebSocket error on', node);
-          clearTimeout(connectionTimeout);
         };
 
-        this.ws.onclose = (event) => {
+        ws.onclose = (event) => {
           console.log('WebSocket closed:', event.code, event.reason);
-          this.isConnected = false;
-          // Don't auto-reconnect here, let the error handler do it
+          // Calls sent over this socket will never be answered
+          this.rejectPendingCalls(ws, new Error('WebSocket closed'));
+          if (this.ws === ws) {
+            this.isConnected = false;
+          }
+          // Before login completes a close means the node refused or dropped
+          // us; afterwards, reconnecting is left to the caller (ensureConnected)
+          failover('Connection closed by');
         };
 
         // Connection timeout - try next node after 8 seconds
-        connectionTimeout = setTimeout(() => {
-          if (!this.isConnected) {
-            console.warn('Connection timeout for:', node);
-            try { this.ws.close(); } catch (e) {}
-            this.tryNextNode(resolve, reject);
-          }
-        }, 8000);
+        connectionTimeout = setTimeout(() => failover('Connection timeout for:'), 8000);
 
       } catch (error) {
-        console.warn('Connection error:', error.message);
-        this.tryNextNode(resolve, reject);
+        failover(`Connection error (${error.message}) on`);
       }
     });
   }
@@ -154,9 +228,17 @@ export class BitSharesAPI {
     try {
       const response = JSON.parse(data);
 
+      // Notices carry no id: params are [callbackId, payload]
+      if (response.method === 'notice' && Array.isArray(response.params)) {
+        const [callbackId, payload] = response.params;
+        this.noticeCallbacks.get(callbackId)?.(payload);
+        return;
+      }
+
       if (response.id !== undefined && this.pendingCalls.has(response.id)) {
-        const { resolve, reject } = this.pendingCalls.get(response.id);
+        const { resolve, reject, timer } = this.pendingCalls.get(response.id);
         this.pendingCalls.delete(response.id);
+        clearTimeout(timer);
 
         if (response.error) {
           // Handle different error formats from BitShares API
@@ -197,18 +279,30 @@ export class BitSharesAPI {
         params: [apiId, method, params]
       };
 
-      this.pendingCalls.set(id, { resolve, reject });
-      this.ws.send(JSON.stringify(request));
-
-      setTimeout(() => {
+      const timer = setTimeout(() => {
         if (this.pendingCalls.has(id)) {
           this.pendingCalls.delete(id);
           reject(new Error(`API call timeout: ${method}`));
         }
       }, 30000);
+
+      this.pendingCalls.set(id, { resolve, reject, timer, ws: this.ws });
+      this.ws.send(JSON.stringify(request));
     });
   }
 
+  /**
+   * Fail every call still waiting for an answer on the given socket
+   */
+  rejectPendingCalls(ws, error) {
+    for (const [id, pending] of this.pendingCalls) {
+      if (pending.ws !== ws) continue;
+      this.pendingCalls.delete(id);
+      clearTimeout(pending.timer);
+      pending.reject(error);
+    }
+  }
+
   /**
    * Login to the API
    */
@@ -236,13 +330,16 @@ export class BitSharesAPI {
    * Initialize chain properties
    */
   async initChainProperties() {
-    const [chainProps, dynamicProps] = await Promise.all([
+    const [chainProps, dynamicProps, config] = await Promise.all([
       this.call(this.apiIds.database, 'get_chain_properties', []),
-      this.call(this.apiIds.database, 'get_dynamic_global_properties', [])
+      this.call(this.apiIds.database, 'get_dynamic_global_properties', []),
+      // Nodes that don't expose get_config are BitShares nodes: keep 'BTS'
+      this.call(this.apiIds.database, 'get_config', []).catch(() => null)
     ]);
 
     this.chainId = chainProps.chain_id;
     this.dynamicGlobalProperties = dynamicProps;
+    if (config?.GRAPHENE_ADDRESS_PREFIX) this.keyPrefix = config.GRAPHENE_ADDRESS_PREFIX;
   }
 
   /**
@@ -295,17 +392,31 @@ export class BitSharesAPI {
   }
 
   /**
-   * Get accounts by public key
+   * Re-fetch an account, bypassing the cache (and refreshing it).
+   * Use when options or authorities may have just changed, e.g. after voting.
+   */
+  async refreshAccount(nameOrId) {
+    const cached = this.cache.accounts.get(nameOrId);
+    for (const key of [nameOrId, cached?.name, cached?.id]) {
+      if (key) this.cache.accounts.delete(key);
+    }
+    return this.getAccount(nameOrId);
+  }
+
+  /**
+   * Get accounts by public key. Keys of any prefix are accepted and looked
+   * up under the connected chain's prefix (the node rejects any other).
    */
   async getAccountsByKey(publicKey) {
     // Validate public key format before making API call
-    if (!publicKey || typeof publicKey !== 'string' || !publicKey.startsWith('BTS') || publicKey.length < 50) {
+    if (!CryptoUtils.parsePublicKey(publicKey)) {
       console.warn('Invalid public key format:', publicKey);
       return [];
     }
 
     try {
-      const accounts = await this.call(this.apiIds.database, 'get_key_references', [[publicKey]]);
+      const chainKey = await CryptoUtils.convertPublicKeyPrefix(publicKey, this.keyPrefix);
+      const accounts = await this.call(this.apiIds.database, 'get_key_references', [[chainKey]]);
       return accounts[0] || [];
     } catch (error) {
       console.error('Get accounts by key error:', error);
@@ -347,6 +458,49 @@ export class BitSharesAPI {
     }
   }
 
+  /**
+   * One page of an account's history, newest first. Pass the returned cursor
+   * back for the next (older) page.
+   * - all operations: get_relative_account_history, cursor = account history sequence number
+   * - one operation type: get_account_history_operations, cursor = operation history id
+   * @param {string} accountId
+   * @param {Object} [options]
+   * @param {number|string|null} [options.cursor] - null for the newest operations
+   * @param {number} [options.limit] - 1 to 100
+   * @param {number|null} [options.operationType]
+   * @returns {Promise<{operations: Object[], cursor: number|string, done: boolean}>}
+   */
+  async getAccountHistoryPage(accountId, { cursor = null, limit = 100, operationType = null } = {}) {
+    if (operationType !== null) {
+      const operations = await this.call(
+        this.apiIds.history,
+        'get_account_history_operations',
+        [accountId, operationType, cursor || '1.11.0', '1.11.0', limit]
+      ) || [];
+      const oldest = operations.length ? Number(operations.at(-1).id.split('.')[2]) : 0;
+      // '1.11.0' as start means "newest", so stop before it comes round again
+      return { operations, cursor: `1.11.${Math.max(oldest - 1, 0)}`, done: operations.length < limit || oldest <= 1 };
+    }
+
+    let start = cursor;
+    if (start === null) {
+      // Start from an explicit sequence number so operations arriving between
+      // pages don't shift the next cursor
+      const account = await this.getAccount(accountId);
+      const [stats] = await this.call(this.apiIds.database, 'get_objects', [[account.statistics]]);
+      start = stats?.total_ops || 0;
+    }
+    if (start < 1) return { operations: [], cursor: 0, done: true };
+
+    const operations = await this.call(
+      this.apiIds.history,
+      'get_relative_account_history',
+      [accountId, 0, limit, start]
+    ) || [];
+    const next = start - operations.length;
+    return { operations, cursor: next, done: operations.length < limit || next < 1 };
+  }
+
   // === Asset Methods ===
 
   /**
@@ -385,6 +539,23 @@ export class BitSharesAPI {
     }
   }
 
+  /**
+   * Assets by id, fetched in batches; cached like getAsset()
+   * @returns {Promise<Array<Object|null>>}
+   */
+  async getAssets(ids) {
+    const uncached = [...new Set(ids.filter(id => !this.cache.assets.has(id)))];
+    for (let i = 0; i < uncached.length; i += 100) {
+      const assets = await this.call(this.apiIds.database, 'get_assets', [uncached.slice(i, i + 100)]);
+      for (const asset of assets || []) {
+        if (!asset) continue;
+        this.cache.assets.set(asset.symbol, asset);
+        this.cache.assets.set(asset.id, asset);
+      }
+    }
+    return ids.map(id => this.cache.assets.get(id) || null);
+  }
+
   /**
    * Get BTS price in USD (from DEX market using XBTSX.USDT)
    * Returns { price: number, source: string }
@@ -486,6 +657,149 @@ export class BitSharesAPI {
     }
   }
 
+  // === Governance Methods ===
+
+  /**
+   * Get everything an account can vote for: active witnesses, active committee
+   * members and non-expired workers. Objects behind `extraVoteIds` that are not
+   * in those lists (e.g. a witness the account still votes for after it left
+   * the active set) are looked up and merged in.
+   * Vote ids are "type:instance" strings — 0 committee, 1 witness, 2 worker.
+   * @returns {{witnesses: Array, committee: Array, workers: Array}}
+   *   entries: { id, vote_id, account_id, name, total_votes, url, ... }
+   */
+  async getVotingCandidates(extraVoteIds = []) {
+    const db = this.apiIds.database;
+    const globalProps = await this.call(db, 'get_global_properties', []);
+    const [witnesses, committee, workers] = await Promise.all([
+      this.call(db, 'get_objects', [globalProps.active_witnesses || []]),
+      this.call(db, 'get_objects', [globalProps.active_committee_members || []]),
+      this.call(db, 'get_all_workers', [false]).catch(() => [])
+    ]);
+
+    const objects = [...witnesses, ...committee, ...workers].filter(Boolean);
+    const known = new Set(objects.map(o => o.vote_id || o.vote_for));
+    const missing = extraVoteIds.filter(v => !known.has(v));
+    if (missing.length > 0) {
+      const extra = await this.call(db, 'lookup_vote_ids', [missing]);
+      objects.push(...(extra || []).filter(Boolean));
+    }
+
+    // Resolve owner account names in one batch
+    const accountIds = [...new Set(objects.map(o =>
+      o.witness_account || o.committee_member_account || o.worker_account
+    ))];
+    const accounts = await this.getObjects(accountIds);
+    const names = new Map(accountIds.map((id, i) => [id, accounts[i]?.name || id]));
+
+    const result = { witnesses: [], committee: [], workers: [] };
+    for (const o of objects) {
+      if (o.id.startsWith('1.6.')) {
+        result.witnesses.push({
+          id: o.id, vote_id: o.vote_id, account_id: o.witness_account,
+          name: names.get(o.witness_account), total_votes: o.total_votes, url: o.url || ''
+        });
+      } else if (o.id.startsWith('1.5.')) {
+        result.committee.push({
+          id: o.id, vote_id: o.vote_id, account_id: o.committee_member_account,
+          name: names.get(o.committee_member_account), total_votes: o.total_votes, url: o.url || ''
+        });
+      } else if (o.id.startsWith('1.14.')) {
+        result.workers.push({
+          id: o.id, vote_id: o.vote_for, account_id: o.worker_account,
+          name: o.name || names.get(o.worker_account), owner: names.get(o.worker_account),
+          total_votes: o.total_votes_for, url: o.url || '', daily_pay: o.daily_pay,
+          work_begin_date: o.work_begin_date, work_end_date: o.work_end_date
+        });
+      }
+    }
+
+    const byVotes = (a, b) => Number(b.total_votes || 0) - Number(a.total_votes || 0);
+    result.witnesses.sort(byVotes);
+    result.committee.sort(byVotes);
+    result.workers.sort(byVotes);
+    return result;
+  }
+
+  // === Proposal & Authority Methods ===
+
+  /**
+   * Pending proposals that require, or already carry, the account's approval
+   */
+  async getProposedTransactions(accountId) {
+    const proposals = await this.call(this.apiIds.database, 'get_proposed_transactions', [accountId]);
+    return proposals || [];
+  }
+
+  /**
+   * Accounts whose owner/active authority lists the given account,
+   * e.g. a multisig treasury that has it as one of its signers
+   */
+  async getAccountReferences(accountId) {
+    const refs = await this.call(this.apiIds.database, 'get_account_references', [accountId]);
+    return refs || [];
+  }
+
+  // === Claimable Balance Methods ===
+
+  /**
+   * Genesis / imported balances (1.15.x) owned by any of the addresses
+   * (see CryptoUtils.publicKeyAddresses)
+   */
+  async getBalanceObjects(addresses) {
+    if (!addresses.length) return [];
+    const balances = await this.call(this.apiIds.database, 'get_balance_objects', [addresses]);
+    return balances || [];
+  }
+
+  /**
+   * Vesting balances (1.13.x) owned by the account: cashback, worker and
+   * witness pay, market fee sharing
+   */
+  async getVestingBalances(accountId) {
+    const balances = await this.call(this.apiIds.database, 'get_vesting_balances', [accountId]);
+    return balances || [];
+  }
+
+  /**
+   * Current head block time, the clock vesting policies are measured by
+   * @returns {Promise<string>} e.g. '2026-01-01T00:00:00'
+   */
+  async getHeadBlockTime() {
+    this.dynamicGlobalProperties = await this.call(this.apiIds.database, 'get_dynamic_global_properties', []);
+    return this.dynamicGlobalProperties.time;
+  }
+
+  /**
+   * Every public key that could take part in signing the transaction, given
+   * the current authorities of the accounts it involves
+   */
+  async getPotentialSignatures(tx) {
+    await this._resolveOperationIds(tx.operations);
+    const keys = await this.call(this.apiIds.database, 'get_potential_signatures', [{ ...tx, signatures: [] }]);
+    return keys || [];
+  }
+
+  /**
+   * Ask the node which of `availableKeys` are needed to satisfy every
+   * authority the transaction requires (fee payers, multisig members, owner
+   * fallbacks). Only the operations matter, so block headers are placeholders.
+   * @returns {Promise<string[]>} subset of availableKeys
+   */
+  async getRequiredSignatures(tx, availableKeys) {
+    await this._resolveOperationIds(tx.operations);
+    const trx = {
+      ref_block_num: 0,
+      ref_block_prefix: 0,
+      expiration: new Date().toISOString().slice(0, -5),
+      operations: tx.operations,
+      extensions: [],
+      signatures: []
+    };
+    const keys = await this.call(this.apiIds.database, 'get_required_signatures', [trx, availableKeys]);
+    return keys || [];
+  }
+
   // === Fee Methods ===
 
   /**
@@ -514,13 +828,13 @@ export class BitSharesAPI {
 
   /**
    * Get fee for a specific operation type
-   * @param {string} operationType - The operation type name (e.g., 'transfer', 'limit_order_create')
+   * @param {string|number} operationType - The operation type name (e.g., 'transfer', 'limit_order_create') or id
    * @param {string} feeAssetId - Asset to pay fee in (default: '1.3.0' for BTS)
-   * @returns {object} Fee information { amount, asset_id, formatted }
+   * @returns {object} Fee information { amount, asset_id, formatted, coreAmount, feePool, poolSufficient }
    */
   async getOperationFee(operationType, feeAssetId = '1.3.0') {
     try {
-      const opId = this.getOperationId(operationType);
+      const opId = typeof operationType === 'number' ? operationType : this.getOperationId(operationType);
       const feeSchedule = await this.getFeeSchedule();
 
       if (!feeSchedule || !feeSchedule.parameters) {
@@ -545,24 +859,58 @@ export class BitSharesAPI {
         feeAmount = feeParams;
       }
 
-      // Get asset info for formatting
-      const asset = await this.getAsset(feeAssetId);
-      const precision = Math.pow(10, asset.precision);
-      const formattedFee = (feeAmount / precision).toFixed(asset.precision);
-
-      return {
-        amount: feeAmount,
-        asset_id: feeAssetId,
-        formatted: `${formattedFee} ${asset.symbol}`,
-        symbol: asset.symbol,
-        precision: asset.precision
-      };
+      return await this.getFeeInAsset(feeAmount, feeAssetId);
     } catch (error) {
       console.error('Get operation fee error:', error);
       throw error;
     }
   }
 
+  /**
+   * Convert a fee in core base units into another asset.
+   * The node charges the asset at its core exchange rate (rounded up) and pays
+   * the core fee out of the asset's fee pool, so the pool is checked as well.
+   * @param {number} coreAmount - Fee in core base units
+   * @param {string} feeAssetId - Asset id or symbol to pay the fee in
+   * @returns {object} { amount, asset_id, formatted, symbol, precision, coreAmount, feePool, poolSufficient }
+   */
+  async getFeeInAsset(coreAmount, feeAssetId = '1.3.0') {
+    const asset = await this.getAsset(feeAssetId);
+    if (!asset) throw new Error(`Asset not found: ${feeAssetId}`);
+
+    let amount = Number(coreAmount);
+    let feePool = null;
+    if (asset.id !== '1.3.0') {
+      const { base, quote } = asset.options?.core_exchange_rate || {};
+      let assetAmount, coreRateAmount;
+      if (base?.asset_id === '1.3.0' && quote?.asset_id === asset.id) {
+        [assetAmount, coreRateAmount] = [quote.amount, base.amount];
+      } else if (quote?.asset_id === '1.3.0' && base?.asset_id === asset.id) {
+        [assetAmount, coreRateAmount] = [base.amount, quote.amount];
+      }
+      if (!(Number(assetAmount) > 0) || !(Number(coreRateAmount) > 0)) {
+        throw new Error(`${asset.symbol} has no core exchange rate and cannot pay fees`);
+      }
+      amount = Math.ceil(amount * Number(assetAmount) / Number(coreRateAmount));
+
+      // Fee pool changes with every fee paid, so read it fresh rather than from the asset cache
+      const [dynamicData] = await this.call(this.apiIds.database, 'get_objects', [[asset.dynamic_asset_data_id]]);
+      feePool = Number(dynamicData?.fee_pool || 0);
+    }
+
+    const formattedFee = (amount / Math.pow(10, asset.precision)).toFixed(asset.precision);
+    return {
+      amount,
+      asset_id: asset.id,
+      formatted: `${formattedFee} ${asset.symbol}`,
+      symbol: asset.symbol,
+      precision: asset.precision,
+      coreAmount: Number(coreAmount),
+      feePool,
+      poolSufficient: feePool === null || feePool >= Number(coreAmount)
+    };
+  }
+
   /**
    * Get fees for multiple common operations
    * @returns {object} Object with fees for common operations
@@ -662,8 +1010,9 @@ export class BitSharesAPI {
    */
   async broadcastTransaction(operationType, operationData, privateKey) {
     try {
-      // Get required fee
-      const feeAsset = await this.getAsset('1.3.0');
+      // Get required fee, in the asset the caller chose to pay with (core by default)
+      const feeAsset = await this.getAsset(operationData.fee?.asset_id || '1.3.0');
+      if (!feeAsset) throw new Error(`Fee asset not found: ${operationData.fee.asset_id}`);
       const requiredFees = await this.call(
         this.apiIds.database,
         'get_required_fees',
@@ -693,13 +1042,7 @@ export class BitSharesAPI {
       const signedTx = await this.signTransaction(transaction, privateKey);
 
       // Broadcast
-      const result = await this.call(
-        this.apiIds.network,
-        'broadcast_transaction_with_callback',
-        [this.callId, signedTx]
-      );
-
-      return result;
+      return await this.broadcastWithCallback(signedTx);
     } catch (error) {
       console.error('Broadcast transaction error:', error);
       throw error;
@@ -905,7 +1248,7 @@ export class BitSharesAPI {
           await resolveAccount(d, 'account');
           break;
         case 76: // credit_deal_update
-          await resolveAccount(d, 'borrower');
+          await resolveAccount(d, 'account');
           break;
         case 77: // limit_order_update
           await resolveAccount(d, 'seller');
@@ -926,33 +1269,42 @@ export class BitSharesAPI {
   }
 
   /**
-   * Sign a complete transaction (with operations already set) and broadcast it.
-   * - Fills in required fees via get_required_fees
-   * - Refreshes block reference headers so the tx doesn't expire
-   * - Signs with the given private key
-   * - Broadcasts via broadcast_transaction_with_callback
+   * Make a transaction ready to sign: resolve names/symbols to ids, fill
+   * required fees and set fresh block reference headers.
+   * @param {Object} tx - { operations, extensions? }
+   * @param {number} expirationSeconds - 30s for sign-and-broadcast; offline
+   *   signing needs longer (the node caps it at maximum_time_until_expiration, 1 day by default)
+   * @returns {Promise<Object>} unsigned transaction with empty signatures
    */
-  async signAndBroadcast(tx, privateKeyWIF) {
+  async prepareTransaction(tx, expirationSeconds = 30) {
     // 0. Resolve any account names / asset symbols to proper object IDs.
     //    Some dApps send names like "alice" or symbols like "BTS" instead of
     //    numeric IDs like "1.2.xxx" / "1.3.0".  The BitShares node always
     //    rejects non-dotted strings with "Missing the first dot".
     await this._resolveOperationIds(tx.operations);
 
-    // 1. Fill required fees for every operation
+    // 1. Fill required fees for every operation, asking once per fee asset
+    //    so each operation is charged in the asset it chose to pay with
     try {
-      const feeAsset = await this.getAsset('1.3.0');
-      const requiredFees = await this.call(
-        this.apiIds.database,
-        'get_required_fees',
-        [tx.operations, feeAsset.id]
-      );
-      if (requiredFees && requiredFees.length === tx.operations.length) {
-        for (let i = 0; i < tx.operations.length; i++) {
-          const fee = requiredFees[i];
-          // For proposal_create, get_required_fees returns [proposal_fee, [inner_op_fees]].
-          // Only the first element is the proposal's own fee; inner fees are informational.
-          tx.operations[i][1].fee = Array.isArray(fee) ? fee[0] : fee;
+      const byFeeAsset = new Map();
+      tx.operations.forEach((op, index) => {
+        const feeAssetId = op[1].fee?.asset_id || '1.3.0';
+        if (!byFeeAsset.has(feeAssetId)) byFeeAsset.set(feeAssetId, []);
+        byFeeAsset.get(feeAssetId).push(index);
+      });
+      for (const [feeAssetId, indexes] of byFeeAsset) {
+        const requiredFees = await this.call(
+          this.apiIds.database,
+          'get_required_fees',
+          [indexes.map(index => tx.operations[index]), feeAssetId]
+        );
+        if (requiredFees && requiredFees.length === indexes.length) {
+          indexes.forEach((opIndex, i) => {
+            const fee = requiredFees[i];
+            // For proposal_create, get_required_fees returns [proposal_fee, [inner_op_fees]].
+            // Only the first element is the proposal's own fee; inner fees are informational.
+            tx.operations[opIndex][1].fee = Array.isArray(fee) ? fee[0] : fee;
+          });
         }
       }
     } catch (feeErr) {
@@ -974,10 +1326,10 @@ export class BitSharesAPI {
     const byte3 = parseInt(hexBytes.substring(6, 8), 16);
     const refBlockPrefix = ((byte0 | (byte1 << 8) | (byte2 << 16) | (byte3 << 24)) >>> 0);
     const expiration = new Date(
-      new Date(this.dynamicGlobalProperties.time + 'Z').getTime() + 30000
+      new Date(this.dynamicGlobalProperties.time + 'Z').getTime() + expirationSeconds * 1000
     ).toISOString().slice(0, -5);
 
-    const freshTx = {
+    return {
       ref_block_num: refBlockNum,
       ref_block_prefix: refBlockPrefix,
       expiration,
@@ -985,37 +1337,100 @@ export class BitSharesAPI {
       extensions: Array.isArray(tx.extensions) ? tx.extensions : [],
       signatures: []
     };
+  }
 
-    // 3. Sign
-    const signedTx = await this.signTransaction(freshTx, privateKeyWIF);
-
-    // 4. Broadcast
-    let result;
+  /**
+   * Broadcast an already signed transaction
+   */
+  async broadcastSignedTransaction(signedTx) {
     try {
-      result = await this.call(
-        this.apiIds.network,
-        'broadcast_transaction_with_callback',
-        [this.callId, signedTx]
-      );
+      return await this.broadcastWithCallback(signedTx);
     } catch (broadcastErr) {
       // Re-throw with the operation JSON attached so it's visible in the dApp
       // console (inpage.js propagates the message string back to the page).
       const opsJson = JSON.stringify(signedTx.operations, null, 2);
       throw new Error(`${broadcastErr.message}\n\n[ops JSON for diagnosis]:\n${opsJson}`);
     }
-    return result;
+  }
+
+  /**
+   * Broadcast via broadcast_transaction_with_callback and report the
+   * transaction's progress to the onTransaction listeners: 'pending' once the
+   * node accepts it, 'included' when the callback notice names its block.
+   * @returns {Promise<{id: string, expiration: string}>} receipt
+   */
+  async broadcastWithCallback(signedTx) {
+    const id = await this.getTransactionId(signedTx);
+    const chainId = this.chainId;
+    const callbackId = ++this.callId;
+
+    // The notice can arrive in the same read as the call's reply; hold it
+    // until 'pending' has been reported
+    let markAccepted;
+    const accepted = new Promise(resolve => { markAccepted = resolve; });
+
+    this.noticeCallbacks.set(callbackId, ([confirmation] = []) => {
+      this.noticeCallbacks.delete(callbackId);
+      accepted.then(() => BitSharesAPI.emitTransaction({
+        status: 'included',
+        id: confirmation?.id || id,
+        chainId,
+        block_num: confirmation?.block_num ?? null,
+        trx_in_block: confirmation?.trx_num ?? null
+      }));
+    });
+
+    try {
+      await this.call(this.apiIds.network, 'broadcast_transaction_with_callback', [callbackId, signedTx]);
+    } catch (error) {
+      this.noticeCallbacks.delete(callbackId);
+      throw error;
+    }
+
+    BitSharesAPI.emitTransaction({
+      status: 'pending',
+      id,
+      chainId,
+      expiration: signedTx.expiration,
+      operations: signedTx.operations.map(([type]) => type)
+    });
+    markAccepted();
+    return { id, expiration: signedTx.expiration };
+  }
+
+  /**
+   * Transaction id: the first 20 bytes of sha256 over the serialized
+   * transaction (signatures excluded)
+   */
+  async getTransactionId(transaction) {
+    const digest = await sha256(this.serializeTransaction(transaction));
+    return bytesToHex(digest).slice(0, 40);
+  }
+
+  /**
+   * Sign a complete transaction (with operations already set) and broadcast it.
+   * - Fills in required fees and fresh block headers (prepareTransaction)
+   * - Signs with the given private key(s)
+   * - Broadcasts via broadcast_transaction_with_callback
+   */
+  async signAndBroadcast(tx, privateKeyWIF) {
+    const freshTx = await this.prepareTransaction(tx);
+    const signedTx = await this.signTransaction(freshTx, privateKeyWIF);
+    return await this.broadcastSignedTransaction(signedTx);
   }
 
   /**
    * Sign a transaction using ECDSA with secp256k1
    */
-  async signTransaction(transaction, privateKeyWIF) {
+  async signTransaction(transaction, privateKeyWIF, chainId = this.chainId) {
+    // One WIF or a list of them (multisig / several required authorities)
+    const wifs = Array.isArray(privateKeyWIF) ? privateKeyWIF : [privateKeyWIF];
     try {
       // 1. Serialize the transaction
       const serializedTx = this.serializeTransaction(transaction);
 
       // 2. Prepare message: ChainID + SerializedTx
-      const chainIdBytes = hexToBytes(this.chainId);
+      const chainIdBytes = hexToBytes(chainId);
       const messageBytes = new Uint8Array(chainIdBytes.length + serializedTx.length);
       messageBytes.set(chainIdBytes);
       messageBytes.set(serializedTx, chainIdBytes.length);
@@ -1023,9 +1438,12 @@ export class BitSharesAPI {
       // 3. Hash the message (SHA256)
       const msgHash = await sha256(messageBytes);
 
-      // 4. Sign the hash using our CryptoUtils
-      const signature = await CryptoUtils.signHash(msgHash, privateKeyWIF);
-      transaction.signatures = [bytesToHex(signature)];
+      // 4. Sign the hash with every key using our CryptoUtils
+      transaction.signatures = [];
+      for (const wif of wifs) {
+        const signature = await CryptoUtils.signHash(msgHash, wif);
+        transaction.signatures.push(bytesToHex(signature));
+      }
 
       return transaction;
     } catch (error) {
@@ -1315,6 +1733,23 @@ serializeOperationData(opType, opData) {
     return this.concatBytes(buffers);
   }
 
+  /**
+   * Decode bytes produced by serializeTransaction back into a transaction
+   * object — used to show exactly what is about to be signed
+   * @param {Uint8Array|string} bytes - serialized transaction (bytes or hex)
+   * @param {string} prefix - public key prefix ('BTS' or 'TEST')
+   */
+  deserializeTransaction(bytes, prefix = 'BTS') {
+    return TransactionDeserializer.deserializeTransaction(bytes, prefix);
+  }
+
+  /**
+   * Decode bytes produced by serializeOperationData for the given op type
+   */
+  deserializeOperationData(opType, bytes, prefix = 'BTS') {
+    return TransactionDeserializer.deserializeOperationData(opType, bytes, prefix);
+  }
+
   /**
    * Serialize transfer operation
    */
@@ -1506,7 +1941,7 @@ serializeOperationData(opType, opData) {
    * Serialize one limit_order_auto_action (static_variant).
    * Currently only type 0 = create_take_profit_order_action is defined.
    * bitsharesjs format: [typeIndex, {fee_asset_id, spread_percent, size_percent,
-   *                                   expiration_seconds, repeat}]
+   *                                   expiration_seconds, repeat, extensions}]
    *   or plain object with a `type` field.
    */
   serializeLimitOrderAutoAction(action) {
@@ -1520,6 +1955,7 @@ serializeOperationData(opType, opData) {
       buffers.push(this.writeUint16LE(d.size_percent ?? 0));
       buffers.push(this.writeUint32LE(d.expiration_seconds ?? 0));
       buffers.push(new Uint8Array([d.repeat ? 1 : 0]));
+      buffers.push(this.encodeVarint(0)); // extensions
     }
     // Unknown future types: only the type varint is emitted (best-effort).
     return this.concatBytes(buffers);
@@ -1735,18 +2171,21 @@ serializeOperationData(opType, opData) {
     buffers.push(this.writeUint16LE(opts.num_committee || 0));
     // votes: set of vote_id (each is a uint32 encoded as varint in the bitshares serializer)
     const votes = opts.votes || [];
-    buffers.push(this.encodeVarint(votes.length));
-    for (const vote of votes) {
-      // vote_id is "type:instance" string, serialized as uint32
-      // type = lower 8 bits, instance = upper 24 bits (per graphene vote_id_type)
-      let voteInt;
+    // vote_id is "type:instance" string, serialized as uint32
+    // type = lower 8 bits, instance = upper 24 bits (per graphene vote_id_type)
+    const voteInts = votes.map(vote => {
       if (typeof vote === 'string' && vote.includes(':')) {
         const [type, instance] = vote.split(':').map(Number);
-        voteInt = (type & 0xff) | ((instance & 0xffffff) << 8);
-      } else {
-        voteInt = Number(vote) || 0;
+        return ((type & 0xff) | ((instance & 0xffffff) << 8)) >>> 0;
       }
-      buffers.push(this.writeUint32LE(voteInt >>> 0));
+      return (Number(vote) || 0) >>> 0;
+    });
+    // flat_set order: the node re-serializes votes sorted by their uint32 value,
+    // so an unsorted set would sign a different digest than the node verifies
+    voteInts.sort((a, b) => a - b);
+    buffers.push(this.encodeVarint(voteInts.length));
+    for (const voteInt of voteInts) {
+      buffers.push(this.writeUint32LE(voteInt));
     }
     // extensions (empty set)
     buffers.push(this.encodeVarint(0));
@@ -1993,7 +2432,7 @@ serializeOperationData(opType, opData) {
   serializeFillOrderOp(op) {
     const buffers = [];
     buffers.push(this.serializeAssetAmount(op.fee));
-    buffers.push(this.serializeObjectId(op.order_id));
+    buffers.push(this.serializeObjectIdType(op.order_id));
     buffers.push(this.serializeObjectId(op.account_id));
     buffers.push(this.serializeAssetAmount(op.pays));
     buffers.push(this.serializeAssetAmount(op.receives));
@@ -2280,16 +2719,25 @@ serializeOperationData(opType, opData) {
    *   key_approvals_to_remove, extensions }
    */
   serializeProposalUpdateOp(op) {
+    // flat_set order: account ids by instance, keys by their compressed bytes
+    const ids = (arr) => [...(arr || [])]
+      .sort((a, b) => this.extractId(a) - this.extractId(b))
+      .map(id => this.serializeObjectId(id));
+    const keys = (arr) => [...(arr || [])]
+      .map(k => this.serializePublicKey(k))
+      .sort((a, b) => bytesToHex(a).localeCompare(bytesToHex(b)));
+    const set = (items) => this.serializeSet(items, bytes => bytes);
+
     const buffers = [];
     buffers.push(this.serializeAssetAmount(op.fee));
     buffers.push(this.serializeObjectId(op.fee_paying_account));
     buffers.push(this.serializeObjectId(op.proposal));
-    buffers.push(this.serializeSet(op.active_approvals_to_add || [], id => this.serializeObjectId(id)));
-    buffers.push(this.serializeSet(op.active_approvals_to_remove || [], id => this.serializeObjectId(id)));
-    buffers.push(this.serializeSet(op.owner_approvals_to_add || [], id => this.serializeObjectId(id)));
-    buffers.push(this.serializeSet(op.owner_approvals_to_remove || [], id => this.serializeObjectId(id)));
-    buffers.push(this.serializeSet(op.key_approvals_to_add || [], k => this.serializePublicKey(k)));
-    buffers.push(this.serializeSet(op.key_approvals_to_remove || [], k => this.serializePublicKey(k)));
+    buffers.push(set(ids(op.active_approvals_to_add)));
+    buffers.push(set(ids(op.active_approvals_to_remove)));
+    buffers.push(set(ids(op.owner_approvals_to_add)));
+    buffers.push(set(ids(op.owner_approvals_to_remove)));
+    buffers.push(set(keys(op.key_approvals_to_add)));
+    buffers.push(set(keys(op.key_approvals_to_remove)));
     buffers.push(this.encodeVarint(0)); // extensions
     return this.concatBytes(buffers);
   }
@@ -2404,20 +2852,75 @@ serializeOperationData(opType, opData) {
   /**
    * Serialize committee_member_update_global_parameters operation (op 31)
    * { fee, new_parameters }
-   * Note: chain_parameters is complex; we serialize what we can
    */
   serializeCommitteeMemberUpdateGlobalParametersOp(op) {
-    // This is an extremely complex operation used only by committee members.
-    // Provide best-effort serialization.
-    const buffers = [];
-    buffers.push(this.serializeAssetAmount(op.fee));
-    // new_parameters is serialized as a raw JSON blob here as it's rarely
-    // used via wallet extensions; a full implementation would need to match
-    // the chain_parameters serializer exactly.
-    const params = op.new_parameters || {};
-    const encoded = new TextEncoder().encode(JSON.stringify(params));
-    buffers.push(this.encodeVarint(encoded.length));
-    buffers.push(encoded);
+    return this.concatBytes([
+      this.serializeAssetAmount(op.fee),
+      this.serializeChainParameters(op.new_parameters || {})
+    ]);
+  }
+
+  /**
+   * Serialize chain_parameters, fee schedule first
+   * { current_fees: { parameters: [[opType, {fee, ...}], ...], scale }, block_interval, ... }
+   */
+  serializeChainParameters(params) {
+    if (params.extensions && Object.keys(params.extensions).length > 0) {
+      throw new Error('chain_parameters extensions are not supported');
+    }
+    const buffers = [this.serializeFeeSchedule(params.current_fees || {})];
+    buffers.push(this.writeUint8(params.block_interval));
+    buffers.push(this.writeUint32LE(params.maintenance_interval));
+    buffers.push(this.writeUint8(params.maintenance_skip_slots));
+    buffers.push(this.writeUint32LE(params.committee_proposal_review_period));
+    buffers.push(this.writeUint32LE(params.maximum_transaction_size));
+    buffers.push(this.writeUint32LE(params.maximum_block_size));
+    buffers.push(this.writeUint32LE(params.maximum_time_until_expiration));
+    buffers.push(this.writeUint32LE(params.maximum_proposal_lifetime));
+    buffers.push(this.writeUint8(params.maximum_asset_whitelist_authorities));
+    buffers.push(this.writeUint8(params.maximum_asset_feed_publishers));
+    buffers.push(this.writeUint16LE(params.maximum_witness_count));
+    buffers.push(this.writeUint16LE(params.maximum_committee_count));
+    buffers.push(this.writeUint16LE(params.maximum_authority_membership));
+    buffers.push(this.writeUint16LE(params.reserve_percent_of_fee));
+    buffers.push(this.writeUint16LE(params.network_percent_of_fee));
+    buffers.push(this.writeUint16LE(params.lifetime_referrer_percent_of_fee));
+    buffers.push(this.writeUint32LE(params.cashback_vesting_period_seconds));
+    buffers.push(this.writeInt64LE(params.cashback_vesting_threshold));
+    buffers.push(this.writeUint8(params.count_non_member_votes ? 1 : 0));
+    buffers.push(this.writeUint8(params.allow_non_member_whitelists ? 1 : 0));
+    buffers.push(this.writeInt64LE(params.witness_pay_per_block));
+    buffers.push(this.writeInt64LE(params.worker_budget_per_day));
+    buffers.push(this.writeUint16LE(params.max_predicate_opcode));
+    buffers.push(this.writeInt64LE(params.fee_liquidation_threshold));
+    buffers.push(this.writeUint16LE(params.accounts_per_fee_scale));
+    buffers.push(this.writeUint8(params.account_fee_scale_bitshifts));
+    buffers.push(this.writeUint8(params.max_authority_depth));
+    buffers.push(this.encodeVarint(0)); // extensions
+    return this.concatBytes(buffers);
+  }
+
+  /**
+   * Serialize a fee_schedule: the fee parameters of each operation type,
+   * ordered by type, then the scale
+   */
+  serializeFeeSchedule(feeSchedule) {
+    const parameters = [...(feeSchedule.parameters || [])].sort(([a], [b]) => a - b);
+    const buffers = [this.encodeVarint(parameters.length)];
+    parameters.forEach(([type, values], i) => {
+      const fields = FEE_PARAMETER_FIELDS[type];
+      if (!fields) throw new Error(`Unknown fee parameters for operation ${type}`);
+      if (i > 0 && parameters[i - 1][0] === type) {
+        throw new Error(`Duplicate fee parameters for operation ${type}`);
+      }
+      buffers.push(this.encodeVarint(type));
+      for (const [name, size] of fields) {
+        const value = values?.[name];
+        if (value === undefined) throw new Error(`Missing ${name} in fee parameters for operation ${type}`);
+        buffers.push(size === '32' ? this.writeUint32LE(Number(value)) : this.writeUint64LE(value));
+      }
+    });
+    buffers.push(this.writeUint32LE(feeSchedule.scale ?? 0));
     return this.concatBytes(buffers);
   }
 
@@ -2917,8 +3420,8 @@ serializeOperationData(opType, opData) {
 
   /**
    * Serialize liquidity_pool_update operation (op 75)
-   * { fee, account, pool, new_taker_fee_percent (Optional<Uint16>),
-   *   new_withdrawal_fee_percent (Optional<Uint16>), extensions }
+   * { fee, account, pool, taker_fee_percent (Optional<Uint16>),
+   *   withdrawal_fee_percent (Optional<Uint16>), extensions }
    */
   serializeLiquidityPoolUpdateOp(op) {
     const buffers = [];
@@ -2926,11 +3429,11 @@ serializeOperationData(opType, opData) {
     buffers.push(this.serializeObjectId(op.account));
     buffers.push(this.serializeObjectId(op.pool));
     buffers.push(this.serializeOptional(
-      op.new_taker_fee_percent ?? null,
+      op.taker_fee_percent ?? null,
       v => this.writeUint16LE(v)
     ));
     buffers.push(this.serializeOptional(
-      op.new_withdrawal_fee_percent ?? null,
+      op.withdrawal_fee_percent ?? null,
       v => this.writeUint16LE(v)
     ));
     buffers.push(this.encodeVarint(0)); // extensions
@@ -3142,12 +3645,12 @@ serializeOperationData(opType, opData) {
 
   /**
    * Serialize credit_deal_update operation (op 76)
-   * { fee, borrower, deal_id, auto_repay, extensions }
+   * { fee, account, deal_id, auto_repay, extensions }
    */
   serializeCreditDealUpdateOp(op) {
     const buffers = [];
     buffers.push(this.serializeAssetAmount(op.fee));
-    buffers.push(this.serializeObjectId(op.borrower));
+    buffers.push(this.serializeObjectId(op.account));
     buffers.push(this.serializeObjectId(op.deal_id));
     buffers.push(this.writeUint8(op.auto_repay ?? 0));
     buffers.push(this.encodeVarint(0)); // extensions
@@ -3191,6 +3694,15 @@ serializeOperationData(opType, opData) {
     return this.encodeVarint(instance);
   }
 
+  /**
+   * Serialize a generic object_id_type: space, type and instance packed into
+   * one uint64 (e.g. "1.7.5" -> 0x0107000000000005)
+   */
+  serializeObjectIdType(objectId) {
+    const [space, type, instance] = objectId.split('.').map(BigInt);
+    return this.writeUint64LE((space << 56n) | (type << 48n) | instance);
+  }
+
   /**
    * Serialize memo object
    */
@@ -3235,17 +3747,10 @@ serializeOperationData(opType, opData) {
    * Serialize public key
    */
   serializePublicKey(publicKey) {
-    // Remove known network prefix (BTS/TEST/GPH) and decode
-    for (const prefix of ['TEST', 'BTS', 'GPH']) {
-      if (publicKey.startsWith(prefix)) {
-        publicKey = publicKey.substring(prefix.length);
-        break;
-      }
-    }
-    // Base58 decode and return 33 bytes
-    const decoded = this.base58Decode(publicKey);
-    // Remove checksum (last 4 bytes)
-    return decoded.slice(0, 33);
+    // 33 key bytes, whatever the network prefix (BTS/TEST/a private chain's)
+    const parsed = CryptoUtils.parsePublicKey(publicKey);
+    if (!parsed) throw new Error(`Invalid public key: ${publicKey}`);
+    return parsed.bytes;
   }
 
   /**
@@ -3436,23 +3941,104 @@ serializeOperationData(opType, opData) {
     }
   }
 
+  /**
+   * Most recent fills of a market, newest first
+   * @returns {Promise<Array<{date: string, price: string, amount: string, value: string, ...}>>}
+   *   amount in quote, value in base
+   */
+  async getTradeHistory(baseAsset, quoteAsset, limit = 25) {
+    const now = new Date().toISOString().slice(0, -5);
+    const trades = await this.call(
+      this.apiIds.database,
+      'get_trade_history',
+      [baseAsset, quoteAsset, now, '1970-01-01T00:00:00', limit]
+    );
+    return trades || [];
+  }
+
+  /**
+   * Open limit orders (1.7.x) of an account, across all markets
+   */
+  async getAccountLimitOrders(accountId) {
+    const orders = await this.call(this.apiIds.database, 'get_limit_orders_by_account', [accountId, 101]);
+    return orders || [];
+  }
+
+  /**
+   * Debt positions (call orders, 1.8.x) of an account, one per smartcoin
+   */
+  async getAccountCallOrders(accountId) {
+    const orders = await this.call(this.apiIds.database, 'get_call_orders_by_account', [accountId, '1.3.0', 101]);
+    return orders || [];
+  }
+
+  /**
+   * Bitasset data (2.4.x) of smartcoins, read fresh: feeds change every few minutes
+   * @param {string[]} ids - bitasset_data_id of each asset
+   */
+  async getBitassetData(ids) {
+    if (!ids.length) return [];
+    return await this.call(this.apiIds.database, 'get_objects', [ids]) || [];
+  }
+
+  /**
+   * Dynamic data (2.3.x) of assets — current supply, fee pool — read fresh
+   * @param {string[]} ids - dynamic_asset_data_id of each asset
+   */
+  async getAssetDynamicData(ids) {
+    if (!ids.length) return [];
+    return await this.call(this.apiIds.database, 'get_objects', [ids]) || [];
+  }
+
+  /**
+   * Pending settle orders (force_settlement_object, 1.4.x) of an account
+   */
+  async getAccountSettleOrders(accountId) {
+    const orders = await this.call(this.apiIds.database, 'get_settle_orders_by_account', [accountId, null, 101]);
+    return orders || [];
+  }
+
+  /**
+   * Collateral bids (1.17.x) on a globally settled asset, most collateral
+   * per debt first
+   */
+  async getCollateralBids(assetId, limit = 100) {
+    const bids = await this.call(this.apiIds.database, 'get_collateral_bids', [assetId, limit, 0]);
+    return bids || [];
+  }
+
+  /**
+   * Open limit orders (1.7.x) of a market, both sides, best price first
+   */
+  async getLimitOrders(assetA, assetB, limit = 100) {
+    const orders = await this.call(this.apiIds.database, 'get_limit_orders', [assetA, assetB, limit]);
+    return orders || [];
+  }
+
+  /**
+   * Every liquidity pool (1.19.x) on the chain, paged by id
+   */
+  async getLiquidityPools() {
+    const pools = [];
+    let start = null;
+    for (;;) {
+      const page = await this.call(this.apiIds.database, 'list_liquidity_pools', [101, start, false]) || [];
+      // Pages start at start_id itself
+      const fresh = start ? page.filter(pool => pool.id !== start) : page;
+      pools.push(...fresh);
+      if (page.length < 101 || fresh.length === 0) return pools;
+      start = page[page.length - 1].id;
+    }
+  }
+
   // === Subscription Methods ===
 
   /**
-   * Subscribe to account changes
+   * Subscribe to account changes (in place of any accounts subscribed before)
    */
   async subscribeToAccount(accountId, callback) {
     try {
-      await this.call(
-        this.apiIds.database,
-        'set_subscribe_callback',
-        [this.callId, false]
-      );
-      
-      // Register callback for this subscription
-      this.subscriptionCallbacks = this.subscriptionCallbacks || new Map();
-      this.subscriptionCallbacks.set(accountId, callback);
-      
+      await this.subscribeToAccounts([accountId], (_accountId, objects) => callback(objects));
       return true;
     } catch (error) {
       console.error('Subscribe to account error:', error);
@@ -3460,6 +4046,46 @@ serializeOperationData(opType, opData) {
     }
   }
 
+  /**
+   * Subscribe to accounts and the objects they own (statistics, balances,
+   * orders) with get_full_accounts. `callback(accountId, objects)` receives
+   * each account's share of a notice; removed objects arrive as their id
+   * and go to every subscribed account. The accounts replace those of an
+   * earlier call, whose notices are no longer handed out.
+   * @returns {Promise<Object[]>} the full accounts: { account, statistics, balances, limit_orders, call_orders, ... }
+   */
+  async subscribeToAccounts(accountIds, callback) {
+    this.subscriptionCallbacks = new Map(accountIds.map(accountId => [accountId, callback]));
+    if (!accountIds.length) return [];
+
+    if (this.subscribeCallbackId === null) {
+      const callbackId = ++this.callId;
+      this.noticeCallbacks.set(callbackId, ([objects] = []) => this.dispatchSubscription(objects || []));
+      await this.call(this.apiIds.database, 'set_subscribe_callback', [callbackId, false]);
+      this.subscribeCallbackId = callbackId;
+    }
+
+    const results = await this.call(this.apiIds.database, 'get_full_accounts', [accountIds, true]);
+    return (results || []).map(([, full]) => full);
+  }
+
+  /**
+   * Hand each subscribed account the changed objects that belong to it
+   */
+  dispatchSubscription(objects) {
+    for (const [accountId, callback] of this.subscriptionCallbacks) {
+      const owned = objects.filter(object => typeof object === 'string' ||
+        object.id === accountId ||
+        [object.owner, object.seller, object.borrower, object.account].includes(accountId));
+      if (!owned.length) continue;
+      try {
+        callback(accountId, owned);
+      } catch (error) {
+        console.error('Subscription callback error:', error);
+      }
+    }
+  }
+
   /**
    * Unsubscribe from all
    */
@@ -3470,7 +4096,9 @@ serializeOperationData(opType, opData) {
         'cancel_all_subscriptions',
         []
       );
-      this.subscriptionCallbacks?.clear();
+      this.subscriptionCallbacks.clear();
+      if (this.subscribeCallbackId !== null) this.noticeCallbacks.delete(this.subscribeCallbackId);
+      this.subscribeCallbackId = null;
       return true;
     } catch (error) {
       console.error('Unsubscribe error:', error);
@@ -0,0 +1,144 @@
+/**
+ * Claimable Balances
+ * Funds an account can move into its own balance:
+ *   balance_object (1.15.x)          genesis / imported balances, owned by an
+ *                                    address of a key (see CryptoUtils.publicKeyAddresses);
+ *                                    claimed with balance_claim (op 37)
+ *   vesting_balance_object (1.13.x)  cashback, worker pay, witness pay, market
+ *                                    fee sharing, owned by an account;
+ *                                    withdrawn with vesting_balance_withdraw (op 33)
+ *
+ * What is withdrawable now follows the chain's vesting policies
+ * (bitshares-core vesting_balance_object.cpp):
+ *   linear  [0]  begin_balance vests evenly over vesting_duration_seconds,
+ *                nothing before vesting_cliff_seconds
+ *   cdd     [1]  coin-seconds earned / vesting_seconds, nothing before start_claim
+ *   instant [2]  all of it
+ * A balance_object may carry a linear policy of its own; a vesting one can
+ * only be claimed once a day.
+ */
+
+export const VESTING_POLICY = Object.freeze({ LINEAR: 0, CDD: 1, INSTANT: 2 });
+
+const CLAIM_INTERVAL_SECONDS = 24 * 60 * 60;
+
+/**
+ * Seconds since the epoch of a chain timestamp ('2026-01-01T00:00:00', UTC) or a Date
+ */
+function toSeconds(time) {
+  if (time instanceof Date) return Math.floor(time.getTime() / 1000);
+  const text = String(time);
+  return Math.floor(Date.parse(/Z$/.test(text) ? text : text + 'Z') / 1000);
+}
+
+const big = value => BigInt(String(value ?? 0));
+
+function clamp(amount, balance) {
+  if (amount < 0n) return 0n;
+  return amount > balance ? balance : amount;
+}
+
+export class ClaimableBalances {
+  /**
+   * Amount a linear vesting policy lets go of
+   * @returns {bigint}
+   */
+  static linearAllowed(policy, balance, now) {
+    const elapsed = toSeconds(now) - toSeconds(policy.begin_timestamp);
+    if (elapsed <= 0 || elapsed < Number(policy.vesting_cliff_seconds || 0)) return 0n;
+
+    const beginBalance = big(policy.begin_balance);
+    const duration = Number(policy.vesting_duration_seconds || 0);
+    const vested = elapsed < duration ? beginBalance * BigInt(elapsed) / BigInt(duration) : beginBalance;
+    const withdrawn = beginBalance - balance;
+    return clamp(vested - withdrawn, balance);
+  }
+
+  /**
+   * Amount a coin-days-destroyed policy lets go of
+   * @returns {bigint}
+   */
+  static cddAllowed(policy, balance, now) {
+    const nowSeconds = toSeconds(now);
+    if (nowSeconds <= toSeconds(policy.start_claim)) return 0n;
+
+    const vestingSeconds = BigInt(Math.max(Number(policy.vesting_seconds || 0), 1));
+    const elapsed = BigInt(Math.max(nowSeconds - toSeconds(policy.coin_seconds_earned_last_update), 0));
+    const cap = balance * vestingSeconds;
+    let earned = big(policy.coin_seconds_earned) + balance * elapsed;
+    if (earned > cap) earned = cap;
+    return clamp(earned / vestingSeconds, balance);
+  }
+
+  /**
+   * Withdrawable amount of a vesting_balance_object, in base units
+   * @param {Object} vestingBalance - { balance: {amount, asset_id}, policy: [type, policy] }
+   * @param {string|Date} now - head block time
+   */
+  static vestingWithdrawable(vestingBalance, now) {
+    const balance = big(vestingBalance.balance?.amount);
+    const [type, policy] = vestingBalance.policy || [VESTING_POLICY.INSTANT, {}];
+    switch (type) {
+      case VESTING_POLICY.LINEAR: return Number(this.linearAllowed(policy, balance, now));
+      case VESTING_POLICY.CDD: return Number(this.cddAllowed(policy, balance, now));
+      case VESTING_POLICY.INSTANT: return Number(balance);
+      default: return 0;
+    }
+  }
+
+  /**
+   * Claimable amount of a balance_object, in base units
+   * @param {Object} balanceObject - { balance: {amount, asset_id}, vesting_policy?, last_claim_date }
+   * @param {string|Date} now - head block time
+   */
+  static balanceClaimable(balanceObject, now) {
+    const balance = big(balanceObject.balance?.amount);
+    if (!balanceObject.vesting_policy) return Number(balance);
+
+    const available = this.linearAllowed(balanceObject.vesting_policy, balance, now);
+    const sinceLastClaim = toSeconds(now) - toSeconds(balanceObject.last_claim_date || '1970-01-01T00:00:00');
+    // The chain checks the interval for every vesting balance, fully vested or not
+    if (sinceLastClaim < CLAIM_INTERVAL_SECONDS) return 0;
+    return Number(available);
+  }
+
+  /**
+   * What a vesting balance pays out: 'cashback', 'worker', 'witness',
+   * 'market_fee_sharing' or 'vesting' when the node does not say
+   * @param {Object} vestingBalance
+   * @param {Object} [account] - the owner, whose cashback_vb names its cashback balance
+   */
+  static vestingKind(vestingBalance, account = null) {
+    const type = vestingBalance.balance_type;
+    if (type && type !== 'unspecified') return type;
+    if (account?.cashback_vb && account.cashback_vb === vestingBalance.id) return 'cashback';
+    return 'vesting';
+  }
+
+  /**
+   * Operations claiming every item with something claimable, in one
+   * transaction. Balance claims come first: they pay no fee and can fund the
+   * withdrawals' fees.
+   * @param {Array<{type: 'balance'|'vesting', id: string, accountId: string, ownerKey?: string,
+   *   balance: {asset_id: string}, claimable: number}>} items
+   * @returns {Array} [[opType, opData], ...]
+   */
+  static claimOperations(items) {
+    const claims = items.filter(item => item.claimable > 0);
+    return [
+      ...claims.filter(item => item.type === 'balance').map(item => [37, {
+        fee: { amount: 0, asset_id: '1.3.0' },
+        deposit_to_account: item.accountId,
+        balance_to_claim: item.id,
+        balance_owner_key: item.ownerKey,
+        total_claimed: { amount: item.claimable, asset_id: item.balance.asset_id }
+      }]),
+      ...claims.filter(item => item.type === 'vesting').map(item => [33, {
+        fee: { amount: 0, asset_id: '1.3.0' },
+        vesting_balance: item.id,
+        owner: item.accountId,
+        amount: { amount: item.claimable, asset_id: item.balance.asset_id }
+      }])
+    ];
+  }
+}
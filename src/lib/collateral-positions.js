@@ -0,0 +1,284 @@
+/**
+ * Collateral Positions
+ * Debt positions (call_order_object, 1.8.x) of smartcoins, valued against the
+ * asset's price feed the way the chain does:
+ *
+ *   collateral ratio    CR = collateral / (debt × feed price)
+ *   margin called       CR < MCR (maintenance_collateral_ratio)
+ *   liquidation price   the feed price at which CR falls to MCR
+ *
+ * The feed's settlement_price relates the smartcoin (debt) to its backing
+ * asset (collateral); either may be its base. Prices here are in debt per
+ * collateral ("1 BTS = 0.03 USD"), as { debt, collateral } base-unit pairs.
+ * Ratios on chain are in thousandths (1750 = 1.75×), like the MCR, MSSR,
+ * ICR and a position's target_collateral_ratio.
+ *
+ * A position is changed with call_order_update (op 3), whose deltas add to
+ * (or, negative, take from) its collateral and debt. Borrowing issues new
+ * smartcoins to the account and repaying burns them. An update that lowers
+ * the CR must leave it at or above the ICR (initial_collateral_ratio, else
+ * the MCR). Every update replaces the target ratio, so the current one is
+ * carried along unless it is changed.
+ */
+
+export const POSITION_ALERTS_KEY = 'positionAlerts'; // { [chainId]: { [callOrderId]: status } }
+
+export const POSITION_STATUS = Object.freeze({
+  OK: 'ok',
+  WARNING: 'warning',
+  MARGIN_CALL: 'margin_call',
+  NO_FEED: 'no_feed'
+});
+
+// A position is flagged once its CR is within this many percent above the MCR
+export const MARGIN_WARNING_PERCENT = 10;
+
+const RATIO_DENOM = 1000n;
+const MAX_RATIO = 65535n; // target_collateral_ratio is a uint16
+
+const SEVERITY = {
+  [POSITION_STATUS.OK]: 0,
+  [POSITION_STATUS.NO_FEED]: 0,
+  [POSITION_STATUS.WARNING]: 1,
+  [POSITION_STATUS.MARGIN_CALL]: 2
+};
+
+const big = value => BigInt(String(value ?? 0));
+
+function toSafeNumber(value) {
+  if (value > BigInt(Number.MAX_SAFE_INTEGER) || value < -BigInt(Number.MAX_SAFE_INTEGER)) {
+    throw new Error('Amount exceeds maximum allowed value');
+  }
+  return Number(value);
+}
+
+/**
+ * collateral / (debt × price) in thousandths, rounded down
+ */
+function ratioUnits(collateral, debt, feed) {
+  return collateral * feed.debt * RATIO_DENOM / (debt * feed.collateral);
+}
+
+export class CollateralPositions {
+  /**
+   * The feed price of a bitasset, or null without a valid feed
+   * @param {Object} bitasset - asset_bitasset_data_object
+   * @returns {{debt: bigint, collateral: bigint}|null}
+   */
+  static feedPrice(bitasset) {
+    return this.debtPrice(bitasset?.current_feed?.settlement_price, bitasset?.asset_id);
+  }
+
+  /**
+   * A price between a smartcoin and its collateral as { debt, collateral }
+   * base units, whichever side is its base; null when either side is empty
+   * @param {{base: Object, quote: Object}} price
+   * @param {string} debtAssetId - the smartcoin
+   */
+  static debtPrice(price, debtAssetId) {
+    if (!price?.base || !price?.quote) return null;
+    const [debt, collateral] = price.base.asset_id === debtAssetId
+      ? [big(price.base.amount), big(price.quote.amount)]
+      : [big(price.quote.amount), big(price.base.amount)];
+    return debt > 0n && collateral > 0n ? { debt, collateral } : null;
+  }
+
+  /**
+   * MCR, MSSR and ICR of the current feed, in thousandths
+   * @returns {{mcr: number, mssr: number, icr: number}}
+   */
+  static ratios(bitasset) {
+    const feed = bitasset?.current_feed || {};
+    const mcr = Number(feed.maintenance_collateral_ratio || 1750);
+    return {
+      mcr,
+      mssr: Number(feed.maximum_short_squeeze_ratio || 1100),
+      icr: Number(feed.initial_collateral_ratio || mcr)
+    };
+  }
+
+  /**
+   * Whether the asset was globally settled: positions are closed and new
+   * ones cannot be opened until it is revived
+   */
+  static globallySettled(bitasset) {
+    return big(bitasset?.settlement_fund) > 0n || big(bitasset?.settlement_price?.base?.amount) > 0n;
+  }
+
+  /**
+   * A position's collateral ratio, liquidation price and status
+   * @param {{collateral: number|string, debt: number|string, target_collateral_ratio?: number}} position -
+   *   a call order, or the totals it would have after an update
+   * @param {Object} bitasset - asset_bitasset_data_object of the debt asset
+   * @returns {{id: string|null, borrower: string|null, collateral: Object, debt: Object,
+   *   ratio: number|null, targetRatio: number|null,
+   *   mcr: number, mssr: number, icr: number, feedPrice: Object|null,
+   *   liquidationPrice: Object|null, status: string}}
+   *   amounts as {amount, asset_id}; ratio and targetRatio in thousandths,
+   *   ratio null without feed or debt; prices as {debt, collateral} base units
+   */
+  static describe(position, bitasset) {
+    const collateral = big(position.collateral);
+    const debt = big(position.debt);
+    const { mcr, mssr, icr } = this.ratios(bitasset);
+    const feed = this.feedPrice(bitasset);
+
+    let ratio = null;
+    let status = POSITION_STATUS.NO_FEED;
+    if (feed && debt > 0n) {
+      ratio = ratioUnits(collateral, debt, feed);
+      // Compared exactly: the rounded ratio may hide a CR just below the MCR
+      const held = collateral * feed.debt * RATIO_DENOM * 100n;
+      const needed = debt * feed.collateral * BigInt(mcr);
+      if (held < needed * 100n) status = POSITION_STATUS.MARGIN_CALL;
+      else if (held < needed * BigInt(100 + MARGIN_WARNING_PERCENT)) status = POSITION_STATUS.WARNING;
+      else status = POSITION_STATUS.OK;
+    }
+
+    const target = position.target_collateral_ratio;
+    return {
+      id: position.id || null,
+      borrower: position.borrower || null,
+      collateral: { amount: toSafeNumber(collateral), asset_id: bitasset.options.short_backing_asset },
+      debt: { amount: toSafeNumber(debt), asset_id: bitasset.asset_id },
+      ratio: ratio === null ? null : Number(ratio),
+      targetRatio: target === undefined || target === null ? null : Number(target),
+      mcr,
+      mssr,
+      icr,
+      feedPrice: feed,
+      liquidationPrice: collateral > 0n && debt > 0n
+        ? { debt: debt * BigInt(mcr), collateral: collateral * RATIO_DENOM }
+        : null,
+      status
+    };
+  }
+
+  /**
+   * Value call orders against the current feeds of their smartcoins
+   * @param {BitSharesAPI} api - connected
+   * @param {Object[]} callOrders
+   * @returns {Promise<Array<{position: Object, asset: Object, collateralAsset: Object, bitasset: Object}>>}
+   *   in the order of callOrders; asset is the smartcoin owed
+   */
+  static async load(api, callOrders) {
+    if (!callOrders.length) return [];
+    const byId = list => new Map(list.filter(Boolean).map(object => [object.id, object]));
+    // call_price is collateral (base) per debt (quote)
+    const assets = byId(await api.getAssets(callOrders.map(order => order.call_price.quote.asset_id)));
+    const bitassets = byId(await api.getBitassetData([...new Set([...assets.values()].map(a => a.bitasset_data_id))]));
+    const collateralAssets = byId(await api.getAssets([...bitassets.values()].map(b => b.options.short_backing_asset)));
+
+    return callOrders.map(callOrder => {
+      const asset = assets.get(callOrder.call_price.quote.asset_id);
+      const bitasset = bitassets.get(asset.bitasset_data_id);
+      return {
+        position: this.describe(callOrder, bitasset),
+        asset,
+        collateralAsset: collateralAssets.get(bitasset.options.short_backing_asset),
+        bitasset
+      };
+    });
+  }
+
+  /**
+   * A ratio typed as a multiple ('1.75') in thousandths
+   * @throws {Error} when not a positive multiple with at most three decimals
+   */
+  static parseRatio(value) {
+    const text = String(value ?? '').trim();
+    const match = /^(\d*)(?:\.(\d{0,3}))?$/.exec(text);
+    if (!match || text === '' || text === '.') throw new Error('Collateral ratio must be a number like 1.75');
+    const units = BigInt(match[1] || '0') * RATIO_DENOM + BigInt((match[2] || '').padEnd(3, '0'));
+    if (units <= 0n || units > MAX_RATIO) throw new Error('Collateral ratio must be between 0.001 and 65.535');
+    return Number(units);
+  }
+
+  /**
+   * Thousandths as a multiple, e.g. 1750 → '1.75'
+   */
+  static formatRatio(units) {
+    return String(Number(units) / 1000);
+  }
+
+  /**
+   * The call_order_update operation (without fee) for a change to a position
+   * @param {Object} params
+   * @param {string} params.accountId - funding account
+   * @param {Object|null} params.callOrder - the current position, null to open one
+   * @param {Object} params.bitasset - asset_bitasset_data_object of the debt asset
+   * @param {number|bigint} [params.deltaCollateral] - base units to add (negative: withdraw)
+   * @param {number|bigint} [params.deltaDebt] - base units to borrow (negative: repay)
+   * @param {number|null} [params.targetRatio] - thousandths; null clears it,
+   *   undefined keeps the position's
+   * @returns {{funding_account: string, delta_collateral: Object, delta_debt: Object, extensions: Object}}
+   * @throws {Error} when the chain would refuse the update
+   */
+  static updateOperation({ accountId, callOrder = null, bitasset, deltaCollateral = 0, deltaDebt = 0, targetRatio }) {
+    if (this.globallySettled(bitasset)) {
+      throw new Error('This asset has been globally settled; bid collateral to revive it instead');
+    }
+
+    let addCollateral = big(deltaCollateral);
+    const addDebt = big(deltaDebt);
+    const collateral = big(callOrder?.collateral) + addCollateral;
+    const debt = big(callOrder?.debt) + addDebt;
+    const currentTarget = callOrder?.target_collateral_ratio ?? null;
+    const target = targetRatio === undefined ? currentTarget : targetRatio;
+
+    if (target !== null && (!Number.isInteger(target) || target <= 0 || BigInt(target) > MAX_RATIO)) {
+      throw new Error('Target collateral ratio must be between 0.001 and 65.535');
+    }
+    if (collateral < 0n) throw new Error('Cannot withdraw more collateral than the position holds');
+    if (debt < 0n) throw new Error('Cannot repay more than the debt');
+    if (!callOrder && (addCollateral <= 0n || addDebt <= 0n)) {
+      throw new Error('A new position needs collateral and debt');
+    }
+    if (debt === 0n && collateral > 0n) {
+      throw new Error('Repaying all debt closes the position: withdraw all of its collateral too');
+    }
+    if (addCollateral === 0n && addDebt === 0n) {
+      if (target === currentTarget) throw new Error('Nothing to change');
+      // The chain only takes updates that move collateral or debt: add the
+      // smallest amount of collateral to change the target ratio alone
+      addCollateral = 1n;
+    }
+
+    const lowersRatio = !callOrder || addDebt > 0n || addCollateral < 0n;
+    if (debt > 0n && lowersRatio) {
+      const feed = this.feedPrice(bitasset);
+      if (!feed) throw new Error('This asset has no price feed to borrow against');
+      const { icr } = this.ratios(bitasset);
+      if (collateral * feed.debt * RATIO_DENOM < debt * feed.collateral * BigInt(icr)) {
+        throw new Error(`Collateral ratio must stay at or above ${this.formatRatio(icr)}`);
+      }
+    }
+
+    return {
+      funding_account: accountId,
+      delta_collateral: { amount: toSafeNumber(addCollateral), asset_id: bitasset.options.short_backing_asset },
+      delta_debt: { amount: toSafeNumber(addDebt), asset_id: bitasset.asset_id },
+      extensions: target === null ? {} : { target_collateral_ratio: target }
+    };
+  }
+
+  /**
+   * Positions whose status got worse since the last check, and the statuses
+   * to remember for the next one. Positions back to OK are forgotten, so a
+   * later decline alerts again.
+   * @param {Array<{id: string, status: string}>} positions
+   * @param {Object} previous - { [callOrderId]: status } from the last check
+   * @returns {{alerts: Array, state: Object}}
+   */
+  static alerts(positions, previous = {}) {
+    const alerts = [];
+    const state = {};
+    for (const position of positions) {
+      const severity = SEVERITY[position.status] || 0;
+      if (severity === 0) continue;
+      state[position.id] = position.status;
+      if (severity > (SEVERITY[previous[position.id]] || 0)) alerts.push(position);
+    }
+    return { alerts, state };
+  }
+}
@@ -471,9 +471,10 @@ export class CryptoUtils {
    *   memo   → role 3   (m/48'/0'/3'/0'/0')
    *
    * The brainkey words are lowercased before BIP-39 PBKDF2 seed derivation
-   * so they match the BIP-39 English wordlist casing.
+   * so they match the BIP-39 English wordlist casing. `prefix` is the
+   * network's public key prefix ('TEST' on testnet).
    */
-  static async generateKeysFromBrainkey(brainkey) {
+  static async generateKeysFromBrainkey(brainkey, prefix = 'BTS') {
     const normalizedBrainkey = this.normalizeBrainkey(brainkey);
 
     // BIP-39: mnemonic → 512-bit seed (lowercase + NFKD normalised per spec)
@@ -488,7 +489,7 @@ export class CryptoUtils {
       const roleNode    = await bip32ChildKey(network, roleIndex);
       const accountNode = await bip32ChildKey(roleNode, 0);   // account-index 0
       const keyNode     = await bip32ChildKey(accountNode, 0); // key-index 0
-      return this.privateKeyBytesToKeyPair(keyNode.key);
+      return this.privateKeyBytesToKeyPair(keyNode.key, prefix);
     };
 
     const [ownerKey, activeKey, memoKey] = await Promise.all([
@@ -501,15 +502,15 @@ export class CryptoUtils {
   }
 
   /**
-   * Convert raw 32-byte private key to a WIF + BTS public key pair.
+   * Convert raw 32-byte private key to a WIF + public key pair.
    */
-  static async privateKeyBytesToKeyPair(privateKeyBytes) {
+  static async privateKeyBytesToKeyPair(privateKeyBytes, prefix = 'BTS') {
     const privateKeyBigInt = bytesToBigInt(privateKeyBytes);
     const publicPoint      = G.multiply(privateKeyBigInt);
     const publicKeyBytes   = publicPoint.toCompressed();
     return {
       privateKey: await this.privateKeyToWIF(privateKeyBytes),
-      publicKey:  await this.publicKeyToBTS(publicKeyBytes)
+      publicKey:  await this.publicKeyToBTS(publicKeyBytes, prefix)
     };
   }
 
@@ -641,7 +642,7 @@ export class CryptoUtils {
   /**
    * Convert WIF to key pair
    */
-  static async wifToKeys(wif) {
+  static async wifToKeys(wif, prefix = 'BTS') {
     if (!wif || typeof wif !== 'string') {
       throw new Error('Invalid WIF format');
     }
@@ -653,7 +654,7 @@ export class CryptoUtils {
       // Generate public key
       const publicPoint = G.multiply(privateKeyBigInt);
       const publicKeyBytes = publicPoint.toCompressed();
-      const publicKeyBTS = await this.publicKeyToBTS(publicKeyBytes);
+      const publicKeyBTS = await this.publicKeyToBTS(publicKeyBytes, prefix);
 
       return {
         privateKey: wif,
@@ -1146,10 +1147,7 @@ export class CryptoUtils {
 
     // Get sender's public key — infer prefix from recipient's key
     const fromPublicPoint = G.multiply(fromPrivateKey);
-    let memoPrefix = 'BTS';
-    for (const p of ['BTS', 'TEST', 'GPH']) {
-      if (toPublicKeyBTS.startsWith(p)) { memoPrefix = p; break; }
-    }
+    const memoPrefix = this.publicKeyPrefix(toPublicKeyBTS) || 'BTS';
     const fromPublicKeyBTS = await this.publicKeyToBTS(fromPublicPoint.toCompressed(), memoPrefix);
 
     // Parse recipient's public key
@@ -1215,10 +1213,7 @@ export class CryptoUtils {
 
     // Determine if we are sender or recipient — infer prefix from memo's from key
     const myPublicPoint = G.multiply(privateKey);
-    let memoPrefix = 'BTS';
-    for (const p of ['BTS', 'TEST', 'GPH']) {
-      if (from.startsWith(p)) { memoPrefix = p; break; }
-    }
+    const memoPrefix = this.publicKeyPrefix(from) || 'BTS';
     const myPublicKeyBTS = await this.publicKeyToBTS(myPublicPoint.toCompressed(), memoPrefix);
 
     let otherPublicKeyBTS;
@@ -1273,39 +1268,107 @@ export class CryptoUtils {
   }
 
   /**
-   * Parse BTS/TEST/GPH public key format to raw bytes
+   * Split a public key into its prefix and raw 33 bytes. The prefix is any
+   * run of uppercase letters in front of a base58 body with a valid checksum,
+   * so keys of private chains (any GRAPHENE_ADDRESS_PREFIX) parse as well as
+   * BTS, TEST and GPH keys.
+   * @returns {{prefix: string, bytes: Uint8Array}|null} null if it is not a public key
    */
-  static async btsToPublicKeyBytes(publicKeyBTS) {
-    let prefix = '';
-    for (const p of ['BTS', 'TEST', 'GPH']) {
-      if (publicKeyBTS.startsWith(p)) {
-        prefix = p;
-        break;
+  static parsePublicKey(publicKey) {
+    if (typeof publicKey !== 'string') return null;
+    const letters = publicKey.match(/^[A-Z]{1,12}/)?.[0] || '';
+    for (let length = 1; length <= letters.length; length++) {
+      let decoded;
+      try {
+        decoded = this.base58Decode(publicKey.slice(length));
+      } catch {
+        continue; // a prefix letter outside base58 (I, O) left in the body
+      }
+      if (decoded.length !== 37) continue;
+      const bytes = decoded.slice(0, 33);
+      const checksum = ripemd160(bytes);
+      if (checksum.slice(0, 4).every((byte, i) => byte === decoded[33 + i])) {
+        return { prefix: publicKey.slice(0, length), bytes };
       }
     }
-    if (!prefix) {
-      throw new Error('Invalid public key format — expected BTS, TEST, or GPH prefix');
-    }
+    return null;
+  }
+
+  /**
+   * The prefix of a public key ('BTS', 'TEST', ...), or null if it is not one
+   */
+  static publicKeyPrefix(publicKey) {
+    return this.parsePublicKey(publicKey)?.prefix || null;
+  }
 
-    const decoded = this.base58Decode(publicKeyBTS.slice(prefix.length));
+  /**
+   * The same key under another prefix, e.g. BTS… → TEST…
+   */
+  static async convertPublicKeyPrefix(publicKey, prefix) {
+    const parsed = this.parsePublicKey(publicKey);
+    if (!parsed) throw new Error('Invalid public key');
+    if (parsed.prefix === prefix) return publicKey;
+    return this.publicKeyToBTS(parsed.bytes, prefix);
+  }
 
-    // Remove checksum (last 4 bytes)
-    if (decoded.length !== 37) {
-      throw new Error('Invalid public key length');
-    }
+  /**
+   * Whether two public keys are the same key, whatever their prefixes
+   */
+  static samePublicKey(a, b) {
+    const left = this.parsePublicKey(a);
+    const right = this.parsePublicKey(b);
+    return Boolean(left && right) && left.bytes.every((byte, i) => byte === right.bytes[i]);
+  }
 
-    const publicKeyBytes = decoded.slice(0, 33);
-    const checksum = decoded.slice(33);
+  /**
+   * Graphene address of 20 address bytes: prefix + base58(bytes || ripemd160(bytes)[0..4])
+   */
+  static addressString(addressBytes, prefix = 'BTS') {
+    const withChecksum = new Uint8Array(24);
+    withChecksum.set(addressBytes);
+    withChecksum.set(ripemd160(addressBytes).slice(0, 4), 20);
+    return prefix + this.base58Encode(withChecksum);
+  }
 
-    // Verify checksum
-    const calculatedChecksum = ripemd160(publicKeyBytes);
-    for (let i = 0; i < 4; i++) {
-      if (checksum[i] !== calculatedChecksum[i]) {
-        throw new Error('Invalid public key checksum');
+  /**
+   * Every address a public key can own a balance_object under: the Graphene
+   * address (ripemd160 of sha512 of the key) and the four legacy PTS / BTC
+   * style addresses genesis balances were imported with — compressed and
+   * uncompressed key, version 56 and 0 (pts_address in bitshares-core).
+   * @param {string} publicKey - any prefix
+   * @param {string} [prefix] - address prefix of the chain
+   * @returns {Promise<string[]>} Graphene address first
+   */
+  static async publicKeyAddresses(publicKey, prefix = 'BTS') {
+    const compressed = await this.btsToPublicKeyBytes(publicKey);
+    const point = ECPoint.fromCompressed(compressed);
+    const uncompressed = new Uint8Array(65);
+    uncompressed[0] = 0x04;
+    uncompressed.set(bigIntToBytes(point.x, 32), 1);
+    uncompressed.set(bigIntToBytes(point.y, 32), 33);
+
+    const addresses = [this.addressString(ripemd160(await this.sha512(compressed)), prefix)];
+    for (const version of [56, 0]) {
+      for (const keyBytes of [uncompressed, compressed]) {
+        const pts = new Uint8Array(25);
+        pts[0] = version;
+        pts.set(ripemd160(await sha256(keyBytes)), 1);
+        pts.set((await doubleSha256(pts.slice(0, 21))).slice(0, 4), 21);
+        addresses.push(this.addressString(ripemd160(pts), prefix));
       }
     }
+    return addresses;
+  }
 
-    return publicKeyBytes;
+  /**
+   * Parse a public key of any prefix to raw bytes
+   */
+  static async btsToPublicKeyBytes(publicKeyBTS) {
+    const parsed = this.parsePublicKey(publicKeyBTS);
+    if (!parsed) {
+      throw new Error('Invalid public key — expected a prefix followed by a base58 key with a valid checksum');
+    }
+    return parsed.bytes;
   }
 
   /**
@@ -1470,4 +1533,4 @@ export async function runSelfTests() {
 }
 
 // Export helper functions for use in other modules
-export { sha256, doubleSha256, hexToBytes, bytesToHex, bigIntToBytes, bytesToBigInt, bytesToBase64, base64ToBytes, constantTimeEqual, G, SECP256K1, ECPoint, mod, modInverse };
+export { sha256, doubleSha256, ripemd160, hexToBytes, bytesToHex, bigIntToBytes, bytesToBigInt, bytesToBase64, base64ToBytes, constantTimeEqual, G, SECP256K1, ECPoint, mod, modInverse };
@@ -0,0 +1,175 @@
+/**
+ * DEX Markets
+ * Limit orders on a QUOTE/BASE market the way the order book shows them:
+ * prices in BASE per QUOTE, amounts in QUOTE.
+ *   buy   sells BASE (amount × price), receives QUOTE (amount)
+ *   sell  sells QUOTE (amount), receives BASE (amount × price)
+ *
+ * Decimal input is converted to base units exactly (BigInt), so a price or
+ * amount typed with the asset's full precision is never rounded by floating
+ * point. A limit_order_object keeps its price as sell_price
+ * { base: what it sells, quote: what it wants } and the amount still for
+ * sale in for_sale.
+ */
+
+const DECIMAL = /^(\d*)(?:\.(\d*))?$/;
+
+const pow10 = digits => 10n ** BigInt(digits);
+
+/**
+ * A positive decimal string as numerator / 10^scale
+ */
+function parseDecimal(value, label) {
+  const text = String(value ?? '').trim();
+  const match = DECIMAL.exec(text);
+  if (!match || text === '' || text === '.') throw new Error(`${label} must be a positive number`);
+  const fraction = match[2] || '';
+  const numerator = BigInt((match[1] || '0') + fraction);
+  if (numerator <= 0n) throw new Error(`${label} must be a positive number`);
+  return { numerator, scale: fraction.length };
+}
+
+/**
+ * a / b rounded half up, for positive bigints
+ */
+function divideRounded(a, b) {
+  return (a * 2n + b) / (b * 2n);
+}
+
+function toSafeNumber(units, label) {
+  if (units > BigInt(Number.MAX_SAFE_INTEGER)) throw new Error(`${label} exceeds maximum allowed value`);
+  return Number(units);
+}
+
+export class DexMarket {
+  /**
+   * Decimal amount → integer base units of an asset
+   * @param {string|number} value - e.g. '12.5'
+   * @param {number} precision - the asset's precision
+   * @param {string} [label] - names the field in errors
+   * @returns {number}
+   * @throws {Error} when not positive or more precise than the asset
+   */
+  static toUnits(value, precision, label = 'Amount') {
+    const { numerator, scale } = parseDecimal(value, label);
+    if (scale > precision) {
+      const extra = numerator % pow10(scale - precision);
+      if (extra !== 0n) throw new Error(`${label} has more than ${precision} decimals`);
+    }
+    const units = scale > precision
+      ? numerator / pow10(scale - precision)
+      : numerator * pow10(precision - scale);
+    return toSafeNumber(units, label);
+  }
+
+  /**
+   * Integer base units → decimal string without trailing zeros
+   */
+  static formatUnits(units, precision) {
+    const value = BigInt(units);
+    const sign = value < 0n ? '-' : '';
+    const digits = (value < 0n ? -value : value).toString().padStart(precision + 1, '0');
+    if (precision === 0) return sign + digits;
+    const whole = digits.slice(0, -precision);
+    const fraction = digits.slice(-precision).replace(/0+$/, '');
+    return sign + (fraction ? `${whole}.${fraction}` : whole);
+  }
+
+  /**
+   * Price of `numeratorUnits` of one asset per `denominatorUnits` of another
+   * as a decimal string with `digits` significant digits
+   */
+  static formatPrice(numeratorUnits, numeratorPrecision, denominatorUnits, denominatorPrecision, digits = 8) {
+    const denominator = Number(denominatorUnits) / 10 ** denominatorPrecision;
+    if (!denominator) return '0';
+    const price = (Number(numeratorUnits) / 10 ** numeratorPrecision) / denominator;
+    return String(Number(price.toPrecision(digits)));
+  }
+
+  /**
+   * amount_to_sell / min_to_receive of a buy or sell order
+   * @param {{side: 'buy'|'sell', price: string, amount: string}} order - price in BASE per QUOTE, amount in QUOTE
+   * @param {{id: string, precision: number}} base
+   * @param {{id: string, precision: number}} quote
+   * @returns {{amount_to_sell: {amount: number, asset_id: string}, min_to_receive: {amount: number, asset_id: string}}}
+   */
+  static orderAmounts({ side, price, amount }, base, quote) {
+    if (side !== 'buy' && side !== 'sell') throw new Error(`Unknown order side: ${side}`);
+    const quoteUnits = BigInt(this.toUnits(amount, quote.precision, 'Amount'));
+    const { numerator, scale } = parseDecimal(price, 'Price');
+
+    // base units = quote units × price × 10^base precision / 10^quote precision
+    const baseUnits = divideRounded(quoteUnits * numerator * pow10(base.precision), pow10(scale + quote.precision));
+    if (baseUnits <= 0n) throw new Error('Total is too small for this market');
+
+    const baseAmount = { amount: toSafeNumber(baseUnits, 'Total'), asset_id: base.id };
+    const quoteAmount = { amount: toSafeNumber(quoteUnits, 'Amount'), asset_id: quote.id };
+    return side === 'buy'
+      ? { amount_to_sell: baseAmount, min_to_receive: quoteAmount }
+      : { amount_to_sell: quoteAmount, min_to_receive: baseAmount };
+  }
+
+  /**
+   * What an open order still sells and receives, and its price in
+   * received per sold asset
+   * @param {Object} order - limit_order_object
+   * @param {Map<string, {symbol: string, precision: number}>} assets - by id
+   */
+  static describeOrder(order, assets) {
+    const { base, quote } = order.sell_price;
+    const sellAsset = assets.get(base.asset_id);
+    const receiveAsset = assets.get(quote.asset_id);
+    const forSale = BigInt(order.for_sale);
+    const receive = forSale * BigInt(quote.amount) / BigInt(base.amount);
+    return {
+      id: order.id,
+      seller: order.seller,
+      expiration: order.expiration,
+      sell: { amount: Number(forSale), asset_id: base.asset_id },
+      receive: { amount: Number(receive), asset_id: quote.asset_id },
+      sellText: `${this.formatUnits(forSale, sellAsset.precision)} ${sellAsset.symbol}`,
+      receiveText: `${this.formatUnits(receive, receiveAsset.precision)} ${receiveAsset.symbol}`,
+      price: this.formatPrice(quote.amount, receiveAsset.precision, base.amount, sellAsset.precision),
+      priceUnit: `${receiveAsset.symbol}/${sellAsset.symbol}`
+    };
+  }
+
+  /**
+   * limit_order_update fields that move an order to a new price and/or a
+   * new amount for sale. Unchanged values are left out.
+   * @param {Object} order - limit_order_object
+   * @param {{price?: string, amount?: string}} changes - price in received per
+   *   sold asset, amount = new total for sale
+   * @param {{precision: number}} sellAsset
+   * @param {{precision: number}} receiveAsset
+   * @returns {{new_price?: Object, delta_amount_to_sell?: Object}}
+   */
+  static updateFields(order, { price, amount }, sellAsset, receiveAsset) {
+    const { base, quote } = order.sell_price;
+    const fields = {};
+
+    const forSale = BigInt(order.for_sale);
+    const newForSale = amount !== undefined && amount !== ''
+      ? BigInt(this.toUnits(amount, sellAsset.precision, 'Amount'))
+      : forSale;
+    if (newForSale !== forSale) {
+      fields.delta_amount_to_sell = { amount: toSafeNumber(newForSale - forSale, 'Amount'), asset_id: base.asset_id };
+    }
+
+    if (price !== undefined && price !== '') {
+      const { numerator, scale } = parseDecimal(price, 'Price');
+      const receiveUnits = divideRounded(newForSale * numerator * pow10(receiveAsset.precision),
+        pow10(scale + sellAsset.precision));
+      if (receiveUnits <= 0n) throw new Error('Total is too small for this market');
+      // Same ratio as the current price: nothing to change
+      if (receiveUnits * BigInt(base.amount) !== newForSale * BigInt(quote.amount)) {
+        fields.new_price = {
+          base: { amount: toSafeNumber(newForSale, 'Amount'), asset_id: base.asset_id },
+          quote: { amount: toSafeNumber(receiveUnits, 'Total'), asset_id: quote.asset_id }
+        };
+      }
+    }
+
+    return fields;
+  }
+}
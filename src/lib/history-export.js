@@ -0,0 +1,331 @@
+/**
+ * History Export
+ * Walks an account's whole history through BitSharesAPI and turns every
+ * operation into a flat row, without touching the DOM, so the popup can hand
+ * the result to an accountant as a file.
+ *
+ * Row (one per operation, newest first):
+ *   {
+ *     time: '2026-01-01T12:00:00',   // block time, UTC
+ *     block_num, trx_in_block, op_id, tx_id,
+ *     type: 4, operation: 'Fill Order',
+ *     from, to,                        // account names (the counterparty is the other one)
+ *     sent:     { amount: '1.5', symbol: 'BTS', precision: 5 } | null,
+ *     received: { ... } | null,
+ *     fee:      { ... } | null,        // only fees this account paid
+ *     memo: '',                        // decrypted when the wallet can read it
+ *     trade: true                      // fill_order and liquidity pool exchanges
+ *   }
+ *
+ * Formats:
+ *   - toCsv          — every row, amounts as exact decimals with their precision
+ *   - toKoinlyCsv    — trades only, Koinly "universal" import layout
+ *   - toCoinTrackingCsv — trades only, CoinTracking CSV import layout
+ */
+
+const OP = {
+  TRANSFER: 0,
+  FILL_ORDER: 4,
+  ASSET_ISSUE: 14,
+  ASSET_RESERVE: 15,
+  OVERRIDE_TRANSFER: 38,
+  LIQUIDITY_POOL_EXCHANGE: 63
+};
+
+const OPERATION_LABELS = {
+  0: 'Transfer',
+  1: 'Limit Order Create',
+  2: 'Limit Order Cancel',
+  3: 'Call Order Update',
+  4: 'Fill Order',
+  5: 'Account Create',
+  6: 'Account Update',
+  8: 'Account Upgrade',
+  14: 'Asset Issue',
+  15: 'Asset Reserve',
+  17: 'Asset Settle',
+  33: 'Vesting Balance Withdraw',
+  37: 'Balance Claim',
+  38: 'Override Transfer',
+  39: 'Transfer to Blind',
+  41: 'Transfer from Blind',
+  45: 'Bid Collateral',
+  61: 'Liquidity Pool Deposit',
+  62: 'Liquidity Pool Withdraw',
+  63: 'Liquidity Pool Exchange',
+  77: 'Limit Order Update'
+};
+
+const PAGE_SIZE = 100;
+
+export const EXPORT_FORMATS = Object.freeze({
+  CSV: 'csv',
+  KOINLY: 'koinly',
+  COINTRACKING: 'cointracking'
+});
+
+/**
+ * Exact decimal string for an integer amount in an asset's precision
+ */
+export function formatUnits(amount, precision) {
+  const raw = BigInt(amount);
+  const digits = (raw < 0n ? -raw : raw).toString().padStart(precision + 1, '0');
+  const whole = digits.slice(0, digits.length - precision);
+  const fraction = digits.slice(digits.length - precision).replace(/0+$/, '');
+  return `${raw < 0n ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`;
+}
+
+/**
+ * The account that pays an operation's fee is the first account field after
+ * the fee in the operation's serialization order (from, seller, issuer, account_id, ...)
+ */
+function feePayer(opData) {
+  for (const [key, value] of Object.entries(opData)) {
+    if (key !== 'fee' && typeof value === 'string' && /^1\.2\.\d+$/.test(value)) return value;
+  }
+  return null;
+}
+
+/**
+ * Spreadsheets run a cell that starts with =, +, -, @, tab or CR as a
+ * formula; such values (memos and names are chosen by others) get a
+ * leading ' and are quoted.
+ */
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) return `"'${text.replace(/"/g, '""')}"`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLines(header, records) {
+  return [header, ...records].map(fields => fields.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/** '2026-01-01T12:00:00' → '2026-01-01 12:00:00' */
+function spaced(time) {
+  return time ? time.replace('T', ' ') : '';
+}
+
+export class HistoryExporter {
+  /**
+   * @param {BitSharesAPI} api - connected API
+   * @param {Object} [options]
+   * @param {Function} [options.decryptMemo] - memo_data → plaintext|null (e.g. WalletManager.decryptMemo);
+   *   failures (a locked wallet) leave the memo empty
+   */
+  constructor(api, { decryptMemo = null } = {}) {
+    this.api = api;
+    this.decryptMemo = decryptMemo;
+    this._txIds = new Map(); // 'block:trx' → tx id
+  }
+
+  /**
+   * Every operation of an account, oldest page last
+   * @param {string} accountId
+   * @param {Object} [options]
+   * @param {Function} [options.onProgress] - called with the number of rows collected so far
+   * @returns {Promise<Object[]>} rows, newest first
+   */
+  async collect(accountId, { onProgress = () => {} } = {}) {
+    const rows = [];
+    let cursor = null;
+    let done = false;
+    while (!done) {
+      const page = await this.api.getAccountHistoryPage(accountId, { cursor, limit: PAGE_SIZE });
+      for (const operation of page.operations) {
+        rows.push(await this.toRow(operation, accountId));
+      }
+      ({ cursor, done } = page);
+      onProgress(rows.length);
+    }
+    return rows;
+  }
+
+  /**
+   * One history entry (operation_history_object) as a row, from the point of
+   * view of accountId
+   */
+  async toRow(operation, accountId) {
+    const [type, opData] = operation.op;
+    const row = {
+      time: operation.block_time || '',
+      block_num: operation.block_num ?? null,
+      trx_in_block: operation.trx_in_block ?? null,
+      op_id: operation.id || '',
+      tx_id: await this.transactionId(operation),
+      type,
+      operation: OPERATION_LABELS[type] || `Operation ${type}`,
+      from: '',
+      to: '',
+      sent: null,
+      received: null,
+      fee: null,
+      memo: '',
+      trade: false
+    };
+
+    switch (type) {
+      case OP.TRANSFER:
+      case OP.OVERRIDE_TRANSFER: {
+        row.from = await this.accountName(opData.from);
+        row.to = await this.accountName(opData.to);
+        const amount = await this.amount(opData.amount);
+        if (opData.from === accountId) row.sent = amount;
+        if (opData.to === accountId) row.received = amount;
+        row.memo = await this.memo(opData.memo);
+        break;
+      }
+
+      case OP.FILL_ORDER:
+        row.from = await this.accountName(opData.account_id);
+        row.sent = await this.amount(opData.pays);
+        row.received = await this.amount(opData.receives);
+        row.trade = true;
+        break;
+
+      case OP.LIQUIDITY_POOL_EXCHANGE: {
+        // The operation result carries what the pool actually paid out
+        const result = operation.result?.[1];
+        row.from = await this.accountName(opData.account);
+        row.sent = await this.amount(result?.paid?.[0] || opData.amount_to_sell);
+        row.received = await this.amount(result?.received?.[0] || opData.min_to_receive);
+        row.trade = true;
+        break;
+      }
+
+      case OP.ASSET_ISSUE:
+        row.from = await this.accountName(opData.issuer);
+        row.to = await this.accountName(opData.issue_to_account);
+        if (opData.issue_to_account === accountId) row.received = await this.amount(opData.asset_to_issue);
+        row.memo = await this.memo(opData.memo);
+        break;
+
+      case OP.ASSET_RESERVE:
+        row.from = await this.accountName(opData.payer);
+        row.sent = await this.amount(opData.amount_to_reserve);
+        break;
+
+      default:
+        row.from = await this.accountName(feePayer(opData));
+        break;
+    }
+
+    if (opData.fee && feePayer(opData) === accountId && Number(opData.fee.amount) > 0) {
+      row.fee = await this.amount(opData.fee);
+    }
+    return row;
+  }
+
+  /** { amount, asset_id } → { amount: decimal string, symbol, precision } */
+  async amount(assetAmount) {
+    if (!assetAmount?.asset_id) return null;
+    const asset = await this.api.getAsset(assetAmount.asset_id);
+    if (!asset) return null;
+    return {
+      amount: formatUnits(assetAmount.amount, asset.precision),
+      symbol: asset.symbol,
+      precision: asset.precision
+    };
+  }
+
+  async accountName(id) {
+    if (!id) return '';
+    try {
+      return (await this.api.getAccount(id))?.name || id;
+    } catch {
+      return id;
+    }
+  }
+
+  async memo(memoData) {
+    if (!memoData || !this.decryptMemo) return '';
+    try {
+      return (await this.decryptMemo(memoData)) ?? '';
+    } catch {
+      return '';
+    }
+  }
+
+  /**
+   * Nodes that don't include trx_id in history get it from the block's
+   * transaction; virtual operations share their trigger's id
+   */
+  async transactionId(operation) {
+    if (operation.trx_id) return operation.trx_id;
+    if (!operation.block_num || !(operation.trx_in_block >= 0)) return '';
+
+    const key = `${operation.block_num}:${operation.trx_in_block}`;
+    if (!this._txIds.has(key)) {
+      this._txIds.set(key, (async () => {
+        try {
+          const tx = await this.api.call(this.api.apiIds.database, 'get_transaction',
+            [operation.block_num, operation.trx_in_block]);
+          return tx ? await this.api.getTransactionId(tx) : '';
+        } catch {
+          return '';
+        }
+      })());
+    }
+    return this._txIds.get(key);
+  }
+
+  /**
+   * All rows: time, ids, parties, amounts with symbol and precision, fee, memo
+   */
+  static toCsv(rows) {
+    const header = [
+      'Date (UTC)', 'Operation', 'Operation ID', 'Block', 'Transaction ID', 'From', 'To',
+      'Sent Amount', 'Sent Asset', 'Sent Precision',
+      'Received Amount', 'Received Asset', 'Received Precision',
+      'Fee Amount', 'Fee Asset', 'Fee Precision', 'Memo'
+    ];
+    const amountFields = (a) => [a?.amount ?? '', a?.symbol ?? '', a?.precision ?? ''];
+    return csvLines(header, rows.map(row => [
+      spaced(row.time), row.operation, row.op_id, row.block_num, row.tx_id, row.from, row.to,
+      ...amountFields(row.sent), ...amountFields(row.received), ...amountFields(row.fee), row.memo
+    ]));
+  }
+
+  /**
+   * Trades as Koinly's universal CSV
+   */
+  static toKoinlyCsv(rows) {
+    const header = [
+      'Date', 'Sent Amount', 'Sent Currency', 'Received Amount', 'Received Currency',
+      'Fee Amount', 'Fee Currency', 'Net Worth Amount', 'Net Worth Currency', 'Label', 'Description', 'TxHash'
+    ];
+    return csvLines(header, rows.filter(row => row.trade).map(row => [
+      `${spaced(row.time)} UTC`,
+      row.sent?.amount, row.sent?.symbol, row.received?.amount, row.received?.symbol,
+      row.fee?.amount, row.fee?.symbol, '', '', '',
+      `${row.operation} ${row.op_id}`, row.tx_id
+    ]));
+  }
+
+  /**
+   * Trades as CoinTracking's CSV import
+   */
+  static toCoinTrackingCsv(rows) {
+    const header = [
+      'Type', 'Buy Amount', 'Buy Currency', 'Sell Amount', 'Sell Currency',
+      'Fee', 'Fee Currency', 'Exchange', 'Trade-Group', 'Comment', 'Date', 'Tx-ID'
+    ];
+    return csvLines(header, rows.filter(row => row.trade).map(row => [
+      'Trade',
+      row.received?.amount, row.received?.symbol, row.sent?.amount, row.sent?.symbol,
+      row.fee?.amount, row.fee?.symbol,
+      row.type === OP.FILL_ORDER ? 'BitShares DEX' : 'BitShares Liquidity Pool',
+      '', `${row.operation} ${row.op_id}`, spaced(row.time), row.tx_id
+    ]));
+  }
+
+  /** Rows in one of EXPORT_FORMATS */
+  static format(rows, format = EXPORT_FORMATS.CSV) {
+    switch (format) {
+      case EXPORT_FORMATS.CSV: return HistoryExporter.toCsv(rows);
+      case EXPORT_FORMATS.KOINLY: return HistoryExporter.toKoinlyCsv(rows);
+      case EXPORT_FORMATS.COINTRACKING: return HistoryExporter.toCoinTrackingCsv(rows);
+      default: throw new Error(`Unknown export format: ${format}`);
+    }
+  }
+}
@@ -0,0 +1,196 @@
+/**
+ * Liquidity Pool Quotes
+ * What a liquidity_pool_exchange (op 63) pays out, computed the way the chain
+ * does it, in integer base units:
+ *
+ *   1. the selling asset's maker market fee comes off the amount sold
+ *   2. the pool keeps balance_a × balance_b constant; its new balance of the
+ *      asset it pays is rounded up, so the payout is rounded down
+ *   3. the pool's taker fee (taker_fee_percent of the payout, rounded down)
+ *      stays in the pool
+ *   4. the received asset's taker market fee comes off what is left
+ *
+ * The pool's withdrawal fee only applies to liquidity_pool_withdraw, never to
+ * an exchange. Percentages on chain are in hundredths of a percent.
+ */
+
+const GRAPHENE_100_PERCENT = 10000n;
+const CHARGE_MARKET_FEE = 0x01;
+
+export const SWAP_SLIPPAGE_KEY = 'swapSlippage'; // percent, e.g. 0.5
+
+export const DEFAULT_SLIPPAGE = 1;
+export const MAX_SLIPPAGE = 50;
+
+// Price impact (percent) at which a swap is flagged, and at which it is refused
+export const PRICE_IMPACT_WARNING = 3;
+export const PRICE_IMPACT_LIMIT = 15;
+
+/**
+ * The slippage tolerance the user picked, or the default
+ */
+export function swapSlippage(stored) {
+  if (stored === undefined || stored === null || stored === '') return DEFAULT_SLIPPAGE;
+  const slippage = Number(stored);
+  return Number.isFinite(slippage) && slippage >= 0 && slippage <= MAX_SLIPPAGE ? slippage : DEFAULT_SLIPPAGE;
+}
+
+function toSafeNumber(value) {
+  if (value > BigInt(Number.MAX_SAFE_INTEGER)) throw new Error('Amount exceeds maximum allowed value');
+  return Number(value);
+}
+
+/**
+ * The exchange in bigints; payout 0 when the amount is too small
+ */
+function exchange(pool, sellAssetId, amountToSell, assets) {
+  const sellsA = pool.asset_a === sellAssetId;
+  if (!sellsA && pool.asset_b !== sellAssetId) throw new Error(`Pool ${pool.id} does not hold ${sellAssetId}`);
+  const receiveAssetId = sellsA ? pool.asset_b : pool.asset_a;
+  const balanceIn = BigInt(sellsA ? pool.balance_a : pool.balance_b);
+  const balanceOut = BigInt(sellsA ? pool.balance_b : pool.balance_a);
+  if (balanceIn <= 0n || balanceOut <= 0n) throw new Error(`Pool ${pool.id} is empty`);
+
+  const sold = BigInt(amountToSell);
+  if (sold <= 0n) throw new Error('Amount must be a positive number');
+  const makerMarketFee = LiquidityPools.marketFee(assets.get(sellAssetId), sold, true);
+  if (makerMarketFee >= sold) throw new Error('The market fee of the selling asset is too high');
+  const poolReceives = sold - makerMarketFee;
+
+  const newBalanceIn = balanceIn + poolReceives;
+  const newBalanceOut = (balanceIn * balanceOut + newBalanceIn - 1n) / newBalanceIn;
+  const delta = balanceOut - newBalanceOut;
+  const poolFee = delta * BigInt(pool.taker_fee_percent || 0) / GRAPHENE_100_PERCENT;
+  const poolPays = delta - poolFee;
+  const takerMarketFee = poolPays > 0n ? LiquidityPools.marketFee(assets.get(receiveAssetId), poolPays, false) : 0n;
+
+  return {
+    receiveAssetId,
+    balanceIn,
+    balanceOut,
+    sold,
+    makerMarketFee,
+    poolReceives,
+    delta,
+    poolFee,
+    poolPays,
+    takerMarketFee,
+    received: poolPays - takerMarketFee
+  };
+}
+
+export class LiquidityPools {
+  /**
+   * Market fee an asset charges on a trade amount: market_fee_percent for the
+   * maker side, the taker_fee_percent extension (else market_fee_percent)
+   * for the taker side, capped at max_market_fee
+   * @param {Object} asset - asset_object with options
+   * @param {bigint} amount
+   * @param {boolean} isMaker
+   * @returns {bigint}
+   */
+  static marketFee(asset, amount, isMaker) {
+    const options = asset?.options;
+    if (!options || !(options.flags & CHARGE_MARKET_FEE)) return 0n;
+    const takerPercent = options.extensions?.taker_fee_percent;
+    const percent = BigInt(isMaker || takerPercent === undefined || takerPercent === null
+      ? options.market_fee_percent || 0
+      : takerPercent);
+    if (percent === 0n) return 0n;
+    const fee = amount * percent / GRAPHENE_100_PERCENT;
+    const max = BigInt(options.max_market_fee ?? fee);
+    return fee > max ? max : fee;
+  }
+
+  /**
+   * Quote selling `amountToSell` base units into a pool
+   * @param {Object} pool - liquidity_pool_object
+   * @param {string} sellAssetId
+   * @param {number|string} amountToSell - base units
+   * @param {Map<string, Object>} assets - both pool assets by id (for market fees)
+   * @returns {{pool: string, sell: Object, receive: Object, poolFee: Object,
+   *   makerMarketFee: Object, takerMarketFee: Object, priceImpact: number}}
+   *   amounts as {amount, asset_id}; priceImpact in percent
+   * @throws {Error} when the pool cannot pay anything for the amount
+   */
+  static quote(pool, sellAssetId, amountToSell, assets) {
+    const result = exchange(pool, sellAssetId, amountToSell, assets);
+    if (result.received <= 0n) throw new Error('Swap amount too small for this pool');
+
+    // How far the payout falls short of the pool's price before the trade, fees aside
+    const spot = result.poolReceives * result.balanceOut;
+    const impactPpm = (spot - result.delta * result.balanceIn) * 1000000n / spot;
+
+    const amount = (value, assetId) => ({ amount: toSafeNumber(value), asset_id: assetId });
+    return {
+      pool: pool.id,
+      sell: amount(result.sold, sellAssetId),
+      receive: amount(result.received, result.receiveAssetId),
+      poolFee: amount(result.poolFee, result.receiveAssetId),
+      makerMarketFee: amount(result.makerMarketFee, sellAssetId),
+      takerMarketFee: amount(result.takerMarketFee, result.receiveAssetId),
+      priceImpact: Number(impactPpm) / 10000
+    };
+  }
+
+  /**
+   * The quote of the pool that pays the most for this amount
+   * @returns {Object} see quote()
+   * @throws {Error} the last pool's error when none can pay
+   */
+  static bestQuote(pools, sellAssetId, amountToSell, assets) {
+    let best = null;
+    let lastError = new Error('No liquidity pool for this pair');
+    for (const pool of pools) {
+      try {
+        const quote = this.quote(pool, sellAssetId, amountToSell, assets);
+        if (!best || quote.receive.amount > best.receive.amount) best = quote;
+      } catch (error) {
+        lastError = error;
+      }
+    }
+    if (!best) throw lastError;
+    return best;
+  }
+
+  /**
+   * Smallest amount to sell into a pool that receives at least
+   * `amountToReceive` base units
+   * @returns {number} base units of the selling asset
+   * @throws {Error} when the pool cannot pay that much
+   */
+  static amountToSellFor(pool, sellAssetId, amountToReceive, assets) {
+    const target = BigInt(amountToReceive);
+    if (target <= 0n) throw new Error('Amount must be a positive number');
+    const receives = (amount) => exchange(pool, sellAssetId, amount, assets).received;
+
+    // Double until enough, then bisect; the payout never decreases with the amount sold
+    const limit = BigInt(Number.MAX_SAFE_INTEGER);
+    let high = 1n;
+    while (receives(high) < target) {
+      if (high >= limit) throw new Error(`Not enough liquidity in pool ${pool.id}`);
+      high = high * 2n > limit ? limit : high * 2n;
+    }
+    let low = high / 2n;
+    while (high - low > 1n) {
+      const middle = (low + high) / 2n;
+      if (receives(middle) >= target) high = middle;
+      else low = middle;
+    }
+    return Number(high);
+  }
+
+  /**
+   * min_to_receive for a quoted amount and a slippage tolerance in percent
+   * (two decimals), never less than one base unit
+   */
+  static minToReceive(amount, slippage) {
+    const percent = Number(slippage);
+    if (!Number.isFinite(percent) || percent < 0 || percent > MAX_SLIPPAGE) {
+      throw new Error(`Slippage must be between 0 and ${MAX_SLIPPAGE}%`);
+    }
+    const basisPoints = BigInt(Math.round(percent * 100));
+    const minimum = BigInt(amount) * (GRAPHENE_100_PERCENT - basisPoints) / GRAPHENE_100_PERCENT;
+    return Number(minimum > 0n ? minimum : 1n);
+  }
+}
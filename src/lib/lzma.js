@@ -0,0 +1,306 @@
+/**
+ * LZMA Decoder
+ * Decompresses the LZMA "alone" format (.lzma) — the format LZMA-JS writes,
+ * and so the one the BitShares reference wallet uses inside its .bin
+ * backups. Decoding only, following the LZMA SDK's reference decoder
+ * (LzmaSpec.cpp).
+ *
+ * Layout:
+ *   properties   1 byte   (pb * 5 + lp) * 9 + lc
+ *   dictSize     4 bytes  little endian
+ *   unpackSize   8 bytes  little endian; all 0xFF when unknown (end marker follows the data)
+ *   LZMA stream
+ */
+
+const HEADER_SIZE = 13;
+
+const NUM_BIT_MODEL_TOTAL_BITS = 11;
+const BIT_MODEL_TOTAL = 1 << NUM_BIT_MODEL_TOTAL_BITS;
+const NUM_MOVE_BITS = 5;
+const TOP_VALUE = 1 << 24;
+
+const NUM_STATES = 12;
+const NUM_POS_BITS_MAX = 4;
+const NUM_LEN_TO_POS_STATES = 4;
+const NUM_ALIGN_BITS = 4;
+const END_POS_MODEL_INDEX = 14;
+const NUM_FULL_DISTANCES = 1 << (END_POS_MODEL_INDEX >> 1);
+const MATCH_MIN_LEN = 2;
+const END_MARKER = 0xFFFFFFFF;
+
+function probabilities(count) {
+  return new Uint16Array(count).fill(BIT_MODEL_TOTAL >> 1);
+}
+
+function corrupted() {
+  return new Error('LZMA data is corrupted');
+}
+
+class RangeDecoder {
+  constructor(input, pos) {
+    this.input = input;
+    this.pos = pos;
+    this.range = 0xFFFFFFFF;
+    this.code = 0;
+    if (this.nextByte() !== 0) throw corrupted();
+    for (let i = 0; i < 4; i++) this.code = ((this.code << 8) | this.nextByte()) >>> 0;
+    if (this.code === this.range) throw corrupted();
+  }
+
+  nextByte() {
+    if (this.pos >= this.input.length) throw new Error('LZMA data is truncated');
+    return this.input[this.pos++];
+  }
+
+  isFinishedOK() {
+    return this.code === 0;
+  }
+
+  normalize() {
+    if (this.range < TOP_VALUE) {
+      this.range = (this.range << 8) >>> 0;
+      this.code = ((this.code << 8) | this.nextByte()) >>> 0;
+    }
+  }
+
+  decodeDirectBits(numBits) {
+    let result = 0;
+    for (let i = 0; i < numBits; i++) {
+      this.range >>>= 1;
+      let bit = 1;
+      if (this.code >= this.range) {
+        this.code -= this.range;
+      } else {
+        bit = 0;
+      }
+      if (this.code === this.range) throw corrupted();
+      this.normalize();
+      result = result * 2 + bit;
+    }
+    return result;
+  }
+
+  decodeBit(probs, index) {
+    const prob = probs[index];
+    const bound = (this.range >>> NUM_BIT_MODEL_TOTAL_BITS) * prob;
+    let bit;
+    if (this.code < bound) {
+      probs[index] = prob + ((BIT_MODEL_TOTAL - prob) >>> NUM_MOVE_BITS);
+      this.range = bound;
+      bit = 0;
+    } else {
+      probs[index] = prob - (prob >>> NUM_MOVE_BITS);
+      this.code -= bound;
+      this.range -= bound;
+      bit = 1;
+    }
+    this.normalize();
+    return bit;
+  }
+
+  bitTree(probs, offset, numBits) {
+    let m = 1;
+    for (let i = 0; i < numBits; i++) m = (m << 1) + this.decodeBit(probs, offset + m);
+    return m - (1 << numBits);
+  }
+
+  reverseBitTree(probs, offset, numBits) {
+    let m = 1;
+    let symbol = 0;
+    for (let i = 0; i < numBits; i++) {
+      const bit = this.decodeBit(probs, offset + m);
+      m = (m << 1) + bit;
+      symbol |= bit << i;
+    }
+    return symbol;
+  }
+}
+
+class LengthDecoder {
+  constructor() {
+    this.choice = probabilities(2);
+    this.low = probabilities(8 << NUM_POS_BITS_MAX);
+    this.mid = probabilities(8 << NUM_POS_BITS_MAX);
+    this.high = probabilities(256);
+  }
+
+  decode(rc, posState) {
+    if (rc.decodeBit(this.choice, 0) === 0) return rc.bitTree(this.low, posState << 3, 3);
+    if (rc.decodeBit(this.choice, 1) === 0) return 8 + rc.bitTree(this.mid, posState << 3, 3);
+    return 16 + rc.bitTree(this.high, 0, 8);
+  }
+}
+
+/**
+ * Output buffer that doubles as the sliding window (the whole output stays
+ * in memory, so any distance within it can be copied)
+ */
+class OutWindow {
+  constructor(size) {
+    this.buffer = new Uint8Array(Math.max(size, 256));
+    this.pos = 0;
+  }
+
+  putByte(byte) {
+    if (this.pos === this.buffer.length) {
+      const grown = new Uint8Array(this.buffer.length * 2);
+      grown.set(this.buffer);
+      this.buffer = grown;
+    }
+    this.buffer[this.pos++] = byte;
+  }
+
+  getByte(distance) {
+    return this.buffer[this.pos - distance];
+  }
+
+  copyMatch(distance, length) {
+    for (let i = 0; i < length; i++) this.putByte(this.getByte(distance));
+  }
+
+  bytes() {
+    return this.buffer.slice(0, this.pos);
+  }
+}
+
+/**
+ * Decompress .lzma data
+ * @param {Uint8Array} input
+ * @returns {Uint8Array}
+ * @throws {Error} when the header or stream is invalid
+ */
+export function lzmaDecompress(input) {
+  if (!(input instanceof Uint8Array) || input.length < HEADER_SIZE) {
+    throw new Error('Not LZMA data');
+  }
+
+  let d = input[0];
+  if (d >= 9 * 5 * 5) throw new Error('Not LZMA data');
+  const lc = d % 9;
+  d = Math.floor(d / 9);
+  const lp = d % 5;
+  const pb = Math.floor(d / 5);
+
+  const header = new DataView(input.buffer, input.byteOffset, HEADER_SIZE);
+  const low = header.getUint32(5, true);
+  const high = header.getUint32(9, true);
+  const sizeDefined = !(low === 0xFFFFFFFF && high === 0xFFFFFFFF);
+  let unpackSize = sizeDefined ? high * 0x100000000 + low : 0;
+
+  const rc = new RangeDecoder(input, HEADER_SIZE);
+  const out = new OutWindow(sizeDefined ? unpackSize : input.length * 4);
+
+  const literalProbs = probabilities(0x300 << (lc + lp));
+  const posSlot = probabilities(NUM_LEN_TO_POS_STATES << 6);
+  const posDecoders = probabilities(1 + NUM_FULL_DISTANCES - END_POS_MODEL_INDEX);
+  const align = probabilities(1 << NUM_ALIGN_BITS);
+  const isMatch = probabilities(NUM_STATES << NUM_POS_BITS_MAX);
+  const isRep = probabilities(NUM_STATES);
+  const isRepG0 = probabilities(NUM_STATES);
+  const isRepG1 = probabilities(NUM_STATES);
+  const isRepG2 = probabilities(NUM_STATES);
+  const isRep0Long = probabilities(NUM_STATES << NUM_POS_BITS_MAX);
+  const lenDecoder = new LengthDecoder();
+  const repLenDecoder = new LengthDecoder();
+
+  const decodeLiteral = (state, rep0) => {
+    const prevByte = out.pos > 0 ? out.getByte(1) : 0;
+    const litState = ((out.pos & ((1 << lp) - 1)) << lc) + (prevByte >>> (8 - lc));
+    const offset = 0x300 * litState;
+    let symbol = 1;
+    if (state >= 7) {
+      let matchByte = out.getByte(rep0 + 1);
+      do {
+        const matchBit = (matchByte >>> 7) & 1;
+        matchByte <<= 1;
+        const bit = rc.decodeBit(literalProbs, offset + ((1 + matchBit) << 8) + symbol);
+        symbol = (symbol << 1) | bit;
+        if (matchBit !== bit) break;
+      } while (symbol < 0x100);
+    }
+    while (symbol < 0x100) symbol = (symbol << 1) | rc.decodeBit(literalProbs, offset + symbol);
+    out.putByte(symbol - 0x100);
+  };
+
+  const decodeDistance = (len) => {
+    const lenState = Math.min(len, NUM_LEN_TO_POS_STATES - 1);
+    const slot = rc.bitTree(posSlot, lenState << 6, 6);
+    if (slot < 4) return slot;
+    const numDirectBits = (slot >>> 1) - 1;
+    let dist = (2 | (slot & 1)) * 2 ** numDirectBits;
+    if (slot < END_POS_MODEL_INDEX) {
+      dist += rc.reverseBitTree(posDecoders, dist - slot, numDirectBits);
+    } else {
+      dist += rc.decodeDirectBits(numDirectBits - NUM_ALIGN_BITS) * 2 ** NUM_ALIGN_BITS;
+      dist += rc.reverseBitTree(align, 0, NUM_ALIGN_BITS);
+    }
+    return dist;
+  };
+
+  let state = 0;
+  let rep0 = 0, rep1 = 0, rep2 = 0, rep3 = 0;
+
+  for (;;) {
+    if (sizeDefined && unpackSize === 0 && rc.isFinishedOK()) break;
+
+    const posState = out.pos & ((1 << pb) - 1);
+    if (rc.decodeBit(isMatch, (state << NUM_POS_BITS_MAX) + posState) === 0) {
+      if (sizeDefined && unpackSize === 0) throw corrupted();
+      decodeLiteral(state, rep0);
+      state = state < 4 ? 0 : state < 10 ? state - 3 : state - 6;
+      unpackSize--;
+      continue;
+    }
+
+    let len;
+    if (rc.decodeBit(isRep, state) !== 0) {
+      if ((sizeDefined && unpackSize === 0) || out.pos === 0) throw corrupted();
+      if (rc.decodeBit(isRepG0, state) === 0) {
+        if (rc.decodeBit(isRep0Long, (state << NUM_POS_BITS_MAX) + posState) === 0) {
+          // Short rep: one byte from rep0
+          state = state < 7 ? 9 : 11;
+          out.putByte(out.getByte(rep0 + 1));
+          unpackSize--;
+          continue;
+        }
+      } else {
+        let dist;
+        if (rc.decodeBit(isRepG1, state) === 0) {
+          dist = rep1;
+        } else {
+          if (rc.decodeBit(isRepG2, state) === 0) {
+            dist = rep2;
+          } else {
+            dist = rep3;
+            rep3 = rep2;
+          }
+          rep2 = rep1;
+        }
+        rep1 = rep0;
+        rep0 = dist;
+      }
+      len = repLenDecoder.decode(rc, posState);
+      state = state < 7 ? 8 : 11;
+    } else {
+      rep3 = rep2;
+      rep2 = rep1;
+      rep1 = rep0;
+      len = lenDecoder.decode(rc, posState);
+      state = state < 7 ? 7 : 10;
+      rep0 = decodeDistance(len);
+      if (rep0 === END_MARKER) {
+        if (!rc.isFinishedOK()) throw corrupted();
+        break;
+      }
+      if ((sizeDefined && unpackSize === 0) || rep0 >= out.pos) throw corrupted();
+    }
+
+    len += MATCH_MIN_LEN;
+    if (sizeDefined && unpackSize < len) throw corrupted();
+    out.copyMatch(rep0 + 1, len);
+    unpackSize -= len;
+  }
+
+  if (sizeDefined && unpackSize !== 0) throw new Error('LZMA data is truncated');
+  return out.bytes();
+}
@@ -0,0 +1,184 @@
+/**
+ * Signed Messages
+ * Envelope format for `signMessage` and a standalone verifier.
+ * Pure JavaScript - depends only on crypto-utils, so a backend can import
+ * this file as-is to implement "login with BitShares".
+ *
+ * Envelope (JSON):
+ *   {
+ *     type: 'bitshares-signed-message',
+ *     version: 1,
+ *     payload: { account, publicKey, timestamp, chainId, message },
+ *     signature: '<130 hex chars>'
+ *   }
+ *
+ * The signature is CryptoUtils.signHash(sha256(canonical text)), where the
+ * canonical text is built from the payload field by field (see canonicalText):
+ *
+ *   BitShares Signed Message
+ *   version: 1
+ *   account: alice
+ *   publicKey: BTS6...
+ *   chainId: 4018d784...
+ *   timestamp: 2026-01-01T00:00:00.000Z
+ *
+ *   <message>
+ *
+ * A verifier always rebuilds the text from the payload, so what was signed is
+ * exactly what the payload says.
+ */
+
+import { CryptoUtils, constantTimeEqual } from './crypto-utils.js';
+
+export const SIGNED_MESSAGE_TYPE = 'bitshares-signed-message';
+export const SIGNED_MESSAGE_VERSION = 1;
+
+// How far a signer's clock may run ahead of the verifier's when maxAgeMs is set
+const MAX_CLOCK_SKEW_MS = 60 * 1000;
+
+export class MessageSigning {
+  /**
+   * Build the exact text that gets hashed and signed.
+   */
+  static canonicalText(payload) {
+    return [
+      'BitShares Signed Message',
+      `version: ${SIGNED_MESSAGE_VERSION}`,
+      `account: ${payload.account}`,
+      `publicKey: ${payload.publicKey}`,
+      `chainId: ${payload.chainId}`,
+      `timestamp: ${payload.timestamp}`,
+      '',
+      payload.message
+    ].join('\n');
+  }
+
+  /**
+   * Sign a message and return the envelope.
+   * @param {{account: string, publicKey: string, chainId: string, message: string}} fields
+   * @param {string} privateKeyWIF - private key matching fields.publicKey
+   * @param {Date} [now] - signing time (defaults to the current time)
+   */
+  static async sign(fields, privateKeyWIF, now = new Date()) {
+    const payload = {
+      account: fields.account,
+      publicKey: fields.publicKey,
+      timestamp: now.toISOString(),
+      chainId: fields.chainId,
+      message: fields.message
+    };
+    const hash = await CryptoUtils.sha256(MessageSigning.canonicalText(payload));
+    const signature = await CryptoUtils.signHash(hash, privateKeyWIF);
+
+    return {
+      type: SIGNED_MESSAGE_TYPE,
+      version: SIGNED_MESSAGE_VERSION,
+      payload,
+      signature: CryptoUtils.bytesToHex(signature)
+    };
+  }
+
+  /**
+   * Verify a signed-message envelope.
+   *
+   * Checks, in order: envelope shape, signature recovers to payload.publicKey,
+   * optional chain id / age limits, then that the key is the account's memo key
+   * or one of its active/owner key_auths on chain.
+   *
+   * @param {Object|string} envelope - envelope object or its JSON string
+   * @param {Object} options
+   * @param {Object} [options.api] - anything with getAccount(nameOrId), e.g. BitSharesAPI
+   * @param {Object} [options.account] - pre-fetched full account object (skips the api lookup)
+   * @param {string} [options.chainId] - reject envelopes signed for another chain
+   * @param {number} [options.maxAgeMs] - reject envelopes older than this, or
+   *   dated more than a minute in the future
+   * @param {Date} [options.now] - reference time for maxAgeMs
+   * @returns {Promise<{valid: boolean, error?: string, account?: string, publicKey?: string, authority?: string}>}
+   */
+  static async verify(envelope, options = {}) {
+    let env = envelope;
+    if (typeof env === 'string') {
+      try {
+        env = JSON.parse(env);
+      } catch {
+        return { valid: false, error: 'Envelope is not valid JSON' };
+      }
+    }
+
+    if (!env || env.type !== SIGNED_MESSAGE_TYPE) {
+      return { valid: false, error: 'Not a BitShares signed message' };
+    }
+    if (env.version !== SIGNED_MESSAGE_VERSION) {
+      return { valid: false, error: `Unsupported signed message version: ${env.version}` };
+    }
+
+    const payload = env.payload || {};
+    for (const field of ['account', 'publicKey', 'timestamp', 'chainId', 'message']) {
+      if (typeof payload[field] !== 'string') {
+        return { valid: false, error: `Missing payload field: ${field}` };
+      }
+    }
+    if (typeof env.signature !== 'string' || !/^[0-9a-fA-F]{130}$/.test(env.signature)) {
+      return { valid: false, error: 'Malformed signature' };
+    }
+
+    // 1. Signature must recover to the key named in the payload
+    try {
+      const hash = await CryptoUtils.sha256(MessageSigning.canonicalText(payload));
+      const recovered = CryptoUtils.recoverPublicKey(hash, CryptoUtils.hexToBytes(env.signature));
+      const claimed = await CryptoUtils.btsToPublicKeyBytes(payload.publicKey);
+      if (!constantTimeEqual(recovered, claimed)) {
+        return { valid: false, error: 'Signature does not match public key' };
+      }
+    } catch (error) {
+      return { valid: false, error: 'Invalid signature: ' + error.message };
+    }
+
+    // 2. Context checks
+    if (options.chainId && payload.chainId !== options.chainId) {
+      return { valid: false, error: 'Message was signed for a different chain' };
+    }
+    if (options.maxAgeMs !== undefined) {
+      const signedAt = Date.parse(payload.timestamp);
+      const now = (options.now || new Date()).getTime();
+      if (!Number.isFinite(signedAt) || now - signedAt > options.maxAgeMs) {
+        return { valid: false, error: 'Signed message has expired' };
+      }
+      // A future timestamp would otherwise keep the envelope valid for longer
+      if (signedAt - now > MAX_CLOCK_SKEW_MS) {
+        return { valid: false, error: 'Signed message is dated in the future' };
+      }
+    }
+
+    // 3. Key must belong to the account on chain
+    let account = options.account;
+    if (!account) {
+      if (!options.api) {
+        return { valid: false, error: 'No api or account given for the on-chain authority check' };
+      }
+      account = await options.api.getAccount(payload.account);
+    }
+    if (!account || account.name !== payload.account) {
+      return { valid: false, error: `Account not found: ${payload.account}` };
+    }
+
+    const authority = MessageSigning.findKeyAuthority(account, payload.publicKey);
+    if (!authority) {
+      return { valid: false, error: 'Public key is not an authority of the account' };
+    }
+
+    return { valid: true, account: payload.account, publicKey: payload.publicKey, authority };
+  }
+
+  /**
+   * Return which authority of the account holds the key: 'memo', 'active',
+   * 'owner', or null.
+   */
+  static findKeyAuthority(account, publicKey) {
+    if (account.options?.memo_key === publicKey) return 'memo';
+    const hasKey = (auth) => (auth?.key_auths || []).some(([key]) => key === publicKey);
+    if (hasKey(account.active)) return 'active';
+    if (hasKey(account.owner)) return 'owner';
+    return null;
+  }
+}
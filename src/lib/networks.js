@@ -0,0 +1,169 @@
+/**
+ * Networks
+ * The BitShares networks the wallet can use: the public mainnet and testnet,
+ * plus user-defined networks (e.g. a private BitShares-based chain) stored in
+ * chrome.storage.local.
+ *
+ * Network:
+ *   {
+ *     id: 'mainnet',                 // key used for accounts, connected sites, selectedNetwork
+ *     name: 'BitShares Mainnet',
+ *     label: 'Mainnet',              // short name for badges
+ *     chainId: '<64 hex chars>',     // nodes on another chain are skipped; null if not known in advance
+ *     keyPrefix: 'BTS',              // public key prefix (GRAPHENE_ADDRESS_PREFIX)
+ *     coreSymbol: 'BTS',
+ *     nodes: ['wss://...'],
+ *     faucetUrl: 'https://...',      // account registration; null if the network has none
+ *     explorerUrl: 'https://...',    // default block explorer; null for none
+ *     custom: false
+ *   }
+ */
+
+export const CUSTOM_NETWORKS_KEY = 'customNetworks';
+
+export const BUILTIN_NETWORKS = Object.freeze({
+  mainnet: Object.freeze({
+    id: 'mainnet',
+    name: 'BitShares Mainnet',
+    label: 'Mainnet',
+    chainId: '4018d7844c78f6a6c41c6a552b898022310fc5dec06da467ee7905a8dad512c8',
+    keyPrefix: 'BTS',
+    coreSymbol: 'BTS',
+    nodes: Object.freeze([
+      'wss://node.xbts.io/ws',
+      'wss://cloud.xbts.io/ws',
+      'wss://public.xbts.io/ws',
+      'wss://btsws.roelandp.nl/ws',
+      'wss://dex.iobanker.com/ws',
+      'wss://api.bitshares.dev/ws'
+    ]),
+    faucetUrl: 'https://faucet.xbts.io/api/v1/accounts',
+    explorerUrl: 'https://btslens.pages.dev',
+    custom: false
+  }),
+  testnet: Object.freeze({
+    id: 'testnet',
+    name: 'BitShares Testnet',
+    label: 'Testnet',
+    chainId: '39f5e2ede1f8bc1a3a54a7914414e3779e33193f1f5693510e73cb7a87617447',
+    keyPrefix: 'TEST',
+    coreSymbol: 'TEST',
+    nodes: Object.freeze([
+      'wss://testnet.xbts.io/ws',
+      'wss://testnet.dex.trading/'
+    ]),
+    faucetUrl: 'https://testnet-faucet.xbts.io/api/v1/accounts',
+    explorerUrl: 'https://blocksights.info?network=testnet',
+    custom: false
+  })
+});
+
+const NETWORK_ID = /^[a-z0-9][a-z0-9-]{0,31}$/;
+const KEY_PREFIX = /^[A-Z]{1,12}$/;
+const CHAIN_ID = /^[0-9a-f]{64}$/;
+
+/**
+ * Check and normalize a user-defined network
+ * @throws {Error} when a field is missing or malformed
+ */
+export function validateCustomNetwork(network) {
+  const name = String(network?.name || '').trim();
+  if (!name) throw new Error('Network name is required');
+  const id = String(network.id || '').trim().toLowerCase();
+  if (!NETWORK_ID.test(id)) {
+    throw new Error('Network id must be 1-32 lowercase letters, digits or dashes');
+  }
+  if (BUILTIN_NETWORKS[id]) {
+    throw new Error(`"${id}" is a built-in network`);
+  }
+
+  const keyPrefix = String(network.keyPrefix || '').trim();
+  if (!KEY_PREFIX.test(keyPrefix)) {
+    throw new Error('Key prefix must be 1-12 uppercase letters');
+  }
+  const chainId = network.chainId ? String(network.chainId).trim().toLowerCase() : null;
+  if (chainId !== null && !CHAIN_ID.test(chainId)) {
+    throw new Error('Chain id must be 64 hex characters');
+  }
+  const nodes = [...new Set((network.nodes || []).map(url => String(url).trim()).filter(Boolean))];
+  if (!nodes.length) throw new Error('At least one node URL is required');
+  for (const url of nodes) {
+    if (!/^wss?:\/\/[^\s/]+/.test(url)) throw new Error(`Invalid node URL: ${url}`);
+  }
+  const faucetUrl = optionalUrl(network.faucetUrl, /^https?:\/\/[^\s/]+/, 'Faucet URL must start with http:// or https://');
+  const explorerUrl = optionalUrl(network.explorerUrl, /^https:\/\/[^\s/]+/, 'Explorer URL must start with https://');
+
+  return {
+    ...network,
+    id,
+    name,
+    label: name,
+    chainId,
+    keyPrefix,
+    coreSymbol: String(network.coreSymbol || keyPrefix).trim().toUpperCase(),
+    nodes,
+    faucetUrl,
+    explorerUrl: explorerUrl && explorerUrl.replace(/\/+$/, ''),
+    custom: true
+  };
+}
+
+function optionalUrl(value, pattern, message) {
+  const url = String(value || '').trim();
+  if (!url) return null;
+  if (!pattern.test(url)) throw new Error(message);
+  return url;
+}
+
+/**
+ * Network id for a display name: 'My Devnet' → 'my-devnet'
+ */
+export function networkIdFromName(name) {
+  return String(name || '').trim().toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 32);
+}
+
+export async function getCustomNetworks() {
+  const stored = await chrome.storage.local.get([CUSTOM_NETWORKS_KEY]);
+  return stored[CUSTOM_NETWORKS_KEY] || [];
+}
+
+/**
+ * Built-in networks first, then user-defined ones
+ */
+export async function listNetworks() {
+  return [...Object.values(BUILTIN_NETWORKS), ...await getCustomNetworks()];
+}
+
+/**
+ * @returns {Promise<Object|null>} the network, or null if the id is unknown
+ */
+export async function getNetwork(id) {
+  if (BUILTIN_NETWORKS[id]) return BUILTIN_NETWORKS[id];
+  return (await getCustomNetworks()).find(network => network.id === id) || null;
+}
+
+/**
+ * Public key prefix of a network; unknown networks use 'BTS'
+ */
+export async function getKeyPrefix(id) {
+  return (await getNetwork(id))?.keyPrefix || 'BTS';
+}
+
+/**
+ * Add a user-defined network, or replace the one with the same id
+ * @returns {Promise<Object>} the stored network
+ */
+export async function saveCustomNetwork(network) {
+  const checked = validateCustomNetwork(network);
+  const networks = (await getCustomNetworks()).filter(n => n.id !== checked.id);
+  await chrome.storage.local.set({ [CUSTOM_NETWORKS_KEY]: [...networks, checked] });
+  return checked;
+}
+
+export async function removeCustomNetwork(id) {
+  const networks = await getCustomNetworks();
+  await chrome.storage.local.set({ [CUSTOM_NETWORKS_KEY]: networks.filter(n => n.id !== id) });
+}
@@ -0,0 +1,192 @@
+/**
+ * Offline (air-gapped) Transactions
+ * Envelope format for moving a transaction between an online watch-only
+ * wallet and an offline wallet that holds the keys, as JSON or as a sequence
+ * of QR codes.
+ *
+ * Flow:
+ *   1. online  — prepareTransaction (fees, ref block, expiration) → unsigned envelope
+ *   2. offline — review, sign with the wallet keys listed in requiredKeys → signed envelope
+ *   3. online  — broadcast the signed transaction
+ *
+ * Envelope (JSON):
+ *   {
+ *     type: 'bitshares-unsigned-transaction' | 'bitshares-signed-transaction',
+ *     version: 1,
+ *     chainId: '<64 hex chars>',
+ *     account: { id, name },
+ *     requiredKeys: ['BTS...'],      // keys the node expects signatures from
+ *     transaction: { ref_block_num, ref_block_prefix, expiration, operations, extensions, signatures }
+ *   }
+ *
+ * QR frames: "BTSTX:<index>/<total>:<chunk>", where the chunks joined in order
+ * are the Base45 (RFC 9285) encoding of the UTF-8 JSON. Base45 only uses the
+ * QR alphanumeric character set, so every frame fits a small QR version.
+ */
+
+export const UNSIGNED_TX_TYPE = 'bitshares-unsigned-transaction';
+export const SIGNED_TX_TYPE = 'bitshares-signed-transaction';
+export const OFFLINE_TX_VERSION = 1;
+
+const QR_FRAME_PREFIX = 'BTSTX';
+const QR_FRAME = /^BTSTX:(\d+)\/(\d+):(.*)$/;
+const BASE45_CHARS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+
+function base45Encode(bytes) {
+  let out = '';
+  for (let i = 0; i < bytes.length; i += 2) {
+    if (i + 1 < bytes.length) {
+      const n = bytes[i] * 256 + bytes[i + 1];
+      out += BASE45_CHARS[n % 45] + BASE45_CHARS[Math.floor(n / 45) % 45] + BASE45_CHARS[Math.floor(n / 2025)];
+    } else {
+      const n = bytes[i];
+      out += BASE45_CHARS[n % 45] + BASE45_CHARS[Math.floor(n / 45)];
+    }
+  }
+  return out;
+}
+
+function base45Decode(text) {
+  const values = [...text].map(c => {
+    const v = BASE45_CHARS.indexOf(c);
+    if (v < 0) throw new Error(`Invalid QR data character: ${JSON.stringify(c)}`);
+    return v;
+  });
+  if (values.length % 3 === 1) throw new Error('Invalid QR data length');
+
+  const bytes = [];
+  for (let i = 0; i < values.length; i += 3) {
+    if (i + 2 < values.length) {
+      const n = values[i] + values[i + 1] * 45 + values[i + 2] * 2025;
+      if (n > 0xffff) throw new Error('Invalid QR data');
+      bytes.push(n >> 8, n & 0xff);
+    } else {
+      const n = values[i] + values[i + 1] * 45;
+      if (n > 0xff) throw new Error('Invalid QR data');
+      bytes.push(n);
+    }
+  }
+  return new Uint8Array(bytes);
+}
+
+export class OfflineTransaction {
+  /**
+   * Wrap a prepared (unsigned) transaction for export.
+   * @param {Object} transaction - output of BitSharesAPI.prepareTransaction
+   * @param {{chainId: string, account: {id: string, name: string}, requiredKeys?: string[]}} meta
+   */
+  static create(transaction, { chainId, account, requiredKeys = [] }) {
+    return {
+      type: UNSIGNED_TX_TYPE,
+      version: OFFLINE_TX_VERSION,
+      chainId,
+      account: { id: account.id, name: account.name },
+      requiredKeys: [...requiredKeys],
+      transaction: { ...transaction, signatures: [] }
+    };
+  }
+
+  /**
+   * Parse and validate an envelope.
+   * @param {string|Object} input - JSON text, QR frame text (one frame per line) or an envelope object
+   * @param {string} [expectedType] - UNSIGNED_TX_TYPE or SIGNED_TX_TYPE
+   * @throws {Error} when the input is not a usable envelope
+   */
+  static parse(input, expectedType = null) {
+    let envelope = input;
+    if (typeof input === 'string') {
+      const text = input.trim();
+      if (text.startsWith(`${QR_FRAME_PREFIX}:`)) {
+        envelope = OfflineTransaction.fromQrFrames(input.split(/\r?\n/).filter(line => line.trim()));
+      } else {
+        try {
+          envelope = JSON.parse(text);
+        } catch {
+          throw new Error('Not a valid JSON transaction');
+        }
+      }
+    }
+
+    if (!envelope || (envelope.type !== UNSIGNED_TX_TYPE && envelope.type !== SIGNED_TX_TYPE)) {
+      throw new Error('Not an offline BitShares transaction');
+    }
+    if (envelope.version !== OFFLINE_TX_VERSION) {
+      throw new Error(`Unsupported transaction file version: ${envelope.version}`);
+    }
+    if (expectedType && envelope.type !== expectedType) {
+      throw new Error(expectedType === SIGNED_TX_TYPE
+        ? 'This transaction has not been signed yet'
+        : 'This transaction is already signed');
+    }
+    if (typeof envelope.chainId !== 'string' || !/^[0-9a-f]{64}$/.test(envelope.chainId)) {
+      throw new Error('Missing or invalid chain id');
+    }
+
+    const tx = envelope.transaction;
+    if (!tx || !Array.isArray(tx.operations) || tx.operations.length === 0 ||
+        typeof tx.ref_block_num !== 'number' || typeof tx.ref_block_prefix !== 'number' ||
+        typeof tx.expiration !== 'string') {
+      throw new Error('Transaction is incomplete');
+    }
+    if (envelope.type === SIGNED_TX_TYPE && (!Array.isArray(tx.signatures) || tx.signatures.length === 0)) {
+      throw new Error('Signed transaction has no signatures');
+    }
+    if (!Array.isArray(envelope.requiredKeys)) envelope.requiredKeys = [];
+    return envelope;
+  }
+
+  /**
+   * True once the transaction's expiration (chain time, UTC) has passed
+   */
+  static isExpired(envelope, now = new Date()) {
+    return new Date(envelope.transaction.expiration + 'Z').getTime() <= now.getTime();
+  }
+
+  /**
+   * Split an envelope into QR frame strings.
+   * @param {number} chunkSize - Base45 characters per frame
+   */
+  static toQrFrames(envelope, chunkSize = 90) {
+    const data = base45Encode(new TextEncoder().encode(JSON.stringify(envelope)));
+    const total = Math.max(1, Math.ceil(data.length / chunkSize));
+    const frames = [];
+    for (let i = 0; i < total; i++) {
+      frames.push(`${QR_FRAME_PREFIX}:${i + 1}/${total}:${data.slice(i * chunkSize, (i + 1) * chunkSize)}`);
+    }
+    return frames;
+  }
+
+  /**
+   * Reassemble an envelope from scanned QR frames (any order, duplicates ignored).
+   * @throws {Error} when frames are missing or belong to different sequences
+   */
+  static fromQrFrames(frames) {
+    const chunks = new Map();
+    let total = null;
+    for (const frame of frames) {
+      const match = QR_FRAME.exec(frame);
+      if (!match) throw new Error('Not a BitShares transaction QR code');
+      const index = Number(match[1]);
+      const count = Number(match[2]);
+      if (total === null) total = count;
+      if (count !== total || index < 1 || index > total) {
+        throw new Error('QR codes belong to different transactions');
+      }
+      chunks.set(index, match[3]);
+    }
+    if (total === null) throw new Error('No QR codes scanned');
+
+    const missing = [];
+    for (let i = 1; i <= total; i++) {
+      if (!chunks.has(i)) missing.push(i);
+    }
+    if (missing.length > 0) throw new Error(`Missing QR codes: ${missing.join(', ')} of ${total}`);
+
+    const data = [...Array(total).keys()].map(i => chunks.get(i + 1)).join('');
+    try {
+      return JSON.parse(new TextDecoder().decode(base45Decode(data)));
+    } catch (error) {
+      throw new Error(`Could not read QR codes: ${error.message}`);
+    }
+  }
+}
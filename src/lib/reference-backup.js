@@ -0,0 +1,122 @@
+/**
+ * Reference Wallet Backups
+ * Reads the .bin backup files of the BitShares reference wallet
+ * (bitshares-ui) and returns the private keys they hold.
+ *
+ * File:
+ *   33 bytes   one-time public key (compressed)
+ *   rest       AES-256-CBC( checksum(4) || lzma(wallet JSON) )
+ *
+ * The backup is encrypted to the public key of sha256(password) (bitsharesjs
+ * PrivateKey.fromSeed). With S = sha512(x of the shared point), the AES key
+ * and IV are the first 32 and next 16 bytes of sha512(hex(S)); the checksum
+ * is the first 4 bytes of sha256 of what follows it.
+ *
+ * Wallet JSON:
+ *   {
+ *     wallet: [{ encryption_key, password_pubkey, chain_id, ... }],
+ *     private_keys: [{ encrypted_key, pubkey, ... }],
+ *     linked_accounts: [{ name, chainId }]
+ *   }
+ *
+ * encryption_key is the wallet's master key, AES-encrypted under
+ * sha512(password); every encrypted_key is a 32-byte private key, encrypted
+ * under sha512(master key). Both are hex.
+ */
+
+import { CryptoUtils, ECPoint, sha256, bytesToBigInt, bigIntToBytes, bytesToHex, hexToBytes } from './crypto-utils.js';
+import { lzmaDecompress } from './lzma.js';
+
+const PUBLIC_KEY_SIZE = 33;
+
+/**
+ * bitsharesjs Aes.fromSeed: key and IV from sha512 of the seed
+ */
+async function aesFromSeed(seed) {
+  const hash = await CryptoUtils.sha512(seed);
+  return { key: hash.slice(0, 32), iv: hash.slice(32, 48) };
+}
+
+async function aesDecrypt(data, seed) {
+  const { key, iv } = await aesFromSeed(seed);
+  return CryptoUtils.aes256CbcDecrypt(data, key, iv);
+}
+
+/**
+ * Decrypt and decompress a .bin backup
+ * @param {Uint8Array} bytes - the file's contents
+ * @param {string} password - the reference wallet's password
+ * @returns {Promise<Object>} the wallet JSON
+ */
+export async function decryptReferenceBackup(bytes, password) {
+  // A compressed public key starts with 02 or 03
+  if (!(bytes instanceof Uint8Array) || bytes.length < PUBLIC_KEY_SIZE + 16 || (bytes[0] !== 2 && bytes[0] !== 3)) {
+    throw new Error('Not a BitShares wallet backup');
+  }
+
+  const onetimePublicKey = ECPoint.fromCompressed(bytes.slice(0, PUBLIC_KEY_SIZE));
+
+  const backupKey = bytesToBigInt(await sha256(password));
+  const shared = await CryptoUtils.sha512(bigIntToBytes(onetimePublicKey.multiply(backupKey).x, 32));
+
+  let plain;
+  try {
+    plain = await aesDecrypt(bytes.slice(PUBLIC_KEY_SIZE), bytesToHex(shared));
+  } catch {
+    throw new Error('Wrong backup password');
+  }
+  const checksum = (await sha256(plain.slice(4))).slice(0, 4);
+  if (plain.length < 4 || checksum.some((byte, i) => byte !== plain[i])) {
+    throw new Error('Wrong backup password');
+  }
+
+  try {
+    return JSON.parse(new TextDecoder().decode(lzmaDecompress(plain.slice(4))));
+  } catch {
+    throw new Error('The backup file is damaged');
+  }
+}
+
+/**
+ * The private keys of a decrypted backup, one per public key
+ * @param {Object} backup - wallet JSON from decryptReferenceBackup
+ * @param {string} password - the reference wallet's password
+ * @param {string} [prefix] - public key prefix for the returned keys
+ * @returns {Promise<Array<{privateKey: string, publicKey: string}>>} WIF and public key
+ */
+export async function referenceBackupKeys(backup, password, prefix = 'BTS') {
+  const wallet = backup?.wallet?.[0];
+  const entries = backup?.private_keys || [];
+  if (!wallet?.encryption_key || !entries.length) {
+    throw new Error('The backup holds no private keys');
+  }
+
+  let masterKey;
+  try {
+    masterKey = await aesDecrypt(hexToBytes(wallet.encryption_key), password);
+  } catch {
+    throw new Error('Could not decrypt the backup\'s keys');
+  }
+
+  const keys = [];
+  for (const entry of entries) {
+    let privateKeyBytes;
+    try {
+      privateKeyBytes = await aesDecrypt(hexToBytes(entry.encrypted_key), masterKey);
+    } catch {
+      console.warn('Skipping undecryptable backup key:', entry.pubkey);
+      continue;
+    }
+    if (privateKeyBytes.length !== 32) continue;
+
+    const pair = await CryptoUtils.privateKeyBytesToKeyPair(privateKeyBytes, prefix);
+    if (entry.pubkey && !CryptoUtils.samePublicKey(pair.publicKey, entry.pubkey)) {
+      console.warn('Skipping backup key that does not match its public key:', entry.pubkey);
+      continue;
+    }
+    if (!keys.some(key => key.publicKey === pair.publicKey)) keys.push(pair);
+  }
+
+  if (!keys.length) throw new Error('Could not decrypt the backup\'s keys');
+  return keys;
+}
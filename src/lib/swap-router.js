@@ -0,0 +1,422 @@
+/**
+ * Swap Routing
+ * The route of up to three hops that turns one asset into another for the
+ * most output, through liquidity pools and, optionally, the order books
+ * between the two swapped assets and the core asset. Each hop is simulated the
+ * way the chain executes it, and the whole route is one transaction: a
+ * liquidity_pool_exchange or a fill-or-kill limit_order_create per hop, so
+ * either every hop goes through or none does.
+ *
+ * The operations of a transaction cannot hand amounts to each other, so each
+ * hop sells a fixed amount: the least the hop before it is allowed to deliver.
+ * The overall slippage tolerance is split across the hops so that the hop
+ * minimums compound to it; what a hop delivers above its minimum stays in the
+ * account.
+ */
+
+import { LiquidityPools } from './liquidity-pools.js';
+
+export const MAX_HOPS = 3;
+
+// Candidate paths tried per search; shorter paths come first
+export const MAX_ROUTES = 500;
+
+const PPM = 1000000n;
+
+// Fill-or-kill orders never rest on the book; the expiration only has to be valid
+const ORDER_LIFETIME_SECONDS = 3600;
+
+function ceilDiv(a, b) {
+  return (a + b - 1n) / b;
+}
+
+/** a × (1 − ppm / 1e6), rounded down, at least one base unit */
+function lessTolerance(amount, ppm) {
+  const result = amount * (PPM - ppm) / PPM;
+  return result > 0n ? result : 1n;
+}
+
+/** Orders selling `toId` for `fromId`, best price for the buyer first */
+function asksFor(orders, fromId, toId) {
+  return orders
+    .filter(o => o.sell_price.base.asset_id === toId && o.sell_price.quote.asset_id === fromId)
+    .map(o => ({
+      forSale: BigInt(o.for_sale),
+      base: BigInt(o.sell_price.base.amount),
+      quote: BigInt(o.sell_price.quote.amount)
+    }))
+    .sort((x, y) => {
+      // Most toId per fromId first: y.base / y.quote vs x.base / x.quote
+      const diff = y.base * x.quote - x.base * y.quote;
+      return diff > 0n ? 1 : diff < 0n ? -1 : 0;
+    });
+}
+
+/**
+ * A hop through a liquidity pool
+ */
+function poolHop(pool, fromId, amount, assets) {
+  const quote = LiquidityPools.quote(pool, fromId, amount, assets);
+  return {
+    type: 'pool',
+    pool: pool.id,
+    sell: quote.sell,
+    receive: quote.receive,
+    refund: 0n,
+    received: BigInt(quote.receive.amount),
+    impactPpm: BigInt(Math.round(quote.priceImpact * 10000))
+  };
+}
+
+/**
+ * A hop through an order book: a new order selling `amount` of fromId matched
+ * against the asks, best first, at each maker's price. A maker filled in full
+ * receives its for_sale at its price rounded down and pays that rounded up;
+ * the last maker is filled partially the same way, and the taker's remainder,
+ * too small to buy anything, is refunded.
+ */
+function bookHop(orders, fromId, toId, amount, assets) {
+  const asks = asksFor(orders, fromId, toId);
+  const sold = BigInt(amount);
+  let remaining = sold;
+  let received = 0n;
+  let refund = 0n;
+  let worst = null;
+  for (const ask of asks) {
+    const makerReceives = ask.forSale * ask.quote / ask.base;
+    if (makerReceives === 0n) continue;
+    if (remaining < makerReceives) {
+      const takerReceives = remaining * ask.base / ask.quote;
+      if (takerReceives > 0n) {
+        received += takerReceives;
+        remaining -= ceilDiv(takerReceives * ask.quote, ask.base);
+        worst = ask;
+      }
+      refund = remaining;
+      remaining = 0n;
+      break;
+    }
+    received += ceilDiv(makerReceives * ask.base, ask.quote);
+    remaining -= makerReceives;
+    worst = ask;
+    if (remaining === 0n) break;
+  }
+  if (remaining > 0n || !worst) {
+    throw new Error(`Not enough orders on the ${fromId}/${toId} order book`);
+  }
+  const spent = sold - refund;
+
+  const marketFee = LiquidityPools.marketFee(assets.get(toId), received, false);
+  if (received - marketFee <= 0n) throw new Error('Swap amount too small for this order book');
+
+  // Short of the best ask's price, like a pool's price impact
+  const best = asks[0];
+  const impactPpm = (best.base * spent - received * best.quote) * PPM / (best.base * spent);
+
+  return {
+    type: 'book',
+    sell: { amount: Number(sold), asset_id: fromId },
+    receive: { amount: Number(received - marketFee), asset_id: toId },
+    refund,
+    received,
+    impactPpm,
+    // The order's limit: the worst price it has to reach
+    limit: { base: worst.base, quote: worst.quote }
+  };
+}
+
+export class SwapRouter {
+  /**
+   * The directed trading graph: for every asset, the assets it can be sold
+   * for and the venues to sell through
+   * @param {Object[]} pools - liquidity_pool_objects
+   * @param {Object[]} [orders] - limit_order_objects of the order books to use
+   * @returns {Map<string, Map<string, Array<{type: 'pool', pool: Object}|{type: 'book', orders: Object[]}>>>}
+   */
+  static graph(pools, orders = []) {
+    const graph = new Map();
+    const venues = (fromId, toId) => {
+      if (!graph.has(fromId)) graph.set(fromId, new Map());
+      const edges = graph.get(fromId);
+      if (!edges.has(toId)) edges.set(toId, []);
+      return edges.get(toId);
+    };
+
+    for (const pool of pools) {
+      if (!(Number(pool.balance_a) > 0 && Number(pool.balance_b) > 0)) continue;
+      venues(pool.asset_a, pool.asset_b).push({ type: 'pool', pool });
+      venues(pool.asset_b, pool.asset_a).push({ type: 'pool', pool });
+    }
+
+    // An order selling X for Y lets the route sell Y for X
+    const books = new Map();
+    for (const order of orders) {
+      const fromId = order.sell_price.quote.asset_id;
+      const toId = order.sell_price.base.asset_id;
+      const key = `${fromId}:${toId}`;
+      if (!books.has(key)) {
+        books.set(key, { type: 'book', orders: [] });
+        venues(fromId, toId).push(books.get(key));
+      }
+      books.get(key).orders.push(order);
+    }
+
+    return graph;
+  }
+
+  /**
+   * Markets whose order books may join a route: each pair of the two swapped
+   * assets and the core asset
+   * @returns {Array<[string, string]>}
+   */
+  static orderBookMarkets(sellAssetId, buyAssetId, coreAssetId = '1.3.0') {
+    const ids = [...new Set([sellAssetId, buyAssetId, coreAssetId])];
+    const markets = [];
+    for (let i = 0; i < ids.length; i++) {
+      for (let j = i + 1; j < ids.length; j++) markets.push([ids[i], ids[j]]);
+    }
+    return markets;
+  }
+
+  /**
+   * Assets `fromId` can be swapped into within `maxHops`
+   * @returns {Set<string>}
+   */
+  static reachableAssets(graph, fromId, maxHops = MAX_HOPS) {
+    const reached = new Set([fromId]);
+    let frontier = [fromId];
+    for (let hop = 0; hop < maxHops && frontier.length > 0; hop++) {
+      const next = [];
+      for (const assetId of frontier) {
+        for (const toId of graph.get(assetId)?.keys() || []) {
+          if (!reached.has(toId)) {
+            reached.add(toId);
+            next.push(toId);
+          }
+        }
+      }
+      frontier = next;
+    }
+    reached.delete(fromId);
+    return reached;
+  }
+
+  /**
+   * Asset paths from one asset to another, no asset visited twice, shortest
+   * first, at most MAX_ROUTES of them
+   * @returns {string[][]}
+   */
+  static paths(graph, fromId, toId, maxHops = MAX_HOPS) {
+    // Hops left to reach toId from each asset, so dead ends are never walked
+    const distance = new Map([[toId, 0]]);
+    let frontier = [toId];
+    for (let hop = 1; hop <= maxHops; hop++) {
+      const next = [];
+      for (const [assetId, edges] of graph) {
+        if (distance.has(assetId)) continue;
+        if (frontier.some(id => edges.has(id))) {
+          distance.set(assetId, hop);
+          next.push(assetId);
+        }
+      }
+      frontier = next;
+    }
+
+    const paths = [];
+    for (let length = 1; length <= maxHops; length++) {
+      const walk = (path) => {
+        if (paths.length >= MAX_ROUTES) return;
+        const last = path[path.length - 1];
+        const hopsLeft = length - (path.length - 1);
+        if (hopsLeft === 0) {
+          if (last === toId) paths.push(path);
+          return;
+        }
+        for (const next of graph.get(last)?.keys() || []) {
+          if (path.includes(next) || !(distance.get(next) <= hopsLeft - 1)) continue;
+          if (next === toId && hopsLeft > 1) continue;
+          walk([...path, next]);
+        }
+      };
+      walk([fromId]);
+    }
+    return paths;
+  }
+
+  /**
+   * Per-hop tolerance in parts per million, so that `hops` of them compound
+   * to the overall slippage in percent
+   */
+  static hopTolerance(slippage, hops) {
+    const percent = Number(slippage);
+    if (!Number.isFinite(percent) || percent < 0 || percent >= 100) {
+      throw new Error('Slippage must be between 0 and 100%');
+    }
+    return BigInt(Math.floor(1000000 * (1 - Math.pow(1 - percent / 100, 1 / hops))));
+  }
+
+  /**
+   * Simulate selling `amount` along one path, each hop through the venue
+   * that pays the most for what it sells
+   * @returns {Object} see bestRoute()
+   * @throws {Error} when a hop cannot be made
+   */
+  static route(graph, path, amount, assets, slippage) {
+    const tolerance = this.hopTolerance(slippage, path.length - 1);
+    const hops = [];
+    let input = BigInt(amount);
+
+    for (let i = 0; i < path.length - 1; i++) {
+      const [fromId, toId] = [path[i], path[i + 1]];
+      let best = null;
+      let lastError = new Error(`No market from ${fromId} to ${toId}`);
+      for (const venue of graph.get(fromId)?.get(toId) || []) {
+        try {
+          const hop = venue.type === 'pool'
+            ? poolHop(venue.pool, fromId, input, assets)
+            : bookHop(venue.orders, fromId, toId, input, assets);
+          if (!best || hop.receive.amount > best.receive.amount) best = hop;
+        } catch (error) {
+          lastError = error;
+        }
+      }
+      if (!best) throw lastError;
+
+      let minimum;
+      if (best.type === 'pool') {
+        // The pool checks what the account receives, after market fees
+        minimum = lessTolerance(best.received, tolerance);
+        best.guaranteed = minimum;
+      } else {
+        // The order's price: no better than its worst maker, less the tolerance.
+        // It receives at least that before the market fee.
+        const atWorst = input * best.limit.base / best.limit.quote;
+        minimum = lessTolerance(atWorst < best.received ? atWorst : best.received, tolerance);
+        best.guaranteed = minimum - LiquidityPools.marketFee(assets.get(toId), minimum, false);
+        if (best.guaranteed <= 0n) throw new Error('Swap amount too small for this order book');
+      }
+      best.minToReceive = { amount: Number(minimum), asset_id: toId };
+      hops.push(best);
+      input = best.guaranteed;
+    }
+
+    // Delivered but not sold on: the margin above each hop minimum, and order book dust
+    const leftovers = new Map();
+    const leave = (assetId, value) => {
+      if (value > 0n) leftovers.set(assetId, (leftovers.get(assetId) || 0n) + value);
+    };
+    hops.forEach((hop, i) => {
+      leave(hop.sell.asset_id, hop.refund);
+      if (i < hops.length - 1) leave(hop.receive.asset_id, BigInt(hop.receive.amount) - hop.guaranteed);
+    });
+
+    const kept = hops.reduce((product, hop) => product * (PPM - hop.impactPpm) / PPM, PPM);
+    const last = hops[hops.length - 1];
+    return {
+      path,
+      hops: hops.map(hop => ({
+        type: hop.type,
+        ...(hop.pool ? { pool: hop.pool } : {}),
+        sell: hop.sell,
+        receive: hop.receive,
+        minToReceive: hop.minToReceive,
+        priceImpact: Number(hop.impactPpm) / 10000
+      })),
+      sell: hops[0].sell,
+      receive: last.receive,
+      minReceive: { amount: Number(last.guaranteed), asset_id: last.receive.asset_id },
+      leftovers: [...leftovers].map(([assetId, value]) => ({ amount: Number(value), asset_id: assetId })),
+      priceImpact: Number(PPM - kept) / 10000
+    };
+  }
+
+  /**
+   * The route that receives the most
+   * @param {Map} graph - see graph()
+   * @param {string[][]} paths - see paths()
+   * @param {number|string} amount - base units of the first asset
+   * @param {Map<string, Object>} assets - every asset on the paths (market fees)
+   * @param {number} slippage - overall tolerance in percent
+   * @returns {{path: string[], hops: Object[], sell: Object, receive: Object,
+   *   minReceive: Object, leftovers: Object[], priceImpact: number}}
+   *   amounts as {amount, asset_id}; receive is expected, minReceive guaranteed
+   * @throws {Error} the last path's error when no path works
+   */
+  static bestRoute(graph, paths, amount, assets, slippage) {
+    let best = null;
+    let lastError = new Error('No swap route for this pair');
+    for (const path of paths) {
+      try {
+        const route = this.route(graph, path, amount, assets, slippage);
+        if (!best || route.receive.amount > best.receive.amount) best = route;
+      } catch (error) {
+        lastError = error;
+      }
+    }
+    if (!best) throw lastError;
+    return best;
+  }
+
+  /**
+   * Smallest amount to sell that the best route is expected to turn into at
+   * least `amountToReceive` base units
+   * @returns {number} base units of the first asset
+   * @throws {Error} when no route can deliver that much
+   */
+  static amountToSellFor(graph, paths, amountToReceive, assets, slippage) {
+    const target = BigInt(amountToReceive);
+    if (target <= 0n) throw new Error('Amount must be a positive number');
+    const receives = (amount) => {
+      try {
+        return BigInt(this.bestRoute(graph, paths, amount, assets, slippage).receive.amount);
+      } catch (error) {
+        return 0n;
+      }
+    };
+
+    // Double until enough, then bisect
+    const limit = BigInt(Number.MAX_SAFE_INTEGER);
+    let high = 1n;
+    while (receives(high) < target) {
+      if (high >= limit) throw new Error('Not enough liquidity along any route');
+      high = high * 2n > limit ? limit : high * 2n;
+    }
+    let low = high / 2n;
+    while (high - low > 1n) {
+      const middle = (low + high) / 2n;
+      if (receives(middle) >= target) high = middle;
+      else low = middle;
+    }
+    return Number(high);
+  }
+
+  /**
+   * The route as the operations of one transaction: liquidity_pool_exchange
+   * (63) for pool hops, fill-or-kill limit_order_create (1) for book hops
+   * @param {Object} route - see bestRoute()
+   * @param {string} accountId
+   * @param {Object} [fee] - fee object for every operation
+   * @returns {Array<[number, Object]>}
+   */
+  static operations(route, accountId, fee = { amount: 0, asset_id: '1.3.0' }) {
+    const expiration = new Date(Date.now() + ORDER_LIFETIME_SECONDS * 1000).toISOString().slice(0, -5);
+    return route.hops.map(hop => hop.type === 'pool'
+      ? [63, {
+        fee: { ...fee },
+        account: accountId,
+        pool: hop.pool,
+        amount_to_sell: hop.sell,
+        min_to_receive: hop.minToReceive,
+        extensions: []
+      }]
+      : [1, {
+        fee: { ...fee },
+        seller: accountId,
+        amount_to_sell: hop.sell,
+        min_to_receive: hop.minToReceive,
+        expiration,
+        fill_or_kill: true,
+        extensions: []
+      }]);
+  }
+}
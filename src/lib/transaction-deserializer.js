@@ -0,0 +1,814 @@
+/**
+ * Transaction Deserializer
+ * Binary inverse of BitSharesAPI.serializeTransaction / serializeOperationData.
+ *
+ * Decoding the exact bytes that get signed (instead of trusting the JSON a
+ * dApp supplied) lets the approval screen show what is actually signed, and
+ * any serializer bug shows up as a mismatch in the decoded view.
+ *
+ * The layouts below mirror the serialize*Op methods field for field, so that
+ * serializeOperationData(type, deserializeOperationData(type, bytes)) returns
+ * the same bytes. Object ids are written as their instance number only; the
+ * "space.type" part of every id comes from the field's position.
+ */
+
+import { CryptoUtils, ripemd160, bytesToHex, hexToBytes } from './crypto-utils.js';
+
+class ByteReader {
+  constructor(bytes, prefix) {
+    this.bytes = bytes;
+    this.offset = 0;
+    this.prefix = prefix;
+  }
+
+  take(length) {
+    if (this.offset + length > this.bytes.length) {
+      throw new Error('Unexpected end of transaction data');
+    }
+    const out = this.bytes.subarray(this.offset, this.offset + length);
+    this.offset += length;
+    return out;
+  }
+
+  uint8() {
+    return this.take(1)[0];
+  }
+
+  uint16() {
+    const b = this.take(2);
+    return b[0] | (b[1] << 8);
+  }
+
+  uint32() {
+    const b = this.take(4);
+    return (b[0] | (b[1] << 8) | (b[2] << 16) | (b[3] << 24)) >>> 0;
+  }
+
+  uint64() {
+    const b = this.take(8);
+    let value = 0n;
+    for (let i = 7; i >= 0; i--) {
+      value = (value << 8n) | BigInt(b[i]);
+    }
+    return value;
+  }
+
+  varint() {
+    let value = 0;
+    let shift = 0;
+    let byte;
+    do {
+      if (shift > 49) throw new Error('Invalid varint in transaction data');
+      byte = this.uint8();
+      value += (byte & 0x7f) * 2 ** shift;
+      shift += 7;
+    } while (byte & 0x80);
+    return value;
+  }
+
+  end() {
+    if (this.offset !== this.bytes.length) {
+      throw new Error(`Unexpected ${this.bytes.length - this.offset} trailing bytes in transaction data`);
+    }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Field types: each one reads a value from a ByteReader
+// ---------------------------------------------------------------------------
+
+const uint8 = r => r.uint8();
+const uint16 = r => r.uint16();
+const uint32 = r => r.uint32();
+const varint = r => r.varint();
+
+const bool = r => {
+  const value = r.uint8();
+  if (value > 1) throw new Error(`Invalid bool value ${value}`);
+  return value === 1;
+};
+
+// Amounts stay numbers while they are exact, larger values become strings
+const int64 = r => {
+  const value = BigInt.asIntN(64, r.uint64());
+  const n = Number(value);
+  return Number.isSafeInteger(n) ? n : value.toString();
+};
+
+const string = r => new TextDecoder('utf-8', { fatal: true }).decode(r.take(r.varint()));
+const bytes = r => bytesToHex(r.take(r.varint()));
+const fixedBytes = size => r => bytesToHex(r.take(size));
+
+// time_point_sec, in the chain's "YYYY-MM-DDTHH:MM:SS" (UTC, no zone) format
+const time = r => new Date(r.uint32() * 1000).toISOString().slice(0, -5);
+
+const id = space => r => `${space}.${r.varint()}`;
+
+// object_id_type: space, type and instance packed into one uint64
+const objectIdType = r => {
+  const value = r.uint64();
+  return `${value >> 56n}.${(value >> 48n) & 0xffn}.${value & 0xffffffffffffn}`;
+};
+
+function publicKeyToString(key, prefix) {
+  const withChecksum = new Uint8Array(37);
+  withChecksum.set(key);
+  withChecksum.set(ripemd160(key).slice(0, 4), 33);
+  return prefix + CryptoUtils.base58Encode(withChecksum);
+}
+
+const publicKey = r => publicKeyToString(r.take(33), r.prefix);
+
+const optional = type => r => {
+  const present = r.uint8();
+  if (present > 1) throw new Error(`Invalid optional flag ${present}`);
+  return present ? type(r) : undefined;
+};
+
+const array = type => r => {
+  const count = r.varint();
+  const items = [];
+  for (let i = 0; i < count; i++) items.push(type(r));
+  return items;
+};
+
+const pair = (keyType, valueType) => r => [keyType(r), valueType(r)];
+
+// Absent optionals are left out rather than set to undefined
+const struct = fields => r => {
+  const out = {};
+  for (const [name, type] of fields) {
+    const value = type(r);
+    if (value !== undefined) out[name] = value;
+  }
+  return out;
+};
+
+// Every serializer writes an empty extension set unless handled explicitly below
+const extensions = r => {
+  if (r.varint() !== 0) throw new Error('Unsupported extensions in transaction data');
+  return [];
+};
+
+// ---------------------------------------------------------------------------
+// Protocol structures
+// ---------------------------------------------------------------------------
+
+const account = id('1.2');
+const assetId = id('1.3');
+
+const assetAmount = struct([['amount', int64], ['asset_id', assetId]]);
+
+const price = struct([['base', assetAmount], ['quote', assetAmount]]);
+
+const authority = struct([
+  ['weight_threshold', uint32],
+  ['account_auths', array(pair(account, uint16))],
+  ['key_auths', array(pair(publicKey, uint16))],
+  ['address_auths', array(pair(publicKey, uint16))]
+]);
+
+// vote_id: type in the low 8 bits, instance in the upper 24
+const voteId = r => {
+  const value = r.uint32();
+  return `${value & 0xff}:${value >>> 8}`;
+};
+
+const accountOptions = struct([
+  ['memo_key', publicKey],
+  ['voting_account', account],
+  ['num_witness', uint16],
+  ['num_committee', uint16],
+  ['votes', array(voteId)],
+  ['extensions', extensions]
+]);
+
+const assetOptions = struct([
+  ['max_supply', int64],
+  ['market_fee_percent', uint16],
+  ['max_market_fee', int64],
+  ['issuer_permissions', uint16],
+  ['flags', uint16],
+  ['core_exchange_rate', price],
+  ['whitelist_authorities', array(account)],
+  ['blacklist_authorities', array(account)],
+  ['whitelist_markets', array(assetId)],
+  ['blacklist_markets', array(assetId)],
+  ['description', string],
+  ['extensions', extensions]
+]);
+
+const bitassetOptions = struct([
+  ['feed_lifetime_sec', uint32],
+  ['minimum_feeds', uint8],
+  ['force_settlement_delay_sec', uint32],
+  ['force_settlement_offset_percent', uint16],
+  ['maximum_force_settlement_volume', uint16],
+  ['short_backing_asset', assetId],
+  ['extensions', extensions]
+]);
+
+const priceFeed = struct([
+  ['settlement_price', price],
+  ['maintenance_collateral_ratio', uint16],
+  ['maximum_short_squeeze_ratio', uint16],
+  ['core_exchange_rate', price]
+]);
+
+// Memo keys are written as 33 zero bytes when absent
+const memoKey = r => {
+  const key = r.take(33);
+  return key.every(b => b === 0) ? undefined : publicKeyToString(key, r.prefix);
+};
+
+const memo = struct([
+  ['from', memoKey],
+  ['to', memoKey],
+  ['nonce', r => r.uint64().toString()],
+  ['message', bytes]
+]);
+
+const linearVestingPolicy = struct([
+  ['begin_timestamp', time],
+  ['vesting_cliff_seconds', uint32],
+  ['vesting_duration_seconds', uint32]
+]);
+
+const cddVestingPolicy = struct([
+  ['start_claim', time],
+  ['vesting_seconds', uint32]
+]);
+
+const vestingPolicy = r => {
+  const type = r.varint();
+  return { type, ...(type === 0 ? linearVestingPolicy(r) : cddVestingPolicy(r)) };
+};
+
+const workerInitializer = r => {
+  const type = r.varint();
+  return type === 1 ? { type, pay_vesting_period_days: r.uint16() } : { type };
+};
+
+const stealthConfirmation = struct([
+  ['one_time_key', publicKey],
+  ['to', optional(publicKey)],
+  ['encrypted_memo', bytes]
+]);
+
+const blindOutput = struct([
+  ['commitment', fixedBytes(33)],
+  ['range_proof', bytes],
+  ['owner', authority],
+  ['stealth_memo', optional(stealthConfirmation)]
+]);
+
+const blindInput = struct([
+  ['commitment', fixedBytes(33)],
+  ['owner', authority]
+]);
+
+// Object id argument types 7-19 of a custom authority restriction
+const RESTRICTION_ID_SPACES = [
+  '1.2', '1.3', '1.4', '1.5', '1.6', '1.7', '1.8', '1.9', '1.10', '1.12', '1.13', '1.14', '1.15'
+];
+
+const RESTRICTION_ARGUMENTS = {
+  1: bool,
+  2: int64,
+  3: string,
+  4: time,
+  5: publicKey,
+  6: fixedBytes(32)
+};
+
+const restriction = r => {
+  const out = {
+    member_index: r.varint(),
+    restriction_type: r.varint(),
+    argument_type: r.varint()
+  };
+  const argType = out.argument_type;
+  if (RESTRICTION_ARGUMENTS[argType]) {
+    out.argument = RESTRICTION_ARGUMENTS[argType](r);
+  } else if (argType >= 7 && argType <= 19) {
+    out.argument = id(RESTRICTION_ID_SPACES[argType - 7])(r);
+  } else if (argType !== 0) {
+    r.varint(); // placeholder written for nested argument types
+  }
+  extensions(r);
+  return out;
+};
+
+const PREDICATES = {
+  0: struct([['account_id', account], ['name', string]]),
+  1: struct([['asset_id', assetId], ['symbol', string]]),
+  2: struct([['id', fixedBytes(20)]])
+};
+
+const predicate = r => {
+  const type = r.varint();
+  return { type, ...(PREDICATES[type] ? PREDICATES[type](r) : {}) };
+};
+
+// limit_order_auto_action, as [type, data]; type 0 = create_take_profit_order_action
+const autoAction = r => {
+  const type = r.varint();
+  if (type !== 0) return [type, {}];
+  return [type, struct([
+    ['fee_asset_id', assetId],
+    ['spread_percent', uint16],
+    ['size_percent', uint16],
+    ['expiration_seconds', uint32],
+    ['repeat', bool],
+    ['extensions', extensions]
+  ])(r)];
+};
+
+const limitOrderCreateExtensions = r => {
+  const count = r.varint();
+  const out = [];
+  for (let i = 0; i < count; i++) {
+    const index = r.varint();
+    if (index !== 0) throw new Error(`Unknown limit order extension ${index}`);
+    out.push([0, { on_fill: array(autoAction)(r) }]);
+  }
+  return out;
+};
+
+const callOrderUpdateExtensions = r => {
+  const count = r.varint();
+  const out = {};
+  for (let i = 0; i < count; i++) {
+    const index = r.varint();
+    if (index !== 0) throw new Error(`Unknown call order extension ${index}`);
+    out.target_collateral_ratio = r.uint16();
+  }
+  return count ? out : [];
+};
+
+const assetClaimFeesExtensions = r => {
+  const count = r.varint();
+  const out = {};
+  for (let i = 0; i < count; i++) {
+    const index = r.varint();
+    if (index !== 0) throw new Error(`Unknown asset_claim_fees extension ${index}`);
+    out.claim_from_asset_id = assetId(r);
+  }
+  return count ? out : [];
+};
+
+// static_variant [ripemd160, sha1, sha256]
+const preimageHash = r => {
+  const type = r.varint();
+  return [type, fixedBytes(type === 2 ? 32 : 20)(r)];
+};
+
+// Written as a length-prefixed JSON blob by serializeGenericOp
+const json = r => JSON.parse(string(r));
+
+// fee_parameters of each operation type; types not listed have just a fee
+const PER_KBYTE_FEE = [['fee', int64], ['price_per_kbyte', uint32]];
+const PER_OUTPUT_FEE = [['fee', int64], ['price_per_output', uint32]];
+const PER_DAY_FEE = [['fee', int64], ['fee_per_day', int64]];
+const PER_BYTE_FEE = [['basic_fee', int64], ['price_per_byte', uint32]];
+const FEE_PARAMETERS = {
+  0: PER_KBYTE_FEE,
+  4: [],
+  5: [['basic_fee', int64], ['premium_fee', int64], ['price_per_kbyte', uint32]],
+  6: PER_KBYTE_FEE,
+  8: [['membership_annual_fee', int64], ['membership_lifetime_fee', int64]],
+  10: [['symbol3', int64], ['symbol4', int64], ['long_symbol', int64], ['price_per_kbyte', uint32]],
+  11: PER_KBYTE_FEE,
+  14: PER_KBYTE_FEE,
+  22: PER_KBYTE_FEE,
+  23: PER_KBYTE_FEE,
+  27: PER_KBYTE_FEE,
+  35: PER_KBYTE_FEE,
+  37: [],
+  38: PER_KBYTE_FEE,
+  39: PER_OUTPUT_FEE,
+  40: PER_OUTPUT_FEE,
+  42: [],
+  44: [],
+  46: [],
+  49: PER_DAY_FEE,
+  50: [['fee', int64], ['fee_per_kb', int64]],
+  51: [],
+  52: PER_DAY_FEE,
+  53: [],
+  54: PER_BYTE_FEE,
+  55: PER_BYTE_FEE,
+  70: PER_KBYTE_FEE,
+  72: PER_KBYTE_FEE,
+  74: []
+};
+
+const feeParameters = r => {
+  const type = r.varint();
+  if (type > 77) throw new Error(`Unknown fee parameters for operation ${type}`);
+  return [type, struct(FEE_PARAMETERS[type] || [['fee', int64]])(r)];
+};
+
+const chainParameters = struct([
+  ['current_fees', struct([['parameters', array(feeParameters)], ['scale', uint32]])],
+  ['block_interval', uint8],
+  ['maintenance_interval', uint32],
+  ['maintenance_skip_slots', uint8],
+  ['committee_proposal_review_period', uint32],
+  ['maximum_transaction_size', uint32],
+  ['maximum_block_size', uint32],
+  ['maximum_time_until_expiration', uint32],
+  ['maximum_proposal_lifetime', uint32],
+  ['maximum_asset_whitelist_authorities', uint8],
+  ['maximum_asset_feed_publishers', uint8],
+  ['maximum_witness_count', uint16],
+  ['maximum_committee_count', uint16],
+  ['maximum_authority_membership', uint16],
+  ['reserve_percent_of_fee', uint16],
+  ['network_percent_of_fee', uint16],
+  ['lifetime_referrer_percent_of_fee', uint16],
+  ['cashback_vesting_period_seconds', uint32],
+  ['cashback_vesting_threshold', int64],
+  ['count_non_member_votes', bool],
+  ['allow_non_member_whitelists', bool],
+  ['witness_pay_per_block', int64],
+  ['worker_budget_per_day', int64],
+  ['max_predicate_opcode', uint16],
+  ['fee_liquidation_threshold', int64],
+  ['accounts_per_fee_scale', uint16],
+  ['account_fee_scale_bitshifts', uint8],
+  ['max_authority_depth', uint8],
+  ['extensions', extensions]
+]);
+
+// ---------------------------------------------------------------------------
+// Operation layouts (every operation starts with its fee)
+// ---------------------------------------------------------------------------
+
+const op = fields => struct([['fee', assetAmount], ...fields]);
+
+const forceSettlement = id('1.4');
+const committeeMember = id('1.5');
+const witness = id('1.6');
+const limitOrder = id('1.7');
+const proposal = id('1.10');
+const withdrawPermission = id('1.12');
+const vestingBalance = id('1.13');
+const balance = id('1.15');
+const htlc = id('1.16');
+const customAuthority = id('1.17');
+const ticket = id('1.18');
+const liquidityPool = id('1.19');
+const sametFund = id('1.20');
+const creditOffer = id('1.21');
+const creditDeal = id('1.22');
+const fbaAccumulator = id('2.16');
+
+const collateralMap = array(pair(assetId, price));
+const borrowerMap = array(pair(account, int64));
+
+const OPERATIONS = {
+  0: op([ // transfer
+    ['from', account], ['to', account], ['amount', assetAmount],
+    ['memo', optional(memo)], ['extensions', extensions]
+  ]),
+  1: op([ // limit_order_create
+    ['seller', account], ['amount_to_sell', assetAmount], ['min_to_receive', assetAmount],
+    ['expiration', time], ['fill_or_kill', bool], ['extensions', limitOrderCreateExtensions]
+  ]),
+  2: op([ // limit_order_cancel
+    ['fee_paying_account', account], ['order', limitOrder], ['extensions', extensions]
+  ]),
+  3: op([ // call_order_update
+    ['funding_account', account], ['delta_collateral', assetAmount], ['delta_debt', assetAmount],
+    ['extensions', callOrderUpdateExtensions]
+  ]),
+  4: op([ // fill_order (virtual)
+    ['order_id', objectIdType], ['account_id', account], ['pays', assetAmount], ['receives', assetAmount]
+  ]),
+  5: op([ // account_create
+    ['registrar', account], ['referrer', account], ['referrer_percent', uint16], ['name', string],
+    ['owner', authority], ['active', authority], ['options', accountOptions], ['extensions', extensions]
+  ]),
+  6: op([ // account_update
+    ['account', account], ['owner', optional(authority)], ['active', optional(authority)],
+    ['new_options', optional(accountOptions)], ['extensions', extensions]
+  ]),
+  7: op([ // account_whitelist
+    ['authorizing_account', account], ['account_to_list', account], ['new_listing', uint8],
+    ['extensions', extensions]
+  ]),
+  8: op([ // account_upgrade
+    ['account_to_upgrade', account], ['upgrade_to_lifetime_member', bool], ['extensions', extensions]
+  ]),
+  9: op([ // account_transfer
+    ['account_id', account], ['new_owner', account], ['extensions', extensions]
+  ]),
+  10: op([ // asset_create
+    ['issuer', account], ['symbol', string], ['precision', uint8], ['common_options', assetOptions],
+    ['bitasset_opts', optional(bitassetOptions)], ['is_prediction_market', bool], ['extensions', extensions]
+  ]),
+  11: op([ // asset_update
+    ['issuer', account], ['asset_to_update', assetId], ['new_issuer', optional(account)],
+    ['new_options', assetOptions], ['extensions', extensions]
+  ]),
+  12: op([ // asset_update_bitasset
+    ['issuer', account], ['asset_to_update', assetId], ['new_options', bitassetOptions],
+    ['extensions', extensions]
+  ]),
+  13: op([ // asset_update_feed_producers
+    ['issuer', account], ['asset_to_update', assetId], ['new_feed_producers', array(account)],
+    ['extensions', extensions]
+  ]),
+  14: op([ // asset_issue
+    ['issuer', account], ['asset_to_issue', assetAmount], ['issue_to_account', account],
+    ['memo', optional(memo)], ['extensions', extensions]
+  ]),
+  15: op([ // asset_reserve
+    ['payer', account], ['amount_to_reserve', assetAmount], ['extensions', extensions]
+  ]),
+  16: op([ // asset_fund_fee_pool
+    ['from_account', account], ['asset_id', assetId], ['amount', int64], ['extensions', extensions]
+  ]),
+  17: op([ // asset_settle
+    ['account', account], ['amount', assetAmount], ['extensions', extensions]
+  ]),
+  18: op([ // asset_global_settle
+    ['issuer', account], ['asset_to_settle', assetId], ['settle_price', price], ['extensions', extensions]
+  ]),
+  19: op([ // asset_publish_feed
+    ['publisher', account], ['asset_id', assetId], ['feed', priceFeed], ['extensions', extensions]
+  ]),
+  20: op([ // witness_create
+    ['witness_account', account], ['url', string], ['block_signing_key', publicKey]
+  ]),
+  21: op([ // witness_update
+    ['witness', witness], ['witness_account', account], ['new_url', optional(string)],
+    ['new_signing_key', optional(publicKey)]
+  ]),
+  22: op([ // proposal_create
+    ['fee_paying_account', account], ['expiration_time', time],
+    ['proposed_ops', array(r => ({ op: operation(r) }))],
+    ['review_period_seconds', optional(uint32)], ['extensions', extensions]
+  ]),
+  23: op([ // proposal_update
+    ['fee_paying_account', account], ['proposal', proposal],
+    ['active_approvals_to_add', array(account)], ['active_approvals_to_remove', array(account)],
+    ['owner_approvals_to_add', array(account)], ['owner_approvals_to_remove', array(account)],
+    ['key_approvals_to_add', array(publicKey)], ['key_approvals_to_remove', array(publicKey)],
+    ['extensions', extensions]
+  ]),
+  24: op([ // proposal_delete
+    ['fee_paying_account', account], ['using_owner_authority', bool], ['proposal', proposal],
+    ['extensions', extensions]
+  ]),
+  25: op([ // withdraw_permission_create
+    ['withdraw_from_account', account], ['authorized_account', account], ['withdrawal_limit', assetAmount],
+    ['withdrawal_period_sec', uint32], ['periods_until_expiration', uint32], ['period_start_time', time]
+  ]),
+  26: op([ // withdraw_permission_update
+    ['withdraw_from_account', account], ['authorized_account', account],
+    ['permission_to_update', withdrawPermission], ['withdrawal_limit', assetAmount],
+    ['withdrawal_period_sec', uint32], ['period_start_time', time], ['periods_until_expiration', uint32]
+  ]),
+  27: op([ // withdraw_permission_claim
+    ['withdraw_permission', withdrawPermission], ['withdraw_from_account', account],
+    ['withdraw_to_account', account], ['amount_to_withdraw', assetAmount], ['memo', optional(memo)]
+  ]),
+  28: op([ // withdraw_permission_delete
+    ['withdraw_from_account', account], ['authorized_account', account],
+    ['withdrawal_permission', withdrawPermission]
+  ]),
+  29: op([ // committee_member_create
+    ['committee_member_account', account], ['url', string]
+  ]),
+  30: op([ // committee_member_update
+    ['committee_member', committeeMember], ['committee_member_account', account],
+    ['new_url', optional(string)]
+  ]),
+  31: op([ // committee_member_update_global_parameters
+    ['new_parameters', chainParameters]
+  ]),
+  32: op([ // vesting_balance_create
+    ['creator', account], ['owner', account], ['amount', assetAmount], ['policy', vestingPolicy]
+  ]),
+  33: op([ // vesting_balance_withdraw
+    ['vesting_balance', vestingBalance], ['owner', account], ['amount', assetAmount]
+  ]),
+  34: op([ // worker_create
+    ['owner', account], ['work_begin_date', time], ['work_end_date', time], ['daily_pay', int64],
+    ['name', string], ['url', string], ['initializer', workerInitializer]
+  ]),
+  35: op([ // custom
+    ['payer', account], ['required_auths', array(account)], ['id', uint16], ['data', bytes]
+  ]),
+  36: op([ // assert
+    ['fee_paying_account', account], ['predicates', array(predicate)],
+    ['required_auths', array(account)], ['extensions', extensions]
+  ]),
+  37: op([ // balance_claim
+    ['deposit_to_account', account], ['balance_to_claim', balance], ['balance_owner_key', publicKey],
+    ['total_claimed', assetAmount]
+  ]),
+  38: op([ // override_transfer
+    ['issuer', account], ['from', account], ['to', account], ['amount', assetAmount],
+    ['memo', optional(memo)], ['extensions', extensions]
+  ]),
+  39: op([ // transfer_to_blind
+    ['amount', assetAmount], ['from', account], ['blinding_factor', fixedBytes(32)],
+    ['outputs', array(blindOutput)]
+  ]),
+  40: op([ // blind_transfer
+    ['inputs', array(blindInput)], ['outputs', array(blindOutput)]
+  ]),
+  41: op([ // transfer_from_blind
+    ['amount', assetAmount], ['to', account], ['blinding_factor', fixedBytes(32)],
+    ['inputs', array(blindInput)]
+  ]),
+  42: op([ // asset_settle_cancel
+    ['settlement', forceSettlement], ['account', account], ['amount', assetAmount],
+    ['extensions', extensions]
+  ]),
+  43: op([ // asset_claim_fees
+    ['issuer', account], ['amount_to_claim', assetAmount], ['extensions', assetClaimFeesExtensions]
+  ]),
+  44: op([ // fba_distribute (virtual)
+    ['account_id', account], ['fba_id', fbaAccumulator], ['amount', int64]
+  ]),
+  45: op([ // bid_collateral
+    ['bidder', account], ['additional_collateral', assetAmount], ['debt_covered', assetAmount],
+    ['extensions', extensions]
+  ]),
+  46: op([ // execute_bid (virtual)
+    ['bidder', account], ['debt', assetAmount], ['collateral', assetAmount]
+  ]),
+  47: op([ // asset_claim_pool
+    ['issuer', account], ['asset_id', assetId], ['amount_to_claim', assetAmount], ['extensions', extensions]
+  ]),
+  48: op([ // asset_update_issuer
+    ['issuer', account], ['asset_to_update', assetId], ['new_issuer', account], ['extensions', extensions]
+  ]),
+  49: op([ // htlc_create
+    ['from', account], ['to', account], ['amount', assetAmount], ['preimage_hash', preimageHash],
+    ['preimage_size', uint16], ['claim_period_seconds', uint32], ['extensions', extensions]
+  ]),
+  50: op([ // htlc_redeem
+    ['htlc_id', htlc], ['redeemer', account], ['preimage', bytes], ['extensions', extensions]
+  ]),
+  51: op([ // htlc_redeemed (virtual)
+    ['htlc_id', htlc], ['from', account], ['to', account], ['amount', assetAmount]
+  ]),
+  52: op([ // htlc_extend
+    ['htlc_id', htlc], ['update_issuer', account], ['seconds_to_add', uint32], ['extensions', extensions]
+  ]),
+  53: op([ // htlc_refund (virtual)
+    ['htlc_id', htlc], ['to', account]
+  ]),
+  54: op([ // custom_authority_create
+    ['account', account], ['enabled', bool], ['valid_from', time], ['valid_to', time],
+    ['operation_type', varint], ['auth', authority], ['restrictions', array(restriction)],
+    ['extensions', extensions]
+  ]),
+  55: op([ // custom_authority_update
+    ['account', account], ['authority_to_update', customAuthority], ['new_enabled', optional(bool)],
+    ['new_valid_from', optional(time)], ['new_valid_to', optional(time)], ['new_auth', optional(authority)],
+    ['restrictions_to_remove', array(uint16)], ['restrictions_to_add', array(restriction)],
+    ['extensions', extensions]
+  ]),
+  56: op([ // custom_authority_delete
+    ['account', account], ['authority_to_delete', customAuthority], ['extensions', extensions]
+  ]),
+  57: op([ // ticket_create
+    ['account', account], ['target_type', varint], ['amount', assetAmount], ['extensions', extensions]
+  ]),
+  58: op([ // ticket_update
+    ['ticket', ticket], ['account', account], ['target_type', varint],
+    ['amount_for_new_target', optional(assetAmount)], ['extensions', extensions]
+  ]),
+  59: op([ // liquidity_pool_create
+    ['account', account], ['asset_a', assetId], ['asset_b', assetId], ['share_asset', assetId],
+    ['taker_fee_percent', uint16], ['withdrawal_fee_percent', uint16], ['extensions', extensions]
+  ]),
+  60: op([ // liquidity_pool_delete
+    ['account', account], ['pool', liquidityPool], ['extensions', extensions]
+  ]),
+  61: op([ // liquidity_pool_deposit
+    ['account', account], ['pool', liquidityPool], ['amount_a', assetAmount], ['amount_b', assetAmount],
+    ['extensions', extensions]
+  ]),
+  62: op([ // liquidity_pool_withdraw
+    ['account', account], ['pool', liquidityPool], ['share_amount', assetAmount], ['extensions', extensions]
+  ]),
+  63: op([ // liquidity_pool_exchange
+    ['account', account], ['pool', liquidityPool], ['amount_to_sell', assetAmount],
+    ['min_to_receive', assetAmount], ['extensions', extensions]
+  ]),
+  64: op([ // samet_fund_create
+    ['owner_account', account], ['asset_type', assetId], ['balance', int64], ['fee_rate', uint32],
+    ['extensions', extensions]
+  ]),
+  65: op([ // samet_fund_delete
+    ['owner_account', account], ['fund_id', sametFund], ['extensions', extensions]
+  ]),
+  66: op([ // samet_fund_update
+    ['owner_account', account], ['fund_id', sametFund], ['delta_amount', optional(assetAmount)],
+    ['new_fee_rate', optional(uint32)], ['extensions', extensions]
+  ]),
+  67: op([ // samet_fund_borrow
+    ['borrower', account], ['fund_id', sametFund], ['borrow_amount', assetAmount], ['extensions', extensions]
+  ]),
+  68: op([ // samet_fund_repay
+    ['account', account], ['fund_id', sametFund], ['repay_amount', assetAmount], ['fund_fee', assetAmount],
+    ['extensions', extensions]
+  ]),
+  69: op([ // credit_offer_create
+    ['owner_account', account], ['asset_type', assetId], ['balance', int64], ['fee_rate', uint32],
+    ['max_duration_seconds', uint32], ['min_deal_amount', int64], ['enabled', bool],
+    ['auto_disable_time', time], ['acceptable_collateral', collateralMap],
+    ['acceptable_borrowers', borrowerMap], ['extensions', extensions]
+  ]),
+  70: op([ // credit_offer_delete
+    ['owner_account', account], ['offer_id', creditOffer], ['extensions', extensions]
+  ]),
+  71: op([ // credit_offer_update
+    ['owner_account', account], ['offer_id', creditOffer], ['delta_amount', optional(assetAmount)],
+    ['fee_rate', optional(uint32)], ['max_duration_seconds', optional(uint32)],
+    ['min_deal_amount', optional(int64)], ['enabled', optional(bool)],
+    ['auto_disable_time', optional(time)], ['acceptable_collateral', optional(collateralMap)],
+    ['acceptable_borrowers', optional(borrowerMap)], ['extensions', extensions]
+  ]),
+  72: op([ // credit_offer_accept
+    ['borrower', account], ['offer_id', creditOffer], ['borrow_amount', assetAmount],
+    ['collateral', assetAmount], ['max_fee_rate', uint32], ['min_duration_seconds', uint32],
+    ['extensions', extensions]
+  ]),
+  73: op([ // credit_deal_repay
+    ['account', account], ['deal_id', creditDeal], ['repay_amount', assetAmount],
+    ['credit_fee', assetAmount], ['extensions', extensions]
+  ]),
+  74: op([ // credit_deal_expired (virtual)
+    ['deal_id', creditDeal], ['offer_id', creditOffer], ['offer_owner', account], ['borrower', account],
+    ['unpaid_amount', assetAmount], ['collateral', assetAmount], ['fee_rate', uint32]
+  ]),
+  75: op([ // liquidity_pool_update
+    ['account', account], ['pool', liquidityPool], ['taker_fee_percent', optional(uint16)],
+    ['withdrawal_fee_percent', optional(uint16)], ['extensions', extensions]
+  ]),
+  76: op([ // credit_deal_update
+    ['account', account], ['deal_id', creditDeal], ['auto_repay', uint8], ['extensions', extensions]
+  ]),
+  77: op([ // limit_order_update
+    ['seller', account], ['order', limitOrder], ['new_price', optional(price)],
+    ['delta_amount_to_sell', optional(assetAmount)], ['new_expiration', optional(time)],
+    ['on_fill', optional(array(autoAction))], ['extensions', extensions]
+  ])
+};
+
+function operationData(opType) {
+  // Unknown types go through serializeGenericOp, a JSON blob
+  return OPERATIONS[opType] || json;
+}
+
+function operation(r) {
+  const opType = r.varint();
+  return [opType, operationData(opType)(r)];
+}
+
+function toBytes(input) {
+  return typeof input === 'string' ? hexToBytes(input) : input;
+}
+
+export class TransactionDeserializer {
+  /**
+   * Decode a serialized transaction (without signatures).
+   * @param {Uint8Array|string} input - bytes or hex from BitSharesAPI.serializeTransaction
+   * @param {string} [prefix] - public key prefix, 'BTS' or 'TEST'
+   * @returns {{ref_block_num, ref_block_prefix, expiration, operations, extensions}}
+   * @throws {Error} when the bytes are truncated, malformed or have trailing data
+   */
+  static deserializeTransaction(input, prefix = 'BTS') {
+    const r = new ByteReader(toBytes(input), prefix);
+    const transaction = {
+      ref_block_num: r.uint16(),
+      ref_block_prefix: r.uint32(),
+      expiration: time(r),
+      operations: array(operation)(r),
+      extensions: extensions(r)
+    };
+    r.end();
+    return transaction;
+  }
+
+  /**
+   * Decode the data of a single operation (the bytes after its type varint).
+   * @param {number} opType
+   * @param {Uint8Array|string} input - bytes or hex from BitSharesAPI.serializeOperationData
+   * @param {string} [prefix] - public key prefix, 'BTS' or 'TEST'
+   */
+  static deserializeOperationData(opType, input, prefix = 'BTS') {
+    const r = new ByteReader(toBytes(input), prefix);
+    const data = operationData(opType)(r);
+    r.end();
+    return data;
+  }
+}
@@ -0,0 +1,198 @@
+/**
+ * Transaction Tracker
+ * Follows broadcast transactions until they are irreversible or expire
+ *
+ *   pending ──(broadcast callback)──▶ included ──(last irreversible block)──▶ irreversible
+ *      └──(head block time passes expiration)──▶ expired
+ *
+ * Entries live in chrome.storage.local so the popup can list them and they
+ * survive service worker restarts.
+ */
+
+export const TX_STATUS = Object.freeze({
+  PENDING: 'pending',
+  INCLUDED: 'included',
+  IRREVERSIBLE: 'irreversible',
+  EXPIRED: 'expired'
+});
+
+export const TRACKED_TRANSACTIONS_KEY = 'trackedTransactions';
+
+const MAX_ENTRIES = 50;
+
+function isOpen(entry) {
+  return entry.status === TX_STATUS.PENDING || entry.status === TX_STATUS.INCLUDED;
+}
+
+export class TransactionTracker {
+  /**
+   * @param {Object} options
+   * @param {Function} options.getApi - returns the connected BitSharesAPI to poll
+   * @param {Function} [options.onChange] - called with (entry, previousStatus) on every status change
+   */
+  constructor({ getApi, onChange = () => {} }) {
+    this.getApi = getApi;
+    this.onChange = onChange;
+    this.entries = null; // id → entry, loaded from storage on first use
+
+    // Serializes updates so concurrent events don't overwrite each other's save
+    this._mutex = Promise.resolve();
+  }
+
+  _exclusive(fn) {
+    const run = this._mutex.then(fn);
+    this._mutex = run.catch(() => {});
+    return run;
+  }
+
+  async _load() {
+    if (!this.entries) {
+      const stored = await chrome.storage.local.get([TRACKED_TRANSACTIONS_KEY]);
+      this.entries = new Map((stored[TRACKED_TRANSACTIONS_KEY] || []).map(entry => [entry.id, entry]));
+    }
+    return this.entries;
+  }
+
+  /** Persist newest first, dropping the oldest entries past MAX_ENTRIES */
+  async _save() {
+    const list = [...this.entries.values()]
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .slice(0, MAX_ENTRIES);
+    this.entries = new Map(list.map(entry => [entry.id, entry]));
+    await chrome.storage.local.set({ [TRACKED_TRANSACTIONS_KEY]: list });
+  }
+
+  _setStatus(entry, status, changed) {
+    if (entry.status === status) return;
+    changed.push([entry, entry.status]);
+    entry.status = status;
+    entry.updatedAt = Date.now();
+  }
+
+  _notify(changed) {
+    for (const [entry, previous] of changed) {
+      try {
+        this.onChange({ ...entry }, previous);
+      } catch (error) {
+        console.error('Transaction tracker listener error:', error);
+      }
+    }
+  }
+
+  /**
+   * Record an event from BitSharesAPI.onTransaction. 'included' may arrive
+   * before 'pending' (or without it, if the sender's context closed).
+   * @returns {Promise<Object>} the updated entry
+   */
+  record(event) {
+    return this._exclusive(async () => {
+      const entries = await this._load();
+      let entry = entries.get(event.id);
+      if (!entry) {
+        entry = {
+          id: event.id,
+          chainId: event.chainId || null,
+          status: TX_STATUS.PENDING,
+          operations: [],
+          expiration: null,
+          block_num: null,
+          trx_in_block: null,
+          seen_at_block: null, // head block when found without a callback; its block is at or below
+          origin: null,
+          tabId: null,
+          createdAt: Date.now(),
+          updatedAt: Date.now()
+        };
+        entries.set(entry.id, entry);
+      }
+
+      const changed = [];
+      if (event.status === TX_STATUS.PENDING) {
+        entry.expiration = event.expiration || entry.expiration;
+        entry.operations = event.operations || entry.operations;
+      } else if (event.status === TX_STATUS.INCLUDED) {
+        entry.block_num = event.block_num ?? entry.block_num;
+        entry.trx_in_block = event.trx_in_block ?? entry.trx_in_block;
+        if (entry.status !== TX_STATUS.IRREVERSIBLE) this._setStatus(entry, TX_STATUS.INCLUDED, changed);
+      }
+
+      await this._save();
+      this._notify(changed);
+      return { ...entry };
+    });
+  }
+
+  /**
+   * Remember which dApp asked for a transaction, so its status changes can
+   * be reported back to that page
+   * @returns {Promise<Object|null>} the entry, or null if the id is not tracked
+   */
+  attribute(id, { origin, tabId }) {
+    return this._exclusive(async () => {
+      const entry = (await this._load()).get(id);
+      if (!entry) return null;
+      entry.origin = origin || null;
+      entry.tabId = tabId ?? null;
+      await this._save();
+      return { ...entry };
+    });
+  }
+
+  /**
+   * Compare open entries on the connected chain with its dynamic global
+   * properties: included entries at or below the last irreversible block
+   * become irreversible; pending ones whose expiration has passed are checked
+   * with get_recent_transaction_by_id (the broadcast callback is lost when
+   * the popup that sent them closes) and otherwise expire.
+   * Entries on other chains wait until the wallet connects to them again.
+   * @returns {Promise<number>} entries still open on the connected chain
+   */
+  poll() {
+    return this._exclusive(async () => {
+      const entries = await this._load();
+      const api = this.getApi();
+      const open = [...entries.values()].filter(entry => isOpen(entry) && entry.chainId === api?.chainId);
+
+      if (open.length && api?.isConnected) {
+        const dgp = await api.call(api.apiIds.database, 'get_dynamic_global_properties', []);
+        const changed = [];
+        let dirty = false;
+
+        for (const entry of open) {
+          if (entry.status === TX_STATUS.PENDING) {
+            // Known to the node: applied at or before the current head block
+            const known = await api.call(api.apiIds.database, 'get_recent_transaction_by_id', [entry.id]);
+            if (known) {
+              entry.seen_at_block = dgp.head_block_number;
+              this._setStatus(entry, TX_STATUS.INCLUDED, changed);
+            } else if (entry.expiration && dgp.time > entry.expiration) {
+              this._setStatus(entry, TX_STATUS.EXPIRED, changed);
+              continue;
+            }
+          }
+          if (entry.status !== TX_STATUS.INCLUDED) continue;
+          if (entry.block_num == null && entry.seen_at_block == null) {
+            // Included without a block number: bound it by the current head
+            // rather than treating the unknown block as already irreversible
+            entry.seen_at_block = dgp.head_block_number;
+            dirty = true;
+          }
+          const blockNum = entry.block_num ?? entry.seen_at_block;
+          if (blockNum != null && blockNum <= dgp.last_irreversible_block_num) {
+            this._setStatus(entry, TX_STATUS.IRREVERSIBLE, changed);
+          }
+        }
+
+        if (changed.length || dirty) await this._save();
+        this._notify(changed);
+      }
+
+      return [...entries.values()].filter(entry => isOpen(entry) && entry.chainId === api?.chainId).length;
+    });
+  }
+
+  /** Tracked transactions, newest first */
+  list() {
+    return this._exclusive(async () => [...(await this._load()).values()].map(entry => ({ ...entry })));
+  }
+}
@@ -0,0 +1,225 @@
+/**
+ * Wallet Backups
+ * One password-encrypted file with everything the wallet holds — every
+ * account with its keys, watch-only accounts and the settings kept in
+ * chrome.storage.local — to restore after a reset or in another browser.
+ *
+ * File (JSON):
+ *   {
+ *     type: 'bitshares-wallet-backup',
+ *     version: 1,
+ *     createdAt: '2026-01-01T00:00:00.000Z',
+ *     kdf: { name: 'PBKDF2-SHA256', salt: '<base64>', iterations: 600000 },
+ *     encrypted: '<base64>'       // CryptoUtils.encrypt (AES-GCM) of the contents
+ *   }
+ *
+ * Contents:
+ *   {
+ *     wallet: { name, brainkey, bitsharesAccountName, keys, importType, createdAt },
+ *     accounts: [{ name, id, network, watchOnly, keys, authorities?, bitsharesPassword?, addedAt }],
+ *     settings: { addressBook, customNodes, connectedSites, ... }   // BACKUP_SETTINGS_KEYS
+ *   }
+ *
+ * Every account carries the keys it signs with (null when watch-only), so a
+ * restored account does not depend on the master keys of the wallet it is
+ * restored into.
+ */
+
+import { CryptoUtils } from './crypto-utils.js';
+import { CUSTOM_NETWORKS_KEY } from './networks.js';
+import { SWAP_SLIPPAGE_KEY } from './liquidity-pools.js';
+
+export const WALLET_BACKUP_TYPE = 'bitshares-wallet-backup';
+export const WALLET_BACKUP_VERSION = 1;
+
+const BACKUP_ITERATIONS = 600000;
+
+// Settings in chrome.storage.local that go into a backup. Session state,
+// unlock lockouts, pending approvals and caches are left out.
+export const BACKUP_SETTINGS_KEYS = Object.freeze([
+  'addressBook',
+  'favouriteAssets',
+  'customNodes',
+  'preferredNode',
+  CUSTOM_NETWORKS_KEY,
+  'explorerUrl',
+  'explorerUrlTestnet',
+  'connectedSites',
+  'notificationPreferences',
+  'autoLockDuration',
+  'autolockMinutes',
+  SWAP_SLIPPAGE_KEY,
+  'selectedNetwork',
+  'activeAccount',
+  'activeAccountPerNetwork'
+]);
+
+// Lists merged entry by entry, matched by these identities
+const LIST_IDENTITY = {
+  addressBook: contact => String(contact.account).toLowerCase(),
+  favouriteAssets: asset => asset,
+  [CUSTOM_NETWORKS_KEY]: network => network.id,
+  connectedSites: site => `${site.origin} ${site.accountId} ${site.network || 'mainnet'}`
+};
+
+// Objects merged key by key
+const MAP_SETTINGS = ['notificationPreferences', 'activeAccountPerNetwork'];
+
+/**
+ * The private keys of an account, one per role, for comparing two key sets
+ */
+function keyFingerprint(keys) {
+  return Object.entries(keys || {})
+    .filter(([, pair]) => pair?.privateKey)
+    .map(([role, pair]) => `${role}:${pair.privateKey}`)
+    .sort()
+    .join(' ');
+}
+
+// customNodes used to be a flat list of mainnet nodes
+function nodesByNetwork(customNodes) {
+  if (Array.isArray(customNodes)) return { mainnet: customNodes, testnet: [] };
+  return customNodes || {};
+}
+
+function mergeList(current = [], backup = [], identity, preferBackup) {
+  const merged = [...current];
+  for (const entry of backup) {
+    const index = merged.findIndex(existing => identity(existing) === identity(entry));
+    if (index < 0) merged.push(entry);
+    else if (preferBackup) merged[index] = entry;
+  }
+  return merged;
+}
+
+export class WalletBackup {
+  /**
+   * Encrypt backup contents into the file envelope
+   * @param {Object} contents - { wallet, accounts, settings }
+   * @param {string} password - backup password
+   * @param {Date} [now] - backup time (defaults to the current time)
+   */
+  static async encrypt(contents, password, now = new Date()) {
+    if (!password) throw new Error('Backup password is required');
+    const salt = CryptoUtils.generateSalt();
+    const key = await CryptoUtils.deriveKey(password, salt, BACKUP_ITERATIONS);
+    return {
+      type: WALLET_BACKUP_TYPE,
+      version: WALLET_BACKUP_VERSION,
+      createdAt: now.toISOString(),
+      kdf: { name: 'PBKDF2-SHA256', salt, iterations: BACKUP_ITERATIONS },
+      encrypted: await CryptoUtils.encrypt(contents, key)
+    };
+  }
+
+  /**
+   * Parse and check a backup file (JSON text or an already parsed object)
+   * @throws {Error} when it is not a wallet backup this version can read
+   */
+  static parse(input) {
+    let envelope = input;
+    if (typeof input === 'string') {
+      try {
+        envelope = JSON.parse(input);
+      } catch {
+        throw new Error('Not a wallet backup file');
+      }
+    }
+    if (envelope?.type !== WALLET_BACKUP_TYPE) throw new Error('Not a wallet backup file');
+    if (!Number.isInteger(envelope.version) || envelope.version > WALLET_BACKUP_VERSION) {
+      throw new Error(`Unsupported backup version: ${envelope.version}`);
+    }
+    if (typeof envelope.encrypted !== 'string' || typeof envelope.kdf?.salt !== 'string' ||
+        !Number.isInteger(envelope.kdf.iterations) || envelope.kdf.iterations <= 0) {
+      throw new Error('The backup file is damaged');
+    }
+    return envelope;
+  }
+
+  /**
+   * @returns {Promise<Object>} the contents of a parsed envelope
+   * @throws {Error} 'Wrong backup password' when it does not decrypt
+   */
+  static async decrypt(envelope, password) {
+    const key = await CryptoUtils.deriveKey(password, envelope.kdf.salt, envelope.kdf.iterations);
+    let contents;
+    try {
+      contents = await CryptoUtils.decrypt(envelope.encrypted, key);
+    } catch {
+      throw new Error('Wrong backup password');
+    }
+    if (!contents?.wallet || !Array.isArray(contents.accounts)) {
+      throw new Error('The backup file is damaged');
+    }
+    return { ...contents, settings: contents.settings || {} };
+  }
+
+  /**
+   * Where a backup disagrees with the current wallet:
+   *   account — same account id, other keys or network
+   *   contact — same account saved under another name
+   *   network — same user-defined network id, other chain or key prefix
+   * Watch-only accounts never conflict: keys from either side are kept.
+   * @param {Object} contents - decrypted backup
+   * @param {{accounts: Array, settings: Object}} current - the wallet in the same shape
+   * @returns {Array<{kind: string, id: string, name: string}>}
+   */
+  static conflicts(contents, current) {
+    const conflicts = [];
+
+    for (const account of contents.accounts) {
+      const existing = current.accounts.find(a => a.id === account.id);
+      if (!existing || account.watchOnly || existing.watchOnly) continue;
+      if (existing.network !== account.network || keyFingerprint(existing.keys) !== keyFingerprint(account.keys)) {
+        conflicts.push({ kind: 'account', id: account.id, name: account.name });
+      }
+    }
+
+    const identity = LIST_IDENTITY.addressBook;
+    for (const contact of contents.settings.addressBook || []) {
+      const existing = (current.settings.addressBook || []).find(c => identity(c) === identity(contact));
+      if (existing && existing.name !== contact.name) {
+        conflicts.push({ kind: 'contact', id: contact.account, name: contact.name });
+      }
+    }
+
+    for (const network of contents.settings[CUSTOM_NETWORKS_KEY] || []) {
+      const existing = (current.settings[CUSTOM_NETWORKS_KEY] || []).find(n => n.id === network.id);
+      if (existing && (existing.chainId !== network.chainId || existing.keyPrefix !== network.keyPrefix)) {
+        conflicts.push({ kind: 'network', id: network.id, name: network.name });
+      }
+    }
+
+    return conflicts;
+  }
+
+  /**
+   * Merge backed-up settings into the current ones. Lists and maps are
+   * combined; where both have a value, the current one stays unless
+   * preferBackup is set.
+   * @returns {Object} settings to write to chrome.storage.local
+   */
+  static mergeSettings(current, backup, preferBackup = false) {
+    const merged = {};
+    for (const key of BACKUP_SETTINGS_KEYS) {
+      const mine = current[key];
+      const theirs = backup[key];
+      if (theirs === undefined) continue;
+
+      if (LIST_IDENTITY[key]) {
+        merged[key] = mergeList(mine, theirs, LIST_IDENTITY[key], preferBackup);
+      } else if (key === 'customNodes') {
+        const nodes = { ...nodesByNetwork(mine) };
+        for (const [network, urls] of Object.entries(nodesByNetwork(theirs))) {
+          nodes[network] = [...new Set([...(nodes[network] || []), ...urls])];
+        }
+        merged[key] = nodes;
+      } else if (MAP_SETTINGS.includes(key)) {
+        merged[key] = preferBackup ? { ...mine, ...theirs } : { ...theirs, ...mine };
+      } else {
+        merged[key] = mine === undefined || preferBackup ? theirs : mine;
+      }
+    }
+    return merged;
+  }
+}
@@ -3,8 +3,22 @@
  * Handles wallet creation, encryption, storage, and key management
  */
 
-import { CryptoUtils, bytesToBase64, base64ToBytes } from './crypto-utils.js';
+import { CryptoUtils, bytesToBase64, base64ToBytes, hexToBytes } from './crypto-utils.js';
 import { BitSharesAPI } from './bitshares-api.js';
+import { MessageSigning } from './message-signing.js';
+import { OfflineTransaction, SIGNED_TX_TYPE } from './offline-signing.js';
+import { BUILTIN_NETWORKS, getNetwork, getKeyPrefix } from './networks.js';
+import { decryptReferenceBackup, referenceBackupKeys } from './reference-backup.js';
+import { WalletBackup, BACKUP_SETTINGS_KEYS } from './wallet-backup.js';
+import { ClaimableBalances } from './claimable-balances.js';
+import { DexMarket } from './dex-market.js';
+import { LiquidityPools, SWAP_SLIPPAGE_KEY, swapSlippage } from './liquidity-pools.js';
+import { SwapRouter } from './swap-router.js';
+import { CollateralPositions } from './collateral-positions.js';
+import { AssetSettlement } from './asset-settlement.js';
+
+// Base58 body of the all-zero public key that marks a memo sent unencrypted
+const NULL_PUBLIC_KEY = '1111111111111111111111111111111114T1Anm';
 
 export class WalletManager {
   constructor() {
@@ -12,6 +26,7 @@ export class WalletManager {
     this.currentWallet = null;
     this.decryptedKeys = null;
     this.api = null;
+    this._memoKeys = null; // public key → wallet key, built on the first memo read after unlock
 
     // Auto-lock duration (timer managed via chrome.alarms)
     this.autoLockDuration = 15 * 60 * 1000; // Default: 15 minutes
@@ -136,6 +151,7 @@ export class WalletManager {
     this.api = api;
     // Remember the nodes so reconnection uses the same network
     this._apiNodes = api && api.nodes ? [...api.nodes] : null;
+    this._apiChainId = api?.expectedChainId || null;
   }
 
   /**
@@ -154,13 +170,12 @@ export class WalletManager {
         // network preference from storage so we connect to the right chain.
         const stored = await chrome.storage.local.get(['selectedNetwork']);
         const net = stored.selectedNetwork || 'mainnet';
-        nodes = net === 'testnet'
-          ? ['wss://testnet.xbts.io/ws', 'wss://testnet.dex.trading/']
-          : ['wss://node.xbts.io/ws', 'wss://cloud.xbts.io/ws', 'wss://public.xbts.io/ws',
-             'wss://btsws.roelandp.nl/ws', 'wss://dex.iobanker.com/ws', 'wss://api.bitshares.dev/ws'];
+        const networkInfo = (await getNetwork(net)) || BUILTIN_NETWORKS.mainnet;
+        nodes = [...networkInfo.nodes];
         this._apiNodes = nodes; // cache so subsequent reconnects stay on the same network
+        this._apiChainId = networkInfo.chainId;
       }
-      this.api = new BitSharesAPI(nodes);
+      this.api = new BitSharesAPI(nodes, { chainId: this._apiChainId || null });
       await this.api.connect();
     }
   }
@@ -328,7 +343,7 @@ export class WalletManager {
    * cloud wallet, matching wallet.bitshares.org / ex.xbts.io), keys are derived
    * from those credentials via generateKeysFromPassword.  The brainkey is stored
    * as an alternative recovery path.  When only a brainkey is supplied the legacy
-   * SLIP-48 derivation is used instead.
+   * SLIP-48 derivation is used instead.  Public keys carry the network's prefix.
    */
   async createWallet(name, password, brainkey, bitsharesAccountName, bitsharesPassword, network = 'mainnet') {
     try {
@@ -344,11 +359,12 @@ export class WalletManager {
       // Determine primary keys:
       // • password-based (cloud wallet) when BitShares credentials are provided
       // • brainkey-based (SLIP-48 HD) as fallback
+      const keyPrefix = await getKeyPrefix(network);
       let keys;
       if (bitsharesAccountName && bitsharesPassword) {
-        keys = await CryptoUtils.generateKeysFromPassword(bitsharesAccountName, bitsharesPassword);
+        keys = await CryptoUtils.generateKeysFromPassword(bitsharesAccountName, bitsharesPassword, keyPrefix);
       } else {
-        keys = await CryptoUtils.generateKeysFromBrainkey(normalizedBrainkey);
+        keys = await CryptoUtils.generateKeysFromBrainkey(normalizedBrainkey, keyPrefix);
       }
 
       // Generate unique salt for this wallet
@@ -405,15 +421,21 @@ export class WalletManager {
 
   /**
    * Import an existing wallet
+   * @param {Object} importData - one of
+   *   { type: 'account', accountName, password }
+   *   { type: 'brainkey', brainkey }
+   *   { type: 'bin', backup: Uint8Array, password }   BitShares reference wallet backup
+   *   { type: 'wif', keys: string[] }                   WIF private keys (active, owner and/or memo)
    */
   async importWallet(importData, password, network = 'mainnet') {
     try {
       let keys;
       let brainkey = null;
+      let keyAccounts = null;
 
       let bitsharesAccountName = null;
 
-      const keyPrefix = network === 'testnet' ? 'TEST' : 'BTS';
+      const keyPrefix = await getKeyPrefix(network);
 
       switch (importData.type) {
         case 'account':
@@ -428,9 +450,31 @@ export class WalletManager {
 
         case 'brainkey':
           brainkey = CryptoUtils.normalizeBrainkey(importData.brainkey);
-          keys = await CryptoUtils.generateKeysFromBrainkey(brainkey);
+          keys = await CryptoUtils.generateKeysFromBrainkey(brainkey, keyPrefix);
           break;
 
+        case 'bin': {
+          // Every key in the backup, then every account those keys control
+          const backup = await decryptReferenceBackup(importData.backup, importData.password);
+          const backupKeys = await referenceBackupKeys(backup, importData.password, keyPrefix);
+          keyAccounts = await this._accountsForKeys(backupKeys);
+          if (!keyAccounts.length) {
+            throw new Error('None of the backup\'s keys belong to an account on this network');
+          }
+          keys = keyAccounts[0].keys;
+          break;
+        }
+
+        case 'wif': {
+          // Every account whose active or owner authority holds one of the keys
+          keyAccounts = await this._accountsForKeys(await this._keyPairsFromWifs(importData.keys, keyPrefix));
+          if (!keyAccounts.length) {
+            throw new Error('None of the keys belong to an account on this network');
+          }
+          keys = keyAccounts[0].keys;
+          break;
+        }
+
         default:
           throw new Error('Invalid import type');
       }
@@ -477,7 +521,9 @@ export class WalletManager {
       await this.storeSessionPassword(password);
 
       // Find and add account
-      if (importData.type === 'account' && importData.accountName) {
+      if (keyAccounts) {
+        await this._addAccountsWithKeys(keyAccounts, network);
+      } else if (importData.type === 'account' && importData.accountName) {
         // For account import, look up the account directly by name
         await this.findAndAddAccountByName(importData.accountName, network);
       } else {
@@ -493,7 +539,95 @@ export class WalletManager {
   }
 
   /**
-   * Find account by public key and add to wallet
+   * Key pairs for WIF private keys, each key once
+   * @param {string[]} wifs
+   * @param {string} keyPrefix - public key prefix of the network
+   */
+  async _keyPairsFromWifs(wifs, keyPrefix) {
+    const unique = [...new Set((wifs || []).map(wif => String(wif).trim()).filter(Boolean))];
+    if (!unique.length) throw new Error('Enter at least one private key');
+    return Promise.all(unique.map(wif => CryptoUtils.wifToKeys(wif, keyPrefix)));
+  }
+
+  /**
+   * The accounts a set of keys controls (get_key_references), each with its
+   * keys by role and the authorities those keys hold. An account is only
+   * returned when an active or owner key is among them; the owner key
+   * stands in for a missing active key.
+   * @param {Array<{privateKey: string, publicKey: string}>} pool
+   * @returns {Promise<Array<{account: Object, keys: Object, authorities: string[]}>>} in the order the keys were found
+   */
+  async _accountsForKeys(pool) {
+    await this.ensureApiConnected();
+
+    const accountIds = [];
+    for (const key of pool) {
+      for (const id of await this.api.getAccountsByKey(key.publicKey)) {
+        if (!accountIds.includes(id)) accountIds.push(id);
+      }
+    }
+
+    const keyFor = (publicKeys) =>
+      pool.find(key => publicKeys.some(publicKey => CryptoUtils.samePublicKey(key.publicKey, publicKey))) || null;
+
+    const found = [];
+    for (const id of accountIds) {
+      const account = await this.api.getAccount(id);
+      if (!account) continue;
+      const owner = keyFor(account.owner?.key_auths?.map(([k]) => k) || []);
+      const activeKey = keyFor(account.active?.key_auths?.map(([k]) => k) || []);
+      const active = activeKey || owner;
+      if (!active) continue; // memo key only — nothing to sign with
+      const memo = keyFor([account.options?.memo_key].filter(Boolean));
+      const keys = { active };
+      if (owner) keys.owner = owner;
+      if (memo) keys.memo = memo;
+      const authorities = [owner && 'owner', activeKey && 'active', memo && 'memo'].filter(Boolean);
+      found.push({ account, keys, authorities });
+    }
+    return found;
+  }
+
+  /**
+   * Add accounts to the wallet, each with its own encrypted keys
+   * (accountKeys_<id>), in a single wallet write. Accounts are recorded with
+   * the authorities their keys hold, when known.
+   * @param {Array<{account: Object, keys: Object, authorities?: string[]}>} entries
+   * @returns {Promise<Array<{name: string, id: string}>>} the accounts that were not in the wallet yet
+   */
+  async _addAccountsWithKeys(entries, network = 'mainnet') {
+    const password = await this.getStoredPassword();
+    const { wallet } = await chrome.storage.local.get(['wallet']);
+    const encryptionKey = await CryptoUtils.deriveKey(password, this._getWalletSalt(wallet), this._getWalletIterations(wallet));
+
+    wallet.accounts = wallet.accounts || [];
+    const keyData = {};
+    const added = [];
+    for (const { account, keys, authorities } of entries) {
+      if (wallet.accounts.some(a => a.id === account.id)) continue;
+      keyData[`accountKeys_${account.id}`] = await CryptoUtils.encrypt({ keys }, encryptionKey);
+      const entry = {
+        name: account.name,
+        id: account.id,
+        hasOwnKeys: true,
+        network,
+        addedAt: Date.now()
+      };
+      if (authorities) entry.authorities = authorities;
+      wallet.accounts.push(entry);
+      added.push({ name: account.name, id: account.id });
+    }
+
+    await chrome.storage.local.set(keyData);
+    await this.saveWallet(wallet);
+    this.currentWallet = wallet;
+    return added;
+  }
+
+  /**
+   * Find account by public key and add to wallet.
+   * The key may carry any prefix (BTS…, TEST…); the API looks it up under the
+   * prefix of the chain it is connected to.
    */
   async findAndAddAccount(publicKey, network = 'mainnet') {
     try {
@@ -912,6 +1046,7 @@ export class WalletManager {
 
       this.isUnlockedState = false;
       this.decryptedKeys = null;
+      this._memoKeys = null;
       await this.clearSessionPassword();
     } finally {
       release();
@@ -1080,13 +1215,8 @@ export class WalletManager {
         const accountOwnerKeys = accountInfo.owner?.key_auths?.map(k => k[0]) || [];
         const accountMemoKey = accountInfo.options?.memo_key;
 
-        // Helper to compare keys (handles different prefix formats)
-        const keysMatch = (key1, key2) => {
-          if (!key1 || !key2) return false;
-          // Remove common prefixes for comparison
-          const normalize = (k) => k.replace(/^(BTS|GPH|TEST)/, '');
-          return normalize(key1) === normalize(key2);
-        };
+        // Compare key bytes, so keys match whatever prefix either side uses
+        const keysMatch = (key1, key2) => CryptoUtils.samePublicKey(key1, key2);
 
         // Check if any generated key matches any account key
         const activeMatches = accountActiveKeys.some(k => keysMatch(generatedActiveKey, k));
@@ -1165,6 +1295,44 @@ export class WalletManager {
     }
   }
 
+  /**
+   * Add the accounts WIF private keys control, each with its own keys
+   * @param {string[]} wifs - active, owner and/or memo keys
+   * @param {string} walletPassword
+   * @param {string} [network]
+   * @param {string} [accountName] - add only this account
+   * @returns {Promise<Array<{name: string, id: string}>>} the accounts added
+   */
+  async addAccountByWif(wifs, walletPassword, network = 'mainnet', accountName = null) {
+    const passwordValid = await this.verifyPassword(walletPassword);
+    if (!passwordValid) {
+      throw new Error('Invalid wallet password');
+    }
+
+    try {
+      const pairs = await this._keyPairsFromWifs(wifs, await getKeyPrefix(network));
+      let found = await this._accountsForKeys(pairs);
+      if (accountName) {
+        const name = accountName.toLowerCase();
+        found = found.filter(({ account }) => account.name === name || account.id === name);
+        if (!found.length) {
+          throw new Error(`The keys do not match the active or owner authority of ${accountName}`);
+        }
+      } else if (!found.length) {
+        throw new Error('None of the keys belong to an account on this network');
+      }
+
+      const added = await this._addAccountsWithKeys(found, network);
+      if (!added.length) {
+        throw new Error('Account already exists in wallet');
+      }
+      return added;
+    } catch (error) {
+      console.error('Add account error:', error);
+      throw error;
+    }
+  }
+
   /**
    * Add a watch-only account (no private keys, view only)
    * @param {string} accountName - BitShares account name
@@ -1386,8 +1554,9 @@ export class WalletManager {
 
   /**
    * Send a transfer transaction
+   * @param {string} [feeAsset] - Asset id or symbol to pay the fee in (default core)
    */
-  async sendTransfer(to, amount, assetId, memo, encryptMemo = false, accountId = null) {
+  async sendTransfer(to, amount, assetId, memo, encryptMemo = false, accountId = null, feeAsset = null) {
     // Ensure unlocked (will restore from session if service worker restarted)
     await this.ensureUnlocked();
 
@@ -1442,7 +1611,7 @@ export class WalletManager {
       }
 
       const operation = {
-        fee: { amount: 0, asset_id: '1.3.0' },
+        fee: await this._feeObject(feeAsset),
         from: fromAccount.id,
         to: toAccount.id,
         amount: { amount: amountInt, asset_id: assetId }
@@ -1467,115 +1636,1213 @@ export class WalletManager {
     }
   }
 
+  /**
+   * Read a transfer memo with whichever wallet key it was encrypted from or to
+   * (memo keys, and active/owner keys for accounts that use them as memo key).
+   * Memos sent unencrypted (null public keys) are returned as is.
+   * @param {Object} memo - memo_data { from, to, nonce, message }
+   * @returns {Promise<string|null>} plaintext, or null if no wallet key can read it
+   */
+  async decryptMemo(memo) {
+    if (memo.from?.endsWith(NULL_PUBLIC_KEY) && memo.to?.endsWith(NULL_PUBLIC_KEY)) {
+      // 4-byte zero checksum, then the text
+      return new TextDecoder().decode(hexToBytes(memo.message).slice(4));
+    }
+
+    await this.ensureUnlocked();
+    if (!this._memoKeys) {
+      this._memoKeys = await this.getWalletSigningKeys();
+    }
+    const key = this._memoKeys.get(memo.to) || this._memoKeys.get(memo.from);
+    if (!key) return null;
+    return await CryptoUtils.decryptMemo(memo, key.privateKey);
+  }
+
+  /**
+   * Sign an arbitrary text message for a dApp.
+   * Uses the account's memo key (falls back to the active key when the account
+   * has no memo key stored) and returns the signed-message envelope described
+   * in message-signing.js.
+   */
+  async signMessage(message, accountId = null) {
+    await this.ensureUnlocked();
+    this.touch();
+    await this.ensureApiConnected();
+
+    const account = accountId
+      ? (await this.getAllAccounts()).find(a => a.id === accountId)
+      : await this.getCurrentAccount();
+    if (!account) throw new Error('Account not found');
+    if (account.watchOnly) throw new Error('Cannot sign with a watch-only account');
+
+    const keys = await this.getAccountKeys(account.id);
+    const keyType = keys.memo?.privateKey ? 'memo' : 'active';
+    const signingKey = keys[keyType];
+
+    const envelope = await MessageSigning.sign({
+      account: account.name,
+      publicKey: signingKey.publicKey,
+      chainId: await this.api.getChainId(),
+      message
+    }, signingKey.privateKey);
+
+    return { success: true, keyType, ...envelope };
+  }
+
+  /**
+   * Resolve a dApp-supplied asset reference (symbol or 1.3.x id) to the asset object.
+   * The core symbols BTS and TEST both map to 1.3.0 so dApps don't need to know
+   * which network the wallet is on.
+   */
+  async _resolveAssetParam(symbolOrId) {
+    const ref = (symbolOrId === 'BTS' || symbolOrId === 'TEST') ? '1.3.0' : symbolOrId;
+    const asset = await this.api.getAsset(ref);
+    if (!asset) throw new Error(`Asset not found: ${symbolOrId}`);
+    return asset;
+  }
+
+  /**
+   * Zero fee in the asset the operation should pay with (core when not given);
+   * the API fills in the amount when the transaction is built.
+   */
+  async _feeObject(feeAsset) {
+    if (!feeAsset) return { amount: 0, asset_id: '1.3.0' };
+    const asset = await this._resolveAssetParam(feeAsset);
+    return { amount: 0, asset_id: asset.id };
+  }
+
+  /**
+   * Convert a decimal amount into integer base units for the given asset.
+   */
+  _toBaseUnits(amount, asset, label) {
+    const value = Math.round(parseFloat(amount) * Math.pow(10, asset.precision));
+    if (!Number.isFinite(value) || value <= 0) {
+      throw new Error(`${label} must be a positive number`);
+    }
+    if (value > Number.MAX_SAFE_INTEGER) {
+      throw new Error(`${label} exceeds maximum allowed value`);
+    }
+    return value;
+  }
+
+  /**
+   * Swap through a liquidity pool (liquidity_pool_exchange, op 63).
+   * Amounts are decimal strings/numbers in asset units. The pool that pays
+   * the most for the amount is used. When minReceive is not given, its quote
+   * less `slippage` percent (default: the user's swap slippage setting) is.
+   * @param {{sellAsset, sellAmount, buyAsset, minReceive, slippage, feeAsset}} params
+   */
+  async swapViaPool(params, accountId = null) {
+    await this.ensureUnlocked();
+    this.touch();
+    await this.ensureApiConnected();
+
+    const account = accountId
+      ? (await this.getAllAccounts()).find(a => a.id === accountId)
+      : await this.getCurrentAccount();
+    if (!account) throw new Error('Account not found');
+    if (account.watchOnly) throw new Error('Cannot sign with a watch-only account');
+
+    const sellAsset = await this._resolveAssetParam(params.sellAsset);
+    const buyAsset = await this._resolveAssetParam(params.buyAsset);
+    const amountToSell = this._toBaseUnits(params.sellAmount, sellAsset, 'Sell amount');
+
+    const pools = await this.api.call(
+      this.api.apiIds.database,
+      'get_liquidity_pools_by_both_assets',
+      [sellAsset.id, buyAsset.id, 100, null, false]
+    );
+    if (!pools || pools.length === 0) {
+      throw new Error(`No liquidity pool found for ${sellAsset.symbol}/${buyAsset.symbol}`);
+    }
+
+    const assets = new Map([[sellAsset.id, sellAsset], [buyAsset.id, buyAsset]]);
+    const quote = LiquidityPools.bestQuote(pools, sellAsset.id, amountToSell, assets);
+
+    let minToReceive;
+    if (params.minReceive && parseFloat(params.minReceive) > 0) {
+      minToReceive = this._toBaseUnits(params.minReceive, buyAsset, 'Minimum receive amount');
+    } else {
+      const stored = await chrome.storage.local.get([SWAP_SLIPPAGE_KEY]);
+      const slippage = params.slippage ?? swapSlippage(stored[SWAP_SLIPPAGE_KEY]);
+      minToReceive = LiquidityPools.minToReceive(quote.receive.amount, slippage);
+    }
+
+    const operation = {
+      fee: await this._feeObject(params.feeAsset),
+      account: account.id,
+      pool: quote.pool,
+      amount_to_sell: { amount: amountToSell, asset_id: sellAsset.id },
+      min_to_receive: { amount: minToReceive, asset_id: buyAsset.id },
+      extensions: []
+    };
+
+    const keys = await this.getAccountKeys(account.id);
+    const result = await this.api.broadcastTransaction(
+      'liquidity_pool_exchange',
+      operation,
+      keys.active.privateKey
+    );
+
+    return { success: true, result, pool: quote.pool, quote, operation };
+  }
+
+  /**
+   * What a swap between two assets can route through: every liquidity pool
+   * and, with orderBooks, the order books between the two assets and the
+   * core asset, the paths of up to MAX_HOPS hops, and the assets on them
+   * @returns {Promise<{graph: Map, paths: string[][], assets: Map<string, Object>}>}
+   *   see SwapRouter
+   */
+  async loadSwapRoutes(sellAssetId, buyAssetId, { orderBooks = false } = {}) {
+    await this.ensureApiConnected();
+
+    const pools = await this.api.getLiquidityPools();
+    const orders = [];
+    if (orderBooks) {
+      for (const [assetA, assetB] of SwapRouter.orderBookMarkets(sellAssetId, buyAssetId)) {
+        orders.push(...await this.api.getLimitOrders(assetA, assetB));
+      }
+    }
+
+    const graph = SwapRouter.graph(pools, orders);
+    const paths = SwapRouter.paths(graph, sellAssetId, buyAssetId);
+    const assets = new Map();
+    for (const asset of await this.api.getAssets([...new Set([sellAssetId, buyAssetId, ...paths.flat()])])) {
+      if (asset) assets.set(asset.id, asset);
+    }
+    return { graph, paths, assets };
+  }
+
+  /**
+   * Swap along a route from SwapRouter.bestRoute(), every hop in one
+   * transaction
+   * @param {Object} route
+   * @param {{feeAsset}} [params]
+   */
+  async swapViaRoute(route, params = {}, accountId = null) {
+    await this.ensureUnlocked();
+    this.touch();
+    await this.ensureApiConnected();
+
+    const account = accountId
+      ? (await this.getAllAccounts()).find(a => a.id === accountId)
+      : await this.getCurrentAccount();
+    if (!account) throw new Error('Account not found');
+
+    const operations = SwapRouter.operations(route, account.id, await this._feeObject(params.feeAsset));
+    const result = await this.signTransaction({ operations, extensions: [] });
+    if (!result.success) throw new Error(result.error);
+    return { success: true, result: result.result, route, operations };
+  }
+
+  /**
+   * Place a limit order on the DEX (limit_order_create, op 1).
+   * Amounts are decimal strings/numbers in asset units; expiration is the
+   * order lifetime in seconds.
+   * @param {{sellAsset, sellAmount, buyAsset, buyAmount, expiration, fillOrKill, feeAsset}} params
+   */
+  async createLimitOrder(params, accountId = null) {
+    await this.ensureUnlocked();
+    this.touch();
+    await this.ensureApiConnected();
+
+    const account = accountId
+      ? (await this.getAllAccounts()).find(a => a.id === accountId)
+      : await this.getCurrentAccount();
+    if (!account) throw new Error('Account not found');
+    if (account.watchOnly) throw new Error('Cannot sign with a watch-only account');
+
+    const sellAsset = await this._resolveAssetParam(params.sellAsset);
+    const buyAsset = await this._resolveAssetParam(params.buyAsset);
+    if (sellAsset.id === buyAsset.id) throw new Error('Sell and buy asset must differ');
+
+    const lifetime = Number(params.expiration ?? 86400);
+    if (!Number.isInteger(lifetime) || lifetime <= 0) {
+      throw new Error('Expiration must be a positive number of seconds');
+    }
+
+    const operation = {
+      fee: await this._feeObject(params.feeAsset),
+      seller: account.id,
+      amount_to_sell: {
+        amount: this._toBaseUnits(params.sellAmount, sellAsset, 'Sell amount'),
+        asset_id: sellAsset.id
+      },
+      min_to_receive: {
+        amount: this._toBaseUnits(params.buyAmount, buyAsset, 'Buy amount'),
+        asset_id: buyAsset.id
+      },
+      expiration: new Date(Date.now() + lifetime * 1000).toISOString().slice(0, -5),
+      fill_or_kill: !!params.fillOrKill,
+      extensions: []
+    };
+
+    const keys = await this.getAccountKeys(account.id);
+    const result = await this.api.broadcastTransaction(
+      'limit_order_create',
+      operation,
+      keys.active.privateKey
+    );
+
+    return { success: true, result, operation };
+  }
+
+  /**
+   * Open limit orders of every account on the current account's network
+   * @returns {Promise<Array<{order: Object, accountId: string, accountName: string, watchOnly: boolean}>>}
+   *   order is the limit_order_object from the node
+   */
+  async getOpenOrders() {
+    await this.ensureApiConnected();
+
+    const network = (await this.getCurrentAccount()).network || 'mainnet';
+    const entries = [];
+    for (const account of await this.getAllAccounts(network)) {
+      for (const order of await this.api.getAccountLimitOrders(account.id)) {
+        entries.push({ order, accountId: account.id, accountName: account.name, watchOnly: !!account.watchOnly });
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * An open order of an account this wallet can sign for
+   */
+  async _ownOrder(orderId) {
+    const [order] = await this.api.call(this.api.apiIds.database, 'get_objects', [[orderId]]);
+    if (!order) throw new Error(`Order not found: ${orderId}`);
+    const account = (await this.getAllAccounts()).find(a => a.id === order.seller);
+    if (!account || account.watchOnly) throw new Error('Order does not belong to an account in this wallet');
+    return order;
+  }
+
+  /**
+   * Cancel an open order (limit_order_cancel, op 2); what is left for sale
+   * returns to the seller.
+   */
+  async cancelLimitOrder(orderId, feeAsset = null) {
+    await this.ensureUnlocked();
+    this.touch();
+    await this.ensureApiConnected();
+
+    const order = await this._ownOrder(orderId);
+    const operation = {
+      fee: await this._feeObject(feeAsset),
+      fee_paying_account: order.seller,
+      order: order.id,
+      extensions: []
+    };
+
+    const result = await this.signTransaction({ operations: [[2, operation]], extensions: [] });
+    if (!result.success) throw new Error(result.error);
+    return { success: true, result: result.result, operation };
+  }
+
+  /**
+   * Change an open order in place (limit_order_update, op 77): its price,
+   * the amount for sale and/or its expiration. The order keeps its id and
+   * its place for fills already made.
+   * @param {{price?: string, amount?: string, expiration?: number, feeAsset?: string}} changes -
+   *   price in received per sold asset, amount = new total for sale (decimal
+   *   strings), expiration = new lifetime in seconds from now
+   */
+  async updateLimitOrder(orderId, changes) {
+    await this.ensureUnlocked();
+    this.touch();
+    await this.ensureApiConnected();
+
+    const order = await this._ownOrder(orderId);
+    const sellAsset = await this._resolveAssetParam(order.sell_price.base.asset_id);
+    const receiveAsset = await this._resolveAssetParam(order.sell_price.quote.asset_id);
+    const fields = DexMarket.updateFields(order, changes, sellAsset, receiveAsset);
+
+    if (changes.expiration !== undefined && changes.expiration !== null) {
+      const lifetime = Number(changes.expiration);
+      if (!Number.isInteger(lifetime) || lifetime <= 0) {
+        throw new Error('Expiration must be a positive number of seconds');
+      }
+      fields.new_expiration = new Date(Date.now() + lifetime * 1000).toISOString().slice(0, -5);
+    }
+    if (Object.keys(fields).length === 0) throw new Error('Nothing to change');
+
+    const operation = {
+      fee: await this._feeObject(changes.feeAsset),
+      seller: order.seller,
+      order: order.id,
+      ...fields,
+      extensions: []
+    };
+
+    const result = await this.signTransaction({ operations: [[77, operation]], extensions: [] });
+    if (!result.success) throw new Error(result.error);
+    return { success: true, result: result.result, operation };
+  }
+
+  /**
+   * Debt positions of every account on the current account's network, valued
+   * against the current feeds
+   * @returns {Promise<Array<{position: Object, callOrder: Object, asset: Object, collateralAsset: Object,
+   *   bitasset: Object, accountId: string, accountName: string, watchOnly: boolean}>>}
+   *   position: see CollateralPositions.describe; asset is the smartcoin owed
+   */
+  async getCollateralPositions() {
+    await this.ensureApiConnected();
+
+    const network = (await this.getCurrentAccount()).network || 'mainnet';
+    const entries = [];
+    for (const account of await this.getAllAccounts(network)) {
+      for (const callOrder of await this.api.getAccountCallOrders(account.id)) {
+        entries.push({ callOrder, accountId: account.id, accountName: account.name, watchOnly: !!account.watchOnly });
+      }
+    }
+    const valued = await CollateralPositions.load(this.api, entries.map(entry => entry.callOrder));
+    return entries.map((entry, i) => ({ ...entry, ...valued[i] }));
+  }
+
+  /**
+   * An account of this wallet that can sign: `accountId`, else the current one
+   */
+  async _signingAccount(accountId = null) {
+    const account = accountId
+      ? (await this.getAllAccounts()).find(a => a.id === accountId)
+      : await this.getCurrentAccount();
+    if (!account || account.watchOnly) throw new Error('Account is not in this wallet or is watch-only');
+    return account;
+  }
+
+  /**
+   * A smartcoin with its bitasset data, read fresh, and its backing asset
+   */
+  async _smartcoin(assetParam) {
+    const asset = await this._resolveAssetParam(assetParam);
+    if (!asset.bitasset_data_id) throw new Error(`${asset.symbol} is not a smartcoin`);
+    const [bitasset] = await this.api.getBitassetData([asset.bitasset_data_id]);
+    const collateralAsset = await this._resolveAssetParam(bitasset.options.short_backing_asset);
+    return { asset, bitasset, collateralAsset };
+  }
+
+  /**
+   * Signed decimal amount ('-1.5', '2') → base units; empty means 0
+   */
+  _signedUnits(value, asset, label) {
+    const text = String(value ?? '').trim();
+    if (text === '' || Number(text) === 0) return 0;
+    const units = DexMarket.toUnits(text.replace(/^[-+]/, ''), asset.precision, label);
+    return text.startsWith('-') ? -units : units;
+  }
+
+  /**
+   * Open or change a debt position (call_order_update, op 3): borrow
+   * (positive deltaDebt), repay (negative), add or withdraw collateral and
+   * set the target collateral ratio. Repaying all debt and withdrawing all
+   * collateral closes the position.
+   * @param {Object} params
+   * @param {string} params.asset - smartcoin symbol or id
+   * @param {string} [params.deltaCollateral] - signed decimal in the backing asset
+   * @param {string} [params.deltaDebt] - signed decimal in the smartcoin
+   * @param {string|null} [params.targetRatio] - e.g. '2'; null clears it,
+   *   undefined keeps the position's
+   * @param {string} [params.feeAsset]
+   * @param {string} [accountId] - defaults to the current account
+   */
+  async updateCollateralPosition(params, accountId = null) {
+    await this.ensureUnlocked();
+    this.touch();
+    await this.ensureApiConnected();
+
+    const account = await this._signingAccount(accountId);
+    const { asset, bitasset, collateralAsset } = await this._smartcoin(params.asset);
+    const callOrder = (await this.api.getAccountCallOrders(account.id))
+      .find(order => order.call_price.quote.asset_id === asset.id) || null;
+
+    const fields = CollateralPositions.updateOperation({
+      accountId: account.id,
+      callOrder,
+      bitasset,
+      deltaCollateral: this._signedUnits(params.deltaCollateral, collateralAsset, 'Collateral'),
+      deltaDebt: this._signedUnits(params.deltaDebt, asset, 'Debt'),
+      targetRatio: params.targetRatio === undefined || params.targetRatio === null
+        ? params.targetRatio
+        : CollateralPositions.parseRatio(params.targetRatio)
+    });
+    const operation = { fee: await this._feeObject(params.feeAsset), ...fields };
+
+    const result = await this.signTransaction({ operations: [[3, operation]], extensions: [] });
+    if (!result.success) throw new Error(result.error);
+    return { success: true, result: result.result, operation };
+  }
+
+  /**
+   * Settlement of a smartcoin for an account: its delay, offset and volume
+   * limits, the account's pending settle orders in it and, when globally
+   * settled, the account's collateral bid
+   * @param {string} assetParam - smartcoin symbol or id
+   * @param {string} [accountId] - defaults to the current account
+   * @returns {Promise<{asset: Object, collateralAsset: Object, bitasset: Object, limits: Object,
+   *   settleOrders: Object[], bid: Object|null}>}
+   *   limits: see AssetSettlement.limits; settleOrders are
+   *   force_settlement_objects, soonest first; bid: see AssetSettlement.describeBid
+   */
+  async getAssetSettlement(assetParam, accountId = null) {
+    await this.ensureApiConnected();
+
+    accountId = accountId || (await this.getCurrentAccount()).id;
+    const { asset, bitasset, collateralAsset } = await this._smartcoin(assetParam);
+    const [dynamicData] = await this.api.getAssetDynamicData([asset.dynamic_asset_data_id]);
+    const limits = AssetSettlement.limits(asset, bitasset, dynamicData);
+
+    const settleOrders = (await this.api.getAccountSettleOrders(accountId))
+      .filter(order => order.balance.asset_id === asset.id)
+      .sort((a, b) => a.settlement_date.localeCompare(b.settlement_date));
+    const bid = limits.globallySettled
+      ? (await this.api.getCollateralBids(asset.id)).find(b => b.bidder === accountId) || null
+      : null;
+
+    return {
+      asset,
+      collateralAsset,
+      bitasset,
+      limits,
+      settleOrders,
+      bid: bid && AssetSettlement.describeBid(bid)
+    };
+  }
+
+  /**
+   * Force-settle a smartcoin (asset_settle, op 17) for its collateral. The
+   * order fills after the asset's settlement delay at the feed price less the
+   * offset, or at once when the asset is globally settled; it cannot be
+   * cancelled.
+   * @param {{asset: string, amount: string, feeAsset?: string}} params - amount as a decimal string
+   * @param {string} [accountId] - defaults to the current account
+   */
+  async forceSettle(params, accountId = null) {
+    await this.ensureUnlocked();
+    this.touch();
+    await this.ensureApiConnected();
+
+    const account = await this._signingAccount(accountId);
+    const { asset, bitasset } = await this._smartcoin(params.asset);
+    const fields = AssetSettlement.settleOperation({
+      accountId: account.id,
+      asset,
+      bitasset,
+      amount: DexMarket.toUnits(params.amount, asset.precision)
+    });
+    const operation = { fee: await this._feeObject(params.feeAsset), ...fields };
+
+    const result = await this.signTransaction({ operations: [[17, operation]], extensions: [] });
+    if (!result.success) throw new Error(result.error);
+    return { success: true, result: result.result, operation };
+  }
+
+  /**
+   * Bid collateral on a globally settled smartcoin (bid_collateral, op 45):
+   * extra backing asset for part of its debt, replacing the account's bid.
+   * No debt cancels the bid and returns its collateral.
+   * @param {{asset: string, additionalCollateral: string, debtCovered: string, feeAsset?: string}} params -
+   *   decimal strings in the backing asset and the smartcoin
+   * @param {string} [accountId] - defaults to the current account
+   */
+  async bidCollateral(params, accountId = null) {
+    await this.ensureUnlocked();
+    this.touch();
+    await this.ensureApiConnected();
+
+    const account = await this._signingAccount(accountId);
+    const { asset, bitasset, collateralAsset } = await this._smartcoin(params.asset);
+    const [dynamicData] = await this.api.getAssetDynamicData([asset.dynamic_asset_data_id]);
+    const existingBid = (await this.api.getCollateralBids(asset.id)).find(b => b.bidder === account.id) || null;
+    const fields = AssetSettlement.bidOperation({
+      accountId: account.id,
+      bitasset,
+      additionalCollateral: this._signedUnits(params.additionalCollateral, collateralAsset, 'Collateral'),
+      debtCovered: this._signedUnits(params.debtCovered, asset, 'Debt'),
+      supply: dynamicData.current_supply,
+      existingBid
+    });
+    const operation = { fee: await this._feeObject(params.feeAsset), ...fields };
+
+    const result = await this.signTransaction({ operations: [[45, operation]], extensions: [] });
+    if (!result.success) throw new Error(result.error);
+    return { success: true, result: result.result, operation };
+  }
+
+  /**
+   * Withdraw the account's collateral bid on a globally settled smartcoin
+   */
+  async cancelCollateralBid(assetParam, feeAsset = null, accountId = null) {
+    return this.bidCollateral({ asset: assetParam, additionalCollateral: '0', debtCovered: '0', feeAsset }, accountId);
+  }
+
+  /**
+   * Build new account options for a vote change.
+   * `votes` replaces the whole vote set; `add` / `remove` edit the current one.
+   * `proxyId` undefined keeps the current proxy, otherwise it is the new
+   * voting_account ('1.2.5' = vote yourself).
+   * num_witness / num_committee follow the number of votes of each type.
+   */
+  _buildVotingOptions(currentOptions, params, proxyId) {
+    const VOTE_ID = /^[0-2]:\d+$/;
+    let votes = new Set(Array.isArray(params.votes) ? params.votes : (currentOptions.votes || []));
+    for (const v of params.add || []) votes.add(v);
+    for (const v of params.remove || []) votes.delete(v);
+    votes = [...votes];
+
+    const invalid = votes.find(v => typeof v !== 'string' || !VOTE_ID.test(v));
+    if (invalid !== undefined) throw new Error(`Invalid vote id: ${invalid}`);
+
+    // Same order the serializer and the node use (type in the low byte)
+    const voteInt = (v) => { const [t, i] = v.split(':').map(Number); return t + i * 256; };
+    votes.sort((a, b) => voteInt(a) - voteInt(b));
+
+    return {
+      memo_key: currentOptions.memo_key,
+      voting_account: proxyId !== undefined ? proxyId : (currentOptions.voting_account || '1.2.5'),
+      num_witness: votes.filter(v => v.startsWith('1:')).length,
+      num_committee: votes.filter(v => v.startsWith('0:')).length,
+      votes,
+      extensions: []
+    };
+  }
+
+  /**
+   * Change the account's governance votes and/or voting proxy (account_update, op 6).
+   * @param {{votes?: string[], add?: string[], remove?: string[], proxy?: string|null, feeAsset?: string}} params
+   *   proxy is an account name or id; null / '' means vote yourself; omit to keep it.
+   */
+  async updateVotes(params, accountId = null) {
+    await this.ensureUnlocked();
+    this.touch();
+    await this.ensureApiConnected();
+
+    const walletAccount = accountId
+      ? (await this.getAllAccounts()).find(a => a.id === accountId)
+      : await this.getCurrentAccount();
+    if (!walletAccount) throw new Error('Account not found');
+    if (walletAccount.watchOnly) throw new Error('Cannot vote with a watch-only account');
+
+    // Always start from the on-chain options so memo_key and votes are current
+    const chainAccount = await this.api.refreshAccount(walletAccount.id);
+    if (!chainAccount?.options) throw new Error('Account not found on chain');
+
+    let proxyId;
+    if (params.proxy === null || params.proxy === '') {
+      proxyId = '1.2.5';
+    } else if (params.proxy !== undefined) {
+      const proxy = await this.api.getAccount(params.proxy);
+      if (!proxy) throw new Error(`Proxy account not found: ${params.proxy}`);
+      if (proxy.id === chainAccount.id) throw new Error('An account cannot be its own voting proxy');
+      proxyId = proxy.id;
+    }
+
+    const newOptions = this._buildVotingOptions(chainAccount.options, params, proxyId);
+    const operation = {
+      fee: await this._feeObject(params.feeAsset),
+      account: chainAccount.id,
+      new_options: newOptions,
+      extensions: {}
+    };
+
+    const keys = await this.getAccountKeys(walletAccount.id);
+    const result = await this.api.broadcastTransaction(
+      'account_update',
+      operation,
+      keys.active.privateKey
+    );
+
+    return { success: true, result, options: newOptions };
+  }
+
+  /**
+   * Every private key the wallet can sign with, keyed by public key.
+   * Covers active, owner and memo keys of all non-watch-only accounts on the
+   * given network; accounts without their own keys share the wallet keys.
+   * Public keys are given the connected chain's prefix, so they compare equal
+   * to the keys the node returns (required signatures, memo keys).
+   * @returns {Promise<Map<string, {privateKey: string, accountId: string, role: string}>>}
+   */
+  async getWalletSigningKeys(network = null) {
+    const accounts = (await this.getAllAccounts(network)).filter(a => !a.watchOnly);
+    const prefix = this.api?.keyPrefix || await getKeyPrefix(network);
+    const keyMap = new Map();
+    for (const account of accounts) {
+      let keys;
+      try {
+        keys = await this.getAccountKeys(account.id);
+      } catch (error) {
+        console.warn(`Skipping keys of ${account.name}:`, error.message);
+        continue;
+      }
+      for (const [role, pair] of Object.entries(keys || {})) {
+        if (!pair?.publicKey || !pair?.privateKey) continue;
+        const publicKey = CryptoUtils.parsePublicKey(pair.publicKey)
+          ? await CryptoUtils.convertPublicKeyPrefix(pair.publicKey, prefix)
+          : pair.publicKey;
+        if (!keyMap.has(publicKey)) {
+          keyMap.set(publicKey, { privateKey: pair.privateKey, accountId: account.id, role });
+        }
+      }
+    }
+    return keyMap;
+  }
+
+  /**
+   * Pick the wallet keys a transaction needs. The node works out the required
+   * authorities (multisig members, owner fallback, keys of other wallet
+   * accounts); if it cannot, sign with the signing account's active key.
+   * @param {Object} [options]
+   * @param {boolean} [options.accountKeysOnly] - offer only the keys of the signing
+   *   account's active authority, never owner keys or other accounts' keys (dApp requests)
+   * @returns {Promise<string[]>} WIF private keys
+   */
+  async _selectSigningKeys(tx, signingAccount, { accountKeysOnly = false } = {}) {
+    try {
+      let walletKeys = await this.getWalletSigningKeys(signingAccount.network || null);
+      if (accountKeysOnly) {
+        const chainAccount = await this.api.getAccount(signingAccount.id);
+        const activeKeys = new Set((chainAccount?.active?.key_auths || []).map(([publicKey]) => publicKey));
+        walletKeys = new Map([...walletKeys].filter(([publicKey]) => activeKeys.has(publicKey)));
+      }
+      const required = await this.api.getRequiredSignatures(tx, [...walletKeys.keys()]);
+      const wifs = required.map(pub => walletKeys.get(pub)?.privateKey).filter(Boolean);
+      if (wifs.length > 0) return wifs;
+    } catch (error) {
+      console.warn('Required signature lookup failed, using the active key:', error.message);
+    }
+    const keys = await this.getAccountKeys(signingAccount.id);
+    return [keys.active.privateKey];
+  }
+
+  /**
+   * Approval changes the wallet can make on a proposal.
+   * Approving adds every wallet account (or key) that is a required approver or
+   * a direct member of a required account's authority and has not approved yet;
+   * revoking removes the wallet's existing approvals.
+   * @param {Object} proposal - proposal_object from the node
+   * @param {Map<string, Object>} requiredAccounts - chain accounts of the required approvers
+   * @param {{accounts: Set<string>, keys: Set<string>}} signers - wallet account ids / public keys that can sign
+   * @param {boolean} approve
+   */
+  _proposalApprovalDelta(proposal, requiredAccounts, signers, approve) {
+    const delta = {
+      active_approvals_to_add: [],
+      active_approvals_to_remove: [],
+      owner_approvals_to_add: [],
+      owner_approvals_to_remove: [],
+      key_approvals_to_add: [],
+      key_approvals_to_remove: []
+    };
+    const availableActive = new Set(proposal.available_active_approvals || []);
+    const availableOwner = new Set(proposal.available_owner_approvals || []);
+    const availableKeys = new Set(proposal.available_key_approvals || []);
+
+    if (!approve) {
+      delta.active_approvals_to_remove = [...availableActive].filter(id => signers.accounts.has(id));
+      delta.owner_approvals_to_remove = [...availableOwner].filter(id => signers.accounts.has(id));
+      delta.key_approvals_to_remove = [...availableKeys].filter(k => signers.keys.has(k));
+      return delta;
+    }
+
+    const activeAdd = new Set();
+    const ownerAdd = new Set();
+    const keyAdd = new Set();
+    const addMembers = (authority) => {
+      for (const [memberId] of authority?.account_auths || []) {
+        if (signers.accounts.has(memberId) && !availableActive.has(memberId)) activeAdd.add(memberId);
+      }
+      for (const [pubKey] of authority?.key_auths || []) {
+        if (signers.keys.has(pubKey) && !availableKeys.has(pubKey)) keyAdd.add(pubKey);
+      }
+    };
+
+    for (const id of proposal.required_active_approvals || []) {
+      if (signers.accounts.has(id) && !availableActive.has(id)) activeAdd.add(id);
+      else if (!signers.accounts.has(id)) addMembers(requiredAccounts.get(id)?.active);
+    }
+    for (const id of proposal.required_owner_approvals || []) {
+      if (signers.accounts.has(id) && !availableOwner.has(id)) ownerAdd.add(id);
+      else if (!signers.accounts.has(id)) addMembers(requiredAccounts.get(id)?.owner);
+    }
+
+    delta.active_approvals_to_add = [...activeAdd];
+    delta.owner_approvals_to_add = [...ownerAdd];
+    delta.key_approvals_to_add = [...keyAdd];
+    return delta;
+  }
+
+  async _proposalSigners(network) {
+    const accounts = (await this.getAllAccounts(network)).filter(a => !a.watchOnly);
+    const walletKeys = await this.getWalletSigningKeys(network);
+    return {
+      accounts: new Set(accounts.map(a => a.id)),
+      keys: new Set(walletKeys.keys())
+    };
+  }
+
+  async _requiredApproverAccounts(proposals) {
+    const ids = new Set();
+    for (const p of proposals) {
+      for (const id of [...(p.required_active_approvals || []), ...(p.required_owner_approvals || [])]) ids.add(id);
+    }
+    const accounts = await this.api.getObjects([...ids]);
+    return new Map(accounts.filter(Boolean).map(a => [a.id, a]));
+  }
+
+  /**
+   * Pending proposals involving the wallet's accounts, directly or through a
+   * multisig account that lists them in its authority.
+   * @returns {Promise<Array<{proposal: Object, canApprove: boolean, canRevoke: boolean}>>}
+   */
+  async getProposals() {
+    await this.ensureUnlocked();
+    this.touch();
+    await this.ensureApiConnected();
+
+    const current = await this.getCurrentAccount();
+    const network = current.network || 'mainnet';
+    const accounts = await this.getAllAccounts(network);
+
+    const queryIds = new Set(accounts.map(a => a.id));
+    for (const account of accounts) {
+      try {
+        for (const ref of await this.api.getAccountReferences(account.id)) queryIds.add(ref);
+      } catch (error) {
+        console.warn(`Account references lookup failed for ${account.name}:`, error.message);
+      }
+    }
+
+    const byId = new Map();
+    for (const id of queryIds) {
+      for (const proposal of await this.api.getProposedTransactions(id)) {
+        byId.set(proposal.id, proposal);
+      }
+    }
+    const proposals = [...byId.values()].sort((a, b) => this.api.extractId(a.id) - this.api.extractId(b.id));
+
+    const signers = await this._proposalSigners(network);
+    const requiredAccounts = await this._requiredApproverAccounts(proposals);
+    const hasChanges = (d) => Object.values(d).some(list => list.length > 0);
+
+    return proposals.map(proposal => ({
+      proposal,
+      canApprove: hasChanges(this._proposalApprovalDelta(proposal, requiredAccounts, signers, true)),
+      canRevoke: hasChanges(this._proposalApprovalDelta(proposal, requiredAccounts, signers, false))
+    }));
+  }
+
+  /**
+   * Add (approve = true) or remove the wallet's approvals on a proposal (proposal_update, op 23).
+   * The fee is paid by the current account when it can sign, otherwise by the
+   * first wallet account whose approval changes.
+   */
+  async updateProposalApproval(proposalId, approve) {
+    await this.ensureUnlocked();
+    this.touch();
+    await this.ensureApiConnected();
+
+    const [proposal] = await this.api.getObjects([proposalId]);
+    if (!proposal) throw new Error(`Proposal not found: ${proposalId}`);
+
+    const current = await this.getCurrentAccount();
+    const network = current.network || 'mainnet';
+    const signers = await this._proposalSigners(network);
+    const requiredAccounts = await this._requiredApproverAccounts([proposal]);
+    const delta = this._proposalApprovalDelta(proposal, requiredAccounts, signers, approve);
+
+    const changedAccounts = [
+      ...delta.active_approvals_to_add, ...delta.active_approvals_to_remove,
+      ...delta.owner_approvals_to_add, ...delta.owner_approvals_to_remove
+    ];
+    if (changedAccounts.length === 0 &&
+        delta.key_approvals_to_add.length === 0 && delta.key_approvals_to_remove.length === 0) {
+      throw new Error(approve
+        ? 'None of your accounts can add an approval to this proposal'
+        : 'None of your accounts has approved this proposal');
+    }
+
+    const feePayer = signers.accounts.has(current.id)
+      ? current.id
+      : (changedAccounts[0] || [...signers.accounts][0]);
+    if (!feePayer) throw new Error('No account in this wallet can pay the fee');
+
+    const operation = {
+      fee: { amount: 0, asset_id: '1.3.0' },
+      fee_paying_account: feePayer,
+      proposal: proposalId,
+      ...delta,
+      extensions: []
+    };
+
+    const result = await this.signTransaction({ operations: [[23, operation]], extensions: [] });
+    if (!result.success) throw new Error(result.error);
+    return { success: true, result: result.result, operation };
+  }
+
+  /**
+   * Funds the wallet can claim on the current account's network: balance
+   * objects owned by an address of any wallet key (deposited to the key's
+   * account) and vesting balances of every account that holds keys.
+   * @returns {Promise<Array<{id: string, type: 'balance'|'vesting', kind: string,
+   *   accountId: string, accountName: string, ownerKey?: string,
+   *   balance: {amount: number|string, asset_id: string}, claimable: number}>>}
+   *   kind: 'genesis' for balance objects, else see ClaimableBalances.vestingKind
+   */
+  async getClaimableBalances() {
+    await this.ensureUnlocked();
+    this.touch();
+    await this.ensureApiConnected();
+
+    const network = (await this.getCurrentAccount()).network || 'mainnet';
+    const accounts = (await this.getAllAccounts(network)).filter(a => !a.watchOnly);
+    const names = new Map(accounts.map(a => [a.id, a.name]));
+    const now = await this.api.getHeadBlockTime();
+    const items = [];
+
+    const owners = new Map();
+    for (const [publicKey, { accountId }] of await this.getWalletSigningKeys(network)) {
+      for (const address of await CryptoUtils.publicKeyAddresses(publicKey, this.api.keyPrefix)) {
+        if (!owners.has(address)) owners.set(address, { publicKey, accountId });
+      }
+    }
+    for (const balance of await this.api.getBalanceObjects([...owners.keys()])) {
+      const owner = owners.get(balance.owner);
+      if (!owner) continue;
+      items.push({
+        id: balance.id,
+        type: 'balance',
+        kind: 'genesis',
+        accountId: owner.accountId,
+        accountName: names.get(owner.accountId),
+        ownerKey: owner.publicKey,
+        balance: balance.balance,
+        claimable: ClaimableBalances.balanceClaimable(balance, now)
+      });
+    }
+
+    for (const account of accounts) {
+      const vestingBalances = await this.api.getVestingBalances(account.id);
+      if (!vestingBalances.length) continue;
+      const chainAccount = await this.api.getAccount(account.id);
+      for (const vestingBalance of vestingBalances) {
+        items.push({
+          id: vestingBalance.id,
+          type: 'vesting',
+          kind: ClaimableBalances.vestingKind(vestingBalance, chainAccount),
+          accountId: account.id,
+          accountName: account.name,
+          balance: vestingBalance.balance,
+          claimable: ClaimableBalances.vestingWithdrawable(vestingBalance, now)
+        });
+      }
+    }
+
+    return items;
+  }
+
+  /**
+   * Claim everything withdrawable now in one transaction: balance_claim
+   * (op 37) for balance objects, vesting_balance_withdraw (op 33) for
+   * vesting balances.
+   * @param {string[]} [ids] - 1.15.x / 1.13.x ids to claim (defaults to all)
+   */
+  async claimBalances(ids = null) {
+    const items = (await this.getClaimableBalances())
+      .filter(item => item.claimable > 0 && (!ids || ids.includes(item.id)));
+    if (items.length === 0) throw new Error('Nothing to claim');
+
+    const operations = ClaimableBalances.claimOperations(items);
+    const result = await this.signTransaction({ operations, extensions: [] });
+    if (!result.success) throw new Error(result.error);
+    return { success: true, result: result.result, claimed: items };
+  }
+
+  /**
+   * Build an unsigned transaction for offline signing (online side).
+   * Needs no keys, so it works for watch-only (cold storage) accounts.
+   * @param {Array} operations - [[opType, opData], ...]
+   * @param {string} [accountId] - account the transaction is for (defaults to the current one)
+   * @param {number} [expirationSeconds] - time allowed for the offline round trip
+   * @returns {Promise<Object>} unsigned envelope (see offline-signing.js)
+   */
+  async buildOfflineTransaction(operations, accountId = null, expirationSeconds = 3600) {
+    await this.ensureApiConnected();
+
+    const account = accountId
+      ? (await this.getAllAccounts()).find(a => a.id === accountId)
+      : await this.getCurrentAccount();
+    if (!account) throw new Error('Account not found');
+
+    const tx = await this.api.prepareTransaction({ operations, extensions: [] }, expirationSeconds);
+
+    // The offline wallet signs with exactly these keys; an extra signature
+    // would make the node reject the transaction
+    let requiredKeys = [];
+    try {
+      const potential = await this.api.getPotentialSignatures(tx);
+      requiredKeys = await this.api.getRequiredSignatures(tx, potential);
+    } catch (error) {
+      console.warn('Required signature lookup failed, using the active keys:', error.message);
+    }
+    if (requiredKeys.length === 0) {
+      const chainAccount = await this.api.getAccount(account.id);
+      requiredKeys = (chainAccount?.active?.key_auths || []).map(([key]) => key);
+    }
+
+    return OfflineTransaction.create(tx, {
+      chainId: await this.api.getChainId(),
+      account,
+      requiredKeys
+    });
+  }
+
+  /**
+   * Build an unsigned transfer for offline signing.
+   * @param {{to: string, amount: string|number, asset?: string}} params - amount in asset units
+   */
+  async buildOfflineTransfer(params, accountId = null, expirationSeconds = 3600) {
+    await this.ensureApiConnected();
+
+    const account = accountId
+      ? (await this.getAllAccounts()).find(a => a.id === accountId)
+      : await this.getCurrentAccount();
+    if (!account) throw new Error('Account not found');
+
+    const toAccount = await this.api.getAccount(params.to);
+    if (!toAccount) throw new Error(`Recipient not found: ${params.to}`);
+    const asset = await this._resolveAssetParam(params.asset || '1.3.0');
+
+    const operation = {
+      fee: { amount: 0, asset_id: '1.3.0' },
+      from: account.id,
+      to: toAccount.id,
+      amount: { amount: this._toBaseUnits(params.amount, asset, 'Amount'), asset_id: asset.id },
+      extensions: []
+    };
+    return this.buildOfflineTransaction([[0, operation]], account.id, expirationSeconds);
+  }
+
+  /**
+   * Sign an exported transaction (offline side). Never touches the network:
+   * the chain id comes from the envelope and only wallet keys listed in
+   * requiredKeys are used. A partially signed envelope (another multisig
+   * signer went first) keeps its signatures and gets this wallet's appended.
+   * @param {string|Object} input - envelope JSON, QR frame text or object
+   * @returns {Promise<{success: true, signed: Object, missingKeys: string[]}>}
+   *   missingKeys lists required keys this wallet does not hold (other multisig signers)
+   */
+  async signOfflineTransaction(input) {
+    await this.ensureUnlocked();
+    this.touch();
+
+    const envelope = OfflineTransaction.parse(input);
+    if (OfflineTransaction.isExpired(envelope)) {
+      throw new Error('Transaction has expired — build a new one');
+    }
+
+    // The envelope's keys carry the prefix of the chain it was built on, which
+    // need not be the one this (possibly unconnected) wallet would use
+    const walletKeys = [...(await this.getWalletSigningKeys()).entries()];
+    const walletKey = key => walletKeys.find(([publicKey]) => CryptoUtils.samePublicKey(publicKey, key))?.[1];
+    const wifs = envelope.requiredKeys.map(key => walletKey(key)?.privateKey).filter(Boolean);
+    if (wifs.length === 0) throw new Error('None of the required keys are in this wallet');
+    const missingKeys = envelope.requiredKeys.filter(key => !walletKey(key));
+
+    // Only the serializer is needed, so an unconnected instance is fine
+    const serializer = this.api || new BitSharesAPI();
+    const signedTx = await serializer.signTransaction(
+      { ...envelope.transaction, signatures: [] },
+      wifs,
+      envelope.chainId
+    );
+
+    // Signatures are deterministic, so signing the same envelope twice with
+    // the same key yields the same string and is dropped here
+    const existing = envelope.transaction.signatures || [];
+    const signatures = [...new Set([...existing, ...signedTx.signatures])];
+
+    return {
+      success: true,
+      signed: { ...envelope, type: SIGNED_TX_TYPE, transaction: { ...signedTx, signatures } },
+      missingKeys
+    };
+  }
+
+  /**
+   * Broadcast a transaction signed offline (online side).
+   */
+  async broadcastOfflineTransaction(input) {
+    await this.ensureApiConnected();
+
+    const envelope = OfflineTransaction.parse(input, SIGNED_TX_TYPE);
+    const chainId = await this.api.getChainId();
+    if (envelope.chainId !== chainId) {
+      throw new Error('Transaction was signed for a different network');
+    }
+    if (OfflineTransaction.isExpired(envelope)) {
+      throw new Error('Transaction has expired — build and sign a new one');
+    }
+
+    const result = await this.api.broadcastSignedTransaction(envelope.transaction);
+    return { success: true, result };
+  }
+
   /**
    * Sign a transaction from dApp request
+   * @param {string} [feeAsset] - Asset id or symbol every operation pays its fee in;
+   *   when omitted each operation keeps its own fee asset
+   * @param {{accountKeysOnly?: boolean}} [options] - see _selectSigningKeys
+   */
+  async signTransaction(transaction, accountId = null, feeAsset = null, { accountKeysOnly = false } = {}) {
+    try {
+      const prepared = await this.prepareSigningTransaction(transaction, accountId, feeAsset);
+      return await this.signPreparedTransaction(prepared, { accountKeysOnly });
+    } catch (error) {
+      console.error('Sign transaction error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Validate a dApp transaction, pick its signing account and make it ready
+   * to sign (ids resolved, fees filled, block headers set). The popup decodes
+   * the serialized result for review, and signPreparedTransaction then signs
+   * exactly that transaction.
+   * @param {string} [feeAsset] - see signTransaction
+   * @param {number} [expirationSeconds] - time allowed before signing
+   * @returns {Promise<{transaction: Object, signerId: string}>}
    */
-  async signTransaction(transaction, accountId = null) {
+  async prepareSigningTransaction(transaction, accountId = null, feeAsset = null, expirationSeconds = 30) {
     // Ensure unlocked (will restore from session if service worker restarted)
     await this.ensureUnlocked();
 
     // Reset auto-lock timer on activity
     this.touch();
 
-    try {
-      await this.ensureApiConnected();
+    await this.ensureApiConnected();
 
-      // Normalise first so we can inspect operations before choosing a signer
-      let tx;
-      if (transaction && Array.isArray(transaction.operations)) {
-        tx = transaction;
-      } else if (Array.isArray(transaction)) {
-        tx = { operations: transaction, extensions: [] };
-      } else {
-        throw new Error('Invalid transaction format: expected { operations: [...] } or [[opType, opData], ...]');
-      }
+    // Normalise first so we can inspect operations before choosing a signer
+    let tx;
+    if (transaction && Array.isArray(transaction.operations)) {
+      tx = transaction;
+    } else if (Array.isArray(transaction)) {
+      tx = { operations: transaction, extensions: [] };
+    } else {
+      throw new Error('Invalid transaction format: expected { operations: [...] } or [[opType, opData], ...]');
+    }
 
-      // Determine the signing account.
-      // The connected accountId (from the dApp's approval) is the authority boundary —
-      // the transaction must only be signed by that account, never by another wallet account
-      // that the dApp forged via fields like 'from' inside the transaction body.
-      let resolvedId = accountId;
-
-      if (!resolvedId) {
-        // No caller-provided account: infer from operation fields (last resort for UI-initiated tx)
-        const ops = tx.operations || [];
-        for (const op of ops) {
-          const opData = Array.isArray(op) ? op[1] : op;
-          if (!opData || typeof opData !== 'object') continue;
-          for (const field of ['from', 'account', 'seller', 'fee_paying_account', 'registrar', 'account_id', 'issuer', 'funding_account']) {
-            const val = opData[field];
-            if (typeof val === 'string' && /^1\.2\.\d+$/.test(val)) {
-              resolvedId = val;
-              break;
-            }
+    // Determine the signing account.
+    // The connected accountId (from the dApp's approval) is the authority boundary —
+    // the transaction must only be signed by that account, never by another wallet account
+    // that the dApp forged via fields like 'from' inside the transaction body.
+    let resolvedId = accountId;
+
+    if (!resolvedId) {
+      // No caller-provided account: infer from operation fields (last resort for UI-initiated tx)
+      const ops = tx.operations || [];
+      for (const op of ops) {
+        const opData = Array.isArray(op) ? op[1] : op;
+        if (!opData || typeof opData !== 'object') continue;
+        for (const field of ['from', 'account', 'seller', 'fee_paying_account', 'registrar', 'account_id', 'issuer', 'funding_account']) {
+          const val = opData[field];
+          if (typeof val === 'string' && /^1\.2\.\d+$/.test(val)) {
+            resolvedId = val;
+            break;
           }
-          if (resolvedId) break;
         }
-      } else {
-        // Caller provided an accountId (dApp connection). Verify the transaction does not
-        // reference a *different* account in its operations — if it does, the dApp is trying
-        // to escalate privileges by signing with an account it was never connected to.
-        const ops = tx.operations || [];
-        for (const op of ops) {
-          const opData = Array.isArray(op) ? op[1] : op;
-          if (!opData || typeof opData !== 'object') continue;
-          for (const field of ['from', 'account', 'seller', 'fee_paying_account', 'registrar', 'account_id', 'issuer', 'funding_account']) {
-            const val = opData[field];
-            if (typeof val === 'string' && /^1\.2\.\d+$/.test(val) && val !== accountId) {
-              throw new Error(`Transaction references account ${val} but the dApp is only connected to ${accountId}`);
-            }
+        if (resolvedId) break;
+      }
+    } else {
+      // Caller provided an accountId (dApp connection). Verify the transaction does not
+      // reference a *different* account in its operations — if it does, the dApp is trying
+      // to escalate privileges by signing with an account it was never connected to.
+      const ops = tx.operations || [];
+      for (const op of ops) {
+        const opData = Array.isArray(op) ? op[1] : op;
+        if (!opData || typeof opData !== 'object') continue;
+        for (const field of ['from', 'account', 'seller', 'fee_paying_account', 'registrar', 'account_id', 'issuer', 'funding_account']) {
+          const val = opData[field];
+          if (typeof val === 'string' && /^1\.2\.\d+$/.test(val) && val !== accountId) {
+            throw new Error(`Transaction references account ${val} but the dApp is only connected to ${accountId}`);
           }
         }
       }
+    }
 
-      // Operation-type whitelist for dApp-initiated transactions.
-      // Only allow operations the wallet explicitly understands and that cannot
-      // drain funds or mutate account authorities in unexpected ways.
-      // Internal (non-dApp) transactions skip this check (accountId is null).
-      if (accountId) {
-        const ALLOWED_OP_TYPES = new Set([
-          0,  // transfer
-          1,  // limit_order_create
-          2,  // limit_order_cancel
-          3,  // call_order_update
-          63  // liquidity_pool_exchange
-        ]);
-        const OP_NAMES = {
-          0: 'transfer', 1: 'limit_order_create', 2: 'limit_order_cancel',
-          3: 'call_order_update', 63: 'liquidity_pool_exchange'
-        };
-        for (const op of tx.operations) {
-          const opType = Array.isArray(op) ? op[0] : (typeof op.type === 'number' ? op.type : null);
-          if (opType !== null && !ALLOWED_OP_TYPES.has(opType)) {
-            const allowed = [...ALLOWED_OP_TYPES].map(t => `${t}(${OP_NAMES[t]})`).join(', ');
-            throw new Error(
-              `Operation type ${opType} is not permitted from dApp requests. ` +
-              `Allowed operations: ${allowed}.`
-            );
-          }
+    // Operation-type whitelist for dApp-initiated transactions.
+    // Only allow operations the wallet explicitly understands and that cannot
+    // drain funds or mutate account authorities in unexpected ways.
+    // Internal (non-dApp) transactions skip this check (accountId is null).
+    if (accountId) {
+      const ALLOWED_OP_TYPES = new Set([
+        0,  // transfer
+        1,  // limit_order_create
+        2,  // limit_order_cancel
+        3,  // call_order_update
+        63  // liquidity_pool_exchange
+      ]);
+      const OP_NAMES = {
+        0: 'transfer', 1: 'limit_order_create', 2: 'limit_order_cancel',
+        3: 'call_order_update', 63: 'liquidity_pool_exchange'
+      };
+      for (const op of tx.operations) {
+        const opType = Array.isArray(op) ? op[0] : (typeof op.type === 'number' ? op.type : null);
+        if (opType !== null && !ALLOWED_OP_TYPES.has(opType)) {
+          const allowed = [...ALLOWED_OP_TYPES].map(t => `${t}(${OP_NAMES[t]})`).join(', ');
+          throw new Error(
+            `Operation type ${opType} is not permitted from dApp requests. ` +
+            `Allowed operations: ${allowed}.`
+          );
         }
       }
+    }
 
-      let signingAccount;
-      if (resolvedId) {
-        const all = await this.getAllAccounts();
-        signingAccount = all.find(a => a.id === resolvedId);
-        if (!signingAccount) {
-          throw new Error(`Account ${resolvedId} is required to sign but was not found in this wallet`);
-        }
-      } else {
-        signingAccount = await this.getCurrentAccount();
+    let signingAccount;
+    if (resolvedId) {
+      const all = await this.getAllAccounts();
+      signingAccount = all.find(a => a.id === resolvedId);
+      if (!signingAccount) {
+        throw new Error(`Account ${resolvedId} is required to sign but was not found in this wallet`);
+      }
+    } else {
+      signingAccount = await this.getCurrentAccount();
+      if (!signingAccount) throw new Error('Account not found');
+    }
+
+    if (feeAsset) {
+      const fee = await this._feeObject(feeAsset);
+      for (const op of tx.operations) {
+        const opData = Array.isArray(op) ? op[1] : (op.data || op.op || op);
+        if (opData && typeof opData === 'object') opData.fee = { ...fee };
       }
+    }
 
-      const keys = await this.getAccountKeys(signingAccount.id);
+    return {
+      transaction: await this.api.prepareTransaction(tx, expirationSeconds),
+      signerId: signingAccount.id
+    };
+  }
 
-      // Sign the transaction AND broadcast it (fills fees, refreshes headers, signs, broadcasts)
-      const result = await this.api.signAndBroadcast(tx, keys.active.privateKey);
-      return { success: true, result };
-    } catch (error) {
-      console.error('Sign transaction error:', error);
-      return { success: false, error: error.message };
+  /**
+   * Sign and broadcast a transaction returned by prepareSigningTransaction,
+   * without touching its fees or headers.
+   * @param {{transaction: Object, signerId: string}} prepared
+   * @param {{accountKeysOnly?: boolean}} [options] - see _selectSigningKeys
+   */
+  async signPreparedTransaction({ transaction, signerId }, { accountKeysOnly = false } = {}) {
+    await this.ensureUnlocked();
+    this.touch();
+    await this.ensureApiConnected();
+
+    const signingAccount = (await this.getAllAccounts()).find(a => a.id === signerId);
+    if (!signingAccount) {
+      throw new Error(`Account ${signerId} is required to sign but was not found in this wallet`);
     }
+    const signingKeys = await this._selectSigningKeys(transaction, signingAccount, { accountKeysOnly });
+    const signedTx = await this.api.signTransaction(transaction, signingKeys);
+    const result = await this.api.broadcastSignedTransaction(signedTx);
+    return { success: true, result };
   }
 
   /**
@@ -1586,6 +2853,7 @@ export class WalletManager {
       chrome.storage.local.clear(() => {
         this.currentWallet = null;
         this.decryptedKeys = null;
+        this._memoKeys = null;
         this.isUnlockedState = false;
         resolve(true);
       });
@@ -1952,6 +3220,231 @@ export class WalletManager {
     });
   }
 
+  // === Wallet Backups ===
+
+  /**
+   * Read the stored wallet and open it with the wallet password
+   * @returns {Promise<{wallet: Object, encryptionKey: CryptoKey, decrypted: Object}>}
+   */
+  async _openWallet(password) {
+    const { wallet } = await chrome.storage.local.get(['wallet']);
+    if (!wallet) throw new Error('No wallet found');
+
+    const encryptionKey = await CryptoUtils.deriveKey(password, this._getWalletSalt(wallet), this._getWalletIterations(wallet));
+    let decrypted;
+    try {
+      decrypted = await CryptoUtils.decrypt(wallet.encrypted, encryptionKey);
+    } catch {
+      throw new Error('Invalid wallet password');
+    }
+    return { wallet, encryptionKey, decrypted };
+  }
+
+  /**
+   * The wallet's accounts as backup entries, each with the keys it signs
+   * with, and the settings that go into a backup
+   */
+  async _walletBackupContents(wallet, encryptionKey, masterKeys) {
+    const storageKeys = (wallet.accounts || []).map(a => `accountKeys_${a.id}`);
+    const stored = await chrome.storage.local.get([...BACKUP_SETTINGS_KEYS, ...storageKeys]);
+
+    const accounts = [];
+    for (const account of wallet.accounts || []) {
+      const entry = {
+        name: account.name,
+        id: account.id,
+        network: account.network || 'mainnet',
+        watchOnly: account.watchOnly === true,
+        keys: null,
+        addedAt: account.addedAt || null
+      };
+      if (account.authorities) entry.authorities = account.authorities;
+      if (account.hasOwnKeys) {
+        const keyData = stored[`accountKeys_${account.id}`];
+        if (keyData) {
+          const { keys, bitsharesPassword } = await CryptoUtils.decrypt(keyData, encryptionKey);
+          entry.keys = keys;
+          if (bitsharesPassword) entry.bitsharesPassword = bitsharesPassword;
+        } else {
+          console.warn(`Key data for account ${account.id} is missing; backing it up as watch-only`);
+          entry.watchOnly = true;
+        }
+      } else if (!entry.watchOnly) {
+        entry.keys = masterKeys;
+      }
+      accounts.push(entry);
+    }
+
+    const settings = {};
+    for (const key of BACKUP_SETTINGS_KEYS) {
+      if (stored[key] !== undefined) settings[key] = stored[key];
+    }
+    return { accounts, settings };
+  }
+
+  /**
+   * A backup entry as a wallet account plus its encrypted key data
+   * (accountKeys_<id>; null for watch-only accounts)
+   */
+  async _accountFromBackup(entry, encryptionKey) {
+    const account = { name: entry.name, id: entry.id, network: entry.network || 'mainnet' };
+    if (!entry.keys) {
+      return { account: { ...account, watchOnly: true, addedAt: entry.addedAt || Date.now() }, keyData: null };
+    }
+    const secrets = { keys: entry.keys };
+    if (entry.bitsharesPassword) {
+      secrets.bitsharesPassword = entry.bitsharesPassword;
+      secrets.bitsharesAccountName = entry.name;
+    }
+    if (entry.authorities) account.authorities = entry.authorities;
+    return {
+      account: { ...account, hasOwnKeys: true, addedAt: entry.addedAt || Date.now() },
+      keyData: await CryptoUtils.encrypt(secrets, encryptionKey)
+    };
+  }
+
+  /**
+   * Export the whole wallet — master keys, every account with its keys,
+   * watch-only accounts and settings — as an encrypted backup file
+   * @param {string} walletPassword - current wallet password
+   * @param {string} backupPassword - password the backup file is encrypted with
+   * @returns {Promise<Object>} backup file (see wallet-backup.js)
+   */
+  async exportBackup(walletPassword, backupPassword) {
+    const { wallet, encryptionKey, decrypted } = await this._openWallet(walletPassword);
+    const { accounts, settings } = await this._walletBackupContents(wallet, encryptionKey, decrypted.keys);
+
+    return WalletBackup.encrypt({
+      wallet: {
+        name: wallet.name,
+        brainkey: decrypted.brainkey || null,
+        bitsharesAccountName: decrypted.bitsharesAccountName || null,
+        keys: decrypted.keys,
+        importType: wallet.importType || null,
+        createdAt: wallet.createdAt || null
+      },
+      accounts,
+      settings
+    }, backupPassword);
+  }
+
+  /**
+   * Restore a backup file. Without a wallet, a new one is created from the
+   * backup under walletPassword. Otherwise the backup is merged into the
+   * current wallet: new accounts and settings are added, and watch-only
+   * accounts gain the backup's keys. When the backup disagrees with the
+   * wallet (see WalletBackup.conflicts), nothing is written until a
+   * resolution is given: 'keep' leaves the wallet's version, 'replace'
+   * takes the backup's.
+   * @param {string|Object} file - backup file (JSON text or parsed)
+   * @param {string} backupPassword - password the backup is encrypted with
+   * @param {string} walletPassword - current wallet password, or the new one
+   * @param {{resolution?: 'keep'|'replace'}} [options]
+   * @returns {Promise<{restored: boolean, created: boolean, conflicts: Array, added: number, replaced: number}>}
+   */
+  async restoreBackup(file, backupPassword, walletPassword, options = {}) {
+    const contents = await WalletBackup.decrypt(WalletBackup.parse(file), backupPassword);
+
+    if (!(await this.hasWallet())) {
+      await this._createWalletFromBackup(contents, walletPassword);
+      return { restored: true, created: true, conflicts: [], added: contents.accounts.length, replaced: 0 };
+    }
+
+    const resolution = options.resolution || null;
+    if (resolution && resolution !== 'keep' && resolution !== 'replace') {
+      throw new Error(`Invalid conflict resolution: ${resolution}`);
+    }
+
+    const { wallet, encryptionKey, decrypted } = await this._openWallet(walletPassword);
+    const current = await this._walletBackupContents(wallet, encryptionKey, decrypted.keys);
+    const conflicts = WalletBackup.conflicts(contents, current);
+    if (conflicts.length && !resolution) {
+      return { restored: false, created: false, conflicts, added: 0, replaced: 0 };
+    }
+
+    const replace = resolution === 'replace';
+    const conflictingIds = conflicts.filter(c => c.kind === 'account').map(c => c.id);
+    wallet.accounts = wallet.accounts || [];
+    const keyData = {};
+    let added = 0;
+    let replaced = 0;
+
+    for (const entry of contents.accounts) {
+      const index = wallet.accounts.findIndex(a => a.id === entry.id);
+      const existing = wallet.accounts[index];
+      const upgrade = existing?.watchOnly && entry.keys;
+      if (existing && !upgrade && !(replace && conflictingIds.includes(entry.id))) continue;
+
+      const { account, keyData: accountKeys } = await this._accountFromBackup(entry, encryptionKey);
+      if (accountKeys) keyData[`accountKeys_${entry.id}`] = accountKeys;
+      if (existing) {
+        wallet.accounts[index] = account;
+        replaced++;
+      } else {
+        wallet.accounts.push(account);
+        added++;
+      }
+    }
+
+    const settings = WalletBackup.mergeSettings(current.settings, contents.settings, replace);
+    await chrome.storage.local.set({ ...settings, ...keyData });
+    await this.saveWallet(wallet);
+    this.currentWallet = wallet;
+    this._memoKeys = null;
+
+    return { restored: true, created: false, conflicts, added, replaced };
+  }
+
+  /**
+   * Create a new wallet from decrypted backup contents, encrypted under
+   * a new salt, and unlock it
+   */
+  async _createWalletFromBackup(contents, password) {
+    const source = contents.wallet;
+    if (!source.keys?.active) throw new Error('The backup file is damaged');
+
+    const salt = CryptoUtils.generateSalt();
+    const encryptionKey = await CryptoUtils.deriveKey(password, salt);
+    const encryptedData = await CryptoUtils.encrypt({
+      brainkey: source.brainkey || null,
+      bitsharesAccountName: source.bitsharesAccountName || null,
+      keys: source.keys,
+      accounts: []
+    }, encryptionKey);
+
+    const wallet = {
+      name: source.name || 'Restored Wallet',
+      encrypted: encryptedData,
+      salt: salt,
+      pbkdf2Iterations: 600000,
+      publicKeys: {
+        active: source.keys.active.publicKey,
+        owner: source.keys.owner?.publicKey,
+        memo: source.keys.memo?.publicKey
+      },
+      createdAt: source.createdAt || Date.now(),
+      version: 2,
+      accounts: []
+    };
+    if (source.importType) wallet.importType = source.importType;
+
+    const keyData = {};
+    for (const entry of contents.accounts) {
+      if (wallet.accounts.some(a => a.id === entry.id)) continue;
+      const { account, keyData: accountKeys } = await this._accountFromBackup(entry, encryptionKey);
+      if (accountKeys) keyData[`accountKeys_${entry.id}`] = accountKeys;
+      wallet.accounts.push(account);
+    }
+
+    await chrome.storage.local.set({ ...WalletBackup.mergeSettings({}, contents.settings), ...keyData });
+    await this.saveWallet(wallet);
+
+    this.currentWallet = wallet;
+    this.decryptedKeys = source.keys;
+    this.isUnlockedState = true;
+    await this.storeSessionPassword(password);
+  }
+
   /**
    * Get private key (requires password verification)
    * @param {string} password - Wallet password
@@ -8,6 +8,24 @@ import { WalletManager } from '../lib/wallet-manager.js';
 import { BitSharesAPI } from '../lib/bitshares-api.js';
 import { CryptoUtils } from '../lib/crypto-utils.js';
 import { generateQRCode } from '../lib/qr-generator.js';
+import { OfflineTransaction, UNSIGNED_TX_TYPE, SIGNED_TX_TYPE } from '../lib/offline-signing.js';
+import { HistoryExporter } from '../lib/history-export.js';
+import { DexMarket } from '../lib/dex-market.js';
+import {
+  LiquidityPools, SWAP_SLIPPAGE_KEY, swapSlippage, DEFAULT_SLIPPAGE, MAX_SLIPPAGE, PRICE_IMPACT_WARNING, PRICE_IMPACT_LIMIT
+} from '../lib/liquidity-pools.js';
+import { SwapRouter } from '../lib/swap-router.js';
+import { CollateralPositions, POSITION_STATUS } from '../lib/collateral-positions.js';
+import { AssetSettlement } from '../lib/asset-settlement.js';
+import { NOTIFICATION_PREFERENCES_KEY, notificationPreferences } from '../lib/account-watcher.js';
+import {
+  BUILTIN_NETWORKS,
+  listNetworks,
+  validateCustomNetwork,
+  saveCustomNetwork,
+  removeCustomNetwork,
+  networkIdFromName
+} from '../lib/networks.js';
 import { getAssetLogo } from '../assets/asset-logos.js';
 import { initLogoCache } from '../assets/logo-cache.js';
 import { updateSvg as jdenticonUpdateSvg } from '../lib/jdenticon.js';
@@ -75,8 +93,8 @@ const ASSETS_SKELETON_HTML = (() => {
 let walletManager = null;
 let btsAPI = null;
 
-const DEFAULT_EXPLORER_MAINNET = 'https://btslens.pages.dev';
-const DEFAULT_EXPLORER_TESTNET = 'https://blocksights.info?network=testnet'; // no default testnet explorer
+const DEFAULT_EXPLORER_MAINNET = BUILTIN_NETWORKS.mainnet.explorerUrl;
+const DEFAULT_EXPLORER_TESTNET = BUILTIN_NETWORKS.testnet.explorerUrl;
 const DEFAULT_EXPLORER = DEFAULT_EXPLORER_MAINNET; // backwards-compat alias
 let _explorerUrl = DEFAULT_EXPLORER_MAINNET; // active explorer for current network
 let currentScreen = 'loading-screen';
@@ -159,6 +177,11 @@ function setupEventListeners() {
   document.getElementById('btn-copy-receive-account')?.addEventListener('click', handleCopyReceiveAccount);
   document.getElementById('btn-history')?.addEventListener('click', handleShowHistory);
   document.getElementById('history-filter-select')?.addEventListener('change', handleHistoryFilter);
+  document.getElementById('history-search')?.addEventListener('input', handleHistoryFilter);
+  for (const id of ['history-date-from', 'history-date-to', 'history-counterparty', 'history-asset']) {
+    document.getElementById(id)?.addEventListener('change', handleHistoryFilter);
+  }
+  document.getElementById('history-export-btn')?.addEventListener('click', handleHistoryExport);
   document.getElementById('asset-search')?.addEventListener('input', handleAssetSearch);
   document.getElementById('btn-swap')?.addEventListener('click', handleShowSwap);
   document.getElementById('network-select')?.addEventListener('change', handleNetworkChange);
@@ -176,6 +199,12 @@ function setupEventListeners() {
   // Send screen
   document.getElementById('send-to')?.addEventListener('input', handleRecipientInput);
   document.getElementById('send-asset')?.addEventListener('change', updateSendAvailableBalance);
+  for (const selectId of FEE_ASSET_SELECTS) {
+    document.getElementById(selectId)?.addEventListener('change', () => updateFeeAssetDisplay(selectId));
+  }
+  document.getElementById('tx-sign-fee-asset')?.addEventListener('change', () => {
+    if (_signingReview) renderSigningOperations(_signingReview.requestId, _signingReview.requested);
+  });
   document.getElementById('btn-max-amount')?.addEventListener('click', handleMaxAmount);
   document.getElementById('btn-send-confirm')?.addEventListener('click', handleSendReview);
   
@@ -190,9 +219,22 @@ function setupEventListeners() {
   document.getElementById('btn-transfer-approve')?.addEventListener('click', handleTransferApprove);
   document.getElementById('btn-tx-sign-reject')?.addEventListener('click', handleTransactionSignReject);
   document.getElementById('btn-tx-sign-approve')?.addEventListener('click', handleTransactionSignApprove);
+  document.getElementById('btn-sign-message-reject')?.addEventListener('click', () => handleDappActionResponse(false));
+  document.getElementById('btn-sign-message-approve')?.addEventListener('click', () => handleDappActionResponse(true));
+  document.getElementById('btn-dapp-swap-reject')?.addEventListener('click', () => handleDappActionResponse(false));
+  document.getElementById('btn-dapp-swap-approve')?.addEventListener('click', () => handleDappActionResponse(true));
+  document.getElementById('btn-limit-order-reject')?.addEventListener('click', () => handleDappActionResponse(false));
+  document.getElementById('btn-limit-order-approve')?.addEventListener('click', () => handleDappActionResponse(true));
+  document.getElementById('btn-dapp-vote-reject')?.addEventListener('click', () => handleDappActionResponse(false));
+  document.getElementById('btn-dapp-vote-approve')?.addEventListener('click', () => handleDappActionResponse(true));
   
   // Settings
   document.getElementById('setting-backup')?.addEventListener('click', handleShowBackup);
+  document.getElementById('setting-wallet-backup')?.addEventListener('click', handleShowWalletBackup);
+  document.getElementById('btn-export-wallet-backup')?.addEventListener('click', handleExportWalletBackup);
+  document.getElementById('btn-restore-wallet-backup')?.addEventListener('click', () => handleRestoreWalletBackup());
+  document.getElementById('btn-restore-keep')?.addEventListener('click', () => handleRestoreWalletBackup('keep'));
+  document.getElementById('btn-restore-replace')?.addEventListener('click', () => handleRestoreWalletBackup('replace'));
   document.getElementById('btn-reset-wallet')?.addEventListener('click', handleResetWallet);
   document.getElementById('copy-donation-account')?.addEventListener('click', () => {
     const network = document.getElementById('network-select')?.value || 'mainnet';
@@ -203,10 +245,15 @@ function setupEventListeners() {
     handleShowSend(null, 'buy-me-a-beer');
   });
   document.getElementById('autolock-timer')?.addEventListener('change', handleAutolockChange);
+  document.querySelectorAll('#notification-settings input[data-kind]').forEach(input => {
+    input.addEventListener('change', handleNotificationPreferenceChange);
+  });
   document.getElementById('setting-explorer')?.addEventListener('click', handleShowExplorer);
   document.getElementById('explorer-url-save')?.addEventListener('click', handleSaveExplorerUrl);
   document.getElementById('explorer-url-reset')?.addEventListener('click', handleResetExplorerUrl);
   document.getElementById('setting-nodes')?.addEventListener('click', handleShowNodes);
+  document.getElementById('setting-networks')?.addEventListener('click', handleShowNetworks);
+  document.getElementById('btn-add-network')?.addEventListener('click', handleAddNetwork);
   document.getElementById('setting-connections')?.addEventListener('click', handleShowConnections);
   document.getElementById('setting-accounts')?.addEventListener('click', handleShowAccounts);
   document.getElementById('btn-add-account-settings')?.addEventListener('click', () => showScreen('add-account-screen'));
@@ -216,7 +263,60 @@ function setupEventListeners() {
   document.getElementById('create-account-settings-name')?.addEventListener('input', handleCreateAccountSettingsNameInput);
   document.getElementById('btn-create-account-settings-submit')?.addEventListener('click', handleCreateAccountSettings);
   document.getElementById('add-account-watch-only')?.addEventListener('change', handleWatchOnlyToggle);
+  document.getElementById('add-account-key-source')?.addEventListener('change', handleKeySourceChange);
   document.getElementById('setting-fees')?.addEventListener('click', handleShowFees);
+  document.getElementById('setting-voting')?.addEventListener('click', handleShowVoting);
+  document.getElementById('setting-proposals')?.addEventListener('click', handleShowProposals);
+  document.getElementById('setting-claimable')?.addEventListener('click', handleShowClaimable);
+  document.getElementById('btn-refresh-claimable')?.addEventListener('click', loadClaimableBalances);
+  document.getElementById('btn-claim-all')?.addEventListener('click', handleClaimAll);
+  document.getElementById('setting-positions')?.addEventListener('click', handleShowPositions);
+  document.getElementById('btn-refresh-positions')?.addEventListener('click', loadPositions);
+  document.getElementById('btn-open-position')?.addEventListener('click', () => showPositionForm());
+  document.getElementById('positions-list')?.addEventListener('click', handlePositionListClick);
+  document.getElementById('position-asset')?.addEventListener('change', handlePositionAssetChange);
+  for (const id of ['position-collateral', 'position-debt', 'position-target-ratio']) {
+    document.getElementById(id)?.addEventListener('input', updatePositionPreview);
+  }
+  document.getElementById('btn-position-cancel')?.addEventListener('click', hidePositionForm);
+  document.getElementById('btn-position-close')?.addEventListener('click', handleClosePosition);
+  document.getElementById('btn-position-submit')?.addEventListener('click', handleSubmitPosition);
+
+  // Asset detail
+  document.getElementById('settle-amount')?.addEventListener('input', updateSettlePreview);
+  document.getElementById('btn-settle-max')?.addEventListener('click', handleSettleMax);
+  document.getElementById('btn-settle')?.addEventListener('click', handleSettle);
+  for (const id of ['bid-collateral', 'bid-debt']) {
+    document.getElementById(id)?.addEventListener('input', updateBidPreview);
+  }
+  document.getElementById('btn-bid')?.addEventListener('click', handleBid);
+  document.getElementById('btn-bid-cancel')?.addEventListener('click', handleCancelBid);
+  document.getElementById('setting-offline-signing')?.addEventListener('click', handleShowOfflineSigning);
+  document.querySelectorAll('.offline-tab').forEach(tab => {
+    tab.addEventListener('click', () => switchOfflineTab(tab.dataset.offlineTab));
+  });
+  document.getElementById('btn-offline-build')?.addEventListener('click', handleOfflineBuild);
+  document.getElementById('btn-offline-review')?.addEventListener('click', () => handleOfflineReview(UNSIGNED_TX_TYPE));
+  document.getElementById('btn-offline-review-signed')?.addEventListener('click', () => handleOfflineReview(SIGNED_TX_TYPE));
+  document.getElementById('btn-offline-sign')?.addEventListener('click', handleOfflineSign);
+  document.getElementById('btn-offline-broadcast')?.addEventListener('click', handleOfflineBroadcast);
+  document.getElementById('offline-sign-file')?.addEventListener('change', (e) => loadOfflineFile(e.target, 'offline-sign-input'));
+  document.getElementById('offline-broadcast-file')?.addEventListener('change', (e) => loadOfflineFile(e.target, 'offline-broadcast-input'));
+  document.getElementById('btn-offline-copy')?.addEventListener('click', handleOfflineCopy);
+  document.getElementById('btn-offline-download')?.addEventListener('click', handleOfflineDownload);
+  document.getElementById('btn-offline-qr-prev')?.addEventListener('click', () => showOfflineQrFrame(offlineState.frameIndex - 1));
+  document.getElementById('btn-offline-qr-next')?.addEventListener('click', () => showOfflineQrFrame(offlineState.frameIndex + 1));
+  document.getElementById('btn-refresh-proposals')?.addEventListener('click', loadProposals);
+  document.getElementById('btn-save-votes')?.addEventListener('click', handleSaveVotes);
+  document.getElementById('voting-proxy')?.addEventListener('input', updateVotingSummary);
+  document.querySelectorAll('.voting-tab').forEach(tab => {
+    tab.addEventListener('click', () => {
+      document.querySelectorAll('.voting-tab').forEach(t => t.classList.remove('active'));
+      tab.classList.add('active');
+      votingState.tab = tab.dataset.voteTab;
+      renderVotingList();
+    });
+  });
   document.getElementById('btn-refresh-fees')?.addEventListener('click', loadNetworkFees);
   document.getElementById('btn-show-dev-docs')?.addEventListener('click', () => showScreen('dev-docs-screen'));
 
@@ -280,6 +380,11 @@ function setupEventListeners() {
   // Listen for messages from background script
   chrome.runtime.onMessage.addListener(handleBackgroundMessage);
 
+  // The service worker follows transactions broadcast from the popup too
+  BitSharesAPI.onTransaction((event) => {
+    chrome.runtime.sendMessage({ type: 'TX_TRACK', data: event }).catch(() => {});
+  });
+
   // Upgrade asset <select> elements to logo-aware custom pickers
   initAssetPicker('send-asset');
   initAssetPicker('swap-from-asset');
@@ -301,14 +406,15 @@ async function initializeApp() {
     }).catch(() => {});
 
     // Restore saved network selection before any API calls
+    // (user-defined networks first, so their options exist in the selectors)
+    await loadNetworks();
     const savedNetworkResult = await chrome.storage.local.get(['selectedNetwork']);
-    const savedNetwork = savedNetworkResult.selectedNetwork || 'mainnet';
+    let savedNetwork = savedNetworkResult.selectedNetwork || 'mainnet';
+    if (!_networks.has(savedNetwork)) savedNetwork = 'mainnet'; // its custom network was removed
 
     // Load explorer URL early so history items are linked on first render
     const explorerResult = await chrome.storage.local.get(['explorerUrl', 'explorerUrlTestnet']);
-    _explorerUrl = savedNetwork === 'testnet'
-      ? (explorerResult.explorerUrlTestnet ?? DEFAULT_EXPLORER_TESTNET).replace(/\/+$/, '')
-      : (explorerResult.explorerUrl || DEFAULT_EXPLORER_MAINNET).replace(/\/+$/, '');
+    _explorerUrl = explorerUrlFor(savedNetwork, explorerResult);
     const networkSelect = document.getElementById('network-select');
     if (networkSelect) networkSelect.value = savedNetwork;
     const welcomeNetworkSelect = document.getElementById('welcome-network-select');
@@ -349,6 +455,9 @@ async function initializeApp() {
       if (area === 'local' && changes.pendingApproval?.newValue && !isLocked) {
         checkPendingApproval();
       }
+      if (area === 'local' && changes.trackedTransactions) {
+        renderTrackedTransactions();
+      }
     });
   } catch (error) {
     console.error('Initialization error:', error);
@@ -365,9 +474,7 @@ async function initializeApp() {
 async function testAllNodesInBackground() {
   try {
     const network = document.getElementById('network-select')?.value || 'mainnet';
-    const defaultNodes = DEFAULT_NODES[network] || DEFAULT_NODES.mainnet;
-    const savedNodes = await getSavedNodesForNetwork(network);
-    const allNodes = [...new Set([...defaultNodes, ...savedNodes])];
+    const allNodes = await getNetworkNodes(network);
 
     // Test all nodes in parallel
     await Promise.all(allNodes.map(node => testNode(node)));
@@ -404,7 +511,7 @@ async function testAllNodesInBackground() {
         if (btsAPI) {
           await btsAPI.disconnect();
         }
-        btsAPI = new BitSharesAPI([targetNode]);
+        btsAPI = new BitSharesAPI([targetNode], { chainId: networkInfo(network).chainId });
         await btsAPI.connect();
         console.log('Connected to node');
       } catch (e) {
@@ -430,7 +537,8 @@ async function initializeAPI() {
   const network = document.getElementById('network-select')?.value || 'mainnet';
   const nodes = await getNetworkNodes(network);
 
-  btsAPI = new BitSharesAPI(nodes);
+  // Nodes on another chain than the network's are skipped
+  btsAPI = new BitSharesAPI(nodes, { chainId: networkInfo(network).chainId });
   await btsAPI.connect();
 
   // Share the connected API with walletManager so account operations
@@ -442,32 +550,81 @@ async function initializeAPI() {
   // Keep the service worker in sync — it may have missed a NETWORK_SWITCH message
   // (e.g. popup reconnects after wallet creation/import on a non-default network).
   try {
-    chrome.runtime.sendMessage({ type: 'NETWORK_SWITCH', network }).catch(() => {});
+    chrome.runtime.sendMessage({ type: 'NETWORK_SWITCH', data: { network } }).catch(() => {});
   } catch { /* ignore if service worker is not running */ }
 }
 
+// Built-in and user-defined networks by id (see loadNetworks)
+let _networks = new Map(Object.values(BUILTIN_NETWORKS).map(network => [network.id, network]));
+
+// Network details; an unknown id (e.g. a removed custom network) gets mainnet's
+function networkInfo(network) {
+  return _networks.get(network) || BUILTIN_NETWORKS.mainnet;
+}
+
+// Reload the network list and rebuild the network selectors, keeping their selection
+async function loadNetworks() {
+  const networks = await listNetworks();
+  _networks = new Map(networks.map(network => [network.id, network]));
+  const options = networks
+    .map(network => `<option value="${escapeHtml(network.id)}">${escapeHtml(network.name)}</option>`)
+    .join('');
+  for (const id of ['network-select', 'welcome-network-select']) {
+    const select = document.getElementById(id);
+    if (!select) continue;
+    const selected = select.value;
+    setHTML(select, options);
+    select.value = _networks.has(selected) ? selected : 'mainnet';
+  }
+}
+
 // Get network nodes based on selected network (defaults + custom)
 async function getNetworkNodes(network) {
-  const defaults = DEFAULT_NODES[network] || DEFAULT_NODES.mainnet;
+  const defaults = networkInfo(network).nodes;
   const customNodes = await getSavedNodesForNetwork(network);
   return [...new Set([...defaults, ...customNodes])];
 }
 
 // Get faucet URL for a given network
 function getFaucetUrl(network) {
-  return network === 'testnet'
-    ? 'https://testnet-faucet.xbts.io/api/v1/accounts'
-    : 'https://faucet.xbts.io/api/v1/accounts';
+  const { faucetUrl, name } = networkInfo(network);
+  if (!faucetUrl) throw new Error(`${name} has no faucet — register the account from an existing one instead`);
+  return faucetUrl;
 }
 
 // Get key prefix for a given network
 function getKeyPrefix(network) {
-  return network === 'testnet' ? 'TEST' : 'BTS';
+  return networkInfo(network).keyPrefix;
 }
 
 // Get core currency symbol for a given network
 function getCoreSymbol(network) {
-  return network === 'testnet' ? 'TEST' : 'BTS';
+  return networkInfo(network).coreSymbol;
+}
+
+// Full network name, e.g. 'BitShares Testnet'
+function getNetworkName(network) {
+  return networkInfo(network).name;
+}
+
+// The network after this one in the list (wraps around), for moving accounts
+function nextNetworkId(network) {
+  const ids = [..._networks.keys()];
+  return ids[(ids.indexOf(network) + 1) % ids.length];
+}
+
+// CSS class for network badges and chips: built-in networks have their own colours
+function networkClass(network) {
+  return networkInfo(network).custom ? 'custom' : networkInfo(network).id;
+}
+
+// Explorer for a network: mainnet/testnet ones are set in Settings → Block Explorer
+function explorerUrlFor(network, stored = {}) {
+  if (network === 'testnet') return (stored.explorerUrlTestnet ?? DEFAULT_EXPLORER_TESTNET).replace(/\/+$/, '');
+  if (network === 'mainnet' || !_networks.has(network)) {
+    return (stored.explorerUrl || DEFAULT_EXPLORER_MAINNET).replace(/\/+$/, '');
+  }
+  return networkInfo(network).explorerUrl || '';
 }
 
 // Screen navigation
@@ -535,6 +692,10 @@ const _approvalDismissMap = {
   'dapp-connect-modal':     { fillId: 'connect-dismiss-fill',  onExpire: () => handleDappRejectUpdated() },
   'dapp-transfer-modal':    { fillId: 'transfer-dismiss-fill', onExpire: () => handleTransferReject() },
   'dapp-transaction-modal': { fillId: 'txsign-dismiss-fill',   onExpire: () => handleTransactionSignReject() },
+  'dapp-sign-message-modal': { fillId: 'signmsg-dismiss-fill', onExpire: () => handleDappActionResponse(false) },
+  'dapp-swap-modal':        { fillId: 'swap-dismiss-fill',     onExpire: () => handleDappActionResponse(false) },
+  'dapp-limit-order-modal': { fillId: 'limitorder-dismiss-fill', onExpire: () => handleDappActionResponse(false) },
+  'dapp-vote-modal':        { fillId: 'vote-dismiss-fill',     onExpire: () => handleDappActionResponse(false) },
 };
 
 // Show modal
@@ -899,6 +1060,9 @@ function clearImportWalletForm() {
   const fields = [
     'import-account-name', 'import-account-password',
     'import-brainkey-input',
+    'import-wif-input',
+    'import-bin-file', 'import-bin-password',
+    'import-restore-file', 'import-restore-password',
     'import-wallet-password', 'import-wallet-password-confirm'
   ];
   fields.forEach(id => {
@@ -985,9 +1149,61 @@ async function handleImportWallet() {
         importData = { type: 'brainkey', brainkey };
         break;
       }
+
+      case 'import-wif': {
+        const keys = wifLines(document.getElementById('import-wif-input')?.value);
+        if (keys.length === 0) {
+          showToast('Please enter at least one private key', 'error');
+          return;
+        }
+        importData = { type: 'wif', keys };
+        break;
+      }
+
+      case 'import-bin': {
+        const file = document.getElementById('import-bin-file')?.files?.[0];
+        const backupPassword = document.getElementById('import-bin-password')?.value;
+        if (!file) {
+          showToast('Please choose the wallet backup file', 'error');
+          return;
+        }
+        if (!backupPassword) {
+          showToast('Please enter the backup password', 'error');
+          return;
+        }
+        const backup = new Uint8Array(await file.arrayBuffer());
+        importData = { type: 'bin', backup, password: backupPassword };
+        break;
+      }
+
+      case 'import-restore': {
+        const file = document.getElementById('import-restore-file')?.files?.[0];
+        const backupPassword = document.getElementById('import-restore-password')?.value;
+        if (!file) {
+          showToast('Please choose the wallet backup file', 'error');
+          return;
+        }
+        if (!backupPassword) {
+          showToast('Please enter the backup password', 'error');
+          return;
+        }
+        importData = { type: 'restore', file: await file.text(), password: backupPassword };
+        break;
+      }
     }
 
-    await walletManager.importWallet(importData, walletPassword, importNetwork);
+    if (importData.type === 'restore') {
+      // The backup brings its own accounts, networks and settings
+      await walletManager.restoreBackup(importData.file, importData.password, walletPassword);
+      await loadNetworks();
+      const { selectedNetwork } = await chrome.storage.local.get(['selectedNetwork']);
+      if (selectedNetwork && _networks.has(selectedNetwork)) {
+        document.getElementById('network-select').value = selectedNetwork;
+        updateNetworkBadges(selectedNetwork);
+      }
+    } else {
+      await walletManager.importWallet(importData, walletPassword, importNetwork);
+    }
     await initializeAPI();
     await loadDashboard();
 
@@ -1097,6 +1313,7 @@ function startUnlockCountdown(passwordField, unlockBtn, eyeToggle) {
 async function handleLock() {
   await walletManager.lock();
   isLocked = true;
+  forgetHistoryMemos();
   showScreen('unlock-screen');
   showToast('Wallet locked', 'info');
 }
@@ -1224,9 +1441,9 @@ async function loadBalances(accountId) {
 
     // Price feed only available on mainnet
     const priceDisplay = document.getElementById('bts-price-display');
-    if (network === 'testnet') {
+    if (network !== 'mainnet') {
       document.getElementById('balance-usd').textContent = '';
-      if (priceDisplay) priceDisplay.textContent = 'Testnet — no price feed';
+      if (priceDisplay) priceDisplay.textContent = `${networkInfo(network).label} — no price feed`;
     } else {
       const btsPriceData = await btsAPI.getBTSPrice();
       const btsPrice = btsPriceData.price || 0;
@@ -1244,7 +1461,7 @@ async function loadBalances(accountId) {
   } catch (error) {
     console.error('Failed to load balances:', error);
     const network = document.getElementById('network-select')?.value || 'mainnet';
-    const networkLabel = network === 'testnet' ? 'testnet' : 'mainnet';
+    const networkLabel = getNetworkName(network);
     document.getElementById('balance-bts').textContent = `0 ${getCoreSymbol(network)}`;
     document.getElementById('balance-usd').textContent = '';
     const assetsList = document.getElementById('assets-list');
@@ -1346,6 +1563,8 @@ async function updateAssetsList(balances) {
       assetItem.insertAdjacentElement('afterbegin', icon);
     }
 
+    assetItem.addEventListener('click', () => handleShowAsset(asset.id));
+
     // Star button — FLIP-animate items into their new sort order, no full re-render
     assetItem.querySelector('.asset-fav-btn').addEventListener('click', async (e) => {
       e.stopPropagation();
@@ -1409,70 +1628,284 @@ async function updateAssetsList(balances) {
   }
 }
 
+// === History Pagination ===
+
+const HISTORY_PAGE_SIZE = 50;
+
+// Filter categories the node can select by operation type
+const HISTORY_FILTER_OP_TYPES = {
+  transfer: 0,
+  limit_order_create: 1,
+  limit_order_cancel: 2,
+  fill_order: 4,
+  asset_issue: 14,
+  liquidity_pool: 63
+};
+
+let _history = null;          // { accountId, operationType, cursor, done, loading, oldestTime }
+let _historyEndObserver = null;
+const _historyFilterIds = { counterparty: null, asset: null }; // resolved object ids, '' when not found
+
+/**
+ * Show an account's history from its newest operation; filters reset
+ */
 async function loadHistory(accountId) {
+  const filterSelect = document.getElementById('history-filter-select');
+  if (filterSelect) filterSelect.value = 'all';
+  for (const id of ['history-search', 'history-date-from', 'history-date-to', 'history-counterparty', 'history-asset']) {
+    const input = document.getElementById(id);
+    if (input) input.value = '';
+  }
+  _historyFilterIds.counterparty = null;
+  _historyFilterIds.asset = null;
+  await reloadHistory(accountId);
+}
+
+/**
+ * Start over from the newest page, e.g. after the operation type changed
+ */
+async function reloadHistory(accountId = _history?.accountId) {
   try {
     // Ensure API is connected
     if (!btsAPI || !btsAPI.isConnected) {
       await initializeAPI();
     }
 
-    const history = await btsAPI.getAccountHistory(accountId, 100);
+    const selected = document.getElementById('history-filter-select')?.value || 'all';
+    _history = {
+      accountId,
+      operationType: HISTORY_FILTER_OP_TYPES[selected] ?? null,
+      cursor: null,
+      done: false,
+      loading: false,
+      oldestTime: null
+    };
+    document.getElementById('history-list').replaceChildren();
+
+    // Infinite scroll: the next page loads when the end of the list comes into view
+    const end = document.getElementById('history-end');
+    if (end && !_historyEndObserver) {
+      _historyEndObserver = new IntersectionObserver((entries) => {
+        if (entries.some(entry => entry.isIntersecting)) loadMoreHistory();
+      });
+      _historyEndObserver.observe(end);
+    }
+
+    await loadMoreHistory();
+  } catch (error) {
+    console.error('Failed to load history:', error);
+  }
+}
+
+async function loadMoreHistory() {
+  const state = _history;
+  if (!state || state.loading || state.done || historyPastDateRange(state)) return;
+
+  state.loading = true;
+  updateHistoryEnd();
+  try {
+    const page = await btsAPI.getAccountHistoryPage(state.accountId, {
+      cursor: state.cursor,
+      limit: HISTORY_PAGE_SIZE,
+      operationType: state.operationType
+    });
+    if (state !== _history) return; // reloaded with other filters meanwhile
+
     const historyList = document.getElementById('history-list');
-    historyList.replaceChildren();
-    
-    for (const op of history) {
+    for (const op of page.operations) {
       const historyItem = await createHistoryItem(op);
       if (historyItem) {
         historyList.appendChild(historyItem);
       }
+      if (op.block_time) state.oldestTime = op.block_time;
     }
-    
-    if (historyList.children.length === 0) {
-      setHTML(historyList, '<div class="empty-state"><div class="empty-state-icon">📜</div><p>No transactions yet</p></div>');
-    }
+    state.cursor = page.cursor;
+    state.done = page.done;
+  } catch (error) {
+    console.error('Failed to load history:', error);
+    state.done = true;
+  } finally {
+    state.loading = false;
+  }
+  if (state !== _history) return;
+
+  applyHistoryFilters();
+  // Filters may hide a whole page; keep going while the end is still in view
+  if (historyEndInView()) await loadMoreHistory();
+}
+
+/** Older pages can't match once the loaded history reaches before the "from" date */
+function historyPastDateRange(state) {
+  const from = document.getElementById('history-date-from')?.value;
+  return Boolean(from && state.oldestTime && state.oldestTime < `${from}T00:00:00`);
+}
+
+function historyEndInView() {
+  const end = document.getElementById('history-end');
+  if (!end || end.offsetParent === null) return false;
+  return end.getBoundingClientRect().top < window.innerHeight;
+}
+
+function updateHistoryEnd(visibleCount = null) {
+  const end = document.getElementById('history-end');
+  if (!end || !_history) return;
+  const finished = _history.done || historyPastDateRange(_history);
+  const total = document.querySelectorAll('#history-list .history-item').length;
+  if (_history.loading) {
+    setHTML(end, '<p class="history-end-text">Loading…</p>');
+  } else if (finished && total === 0) {
+    setHTML(end, '<div class="empty-state"><div class="empty-state-icon">📜</div><p>No transactions yet</p></div>');
+  } else if (finished && visibleCount === 0) {
+    setHTML(end, '<div class="empty-state"><div class="empty-state-icon">🔍</div><p>No matching transactions</p></div>');
+  } else {
+    end.replaceChildren();
+  }
+}
+
+
+const TRACKED_TX_STATUS_LABELS = {
+  pending: 'Pending',
+  included: 'In block',
+  irreversible: 'Irreversible',
+  expired: 'Expired'
+};
+
+/**
+ * Show the latest broadcasts on this chain and how far they are from
+ * irreversible (kept by the service worker's transaction tracker)
+ */
+async function renderTrackedTransactions() {
+  const section = document.getElementById('tracked-tx-section');
+  const list = document.getElementById('tracked-tx-list');
+  if (!section || !list) return;
+
+  const { trackedTransactions = [] } = await chrome.storage.local.get(['trackedTransactions']);
+  const entries = trackedTransactions
+    .filter(entry => !btsAPI?.chainId || entry.chainId === btsAPI.chainId)
+    .slice(0, 5);
+
+  list.replaceChildren();
+  for (const entry of entries) {
+    const opName = entry.operations.length === 1
+      ? OPERATION_NAMES[entry.operations[0]] || 'Operation'
+      : entry.operations.length ? `${entry.operations.length} Operations` : 'Transaction';
+    const status = TRACKED_TX_STATUS_LABELS[entry.status] || entry.status;
+    const item = document.createElement('div');
+    item.className = 'tracked-tx-item';
+    item.title = entry.id;
+    setHTML(item, `
+      <div>
+        <div>${escapeHtml(opName)}</div>
+        <div class="tracked-tx-id">${escapeHtml(entry.id.slice(0, 12))}…${entry.block_num ? ` · #${entry.block_num}` : ''}</div>
+      </div>
+      <span class="tracked-tx-status ${escapeHtml(entry.status)}">${escapeHtml(status)}</span>
+    `);
+    list.appendChild(item);
+  }
+  section.style.display = entries.length ? '' : 'none';
+}
+
+/**
+ * Filter inputs on the history screen. The operation type is selected by the
+ * node (a fresh first page); date range, counterparty, asset and text search
+ * apply to the loaded rows, and more pages load while the list is short.
+ */
+async function handleHistoryFilter(event) {
+  const target = event?.target?.id;
+  if (target === 'history-filter-select') {
+    await reloadHistory();
+    return;
+  }
+  if (target === 'history-counterparty') {
+    _historyFilterIds.counterparty = await resolveHistoryFilterId(event.target.value, name => btsAPI.getAccount(name));
+  } else if (target === 'history-asset') {
+    _historyFilterIds.asset = await resolveHistoryFilterId(event.target.value.toUpperCase(), symbol => btsAPI.getAsset(symbol));
+  }
 
-    // Reset filter to 'all' when history loads
-    const filterSelect = document.getElementById('history-filter-select');
-    if (filterSelect) {
-      filterSelect.value = 'all';
+  applyHistoryFilters();
+  if (historyEndInView()) await loadMoreHistory();
+}
+
+/**
+ * Download the account's whole history (not just the loaded pages) as CSV
+ * or as a trade import for tax tools. Memos are included while unlocked.
+ */
+async function handleHistoryExport() {
+  const button = document.getElementById('history-export-btn');
+  const format = document.getElementById('history-export-format')?.value || 'csv';
+  const accountId = _history?.accountId;
+  if (!accountId || button.disabled) return;
+
+  button.disabled = true;
+  button.textContent = 'Exporting…';
+  try {
+    if (!btsAPI || !btsAPI.isConnected) {
+      await initializeAPI();
     }
+    const exporter = new HistoryExporter(btsAPI, { decryptMemo: memo => walletManager.decryptMemo(memo) });
+    const rows = await exporter.collect(accountId, {
+      onProgress: count => { button.textContent = `Exporting… ${count}`; }
+    });
+
+    const account = await btsAPI.getAccount(accountId);
+    const blob = new Blob([HistoryExporter.format(rows, format)], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `bitshares-history-${account?.name || accountId}-${format}-${new Date().toISOString().slice(0, 10)}.csv`;
+    a.click();
+    URL.revokeObjectURL(url);
+    showToast(`Exported ${rows.length} operations`, 'success');
   } catch (error) {
-    console.error('Failed to load history:', error);
+    console.error('History export failed:', error);
+    showToast('Export failed: ' + error.message, 'error');
+  } finally {
+    button.disabled = false;
+    button.textContent = 'Export';
   }
 }
 
-function handleHistoryFilter() {
-  const filterSelect = document.getElementById('history-filter-select');
+async function resolveHistoryFilterId(value, lookup) {
+  const trimmed = value.trim();
+  if (!trimmed) return null;
+  try {
+    return (await lookup(trimmed))?.id || '';
+  } catch {
+    return '';
+  }
+}
+
+function applyHistoryFilters() {
   const historyList = document.getElementById('history-list');
-  const selectedFilter = filterSelect?.value || 'all';
+  const query = document.getElementById('history-search')?.value.trim().toLowerCase() || '';
+  const from = document.getElementById('history-date-from')?.value;
+  const to = document.getElementById('history-date-to')?.value;
+  const { counterparty, asset } = _historyFilterIds;
 
   const items = historyList?.querySelectorAll('.history-item');
   if (!items) return;
 
+  // Memos are only decrypted as they scroll into view; a search needs all of them
+  if (query) {
+    decryptPendingHistoryMemos().then(count => {
+      if (count > 0) applyHistoryFilters();
+    });
+  }
+
   let visibleCount = 0;
   items.forEach(item => {
-    const opType = item.dataset.opType;
-    if (selectedFilter === 'all' || opType === selectedFilter) {
-      item.style.display = '';
-      visibleCount++;
-    } else {
-      item.style.display = 'none';
-    }
+    const { blockTime = '', counterparties = '', assets = '' } = item.dataset;
+    const matches =
+      (!from || blockTime >= `${from}T00:00:00`) &&
+      (!to || blockTime <= `${to}T23:59:59`) &&
+      (counterparty === null || counterparties.split(' ').includes(counterparty)) &&
+      (asset === null || assets.split(' ').includes(asset)) &&
+      (!query || item.textContent.toLowerCase().includes(query));
+    item.style.display = matches ? '' : 'none';
+    if (matches) visibleCount++;
   });
 
-  // Show empty state if no items match filter
-  let emptyState = historyList.querySelector('.empty-state-filter');
-  if (visibleCount === 0 && items.length > 0) {
-    if (!emptyState) {
-      emptyState = document.createElement('div');
-      emptyState.className = 'empty-state empty-state-filter';
-      setHTML(emptyState, '<div class="empty-state-icon">🔍</div><p>No matching transactions</p>');
-      historyList.appendChild(emptyState);
-    }
-    emptyState.style.display = '';
-  } else if (emptyState) {
-    emptyState.style.display = 'none';
-  }
+  updateHistoryEnd(visibleCount);
 }
 
 function handleAssetSearch() {
@@ -1511,6 +1944,14 @@ async function createHistoryItem(operation) {
     77: 'limit_order_update'
   };
   item.dataset.opType = opTypeMap[opType] || 'other';
+  item.dataset.opId = operation.id || '';
+
+  // For the date range, counterparty and asset filters
+  const refs = historyOperationRefs(opData);
+  refs.accounts.delete(currentAccount);
+  item.dataset.blockTime = operation.block_time || '';
+  item.dataset.counterparties = [...refs.accounts].join(' ');
+  item.dataset.assets = [...refs.assets].join(' ');
 
   // Operation type mapping:
   // 0 = transfer
@@ -1529,6 +1970,7 @@ async function createHistoryItem(operation) {
         <div class="history-info">
           <div class="history-type">${isSend ? 'Sent' : 'Received'}</div>
           <div class="history-date">${formatDate(operation.block_time)}</div>
+          ${opData.memo ? '<div class="history-memo" data-state="pending">🔒 Memo</div>' : ''}
           ${explorerLink(txId, blockNum)}
         </div>
         <div class="history-amount ${isSend ? 'negative' : 'positive'}">
@@ -2627,6 +3069,9 @@ async function createHistoryItem(operation) {
     }
   }
 
+  const memoEl = item.querySelector('.history-memo');
+  if (memoEl) watchHistoryMemo(memoEl, opData.memo, `${btsAPI?.chainId}:${operation.id}`);
+
   // Click the entire row to open in block explorer
   if (blockNum > 0) {
     item.style.cursor = 'pointer';
@@ -2677,6 +3122,96 @@ async function createHistoryItem(operation) {
   return item;
 }
 
+/**
+ * Account and asset ids an operation refers to (any depth)
+ */
+function historyOperationRefs(opData, refs = { accounts: new Set(), assets: new Set() }) {
+  for (const [key, value] of Object.entries(opData || {})) {
+    if (key === 'fee') continue; // every operation pays one; not what the asset filter means
+    if (typeof value === 'string') {
+      if (/^1\.2\.\d+$/.test(value)) refs.accounts.add(value);
+      else if (/^1\.3\.\d+$/.test(value) && (key === 'asset_id' || key.endsWith('asset'))) refs.assets.add(value);
+    } else if (value && typeof value === 'object') {
+      historyOperationRefs(value, refs);
+    }
+  }
+  return refs;
+}
+
+// === History Memos ===
+
+// Decrypted lazily as rows scroll into view; plaintext is dropped on lock
+const _historyMemos = new WeakMap(); // memo element → { memo, cacheKey }
+const _memoCache = new Map();        // chain id:operation id → { text } | { unreadable: true }
+let _memoObserver = null;
+
+function watchHistoryMemo(memoEl, memo, cacheKey) {
+  _historyMemos.set(memoEl, { memo, cacheKey });
+  if (!_memoObserver) {
+    _memoObserver = new IntersectionObserver((entries) => {
+      for (const entry of entries) {
+        if (!entry.isIntersecting) continue;
+        _memoObserver.unobserve(entry.target);
+        decryptHistoryMemo(entry.target);
+      }
+    });
+  }
+  _memoObserver.observe(memoEl);
+}
+
+async function decryptHistoryMemo(memoEl) {
+  const pending = _historyMemos.get(memoEl);
+  if (!pending || memoEl.dataset.state !== 'pending') return;
+
+  let result = _memoCache.get(pending.cacheKey);
+  if (!result) {
+    try {
+      const text = await walletManager.decryptMemo(pending.memo);
+      result = text === null ? { unreadable: true } : { text };
+    } catch (error) {
+      if (error.message === 'Wallet is locked') {
+        memoEl.dataset.state = 'locked';
+        memoEl.textContent = '🔒 Unlock the wallet to read this memo';
+        return;
+      }
+      console.warn('Memo decryption failed:', error.message);
+      result = { unreadable: true };
+    }
+    _memoCache.set(pending.cacheKey, result);
+  }
+
+  if (result.unreadable) {
+    memoEl.dataset.state = 'unreadable';
+    memoEl.textContent = '🔒 Encrypted memo — no key in this wallet can read it';
+  } else {
+    memoEl.dataset.state = 'decrypted';
+    memoEl.textContent = `✉ ${result.text}`;
+    memoEl.title = result.text;
+  }
+}
+
+/**
+ * Decrypt every memo not read yet (rows hidden or below the fold)
+ * @returns {Promise<number>} memos decrypted
+ */
+async function decryptPendingHistoryMemos() {
+  const memoEls = [...document.querySelectorAll('#history-list .history-memo[data-state="pending"]')];
+  for (const memoEl of memoEls) {
+    _memoObserver?.unobserve(memoEl);
+    await decryptHistoryMemo(memoEl);
+  }
+  return memoEls.length;
+}
+
+function forgetHistoryMemos() {
+  _memoCache.clear();
+  for (const memoEl of document.querySelectorAll('#history-list .history-memo')) {
+    memoEl.dataset.state = 'locked';
+    memoEl.textContent = '🔒 Unlock the wallet to read this memo';
+    memoEl.removeAttribute('title');
+  }
+}
+
 function formatDate(dateStr) {
   const date = new Date(dateStr);
   return date.toLocaleDateString() + ' ' + date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
@@ -2844,7 +3379,7 @@ async function checkSiteConnectionForCurrentTab(accountId) {
       }
 
       // Show network notice on the modal
-      const networkLabel2 = network === 'testnet' ? 'BitShares Testnet' : 'BitShares Mainnet';
+      const networkLabel2 = getNetworkName(network);
       const noticeEl2 = document.getElementById('dapp-connect-network');
       if (noticeEl2) noticeEl2.textContent = `This approval is only valid for ${networkLabel2}.`;
 
@@ -2874,18 +3409,26 @@ async function checkSiteConnectionForCurrentTab(accountId) {
 async function handleAddAccount() {
   const accountName = document.getElementById('add-account-name')?.value?.trim();
   const watchOnly = document.getElementById('add-account-watch-only')?.checked || false;
+  const fromWif = !watchOnly && document.getElementById('add-account-key-source')?.value === 'wif';
   const btsPassword = document.getElementById('add-account-password')?.value;
+  const wifs = wifLines(document.getElementById('add-account-wif')?.value);
   const walletPassword = document.getElementById('add-account-wallet-password')?.value;
   const skipVerify = document.getElementById('add-account-skip-verify')?.checked || false;
 
-  if (!accountName) {
+  // With private keys, the account name is optional: the keys find their accounts
+  if (!accountName && !fromWif) {
     showToast('Please enter an account name', 'error');
     return;
   }
 
   // Watch-only accounts don't need passwords
   if (!watchOnly) {
-    if (!btsPassword) {
+    if (fromWif && wifs.length === 0) {
+      showToast('Please enter at least one private key', 'error');
+      return;
+    }
+
+    if (!fromWif && !btsPassword) {
       showToast('Please enter the BitShares password', 'error');
       return;
     }
@@ -2900,8 +3443,11 @@ async function handleAddAccount() {
     showToast('Verifying account...', 'info');
 
     const network = document.getElementById('network-select')?.value || 'mainnet';
+    let added = null;
     if (watchOnly) {
       await walletManager.addWatchOnlyAccount(accountName, network);
+    } else if (fromWif) {
+      added = await walletManager.addAccountByWif(wifs, walletPassword, network, accountName || null);
     } else {
       const keyPrefix = getKeyPrefix(network);
       await walletManager.addAccountByCredentials(accountName, btsPassword, walletPassword, skipVerify, keyPrefix, network);
@@ -2910,13 +3456,18 @@ async function handleAddAccount() {
     // Clear form
     document.getElementById('add-account-name').value = '';
     document.getElementById('add-account-password').value = '';
+    document.getElementById('add-account-wif').value = '';
     document.getElementById('add-account-wallet-password').value = '';
     document.getElementById('add-account-status').textContent = '';
     document.getElementById('add-account-skip-verify').checked = false;
     document.getElementById('add-account-watch-only').checked = false;
     document.getElementById('add-account-keys-section').style.display = 'block';
 
-    showToast(watchOnly ? 'Watch-only account added!' : 'Account added successfully!', 'success');
+    if (added) {
+      showToast(`Added ${added.map(a => a.name).join(', ')}`, 'success');
+    } else {
+      showToast(watchOnly ? 'Watch-only account added!' : 'Account added successfully!', 'success');
+    }
     await loadDashboard();
     showScreen('dashboard-screen');
   } catch (error) {
@@ -2962,6 +3513,8 @@ async function loadAccountsList() {
     const account = accounts[i];
     const accountNetwork = account.network || 'mainnet';
     const isCurrentNetwork = accountNetwork === network;
+    const nextNetwork = nextNetworkId(accountNetwork);
+    const networkLabel = _networks.has(accountNetwork) ? networkInfo(accountNetwork).label : accountNetwork;
     const item = document.createElement('div');
     item.className = `account-item${account.isActive && isCurrentNetwork ? ' active' : ''}${account.watchOnly ? ' watch-only' : ''}${!isCurrentNetwork ? ' other-network' : ''}`;
     setHTML(item, `
@@ -2970,7 +3523,7 @@ async function loadAccountsList() {
         <div class="account-item-name">${escapeHtml(account.name)}</div>
         <div class="account-item-id">${escapeHtml(account.id)}</div>
         <div class="account-item-chips">
-          <button class="account-net-chip ${accountNetwork === 'testnet' ? 'testnet' : 'mainnet'}" data-id="${escapeHtml(account.id)}" data-network="${escapeHtml(accountNetwork)}" title="Move to ${accountNetwork === 'mainnet' ? 'Testnet' : 'Mainnet'}">${accountNetwork === 'testnet' ? 'Testnet' : 'Mainnet'}</button>${account.isActive && isCurrentNetwork ? '<span class="account-badge">Active</span>' : ''}${account.watchOnly ? '<span class="account-badge watch-only">Watch Only</span>' : ''}
+          <button class="account-net-chip ${networkClass(accountNetwork)}" data-id="${escapeHtml(account.id)}" data-network="${escapeHtml(nextNetwork)}" title="Move to ${escapeHtml(networkInfo(nextNetwork).label)}">${escapeHtml(networkLabel)}</button>${account.isActive && isCurrentNetwork ? '<span class="account-badge">Active</span>' : ''}${account.watchOnly ? '<span class="account-badge watch-only">Watch Only</span>' : ''}${partialKeysBadge(account)}
         </div>
       </div>
       <div class="account-item-actions">
@@ -2982,14 +3535,14 @@ async function loadAccountsList() {
     jdenticonUpdateSvg(item.querySelector('.account-item-avatar'), hashes[i]);
   }
 
-  // Network chip: click to move account between mainnet and testnet
+  // Network chip: click to move account to the next network
   accountsList.querySelectorAll('.account-net-chip').forEach(btn => {
     btn.addEventListener('click', async () => {
-      const newNetwork = btn.dataset.network === 'mainnet' ? 'testnet' : 'mainnet';
+      const newNetwork = btn.dataset.network;
       await walletManager.updateAccountNetwork(btn.dataset.id, newNetwork);
       await loadAccountsList();
       await loadDashboard();
-      showToast(`Account moved to ${newNetwork}`, 'success');
+      showToast(`Account moved to ${getNetworkName(newNetwork)}`, 'success');
     });
   });
 
@@ -3152,6 +3705,30 @@ function handleWatchOnlyToggle(e) {
   }
 }
 
+// === Private Key (WIF) Accounts ===
+
+// WIF keys from a textarea, one per line (spaces and commas also separate)
+function wifLines(text) {
+  return (text || '').split(/[\s,]+/).filter(Boolean);
+}
+
+function handleKeySourceChange(e) {
+  const fromWif = e.target.value === 'wif';
+  document.getElementById('add-account-wif-group').style.display = fromWif ? '' : 'none';
+  document.getElementById('add-account-password-group').style.display = fromWif ? 'none' : '';
+  document.getElementById('add-account-skip-verify-group').style.display = fromWif ? 'none' : '';
+}
+
+// Badge naming the authorities an account's keys hold, when not all of them
+function partialKeysBadge(account) {
+  const authorities = account.authorities;
+  if (!authorities || account.watchOnly || ['owner', 'active', 'memo'].every(role => authorities.includes(role))) {
+    return '';
+  }
+  const label = authorities.map(role => role[0].toUpperCase() + role.slice(1)).join(' + ');
+  return `<span class="account-badge partial-keys" title="This wallet holds only these keys">${escapeHtml(label)}</span>`;
+}
+
 // === Send Flow ===
 
 let recipientCheckTimeout;
@@ -3192,12 +3769,13 @@ async function handleMaxAmount() {
     return;
   }
 
-  // When the send asset is the same as the fee asset (BTS), subtract the fee
+  // When the send asset is the same as the fee asset, subtract the fee
   const assetId = document.getElementById('send-asset')?.value || '1.3.0';
-  if (assetId === '1.3.0') {
+  const feeAssetId = document.getElementById('send-fee-asset')?.value || '1.3.0';
+  if (assetId === feeAssetId) {
     try {
       const fee = btsAPI && btsAPI.isConnected
-        ? await btsAPI.getOperationFee('transfer')
+        ? await btsAPI.getOperationFee('transfer', feeAssetId)
         : null;
       const feeAmount = fee ? fee.amount / Math.pow(10, fee.precision) : 0.01;
       amount = Math.max(0, amount - feeAmount);
@@ -3207,7 +3785,7 @@ async function handleMaxAmount() {
         return;
       }
       const _feeNetwork = document.getElementById('network-select')?.value || 'mainnet';
-      showToast(`Network fee (${feeAmount} ${getCoreSymbol(_feeNetwork)}) reserved from max amount`, 'info');
+      showToast(`Network fee (${feeAmount} ${fee?.symbol || getCoreSymbol(_feeNetwork)}) reserved from max amount`, 'info');
     } catch (_) {
       // If fee lookup fails, deduct a safe default
       amount = Math.max(0, amount - 0.01);
@@ -3257,12 +3835,13 @@ async function handleConfirmTransaction() {
   const amount = document.getElementById('send-amount')?.value;
   const memo = document.getElementById('send-memo')?.value;
   const assetId = document.getElementById('send-asset')?.value || '1.3.0';
+  const feeAssetId = document.getElementById('send-fee-asset')?.value || '1.3.0';
 
   try {
     hideModal('tx-confirm-modal');
     showToast('Signing transaction...', 'info');
 
-    const result = await walletManager.sendTransfer(to, amount, assetId, memo);
+    const result = await walletManager.sendTransfer(to, amount, assetId, memo, false, null, feeAssetId);
 
     if (result.success) {
       showToast('Transaction sent successfully!', 'success');
@@ -3393,6 +3972,96 @@ async function loadSendAssets() {
   }
 }
 
+// ── Fee Asset ────────────────────────────────────────────────────────────────
+// Fees can be paid in any asset with a core exchange rate: the node charges the
+// asset at that rate and pays the core fee out of the asset's fee pool. Each
+// "Pay fee in" <select> shows its screen's fee converted into the chosen asset.
+
+const FEE_ASSET_SELECTS = [
+  'send-fee-asset', 'swap-fee-asset', 'transfer-fee-asset',
+  'tx-sign-fee-asset', 'dapp-swap-fee-asset', 'limit-order-fee-asset', 'dapp-vote-fee-asset',
+  'trade-fee-asset', 'position-fee-asset', 'settle-fee-asset', 'bid-fee-asset'
+];
+const _feeAssetSelects = new Map(); // selectId → { feeId, warningId, coreFee }
+
+/**
+ * Fill a fee-asset <select> with the core asset plus every asset the current
+ * account holds, then show the fee. `coreFee` is in core base units;
+ * `preferred` (id or symbol, e.g. a dApp's fee_asset) is preselected when held.
+ */
+async function setupFeeAssetSelect(selectId, { feeId, warningId, coreFee, preferred = '1.3.0' }) {
+  const select = document.getElementById(selectId);
+  if (!select) return null;
+  _feeAssetSelects.set(selectId, { feeId, warningId, coreFee });
+
+  const network = document.getElementById('network-select')?.value || 'mainnet';
+  let html = `<option value="1.3.0">${escapeHtml(getCoreSymbol(network))}</option>`;
+  let selected = '1.3.0';
+  try {
+    const account = await walletManager.getCurrentAccount();
+    const balances = account?.id ? await btsAPI.getAccountBalances(account.id) : [];
+    for (const balance of balances) {
+      if (balance.asset_id === '1.3.0' || parseInt(balance.amount) <= 0) continue;
+      const asset = await btsAPI.getAsset(balance.asset_id);
+      if (!asset) continue;
+      html += `<option value="${escapeHtml(asset.id)}">${escapeHtml(asset.symbol)}</option>`;
+      if (preferred === asset.id || preferred === asset.symbol) selected = asset.id;
+    }
+  } catch (error) {
+    console.error('Failed to load fee assets:', error);
+  }
+  setHTML(select, html);
+  select.value = selected;
+
+  return updateFeeAssetDisplay(selectId);
+}
+
+/**
+ * Empty a fee-asset <select> so an approval cannot pick up the previous
+ * request's choice; the service worker then uses the dApp's fee_asset or core.
+ */
+function clearFeeAssetSelect(selectId) {
+  _feeAssetSelects.delete(selectId);
+  setHTML(document.getElementById(selectId), '');
+  const warningId = selectId.replace(/-asset$/, '-warning');
+  const warningEl = document.getElementById(warningId);
+  if (warningEl) warningEl.style.display = 'none';
+}
+
+/**
+ * Show the fee in the asset picked in `selectId`, with a warning when that
+ * asset's fee pool cannot cover it.
+ * @returns {Promise<object|null>} the converted fee from btsAPI.getFeeInAsset
+ */
+async function updateFeeAssetDisplay(selectId) {
+  const config = _feeAssetSelects.get(selectId);
+  const select = document.getElementById(selectId);
+  if (!config || !select) return null;
+
+  const feeEl = document.getElementById(config.feeId);
+  const warningEl = document.getElementById(config.warningId);
+  const warn = (text) => {
+    if (!warningEl) return;
+    warningEl.textContent = text;
+    warningEl.style.display = '';
+  };
+  if (warningEl) warningEl.style.display = 'none';
+  if (!btsAPI || !btsAPI.isConnected || config.coreFee === null || config.coreFee === undefined) return null;
+
+  try {
+    const fee = await btsAPI.getFeeInAsset(config.coreFee, select.value || '1.3.0');
+    if (feeEl) feeEl.textContent = fee.formatted;
+    if (!fee.poolSufficient) {
+      warn(`The ${fee.symbol} fee pool is too low to pay this fee — choose another fee asset.`);
+    }
+    return fee;
+  } catch (error) {
+    console.error('Fee conversion error:', error);
+    warn(error.message);
+    return null;
+  }
+}
+
 // ── Asset Picker ─────────────────────────────────────────────────────────────
 // Upgrades a native <select> to a logo-aware custom dropdown.
 // All existing code that reads/writes the <select> continues to work unchanged;
@@ -3551,6 +4220,7 @@ async function loadTransferFee() {
     const fee = await btsAPI.getOperationFee('transfer');
     if (fee) {
       feeDisplay.textContent = fee.formatted;
+      await setupFeeAssetSelect('send-fee-asset', { feeId: 'tx-fee', warningId: 'send-fee-warning', coreFee: fee.coreAmount });
     } else {
       feeDisplay.textContent = '~0.01000 BTS';
     }
@@ -3562,6 +4232,7 @@ async function loadTransferFee() {
 
 async function handleShowHistory() {
   showScreen('history-screen');
+  renderTrackedTransactions();
   // Refresh history when opening the screen
   try {
     const account = await walletManager.getCurrentAccount();
@@ -3624,13 +4295,13 @@ async function handleReceiveAccountChange() {
 // === Network ===
 
 function updateNetworkBadges(network) {
-  const label = network === 'testnet' ? 'Testnet' : 'Mainnet';
+  const label = networkInfo(network).label;
   const ids = ['create-wallet-network-badge', 'import-wallet-network-badge'];
   for (const id of ids) {
     const el = document.getElementById(id);
     if (!el) continue;
     el.textContent = label;
-    el.className = `network-badge ${network}`;
+    el.className = `network-badge ${networkClass(network)}`;
   }
 }
 
@@ -3644,12 +4315,10 @@ async function handleNetworkChange(e) {
 
   // Refresh active explorer URL for the new network
   const exResult = await chrome.storage.local.get(['explorerUrl', 'explorerUrlTestnet']);
-  _explorerUrl = network === 'testnet'
-    ? (exResult.explorerUrlTestnet ?? DEFAULT_EXPLORER_TESTNET).replace(/\/+$/, '')
-    : (exResult.explorerUrl || DEFAULT_EXPLORER_MAINNET).replace(/\/+$/, '');
+  _explorerUrl = explorerUrlFor(network, exResult);
 
   try {
-    showToast(`Switching to ${network}...`, 'info');
+    showToast(`Switching to ${getNetworkName(network)}...`, 'info');
 
     // Disconnect current connection
     if (btsAPI) {
@@ -3660,7 +4329,7 @@ async function handleNetworkChange(e) {
     await initializeAPI();
     await loadDashboard();
 
-    showToast(`Connected to ${network}`, 'success');
+    showToast(`Connected to ${getNetworkName(network)}`, 'success');
   } catch (error) {
     console.error('Network switch error:', error);
     showToast('Failed to switch network', 'error');
@@ -3697,6 +4366,35 @@ async function handleResetWallet() {
 async function handleShowSettings() {
   showScreen('settings-screen');
   await loadAutolockSetting();
+  await loadNotificationPreferences();
+}
+
+// === Notification Preferences ===
+
+/**
+ * Show the current account's notification choices (kept per account)
+ */
+async function loadNotificationPreferences() {
+  const account = await walletManager.getCurrentAccount();
+  const group = document.getElementById('notification-settings');
+  if (!group) return;
+  group.style.display = account?.id ? '' : 'none';
+  if (!account?.id) return;
+
+  document.getElementById('notification-account').textContent = account.name;
+  const stored = (await chrome.storage.local.get([NOTIFICATION_PREFERENCES_KEY]))[NOTIFICATION_PREFERENCES_KEY];
+  const preferences = notificationPreferences(stored, account.id);
+  group.querySelectorAll('input[data-kind]').forEach(input => {
+    input.checked = preferences[input.dataset.kind];
+  });
+}
+
+async function handleNotificationPreferenceChange(e) {
+  const account = await walletManager.getCurrentAccount();
+  if (!account?.id) return;
+  const stored = (await chrome.storage.local.get([NOTIFICATION_PREFERENCES_KEY]))[NOTIFICATION_PREFERENCES_KEY] || {};
+  stored[account.id] = { ...notificationPreferences(stored, account.id), [e.target.dataset.kind]: e.target.checked };
+  await chrome.storage.local.set({ [NOTIFICATION_PREFERENCES_KEY]: stored });
 }
 
 async function handleShowExplorer() {
@@ -3738,7 +4436,7 @@ async function loadExplorerUrl() {
   if (testnetInput) testnetInput.value = testnetUrl;
 
   const network = document.getElementById('network-select')?.value || 'mainnet';
-  _explorerUrl = network === 'testnet' ? testnetUrl : mainnetUrl;
+  _explorerUrl = explorerUrlFor(network, result);
 }
 
 async function handleSaveExplorerUrl() {
@@ -3764,7 +4462,7 @@ async function handleSaveExplorerUrl() {
   if (mainnetInput) mainnetInput.value = mainnetUrl;
 
   const network = document.getElementById('network-select')?.value || 'mainnet';
-  _explorerUrl = network === 'testnet' ? testnetUrl : mainnetUrl;
+  _explorerUrl = explorerUrlFor(network, { explorerUrl: mainnetUrl, explorerUrlTestnet: testnetUrl });
 
   showToast('Explorer URLs saved', 'success');
 }
@@ -3778,7 +4476,7 @@ async function handleResetExplorerUrl() {
   if (testnetInput) testnetInput.value = DEFAULT_EXPLORER_TESTNET;
 
   const network = document.getElementById('network-select')?.value || 'mainnet';
-  _explorerUrl = network === 'testnet' ? DEFAULT_EXPLORER_TESTNET : DEFAULT_EXPLORER_MAINNET;
+  _explorerUrl = explorerUrlFor(network);
 
   showToast('Explorers reset to defaults', 'success');
 }
@@ -3801,65 +4499,157 @@ function explorerLink(txId, blockNum) {
   return '';
 }
 
-// === Node Management ===
-
-// Default nodes list
-const DEFAULT_NODES = {
-  mainnet: [
-    'wss://node.xbts.io/ws',
-    'wss://cloud.xbts.io/ws',
-    'wss://public.xbts.io/ws',
-    'wss://btsws.roelandp.nl/ws',
-    'wss://dex.iobanker.com/ws',
-    'wss://api.bitshares.dev/ws'
-  ],
-  testnet: [
-    'wss://testnet.xbts.io/ws',
-    'wss://testnet.dex.trading/'
-  ]
-};
-
-// Node status cache
-let nodeStatuses = new Map();
+// === Network Management ===
 
-async function handleShowNodes() {
-  showScreen('nodes-screen');
-  await loadNodesList();
-  updateCurrentNodeDisplay();
+function handleShowNetworks() {
+  showScreen('networks-screen');
+  loadNetworksList();
 }
 
-function updateCurrentNodeDisplay() {
-  const currentNodeEl = document.getElementById('current-node-display');
-  const latencyEl = document.getElementById('node-latency');
+function loadNetworksList() {
+  const networksList = document.getElementById('networks-list');
+  if (!networksList) return;
+  const current = document.getElementById('network-select')?.value || 'mainnet';
+  networksList.replaceChildren();
 
-  if (btsAPI && btsAPI.currentNode) {
-    currentNodeEl.textContent = btsAPI.currentNode;
-    const status = nodeStatuses.get(btsAPI.currentNode);
-    if (status && status.latency) {
-      latencyEl.textContent = `Latency: ${status.latency}ms`;
-    } else {
-      latencyEl.textContent = 'Connected';
-    }
-  } else {
-    currentNodeEl.textContent = 'Not connected';
-    latencyEl.textContent = '';
+  for (const network of _networks.values()) {
+    const item = document.createElement('div');
+    item.className = `node-item${network.id === current ? ' active' : ''}`;
+    const chain = network.chainId ? ` · Chain: ${network.chainId.slice(0, 8)}…` : '';
+    setHTML(item, `
+      <div class="node-info">
+        <div class="node-url">${escapeHtml(network.name)}</div>
+        <div class="node-status unknown">${escapeHtml(`${network.keyPrefix} keys · ${network.coreSymbol}${chain}`)}</div>
+      </div>
+      <div class="node-actions-inline">
+        ${network.custom ? `<button class="node-btn remove" title="Remove network" data-network="${escapeHtml(network.id)}">✕</button>` : ''}
+      </div>
+    `);
+    networksList.appendChild(item);
   }
-}
-
-async function loadNodesList() {
-  const nodesList = document.getElementById('nodes-list');
-  nodesList.replaceChildren();
 
-  const network = document.getElementById('network-select')?.value || 'mainnet';
+  networksList.querySelectorAll('.node-btn.remove').forEach(btn => {
+    btn.addEventListener('click', () => handleRemoveNetwork(btn.dataset.network));
+  });
+}
+
+/**
+ * Add a user-defined network from the form. Its nodes are contacted first:
+ * one must answer on the given chain id (or supply it when left empty) and
+ * use the given key prefix.
+ */
+async function handleAddNetwork() {
+  const value = (id) => (document.getElementById(id)?.value || '').trim();
+  const name = value('network-name');
+  let network;
+  try {
+    network = validateCustomNetwork({
+      id: networkIdFromName(name),
+      name,
+      nodes: value('network-nodes').split(/\s+/),
+      chainId: value('network-chain-id') || null,
+      keyPrefix: value('network-key-prefix').toUpperCase(),
+      coreSymbol: value('network-core-symbol'),
+      faucetUrl: value('network-faucet-url'),
+      explorerUrl: value('network-explorer-url')
+    });
+  } catch (error) {
+    showToast(error.message, 'error');
+    return;
+  }
+  if (_networks.has(network.id)) {
+    showToast(`A network named "${name}" already exists`, 'error');
+    return;
+  }
+
+  const btn = document.getElementById('btn-add-network');
+  btn.disabled = true;
+  showToast('Checking network nodes…', 'info');
+  const api = new BitSharesAPI(network.nodes, { chainId: network.chainId });
+  try {
+    try {
+      await api.connect();
+    } catch {
+      throw new Error(network.chainId ? 'No node answered on that chain ID' : 'No node answered');
+    }
+    if (api.keyPrefix !== network.keyPrefix) {
+      throw new Error(`The nodes use key prefix ${api.keyPrefix}, not ${network.keyPrefix}`);
+    }
+    await saveCustomNetwork({ ...network, chainId: api.chainId });
+    await loadNetworks();
+    loadNetworksList();
+    for (const id of ['network-name', 'network-nodes', 'network-chain-id', 'network-key-prefix',
+      'network-core-symbol', 'network-faucet-url', 'network-explorer-url']) {
+      document.getElementById(id).value = '';
+    }
+    showToast(`${network.name} added — select it in the network menu`, 'success');
+  } catch (error) {
+    showToast('Failed to add network: ' + error.message, 'error');
+  } finally {
+    btn.disabled = false;
+    api.disconnect().catch(() => {});
+  }
+}
+
+async function handleRemoveNetwork(id) {
+  const name = getNetworkName(id);
+  if (!confirm(`Remove ${name}? Its accounts stay in the wallet and can be moved to another network.`)) return;
+
+  await removeCustomNetwork(id);
+  const networkSelect = document.getElementById('network-select');
+  const wasSelected = networkSelect?.value === id;
+  await loadNetworks();
+  if (wasSelected) {
+    // loadNetworks() fell back to mainnet; connect to it
+    networkSelect.dispatchEvent(new Event('change'));
+  }
+  loadNetworksList();
+  showToast(`${name} removed`, 'info');
+}
+
+// === Node Management ===
+
+// Node status cache
+let nodeStatuses = new Map();
+
+async function handleShowNodes() {
+  showScreen('nodes-screen');
+  await loadNodesList();
+  updateCurrentNodeDisplay();
+}
+
+function updateCurrentNodeDisplay() {
+  const currentNodeEl = document.getElementById('current-node-display');
+  const latencyEl = document.getElementById('node-latency');
+
+  if (btsAPI && btsAPI.currentNode) {
+    currentNodeEl.textContent = btsAPI.currentNode;
+    const status = nodeStatuses.get(btsAPI.currentNode);
+    if (status && status.latency) {
+      latencyEl.textContent = `Latency: ${status.latency}ms`;
+    } else {
+      latencyEl.textContent = 'Connected';
+    }
+  } else {
+    currentNodeEl.textContent = 'Not connected';
+    latencyEl.textContent = '';
+  }
+}
+
+async function loadNodesList() {
+  const nodesList = document.getElementById('nodes-list');
+  nodesList.replaceChildren();
+
+  const network = document.getElementById('network-select')?.value || 'mainnet';
 
   // Update network label in header
   const networkLabel = document.getElementById('nodes-network-label');
   if (networkLabel) {
-    networkLabel.textContent = network === 'testnet' ? 'Testnet Nodes' : 'Mainnet Nodes';
+    networkLabel.textContent = `${networkInfo(network).label} Nodes`;
   }
 
   // Get nodes for the current network only
-  const defaultNodes = DEFAULT_NODES[network] || DEFAULT_NODES.mainnet;
+  const defaultNodes = networkInfo(network).nodes;
   const savedNodes = await getSavedNodesForNetwork(network);
   const allNodes = [...new Set([...defaultNodes, ...savedNodes])];
 
@@ -3975,7 +4765,7 @@ async function handleAddNode() {
   }
 
   const network = document.getElementById('network-select')?.value || 'mainnet';
-  const defaultNodes = DEFAULT_NODES[network] || DEFAULT_NODES.mainnet;
+  const defaultNodes = networkInfo(network).nodes;
   const savedNodes = await getSavedNodesForNetwork(network);
   if (savedNodes.includes(nodeUrl) || defaultNodes.includes(nodeUrl)) {
     showToast('Node already exists', 'error');
@@ -4026,7 +4816,8 @@ async function handleConnectToNode(nodeUrl) {
       await btsAPI.disconnect();
     }
 
-    btsAPI = new BitSharesAPI([nodeUrl]);
+    const network = document.getElementById('network-select')?.value || 'mainnet';
+    btsAPI = new BitSharesAPI([nodeUrl], { chainId: networkInfo(network).chainId });
     await btsAPI.connect();
 
     updateCurrentNodeDisplay();
@@ -4074,7 +4865,7 @@ async function handleTestAllNodes() {
   showToast('Testing all nodes...', 'info');
 
   const network = document.getElementById('network-select')?.value || 'mainnet';
-  const defaultNodes = DEFAULT_NODES[network] || DEFAULT_NODES.mainnet;
+  const defaultNodes = networkInfo(network).nodes;
   const savedNodes = await getSavedNodesForNetwork(network);
   const allNodes = [...new Set([...defaultNodes, ...savedNodes])];
 
@@ -4093,7 +4884,7 @@ async function handleTestAllNodes() {
 
 async function handleResetNodes() {
   const network = document.getElementById('network-select')?.value || 'mainnet';
-  const networkLabel = network === 'testnet' ? 'testnet' : 'mainnet';
+  const networkLabel = getNetworkName(network);
   if (confirm(`Reset to default ${networkLabel} nodes? Custom nodes for this network will be removed.`)) {
     await saveCustomNodesForNetwork(network, []);
     nodeStatuses.clear();
@@ -4114,7 +4905,7 @@ async function loadConnectionsList() {
   const network = document.getElementById('network-select')?.value || 'mainnet';
 
   // Show current network + chain ID at top of screen
-  const networkLabel = network === 'testnet' ? 'BitShares Testnet' : 'BitShares Mainnet';
+  const networkLabel = getNetworkName(network);
   const chainId = btsAPI?.chainId || '';
   const chainDisplay = chainId ? ` · Chain: ${chainId.slice(0, 8)}…${chainId.slice(-8)}` : '';
   const networkInfoEl = document.getElementById('connections-network-info');
@@ -4217,168 +5008,1577 @@ async function loadNetworkFees() {
   }
 }
 
-// === Copy Functions ===
+// === Governance Voting ===
+
+const VOTE_TYPE_LABELS = { 0: 'committee', 1: 'witness', 2: 'worker' };
+
+let votingState = {
+  account: null,
+  candidates: null,
+  selected: new Set(),
+  original: new Set(),
+  originalProxy: '',
+  core: null,
+  tab: 'witnesses'
+};
+
+async function handleShowVoting() {
+  showScreen('voting-screen');
+  await loadVotingScreen();
+}
+
+async function loadVotingScreen() {
+  const list = document.getElementById('voting-list');
+  const saveBtn = document.getElementById('btn-save-votes');
+
+  if (!btsAPI || !btsAPI.isConnected) {
+    setHTML(list, '<div class="fee-item error"><span class="fee-name">Not connected to network</span></div>');
+    return;
+  }
+
+  setHTML(list, '<div class="fee-item loading"><span class="fee-name">Loading candidates...</span></div>');
 
-async function handleCopyReceiveAccount() {
-  const selector = document.getElementById('receive-account-selector');
-  let accountName = selector?.options[selector.selectedIndex]?.text;
-  // Strip "(Watch Only)" suffix if present
-  accountName = accountName?.replace(/ \(Watch Only\)$/, '') || '';
   try {
-    await navigator.clipboard.writeText(accountName);
-    showToast('Account name copied!', 'success');
+    const account = await walletManager.getCurrentAccount();
+    const chainAccount = await btsAPI.refreshAccount(account.id);
+    if (!chainAccount) throw new Error('Account not found on chain');
+
+    const votes = chainAccount.options?.votes || [];
+    const proxyId = chainAccount.options?.voting_account || '1.2.5';
+    const proxyName = proxyId === '1.2.5' ? '' : ((await btsAPI.getAccount(proxyId))?.name || proxyId);
+
+    votingState = {
+      ...votingState,
+      account,
+      candidates: await btsAPI.getVotingCandidates(votes),
+      selected: new Set(votes),
+      original: new Set(votes),
+      originalProxy: proxyName,
+      core: await btsAPI.getAsset('1.3.0')
+    };
+
+    document.getElementById('voting-account-label').textContent = account.watchOnly
+      ? `${account.name} is watch-only — votes can be viewed but not changed.`
+      : `Voting as ${account.name}`;
+    document.getElementById('voting-proxy').value = proxyName;
+    if (saveBtn) saveBtn.disabled = !!account.watchOnly;
+
+    renderVotingList();
   } catch (error) {
-    showToast('Failed to copy', 'error');
+    console.error('Error loading voting candidates:', error);
+    setHTML(list, '<div class="fee-item error"><span class="fee-name">Error loading candidates</span></div>');
   }
 }
 
-// === dApp Connection ===
+// Vote weight is in core-asset base units; show it compactly (e.g. 12.3M BTS)
+function formatVoteWeight(totalVotes) {
+  const core = votingState.core;
+  const value = Number(totalVotes || 0) / Math.pow(10, core?.precision ?? 5);
+  const compact = new Intl.NumberFormat('en-US', { notation: 'compact', maximumFractionDigits: 1 }).format(value);
+  return `${compact} ${core?.symbol || 'BTS'}`;
+}
 
-let pendingDappRequest = null;
+function renderVotingList() {
+  const list = document.getElementById('voting-list');
+  const entries = votingState.candidates?.[votingState.tab];
+  if (!list || !entries) return;
 
-// === Background Message Handler ===
+  if (entries.length === 0) {
+    setHTML(list, '<div class="fee-item"><span class="fee-name">No candidates found</span></div>');
+    updateVotingSummary();
+    return;
+  }
 
-function handleBackgroundMessage(message, sender, sendResponse) {
-  switch (message.type) {
-    case 'DAPP_CONNECTION_REQUEST':
-      pendingDappRequest = message;
-      document.getElementById('dapp-name').textContent = message.origin;
-      document.getElementById('dapp-origin').textContent = message.origin;
-      showModal('dapp-connect-modal');
-      break;
-      
-    case 'SIGN_TRANSACTION_REQUEST':
-      handleSignTransactionRequest(message);
-      break;
-      
-    case 'LOCK_WALLET':
-      handleLock();
-      break;
+  setHTML(list, entries.map(c => {
+    const voted = votingState.selected.has(c.vote_id);
+    const meta = votingState.tab === 'workers'
+      ? `${c.vote_id} · ${c.owner || ''} · ${formatVoteWeight(c.total_votes)}`
+      : `${c.vote_id} · ${formatVoteWeight(c.total_votes)}`;
+    return `<label class="vote-item${voted ? ' voted' : ''}">
+      <input type="checkbox" data-vote-id="${escapeHtml(c.vote_id)}" ${voted ? 'checked' : ''}>
+      <div class="vote-item-info">
+        <div class="vote-item-name">${escapeHtml(c.name)}</div>
+        <div class="vote-item-meta">${escapeHtml(meta)}</div>
+      </div>
+    </label>`;
+  }).join(''));
+
+  list.querySelectorAll('input[data-vote-id]').forEach(input => {
+    input.addEventListener('change', () => {
+      const voteId = input.dataset.voteId;
+      if (input.checked) votingState.selected.add(voteId);
+      else votingState.selected.delete(voteId);
+      input.closest('.vote-item')?.classList.toggle('voted', input.checked);
+      updateVotingSummary();
+    });
+  });
+
+  updateVotingSummary();
+}
+
+function updateVotingSummary() {
+  const proxy = document.getElementById('voting-proxy')?.value.trim() || '';
+  const notice = document.getElementById('voting-proxy-notice');
+  if (notice) notice.style.display = proxy ? 'block' : 'none';
+
+  const selected = [...votingState.selected];
+  const count = (type) => selected.filter(v => v.startsWith(`${type}:`)).length;
+  const added = selected.filter(v => !votingState.original.has(v)).length;
+  const removed = [...votingState.original].filter(v => !votingState.selected.has(v)).length;
+
+  const summary = document.getElementById('voting-summary');
+  if (summary) {
+    let text = `${count(1)} witnesses · ${count(0)} committee · ${count(2)} workers`;
+    if (added || removed) text += ` (+${added} / −${removed})`;
+    summary.textContent = text;
   }
 }
 
-async function handleSignTransactionRequest(message) {
-  if (isLocked) {
-    showScreen('unlock-screen');
+async function handleSaveVotes() {
+  const account = votingState.account;
+  if (!account || account.watchOnly) return;
+
+  const proxy = document.getElementById('voting-proxy').value.trim();
+  const proxyChanged = proxy !== votingState.originalProxy;
+  const votesChanged = votingState.selected.size !== votingState.original.size ||
+    [...votingState.selected].some(v => !votingState.original.has(v));
+
+  if (!proxyChanged && !votesChanged) {
+    showToast('No changes to save', 'info');
     return;
   }
 
-  // Show transaction confirmation UI
-  // This would parse the transaction and display it for user approval
-  showToast('Transaction signing request received', 'info');
+  const btn = document.getElementById('btn-save-votes');
+  btn.disabled = true;
+  try {
+    showToast('Updating votes...', 'info');
+    const params = { votes: [...votingState.selected] };
+    if (proxyChanged) params.proxy = proxy || null;
+    await walletManager.updateVotes(params, account.id);
+    showToast('Votes updated!', 'success');
+    await loadVotingScreen();
+  } catch (error) {
+    console.error('Vote update error:', error);
+    showToast('Vote update failed: ' + error.message, 'error');
+  } finally {
+    btn.disabled = false;
+  }
 }
 
-// Show indicator on unlock screen when there's a pending approval
-async function showPendingApprovalIndicator() {
+/**
+ * Describe what a dApp vote request changes, relative to the account's current
+ * on-chain votes, as op-detail rows for the approval modal.
+ */
+async function renderVoteRequestDetails(params, account) {
+  const rows = [];
   try {
-    const result = await chrome.storage.local.get(['pendingApproval']);
-    const unlockScreen = document.getElementById('unlock-screen');
-    let indicator = document.getElementById('pending-approval-indicator');
+    const chainAccount = await btsAPI.refreshAccount(account.id);
+    const current = new Set(chainAccount?.options?.votes || []);
 
-    // If no pending approval, remove indicator if it exists
-    if (!result.pendingApproval) {
-      if (indicator) {
-        indicator.remove();
-      }
-      return;
+    let added, removed;
+    if (Array.isArray(params.votes)) {
+      added = params.votes.filter(v => !current.has(v));
+      removed = [...current].filter(v => !params.votes.includes(v));
+    } else {
+      added = (params.add || []).filter(v => !current.has(v));
+      removed = (params.remove || []).filter(v => current.has(v));
+    }
+
+    const ids = [...added, ...removed];
+    const objects = ids.length > 0
+      ? await btsAPI.call(btsAPI.apiIds.database, 'lookup_vote_ids', [ids])
+      : [];
+    const owners = await btsAPI.getObjects(objects.map(o =>
+      o?.witness_account || o?.committee_member_account || o?.worker_account
+    ).filter(Boolean));
+    const ownerNames = new Map(owners.filter(Boolean).map(a => [a.id, a.name]));
+    const describe = (voteId, i) => {
+      const o = objects[i];
+      const type = VOTE_TYPE_LABELS[voteId.split(':')[0]];
+      const name = o?.name || ownerNames.get(o?.witness_account || o?.committee_member_account) || 'unknown';
+      return `${name} (${type}, ${voteId})`;
+    };
+
+    added.forEach((v, i) => rows.push(opRow('Vote for', describe(v, i))));
+    removed.forEach((v, i) => rows.push(opRow('Remove vote', describe(v, added.length + i))));
+    if (rows.length === 0) rows.push(opRow('Votes', 'No change'));
+
+    if (params.proxy !== undefined) {
+      rows.push(opRow('Voting proxy', params.proxy ? params.proxy : 'None (vote yourself)'));
     }
+  } catch (error) {
+    console.error('Vote request preview error:', error);
+    rows.push(opRow('Request', JSON.stringify(params)));
+  }
+  rows.push(opRow('Account', account?.name || 'Unknown'));
+  return `<div class="op-detail-rows">${rows.join('')}</div>`;
+}
 
-    const { origin, type } = result.pendingApproval;
+// === Proposals ===
 
-    // Note: We don't check if site is already connected here because the wallet is locked
-    // and we don't know which account will be active after unlock.
-    // The actual check happens in checkPendingApproval() after unlock.
+async function handleShowProposals() {
+  showScreen('proposals-screen');
+  await loadProposals();
+}
 
-    const hostname = new URL(origin).hostname;
+async function loadProposals() {
+  const list = document.getElementById('proposals-list');
 
-    // Add indicator below the unlock form
-    if (!indicator) {
-      indicator = document.createElement('div');
-      indicator.id = 'pending-approval-indicator';
-      indicator.className = 'pending-approval-indicator';
-      unlockScreen.appendChild(indicator);
+  if (!btsAPI || !btsAPI.isConnected) {
+    setHTML(list, '<div class="fee-item error"><span class="fee-name">Not connected to network</span></div>');
+    return;
+  }
+
+  setHTML(list, '<div class="fee-item loading"><span class="fee-name">Loading proposals...</span></div>');
+
+  try {
+    const entries = await walletManager.getProposals();
+    if (entries.length === 0) {
+      setHTML(list, '<div class="fee-item"><span class="fee-name">No pending proposals</span></div>');
+      return;
     }
 
-    let message, hint;
-    if (type === 'connection') {
-      message = `<strong>${escapeHtml(hostname)}</strong> wants to connect`;
-      hint = 'Unlock your wallet to approve the connection';
-    } else if (type === 'transfer') {
-      message = `<strong>${escapeHtml(hostname)}</strong> requests a transfer`;
-      hint = 'Unlock your wallet to review and sign';
-    } else {
-      message = `<strong>${escapeHtml(hostname)}</strong> requests a transaction`;
-      hint = 'Unlock your wallet to review and sign';
+    const cards = [];
+    for (const entry of entries) {
+      cards.push(await renderProposalCard(entry));
     }
-    setHTML(indicator, `
-      <div class="pending-icon">🔔</div>
-      <p>${message}</p>
-      <p class="pending-hint">${hint}</p>
-    `);
+    setHTML(list, cards.join(''));
+
+    list.querySelectorAll('[data-proposal-action]').forEach(btn => {
+      btn.addEventListener('click', () =>
+        handleProposalApproval(btn.dataset.proposalId, btn.dataset.proposalAction === 'approve', btn));
+    });
   } catch (error) {
-    console.error('Error showing pending approval indicator:', error);
+    console.error('Error loading proposals:', error);
+    setHTML(list, '<div class="fee-item error"><span class="fee-name">Error loading proposals</span></div>');
   }
 }
 
-// Show the connection modal as a gate before a pending transfer/transaction.
-// The pendingApproval (the transaction) stays in storage; after the user connects,
-// checkPendingApproval() is called again to show the transaction modal.
-async function showConnectionAuthGuard(requestId, pendingType, origin, network, currentAccount) {
-  const hostname = new URL(origin).hostname;
-  document.getElementById('dapp-name').textContent = hostname;
-  document.getElementById('dapp-origin').textContent = origin;
-
-  const networkLabel = network === 'testnet' ? 'BitShares Testnet' : 'BitShares Mainnet';
-  const noticeEl = document.getElementById('dapp-connect-network');
-  if (noticeEl) noticeEl.textContent = `This approval is only valid for ${networkLabel}.`;
-
-  const dappIcon = document.getElementById('dapp-icon');
-  if (dappIcon) { dappIcon.src = '../assets/icons/dapp-default.svg'; dappIcon.alt = hostname; }
+async function renderProposalCard({ proposal, canApprove, canRevoke }) {
+  const operations = proposal.proposed_transaction?.operations || [];
 
-  const msgEl = document.getElementById('dapp-connect-message');
-  if (msgEl) {
-    msgEl.textContent = pendingType === 'transfer'
-      ? 'Connect your account to authorize this transfer.'
-      : 'Connect your account to authorize this transaction.';
+  // Required approvers, marked approved once their approval is on the proposal
+  const approved = new Set([
+    ...(proposal.available_active_approvals || []),
+    ...(proposal.available_owner_approvals || [])
+  ]);
+  const required = [
+    ...(proposal.required_active_approvals || []),
+    ...(proposal.required_owner_approvals || []).filter(id => !(proposal.required_active_approvals || []).includes(id))
+  ];
+  const approvers = [];
+  for (const id of required) {
+    const name = escapeHtml(await resolveAccountName(id));
+    approvers.push(approved.has(id)
+      ? `<span class="approved">✓ ${name}</span>`
+      : `<span class="pending">… ${name}</span>`);
+  }
+  const extraApprovals = [...approved].filter(id => !required.includes(id));
+  for (const id of extraApprovals) {
+    approvers.push(`<span class="approved">✓ ${escapeHtml(await resolveAccountName(id))}</span>`);
+  }
+  if ((proposal.available_key_approvals || []).length > 0) {
+    approvers.push(`<span class="approved">✓ ${proposal.available_key_approvals.length} key(s)</span>`);
   }
 
-  const accounts = await walletManager.getAllAccounts(network);
-  const signableAccounts = accounts.filter(acc => !acc.watchOnly);
-  const selector = document.getElementById('dapp-connect-account');
-  if (selector && signableAccounts.length > 0) {
-    setHTML(selector, signableAccounts.map(acc =>
-      `<option value="${escapeHtml(acc.id)}" data-name="${escapeHtml(acc.name)}" ${acc.id === currentAccount?.id ? 'selected' : ''}>${escapeHtml(acc.name)}</option>`
-    ).join(''));
+  let opsHtml = '';
+  for (let i = 0; i < operations.length; i++) {
+    const [opType, opData] = operations[i];
+    const opName = OPERATION_NAMES[opType] || `Operation ${opType}`;
+    opsHtml += `<div class="op-section-header">Operation ${i + 1}: ${escapeHtml(opName)}</div>`;
+    opsHtml += await renderOperationDetails(opType, opData);
   }
 
-  // authGuard: pendingApproval in storage IS the transaction (not a connection request)
-  pendingDappRequest = { id: requestId, type: pendingType, origin, authGuard: true };
-  showModal('dapp-connect-modal');
+  const proposer = proposal.proposer ? await resolveAccountName(proposal.proposer) : null;
+  const id = escapeHtml(proposal.id);
+  return `<div class="proposal-card">
+    <div class="proposal-card-header">
+      <span>${id}</span>
+      <span>${operations.length === 1 ? escapeHtml(OPERATION_NAMES[operations[0][0]] || 'Operation') : `${operations.length} Operations`}</span>
+    </div>
+    <div class="proposal-card-meta">
+      ${proposer ? `Proposed by ${escapeHtml(proposer)} · ` : ''}Expires ${escapeHtml(formatDate(proposal.expiration_time + 'Z'))}
+    </div>
+    <div class="proposal-approvals">${approvers.join(' ')}</div>
+    <details>
+      <summary>Operations</summary>
+      ${opsHtml}
+    </details>
+    <div class="proposal-actions">
+      ${canApprove ? `<button class="btn-small" data-proposal-action="approve" data-proposal-id="${id}">Approve</button>` : ''}
+      ${canRevoke ? `<button class="btn-small" data-proposal-action="revoke" data-proposal-id="${id}">Remove Approval</button>` : ''}
+    </div>
+  </div>`;
 }
 
-// Check for pending dApp approval requests (opened from background script)
-async function checkPendingApproval() {
+async function handleProposalApproval(proposalId, approve, btn) {
+  if (btn) btn.disabled = true;
   try {
-    const result = await chrome.storage.local.get(['pendingApproval']);
-    if (!result.pendingApproval) return;
+    showToast(approve ? 'Approving proposal...' : 'Removing approval...', 'info');
+    await walletManager.updateProposalApproval(proposalId, approve);
+    showToast(approve ? 'Proposal approved!' : 'Approval removed', 'success');
+    await loadProposals();
+  } catch (error) {
+    console.error('Proposal update error:', error);
+    showToast('Proposal update failed: ' + error.message, 'error');
+    if (btn) btn.disabled = false;
+  }
+}
 
-    // Clear stale entries that were never resolved (e.g. after a crash)
-    const TEN_MINUTES = 10 * 60 * 1000;
-    if (result.pendingApproval.timestamp && Date.now() - result.pendingApproval.timestamp > TEN_MINUTES) {
-      await chrome.storage.local.remove(['pendingApproval']);
-      await _browserAction.setBadgeText({ text: '' });
+// === Claimable Balances ===
+
+const CLAIMABLE_KINDS = {
+  genesis: 'Genesis Balance',
+  cashback: 'Cashback',
+  worker: 'Worker Pay',
+  witness: 'Witness Pay',
+  market_fee_sharing: 'Market Fee Sharing',
+  vesting: 'Vesting Balance'
+};
+
+async function handleShowClaimable() {
+  showScreen('claimable-screen');
+  await loadClaimableBalances();
+}
+
+async function loadClaimableBalances() {
+  const list = document.getElementById('claimable-list');
+  const claimBtn = document.getElementById('btn-claim-all');
+  claimBtn.disabled = true;
+
+  if (!btsAPI || !btsAPI.isConnected) {
+    setHTML(list, '<div class="fee-item error"><span class="fee-name">Not connected to network</span></div>');
+    return;
+  }
+
+  setHTML(list, '<div class="fee-item loading"><span class="fee-name">Loading balances...</span></div>');
+
+  try {
+    const items = await walletManager.getClaimableBalances();
+    if (items.length === 0) {
+      setHTML(list, '<div class="fee-item"><span class="fee-name">Nothing to claim</span></div>');
       return;
     }
 
-    const { requestId, type, origin, params } = result.pendingApproval;
-    const currentNetwork = document.getElementById('network-select')?.value || 'mainnet';
-
-    // Reject any request whose network doesn't match the wallet's current network.
-    // Legacy requests without a network field default to 'mainnet'.
-    // This check applies to ALL request types, including connection requests.
+    const rows = [];
+    for (const item of items) {
+      const total = await formatAmountWithSymbol(item.balance) || escapeHtml(String(item.balance.amount));
+      const claimable = await formatAmountWithSymbol({ ...item.balance, amount: item.claimable }) ||
+        escapeHtml(String(item.claimable));
+      rows.push(`<div class="claimable-item">
+        <div class="claimable-item-header">
+          <span>${escapeHtml(CLAIMABLE_KINDS[item.kind] || item.kind)}</span>
+          <span>${total}</span>
+        </div>
+        <div class="claimable-item-meta">
+          <span>${escapeHtml(item.accountName || item.accountId)} · ${escapeHtml(item.id)}</span>
+          ${item.claimable > 0
+            ? `<span class="withdrawable">${claimable} withdrawable now</span>`
+            : '<span class="locked">Still vesting</span>'}
+        </div>
+      </div>`);
+    }
+    setHTML(list, rows.join(''));
+    claimBtn.disabled = !items.some(item => item.claimable > 0);
+  } catch (error) {
+    console.error('Error loading claimable balances:', error);
+    setHTML(list, '<div class="fee-item error"><span class="fee-name">Error loading balances</span></div>');
+  }
+}
+
+async function handleClaimAll() {
+  const btn = document.getElementById('btn-claim-all');
+  btn.disabled = true;
+  try {
+    showToast('Claiming balances...', 'info');
+    const { claimed } = await walletManager.claimBalances();
+    showToast(`Claimed ${claimed.length} balance${claimed.length === 1 ? '' : 's'}`, 'success');
+    await loadClaimableBalances();
+  } catch (error) {
+    console.error('Claim error:', error);
+    showToast('Claim failed: ' + error.message, 'error');
+    btn.disabled = false;
+  }
+}
+
+// === Collateral Positions ===
+
+const POSITION_STATUS_LABELS = {
+  [POSITION_STATUS.OK]: 'Healthy',
+  [POSITION_STATUS.WARNING]: 'Near margin call',
+  [POSITION_STATUS.MARGIN_CALL]: 'Below MCR',
+  [POSITION_STATUS.NO_FEED]: 'No price feed'
+};
+
+let positionState = {
+  entries: [],   // walletManager.getCollateralPositions()
+  editing: null  // { accountId, asset, collateralAsset, bitasset, callOrder, balances }
+};
+
+async function handleShowPositions() {
+  showScreen('positions-screen');
+  hidePositionForm();
+  await loadPositions();
+}
+
+/** 1 BTS = 0.05 USD for a {debt, collateral} price */
+function formatPositionPrice(price, asset, collateralAsset) {
+  if (!price) return '-';
+  const value = DexMarket.formatPrice(price.debt, asset.precision, price.collateral, collateralAsset.precision);
+  return `1 ${collateralAsset.symbol} = ${value} ${asset.symbol}`;
+}
+
+function formatPositionAmount(amount, asset) {
+  return `${DexMarket.formatUnits(amount, asset.precision)} ${asset.symbol}`;
+}
+
+async function loadPositions() {
+  const list = document.getElementById('positions-list');
+
+  if (!btsAPI || !btsAPI.isConnected) {
+    setHTML(list, '<div class="fee-item error"><span class="fee-name">Not connected to network</span></div>');
+    return;
+  }
+
+  setHTML(list, '<div class="fee-item loading"><span class="fee-name">Loading positions...</span></div>');
+
+  try {
+    positionState.entries = await walletManager.getCollateralPositions();
+    if (positionState.entries.length === 0) {
+      setHTML(list, '<div class="fee-item"><span class="fee-name">No open positions</span></div>');
+      return;
+    }
+
+    setHTML(list, positionState.entries.map((entry, index) => {
+      const { position, asset, collateralAsset } = entry;
+      const ratio = position.ratio === null ? '-' : CollateralPositions.formatRatio(position.ratio);
+      return `<div class="position-item status-${escapeHtml(position.status)}">
+        <div class="position-item-header">
+          <span>${escapeHtml(formatPositionAmount(position.debt.amount, asset))}</span>
+          <span class="position-ratio">CR ${escapeHtml(ratio)}</span>
+        </div>
+        <div class="position-item-meta">
+          <span>${escapeHtml(entry.accountName)} · ${escapeHtml(position.id)}</span>
+          <span class="position-status">${escapeHtml(POSITION_STATUS_LABELS[position.status])}</span>
+        </div>
+        <div class="position-item-row">
+          <span>Collateral</span>
+          <span>${escapeHtml(formatPositionAmount(position.collateral.amount, collateralAsset))}</span>
+        </div>
+        <div class="position-item-row">
+          <span>Feed price</span>
+          <span>${escapeHtml(formatPositionPrice(position.feedPrice, asset, collateralAsset))}</span>
+        </div>
+        <div class="position-item-row">
+          <span>Liquidation price</span>
+          <span>${escapeHtml(formatPositionPrice(position.liquidationPrice, asset, collateralAsset))}</span>
+        </div>
+        <div class="position-item-row">
+          <span>MCR / MSSR</span>
+          <span>${CollateralPositions.formatRatio(position.mcr)} / ${CollateralPositions.formatRatio(position.mssr)}</span>
+        </div>
+        <div class="position-item-row">
+          <span>Target ratio</span>
+          <span>${position.targetRatio === null ? 'None' : CollateralPositions.formatRatio(position.targetRatio)}</span>
+        </div>
+        ${entry.watchOnly ? '' : `<button class="btn-small" type="button" data-adjust="${index}">Adjust</button>`}
+      </div>`;
+    }).join(''));
+  } catch (error) {
+    console.error('Error loading positions:', error);
+    setHTML(list, '<div class="fee-item error"><span class="fee-name">Error loading positions</span></div>');
+  }
+}
+
+function handlePositionListClick(e) {
+  const button = e.target.closest('[data-adjust]');
+  if (!button) return;
+  const entry = positionState.entries[Number(button.dataset.adjust)];
+  if (entry) showPositionForm(entry);
+}
+
+/**
+ * The form for an existing position (entry) or, without one, a new position
+ * of the current account
+ */
+async function showPositionForm(entry = null) {
+  let accountId = entry?.accountId;
+  if (!entry) {
+    const account = await walletManager.getCurrentAccount();
+    if (!account?.id || await walletManager.isWatchOnlyAccount(account.id)) {
+      showToast('Cannot borrow from a watch-only account', 'error');
+      return;
+    }
+    accountId = account.id;
+  }
+
+  positionState.editing = entry
+    ? { accountId, asset: entry.asset, collateralAsset: entry.collateralAsset, bitasset: entry.bitasset, callOrder: entry.callOrder }
+    : { accountId, asset: null, collateralAsset: null, bitasset: null, callOrder: null };
+
+  const assetInput = document.getElementById('position-asset');
+  assetInput.value = entry ? entry.asset.symbol : '';
+  assetInput.disabled = !!entry;
+  document.getElementById('position-form-title').textContent = entry ? `Adjust ${entry.asset.symbol} Position` : 'Open Position';
+  document.getElementById('position-collateral').value = entry
+    ? DexMarket.formatUnits(entry.callOrder.collateral, entry.collateralAsset.precision) : '';
+  document.getElementById('position-debt').value = entry
+    ? DexMarket.formatUnits(entry.callOrder.debt, entry.asset.precision) : '';
+  document.getElementById('position-target-ratio').value = entry?.position.targetRatio
+    ? CollateralPositions.formatRatio(entry.position.targetRatio) : '';
+  document.getElementById('btn-position-close').style.display = entry ? '' : 'none';
+  document.getElementById('position-form').style.display = 'block';
+  document.getElementById('btn-open-position').style.display = 'none';
+
+  await Promise.all([loadPositionBalances(), setupPositionFee()]);
+  updatePositionPreview();
+}
+
+function hidePositionForm() {
+  positionState.editing = null;
+  document.getElementById('position-form').style.display = 'none';
+  document.getElementById('btn-open-position').style.display = '';
+}
+
+async function loadPositionBalances() {
+  const editing = positionState.editing;
+  try {
+    editing.balances = await btsAPI.getAccountBalances(editing.accountId);
+  } catch (error) {
+    console.error('Failed to load balances:', error);
+    editing.balances = [];
+  }
+}
+
+/**
+ * A smartcoin typed for a new position; switches to the account's existing
+ * position in it, since there is one per asset
+ */
+async function handlePositionAssetChange() {
+  const editing = positionState.editing;
+  const symbol = document.getElementById('position-asset').value.trim().toUpperCase();
+  if (!editing || editing.callOrder || !symbol) return;
+
+  try {
+    const asset = await btsAPI.getAsset(symbol);
+    if (!asset) throw new Error(`Asset not found: ${symbol}`);
+    if (!asset.bitasset_data_id) throw new Error(`${asset.symbol} is not a smartcoin`);
+
+    const existing = positionState.entries.find(e => e.accountId === editing.accountId && e.asset.id === asset.id);
+    if (existing) {
+      await showPositionForm(existing);
+      return;
+    }
+
+    const [bitasset] = await btsAPI.getBitassetData([asset.bitasset_data_id]);
+    Object.assign(editing, {
+      asset,
+      bitasset,
+      collateralAsset: await btsAPI.getAsset(bitasset.options.short_backing_asset)
+    });
+  } catch (error) {
+    Object.assign(editing, { asset: null, bitasset: null, collateralAsset: null });
+    showPositionError(error.message);
+    return;
+  }
+  updatePositionPreview();
+}
+
+function showPositionError(message) {
+  showFormError('position-error', 'btn-position-submit', message);
+}
+
+/** A total typed in the form in base units; empty is 0 */
+function positionInputUnits(inputId, asset, label) {
+  const text = document.getElementById(inputId).value.trim();
+  if (text === '' || /^0*\.?0*$/.test(text)) return 0n;
+  return BigInt(DexMarket.toUnits(text, asset.precision, label));
+}
+
+/**
+ * The totals, changes and target ratio typed in the form
+ * @returns {{collateral: bigint, debt: bigint, deltaCollateral: bigint, deltaDebt: bigint, targetRatio: number|null}}
+ * @throws {Error} when a field does not parse
+ */
+function positionFormUpdate() {
+  const { asset, collateralAsset, callOrder } = positionState.editing;
+  const collateral = positionInputUnits('position-collateral', collateralAsset, 'Collateral');
+  const debt = positionInputUnits('position-debt', asset, 'Debt');
+  const ratioText = document.getElementById('position-target-ratio').value.trim();
+  return {
+    collateral,
+    debt,
+    deltaCollateral: collateral - BigInt(callOrder?.collateral || 0),
+    deltaDebt: debt - BigInt(callOrder?.debt || 0),
+    targetRatio: ratioText ? CollateralPositions.parseRatio(ratioText) : null
+  };
+}
+
+/** Throws why the chain would refuse the update */
+function validatePositionUpdate(update) {
+  const { accountId, bitasset, callOrder } = positionState.editing;
+  const { deltaCollateral, deltaDebt, targetRatio } = update;
+  CollateralPositions.updateOperation({ accountId, callOrder, bitasset, deltaCollateral, deltaDebt, targetRatio });
+}
+
+function updatePositionPreview() {
+  const editing = positionState.editing;
+  if (!editing) return;
+  const { asset, collateralAsset, bitasset } = editing;
+  document.getElementById('position-collateral-unit').textContent = collateralAsset?.symbol || '-';
+  document.getElementById('position-debt-unit').textContent = asset?.symbol || '-';
+  for (const id of ['position-change', 'position-new-ratio', 'position-new-liquidation', 'position-available']) {
+    document.getElementById(id).textContent = '-';
+  }
+  if (!asset) {
+    showPositionError(editing.callOrder ? null : 'Enter the smartcoin to borrow');
+    return;
+  }
+
+  const balance = (assetId) => editing.balances?.find(b => b.asset_id === assetId)?.amount || 0;
+  document.getElementById('position-available').textContent =
+    `${formatPositionAmount(balance(collateralAsset.id), collateralAsset)} · ${formatPositionAmount(balance(asset.id), asset)}`;
+
+  let update;
+  try {
+    update = positionFormUpdate();
+  } catch (error) {
+    showPositionError(error.message);
+    return;
+  }
+
+  const changes = [];
+  if (update.deltaDebt > 0n) changes.push(`Borrow ${formatPositionAmount(update.deltaDebt, asset)}`);
+  if (update.deltaDebt < 0n) changes.push(`Repay ${formatPositionAmount(-update.deltaDebt, asset)}`);
+  if (update.deltaCollateral > 0n) changes.push(`Add ${formatPositionAmount(update.deltaCollateral, collateralAsset)}`);
+  if (update.deltaCollateral < 0n) changes.push(`Withdraw ${formatPositionAmount(-update.deltaCollateral, collateralAsset)}`);
+  if (!changes.length && update.targetRatio !== (editing.callOrder?.target_collateral_ratio ?? null)) {
+    changes.push('Target ratio only');
+  }
+  document.getElementById('position-change').textContent = changes.join(' · ') || 'None';
+
+  if (update.debt === 0n) {
+    document.getElementById('position-new-ratio').textContent = 'Position closed';
+  } else {
+    const preview = CollateralPositions.describe({ collateral: update.collateral, debt: update.debt }, bitasset);
+    const ratioEl = document.getElementById('position-new-ratio');
+    ratioEl.textContent = preview.ratio === null
+      ? '-'
+      : `${CollateralPositions.formatRatio(preview.ratio)} (MCR ${CollateralPositions.formatRatio(preview.mcr)})`;
+    ratioEl.className = preview.status === POSITION_STATUS.OK ? '' : 'impact-high';
+    document.getElementById('position-new-liquidation').textContent =
+      formatPositionPrice(preview.liquidationPrice, asset, collateralAsset);
+  }
+
+  try {
+    validatePositionUpdate(update);
+  } catch (error) {
+    showPositionError(error.message === 'Nothing to change' ? null : error.message);
+    document.getElementById('btn-position-submit').disabled = true;
+    return;
+  }
+
+  // Repaying needs the smartcoin, adding collateral the backing asset
+  if (update.deltaDebt < 0n && -update.deltaDebt > BigInt(balance(asset.id))) {
+    showPositionError(`Not enough ${asset.symbol} to repay`);
+  } else if (update.deltaCollateral > 0n && update.deltaCollateral > BigInt(balance(collateralAsset.id))) {
+    showPositionError(`Not enough ${collateralAsset.symbol} for the collateral`);
+  } else {
+    showPositionError(null);
+  }
+}
+
+async function setupPositionFee() {
+  if (!btsAPI || !btsAPI.isConnected) return;
+  try {
+    const fee = await btsAPI.getOperationFee('call_order_update');
+    document.getElementById('position-fee').textContent = fee?.formatted || '-';
+    await setupFeeAssetSelect('position-fee-asset', {
+      feeId: 'position-fee',
+      warningId: 'position-fee-warning',
+      coreFee: fee.coreAmount,
+      preferred: document.getElementById('position-fee-asset')?.value || '1.3.0'
+    });
+  } catch (error) {
+    console.error('Failed to load position fee:', error);
+  }
+}
+
+function handleClosePosition() {
+  document.getElementById('position-collateral').value = '0';
+  document.getElementById('position-debt').value = '0';
+  updatePositionPreview();
+}
+
+async function handleSubmitPosition() {
+  const editing = positionState.editing;
+  if (!editing?.asset) return;
+
+  let update;
+  try {
+    update = positionFormUpdate();
+    validatePositionUpdate(update);
+  } catch (error) {
+    showPositionError(error.message);
+    return;
+  }
+
+  const btn = document.getElementById('btn-position-submit');
+  btn.disabled = true;
+  try {
+    showToast('Updating position...', 'info');
+    await walletManager.updateCollateralPosition({
+      asset: editing.asset.id,
+      deltaCollateral: DexMarket.formatUnits(update.deltaCollateral, editing.collateralAsset.precision),
+      deltaDebt: DexMarket.formatUnits(update.deltaDebt, editing.asset.precision),
+      targetRatio: update.targetRatio === null ? null : CollateralPositions.formatRatio(update.targetRatio),
+      feeAsset: document.getElementById('position-fee-asset')?.value || '1.3.0'
+    }, editing.accountId);
+    showToast(update.debt === 0n ? 'Position closed' : 'Position updated', 'success');
+    hidePositionForm();
+    await loadPositions();
+  } catch (error) {
+    console.error('Position update error:', error);
+    showToast('Position update failed: ' + error.message, 'error');
+    btn.disabled = false;
+  }
+}
+
+// === Asset Detail ===
+
+let assetDetailState = {
+  assetId: null,
+  settlement: null, // walletManager.getAssetSettlement() for smartcoins
+  balances: [],     // of the current account
+  watchOnly: false
+};
+
+async function handleShowAsset(assetId) {
+  assetDetailState = { assetId, settlement: null, balances: [], watchOnly: false };
+  for (const id of ['settle-amount', 'bid-collateral', 'bid-debt']) {
+    document.getElementById(id).value = '';
+  }
+  showScreen('asset-screen');
+  await loadAssetDetail();
+}
+
+function assetDetailBalance(assetId) {
+  return assetDetailState.balances.find(b => b.asset_id === assetId)?.amount || 0;
+}
+
+function detailRows(rows) {
+  return rows.map(([label, value]) => `<div class="swap-detail-row">
+    <span>${escapeHtml(label)}:</span>
+    <span>${escapeHtml(value)}</span>
+  </div>`).join('');
+}
+
+/** 86400 → '24 hours' */
+function formatSettlementDelay(seconds) {
+  if (seconds === 0) return 'None';
+  const [value, unit] = seconds % 86400 === 0 && seconds > 86400 ? [seconds / 86400, 'day']
+    : seconds % 3600 === 0 ? [seconds / 3600, 'hour']
+      : seconds % 60 === 0 ? [seconds / 60, 'minute']
+        : [seconds, 'second'];
+  return `${value} ${unit}${value === 1 ? '' : 's'}`;
+}
+
+async function loadAssetDetail() {
+  const summary = document.getElementById('asset-summary');
+  document.getElementById('asset-settle').style.display = 'none';
+  document.getElementById('asset-bid').style.display = 'none';
+
+  if (!btsAPI || !btsAPI.isConnected) {
+    setHTML(summary, '<div class="fee-item error"><span class="fee-name">Not connected to network</span></div>');
+    return;
+  }
+
+  setHTML(summary, '<div class="fee-item loading"><span class="fee-name">Loading asset...</span></div>');
+
+  try {
+    const asset = await btsAPI.getAsset(assetDetailState.assetId);
+    if (!asset) throw new Error(`Asset not found: ${assetDetailState.assetId}`);
+    document.getElementById('asset-title').textContent = asset.symbol;
+
+    const account = await walletManager.getCurrentAccount();
+    assetDetailState.watchOnly = await walletManager.isWatchOnlyAccount(account.id);
+    assetDetailState.balances = await btsAPI.getAccountBalances(account.id);
+
+    const rows = [
+      ['Asset ID', asset.id],
+      ['Balance', formatPositionAmount(assetDetailBalance(asset.id), asset)]
+    ];
+    const settlement = asset.bitasset_data_id ? await walletManager.getAssetSettlement(asset.id) : null;
+    if (settlement) {
+      const { collateralAsset, bitasset, limits } = settlement;
+      rows.push(
+        ['Supply', formatPositionAmount(limits.supply, asset)],
+        ['Backing asset', collateralAsset.symbol],
+        ['Feed price', formatPositionPrice(CollateralPositions.feedPrice(bitasset), asset, collateralAsset)]
+      );
+    }
+    assetDetailState.settlement = settlement;
+    setHTML(summary, detailRows(rows));
+    if (settlement) await showSettlement(settlement);
+  } catch (error) {
+    console.error('Error loading asset:', error);
+    setHTML(summary, '<div class="fee-item error"><span class="fee-name">Error loading asset</span></div>');
+  }
+}
+
+/**
+ * Force settlement of a smartcoin and, when it is globally settled, the
+ * collateral bid form
+ */
+async function showSettlement({ asset, collateralAsset, bitasset, limits, settleOrders, bid }) {
+  document.getElementById('asset-settle').style.display = '';
+  document.getElementById('settle-unit').textContent = asset.symbol;
+  document.getElementById('settle-available').textContent = formatPositionAmount(assetDetailBalance(asset.id), asset);
+  document.getElementById('settle-description').textContent = limits.globallySettled
+    ? `${asset.symbol} has been globally settled: holders settle at once out of the settlement fund, at the settlement price.`
+    : `Hand ${asset.symbol} back to its debt positions for ${collateralAsset.symbol} at the feed price less the offset, once the settlement delay has passed.`;
+
+  setHTML(document.getElementById('settle-limits'), detailRows(limits.globallySettled
+    ? [
+      ['Settlement fund', formatPositionAmount(limits.settlementFund, collateralAsset)],
+      ['Settlement price', formatPositionPrice(AssetSettlement.settlementPrice(bitasset), asset, collateralAsset)]
+    ]
+    : [
+      ['Settlement delay', formatSettlementDelay(limits.delaySec)],
+      ['Settlement offset', AssetSettlement.formatPercent(limits.offsetPercent)],
+      ['Volume per maintenance interval', `${AssetSettlement.formatPercent(limits.maxVolumePercent)} of supply`],
+      ['Left this interval', formatPositionAmount(limits.remainingVolume, asset)]
+    ]));
+
+  setHTML(document.getElementById('settle-orders-list'), settleOrders.length === 0
+    ? '<div class="fee-item"><span class="fee-name">No pending settlements</span></div>'
+    : settleOrders.map(order => `<div class="position-item">
+        <div class="position-item-header">
+          <span>${escapeHtml(formatPositionAmount(order.balance.amount, asset))}</span>
+          <span class="position-ratio">${escapeHtml(order.id)}</span>
+        </div>
+        <div class="position-item-row">
+          <span>Settles</span>
+          <span>${escapeHtml(formatDate(order.settlement_date + 'Z'))}</span>
+        </div>
+      </div>`).join(''));
+
+  const bidCard = document.getElementById('asset-bid');
+  bidCard.style.display = limits.globallySettled ? '' : 'none';
+  if (limits.globallySettled) {
+    document.getElementById('bid-collateral-unit').textContent = collateralAsset.symbol;
+    document.getElementById('bid-debt-unit').textContent = asset.symbol;
+    setHTML(document.getElementById('bid-current'), bid ? detailRows([
+      ['Your bid', `${formatPositionAmount(bid.additionalCollateral, collateralAsset)} for ${formatPositionAmount(bid.debtCovered, asset)}`],
+      ['Its collateral ratio', formatBidRatio(AssetSettlement.bidRatio(bid, bitasset), bitasset)]
+    ]) : '');
+    document.getElementById('btn-bid-cancel').style.display = bid && !assetDetailState.watchOnly ? '' : 'none';
+  }
+
+  await setupSettlementFees(limits.globallySettled);
+  updateSettlePreview();
+  updateBidPreview();
+}
+
+function formatBidRatio(ratio, bitasset) {
+  if (ratio === null) return '-';
+  return `${CollateralPositions.formatRatio(ratio)} (MCR ${CollateralPositions.formatRatio(CollateralPositions.ratios(bitasset).mcr)})`;
+}
+
+async function setupSettlementFees(globallySettled) {
+  if (!btsAPI || !btsAPI.isConnected) return;
+  const fees = globallySettled ? [['asset_settle', 'settle'], ['bid_collateral', 'bid']] : [['asset_settle', 'settle']];
+  for (const [operation, prefix] of fees) {
+    try {
+      const fee = await btsAPI.getOperationFee(operation);
+      document.getElementById(`${prefix}-fee`).textContent = fee?.formatted || '-';
+      await setupFeeAssetSelect(`${prefix}-fee-asset`, {
+        feeId: `${prefix}-fee`,
+        warningId: `${prefix}-fee-warning`,
+        coreFee: fee.coreAmount,
+        preferred: document.getElementById(`${prefix}-fee-asset`)?.value || '1.3.0'
+      });
+    } catch (error) {
+      console.error(`Failed to load ${operation} fee:`, error);
+    }
+  }
+}
+
+/** Show or clear a form's error; the submit button is disabled while one shows */
+function showFormError(errorId, buttonId, message) {
+  const errorEl = document.getElementById(errorId);
+  errorEl.textContent = message || '';
+  errorEl.style.display = message ? '' : 'none';
+  document.getElementById(buttonId).disabled = !!message;
+}
+
+function updateSettlePreview() {
+  const settlement = assetDetailState.settlement;
+  if (!settlement) return;
+  const { asset, collateralAsset, bitasset, limits } = settlement;
+  const showError = message => showFormError('settle-error', 'btn-settle', message);
+  const dateEl = document.getElementById('settle-date');
+  document.getElementById('settle-estimate').textContent = '-';
+  dateEl.textContent = limits.globallySettled ? 'Immediately' : formatDate(new Date(Date.now() + limits.delaySec * 1000));
+
+  if (assetDetailState.watchOnly) {
+    showError('Cannot settle from a watch-only account');
+    return;
+  }
+
+  const text = document.getElementById('settle-amount').value.trim();
+  let amount = 0;
+  try {
+    if (text) amount = DexMarket.toUnits(text, asset.precision);
+    // Whether the asset can be settled at all, before an amount is typed
+    AssetSettlement.settleOperation({ accountId: null, asset, bitasset, amount: amount || 1 });
+  } catch (error) {
+    showError(error.message);
+    return;
+  }
+  if (!amount) {
+    showError(null);
+    document.getElementById('btn-settle').disabled = true;
+    return;
+  }
+
+  const estimate = AssetSettlement.estimate(amount, bitasset);
+  document.getElementById('settle-estimate').textContent =
+    estimate === null ? '-' : formatPositionAmount(estimate, collateralAsset);
+  // Past the volume limit the order waits for a later maintenance interval
+  if (!limits.globallySettled && amount > limits.remainingVolume) {
+    dateEl.textContent += ' or later: above this interval\'s volume';
+  }
+  showError(amount > Number(assetDetailBalance(asset.id)) ? `Not enough ${asset.symbol}` : null);
+}
+
+function handleSettleMax() {
+  const settlement = assetDetailState.settlement;
+  if (!settlement) return;
+  document.getElementById('settle-amount').value =
+    DexMarket.formatUnits(assetDetailBalance(settlement.asset.id), settlement.asset.precision);
+  updateSettlePreview();
+}
+
+async function handleSettle() {
+  const settlement = assetDetailState.settlement;
+  if (!settlement) return;
+  const { asset, collateralAsset, bitasset, limits } = settlement;
+  const amount = document.getElementById('settle-amount').value.trim();
+
+  const estimate = AssetSettlement.estimate(DexMarket.toUnits(amount, asset.precision), bitasset);
+  const receive = estimate === null ? '' : ` for about ${formatPositionAmount(estimate, collateralAsset)}`;
+  if (!confirm(`Settle ${amount} ${asset.symbol}${receive}?\n\n` + (limits.globallySettled
+    ? 'It is paid out of the settlement fund at once.'
+    : `It fills in ${formatSettlementDelay(limits.delaySec)} at the feed price of that time and cannot be cancelled.`))) {
+    return;
+  }
+
+  const btn = document.getElementById('btn-settle');
+  btn.disabled = true;
+  try {
+    showToast('Settling...', 'info');
+    await walletManager.forceSettle({
+      asset: asset.id,
+      amount,
+      feeAsset: document.getElementById('settle-fee-asset')?.value || '1.3.0'
+    });
+    showToast(limits.globallySettled ? `${asset.symbol} settled` : 'Settle order placed', 'success');
+    document.getElementById('settle-amount').value = '';
+    await loadAssetDetail();
+  } catch (error) {
+    console.error('Force settlement error:', error);
+    showToast('Settlement failed: ' + error.message, 'error');
+    btn.disabled = false;
+  }
+}
+
+function updateBidPreview() {
+  const settlement = assetDetailState.settlement;
+  if (!settlement?.limits.globallySettled) return;
+  const { asset, collateralAsset, bitasset, limits, bid } = settlement;
+  const showError = message => showFormError('bid-error', 'btn-bid', message);
+  const ratioEl = document.getElementById('bid-ratio');
+  ratioEl.textContent = '-';
+  ratioEl.className = '';
+
+  if (assetDetailState.watchOnly) {
+    showError('Cannot bid from a watch-only account');
+    return;
+  }
+
+  let collateral;
+  let debt;
+  try {
+    collateral = positionInputUnits('bid-collateral', collateralAsset, 'Collateral');
+    debt = positionInputUnits('bid-debt', asset, 'Debt');
+    if (debt === 0n) {
+      showError(null);
+      document.getElementById('btn-bid').disabled = true;
+      return;
+    }
+    AssetSettlement.bidOperation({
+      accountId: null, bitasset, additionalCollateral: collateral, debtCovered: debt, supply: limits.supply, existingBid: bid
+    });
+  } catch (error) {
+    showError(error.message);
+    return;
+  }
+
+  const ratio = AssetSettlement.bidRatio({ additionalCollateral: collateral, debtCovered: debt }, bitasset);
+  ratioEl.textContent = formatBidRatio(ratio, bitasset);
+  if (ratio !== null && ratio < CollateralPositions.ratios(bitasset).mcr) ratioEl.className = 'impact-high';
+
+  // A new bid replaces the current one, whose collateral comes back first
+  const available = BigInt(assetDetailBalance(collateralAsset.id)) + BigInt(bid?.additionalCollateral || 0);
+  showError(collateral > available ? `Not enough ${collateralAsset.symbol} for the bid` : null);
+}
+
+async function submitBid(additionalCollateral, debtCovered, message) {
+  const { asset } = assetDetailState.settlement;
+  const buttons = ['btn-bid', 'btn-bid-cancel'].map(id => document.getElementById(id));
+  buttons.forEach(btn => { btn.disabled = true; });
+  try {
+    showToast(message, 'info');
+    await walletManager.bidCollateral({
+      asset: asset.id,
+      additionalCollateral,
+      debtCovered,
+      feeAsset: document.getElementById('bid-fee-asset')?.value || '1.3.0'
+    });
+    showToast(debtCovered === '0' ? 'Bid cancelled' : 'Bid placed', 'success');
+    document.getElementById('bid-collateral').value = '';
+    document.getElementById('bid-debt').value = '';
+    await loadAssetDetail();
+  } catch (error) {
+    console.error('Collateral bid error:', error);
+    showToast('Bid failed: ' + error.message, 'error');
+  } finally {
+    buttons.forEach(btn => { btn.disabled = false; });
+    updateBidPreview();
+  }
+}
+
+async function handleBid() {
+  if (!assetDetailState.settlement) return;
+  await submitBid(
+    document.getElementById('bid-collateral').value.trim(),
+    document.getElementById('bid-debt').value.trim(),
+    'Placing bid...'
+  );
+}
+
+async function handleCancelBid() {
+  if (!assetDetailState.settlement?.bid) return;
+  if (!confirm('Cancel your collateral bid? Its collateral returns to the account.')) return;
+  await submitBid('0', '0', 'Cancelling bid...');
+}
+
+// === Offline Signing ===
+
+let offlineState = {
+  output: null,        // envelope currently shown for export
+  frames: [],          // its QR frame strings
+  frameIndex: 0,
+  reviewed: null       // envelope loaded on the sign / broadcast tab
+};
+
+async function handleShowOfflineSigning() {
+  showScreen('offline-screen');
+  try {
+    const account = await walletManager.getCurrentAccount();
+    document.getElementById('offline-account-name').textContent = account.name;
+  } catch (error) {
+    console.error('Offline signing account error:', error);
+  }
+  switchOfflineTab('create');
+}
+
+function switchOfflineTab(tab) {
+  document.querySelectorAll('.offline-tab').forEach(t => {
+    t.classList.toggle('active', t.dataset.offlineTab === tab);
+  });
+  for (const name of ['create', 'sign', 'broadcast']) {
+    document.getElementById(`offline-panel-${name}`).style.display = name === tab ? 'block' : 'none';
+  }
+  for (const id of ['offline-sign-details', 'btn-offline-sign', 'offline-broadcast-details', 'btn-offline-broadcast', 'offline-output']) {
+    document.getElementById(id).style.display = 'none';
+  }
+  offlineState.reviewed = null;
+}
+
+function loadOfflineFile(input, textareaId) {
+  const file = input.files?.[0];
+  if (!file) return;
+  const reader = new FileReader();
+  reader.onload = () => {
+    document.getElementById(textareaId).value = reader.result;
+  };
+  reader.onerror = () => showToast('Could not read file', 'error');
+  reader.readAsText(file);
+  input.value = '';
+}
+
+async function handleOfflineBuild() {
+  const to = document.getElementById('offline-to').value.trim();
+  const amount = document.getElementById('offline-amount').value;
+  const asset = document.getElementById('offline-asset').value.trim().toUpperCase() || '1.3.0';
+  const expiration = Number(document.getElementById('offline-expiration').value);
+
+  if (!to || !amount) {
+    showToast('Enter a recipient and an amount', 'error');
+    return;
+  }
+
+  const btn = document.getElementById('btn-offline-build');
+  btn.disabled = true;
+  try {
+    const envelope = await walletManager.buildOfflineTransfer({ to, amount, asset }, null, expiration);
+    await showOfflineOutput(envelope, 'Unsigned transaction — move it to the offline wallet');
+    showToast('Unsigned transaction created', 'success');
+  } catch (error) {
+    console.error('Offline build error:', error);
+    showToast('Could not create transaction: ' + error.message, 'error');
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+async function renderOfflineEnvelope(envelope) {
+  const tx = envelope.transaction;
+  const rows = [
+    opRow('Account', `${envelope.account?.name || '?'} (${envelope.account?.id || '?'})`),
+    opRow('Expires', formatDate(tx.expiration + 'Z')),
+    opRow('Signatures', `${tx.signatures?.length || 0} of ${envelope.requiredKeys.length || '?'} keys`)
+  ];
+  if (OfflineTransaction.isExpired(envelope)) rows.push(opRow('Status', 'Expired'));
+
+  let html = `<div class="op-detail-rows">${rows.join('')}</div>`;
+  for (let i = 0; i < tx.operations.length; i++) {
+    const [opType, opData] = tx.operations[i];
+    const opName = OPERATION_NAMES[opType] || `Operation ${opType}`;
+    html += `<div class="op-section-header">Operation ${i + 1}: ${escapeHtml(opName)}</div>`;
+    html += await renderOperationDetails(opType, opData);
+  }
+  return html;
+}
+
+async function handleOfflineReview(expectedType) {
+  const signing = expectedType === UNSIGNED_TX_TYPE;
+  const input = document.getElementById(signing ? 'offline-sign-input' : 'offline-broadcast-input').value;
+  const details = document.getElementById(signing ? 'offline-sign-details' : 'offline-broadcast-details');
+  const actionBtn = document.getElementById(signing ? 'btn-offline-sign' : 'btn-offline-broadcast');
+
+  document.getElementById('offline-output').style.display = 'none';
+  try {
+    // Signing also accepts an envelope another multisig signer already signed
+    const envelope = OfflineTransaction.parse(input, signing ? null : expectedType);
+    offlineState.reviewed = envelope;
+    setHTML(details, await renderOfflineEnvelope(envelope));
+    details.style.display = 'block';
+    actionBtn.style.display = OfflineTransaction.isExpired(envelope) ? 'none' : 'block';
+  } catch (error) {
+    offlineState.reviewed = null;
+    details.style.display = 'none';
+    actionBtn.style.display = 'none';
+    showToast(error.message, 'error');
+  }
+}
+
+async function handleOfflineSign() {
+  if (!offlineState.reviewed) return;
+  const btn = document.getElementById('btn-offline-sign');
+  btn.disabled = true;
+  try {
+    const { signed, missingKeys } = await walletManager.signOfflineTransaction(offlineState.reviewed);
+    await showOfflineOutput(signed, 'Signed transaction — move it back to the online wallet');
+    if (missingKeys.length > 0) {
+      showToast(`Signed, but ${missingKeys.length} required key(s) are not in this wallet`, 'warning');
+    } else {
+      showToast('Transaction signed', 'success');
+    }
+  } catch (error) {
+    console.error('Offline sign error:', error);
+    showToast('Signing failed: ' + error.message, 'error');
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+async function handleOfflineBroadcast() {
+  if (!offlineState.reviewed) return;
+  const btn = document.getElementById('btn-offline-broadcast');
+  btn.disabled = true;
+  try {
+    showToast('Broadcasting...', 'info');
+    await walletManager.broadcastOfflineTransaction(offlineState.reviewed);
+    showToast('Transaction broadcast!', 'success');
+    document.getElementById('offline-broadcast-input').value = '';
+    switchOfflineTab('broadcast');
+  } catch (error) {
+    console.error('Offline broadcast error:', error);
+    showToast('Broadcast failed: ' + error.message, 'error');
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+async function showOfflineOutput(envelope, label) {
+  offlineState.output = envelope;
+  offlineState.frames = OfflineTransaction.toQrFrames(envelope);
+  document.getElementById('offline-output-label').textContent = label;
+  document.getElementById('offline-output-json').value = JSON.stringify(envelope, null, 2);
+  document.getElementById('offline-output').style.display = 'block';
+  await showOfflineQrFrame(0);
+}
+
+async function showOfflineQrFrame(index) {
+  const total = offlineState.frames.length;
+  if (total === 0) return;
+  offlineState.frameIndex = (index + total) % total;
+  const img = document.getElementById('offline-qr-image');
+  img.src = await generateQRCode(offlineState.frames[offlineState.frameIndex], { size: 200 });
+  document.getElementById('offline-qr-counter').textContent = `${offlineState.frameIndex + 1} / ${total}`;
+}
+
+async function handleOfflineCopy() {
+  try {
+    await navigator.clipboard.writeText(document.getElementById('offline-output-json').value);
+    showToast('Copied to clipboard', 'success');
+  } catch (error) {
+    showToast('Failed to copy', 'error');
+  }
+}
+
+function handleOfflineDownload() {
+  const envelope = offlineState.output;
+  if (!envelope) return;
+  const kind = envelope.type === SIGNED_TX_TYPE ? 'signed' : 'unsigned';
+  const blob = new Blob([JSON.stringify(envelope, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `bitshares-${kind}-tx-${envelope.account?.name || 'account'}-${Date.now()}.json`;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+// === Wallet Backup File ===
+
+function resetWalletBackupForm() {
+  [
+    'backup-export-wallet-password', 'backup-export-password', 'backup-export-password-confirm',
+    'backup-restore-file', 'backup-restore-password', 'backup-restore-wallet-password'
+  ].forEach(id => {
+    const el = document.getElementById(id);
+    if (el) el.value = '';
+  });
+  showRestoreConflicts([]);
+}
+
+function showRestoreConflicts(conflicts) {
+  const labels = { account: 'Account', contact: 'Contact', network: 'Network' };
+  setHTML(document.getElementById('backup-restore-conflict-list'), conflicts.map(c =>
+    `<li>${labels[c.kind]} ${escapeHtml(c.name || c.id)}${c.name && c.name !== c.id ? ` (${escapeHtml(c.id)})` : ''}</li>`
+  ).join(''));
+  document.getElementById('backup-restore-conflicts').style.display = conflicts.length ? '' : 'none';
+  document.getElementById('backup-restore-resolution').style.display = conflicts.length ? '' : 'none';
+  document.getElementById('btn-restore-wallet-backup').style.display = conflicts.length ? 'none' : '';
+}
+
+function handleShowWalletBackup() {
+  resetWalletBackupForm();
+  showScreen('wallet-backup-screen');
+}
+
+async function handleExportWalletBackup() {
+  const walletPassword = document.getElementById('backup-export-wallet-password')?.value;
+  const backupPassword = document.getElementById('backup-export-password')?.value;
+  const confirmPassword = document.getElementById('backup-export-password-confirm')?.value;
+
+  if (!walletPassword) {
+    showToast('Please enter your wallet password', 'error');
+    return;
+  }
+  if (!backupPassword || backupPassword.length < 12) {
+    showToast('Backup password must be at least 12 characters', 'error');
+    return;
+  }
+  if (backupPassword !== confirmPassword) {
+    showToast('Backup passwords do not match', 'error');
+    return;
+  }
+
+  const button = document.getElementById('btn-export-wallet-backup');
+  button.disabled = true;
+  try {
+    const backup = await walletManager.exportBackup(walletPassword, backupPassword);
+    const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `bitshares-wallet-backup-${backup.createdAt.slice(0, 10)}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+    resetWalletBackupForm();
+    showToast('Wallet backup downloaded', 'success');
+  } catch (error) {
+    console.error('Wallet backup export failed:', error);
+    showToast('Backup failed: ' + error.message, 'error');
+  } finally {
+    button.disabled = false;
+  }
+}
+
+/**
+ * Restore a backup file into this wallet. On conflicts the choice is shown
+ * first; the Keep / Use Backup buttons call back with that resolution.
+ */
+async function handleRestoreWalletBackup(resolution = null) {
+  const file = document.getElementById('backup-restore-file')?.files?.[0];
+  const backupPassword = document.getElementById('backup-restore-password')?.value;
+  const walletPassword = document.getElementById('backup-restore-wallet-password')?.value;
+
+  if (!file) {
+    showToast('Please choose the wallet backup file', 'error');
+    return;
+  }
+  if (!backupPassword) {
+    showToast('Please enter the backup password', 'error');
+    return;
+  }
+  if (!walletPassword) {
+    showToast('Please enter your wallet password', 'error');
+    return;
+  }
+
+  try {
+    const result = await walletManager.restoreBackup(await file.text(), backupPassword, walletPassword, { resolution });
+    if (!result.restored) {
+      showRestoreConflicts(result.conflicts);
+      return;
+    }
+
+    resetWalletBackupForm();
+    await loadNetworks();
+    await loadDashboard();
+    showToast(`Backup restored: ${result.added} account(s) added, ${result.replaced} updated`, 'success');
+  } catch (error) {
+    console.error('Wallet backup restore failed:', error);
+    showToast('Restore failed: ' + error.message, 'error');
+  }
+}
+
+// === Copy Functions ===
+
+async function handleCopyReceiveAccount() {
+  const selector = document.getElementById('receive-account-selector');
+  let accountName = selector?.options[selector.selectedIndex]?.text;
+  // Strip "(Watch Only)" suffix if present
+  accountName = accountName?.replace(/ \(Watch Only\)$/, '') || '';
+  try {
+    await navigator.clipboard.writeText(accountName);
+    showToast('Account name copied!', 'success');
+  } catch (error) {
+    showToast('Failed to copy', 'error');
+  }
+}
+
+// === dApp Connection ===
+
+let pendingDappRequest = null;
+
+// === Background Message Handler ===
+
+function handleBackgroundMessage(message, sender, sendResponse) {
+  switch (message.type) {
+    case 'DAPP_CONNECTION_REQUEST':
+      pendingDappRequest = message;
+      document.getElementById('dapp-name').textContent = message.origin;
+      document.getElementById('dapp-origin').textContent = message.origin;
+      showModal('dapp-connect-modal');
+      break;
+      
+    case 'SIGN_TRANSACTION_REQUEST':
+      handleSignTransactionRequest(message);
+      break;
+      
+    case 'LOCK_WALLET':
+      handleLock();
+      break;
+
+    case 'ACCOUNT_BALANCES_CHANGED':
+    case 'ACCOUNT_ACTIVITY':
+      handleAccountUpdate(message);
+      break;
+  }
+}
+
+// === Live Account Updates ===
+
+let _balanceRefreshTimer = null;
+
+/**
+ * The service worker's account subscriptions report changes; refresh what
+ * the popup shows for the current account
+ */
+function handleAccountUpdate(message) {
+  const currentAccount = document.getElementById('account-id')?.dataset?.accountId;
+  if (isLocked || !currentAccount || message.accountId !== currentAccount) return;
+
+  // One transfer changes several balance objects; refresh once
+  clearTimeout(_balanceRefreshTimer);
+  _balanceRefreshTimer = setTimeout(() => loadBalances(currentAccount), 300);
+
+  if (message.type === 'ACCOUNT_ACTIVITY') {
+    prependHistoryOperations(currentAccount, message.operations || []);
+  }
+}
+
+/**
+ * Put new operations (newest first) at the top of a loaded history list
+ */
+async function prependHistoryOperations(accountId, operations) {
+  if (_history?.accountId !== accountId) return;
+  const historyList = document.getElementById('history-list');
+  const { operationType } = _history;
+
+  for (const operation of [...operations].reverse()) {
+    if (operationType !== null && operation.op[0] !== operationType) continue;
+    if (historyList.querySelector(`[data-op-id="${CSS.escape(operation.id)}"]`)) continue;
+    const historyItem = await createHistoryItem(operation);
+    if (historyItem) historyList.prepend(historyItem);
+  }
+  applyHistoryFilters();
+}
+
+async function handleSignTransactionRequest(message) {
+  if (isLocked) {
+    showScreen('unlock-screen');
+    return;
+  }
+
+  // Show transaction confirmation UI
+  // This would parse the transaction and display it for user approval
+  showToast('Transaction signing request received', 'info');
+}
+
+// Show indicator on unlock screen when there's a pending approval
+async function showPendingApprovalIndicator() {
+  try {
+    const result = await chrome.storage.local.get(['pendingApproval']);
+    const unlockScreen = document.getElementById('unlock-screen');
+    let indicator = document.getElementById('pending-approval-indicator');
+
+    // If no pending approval, remove indicator if it exists
+    if (!result.pendingApproval) {
+      if (indicator) {
+        indicator.remove();
+      }
+      return;
+    }
+
+    const { origin, type } = result.pendingApproval;
+
+    // Note: We don't check if site is already connected here because the wallet is locked
+    // and we don't know which account will be active after unlock.
+    // The actual check happens in checkPendingApproval() after unlock.
+
+    const hostname = new URL(origin).hostname;
+
+    // Add indicator below the unlock form
+    if (!indicator) {
+      indicator = document.createElement('div');
+      indicator.id = 'pending-approval-indicator';
+      indicator.className = 'pending-approval-indicator';
+      unlockScreen.appendChild(indicator);
+    }
+
+    let message, hint;
+    if (type === 'connection') {
+      message = `<strong>${escapeHtml(hostname)}</strong> wants to connect`;
+      hint = 'Unlock your wallet to approve the connection';
+    } else if (type === 'transfer') {
+      message = `<strong>${escapeHtml(hostname)}</strong> requests a transfer`;
+      hint = 'Unlock your wallet to review and sign';
+    } else if (type === 'signMessage') {
+      message = `<strong>${escapeHtml(hostname)}</strong> requests a message signature`;
+      hint = 'Unlock your wallet to review and sign';
+    } else {
+      message = `<strong>${escapeHtml(hostname)}</strong> requests a transaction`;
+      hint = 'Unlock your wallet to review and sign';
+    }
+    setHTML(indicator, `
+      <div class="pending-icon">🔔</div>
+      <p>${message}</p>
+      <p class="pending-hint">${hint}</p>
+    `);
+  } catch (error) {
+    console.error('Error showing pending approval indicator:', error);
+  }
+}
+
+// Show the connection modal as a gate before a pending transfer/transaction.
+// The pendingApproval (the transaction) stays in storage; after the user connects,
+// checkPendingApproval() is called again to show the transaction modal.
+async function showConnectionAuthGuard(requestId, pendingType, origin, network, currentAccount) {
+  const hostname = new URL(origin).hostname;
+  document.getElementById('dapp-name').textContent = hostname;
+  document.getElementById('dapp-origin').textContent = origin;
+
+  const networkLabel = getNetworkName(network);
+  const noticeEl = document.getElementById('dapp-connect-network');
+  if (noticeEl) noticeEl.textContent = `This approval is only valid for ${networkLabel}.`;
+
+  const dappIcon = document.getElementById('dapp-icon');
+  if (dappIcon) { dappIcon.src = '../assets/icons/dapp-default.svg'; dappIcon.alt = hostname; }
+
+  const msgEl = document.getElementById('dapp-connect-message');
+  if (msgEl) {
+    msgEl.textContent = pendingType === 'transfer'
+      ? 'Connect your account to authorize this transfer.'
+      : pendingType === 'signMessage'
+        ? 'Connect your account to authorize this signature request.'
+        : 'Connect your account to authorize this transaction.';
+  }
+
+  const accounts = await walletManager.getAllAccounts(network);
+  const signableAccounts = accounts.filter(acc => !acc.watchOnly);
+  const selector = document.getElementById('dapp-connect-account');
+  if (selector && signableAccounts.length > 0) {
+    setHTML(selector, signableAccounts.map(acc =>
+      `<option value="${escapeHtml(acc.id)}" data-name="${escapeHtml(acc.name)}" ${acc.id === currentAccount?.id ? 'selected' : ''}>${escapeHtml(acc.name)}</option>`
+    ).join(''));
+  }
+
+  // authGuard: pendingApproval in storage IS the transaction (not a connection request)
+  pendingDappRequest = { id: requestId, type: pendingType, origin, authGuard: true };
+  showModal('dapp-connect-modal');
+}
+
+// Check for pending dApp approval requests (opened from background script)
+async function checkPendingApproval() {
+  try {
+    const result = await chrome.storage.local.get(['pendingApproval']);
+    if (!result.pendingApproval) return;
+
+    // Clear stale entries that were never resolved (e.g. after a crash)
+    const TEN_MINUTES = 10 * 60 * 1000;
+    if (result.pendingApproval.timestamp && Date.now() - result.pendingApproval.timestamp > TEN_MINUTES) {
+      await chrome.storage.local.remove(['pendingApproval']);
+      await _browserAction.setBadgeText({ text: '' });
+      return;
+    }
+
+    const { requestId, type, origin, params } = result.pendingApproval;
+    const currentNetwork = document.getElementById('network-select')?.value || 'mainnet';
+
+    // Reject any request whose network doesn't match the wallet's current network.
+    // Legacy requests without a network field default to 'mainnet'.
+    // This check applies to ALL request types, including connection requests.
     const requestNetwork = result.pendingApproval.network || 'mainnet';
     if (requestNetwork !== currentNetwork) {
-      const networkLabel = currentNetwork === 'testnet' ? 'BitShares Testnet' : 'BitShares Mainnet';
+      const networkLabel = getNetworkName(currentNetwork);
       const reason = `Your wallet is connected to ${networkLabel}. Please switch your dApp to ${networkLabel} and try again.`;
       // Reject back to the dApp immediately (don't wait for the 90-second timeout)
       try {
@@ -4388,7 +6588,7 @@ async function checkPendingApproval() {
         await chrome.storage.local.remove(['pendingApproval']);
         await _browserAction.setBadgeText({ text: '' });
       }
-      showToast(`Request rejected — wallet is on ${currentNetwork}`, 'info');
+      showToast(`Request rejected — wallet is on ${getNetworkName(currentNetwork)}`, 'info');
       return;
     }
 
@@ -4425,7 +6625,7 @@ async function checkPendingApproval() {
       const hostname = new URL(origin).hostname;
       document.getElementById('dapp-name').textContent = hostname;
       document.getElementById('dapp-origin').textContent = origin;
-      const networkLabel = currentNetwork === 'testnet' ? 'BitShares Testnet' : 'BitShares Mainnet';
+      const networkLabel = getNetworkName(currentNetwork);
       const noticeEl = document.getElementById('dapp-connect-network');
       if (noticeEl) noticeEl.textContent = `This approval is only valid for ${networkLabel}.`;
 
@@ -4473,7 +6673,18 @@ async function checkPendingApproval() {
       }
       // Show generic transaction signing modal with operation details
       const operations = params?.operations || params?.ops || (params?.transaction?.operations) || [];
-      await showTransactionSigningModal(requestId, origin, operations);
+      await showTransactionSigningModal(requestId, origin, operations, params?.fee_asset || params?.transaction?.fee_asset);
+    } else if (type in DAPP_ACTION_MODALS) {
+      // signMessage / swap / limitOrder: same auth guard as transfers
+      const currentAccount = await walletManager.getCurrentAccount();
+      const alreadyConnected = currentAccount?.id
+        ? await walletManager.isSiteConnected(origin, currentAccount.id, currentNetwork)
+        : false;
+      if (!alreadyConnected) {
+        await showConnectionAuthGuard(requestId, type, origin, currentNetwork, currentAccount);
+        return;
+      }
+      await showDappActionModal(requestId, type, origin, params || {}, currentAccount);
     }
   } catch (error) {
     console.error('Error checking pending approval:', error);
@@ -4506,6 +6717,7 @@ async function showTransferApprovalModal(requestId, origin, params) {
   // node cannot serialise placeholder public keys. Reading the fee schedule directly
   // and adding price_per_kbyte × memo_size is both reliable and accurate.
   const feeEl = document.getElementById('transfer-fee');
+  clearFeeAssetSelect('transfer-fee-asset');
   if (feeEl) {
     feeEl.textContent = 'Loading...';
     try {
@@ -4528,9 +6740,13 @@ async function showTransferApprovalModal(requestId, origin, params) {
             totalFee += Math.floor(memoSerialised * fp.price_per_kbyte / 1024);
           }
 
-          const btsAsset = await btsAPI.getAsset('1.3.0');
-          const precision = Math.pow(10, btsAsset.precision);
-          feeEl.textContent = `${(totalFee / precision).toFixed(btsAsset.precision)} ${btsAsset.symbol}`;
+          // Shown in the fee asset the dApp asked for; the user can pick another
+          await setupFeeAssetSelect('transfer-fee-asset', {
+            feeId: 'transfer-fee',
+            warningId: 'transfer-fee-warning',
+            coreFee: totalFee,
+            preferred: transferParams.fee_asset
+          });
         } else {
           feeEl.textContent = '?';
         }
@@ -4676,7 +6892,11 @@ async function handleTransferApprove() {
     try {
       const result = await chrome.runtime.sendMessage({
         type: 'DAPP_APPROVE_TRANSFER',
-        data: { requestId: pendingDappRequest.id, approved: true }
+        data: {
+          requestId: pendingDappRequest.id,
+          approved: true,
+          feeAsset: document.getElementById('transfer-fee-asset')?.value || null
+        }
       });
       if (result?.success === false) {
         showToast('Transfer failed: ' + (result.error || 'Unknown error'), 'error');
@@ -4695,6 +6915,111 @@ async function handleTransferApprove() {
   hideModal('dapp-transfer-modal');
 }
 
+// === Sign Message / Swap / Limit Order Approval ===
+
+// Request type → modal id, service-worker approval message, toast wording and,
+// for requests that broadcast, the operation whose fee the fee-asset picker shows
+const DAPP_ACTION_MODALS = {
+  signMessage: { modalId: 'dapp-sign-message-modal', message: 'DAPP_APPROVE_SIGN_MESSAGE', done: 'Message signed', label: 'Signing' },
+  swap:        { modalId: 'dapp-swap-modal',         message: 'DAPP_APPROVE_SWAP',         done: 'Swap executed', label: 'Swap',
+                 fee: { operation: 'liquidity_pool_exchange', selectId: 'dapp-swap-fee-asset', feeId: 'dapp-swap-fee', warningId: 'dapp-swap-fee-warning' } },
+  limitOrder:  { modalId: 'dapp-limit-order-modal',  message: 'DAPP_APPROVE_LIMIT_ORDER',  done: 'Order placed',  label: 'Order',
+                 fee: { operation: 'limit_order_create', selectId: 'limit-order-fee-asset', feeId: 'limit-order-fee', warningId: 'limit-order-fee-warning' } },
+  vote:        { modalId: 'dapp-vote-modal',         message: 'DAPP_APPROVE_VOTE',         done: 'Votes updated', label: 'Vote',
+                 fee: { operation: 'account_update', selectId: 'dapp-vote-fee-asset', feeId: 'dapp-vote-fee', warningId: 'dapp-vote-fee-warning' } }
+};
+
+// dApps may pass either a symbol or a 1.3.x id; show the symbol when we can
+async function dappAssetLabel(ref) {
+  if (typeof ref === 'string' && /^1\.3\.\d+$/.test(ref) && btsAPI?.isConnected) {
+    try {
+      const asset = await btsAPI.getAsset(ref);
+      if (asset?.symbol) return asset.symbol;
+    } catch (_) { /* fall through to raw ref */ }
+  }
+  return String(ref ?? '?');
+}
+
+async function showDappActionModal(requestId, type, origin, params, account) {
+  if (type === 'signMessage') {
+    document.getElementById('sign-message-origin').textContent = origin;
+    document.getElementById('sign-message-account').textContent = account?.name || 'Unknown';
+    document.getElementById('sign-message-text').textContent = params.message || '';
+  } else if (type === 'swap') {
+    const sellSymbol = await dappAssetLabel(params.sellAsset);
+    const buySymbol = await dappAssetLabel(params.buyAsset);
+    document.getElementById('dapp-swap-origin').textContent = origin;
+    document.getElementById('dapp-swap-sell').textContent = `${params.sellAmount} ${sellSymbol}`;
+    document.getElementById('dapp-swap-buy').textContent = buySymbol;
+    const stored = await chrome.storage.local.get(SWAP_SLIPPAGE_KEY);
+    const slippage = params.slippage ?? swapSlippage(stored[SWAP_SLIPPAGE_KEY]);
+    document.getElementById('dapp-swap-min').textContent = parseFloat(params.minReceive) > 0
+      ? `${params.minReceive} ${buySymbol}`
+      : `Best pool quote − ${slippage}% slippage`;
+  } else if (type === 'limitOrder') {
+    const sellSymbol = await dappAssetLabel(params.sellAsset);
+    const buySymbol = await dappAssetLabel(params.buyAsset);
+    const price = parseFloat(params.buyAmount) / parseFloat(params.sellAmount);
+    const expiresAt = new Date(Date.now() + Number(params.expiration || 86400) * 1000);
+    document.getElementById('limit-order-origin').textContent = origin;
+    document.getElementById('limit-order-sell').textContent = `${params.sellAmount} ${sellSymbol}`;
+    document.getElementById('limit-order-buy').textContent = `${params.buyAmount} ${buySymbol}`;
+    document.getElementById('limit-order-price').textContent = Number.isFinite(price)
+      ? `${price.toPrecision(6)} ${buySymbol}/${sellSymbol}`
+      : '?';
+    document.getElementById('limit-order-expiration').textContent = expiresAt.toLocaleString();
+    document.getElementById('limit-order-fill-or-kill').textContent = params.fillOrKill
+      ? 'Yes — cancelled unless it fills at once'
+      : 'No';
+  } else if (type === 'vote') {
+    document.getElementById('dapp-vote-origin').textContent = origin;
+    setHTML(document.getElementById('dapp-vote-details'), await renderVoteRequestDetails(params, account));
+  }
+
+  const feeConfig = DAPP_ACTION_MODALS[type].fee;
+  if (feeConfig) clearFeeAssetSelect(feeConfig.selectId);
+  if (feeConfig && btsAPI?.isConnected) {
+    try {
+      const fee = await btsAPI.getOperationFee(feeConfig.operation);
+      await setupFeeAssetSelect(feeConfig.selectId, { ...feeConfig, coreFee: fee.coreAmount, preferred: params.fee_asset });
+    } catch (e) {
+      console.error('Fee estimation error:', e);
+    }
+  }
+
+  pendingDappRequest = { id: requestId, type, origin };
+  showModal(DAPP_ACTION_MODALS[type].modalId);
+}
+
+async function handleDappActionResponse(approved) {
+  const req = pendingDappRequest;
+  pendingDappRequest = null;
+  const config = req && DAPP_ACTION_MODALS[req.type];
+  if (!config) return;
+  hideModal(config.modalId);
+
+  try {
+    const feeAsset = config.fee ? document.getElementById(config.fee.selectId)?.value || null : null;
+    const result = await chrome.runtime.sendMessage({
+      type: config.message,
+      data: { requestId: req.id, approved, feeAsset }
+    });
+    if (approved) {
+      if (result?.success === false) {
+        showToast(`${config.label} failed: ` + (result.error || 'Unknown error'), 'error');
+      } else {
+        showToast(`${config.done}!`, 'success');
+        if (req.type !== 'signMessage') await loadDashboard();
+      }
+    }
+  } catch (e) {
+    console.error(`Failed to respond to ${req.type} request:`, e);
+    if (approved) showToast(`${config.label} failed: ` + e.message, 'error');
+  }
+  await chrome.storage.local.remove(['pendingApproval']);
+  await _browserAction.setBadgeText({ text: '' });
+}
+
 // === Generic Transaction Signing Modal ===
 
 // Map of operation type index to human-readable name
@@ -5503,34 +7828,59 @@ async function renderOperationDetails(opType, opData) {
   return `<div class="op-detail-rows">${rows.join('')}</div>`;
 }
 
+let _signingReview = null; // { requestId, requested } of the open transaction signing modal
+
 /**
- * Show the generic transaction signing modal.
- * operations is an array of [opType, opData] pairs (BitShares transaction format).
+ * Have the service worker prepare the pending request's transaction (ids
+ * resolved, fees filled, block headers set) and decode its serialized bytes,
+ * so the modal shows what is actually signed rather than the JSON the site
+ * sent. Approval signs that same prepared transaction.
+ * Returns null when it cannot be prepared or the bytes cannot be decoded.
  */
-async function showTransactionSigningModal(requestId, origin, operations) {
-  const originEl = document.getElementById('tx-sign-origin');
+async function decodeSigningOperations(requestId, feeAsset) {
+  try {
+    const network = document.getElementById('network-select')?.value || 'mainnet';
+    const prepared = await chrome.runtime.sendMessage({
+      type: 'DAPP_PREPARE_TRANSACTION',
+      data: { requestId, feeAsset }
+    });
+    if (!prepared?.bytes) throw new Error(prepared?.error || 'No transaction returned');
+    return btsAPI.deserializeTransaction(prepared.bytes, getKeyPrefix(network)).operations;
+  } catch (error) {
+    console.error('Could not decode transaction for review:', error);
+    return null;
+  }
+}
+
+/**
+ * Render the operations of the transaction signing modal, decoded from the
+ * bytes prepared for the fee asset currently picked; falls back to the
+ * request as sent by the site.
+ */
+async function renderSigningOperations(requestId, requested) {
   const badgeEl = document.getElementById('tx-sign-op-badge');
   const detailsEl = document.getElementById('tx-sign-details');
+  const decodeStatusEl = document.getElementById('tx-sign-decode-status');
 
-  if (originEl) originEl.textContent = origin;
-
-  if (!operations || operations.length === 0) {
-    if (badgeEl) badgeEl.textContent = 'Unknown Operation';
-    if (detailsEl) setHTML(detailsEl, '<p class="op-detail-empty">No operation data available.</p>');
-    pendingDappRequest = { id: requestId, type: 'transaction', origin };
-    showModal('dapp-transaction-modal');
-    return;
+  const decoded = await decodeSigningOperations(
+    requestId,
+    document.getElementById('tx-sign-fee-asset')?.value || null
+  );
+  if (decodeStatusEl) {
+    decodeStatusEl.textContent = decoded
+      ? 'Decoded from the exact bytes that will be signed.'
+      : 'Could not decode the transaction bytes — showing the request as sent by the site.';
+    decodeStatusEl.classList.toggle('failed', !decoded);
+    decodeStatusEl.style.display = '';
   }
+  const operations = decoded || requested;
 
   // Render all operations in the transaction
   let allDetailsHtml = '';
   let badgeText = '';
 
   for (let i = 0; i < operations.length; i++) {
-    const op = operations[i];
-    // BitShares ops are encoded as [opType, opData]
-    const opType = Array.isArray(op) ? op[0] : (op.type !== undefined ? op.type : op.op_type);
-    const opData = Array.isArray(op) ? op[1] : (op.data || op.op || op);
+    const [opType, opData] = operations[i];
 
     const opName = OPERATION_NAMES[opType] || `Operation ${opType}`;
 
@@ -5551,6 +7901,61 @@ async function showTransactionSigningModal(requestId, origin, operations) {
 
   if (badgeEl) badgeEl.textContent = badgeText;
   if (detailsEl) setHTML(detailsEl, allDetailsHtml);
+}
+
+/**
+ * Show the generic transaction signing modal.
+ * operations is an array of [opType, opData] pairs (BitShares transaction format);
+ * feeAsset is the dApp's optional fee_asset, applied to every operation.
+ */
+async function showTransactionSigningModal(requestId, origin, operations, feeAsset = null) {
+  const originEl = document.getElementById('tx-sign-origin');
+  const badgeEl = document.getElementById('tx-sign-op-badge');
+  const detailsEl = document.getElementById('tx-sign-details');
+  const decodeStatusEl = document.getElementById('tx-sign-decode-status');
+
+  if (originEl) originEl.textContent = origin;
+  if (decodeStatusEl) decodeStatusEl.style.display = 'none';
+  clearFeeAssetSelect('tx-sign-fee-asset');
+  _signingReview = null;
+
+  if (!operations || operations.length === 0) {
+    if (badgeEl) badgeEl.textContent = 'Unknown Operation';
+    if (detailsEl) setHTML(detailsEl, '<p class="op-detail-empty">No operation data available.</p>');
+    pendingDappRequest = { id: requestId, type: 'transaction', origin };
+    showModal('dapp-transaction-modal');
+    return;
+  }
+
+  // BitShares ops are encoded as [opType, opData]
+  let requested = operations.map(op => Array.isArray(op)
+    ? op
+    : [op.type !== undefined ? op.type : op.op_type, op.data || op.op || op]);
+  if (feeAsset) {
+    requested = requested.map(([opType, opData]) => [opType, { ...opData, fee: { amount: 0, asset_id: feeAsset } }]);
+  }
+
+  // Fee-asset picker: the fee schedule's base fees summed in core, converted on display
+  if (btsAPI?.isConnected) {
+    try {
+      let coreFee = 0;
+      for (const [opType] of requested) {
+        coreFee += (await btsAPI.getOperationFee(Number(opType))).coreAmount;
+      }
+      await setupFeeAssetSelect('tx-sign-fee-asset', {
+        feeId: 'tx-sign-fee',
+        warningId: 'tx-sign-fee-warning',
+        coreFee,
+        preferred: feeAsset || requested[0][1]?.fee?.asset_id
+      });
+    } catch (e) {
+      console.error('Fee estimation error:', e);
+    }
+  }
+
+  // The picked fee asset is part of the signed bytes: decode again when it changes
+  _signingReview = { requestId, requested };
+  await renderSigningOperations(requestId, requested);
 
   pendingDappRequest = { id: requestId, type: 'transaction', origin };
   showModal('dapp-transaction-modal');
@@ -5570,6 +7975,7 @@ async function handleTransactionSignReject() {
     await _browserAction.setBadgeText({ text: '' });
   }
   pendingDappRequest = null;
+  _signingReview = null;
   hideModal('dapp-transaction-modal');
 }
 
@@ -5578,7 +7984,11 @@ async function handleTransactionSignApprove() {
     try {
       const result = await chrome.runtime.sendMessage({
         type: 'DAPP_APPROVE_TRANSACTION',
-        data: { requestId: pendingDappRequest.id, approved: true }
+        data: {
+          requestId: pendingDappRequest.id,
+          approved: true,
+          feeAsset: document.getElementById('tx-sign-fee-asset')?.value || null
+        }
       });
       if (result?.success === false) {
         showToast('Transaction failed: ' + (result.error || 'Unknown error'), 'error');
@@ -5594,6 +8004,7 @@ async function handleTransactionSignApprove() {
     await _browserAction.setBadgeText({ text: '' });
   }
   pendingDappRequest = null;
+  _signingReview = null;
   hideModal('dapp-transaction-modal');
 }
 
@@ -6091,7 +8502,16 @@ let swapState = {
   toAsset: null,
   pools: [],
   selectedPool: null,
-  userBalances: []
+  userBalances: [],
+  matchingPools: [],   // pools of the selected pair
+  assets: null,        // Map of the pair's asset objects, for quotes
+  quote: null,         // the swap to make for the FROM amount (pool quote or route)
+  poolPinned: false,   // the user picked a pool rather than the best one
+  slippage: DEFAULT_SLIPPAGE,
+  routes: null,        // {graph, paths, assets} between the pair
+  route: null,         // best route for the FROM amount
+  routeError: null,
+  orderBooks: false    // route through order books as well as pools
 };
 
 document.getElementById('swap-from-asset')?.addEventListener('change', handleSwapFromAssetChange);
@@ -6103,6 +8523,11 @@ document.getElementById('btn-execute-swap')?.addEventListener('click', handleSho
 document.getElementById('btn-swap-max')?.addEventListener('click', handleSwapMax);
 document.getElementById('btn-swap-cancel')?.addEventListener('click', () => hideModal('swap-confirm-modal'));
 document.getElementById('btn-swap-confirm')?.addEventListener('click', handleExecuteSwap);
+document.querySelectorAll('.slippage-option').forEach(option => {
+  option.addEventListener('click', () => setSwapSlippage(Number(option.dataset.slippage)));
+});
+document.getElementById('swap-slippage-custom')?.addEventListener('input', handleSwapSlippageInput);
+document.getElementById('swap-order-books')?.addEventListener('change', handleSwapOrderBooksChange);
 
 async function handleShowSwap() {
   // Check if current account is watch-only
@@ -6149,6 +8574,17 @@ async function initializeSwap() {
     swapState.toAsset = null;
     swapState.pools = [];
     swapState.selectedPool = null;
+    swapState.matchingPools = [];
+    swapState.assets = null;
+    swapState.quote = null;
+    swapState.poolPinned = false;
+    swapState.routes = null;
+    swapState.route = null;
+    swapState.routeError = null;
+
+    const stored = await chrome.storage.local.get(SWAP_SLIPPAGE_KEY);
+    swapState.slippage = swapSlippage(stored[SWAP_SLIPPAGE_KEY]);
+    renderSwapSlippage();
 
     // Clear amount fields
     document.getElementById('swap-from-amount').value = '';
@@ -6222,6 +8658,12 @@ async function handleSwapFromAssetChange(e) {
   }
 
   swapState.fromAsset = assetId;
+  swapState.toAsset = null;
+  swapState.matchingPools = [];
+  swapState.quote = null;
+  swapState.poolPinned = false;
+  document.getElementById('swap-pools-section').style.display = 'none';
+  document.getElementById('swap-details').style.display = 'none';
 
   // Clear amount fields when asset changes
   document.getElementById('swap-from-amount').value = '';
@@ -6243,51 +8685,23 @@ async function handleSwapFromAssetChange(e) {
 
 async function findSwapPools(assetId) {
   try {
-    showToast('Finding liquidity pools...', 'info');
-
-    // Get all liquidity pools for this asset
-    const pools = await btsAPI.call(
-      btsAPI.apiIds.database,
-      'get_liquidity_pools_by_asset_a',
-      [assetId, 100]
-    );
-
-    const poolsB = await btsAPI.call(
-      btsAPI.apiIds.database,
-      'get_liquidity_pools_by_asset_b',
-      [assetId, 100]
-    );
-
-    // Combine and dedupe
-    const allPools = [...(pools || []), ...(poolsB || [])];
-    const uniquePools = allPools.filter((pool, index, self) =>
-      index === self.findIndex(p => p.id === pool.id)
-    );
-
-    swapState.pools = uniquePools;
-
-    // Get counter assets for the to dropdown
-    const counterAssets = new Set();
-    for (const pool of uniquePools) {
-      if (pool.asset_a === assetId) {
-        counterAssets.add(pool.asset_b);
-      } else {
-        counterAssets.add(pool.asset_a);
-      }
-    }
+    showToast('Finding swap routes...', 'info');
+
+    // Every pool: assets without a direct pool can still be reached through others
+    const pools = await btsAPI.getLiquidityPools();
+    swapState.pools = pools.filter(pool => pool.asset_a === assetId || pool.asset_b === assetId);
+    const reachable = SwapRouter.reachableAssets(SwapRouter.graph(pools), assetId);
 
     // Populate to asset dropdown
     const toSelect = document.getElementById('swap-to-asset');
-    setHTML(toSelect, '<option value="">Select asset</option>');
-
-    for (const counterAssetId of counterAssets) {
-      const asset = await btsAPI.getAsset(counterAssetId);
-      if (asset) {
-        appendHTML(toSelect, `<option value="${escapeHtml(asset.id)}" data-symbol="${escapeHtml(asset.symbol)}" data-precision="${asset.precision}">${escapeHtml(asset.symbol)}</option>`);
-      }
-    }
+    const counterAssets = (await btsAPI.getAssets([...reachable]))
+      .filter(Boolean)
+      .sort((a, b) => a.symbol.localeCompare(b.symbol));
+    setHTML(toSelect, '<option value="">Select asset</option>' + counterAssets.map(asset =>
+      `<option value="${escapeHtml(asset.id)}" data-symbol="${escapeHtml(asset.symbol)}" data-precision="${asset.precision}">${escapeHtml(asset.symbol)}</option>`
+    ).join(''));
 
-    if (counterAssets.size === 0) {
+    if (counterAssets.length === 0) {
       showToast('No liquidity pools found for this asset', 'info');
     }
   } catch (error) {
@@ -6301,66 +8715,83 @@ async function handleSwapToAssetChange(e) {
   if (!toAssetId || !swapState.fromAsset) return;
 
   swapState.toAsset = toAssetId;
+  swapState.poolPinned = false;
 
   // Clear only the output field; keep the amount the user already typed
   document.getElementById('swap-to-amount').value = '';
   document.getElementById('swap-min-received').textContent = '-';
 
-  // Find matching pools
-  const matchingPools = swapState.pools.filter(pool =>
-    (pool.asset_a === swapState.fromAsset && pool.asset_b === toAssetId) ||
-    (pool.asset_b === swapState.fromAsset && pool.asset_a === toAssetId)
-  );
-
-  if (matchingPools.length === 0) {
-    showToast('No pools found for this pair', 'error');
+  try {
+    await reloadSwapRoutes();
+  } catch (error) {
+    console.error('Find routes error:', error);
+    showToast('Failed to find swap routes', 'error');
+    return;
+  }
+  if (swapState.routes.paths.length === 0) {
+    showToast('No swap route for this pair', 'error');
     return;
   }
 
-  // Calculate rates and sort by best rate
-  const poolsWithRates = await calculatePoolRates(matchingPools);
-
-  // Display pools
-  displaySwapPools(poolsWithRates);
+  await handleSwapFromAmountChange();
 }
 
-async function calculatePoolRates(pools) {
-  const fromAsset = await btsAPI.getAsset(swapState.fromAsset);
-  const toAsset = await btsAPI.getAsset(swapState.toAsset);
+/**
+ * Fresh pools, order books and routes for the pair; quotes go stale as
+ * others trade
+ */
+async function reloadSwapRoutes() {
+  swapState.routes = await walletManager.loadSwapRoutes(swapState.fromAsset, swapState.toAsset, {
+    orderBooks: swapState.orderBooks
+  });
+  // Full asset objects: the quotes need their precision and market fees
+  swapState.assets = swapState.routes.assets;
+  swapState.matchingPools = (swapState.routes.graph.get(swapState.fromAsset)?.get(swapState.toAsset) || [])
+    .filter(venue => venue.type === 'pool')
+    .map(venue => venue.pool);
+}
 
-  const poolsWithRates = [];
+/**
+ * Each pool's spot rate and, for an amount in base units, its exact quote.
+ * Sorted best first: most received for the amount, else best rate after the
+ * pool fee.
+ */
+async function calculatePoolRates(pools, amount = null) {
+  const fromAsset = swapState.assets.get(swapState.fromAsset);
+  const toAsset = swapState.assets.get(swapState.toAsset);
 
-  for (const pool of pools) {
+  const poolsWithRates = pools.map(pool => {
     const isAssetAFrom = pool.asset_a === swapState.fromAsset;
+    const balanceIn = isAssetAFrom ? pool.balance_a : pool.balance_b;
+    const balanceOut = isAssetAFrom ? pool.balance_b : pool.balance_a;
+    const feePercent = parseInt(pool.taker_fee_percent || 0) / 100;
 
-    const balanceA = parseInt(pool.balance_a);
-    const balanceB = parseInt(pool.balance_b);
-
-    // Calculate rate using constant product formula
-    let rate;
-    if (isAssetAFrom) {
-      // Swapping A for B
-      rate = balanceB / balanceA;
-    } else {
-      // Swapping B for A
-      rate = balanceA / balanceB;
+    let quote = null;
+    let quoteError = null;
+    if (amount) {
+      try {
+        quote = LiquidityPools.quote(pool, swapState.fromAsset, amount, swapState.assets);
+      } catch (error) {
+        quoteError = error.message;
+      }
     }
 
-    // Adjust for precision
-    const fromPrecision = Math.pow(10, fromAsset.precision);
-    const toPrecision = Math.pow(10, toAsset.precision);
-    rate = rate * (fromPrecision / toPrecision);
-
-    poolsWithRates.push({
+    return {
       ...pool,
-      rate,
-      feePercent: parseInt(pool.taker_fee_percent) / 100,
-      isAssetAFrom
-    });
-  }
+      // Spot price in display units, before fees
+      rate: Number(DexMarket.formatPrice(balanceOut, toAsset.precision, balanceIn, fromAsset.precision)),
+      feePercent,
+      isAssetAFrom,
+      quote,
+      quoteError
+    };
+  });
 
-  // Sort by best rate (highest rate for the user)
-  poolsWithRates.sort((a, b) => b.rate - a.rate);
+  if (amount) {
+    poolsWithRates.sort((a, b) => (b.quote?.receive.amount ?? -1) - (a.quote?.receive.amount ?? -1));
+  } else {
+    poolsWithRates.sort((a, b) => b.rate * (100 - b.feePercent) - a.rate * (100 - a.feePercent));
+  }
 
   return poolsWithRates;
 }
@@ -6368,20 +8799,34 @@ async function calculatePoolRates(pools) {
 function displaySwapPools(pools) {
   const poolsList = document.getElementById('swap-pools-list');
   const poolsSection = document.getElementById('swap-pools-section');
+  const toAsset = swapState.assets.get(swapState.toAsset);
+
+  // Keep the pool the user picked; otherwise the best one
+  const pinned = swapState.poolPinned && pools.find(p => p.id === swapState.selectedPool?.id);
+  swapState.selectedPool = pinned || pools[0] || null;
 
   poolsList.replaceChildren();
+  if (pools.length === 0) {
+    poolsSection.style.display = 'none';
+    updateSwapDetails();
+    return;
+  }
 
   pools.forEach((pool, index) => {
     const item = document.createElement('div');
-    item.className = `pool-item${index === 0 ? ' selected' : ''}`;
+    item.className = `pool-item${pool.id === swapState.selectedPool.id ? ' selected' : ''}`;
     item.dataset.poolId = pool.id;
 
+    // What this pool pays for the amount, else its spot rate
+    const value = pool.quote
+      ? `${DexMarket.formatUnits(pool.quote.receive.amount, toAsset.precision)} ${toAsset.symbol}`
+      : pool.quoteError || pool.rate.toFixed(6);
     setHTML(item, `
       <div class="pool-info">
-        <div class="pool-name">Pool ${escapeHtml(pool.id)}${index === 0 ? '<span class="pool-badge">Best</span>' : ''}</div>
+        <div class="pool-name">Pool ${escapeHtml(pool.id)}${index === 0 && !pool.quoteError ? '<span class="pool-badge">Best</span>' : ''}</div>
         <div class="pool-liquidity">Fee: ${pool.feePercent.toFixed(2)}%</div>
       </div>
-      <div class="pool-rate">${pool.rate.toFixed(6)}</div>
+      <div class="pool-rate">${escapeHtml(value)}</div>
     `);
 
     poolsList.appendChild(item);
@@ -6389,42 +8834,42 @@ function displaySwapPools(pools) {
 
   poolsSection.style.display = 'block';
 
-  // Select first pool (best rate)
-  swapState.selectedPool = pools[0];
-  updateSwapDetails();
-  handleSwapFromAmountChange(); // recalculate output from any existing input amount
-
-  // Add click handlers
   poolsList.querySelectorAll('.pool-item').forEach(item => {
     item.addEventListener('click', () => {
       poolsList.querySelectorAll('.pool-item').forEach(i => i.classList.remove('selected'));
       item.classList.add('selected');
       swapState.selectedPool = pools.find(p => p.id === item.dataset.poolId);
+      swapState.poolPinned = true;
       updateSwapDetails();
-      handleSwapFromAmountChange();
+      updateSwapQuote();
     });
   });
 
-  // Enable swap button
-  document.getElementById('btn-execute-swap').disabled = false;
-  document.getElementById('btn-execute-swap').textContent = 'Swap';
+  updateSwapDetails();
 }
 
 async function updateSwapDetails() {
   const pool = swapState.selectedPool;
-  if (!pool) return;
-
-  document.getElementById('swap-rate').textContent = `1 = ${pool.rate.toFixed(6)}`;
-  document.getElementById('swap-pool-fee').textContent = `${pool.feePercent.toFixed(2)}%`;
+  const fromAsset = swapState.assets.get(swapState.fromAsset);
+  const toAsset = swapState.assets.get(swapState.toAsset);
+  document.getElementById('swap-rate').textContent = pool
+    ? `1 ${fromAsset.symbol} = ${pool.rate.toFixed(6)} ${toAsset.symbol}`
+    : '-';
   document.getElementById('swap-details').style.display = 'block';
 
-  // Fetch and display transaction fee
+  // Fetch and display transaction fee, keeping the fee asset already picked
   const txFeeEl = document.getElementById('swap-tx-fee');
   if (txFeeEl) {
     try {
       if (btsAPI && btsAPI.isConnected) {
         const fee = await btsAPI.getOperationFee('liquidity_pool_exchange');
         txFeeEl.textContent = fee?.formatted || '~0.01 BTS';
+        await setupFeeAssetSelect('swap-fee-asset', {
+          feeId: 'swap-tx-fee',
+          warningId: 'swap-fee-warning',
+          coreFee: fee.coreAmount,
+          preferred: document.getElementById('swap-fee-asset')?.value || '1.3.0'
+        });
       }
     } catch (e) {
       txFeeEl.textContent = '~0.01 BTS';
@@ -6432,62 +8877,232 @@ async function updateSwapDetails() {
   }
 }
 
-// Calculate TO amount based on FROM amount
-async function handleSwapFromAmountChange() {
-  const amount = parseFloat(document.getElementById('swap-from-amount').value) || 0;
-  const pool = swapState.selectedPool;
+/**
+ * The swap to make: the selected pool's quote, or the best route when it goes
+ * through other assets or an order book and pays more than that pool
+ * @returns {{sell, receive, minReceive: number, priceImpact: number, route: Object|null}|null}
+ */
+function activeSwapQuote() {
+  const quote = swapState.selectedPool?.quote || null;
+  const route = swapState.route;
+  const direct = route && route.hops.length === 1 && route.hops[0].type === 'pool';
+  if (route && !direct && !swapState.poolPinned && (!quote || route.receive.amount > quote.receive.amount)) {
+    return { sell: route.sell, receive: route.receive, minReceive: route.minReceive.amount, priceImpact: route.priceImpact, route };
+  }
+  if (!quote) return null;
+  return {
+    sell: quote.sell,
+    receive: quote.receive,
+    minReceive: LiquidityPools.minToReceive(quote.receive.amount, swapState.slippage),
+    priceImpact: quote.priceImpact,
+    route: null
+  };
+}
 
-  if (!pool || amount <= 0) {
-    document.getElementById('swap-to-amount').value = '';
+/** The hops of a route as "BTS → USD (Pool 1.19.5)" lines */
+function swapRouteHops(route) {
+  return route.hops.map(hop => {
+    const from = swapState.assets.get(hop.sell.asset_id)?.symbol || hop.sell.asset_id;
+    const to = swapState.assets.get(hop.receive.asset_id)?.symbol || hop.receive.asset_id;
+    return `${from} → ${to} (${hop.type === 'pool' ? `Pool ${hop.pool}` : 'Order book'})`;
+  });
+}
+
+/**
+ * Show the quote of the swap to make: output, effective rate, price impact,
+ * fees or route, and the minimum received at the slippage tolerance
+ */
+function updateSwapQuote({ keepToAmount = false } = {}) {
+  const pool = swapState.selectedPool;
+  const active = activeSwapQuote();
+  swapState.quote = active;
+
+  const button = document.getElementById('btn-execute-swap');
+  const impactEl = document.getElementById('swap-price-impact');
+  const warningEl = document.getElementById('swap-impact-warning');
+  const routeRow = document.getElementById('swap-route-row');
+  warningEl.style.display = 'none';
+  impactEl.className = '';
+  routeRow.style.display = active?.route ? '' : 'none';
+  document.getElementById('swap-pool-fee-row').style.display = active?.route ? 'none' : '';
+  document.getElementById('swap-market-fee-row').style.display = active?.route ? 'none' : '';
+
+  if (!active) {
+    if (!keepToAmount) document.getElementById('swap-to-amount').value = '';
     document.getElementById('swap-min-received').textContent = '-';
+    document.getElementById('swap-pool-fee').textContent = pool ? `${pool.feePercent.toFixed(2)}%` : '-';
+    document.getElementById('swap-market-fee').textContent = '-';
+    impactEl.textContent = '-';
+    button.disabled = true;
+    button.textContent = pool?.quoteError || swapState.routeError || (swapState.toAsset ? 'Enter an amount' : 'Select assets to swap');
     return;
   }
 
-  // Get TO asset precision
-  const toAsset = await btsAPI.getAsset(swapState.toAsset);
-  const toPrecision = toAsset?.precision || 5;
+  const fromAsset = swapState.assets.get(active.sell.asset_id);
+  const toAsset = swapState.assets.get(active.receive.asset_id);
+  const format = (amount, asset) => `${DexMarket.formatUnits(amount.amount, asset.precision)} ${asset.symbol}`;
+
+  if (!keepToAmount) {
+    document.getElementById('swap-to-amount').value = DexMarket.formatUnits(active.receive.amount, toAsset.precision);
+  }
+  document.getElementById('swap-rate').textContent = `1 ${fromAsset.symbol} = ${DexMarket.formatPrice(
+    active.receive.amount, toAsset.precision, active.sell.amount, fromAsset.precision)} ${toAsset.symbol}`;
+
+  if (active.route) {
+    const hops = document.getElementById('swap-route-hops');
+    setHTML(hops, swapRouteHops(active.route).map(line => `<div>${escapeHtml(line)}</div>`).join(''));
+    // Each hop sells the least the one before may deliver; the margin stays with the account
+    const leftovers = active.route.leftovers.map(leftover => format(leftover, swapState.assets.get(leftover.asset_id)));
+    const leftoverEl = document.getElementById('swap-route-leftover');
+    leftoverEl.textContent = leftovers.length ? `Expected to stay in your account: ${leftovers.join(', ')}` : '';
+    leftoverEl.style.display = leftovers.length ? '' : 'none';
+  } else {
+    const quote = pool.quote;
+    document.getElementById('swap-pool-fee').textContent =
+      `${pool.feePercent.toFixed(2)}% (${format(quote.poolFee, toAsset)})`;
+    const marketFees = [[quote.makerMarketFee, fromAsset], [quote.takerMarketFee, toAsset]]
+      .filter(([fee]) => fee.amount > 0)
+      .map(([fee, asset]) => format(fee, asset));
+    document.getElementById('swap-market-fee').textContent = marketFees.join(' + ') || 'None';
+  }
+  document.getElementById('swap-min-received').textContent = format({ amount: active.minReceive }, toAsset);
+
+  impactEl.textContent = `${active.priceImpact.toFixed(2)}%`;
+  button.disabled = false;
+  button.textContent = 'Swap';
+  if (active.priceImpact >= PRICE_IMPACT_LIMIT) {
+    impactEl.className = 'impact-blocked';
+    warningEl.textContent = `Price impact above ${PRICE_IMPACT_LIMIT}% — this amount would move the pool price too far. Swap a smaller amount.`;
+    warningEl.style.display = '';
+    button.disabled = true;
+    button.textContent = 'Price impact too high';
+  } else if (active.priceImpact >= PRICE_IMPACT_WARNING) {
+    impactEl.className = 'impact-high';
+    warningEl.textContent = `High price impact: you receive ${active.priceImpact.toFixed(2)}% less than the pool price before fees.`;
+    warningEl.style.display = '';
+  }
+}
+
+/** An amount field in base units, or null when empty or invalid */
+function swapInputUnits(inputId, asset) {
+  const value = document.getElementById(inputId).value;
+  if (!asset || !value || !value.trim()) return null;
+  try {
+    return DexMarket.toUnits(value, asset.precision);
+  } catch (error) {
+    return null;
+  }
+}
 
-  // Calculate output amount considering fee
-  const feeMultiplier = 1 - (pool.feePercent / 100);
-  const outputAmount = amount * pool.rate * feeMultiplier;
+// Quote the FROM amount in every pool and along every route
+async function handleSwapFromAmountChange({ keepToAmount = false } = {}) {
+  if (!swapState.routes || !swapState.assets) return;
+  const amount = swapInputUnits('swap-from-amount', swapState.assets.get(swapState.fromAsset));
 
-  document.getElementById('swap-to-amount').value = outputAmount.toFixed(toPrecision);
+  swapState.route = null;
+  swapState.routeError = null;
+  if (amount) {
+    try {
+      const { graph, paths } = swapState.routes;
+      swapState.route = SwapRouter.bestRoute(graph, paths, amount, swapState.assets, swapState.slippage);
+    } catch (error) {
+      swapState.routeError = error.message;
+    }
+  }
 
-  // Minimum received (with 1% slippage)
-  const minReceived = outputAmount * 0.99;
-  const toSymbolLabel = toAsset?.symbol || '';
-  document.getElementById('swap-min-received').textContent =
-    `${minReceived.toFixed(toPrecision)}${toSymbolLabel ? ' ' + toSymbolLabel : ''}`;
+  displaySwapPools(await calculatePoolRates(swapState.matchingPools, amount));
+  updateSwapQuote({ keepToAmount });
 }
 
-// Calculate FROM amount based on TO amount (reverse calculation)
+// Find the FROM amount that receives the TO amount (reverse calculation)
 async function handleSwapToAmountChange() {
-  const outputAmount = parseFloat(document.getElementById('swap-to-amount').value) || 0;
-  const pool = swapState.selectedPool;
+  if (!swapState.routes || !swapState.assets) return;
+  const fromAsset = swapState.assets.get(swapState.fromAsset);
+  const target = swapInputUnits('swap-to-amount', swapState.assets.get(swapState.toAsset));
 
-  if (!pool || outputAmount <= 0) {
+  if (!target) {
     document.getElementById('swap-from-amount').value = '';
-    document.getElementById('swap-min-received').textContent = '-';
+    await handleSwapFromAmountChange({ keepToAmount: true });
+    return;
+  }
+
+  // The pool or route that needs the least, unless a pool was picked
+  let amount = null;
+  const consider = (needed) => {
+    if (amount === null || needed < amount) amount = needed;
+  };
+  const candidates = swapState.poolPinned ? [swapState.selectedPool] : swapState.matchingPools;
+  for (const pool of candidates) {
+    try {
+      consider(LiquidityPools.amountToSellFor(pool, swapState.fromAsset, target, swapState.assets));
+    } catch (error) {
+      // Not enough liquidity in this pool
+    }
+  }
+  if (!swapState.poolPinned) {
+    try {
+      const { graph, paths } = swapState.routes;
+      consider(SwapRouter.amountToSellFor(graph, paths, target, swapState.assets, swapState.slippage));
+    } catch (error) {
+      // Not enough liquidity along any route
+    }
+  }
+
+  if (amount === null) {
+    document.getElementById('swap-from-amount').value = '';
+    updateSwapQuote({ keepToAmount: true });
+    const button = document.getElementById('btn-execute-swap');
+    button.disabled = true;
+    button.textContent = 'Not enough liquidity';
     return;
   }
 
-  // Get asset precisions
-  const fromAsset = await btsAPI.getAsset(swapState.fromAsset);
-  const toAsset = await btsAPI.getAsset(swapState.toAsset);
-  const fromPrecision = fromAsset?.precision || 5;
-  const toPrecision = toAsset?.precision || 5;
+  document.getElementById('swap-from-amount').value = DexMarket.formatUnits(amount, fromAsset.precision);
+  await handleSwapFromAmountChange({ keepToAmount: true });
+}
+
+async function handleSwapOrderBooksChange(e) {
+  swapState.orderBooks = e.target.checked;
+  if (!swapState.fromAsset || !swapState.toAsset) return;
+  try {
+    await reloadSwapRoutes();
+    await handleSwapFromAmountChange();
+  } catch (error) {
+    console.error('Find routes error:', error);
+    showToast('Failed to load order books', 'error');
+  }
+}
 
-  // Reverse calculation: inputAmount = outputAmount / (rate * feeMultiplier)
-  const feeMultiplier = 1 - (pool.feePercent / 100);
-  const inputAmount = outputAmount / (pool.rate * feeMultiplier);
+/** Show the tolerance as one of the presets or in the custom field */
+function renderSwapSlippage() {
+  let preset = false;
+  document.querySelectorAll('.slippage-option').forEach(option => {
+    const active = Number(option.dataset.slippage) === swapState.slippage;
+    option.classList.toggle('active', active);
+    preset = preset || active;
+  });
+  const custom = document.getElementById('swap-slippage-custom');
+  if (document.activeElement !== custom) custom.value = preset ? '' : String(swapState.slippage);
+  custom.classList.remove('invalid');
+}
 
-  document.getElementById('swap-from-amount').value = inputAmount.toFixed(fromPrecision);
+function setSwapSlippage(value) {
+  swapState.slippage = value;
+  chrome.storage.local.set({ [SWAP_SLIPPAGE_KEY]: value });
+  renderSwapSlippage();
+  // Route hop minimums depend on the tolerance
+  handleSwapFromAmountChange({ keepToAmount: true });
+}
 
-  // Minimum received (with 1% slippage) - based on the entered TO amount
-  const minReceived = outputAmount * 0.99;
-  const toSymbolLabel = toAsset?.symbol || '';
-  document.getElementById('swap-min-received').textContent =
-    `${minReceived.toFixed(toPrecision)}${toSymbolLabel ? ' ' + toSymbolLabel : ''}`;
+function handleSwapSlippageInput(e) {
+  const text = e.target.value.trim();
+  if (text === '') return;
+  const value = Number(text);
+  if (!/^\d*\.?\d{0,2}$/.test(text) || !Number.isFinite(value) || value < 0 || value > MAX_SLIPPAGE) {
+    e.target.classList.add('invalid');
+    return;
+  }
+  setSwapSlippage(value);
 }
 
 function handleSwapMax() {
@@ -6520,39 +9135,58 @@ function handleSwapDirection() {
 }
 
 async function handleShowSwapConfirmation() {
-  const pool = swapState.selectedPool;
-  const amount = parseFloat(document.getElementById('swap-from-amount').value);
+  // Quote against the pools and order books as they are now
+  try {
+    await reloadSwapRoutes();
+    await handleSwapFromAmountChange();
+  } catch (error) {
+    console.error('Route reload error:', error);
+  }
 
-  if (!pool || !amount || amount <= 0) {
+  const quote = swapState.quote;
+  if (!quote) {
     showToast('Please enter a valid amount', 'error');
     return;
   }
+  if (quote.priceImpact >= PRICE_IMPACT_LIMIT) {
+    showToast(`Price impact above ${PRICE_IMPACT_LIMIT}% — swap a smaller amount`, 'error');
+    return;
+  }
 
-  // Get asset symbols
-  const fromSelect = document.getElementById('swap-from-asset');
-  const toSelect = document.getElementById('swap-to-asset');
-  const fromSymbol = fromSelect.options[fromSelect.selectedIndex]?.dataset?.symbol || 'BTS';
-  const toSymbol = toSelect.options[toSelect.selectedIndex]?.dataset?.symbol || '';
-
-  const outputAmount = document.getElementById('swap-to-amount').value;
-  // swap-min-received already includes the symbol; strip it for re-use below
-  const minReceivedRaw = document.getElementById('swap-min-received').textContent.split(' ')[0];
+  const fromAsset = swapState.assets.get(quote.sell.asset_id);
+  const toAsset = swapState.assets.get(quote.receive.asset_id);
+  const format = (amount, asset) => `${DexMarket.formatUnits(amount, asset.precision)} ${asset.symbol}`;
 
   // Populate confirmation modal
-  document.getElementById('swap-confirm-from').textContent = `${amount} ${fromSymbol}`;
-  document.getElementById('swap-confirm-to').textContent = `${outputAmount} ${toSymbol}`;
-  document.getElementById('swap-confirm-rate').textContent = `1 ${fromSymbol} = ${pool.rate.toFixed(6)} ${toSymbol}`;
-  document.getElementById('swap-confirm-pool-fee').textContent = `${pool.feePercent.toFixed(2)}%`;
-  document.getElementById('swap-confirm-min').textContent = `${minReceivedRaw} ${toSymbol}`;
+  document.getElementById('swap-confirm-from').textContent = format(quote.sell.amount, fromAsset);
+  document.getElementById('swap-confirm-to').textContent = format(quote.receive.amount, toAsset);
+  document.getElementById('swap-confirm-rate').textContent = `1 ${fromAsset.symbol} = ${DexMarket.formatPrice(
+    quote.receive.amount, toAsset.precision, quote.sell.amount, fromAsset.precision)} ${toAsset.symbol}`;
+  document.getElementById('swap-confirm-impact').textContent = `${quote.priceImpact.toFixed(2)}%`;
+  document.getElementById('swap-confirm-route-row').style.display = quote.route ? '' : 'none';
+  document.getElementById('swap-confirm-pool-fee-row').style.display = quote.route ? 'none' : '';
+  if (quote.route) {
+    setHTML(document.getElementById('swap-confirm-route'),
+      swapRouteHops(quote.route).map(line => `<div>${escapeHtml(line)}</div>`).join(''));
+  } else {
+    document.getElementById('swap-confirm-pool-fee').textContent =
+      `${swapState.selectedPool.feePercent.toFixed(2)}% (${format(swapState.selectedPool.quote.poolFee.amount, toAsset)})`;
+  }
+  document.getElementById('swap-confirm-min').textContent =
+    `${format(quote.minReceive, toAsset)} (${swapState.slippage}% slippage)`;
 
   // Fetch network fee
   const networkFeeEl = document.getElementById('swap-confirm-network-fee');
   networkFeeEl.textContent = 'Loading...';
   try {
     if (btsAPI && btsAPI.isConnected) {
-      // liquidity_pool_exchange fee
-      const fee = await btsAPI.getOperationFee('liquidity_pool_exchange');
-      networkFeeEl.textContent = fee?.formatted || '~0.01 BTS';
+      // One fee per hop, in the asset picked on the swap screen
+      const feeAssetId = document.getElementById('swap-fee-asset')?.value || '1.3.0';
+      const operations = quote.route
+        ? quote.route.hops.map(hop => hop.type === 'pool' ? 'liquidity_pool_exchange' : 'limit_order_create')
+        : ['liquidity_pool_exchange'];
+      const fees = await Promise.all(operations.map(operation => btsAPI.getOperationFee(operation, feeAssetId)));
+      networkFeeEl.textContent = fees.map(fee => fee?.formatted || '~0.01 BTS').join(' + ');
     } else {
       networkFeeEl.textContent = '~0.01 BTS';
     }
@@ -6566,10 +9200,8 @@ async function handleShowSwapConfirmation() {
 async function handleExecuteSwap() {
   hideModal('swap-confirm-modal');
 
-  const pool = swapState.selectedPool;
-  const amount = parseFloat(document.getElementById('swap-from-amount').value);
-
-  if (!pool || !amount || amount <= 0) {
+  const quote = swapState.quote;
+  if (!quote) {
     showToast('Please enter a valid amount', 'error');
     return;
   }
@@ -6577,44 +9209,484 @@ async function handleExecuteSwap() {
   try {
     showToast('Preparing swap transaction...', 'info');
 
-    const account = await walletManager.getCurrentAccount();
-    const fromAsset = await btsAPI.getAsset(swapState.fromAsset);
-    const toAsset = await btsAPI.getAsset(swapState.toAsset);
-
-    const fromPrecision = Math.pow(10, fromAsset.precision);
-    const toPrecision = Math.pow(10, toAsset.precision);
-
-    const amountToSell = Math.floor(amount * fromPrecision);
-    const expectedOutput = parseFloat(document.getElementById('swap-to-amount').value);
-    const minToReceive = Math.floor(expectedOutput * 0.99 * toPrecision); // 1% slippage
-
-    // Build liquidity pool exchange operation
-    const opData = {
-      account: account.id,
-      pool: pool.id,
-      amount_to_sell: {
-        amount: amountToSell,
-        asset_id: swapState.fromAsset
-      },
-      min_to_receive: {
-        amount: minToReceive,
-        asset_id: swapState.toAsset
-      },
-      extensions: []
-    };
+    const feeAssetId = document.getElementById('swap-fee-asset')?.value || '1.3.0';
+    if (quote.route) {
+      // Every hop in one transaction: all of them go through or none does
+      await walletManager.swapViaRoute(quote.route, { feeAsset: feeAssetId });
+    } else {
+      const account = await walletManager.getCurrentAccount();
+
+      // Build liquidity pool exchange operation; the fee amount is filled in when broadcasting
+      const opData = {
+        fee: { amount: 0, asset_id: feeAssetId },
+        account: account.id,
+        pool: swapState.selectedPool.id,
+        amount_to_sell: quote.sell,
+        min_to_receive: { amount: quote.minReceive, asset_id: quote.receive.asset_id },
+        extensions: []
+      };
 
-    await walletManager.broadcastOperation('liquidity_pool_exchange', opData);
+      await walletManager.broadcastOperation('liquidity_pool_exchange', opData);
+    }
 
-    // broadcastOperation throws on failure, so reaching here means success.
+    // Both throw on failure, so reaching here means success.
     // broadcast_transaction_with_callback returns null on success (BitShares node convention)
     // so we must NOT gate the refresh on the return value.
     showToast('Swap successful!', 'success');
-    // Refresh swap-screen balances and dashboard balances
+    // Refresh swap-screen balances, pool quotes and dashboard balances
     await refreshSwapBalances();
+    await reloadSwapRoutes();
+    await handleSwapFromAmountChange();
     await loadDashboard();
   } catch (error) {
     console.error('Swap error:', error);
-    showToast('Swap failed: ' + error.message, 'error');
+    const message = /Unable to exchange at expected price|not filled/.test(error.message)
+      ? 'the price moved past your slippage tolerance'
+      : error.message;
+    showToast('Swap failed: ' + message, 'error');
+  }
+}
+
+// === DEX Trading ===
+// A QUOTE/BASE market as the order book shows it: prices in BASE per QUOTE,
+// amounts in QUOTE. Buy orders sell BASE, sell orders sell QUOTE.
+
+const TRADE_REFRESH_MS = 10_000;
+
+let tradeState = {
+  base: null,
+  quote: null,
+  side: 'buy',
+  balances: [],
+  refreshTimer: null
+};
+
+document.getElementById('btn-trade')?.addEventListener('click', handleShowTrade);
+document.getElementById('btn-trade-load')?.addEventListener('click', loadTradeMarket);
+document.getElementById('btn-trade-flip')?.addEventListener('click', handleTradeFlip);
+for (const id of ['trade-quote', 'trade-base']) {
+  document.getElementById(id)?.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') loadTradeMarket();
+  });
+}
+document.querySelectorAll('.trade-tab').forEach(tab => {
+  tab.addEventListener('click', () => setTradeSide(tab.dataset.side));
+});
+document.getElementById('trade-price')?.addEventListener('input', updateTradeTotal);
+document.getElementById('trade-amount')?.addEventListener('input', updateTradeTotal);
+document.getElementById('btn-place-order')?.addEventListener('click', handlePlaceOrder);
+for (const id of ['trade-asks', 'trade-bids']) {
+  document.getElementById(id)?.addEventListener('click', (e) => {
+    const row = e.target.closest('[data-price]');
+    if (!row) return;
+    document.getElementById('trade-price').value = row.dataset.price;
+    updateTradeTotal();
+  });
+}
+document.getElementById('trade-open-orders')?.addEventListener('click', handleOpenOrderAction);
+
+async function handleShowTrade() {
+  const account = await walletManager.getCurrentAccount();
+  if (!account || !account.id || account.id === '1.2.0') {
+    showToast('Please import an account first', 'error');
+    return;
+  }
+
+  showScreen('trade-screen');
+  await populateTradeAssetList(account);
+
+  const quoteInput = document.getElementById('trade-quote');
+  if (!tradeState.quote && !quoteInput.value) {
+    quoteInput.value = getCoreSymbol(account.network || 'mainnet');
+  }
+  if (tradeState.quote && tradeState.base) {
+    await loadTradeMarket();
+  }
+  await Promise.all([loadOpenOrders(), setupTradeFee()]);
+
+  clearInterval(tradeState.refreshTimer);
+  tradeState.refreshTimer = setInterval(() => {
+    if (currentScreen !== 'trade-screen') {
+      clearInterval(tradeState.refreshTimer);
+      tradeState.refreshTimer = null;
+      return;
+    }
+    refreshTradeMarket();
+  }, TRADE_REFRESH_MS);
+}
+
+/**
+ * Suggest the assets the account holds; any other symbol can be typed in
+ */
+async function populateTradeAssetList(account) {
+  try {
+    tradeState.balances = await btsAPI.getAccountBalances(account.id);
+    let html = '';
+    for (const balance of tradeState.balances) {
+      const asset = await btsAPI.getAsset(balance.asset_id);
+      if (asset) html += `<option value="${escapeHtml(asset.symbol)}"></option>`;
+    }
+    setHTML(document.getElementById('trade-asset-list'), html);
+  } catch (error) {
+    console.error('Failed to load trade assets:', error);
+  }
+}
+
+async function loadTradeMarket() {
+  const quoteSymbol = document.getElementById('trade-quote').value.trim().toUpperCase();
+  const baseSymbol = document.getElementById('trade-base').value.trim().toUpperCase();
+  if (!quoteSymbol || !baseSymbol) {
+    showToast('Enter both assets of the market', 'error');
+    return;
+  }
+  if (quoteSymbol === baseSymbol) {
+    showToast('Pick two different assets', 'error');
+    return;
+  }
+
+  try {
+    const [quote, base] = await Promise.all([btsAPI.getAsset(quoteSymbol), btsAPI.getAsset(baseSymbol)]);
+    if (!quote || !base) {
+      showToast(`Unknown asset: ${!quote ? quoteSymbol : baseSymbol}`, 'error');
+      return;
+    }
+    tradeState.quote = quote;
+    tradeState.base = base;
+  } catch (error) {
+    console.error('Failed to load market assets:', error);
+    showToast('Failed to load market: ' + error.message, 'error');
+    return;
+  }
+
+  const { quote, base } = tradeState;
+  document.getElementById('trade-quote').value = quote.symbol;
+  document.getElementById('trade-base').value = base.symbol;
+  document.getElementById('trade-book-quote').textContent = quote.symbol;
+  document.getElementById('trade-book-base').textContent = base.symbol;
+  document.getElementById('trade-price-unit').textContent = `${base.symbol}/${quote.symbol}`;
+  document.getElementById('trade-amount-unit').textContent = quote.symbol;
+  setTradeSide(tradeState.side);
+  await refreshTradeMarket();
+}
+
+function handleTradeFlip() {
+  const quoteInput = document.getElementById('trade-quote');
+  const baseInput = document.getElementById('trade-base');
+  [quoteInput.value, baseInput.value] = [baseInput.value, quoteInput.value];
+  document.getElementById('trade-price').value = '';
+  loadTradeMarket();
+}
+
+/**
+ * Order book numbers are decimal strings; show at most 8 significant digits,
+ * without exponent notation so a price can be copied into the order form
+ */
+function formatTradeNumber(value) {
+  const number = Number(value);
+  if (!Number.isFinite(number)) return '-';
+  const text = String(Number(number.toPrecision(8)));
+  return text.includes('e') ? number.toFixed(20).replace(/\.?0+$/, '') : text;
+}
+
+async function refreshTradeMarket() {
+  const { base, quote } = tradeState;
+  if (!base || !quote || !btsAPI || !btsAPI.isConnected) return;
+
+  try {
+    const [ticker, book, trades] = await Promise.all([
+      btsAPI.getTicker(base.symbol, quote.symbol),
+      btsAPI.getOrderBook(base.symbol, quote.symbol, 10),
+      btsAPI.getTradeHistory(base.symbol, quote.symbol, 15)
+    ]);
+    // The market may have changed while the calls were in flight
+    if (tradeState.base !== base || tradeState.quote !== quote) return;
+    renderTradeTicker(ticker);
+    renderOrderBook(book);
+    renderTradeHistory(trades);
+  } catch (error) {
+    console.error('Failed to load market:', error);
+    document.getElementById('trade-ticker').textContent = 'Error loading market';
+  }
+}
+
+function renderTradeTicker(ticker) {
+  const { base, quote } = tradeState;
+  const tickerEl = document.getElementById('trade-ticker');
+  if (!ticker || !Number(ticker.latest)) {
+    tickerEl.textContent = `${quote.symbol}/${base.symbol}: no trades yet`;
+    return;
+  }
+  const change = Number(ticker.percent_change) || 0;
+  setHTML(tickerEl, `${escapeHtml(quote.symbol)}/${escapeHtml(base.symbol)}
+    ${escapeHtml(formatTradeNumber(ticker.latest))}
+    <span class="${change < 0 ? 'down' : 'up'}">${change > 0 ? '+' : ''}${escapeHtml(change.toFixed(2))}%</span>
+    · 24h ${escapeHtml(formatTradeNumber(ticker.base_volume))} ${escapeHtml(base.symbol)}`);
+}
+
+function renderOrderBook(book) {
+  const row = (entry) => `<div class="trade-book-row" data-price="${escapeHtml(formatTradeNumber(entry.price))}">
+    <span>${escapeHtml(formatTradeNumber(entry.price))}</span>
+    <span>${escapeHtml(formatTradeNumber(entry.quote))}</span>
+    <span>${escapeHtml(formatTradeNumber(entry.base))}</span>
+  </div>`;
+  const asks = book?.asks || [];
+  const bids = book?.bids || [];
+
+  // Lowest ask next to the spread
+  setHTML(document.getElementById('trade-asks'), asks.length
+    ? [...asks].reverse().map(row).join('')
+    : '<div class="trade-empty">No sell orders</div>');
+  setHTML(document.getElementById('trade-bids'), bids.length
+    ? bids.map(row).join('')
+    : '<div class="trade-empty">No buy orders</div>');
+
+  const spreadEl = document.getElementById('trade-spread');
+  if (asks.length && bids.length) {
+    const spread = Number(asks[0].price) - Number(bids[0].price);
+    spreadEl.textContent = `Spread ${formatTradeNumber(spread)} ${tradeState.base.symbol}`;
+  } else {
+    spreadEl.textContent = '-';
+  }
+}
+
+function renderTradeHistory(trades) {
+  const list = document.getElementById('trade-history');
+  if (!trades || trades.length === 0) {
+    setHTML(list, '<div class="trade-empty">No recent trades</div>');
+    return;
+  }
+  setHTML(list, trades.map(trade => `<div class="trade-book-row">
+    <span class="${trade.type === 'sell' ? 'sell' : 'buy'}">${escapeHtml(formatTradeNumber(trade.price))}</span>
+    <span>${escapeHtml(formatTradeNumber(trade.amount))}</span>
+    <span>${escapeHtml(formatDate(trade.date + 'Z'))}</span>
+  </div>`).join(''));
+}
+
+function setTradeSide(side) {
+  tradeState.side = side;
+  document.querySelectorAll('.trade-tab').forEach(tab => {
+    tab.classList.toggle('active', tab.dataset.side === side);
+  });
+  updateTradeAvailable();
+  updateTradeTotal();
+}
+
+/** Balance of what the order sells: BASE for a buy, QUOTE for a sell */
+function updateTradeAvailable() {
+  const { base, quote, side } = tradeState;
+  const availableEl = document.getElementById('trade-available');
+  if (!base || !quote) {
+    availableEl.textContent = '-';
+    return;
+  }
+  const asset = side === 'buy' ? base : quote;
+  const balance = tradeState.balances.find(b => b.asset_id === asset.id);
+  availableEl.textContent = `${DexMarket.formatUnits(balance?.amount || 0, asset.precision)} ${asset.symbol}`;
+}
+
+/**
+ * The order the form describes, or null with the reason shown as the total
+ */
+function tradeOrderAmounts() {
+  const { base, quote, side } = tradeState;
+  const totalEl = document.getElementById('trade-total');
+  const price = document.getElementById('trade-price').value;
+  const amount = document.getElementById('trade-amount').value;
+  if (!base || !quote || !price.trim() || !amount.trim()) {
+    totalEl.textContent = '-';
+    return null;
+  }
+  try {
+    const amounts = DexMarket.orderAmounts({ side, price, amount }, base, quote);
+    const total = side === 'buy' ? amounts.amount_to_sell : amounts.min_to_receive;
+    totalEl.textContent = `${DexMarket.formatUnits(total.amount, base.precision)} ${base.symbol}`;
+    return amounts;
+  } catch (error) {
+    totalEl.textContent = error.message;
+    return null;
+  }
+}
+
+function updateTradeTotal() {
+  const { quote, side } = tradeState;
+  const btn = document.getElementById('btn-place-order');
+  btn.textContent = `${side === 'buy' ? 'Buy' : 'Sell'}${quote ? ' ' + quote.symbol : ''}`;
+  btn.disabled = !tradeOrderAmounts();
+}
+
+async function setupTradeFee() {
+  if (!btsAPI || !btsAPI.isConnected) return;
+  try {
+    const fee = await btsAPI.getOperationFee('limit_order_create');
+    document.getElementById('trade-fee').textContent = fee?.formatted || '-';
+    await setupFeeAssetSelect('trade-fee-asset', {
+      feeId: 'trade-fee',
+      warningId: 'trade-fee-warning',
+      coreFee: fee.coreAmount,
+      preferred: document.getElementById('trade-fee-asset')?.value || '1.3.0'
+    });
+  } catch (error) {
+    console.error('Failed to load order fee:', error);
+  }
+}
+
+async function handlePlaceOrder() {
+  const amounts = tradeOrderAmounts();
+  if (!amounts) return;
+
+  const account = await walletManager.getCurrentAccount();
+  if (account && await walletManager.isWatchOnlyAccount(account.id)) {
+    showToast('Cannot trade from watch-only account', 'error');
+    return;
+  }
+
+  const { base, quote, side } = tradeState;
+  const assets = new Map([[base.id, base], [quote.id, quote]]);
+  const sellAsset = assets.get(amounts.amount_to_sell.asset_id);
+  const buyAsset = assets.get(amounts.min_to_receive.asset_id);
+  const sellAmount = DexMarket.formatUnits(amounts.amount_to_sell.amount, sellAsset.precision);
+  const buyAmount = DexMarket.formatUnits(amounts.min_to_receive.amount, buyAsset.precision);
+  const price = document.getElementById('trade-price').value.trim();
+  const amount = document.getElementById('trade-amount').value.trim();
+  const fillOrKill = document.getElementById('trade-fill-or-kill').checked;
+
+  if (!confirm(`${side === 'buy' ? 'Buy' : 'Sell'} ${amount} ${quote.symbol} at ${price} ${base.symbol}?\n\n` +
+    `You sell ${sellAmount} ${sellAsset.symbol} and receive at least ${buyAmount} ${buyAsset.symbol}.` +
+    (fillOrKill ? '\nThe order is cancelled unless it fills at once.' : ''))) return;
+
+  const btn = document.getElementById('btn-place-order');
+  btn.disabled = true;
+  try {
+    showToast('Placing order...', 'info');
+    await walletManager.createLimitOrder({
+      sellAsset: sellAsset.id,
+      sellAmount,
+      buyAsset: buyAsset.id,
+      buyAmount,
+      expiration: Number(document.getElementById('trade-expiration').value),
+      fillOrKill,
+      feeAsset: document.getElementById('trade-fee-asset')?.value || '1.3.0'
+    });
+    showToast('Order placed', 'success');
+    document.getElementById('trade-amount').value = '';
+    tradeState.balances = await btsAPI.getAccountBalances(account.id);
+    updateTradeAvailable();
+    await Promise.all([refreshTradeMarket(), loadOpenOrders()]);
+  } catch (error) {
+    console.error('Order error:', error);
+    showToast('Order failed: ' + error.message, 'error');
+  } finally {
+    updateTradeTotal();
+  }
+}
+
+/**
+ * Open orders of every account in the wallet; watch-only ones are listed
+ * without actions
+ */
+async function loadOpenOrders() {
+  const list = document.getElementById('trade-open-orders');
+  if (!btsAPI || !btsAPI.isConnected) {
+    setHTML(list, '<div class="trade-empty">Not connected to network</div>');
+    return;
+  }
+
+  try {
+    const entries = await walletManager.getOpenOrders();
+    if (entries.length === 0) {
+      setHTML(list, '<div class="trade-empty">No open orders</div>');
+      return;
+    }
+
+    const assets = new Map();
+    for (const { order } of entries) {
+      for (const { asset_id } of [order.sell_price.base, order.sell_price.quote]) {
+        if (!assets.has(asset_id)) assets.set(asset_id, await btsAPI.getAsset(asset_id));
+      }
+    }
+
+    setHTML(list, entries.map(({ order, accountName, watchOnly }) => {
+      const info = DexMarket.describeOrder(order, assets);
+      const sellAsset = assets.get(info.sell.asset_id);
+      return `<div class="trade-order" data-order-id="${escapeHtml(info.id)}"
+          data-price="${escapeHtml(info.price)}"
+          data-amount="${escapeHtml(DexMarket.formatUnits(info.sell.amount, sellAsset.precision))}">
+        <div class="trade-order-header">
+          <span>Sell ${escapeHtml(info.sellText)} for ${escapeHtml(info.receiveText)}</span>
+          ${watchOnly ? '' : `<span class="trade-order-actions">
+            <button class="btn-small" type="button" data-action="edit">Edit</button>
+            <button class="btn-small" type="button" data-action="cancel">Cancel</button>
+          </span>`}
+        </div>
+        <div class="trade-order-meta">
+          <span>${escapeHtml(accountName)} · ${escapeHtml(info.id)}</span>
+          <span>${escapeHtml(info.price)} ${escapeHtml(info.priceUnit)} · expires ${escapeHtml(formatDate(info.expiration + 'Z'))}</span>
+        </div>
+      </div>`;
+    }).join(''));
+  } catch (error) {
+    console.error('Error loading open orders:', error);
+    setHTML(list, '<div class="trade-empty">Error loading open orders</div>');
   }
 }
 
+async function handleOpenOrderAction(e) {
+  const button = e.target.closest('button[data-action]');
+  const item = button?.closest('.trade-order');
+  if (!item) return;
+  const orderId = item.dataset.orderId;
+  const feeAsset = document.getElementById('trade-fee-asset')?.value || '1.3.0';
+
+  switch (button.dataset.action) {
+    case 'edit': {
+      const existing = item.querySelector('.trade-order-edit');
+      if (existing) {
+        existing.remove();
+        return;
+      }
+      appendHTML(item, `<div class="trade-order-edit">
+        <input type="text" inputmode="decimal" data-field="price" value="${escapeHtml(item.dataset.price)}" title="Price" autocomplete="off">
+        <input type="text" inputmode="decimal" data-field="amount" value="${escapeHtml(item.dataset.amount)}" title="Amount for sale" autocomplete="off">
+        <button class="btn-small" type="button" data-action="save">Save</button>
+      </div>`);
+      return;
+    }
+
+    case 'save': {
+      const price = item.querySelector('[data-field="price"]').value.trim();
+      const amount = item.querySelector('[data-field="amount"]').value.trim();
+      button.disabled = true;
+      try {
+        showToast('Updating order...', 'info');
+        await walletManager.updateLimitOrder(orderId, {
+          price: price === item.dataset.price ? undefined : price,
+          amount: amount === item.dataset.amount ? undefined : amount,
+          feeAsset
+        });
+        showToast('Order updated', 'success');
+        await Promise.all([refreshTradeMarket(), loadOpenOrders()]);
+      } catch (error) {
+        console.error('Order update error:', error);
+        showToast('Update failed: ' + error.message, 'error');
+        button.disabled = false;
+      }
+      return;
+    }
+
+    case 'cancel': {
+      if (!confirm(`Cancel order ${orderId}? What is left for sale returns to the account.`)) return;
+      button.disabled = true;
+      try {
+        showToast('Cancelling order...', 'info');
+        await walletManager.cancelLimitOrder(orderId, feeAsset);
+        showToast('Order cancelled', 'success');
+        await Promise.all([refreshTradeMarket(), loadOpenOrders()]);
+      } catch (error) {
+        console.error('Order cancel error:', error);
+        showToast('Cancel failed: ' + error.message, 'error');
+        button.disabled = false;
+      }
+      return;
+    }
+  }
+}
@@ -9,6 +9,10 @@ export class BitSharesAPI {
     return Promise.resolve();
   }
 
+  async getChainId() {
+    return '4018d7844c78f6a6c41c6a552b898022310fc5dec06da467ee7905a8dad512c8';
+  }
+
   async getAccountsByKey(publicKey) {
     return [];
   }
@@ -1,7 +1,8 @@
 /**
  * Chrome extension API mock for Jest tests
  * Provides in-memory implementations of chrome.storage.local,
- * chrome.runtime, and related APIs.
+ * chrome.runtime, and related APIs, plus no-op chrome.action, chrome.alarms
+ * and chrome.notifications so the background service worker can load.
  */
 
 // In-memory store for chrome.storage.local
@@ -63,10 +64,17 @@ const sessionStorageMock = createStorageMock(sessionStore);
 // Message listeners list
 const messageListeners = [];
 
+const createEventMock = () => ({
+  addListener: jest.fn(),
+  removeListener: jest.fn(),
+  hasListener: jest.fn(() => false),
+});
+
 const chromeMock = {
   storage: {
     local: localStorageMock,
     session: sessionStorageMock,
+    onChanged: createEventMock(),
   },
   runtime: {
     lastError: null,
@@ -84,6 +92,23 @@ const chromeMock = {
       }),
       hasListener: jest.fn((listener) => messageListeners.includes(listener)),
     },
+    onConnect: createEventMock(),
+    onConnectExternal: createEventMock(),
+    id: 'test-extension-id',
+    getURL: jest.fn((path) => `chrome-extension://test-extension-id/${path}`),
+  },
+  action: {
+    setBadgeText: jest.fn(() => Promise.resolve()),
+    setBadgeBackgroundColor: jest.fn(() => Promise.resolve()),
+    openPopup: jest.fn(() => Promise.reject(new Error('No active browser window'))),
+  },
+  alarms: {
+    create: jest.fn(),
+    clear: jest.fn(() => Promise.resolve(true)),
+    onAlarm: createEventMock(),
+  },
+  notifications: {
+    create: jest.fn(),
   },
 };
 
@@ -0,0 +1,178 @@
+/**
+ * Tests for src/lib/asset-settlement.js
+ *
+ * Coverage:
+ *  - limits()           — delay, offset and volume per maintenance interval, defaults, flags
+ *  - estimate()         — collateral at the feed less the offset, or at the settlement price
+ *  - settleOperation()  — asset_settle and why the chain would refuse it
+ *  - bidRatio()         — collateral ratio of the position a bid would become
+ *  - bidOperation()     — bid_collateral, cancelling a bid
+ */
+
+import { AssetSettlement, DISABLE_FORCE_SETTLE } from '../src/lib/asset-settlement.js';
+
+// USD (1.3.1, precision 4) backed by BTS (1.3.0, precision 5); 1 USD = 20 BTS
+const usd = (flags = 0) => ({ id: '1.3.1', symbol: 'USD', precision: 4, options: { flags } });
+
+const bitasset = (overrides = {}) => ({
+  id: '2.4.1',
+  asset_id: '1.3.1',
+  options: {
+    short_backing_asset: '1.3.0',
+    force_settlement_delay_sec: 3600,
+    force_settlement_offset_percent: 100,
+    maximum_force_settlement_volume: 2000
+  },
+  current_feed: {
+    settlement_price: { base: { amount: 10000, asset_id: '1.3.1' }, quote: { amount: 2000000, asset_id: '1.3.0' } },
+    maintenance_collateral_ratio: 1600,
+    maximum_short_squeeze_ratio: 1100
+  },
+  settlement_price: { base: { amount: 0, asset_id: '1.3.1' }, quote: { amount: 0, asset_id: '1.3.0' } },
+  settlement_fund: 0,
+  force_settled_volume: 0,
+  is_prediction_market: false,
+  ...overrides
+});
+
+// 10 USD left when 250 BTS of collateral went to the fund: 25 BTS per USD
+const settled = (overrides = {}) => bitasset({
+  settlement_price: { base: { amount: 100000, asset_id: '1.3.1' }, quote: { amount: 25000000, asset_id: '1.3.0' } },
+  settlement_fund: 25000000,
+  ...overrides
+});
+
+// ---------------------------------------------------------------------------
+// limits
+// ---------------------------------------------------------------------------
+describe('AssetSettlement.limits()', () => {
+  test('delay, offset and what is left of the volume this interval', () => {
+    const limits = AssetSettlement.limits(usd(), bitasset({ force_settled_volume: 50000 }), { current_supply: 1000000 });
+    expect(limits).toEqual({
+      delaySec: 3600,
+      offsetPercent: 100,
+      maxVolumePercent: 2000,
+      volumeLimit: 200000,
+      remainingVolume: 150000,
+      supply: 1000000,
+      settlementFund: 0,
+      disabled: false,
+      globallySettled: false
+    });
+    expect(AssetSettlement.formatPercent(limits.offsetPercent)).toBe('1%');
+    expect(AssetSettlement.formatPercent(limits.maxVolumePercent)).toBe('20%');
+  });
+
+  test('chain defaults, a used-up volume and disabled settlement', () => {
+    const limits = AssetSettlement.limits(
+      usd(DISABLE_FORCE_SETTLE),
+      bitasset({ options: { short_backing_asset: '1.3.0' }, force_settled_volume: 300000 }),
+      { current_supply: 1000000 }
+    );
+    expect(limits).toMatchObject({ delaySec: 86400, offsetPercent: 0, maxVolumePercent: 2000, remainingVolume: 0, disabled: true });
+  });
+
+  test('the settlement fund of a globally settled asset', () => {
+    expect(AssetSettlement.limits(usd(), settled(), { current_supply: 100000 }))
+      .toMatchObject({ globallySettled: true, settlementFund: 25000000, supply: 100000 });
+  });
+});
+
+// ---------------------------------------------------------------------------
+// estimate
+// ---------------------------------------------------------------------------
+describe('AssetSettlement.estimate()', () => {
+  test('the feed price less the offset', () => {
+    // 1 USD → 20 BTS less 1%
+    expect(AssetSettlement.estimate(10000, bitasset())).toBe(1980000);
+    expect(AssetSettlement.estimate(3, bitasset())).toBe(594);
+  });
+
+  test('the settlement price once globally settled, without offset', () => {
+    expect(AssetSettlement.estimate(10000, settled())).toBe(2500000);
+    expect(AssetSettlement.settlementPrice(settled())).toEqual({ debt: 100000n, collateral: 25000000n });
+  });
+
+  test('null without a feed', () => {
+    expect(AssetSettlement.estimate(10000, bitasset({ current_feed: null }))).toBeNull();
+  });
+});
+
+// ---------------------------------------------------------------------------
+// settleOperation
+// ---------------------------------------------------------------------------
+describe('AssetSettlement.settleOperation()', () => {
+  const settle = (params) => AssetSettlement.settleOperation({
+    accountId: '1.2.100', asset: usd(), bitasset: bitasset(), amount: 10000, ...params
+  });
+
+  test('settles an amount of the smartcoin', () => {
+    expect(settle()).toEqual({
+      account: '1.2.100',
+      amount: { amount: 10000, asset_id: '1.3.1' },
+      extensions: []
+    });
+  });
+
+  test('refuses what the chain would refuse', () => {
+    expect(() => settle({ bitasset: null })).toThrow('USD is not a smartcoin');
+    expect(() => settle({ amount: 0 })).toThrow('greater than 0');
+    expect(() => settle({ asset: usd(DISABLE_FORCE_SETTLE) })).toThrow('Force settlement is disabled for USD');
+    expect(() => settle({ bitasset: bitasset({ is_prediction_market: true }) })).toThrow('prediction market');
+    expect(() => settle({ bitasset: bitasset({ current_feed: null }) })).toThrow('no price feed');
+  });
+
+  test('a globally settled asset settles even when force settlement is disabled', () => {
+    expect(settle({ asset: usd(DISABLE_FORCE_SETTLE), bitasset: settled({ current_feed: null }) }).amount.amount)
+      .toBe(10000);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// bids
+// ---------------------------------------------------------------------------
+describe('AssetSettlement bids', () => {
+  const bid = (params) => AssetSettlement.bidOperation({
+    accountId: '1.2.100', bitasset: settled(), additionalCollateral: 10000000, debtCovered: 50000, supply: 100000, ...params
+  });
+
+  test('describes a collateral bid', () => {
+    expect(AssetSettlement.describeBid({
+      id: '1.17.3',
+      bidder: '1.2.100',
+      inv_swan_price: { base: { amount: 10000000, asset_id: '1.3.0' }, quote: { amount: 50000, asset_id: '1.3.1' } }
+    })).toEqual({ id: '1.17.3', bidder: '1.2.100', additionalCollateral: 10000000, debtCovered: 50000 });
+  });
+
+  test('the bid position holds its collateral and the fund share', () => {
+    // 100 BTS + 125 BTS from the fund for 5 USD worth 100 BTS
+    expect(AssetSettlement.bidRatio({ additionalCollateral: 10000000, debtCovered: 50000 }, settled())).toBe(2250);
+    expect(AssetSettlement.bidRatio({ additionalCollateral: 10000000, debtCovered: 0 }, settled())).toBeNull();
+    expect(AssetSettlement.bidRatio({ additionalCollateral: 1, debtCovered: 1 }, settled({ current_feed: null }))).toBeNull();
+  });
+
+  test('bids collateral for part of the debt', () => {
+    expect(bid()).toEqual({
+      bidder: '1.2.100',
+      additional_collateral: { amount: 10000000, asset_id: '1.3.0' },
+      debt_covered: { amount: 50000, asset_id: '1.3.1' },
+      extensions: []
+    });
+  });
+
+  test('no debt cancels the current bid', () => {
+    const existingBid = { id: '1.17.3' };
+    expect(bid({ debtCovered: 0, existingBid })).toMatchObject({
+      additional_collateral: { amount: 0 },
+      debt_covered: { amount: 0 }
+    });
+    expect(() => bid({ debtCovered: 0 })).toThrow('No bid to cancel');
+  });
+
+  test('refuses what the chain would refuse', () => {
+    expect(() => bid({ bitasset: bitasset() })).toThrow('Only a globally settled asset');
+    expect(() => bid({ additionalCollateral: 0 })).toThrow('needs additional collateral');
+    expect(() => bid({ debtCovered: 100001 })).toThrow('more debt than the supply');
+    expect(() => bid({ additionalCollateral: -1 })).toThrow('cannot be negative');
+  });
+});
@@ -0,0 +1,1239 @@
+/**
+ * End-to-end tests of BitSharesAPI and BackgroundService against local mock
+ * nodes (tests/helpers/mock-bitshares-node.js) over real WebSockets.
+ *
+ * Coverage:
+ *  - connect()          — login, API ids and chain properties, nodes on another chain
+ *  - call()             — results, node errors, calls in flight when a node drops
+ *  - key lookups        — keys of any prefix, the chain's prefix from get_config
+ *  - signAndBroadcast() — fees, TaPoS headers and signatures the node accepts
+ *  - fee assets         — fees converted at the core exchange rate, fee pool checks
+ *  - history pages      — cursors over get_relative_account_history / get_account_history_operations
+ *  - subscriptions      — set_subscribe_callback / cancel_all_subscriptions notices,
+ *                         get_full_accounts per account, AccountWatcher catch-up and removed accounts
+ *  - transaction events — receipts, broadcast callbacks, TransactionTracker statuses
+ *  - failover           — refused, failing and dropped nodes
+ *  - BackgroundService  — dApp sign-and-approve flow, fee_asset, transactionConfirmed,
+ *                         account notifications, claimable balances, limit
+ *                         orders, pool swaps, multi-hop swap routes, debt positions,
+ *                         force settlement and collateral bids, user-defined
+ *                         networks, reconnecting after a drop
+ */
+
+import { BitSharesAPI } from '../src/lib/bitshares-api.js';
+import { TransactionTracker } from '../src/lib/transaction-tracker.js';
+import { AccountWatcher } from '../src/lib/account-watcher.js';
+import { CryptoUtils } from '../src/lib/crypto-utils.js';
+import { saveCustomNetwork } from '../src/lib/networks.js';
+import { LiquidityPools, SWAP_SLIPPAGE_KEY } from '../src/lib/liquidity-pools.js';
+import { SwapRouter } from '../src/lib/swap-router.js';
+import { MockChain, MockBitSharesNode, MAINNET_CHAIN_ID } from './helpers/mock-bitshares-node.js';
+import { installWebSocket, allClosed } from './helpers/websocket.js';
+import { KEY_1, KEY_2 } from './fixtures/operations.js';
+
+// Private keys 1 and 2 (public keys KEY_1 and KEY_2)
+const WIF_1 = '5HpHagT65TZzG1PH3CSu63k8DbpvD8s5ip4nEB3kEsreAnchuDf';
+const WIF_2 = '5HpHagT65TZzG1PH3CSu63k8DbpvD8s5ip4nEB3kEsreAvUcVfH';
+
+const ORIGIN = 'https://dapp.example';
+
+// Connection progress is logged on every connect and close; keep the test output readable
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+// Sockets closed by the last test finish closing asynchronously
+afterAll(() => allClosed());
+
+function createChain(options) {
+  const chain = new MockChain(options);
+  chain.addAccount({ name: 'alice', id: '1.2.100', key: KEY_1 });
+  chain.addAccount({ name: 'bob', id: '1.2.101', key: KEY_2 });
+  chain.setFee(0, 2000);
+  chain.setBalance('alice', 'BTS', 1000000);
+  return chain;
+}
+
+/** USD, worth 3 BTS base units per base unit: the 2000 BTS transfer fee costs 667 USD */
+function addUsd(chain, feePool = 5000) {
+  return chain.addAsset({
+    id: '1.3.1',
+    symbol: 'USD',
+    precision: 4,
+    core_exchange_rate: {
+      base: { amount: 1, asset_id: '1.3.1' },
+      quote: { amount: 3, asset_id: '1.3.0' }
+    },
+    fee_pool: feePool
+  });
+}
+
+function transfer(amount = 50000) {
+  return { operations: [[0, { from: 'alice', to: 'bob', amount: { amount, asset_id: 'BTS' } }]] };
+}
+
+async function waitFor(predicate, timeout = 5000) {
+  const start = Date.now();
+  while (!(await predicate())) {
+    if (Date.now() - start > timeout) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+/** Record every message the API's socket receives, notices included */
+function tapMessages(api) {
+  const messages = [];
+  const onmessage = api.ws.onmessage;
+  api.ws.onmessage = (event) => {
+    messages.push(JSON.parse(event.data));
+    onmessage(event);
+  };
+  return messages;
+}
+
+describe('BitSharesAPI against a mock node', () => {
+  let chain;
+  let node;
+  let api;
+
+  beforeEach(async () => {
+    installWebSocket();
+    chain = createChain();
+    node = await new MockBitSharesNode({ chain }).start();
+    api = new BitSharesAPI([node.url]);
+  });
+
+  afterEach(async () => {
+    await api.disconnect();
+    await node.stop();
+  });
+
+  describe('connect()', () => {
+    test('logs in and reads the API ids and chain properties', async () => {
+      await expect(api.connect()).resolves.toBe(true);
+      expect(api.isConnected).toBe(true);
+      expect(api.currentNode).toBe(node.url);
+      expect(api.apiIds).toEqual({ database: 2, network: 3, history: 4, crypto: null });
+      expect(api.chainId).toBe(MAINNET_CHAIN_ID);
+      expect(api.dynamicGlobalProperties.head_block_number).toBe(1000);
+      expect(node.calls.slice(0, 5).map(c => c.method))
+        .toEqual(['login', 'database', 'network_broadcast', 'history', 'crypto']);
+    });
+
+    test('moves on to the next node when one refuses the connection', async () => {
+      const down = await new MockBitSharesNode({ chain }).start();
+      await down.stop();
+      api = new BitSharesAPI([down.url, node.url]);
+
+      await api.connect();
+      expect(api.currentNode).toBe(node.url);
+    });
+
+    test('moves on to the next node when the handshake fails', async () => {
+      const broken = await new MockBitSharesNode({ chain, apis: {} }).start();
+      api = new BitSharesAPI([broken.url, node.url]);
+
+      await api.connect();
+      expect(api.currentNode).toBe(node.url);
+      expect(broken.callsTo('database')).toHaveLength(1);
+      await broken.stop();
+    });
+
+    test('skips a node on another chain than the one expected', async () => {
+      const other = await new MockBitSharesNode({ chain: createChain({ chainId: 'ab'.repeat(32) }) }).start();
+      api = new BitSharesAPI([other.url, node.url], { chainId: MAINNET_CHAIN_ID });
+
+      await api.connect();
+      expect(api.currentNode).toBe(node.url);
+      expect(api.chainId).toBe(MAINNET_CHAIN_ID);
+      await other.stop();
+    });
+
+    test('gives up when every node is down', async () => {
+      await node.stop();
+      api = new BitSharesAPI([node.url]);
+      await expect(api.connect()).rejects.toThrow('Failed to connect to any BitShares node');
+    });
+  });
+
+  describe('call()', () => {
+    beforeEach(() => api.connect());
+
+    test('returns results from the chain state', async () => {
+      const alice = await api.getAccount('alice');
+      expect(alice.id).toBe('1.2.100');
+      expect(alice.active.key_auths).toEqual([[KEY_1, 1]]);
+      const [dgp] = await api.getObjects(['2.1.0']);
+      expect(dgp.head_block_id).toBe(MockChain.blockId(1000));
+      await expect(api.getAccountBalances('1.2.100')).resolves.toEqual([{ amount: 1000000, asset_id: '1.3.0' }]);
+    });
+
+    test('rejects with the node error message', async () => {
+      await expect(api.call(api.apiIds.database, 'no_such_method', []))
+        .rejects.toThrow("no method with name 'no_such_method'");
+      await expect(api.call(api.apiIds.history, 'get_objects', [['2.1.0']]))
+        .rejects.toThrow("no method with name 'get_objects'");
+    });
+
+    test('uses scripted methods', async () => {
+      node.handle('get_ticker', ([base, quote]) => ({ base, quote, latest: '0.5' }));
+      await expect(api.getTicker('BTS', 'USD')).resolves.toMatchObject({ latest: '0.5' });
+      node.handle('get_ticker', () => { throw new Error('market not found'); });
+      await expect(api.getTicker('BTS', 'USD')).rejects.toThrow('market not found');
+    });
+
+    test('rejects calls in flight when the node drops', async () => {
+      node.handle('get_objects', () => new Promise(() => {}));
+      const pending = api.call(api.apiIds.database, 'get_objects', [['2.1.0']]);
+      await waitFor(() => node.callsTo('get_objects').length === 1);
+
+      node.dropConnections();
+      await expect(pending).rejects.toThrow('WebSocket closed');
+      expect(api.isConnected).toBe(false);
+      expect(api.pendingCalls.size).toBe(0);
+    });
+  });
+
+  describe('key lookups', () => {
+    test('finds accounts by a key of any prefix under the chain\'s own prefix', async () => {
+      await api.connect();
+      expect(api.keyPrefix).toBe('BTS');
+      const testKey = await CryptoUtils.convertPublicKeyPrefix(KEY_1, 'TEST');
+      await expect(api.getAccountsByKey(testKey)).resolves.toEqual(['1.2.100']);
+      expect(node.callsTo('get_key_references').at(-1).params).toEqual([[KEY_1]]);
+    });
+
+    test('reads the prefix of a private chain from get_config', async () => {
+      const privateKey = await CryptoUtils.convertPublicKeyPrefix(KEY_2, 'PRIV');
+      const privateChain = new MockChain({ chainId: 'ab'.repeat(32), prefix: 'PRIV', coreSymbol: 'PRIV' });
+      privateChain.addAccount({ name: 'dave', id: '1.2.300', key: privateKey });
+      const privateNode = await new MockBitSharesNode({ chain: privateChain }).start();
+      const privateApi = new BitSharesAPI([privateNode.url]);
+      try {
+        await privateApi.connect();
+        expect(privateApi.keyPrefix).toBe('PRIV');
+        await expect(privateApi.getAccountsByKey(KEY_2)).resolves.toEqual(['1.2.300']);
+        await expect(privateApi.getAccountsByKey('PRIVnotakey')).resolves.toEqual([]);
+      } finally {
+        await privateApi.disconnect();
+        await privateNode.stop();
+      }
+    });
+  });
+
+  describe('signAndBroadcast()', () => {
+    beforeEach(() => api.connect());
+
+    test('broadcasts a transaction the node accepts', async () => {
+      const messages = tapMessages(api);
+      const receipt = await api.signAndBroadcast(transfer(), WIF_1);
+
+      expect(chain.transactions).toHaveLength(1);
+      const { trx, block_num: blockNum, id } = chain.transactions[0];
+      expect(receipt).toEqual({ id, expiration: trx.expiration });
+      expect(trx.operations[0][1]).toEqual({
+        from: '1.2.100',
+        to: '1.2.101',
+        amount: { amount: 50000, asset_id: '1.3.0' },
+        fee: { amount: 2000, asset_id: '1.3.0' }
+      });
+      expect(trx.ref_block_num).toBe(1000);
+      expect(blockNum).toBe(1001);
+      expect(chain.getBalance('alice', 'BTS')).toBe(1000000 - 52000);
+      expect(chain.getBalance('bob', 'BTS')).toBe(50000);
+
+      // The broadcast callback arrives as a notice once the block is applied
+      const [callbackId] = node.callsTo('broadcast_transaction_with_callback')[0].params;
+      await waitFor(() => messages.some(m => m.method === 'notice'));
+      const notice = messages.find(m => m.method === 'notice');
+      expect(notice.params[0]).toBe(callbackId);
+      expect(notice.params[1][0]).toMatchObject({ id, block_num: 1001, trx_num: 0 });
+    });
+
+    test('signs with the keys the node says are required', async () => {
+      await expect(api.getRequiredSignatures(transfer(), [KEY_2, KEY_1])).resolves.toEqual([KEY_1]);
+      await expect(api.signAndBroadcast(transfer(), [WIF_1])).resolves.toMatchObject({ id: expect.stringMatching(/^[0-9a-f]{40}$/) });
+    });
+
+    test('the node rejects a signature from the wrong key', async () => {
+      await expect(api.signAndBroadcast(transfer(), WIF_2)).rejects.toThrow('Missing Active Authority 1.2.100');
+      expect(chain.transactions).toHaveLength(0);
+      expect(chain.getBalance('alice', 'BTS')).toBe(1000000);
+    });
+
+    test('the node rejects a transfer larger than the balance', async () => {
+      await expect(api.signAndBroadcast(transfer(999000), WIF_1)).rejects.toThrow('Insufficient Balance');
+      expect(chain.getBalance('alice', 'BTS')).toBe(1000000);
+      expect(chain.getBalance('bob', 'BTS')).toBe(0);
+    });
+  });
+
+  describe('fees in a non-core asset', () => {
+    let usd;
+
+    beforeEach(async () => {
+      usd = addUsd(chain);
+      chain.setBalance('alice', 'USD', 100000);
+      await api.connect();
+    });
+
+    test('getOperationFee() converts at the core exchange rate and reads the fee pool', async () => {
+      await expect(api.getOperationFee('transfer', 'USD')).resolves.toEqual({
+        amount: 667,
+        asset_id: '1.3.1',
+        formatted: '0.0667 USD',
+        symbol: 'USD',
+        precision: 4,
+        coreAmount: 2000,
+        feePool: 5000,
+        poolSufficient: true
+      });
+      await expect(api.getOperationFee('transfer')).resolves.toMatchObject({
+        amount: 2000,
+        asset_id: '1.3.0',
+        feePool: null,
+        poolSufficient: true
+      });
+    });
+
+    test('flags a fee pool too low to pay the core fee', async () => {
+      chain.get(usd.dynamic_asset_data_id).fee_pool = 1500;
+      await expect(api.getFeeInAsset(2000, '1.3.1'))
+        .resolves.toMatchObject({ amount: 667, feePool: 1500, poolSufficient: false });
+    });
+
+    test('rejects an asset whose core exchange rate does not involve core', async () => {
+      chain.addAsset({
+        id: '1.3.2',
+        symbol: 'ODD',
+        core_exchange_rate: { base: { amount: 1, asset_id: '1.3.2' }, quote: { amount: 1, asset_id: '1.3.1' } }
+      });
+      await expect(api.getFeeInAsset(2000, 'ODD')).rejects.toThrow('ODD has no core exchange rate');
+    });
+
+    test('pays each operation\'s fee in the asset it names', async () => {
+      const tx = transfer();
+      tx.operations[0][1].fee = { amount: 0, asset_id: 'USD' };
+      const receipt = await api.signAndBroadcast(tx, WIF_1);
+
+      expect(receipt.id).toBe(chain.transactions[0].id);
+      expect(node.callsTo('get_required_fees')[0].params[1]).toBe('1.3.1');
+      expect(chain.transactions[0].trx.operations[0][1].fee).toEqual({ amount: 667, asset_id: '1.3.1' });
+      expect(chain.getBalance('alice', 'USD')).toBe(100000 - 667);
+      expect(chain.getBalance('alice', 'BTS')).toBe(1000000 - 50000);
+      expect(chain.get(usd.dynamic_asset_data_id).fee_pool).toBe(3000);
+    });
+
+    test('the node rejects a fee the fee pool cannot cover', async () => {
+      chain.get(usd.dynamic_asset_data_id).fee_pool = 1500;
+      const tx = transfer();
+      tx.operations[0][1].fee = { amount: 0, asset_id: '1.3.1' };
+      await expect(api.signAndBroadcast(tx, WIF_1)).rejects.toThrow('Fee pool balance is insufficient');
+      expect(chain.getBalance('alice', 'USD')).toBe(100000);
+    });
+  });
+
+  describe('getAccountHistoryPage()', () => {
+    const sell = () => [1, {
+      seller: '1.2.100',
+      amount_to_sell: { amount: 1, asset_id: '1.3.0' },
+      min_to_receive: { amount: 1, asset_id: '1.3.1' }
+    }];
+    const send = () => [0, { from: '1.2.100', to: '1.2.101', amount: { amount: 1, asset_id: '1.3.0' } }];
+
+    async function pages(options) {
+      const result = [];
+      let cursor = null;
+      let done = false;
+      while (!done) {
+        const page = await api.getAccountHistoryPage('1.2.100', { ...options, cursor });
+        result.push(page.operations.map(op => op.id));
+        ({ cursor, done } = page);
+      }
+      return result;
+    }
+
+    beforeEach(async () => {
+      for (const op of [send(), sell(), send(), send(), sell(), send(), sell()]) {
+        chain.addHistory(op);
+        chain.produceBlocks(1);
+      }
+      await api.connect();
+    });
+
+    test('pages through every operation, newest first', async () => {
+      const all = chain.history.get('1.2.100');
+      await expect(pages({ limit: 3 })).resolves.toEqual([all.slice(0, 3), all.slice(3, 6), all.slice(6)]);
+      expect(node.callsTo('get_relative_account_history').map(call => call.params[3])).toEqual([7, 4, 1]);
+    });
+
+    test('operations arriving between pages do not shift the cursor', async () => {
+      const all = chain.history.get('1.2.100').slice();
+      const first = await api.getAccountHistoryPage('1.2.100', { limit: 4 });
+      chain.addHistory(send());
+      const second = await api.getAccountHistoryPage('1.2.100', { limit: 4, cursor: first.cursor });
+
+      expect([...first.operations, ...second.operations].map(op => op.id)).toEqual(all);
+      expect(second.done).toBe(true);
+    });
+
+    test('pages through one operation type', async () => {
+      const orders = chain.history.get('1.2.100').filter(id => chain.get(id).op[0] === 1);
+      await expect(pages({ limit: 2, operationType: 1 })).resolves.toEqual([orders.slice(0, 2), orders.slice(2)]);
+    });
+
+    test('an account without history is done at once', async () => {
+      await expect(api.getAccountHistoryPage('1.2.101', { operationType: 1 }))
+        .resolves.toEqual({ operations: [], cursor: '1.11.0', done: true });
+    });
+  });
+
+  describe('subscriptions', () => {
+    beforeEach(() => api.connect());
+
+    test('the node pushes changed objects until subscriptions are cancelled', async () => {
+      const messages = tapMessages(api);
+      await expect(api.subscribeToAccount('1.2.100', () => {})).resolves.toBe(true);
+      const [callbackId] = node.callsTo('set_subscribe_callback')[0].params;
+
+      const balance = chain.setBalance('alice', 'BTS', 5);
+      await waitFor(() => messages.some(m => m.method === 'notice'));
+      expect(messages.find(m => m.method === 'notice').params).toEqual([callbackId, [[balance]]]);
+      // Notices leave pending calls alone
+      await expect(api.getAccount('1.2.101')).resolves.toMatchObject({ name: 'bob' });
+
+      await expect(api.unsubscribeAll()).resolves.toBe(true);
+      chain.setBalance('alice', 'BTS', 6);
+      await api.call(api.apiIds.database, 'get_objects', [['2.1.0']]);
+      expect(messages.filter(m => m.method === 'notice')).toHaveLength(1);
+    });
+
+    test('subscribeToAccounts() hands each account the objects it owns', async () => {
+      const received = [];
+      const fullAccounts = await api.subscribeToAccounts(['1.2.100', '1.2.101'], (accountId, objects) => {
+        received.push([accountId, objects]);
+      });
+      expect(fullAccounts.map(full => full.account.name)).toEqual(['alice', 'bob']);
+      expect(fullAccounts[0].statistics).toMatchObject({ owner: '1.2.100', total_ops: 0 });
+      expect(node.callsTo('get_full_accounts')[0].params).toEqual([['1.2.100', '1.2.101'], true]);
+
+      const balance = chain.setBalance('bob', 'BTS', 7);
+      await waitFor(() => received.length === 1);
+      expect(received[0]).toEqual(['1.2.101', [balance]]);
+
+      // One subscribe callback per connection
+      await api.subscribeToAccounts(['1.2.100'], () => {});
+      expect(node.callsTo('set_subscribe_callback')).toHaveLength(1);
+    });
+
+    test('AccountWatcher reports operations added since an account was last seen', async () => {
+      chrome.__resetStorage();
+      const reported = [];
+      const balances = [];
+      const watcher = new AccountWatcher({
+        onOperations: (accountId, operations) => reported.push([accountId, operations.map(op => op.id)]),
+        onBalances: (accountId) => balances.push(accountId)
+      });
+      const incoming = () => chain.addHistory([0, {
+        fee: { amount: 2000, asset_id: '1.3.0' },
+        from: '1.2.101',
+        to: '1.2.100',
+        amount: { amount: 500, asset_id: '1.3.0' }
+      }]);
+
+      // First sight only records the count
+      incoming();
+      await watcher.watch(api, ['1.2.100']);
+      expect(reported).toEqual([]);
+
+      const live = incoming();
+      await waitFor(() => reported.length === 1);
+      expect(reported[0]).toEqual(['1.2.100', [live.id]]);
+      chain.setBalance('alice', 'BTS', 5);
+      await waitFor(() => balances.length === 1);
+
+      // Operations that arrive while nobody is connected are reported on the next watch()
+      await api.disconnect();
+      const missed = [incoming(), incoming()];
+      const later = new BitSharesAPI([node.url]);
+      await later.connect();
+      try {
+        await watcher.watch(later, ['1.2.100']);
+        expect(reported[1]).toEqual(['1.2.100', missed.reverse().map(entry => entry.id)]);
+      } finally {
+        await later.disconnect();
+      }
+    });
+
+    test('AccountWatcher stops reporting an account removed from the wallet', async () => {
+      chrome.__resetStorage();
+      const balances = [];
+      const watcher = new AccountWatcher({ onBalances: (accountId) => balances.push(accountId) });
+      await watcher.watch(api, ['1.2.100', '1.2.101']);
+      chain.setBalance('bob', 'BTS', 5);
+      await waitFor(() => balances.length === 1);
+
+      await watcher.watch(api, ['1.2.100']);
+      expect([...api.subscriptionCallbacks.keys()]).toEqual(['1.2.100']);
+      chain.setBalance('bob', 'BTS', 6);
+      chain.setBalance('alice', 'BTS', 7);
+      await waitFor(() => balances.length === 2);
+      expect(balances).toEqual(['1.2.101', '1.2.100']);
+
+      // Removing the last account leaves nothing subscribed
+      await watcher.watch(api, []);
+      expect(api.subscriptionCallbacks.size).toBe(0);
+    });
+
+    test('AccountWatcher subscribes again when the same API reconnects', async () => {
+      chrome.__resetStorage();
+      const reported = [];
+      const watcher = new AccountWatcher({
+        onOperations: (accountId, operations) => reported.push(operations.map(op => op.id))
+      });
+      await watcher.watch(api, ['1.2.100']);
+
+      // The new socket starts without the subscription
+      await api.disconnect();
+      await api.connect();
+      await watcher.watch(api, ['1.2.100']);
+      expect(node.callsTo('set_subscribe_callback')).toHaveLength(2);
+
+      const live = chain.addHistory([0, {
+        fee: { amount: 2000, asset_id: '1.3.0' },
+        from: '1.2.101',
+        to: '1.2.100',
+        amount: { amount: 500, asset_id: '1.3.0' }
+      }]);
+      await waitFor(() => reported.length === 1);
+      expect(reported[0]).toEqual([live.id]);
+    });
+
+    test('scripted notices reach the client', async () => {
+      const messages = tapMessages(api);
+      node.notice(7, [{ id: '1.2.100' }]);
+      await waitFor(() => messages.length === 1);
+      expect(messages[0]).toEqual({ method: 'notice', params: [7, [{ id: '1.2.100' }]] });
+    });
+  });
+
+  describe('transaction tracking', () => {
+    let events;
+    let unsubscribe;
+    let tracker;
+    let changes;
+
+    beforeEach(async () => {
+      chrome.__resetStorage();
+      events = [];
+      changes = [];
+      tracker = new TransactionTracker({
+        getApi: () => api,
+        onChange: (entry, previous) => changes.push([previous, entry.status])
+      });
+      unsubscribe = BitSharesAPI.onTransaction((event) => {
+        events.push(event);
+        tracker.record(event);
+      });
+      await api.connect();
+    });
+
+    afterEach(() => unsubscribe());
+
+    test('the broadcast callback reports the block and position of the transaction', async () => {
+      const receipt = await api.signAndBroadcast(transfer(), WIF_1);
+      await waitFor(() => events.length === 2);
+
+      const { id, trx } = chain.transactions[0];
+      expect(events).toEqual([
+        { status: 'pending', id, chainId: MAINNET_CHAIN_ID, expiration: trx.expiration, operations: [0] },
+        { status: 'included', id, chainId: MAINNET_CHAIN_ID, block_num: 1001, trx_in_block: 0 }
+      ]);
+      expect(receipt.id).toBe(id);
+      expect(api.noticeCallbacks.size).toBe(0);
+    });
+
+    test('follows a transaction from pending to irreversible', async () => {
+      chain.irreversibleLag = 3;
+      const { id } = await api.signAndBroadcast(transfer(), WIF_1);
+      await waitFor(async () => (await tracker.list())[0]?.status === 'included');
+
+      // Block 1001 is not irreversible until the head reaches 1004
+      await expect(tracker.poll()).resolves.toBe(1);
+      chain.produceBlocks(3);
+      await expect(tracker.poll()).resolves.toBe(0);
+
+      const { trackedTransactions } = await chrome.storage.local.get(['trackedTransactions']);
+      expect(trackedTransactions).toEqual([expect.objectContaining({
+        id, status: 'irreversible', block_num: 1001, trx_in_block: 0, operations: [0]
+      })]);
+      expect(changes).toEqual([['pending', 'included'], ['included', 'irreversible']]);
+    });
+
+    test('finds a transaction whose callback never arrived', async () => {
+      chain.irreversibleLag = 3;
+      node.handle('broadcast_transaction_with_callback', async ([, trx]) => {
+        await chain.pushTransaction(trx);
+        return null;
+      });
+      const { id } = await api.signAndBroadcast(transfer(), WIF_1);
+      await waitFor(async () => (await tracker.list()).length === 1);
+
+      await expect(tracker.poll()).resolves.toBe(1);
+      expect((await tracker.list())[0]).toMatchObject({ id, status: 'included', block_num: null, seen_at_block: 1001 });
+      chain.produceBlocks(3);
+      await expect(tracker.poll()).resolves.toBe(0);
+      expect(changes).toEqual([['pending', 'included'], ['included', 'irreversible']]);
+    });
+
+    test('keeps an inclusion without a block number open until the head it was seen at is irreversible', async () => {
+      chain.irreversibleLag = 3;
+      chain.produceBlocks(5);
+      const id = 'ab'.repeat(20);
+      await tracker.record({ status: 'pending', id, chainId: MAINNET_CHAIN_ID, expiration: '2099-01-01T00:00:00', operations: [0] });
+      await tracker.record({ status: 'included', id, chainId: MAINNET_CHAIN_ID });
+
+      await expect(tracker.poll()).resolves.toBe(1);
+      expect((await tracker.list())[0]).toMatchObject({ id, status: 'included', block_num: null, seen_at_block: 1005 });
+      chain.produceBlocks(3);
+      await expect(tracker.poll()).resolves.toBe(0);
+      expect(changes).toEqual([['pending', 'included'], ['included', 'irreversible']]);
+    });
+
+    test('expires a transaction that never made it into a block', async () => {
+      node.handle('broadcast_transaction_with_callback', () => null);
+      const { id, expiration } = await api.signAndBroadcast(transfer(), WIF_1);
+      await waitFor(async () => (await tracker.list()).length === 1);
+
+      await expect(tracker.poll()).resolves.toBe(1);
+      chain.produceBlocks(10); // 30 seconds: the head reaches the expiration time
+      await expect(tracker.poll()).resolves.toBe(1);
+      chain.produceBlocks(1);
+      await expect(tracker.poll()).resolves.toBe(0);
+
+      expect((await tracker.list())[0]).toMatchObject({ id, expiration, status: 'expired' });
+      expect(changes).toEqual([['pending', 'expired']]);
+    });
+  });
+});
+
+describe('BackgroundService against mock nodes', () => {
+  const PASSWORD = 'TestPassword123!';
+  const BRAINKEY =
+    'ABANDON ABILITY ABLE ABOUT ABOVE ABSENT ABSORB ABSTRACT ABSURD ABUSE ACCESS ACCIDENT ACCOUNT ACCUSE ACHIEVE ACID';
+
+  let chain;
+  let first;
+  let second;
+  let service;
+
+  beforeAll(async () => {
+    chain = createChain();
+    first = await new MockBitSharesNode({ chain }).start();
+    second = await new MockBitSharesNode({ chain }).start();
+    // The service worker dials its hard-coded mainnet nodes; route the first
+    // two to the mock nodes and refuse the rest
+    installWebSocket({
+      'wss://node.xbts.io/ws': first.url,
+      'wss://cloud.xbts.io/ws': second.url
+    });
+    chrome.__resetStorage();
+    global.self = global;
+
+    await import('../src/background/service-worker.js');
+    service = self.backgroundService;
+    await waitFor(() => service.api?.isConnected);
+  });
+
+  afterAll(async () => {
+    await service?.walletManager.lock();
+    await service?.api?.disconnect();
+    await first.stop();
+    await second.stop();
+    delete global.self;
+  });
+
+  test('connects to the first default node', async () => {
+    expect(service.api.currentNode).toBe('wss://node.xbts.io/ws');
+    await expect(service.handleDAppMessage({ method: 'getChainId' }, { origin: ORIGIN }))
+      .resolves.toEqual({ chainId: MAINNET_CHAIN_ID });
+  });
+
+  test('signs and broadcasts an approved dApp transaction', async () => {
+    const keys = await CryptoUtils.generateKeysFromPassword('carol', 'carol-password');
+    const carol = chain.addAccount({
+      name: 'carol',
+      owner: keys.owner.publicKey,
+      active: keys.active.publicKey,
+      memo: keys.memo.publicKey
+    });
+    chain.setBalance('carol', 'BTS', 100000);
+
+    const wallet = service.walletManager;
+    await wallet.createWallet('Test Wallet', PASSWORD, BRAINKEY, 'carol', 'carol-password', 'mainnet');
+    await wallet.addConnectedSite(ORIGIN, carol.id, 'carol', [], 'mainnet');
+
+    const reply = service.handleDAppMessage({
+      id: 1,
+      method: 'signTransaction',
+      params: {
+        operations: [[0, { from: carol.id, to: 'bob', amount: { amount: 10000, asset_id: '1.3.0' } }]]
+      }
+    }, { origin: ORIGIN, tab: { id: 1 } });
+
+    let pendingApproval;
+    await waitFor(async () => ({ pendingApproval } = await chrome.storage.local.get(['pendingApproval'])).pendingApproval);
+    expect(pendingApproval).toMatchObject({ type: 'transaction', origin: ORIGIN, network: 'mainnet' });
+
+    await service.handleMessage({
+      type: 'DAPP_APPROVE_TRANSACTION',
+      data: { requestId: pendingApproval.requestId, approved: true }
+    });
+    await expect(reply).resolves.toEqual({
+      success: true,
+      result: { id: chain.transactions.at(-1).id, expiration: chain.transactions.at(-1).trx.expiration }
+    });
+    expect(chain.getBalance('carol', 'BTS')).toBe(100000 - 12000);
+    expect(chain.transactions.at(-1).trx.operations[0][1].to).toBe('1.2.101');
+  }, 60000);
+
+  test('pays fees in the asset the dApp asks for or the user picks', async () => {
+    // carol and her wallet come from the previous test
+    addUsd(chain);
+    chain.setBalance('carol', 'USD', 10000);
+    const approve = async (type, data = {}) => {
+      let pendingApproval;
+      await waitFor(async () => ({ pendingApproval } = await chrome.storage.local.get(['pendingApproval'])).pendingApproval);
+      await service.handleMessage({ type, data: { requestId: pendingApproval.requestId, approved: true, ...data } });
+    };
+
+    const transferReply = service.handleDAppMessage({
+      id: 2,
+      method: 'transfer',
+      params: { to: 'bob', amount: '0.1', asset: 'BTS', fee_asset: 'USD' }
+    }, { origin: ORIGIN, tab: { id: 1 } });
+    await approve('DAPP_APPROVE_TRANSFER');
+    await expect(transferReply).resolves.toMatchObject({ success: true });
+    expect(chain.transactions.at(-1).trx.operations[0][1].fee).toEqual({ amount: 667, asset_id: '1.3.1' });
+
+    const txReply = service.handleDAppMessage({
+      id: 3,
+      method: 'signTransaction',
+      params: {
+        operations: [[0, { from: 'carol', to: 'bob', amount: { amount: 10000, asset_id: '1.3.0' } }]]
+      }
+    }, { origin: ORIGIN, tab: { id: 1 } });
+    await approve('DAPP_APPROVE_TRANSACTION', { feeAsset: '1.3.1' });
+    await expect(txReply).resolves.toMatchObject({ success: true, result: { id: chain.transactions.at(-1).id } });
+    expect(chain.transactions.at(-1).trx.operations[0][1].fee).toEqual({ amount: 667, asset_id: '1.3.1' });
+    expect(chain.getBalance('carol', 'USD')).toBe(10000 - 2 * 667);
+
+    await expect(service.handleDAppMessage({
+      method: 'transfer',
+      params: { to: 'bob', amount: '0.1', fee_asset: { id: '1.3.1' } }
+    }, { origin: ORIGIN, tab: { id: 1 } })).rejects.toThrow('Invalid "fee_asset" parameter');
+  }, 60000);
+
+  test('tells the dApp and the user when its transaction is confirmed', async () => {
+    // carol and her wallet come from the earlier tests. Firefox leaves
+    // sender.origin unset, so the page is only known by its URL
+    const sender = { url: `${ORIGIN}/exchange?pair=BTS_USD`, tab: { id: 7 } };
+    const port = { sender, postMessage: jest.fn() };
+    service.contentPorts.set(7, port);
+    const confirmations = () => port.postMessage.mock.calls
+      .map(([message]) => message)
+      .filter(message => message.type === 'TRANSACTION_CONFIRMED');
+
+    const reply = service.handleDAppMessage({
+      id: 4,
+      method: 'signTransaction',
+      params: {
+        operations: [[0, { from: 'carol', to: 'bob', amount: { amount: 10000, asset_id: '1.3.0' } }]]
+      }
+    }, sender);
+    let pendingApproval;
+    await waitFor(async () => ({ pendingApproval } = await chrome.storage.local.get(['pendingApproval'])).pendingApproval);
+    await service.handleMessage({
+      type: 'DAPP_APPROVE_TRANSACTION',
+      data: { requestId: pendingApproval.requestId, approved: true }
+    });
+    const { result: { id } } = await reply;
+    const blockNum = chain.transactions.at(-1).block_num;
+
+    await waitFor(() => confirmations().length === 1);
+    expect(confirmations()[0].data).toEqual({ id, status: 'included', block_num: blockNum, trx_in_block: 0 });
+    expect(chrome.alarms.create).toHaveBeenCalledWith('tx-tracker', { periodInMinutes: 0.5 });
+
+    await service.pollTransactions();
+    expect(confirmations()[1].data).toMatchObject({ id, status: 'irreversible' });
+    expect(chrome.notifications.create).toHaveBeenCalledWith(expect.objectContaining({
+      message: `Transaction ${id.slice(0, 8)}… is confirmed and irreversible (block ${blockNum}).`
+    }));
+    expect(chrome.alarms.clear).toHaveBeenCalledWith('tx-tracker');
+
+    // The entry remembers which page asked for the transaction
+    const { trackedTransactions } = await chrome.storage.local.get(['trackedTransactions']);
+    expect(trackedTransactions.find(entry => entry.id === id)).toMatchObject({ origin: ORIGIN, tabId: 7 });
+    service.contentPorts.delete(7);
+  }, 60000);
+
+  test('notifies incoming transfers, fills and margin calls the account has not turned off', async () => {
+    // carol and her wallet come from the earlier tests
+    const carol = chain.getAccount('carol');
+    await chrome.storage.local.set({ notificationPreferences: { [carol.id]: { margin_call: false } } });
+    await service.watchAccounts();
+    chrome.notifications.create.mockClear();
+    const messages = () => chrome.runtime.sendMessage.mock.calls.map(([message]) => message);
+
+    const incoming = chain.addHistory([0, {
+      fee: { amount: 2000, asset_id: '1.3.0' },
+      from: '1.2.101',
+      to: carol.id,
+      amount: { amount: 250000, asset_id: '1.3.0' }
+    }]);
+    await waitFor(() => chrome.notifications.create.mock.calls.length === 1);
+    expect(chrome.notifications.create).toHaveBeenCalledWith(expect.objectContaining({
+      title: 'Incoming Transfer',
+      message: 'carol received 2.5 BTS from bob.'
+    }));
+    expect(messages()).toContainEqual({ type: 'ACCOUNT_ACTIVITY', accountId: carol.id, operations: [incoming] });
+
+    const fill = (orderId) => chain.addHistory([4, {
+      fee: { amount: 0, asset_id: '1.3.1' },
+      order_id: orderId,
+      account_id: carol.id,
+      pays: { amount: 100000, asset_id: '1.3.0' },
+      receives: { amount: 20000, asset_id: '1.3.1' },
+      fill_price: { base: { amount: 100000, asset_id: '1.3.0' }, quote: { amount: 20000, asset_id: '1.3.1' } },
+      is_maker: true
+    }]);
+    fill('1.7.5');
+    await waitFor(() => chrome.notifications.create.mock.calls.length === 2);
+    expect(chrome.notifications.create).toHaveBeenLastCalledWith(expect.objectContaining({
+      title: 'Order Filled',
+      message: 'carol sold 1 BTS for 2 USD.'
+    }));
+
+    // Margin calls are turned off for carol: the popup still hears about it
+    const marginCall = fill('1.8.2');
+    await waitFor(() => messages().some(m => m.type === 'ACCOUNT_ACTIVITY' && m.operations[0].id === marginCall.id));
+    expect(chrome.notifications.create).toHaveBeenCalledTimes(2);
+  }, 60000);
+
+  test('claims genesis and vested balances in one transaction', async () => {
+    // carol and her wallet come from the earlier tests
+    const wallet = service.walletManager;
+    const carol = chain.getAccount('carol');
+    const [activeKey] = carol.active.key_auths[0];
+    const now = chain.get('2.1.0').time;
+    const daysAgo = days => new Date(Date.parse(now + 'Z') - days * 86400000).toISOString().slice(0, -5);
+
+    // Genesis balances are owned by a PTS-style address of the key
+    const [, ptsAddress] = await CryptoUtils.publicKeyAddresses(activeKey, 'BTS');
+    const genesis = chain.addBalanceObject({ owner: ptsAddress, amount: 500000 });
+    const worker = chain.addVestingBalance({
+      owner: 'carol',
+      amount: 620000,
+      balance_type: 'worker',
+      policy: [0, {
+        begin_timestamp: daysAgo(31),
+        vesting_cliff_seconds: 0,
+        vesting_duration_seconds: 62 * 86400,
+        begin_balance: 620000
+      }]
+    });
+    const cashback = chain.addVestingBalance({
+      owner: 'carol',
+      amount: 40000,
+      balance_type: 'cashback',
+      policy: [1, {
+        vesting_seconds: 86400,
+        coin_seconds_earned: '0',
+        start_claim: '2030-01-01T00:00:00',
+        coin_seconds_earned_last_update: daysAgo(1)
+      }]
+    });
+
+    const items = await wallet.getClaimableBalances();
+    expect(items).toEqual([
+      {
+        id: genesis.id, type: 'balance', kind: 'genesis', accountId: carol.id, accountName: 'carol',
+        ownerKey: activeKey, balance: { amount: 500000, asset_id: '1.3.0' }, claimable: 500000
+      },
+      {
+        id: worker.id, type: 'vesting', kind: 'worker', accountId: carol.id, accountName: 'carol',
+        balance: { amount: 620000, asset_id: '1.3.0' }, claimable: 310000
+      },
+      {
+        id: cashback.id, type: 'vesting', kind: 'cashback', accountId: carol.id, accountName: 'carol',
+        balance: { amount: 40000, asset_id: '1.3.0' }, claimable: 0
+      }
+    ]);
+
+    const before = chain.getBalance('carol', 'BTS');
+    const { claimed } = await wallet.claimBalances();
+    expect(claimed.map(item => item.id)).toEqual([genesis.id, worker.id]);
+    expect(chain.transactions.at(-1).trx.operations.map(([type]) => type)).toEqual([37, 33]);
+    expect(chain.getBalance('carol', 'BTS')).toBe(before + 500000 + 310000 - 100);
+    expect(chain.get(genesis.id)).toBeNull();
+    expect(chain.get(worker.id).balance.amount).toBe(310000);
+
+    await expect(wallet.claimBalances([cashback.id])).rejects.toThrow('Nothing to claim');
+
+    // Vesting genesis balances, fully vested: one a day after its last claim, one half a day
+    const vestingPolicy = {
+      begin_timestamp: daysAgo(100),
+      vesting_cliff_seconds: 0,
+      vesting_duration_seconds: 10 * 86400,
+      begin_balance: 200000
+    };
+    const rested = chain.addBalanceObject({ owner: ptsAddress, amount: 200000, vesting_policy: vestingPolicy, last_claim_date: daysAgo(1) });
+    const recent = chain.addBalanceObject({ owner: ptsAddress, amount: 200000, vesting_policy: vestingPolicy, last_claim_date: daysAgo(0.5) });
+    await wallet.claimBalances([rested.id, recent.id]);
+    expect(chain.transactions.at(-1).trx.operations).toEqual([
+      [37, expect.objectContaining({ balance_to_claim: rested.id, total_claimed: { amount: 200000, asset_id: '1.3.0' } })]
+    ]);
+
+    const early = await wallet.signTransaction({
+      operations: [[37, {
+        fee: { amount: 0, asset_id: '1.3.0' },
+        deposit_to_account: carol.id,
+        balance_to_claim: recent.id,
+        balance_owner_key: activeKey,
+        total_claimed: { amount: 200000, asset_id: '1.3.0' }
+      }]],
+      extensions: []
+    });
+    expect(early).toMatchObject({ success: false, error: expect.stringContaining('last_claim_date >= fc::days(1)') });
+  }, 60000);
+
+  test('places, updates and cancels limit orders', async () => {
+    // carol, her wallet and USD come from the earlier tests
+    const wallet = service.walletManager;
+    const carol = chain.getAccount('carol');
+    const before = chain.getBalance('carol', 'BTS');
+
+    // Sell 2 BTS at 0.5 USD each
+    await wallet.createLimitOrder({ sellAsset: 'BTS', sellAmount: '2', buyAsset: 'USD', buyAmount: '1' });
+    const [entry] = await wallet.getOpenOrders();
+    expect(entry).toMatchObject({
+      accountId: carol.id,
+      accountName: 'carol',
+      watchOnly: false,
+      order: {
+        seller: carol.id,
+        for_sale: 200000,
+        sell_price: { base: { amount: 200000, asset_id: '1.3.0' }, quote: { amount: 10000, asset_id: '1.3.1' } }
+      }
+    });
+    const orderId = entry.order.id;
+    const book = await service.api.getOrderBook('USD', 'BTS');
+    expect(book.asks).toEqual([expect.objectContaining({ price: '0.5', quote: '2', base: '1', order_id: orderId })]);
+    expect(chain.getBalance('carol', 'BTS')).toBe(before - 200000 - 100);
+
+    // 3 BTS at 0.6 USD each, in place
+    await wallet.updateLimitOrder(orderId, { price: '0.6', amount: '3' });
+    expect(chain.transactions.at(-1).trx.operations[0][1]).toMatchObject({
+      seller: carol.id,
+      order: orderId,
+      new_price: { base: { amount: 300000, asset_id: '1.3.0' }, quote: { amount: 18000, asset_id: '1.3.1' } },
+      delta_amount_to_sell: { amount: 100000, asset_id: '1.3.0' }
+    });
+    expect(chain.get(orderId).for_sale).toBe(300000);
+    expect(chain.getBalance('carol', 'BTS')).toBe(before - 300000 - 200);
+    await expect(wallet.updateLimitOrder(orderId, { price: '0.6' })).rejects.toThrow('Nothing to change');
+
+    await wallet.cancelLimitOrder(orderId);
+    expect(chain.get(orderId)).toBeNull();
+    expect(chain.getBalance('carol', 'BTS')).toBe(before - 300);
+    await expect(wallet.cancelLimitOrder(orderId)).rejects.toThrow(`Order not found: ${orderId}`);
+
+    const bobsOrder = chain.addLimitOrder({
+      seller: 'bob',
+      sell: { amount: 10000, asset: 'BTS' },
+      receive: { amount: 1000, asset: 'USD' }
+    });
+    await expect(wallet.cancelLimitOrder(bobsOrder.id))
+      .rejects.toThrow('Order does not belong to an account in this wallet');
+
+    // A dApp's fill-or-kill order that nothing fills is cancelled by the chain
+    const reply = service.handleDAppMessage({
+      id: 5,
+      method: 'createLimitOrder',
+      params: { sellAsset: 'BTS', sellAmount: '1', buyAsset: 'USD', buyAmount: '1', fillOrKill: true }
+    }, { origin: ORIGIN, tab: { id: 1 } });
+    let pendingApproval;
+    await waitFor(async () => ({ pendingApproval } = await chrome.storage.local.get(['pendingApproval'])).pendingApproval);
+    expect(pendingApproval.params.fillOrKill).toBe(true);
+    await service.handleMessage({
+      type: 'DAPP_APPROVE_LIMIT_ORDER',
+      data: { requestId: pendingApproval.requestId, approved: true }
+    }).catch(() => {});
+    await expect(reply).rejects.toThrow('Cancelling order because it was not filled');
+  }, 60000);
+
+  test('swaps through the pool that pays the most, within the slippage tolerance', async () => {
+    // carol, her wallet and USD come from the earlier tests
+    const wallet = service.walletManager;
+    const deep = chain.addLiquidityPool({ a: ['BTS', 1000000000], b: ['USD', 50000000], taker_fee_percent: 30 });
+    const shallow = chain.addLiquidityPool({ a: ['BTS', 100000000], b: ['USD', 5000000] });
+    chain.setBalance('carol', 'BTS', chain.getBalance('carol', 'BTS') + 20000000);
+    const lastOperation = () => chain.transactions.at(-1).trx.operations[0][1];
+    const usd = () => chain.getBalance('carol', 'USD');
+
+    // 1 BTS: the shallow pool without a fee pays more
+    let before = usd();
+    const small = await wallet.swapViaPool({ sellAsset: 'BTS', sellAmount: '1', buyAsset: 'USD', slippage: 0.5 });
+    expect(small.pool).toBe(shallow.id);
+    expect(usd() - before).toBe(small.quote.receive.amount);
+    expect(lastOperation()).toMatchObject({
+      pool: shallow.id,
+      amount_to_sell: { amount: 100000, asset_id: '1.3.0' },
+      min_to_receive: { amount: LiquidityPools.minToReceive(small.quote.receive.amount, 0.5), asset_id: '1.3.1' }
+    });
+
+    // 100 BTS: the deep pool, less the slippage setting
+    await chrome.storage.local.set({ [SWAP_SLIPPAGE_KEY]: 2 });
+    before = usd();
+    const large = await wallet.swapViaPool({ sellAsset: 'BTS', sellAmount: '100', buyAsset: 'USD' });
+    expect(large.pool).toBe(deep.id);
+    expect(large.quote.receive.amount).toBe(493564);
+    expect(usd() - before).toBe(493564);
+    expect(lastOperation().min_to_receive.amount).toBe(LiquidityPools.minToReceive(493564, 2));
+    // The pool's taker fee stays in the pool
+    expect(chain.get(deep.id)).toMatchObject({ balance_a: 1010000000, balance_b: 50000000 - 493564 });
+    await chrome.storage.local.remove([SWAP_SLIPPAGE_KEY]);
+
+    // Asking for more than the pool pays fails on chain
+    await expect(wallet.swapViaPool({ sellAsset: 'BTS', sellAmount: '1', buyAsset: 'USD', minReceive: '1' }))
+      .rejects.toThrow('Unable to exchange at expected price');
+  }, 60000);
+
+  test('swaps along multi-hop routes through pools and order books in one transaction', async () => {
+    // carol, her wallet, USD and the BTS/USD pools come from the earlier tests
+    const wallet = service.walletManager;
+    const btc = chain.addAsset({ symbol: 'HONEST.BTC', precision: 8 });
+    const btcPool = chain.addLiquidityPool({ a: ['BTS', 1000000000], b: ['HONEST.BTC', 10000000], taker_fee_percent: 20 });
+    chain.setBalance('carol', 'USD', chain.getBalance('carol', 'USD') + 200000);
+    const balances = () => ['BTS', 'USD', 'HONEST.BTC'].map(asset => chain.getBalance('carol', asset));
+    const operationTypes = () => chain.transactions.at(-1).trx.operations.map(([type]) => type);
+
+    // No USD/HONEST.BTC pool: through BTS
+    let markets = await wallet.loadSwapRoutes('1.3.1', btc.id);
+    expect(markets.paths).toEqual([['1.3.1', '1.3.0', btc.id]]);
+    let route = SwapRouter.bestRoute(markets.graph, markets.paths, 10000, markets.assets, 1);
+    let [bts, usd, honest] = balances();
+    let transactions = chain.transactions.length;
+    await wallet.swapViaRoute(route);
+    expect(chain.transactions.length).toBe(transactions + 1);
+    expect(operationTypes()).toEqual([63, 63]);
+    expect(balances()).toEqual([
+      bts + route.leftovers[0].amount - 2 * chain.feeIn(63, '1.3.0'),
+      usd - 10000,
+      honest + route.receive.amount
+    ]);
+
+    // bob sells BTS at 0.4 USD, below the pools' price: the first hop fills his order
+    const bobsOrder = chain.addLimitOrder({
+      seller: 'bob',
+      sell: { amount: 10000000, asset: 'BTS' },
+      receive: { amount: 400000, asset: 'USD' }
+    });
+    markets = await wallet.loadSwapRoutes('1.3.1', btc.id, { orderBooks: true });
+    route = SwapRouter.bestRoute(markets.graph, markets.paths, 100000, markets.assets, 1);
+    expect(route.hops.map(hop => hop.type)).toEqual(['book', 'pool']);
+    [bts, usd, honest] = balances();
+    const bobsUsd = chain.getBalance('bob', 'USD');
+    await wallet.swapViaRoute(route);
+    expect(operationTypes()).toEqual([1, 63]);
+    expect(chain.transactions.at(-1).trx.operations[0][1]).toMatchObject({ fill_or_kill: true, amount_to_sell: { amount: 100000 } });
+    expect(chain.get(bobsOrder.id).for_sale).toBe(10000000 - 2500000);
+    expect(chain.getBalance('bob', 'USD')).toBe(bobsUsd + 100000);
+    expect(balances()).toEqual([
+      bts + route.leftovers[0].amount - chain.feeIn(1, '1.3.0') - chain.feeIn(63, '1.3.0'),
+      usd - 100000,
+      honest + route.receive.amount
+    ]);
+
+    // The second hop's pool moves before the swap lands: neither hop goes through
+    route = SwapRouter.bestRoute(markets.graph, markets.paths, 100000, markets.assets, 1);
+    const moved = chain.get(btcPool.id);
+    const balanceB = Math.floor(moved.balance_b * 0.9);
+    chain.put({ ...moved, balance_b: balanceB, virtual_value: String(BigInt(moved.balance_a) * BigInt(balanceB)) });
+    const before = balances();
+    await expect(wallet.swapViaRoute(route)).rejects.toThrow('Unable to exchange at expected price');
+    expect(balances()).toEqual(before);
+    expect(chain.get(bobsOrder.id).for_sale).toBe(10000000 - 2500000);
+  }, 60000);
+
+  test('borrows, repays and closes a debt position, and alerts when it nears margin call', async () => {
+    // carol and her wallet come from the earlier tests
+    const wallet = service.walletManager;
+    const carol = chain.getAccount('carol');
+    // 1 CNY = 2 BTS
+    const cny = chain.addBitasset({ symbol: 'CNY', precision: 4, feed: [10000, 200000] });
+    chain.setBalance('carol', 'BTS', chain.getBalance('carol', 'BTS') + 20000000);
+    const fee = chain.feeIn(3, '1.3.0');
+    const lastOperation = () => chain.transactions.at(-1).trx.operations[0];
+    const position = () => chain.callOrders(o => o.borrower === carol.id && o.call_price.quote.asset_id === cny.id)[0];
+
+    // 100 BTS backing 25 CNY: CR 2
+    const bts = chain.getBalance('carol', 'BTS');
+    await wallet.updateCollateralPosition({ asset: 'CNY', deltaCollateral: '100', deltaDebt: '25', targetRatio: '2.5' });
+    expect(position()).toMatchObject({ collateral: 10000000, debt: 250000, target_collateral_ratio: 2500 });
+    expect(chain.getBalance('carol', 'BTS')).toBe(bts - 10000000 - fee);
+    expect(chain.getBalance('carol', 'CNY')).toBe(250000);
+
+    const [entry] = await wallet.getCollateralPositions();
+    expect(entry).toMatchObject({
+      accountId: carol.id,
+      accountName: 'carol',
+      asset: { symbol: 'CNY' },
+      collateralAsset: { symbol: 'BTS' },
+      position: { id: position().id, ratio: 2000, targetRatio: 2500, mcr: 1600, status: 'ok' }
+    });
+    await expect(wallet.updateCollateralPosition({ asset: 'CNY', deltaDebt: '10' }))
+      .rejects.toThrow('Collateral ratio must stay at or above 1.6');
+
+    // CNY rises to 2.3 BTS: CR 1.739, within 10% of the MCR
+    await chrome.storage.local.set({ notificationPreferences: {} });
+    await service.watchAccounts();
+    chrome.notifications.create.mockClear();
+    chain.setFeed('CNY', [10000, 230000]);
+    await service.checkPositions();
+    expect(chrome.notifications.create).toHaveBeenCalledTimes(1);
+    expect(chrome.notifications.create).toHaveBeenCalledWith(expect.objectContaining({
+      title: 'Margin Call Warning',
+      message: 'carol\'s CNY position is near margin call: collateral ratio 1.739, margin call below 1.6.'
+    }));
+    await service.checkPositions();
+    expect(chrome.notifications.create).toHaveBeenCalledTimes(1);
+
+    // Repaying keeps the target ratio
+    await wallet.updateCollateralPosition({ asset: 'CNY', deltaDebt: '-5' });
+    expect(lastOperation()[1]).toMatchObject({
+      funding_account: carol.id,
+      delta_collateral: { amount: 0, asset_id: '1.3.0' },
+      delta_debt: { amount: -50000, asset_id: cny.id },
+      extensions: { target_collateral_ratio: 2500 }
+    });
+    expect(position()).toMatchObject({ debt: 200000, target_collateral_ratio: 2500 });
+
+    await wallet.updateCollateralPosition({ asset: 'CNY', deltaDebt: '-20', deltaCollateral: '-100' });
+    expect(position()).toBeUndefined();
+    expect(chain.getBalance('carol', 'CNY')).toBe(0);
+    expect(chain.getBalance('carol', 'BTS')).toBe(bts - 3 * fee);
+    expect(await wallet.getCollateralPositions()).toEqual([]);
+  }, 60000);
+
+  test('force-settles a smartcoin, and bids collateral once it is globally settled', async () => {
+    const wallet = service.walletManager;
+    const carol = chain.getAccount('carol');
+    // 1 GOLD = 5 BTS, settled after an hour less 1%
+    const gold = chain.addBitasset({
+      symbol: 'GOLD',
+      precision: 4,
+      feed: [10000, 500000],
+      options: { force_settlement_delay_sec: 3600, force_settlement_offset_percent: 100 }
+    });
+    chain.setBalance('carol', 'BTS', chain.getBalance('carol', 'BTS') + 20000000);
+    const settleFee = chain.feeIn(17, '1.3.0');
+    const bidFee = chain.feeIn(45, '1.3.0');
+
+    // 100 BTS backing 10 GOLD
+    await wallet.updateCollateralPosition({ asset: 'GOLD', deltaCollateral: '100', deltaDebt: '10' });
+    let settlement = await wallet.getAssetSettlement('GOLD');
+    expect(settlement).toMatchObject({
+      asset: { id: gold.id },
+      collateralAsset: { symbol: 'BTS' },
+      limits: { delaySec: 3600, offsetPercent: 100, supply: 100000, volumeLimit: 20000, globallySettled: false },
+      settleOrders: [],
+      bid: null
+    });
+
+    // The settle order waits out the delay
+    const now = chain.get('2.1.0').time;
+    await wallet.forceSettle({ asset: 'GOLD', amount: '2' });
+    expect(chain.getBalance('carol', 'GOLD')).toBe(80000);
+    settlement = await wallet.getAssetSettlement('GOLD');
+    expect(settlement.settleOrders).toEqual([expect.objectContaining({
+      owner: carol.id,
+      balance: { amount: 20000, asset_id: gold.id }
+    })]);
+    expect(settlement.settleOrders[0].settlement_date > now).toBe(true);
+    await expect(wallet.bidCollateral({ asset: 'GOLD', additionalCollateral: '50', debtCovered: '8' }))
+      .rejects.toThrow('Only a globally settled asset takes collateral bids');
+
+    // Global settlement takes 50 BTS into the fund and cancels the settle order
+    let bts = chain.getBalance('carol', 'BTS');
+    chain.globalSettle('GOLD', [10000, 500000]);
+    expect(chain.getBalance('carol', 'BTS')).toBe(bts + 5000000);
+    expect(chain.getBalance('carol', 'GOLD')).toBe(100000);
+    settlement = await wallet.getAssetSettlement('GOLD');
+    expect(settlement.limits).toMatchObject({ globallySettled: true, settlementFund: 5000000, supply: 100000 });
+    expect(settlement.settleOrders).toEqual([]);
+
+    // Settling now pays out of the fund at once: 2 GOLD → 10 BTS
+    bts = chain.getBalance('carol', 'BTS');
+    await wallet.forceSettle({ asset: 'GOLD', amount: '2' });
+    expect(chain.getBalance('carol', 'GOLD')).toBe(80000);
+    expect(chain.getBalance('carol', 'BTS')).toBe(bts + 1000000 - settleFee);
+
+    // 50 BTS more for the remaining 8 GOLD, then withdrawn
+    bts = chain.getBalance('carol', 'BTS');
+    await expect(wallet.bidCollateral({ asset: 'GOLD', additionalCollateral: '50', debtCovered: '9' }))
+      .rejects.toThrow('Cannot cover more debt than the supply');
+    await wallet.bidCollateral({ asset: 'GOLD', additionalCollateral: '50', debtCovered: '8' });
+    expect(chain.getBalance('carol', 'BTS')).toBe(bts - 5000000 - bidFee);
+    settlement = await wallet.getAssetSettlement('GOLD');
+    expect(settlement.bid).toMatchObject({ bidder: carol.id, additionalCollateral: 5000000, debtCovered: 80000 });
+
+    await wallet.cancelCollateralBid('GOLD');
+    expect(chain.getBalance('carol', 'BTS')).toBe(bts - 2 * bidFee);
+    expect((await wallet.getAssetSettlement('GOLD')).bid).toBeNull();
+    await expect(wallet.cancelCollateralBid('GOLD')).rejects.toThrow('No bid to cancel');
+  }, 60000);
+
+  test('switches to a user-defined network and skips its nodes on other chains', async () => {
+    const devChainId = 'ab'.repeat(32);
+    const devNode = await new MockBitSharesNode({
+      chain: new MockChain({ chainId: devChainId, prefix: 'PRIV', coreSymbol: 'PRIV' })
+    }).start();
+    try {
+      // `second` is a mainnet node: listed first, but on the wrong chain
+      await saveCustomNetwork({
+        id: 'devnet',
+        name: 'Devnet',
+        chainId: devChainId,
+        keyPrefix: 'PRIV',
+        nodes: [second.url, devNode.url]
+      });
+      await chrome.storage.local.set({ selectedNetwork: 'devnet' });
+      await service.handleMessage({ type: 'NETWORK_SWITCH', data: { network: 'devnet' } });
+
+      expect(service.currentNetwork).toBe('devnet');
+      expect(service.api.currentNode).toBe(devNode.url);
+      expect(service.api.keyPrefix).toBe('PRIV');
+      await expect(service.handleDAppMessage({ method: 'getChainId' }, { origin: ORIGIN }))
+        .resolves.toEqual({ chainId: devChainId });
+    } finally {
+      await chrome.storage.local.set({ selectedNetwork: 'mainnet' });
+      await service.handleMessage({ type: 'NETWORK_SWITCH', data: { network: 'mainnet' } });
+      await devNode.stop();
+    }
+    expect(service.api.currentNode).toBe('wss://node.xbts.io/ws');
+  });
+
+  test('reconnects to the next node after the first one drops', async () => {
+    await first.stop();
+    await waitFor(() => !service.api.isConnected);
+
+    await expect(service.handleDAppMessage({ method: 'getChainId' }, { origin: ORIGIN }))
+      .resolves.toEqual({ chainId: MAINNET_CHAIN_ID });
+    expect(service.api.isConnected).toBe(true);
+    expect(service.api.currentNode).toBe('wss://cloud.xbts.io/ws');
+    expect(second.callsTo('login').length).toBeGreaterThan(0);
+  });
+});
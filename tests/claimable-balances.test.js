@@ -0,0 +1,134 @@
+/**
+ * Tests for src/lib/claimable-balances.js
+ *
+ * Coverage:
+ *  - vestingWithdrawable() — linear (cliff, part vested, fully vested), cdd, instant
+ *  - balanceClaimable()    — plain genesis balances, vesting ones and the daily claim limit
+ *  - vestingKind()         — balance_type from the node, cashback_vb fallback
+ *  - claimOperations()     — balance claims before withdrawals, nothing claimable skipped
+ */
+
+import { ClaimableBalances, VESTING_POLICY } from '../src/lib/claimable-balances.js';
+
+const NOW = '2026-01-31T00:00:00';
+const DAY = 86400;
+
+const linear = (overrides = {}) => ({
+  begin_timestamp: '2026-01-01T00:00:00',
+  vesting_cliff_seconds: 0,
+  vesting_duration_seconds: 60 * DAY,
+  begin_balance: 600000,
+  ...overrides
+});
+
+const vesting = (amount, policy) => ({ id: '1.13.5', balance: { amount, asset_id: '1.3.0' }, policy });
+
+// ---------------------------------------------------------------------------
+// vestingWithdrawable
+// ---------------------------------------------------------------------------
+describe('ClaimableBalances.vestingWithdrawable()', () => {
+  test('linear: what has vested less what was withdrawn', () => {
+    // 30 of 60 days: half of 600000 vested
+    expect(ClaimableBalances.vestingWithdrawable(vesting(600000, [VESTING_POLICY.LINEAR, linear()]), NOW)).toBe(300000);
+    expect(ClaimableBalances.vestingWithdrawable(vesting(400000, [VESTING_POLICY.LINEAR, linear()]), NOW)).toBe(100000);
+    expect(ClaimableBalances.vestingWithdrawable(vesting(200000, [VESTING_POLICY.LINEAR, linear()]), NOW)).toBe(0);
+  });
+
+  test('linear: nothing before the cliff, everything after the duration', () => {
+    const cliff = linear({ vesting_cliff_seconds: 31 * DAY });
+    expect(ClaimableBalances.vestingWithdrawable(vesting(600000, [VESTING_POLICY.LINEAR, cliff]), NOW)).toBe(0);
+    expect(ClaimableBalances.vestingWithdrawable(
+      vesting(600000, [VESTING_POLICY.LINEAR, linear({ begin_timestamp: '2025-01-01T00:00:00' })]), NOW)).toBe(600000);
+    expect(ClaimableBalances.vestingWithdrawable(
+      vesting(600000, [VESTING_POLICY.LINEAR, linear({ begin_timestamp: '2026-02-01T00:00:00' })]), NOW)).toBe(0);
+  });
+
+  test('cdd: coin-seconds earned over vesting_seconds, from start_claim on', () => {
+    const cdd = {
+      vesting_seconds: 10 * DAY,
+      coin_seconds_earned: '0',
+      start_claim: '1970-01-01T00:00:00',
+      coin_seconds_earned_last_update: '2026-01-26T00:00:00'
+    };
+    // 5 of 10 days earned on 100000
+    expect(ClaimableBalances.vestingWithdrawable(vesting(100000, [VESTING_POLICY.CDD, cdd]), NOW)).toBe(50000);
+    // Earned coin-seconds are capped at balance × vesting_seconds
+    const earned = { ...cdd, coin_seconds_earned: String(100000 * 10 * DAY) };
+    expect(ClaimableBalances.vestingWithdrawable(vesting(100000, [VESTING_POLICY.CDD, earned]), NOW)).toBe(100000);
+    expect(ClaimableBalances.vestingWithdrawable(
+      vesting(100000, [VESTING_POLICY.CDD, { ...earned, start_claim: '2026-02-01T00:00:00' }]), NOW)).toBe(0);
+  });
+
+  test('instant: the whole balance', () => {
+    expect(ClaimableBalances.vestingWithdrawable(vesting('12345', [VESTING_POLICY.INSTANT, {}]), new Date(0))).toBe(12345);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// balanceClaimable
+// ---------------------------------------------------------------------------
+describe('ClaimableBalances.balanceClaimable()', () => {
+  const balance = (amount, extra = {}) => ({
+    id: '1.15.0', owner: 'BTSaddress', balance: { amount, asset_id: '1.3.0' },
+    last_claim_date: '1970-01-01T00:00:00', ...extra
+  });
+
+  test('a balance without a vesting policy is claimable at once', () => {
+    expect(ClaimableBalances.balanceClaimable(balance(500000), NOW)).toBe(500000);
+  });
+
+  test('a vesting balance can be claimed as far as it has vested, once a day', () => {
+    expect(ClaimableBalances.balanceClaimable(balance(600000, { vesting_policy: linear() }), NOW)).toBe(300000);
+    const claimedToday = balance(300000, { vesting_policy: linear(), last_claim_date: '2026-01-30T12:00:00' });
+    expect(ClaimableBalances.balanceClaimable(claimedToday, NOW)).toBe(0);
+    const claimedYesterday = { ...claimedToday, last_claim_date: '2026-01-30T00:00:00' };
+    expect(ClaimableBalances.balanceClaimable(claimedYesterday, NOW)).toBe(0);
+    expect(ClaimableBalances.balanceClaimable(claimedYesterday, '2026-02-05T00:00:00')).toBe(50000);
+  });
+
+  test('a fully vested balance still waits a day after the last claim', () => {
+    const vested = balance(300000, { vesting_policy: linear(), last_claim_date: '2026-03-09T12:00:00' });
+    expect(ClaimableBalances.balanceClaimable(vested, '2026-03-10T00:00:00')).toBe(0);
+    expect(ClaimableBalances.balanceClaimable(vested, '2026-03-10T12:00:00')).toBe(300000);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// vestingKind
+// ---------------------------------------------------------------------------
+describe('ClaimableBalances.vestingKind()', () => {
+  test('names the balance type the node reports, or finds cashback by the account', () => {
+    expect(ClaimableBalances.vestingKind({ id: '1.13.5', balance_type: 'worker' })).toBe('worker');
+    expect(ClaimableBalances.vestingKind({ id: '1.13.5', balance_type: 'unspecified' }, { cashback_vb: '1.13.5' }))
+      .toBe('cashback');
+    expect(ClaimableBalances.vestingKind({ id: '1.13.5' }, { cashback_vb: '1.13.9' })).toBe('vesting');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// claimOperations
+// ---------------------------------------------------------------------------
+describe('ClaimableBalances.claimOperations()', () => {
+  test('claims balances first and skips what has nothing claimable', () => {
+    const operations = ClaimableBalances.claimOperations([
+      { type: 'vesting', id: '1.13.5', accountId: '1.2.100', balance: { asset_id: '1.3.0' }, claimable: 2500 },
+      { type: 'vesting', id: '1.13.6', accountId: '1.2.100', balance: { asset_id: '1.3.0' }, claimable: 0 },
+      { type: 'balance', id: '1.15.0', accountId: '1.2.101', ownerKey: 'BTSkey', balance: { asset_id: '1.3.2' }, claimable: 700 }
+    ]);
+    expect(operations).toEqual([
+      [37, {
+        fee: { amount: 0, asset_id: '1.3.0' },
+        deposit_to_account: '1.2.101',
+        balance_to_claim: '1.15.0',
+        balance_owner_key: 'BTSkey',
+        total_claimed: { amount: 700, asset_id: '1.3.2' }
+      }],
+      [33, {
+        fee: { amount: 0, asset_id: '1.3.0' },
+        vesting_balance: '1.13.5',
+        owner: '1.2.100',
+        amount: { amount: 2500, asset_id: '1.3.0' }
+      }]
+    ]);
+  });
+});
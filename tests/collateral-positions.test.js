@@ -0,0 +1,235 @@
+/**
+ * Tests for src/lib/collateral-positions.js
+ *
+ * Coverage:
+ *  - feedPrice()        — either orientation of the settlement price, missing feeds
+ *  - describe()         — collateral ratio, liquidation price, status against the MCR
+ *  - parseRatio()       — ratios typed as multiples → thousandths
+ *  - updateOperation()  — borrow, repay, collateral changes, target ratio, ICR checks
+ *  - alerts()           — one alert per step towards margin call
+ */
+
+import { CollateralPositions, POSITION_STATUS } from '../src/lib/collateral-positions.js';
+import { DexMarket } from '../src/lib/dex-market.js';
+
+// USD (1.3.1, precision 4) backed by BTS (1.3.0, precision 5); 1 USD = 20 BTS
+const bitasset = (overrides = {}, feedOverrides = {}) => ({
+  id: '2.4.1',
+  asset_id: '1.3.1',
+  options: { short_backing_asset: '1.3.0' },
+  current_feed: {
+    settlement_price: { base: { amount: 10000, asset_id: '1.3.1' }, quote: { amount: 2000000, asset_id: '1.3.0' } },
+    maintenance_collateral_ratio: 1600,
+    maximum_short_squeeze_ratio: 1100,
+    ...feedOverrides
+  },
+  settlement_price: { base: { amount: 0, asset_id: '1.3.1' }, quote: { amount: 0, asset_id: '1.3.0' } },
+  settlement_fund: 0,
+  ...overrides
+});
+
+// 400 BTS backing 10 USD: worth 20 USD, CR 2
+const callOrder = (overrides = {}) => ({
+  id: '1.8.7',
+  borrower: '1.2.100',
+  collateral: 40000000,
+  debt: 100000,
+  call_price: { base: { amount: 40000000, asset_id: '1.3.0' }, quote: { amount: 100000, asset_id: '1.3.1' } },
+  target_collateral_ratio: 2200,
+  ...overrides
+});
+
+// ---------------------------------------------------------------------------
+// feedPrice
+// ---------------------------------------------------------------------------
+describe('CollateralPositions.feedPrice()', () => {
+  test('reads the debt and collateral sides of the settlement price', () => {
+    expect(CollateralPositions.feedPrice(bitasset())).toEqual({ debt: 10000n, collateral: 2000000n });
+  });
+
+  test('accepts the collateral as base', () => {
+    const reversed = bitasset({}, {
+      settlement_price: { base: { amount: 2000000, asset_id: '1.3.0' }, quote: { amount: 10000, asset_id: '1.3.1' } }
+    });
+    expect(CollateralPositions.feedPrice(reversed)).toEqual({ debt: 10000n, collateral: 2000000n });
+  });
+
+  test('is null without a published feed', () => {
+    const empty = bitasset({}, {
+      settlement_price: { base: { amount: 0, asset_id: '1.3.1' }, quote: { amount: 0, asset_id: '1.3.0' } }
+    });
+    expect(CollateralPositions.feedPrice(empty)).toBeNull();
+    expect(CollateralPositions.feedPrice(bitasset({ current_feed: null }))).toBeNull();
+  });
+});
+
+// ---------------------------------------------------------------------------
+// describe
+// ---------------------------------------------------------------------------
+describe('CollateralPositions.describe()', () => {
+  test('collateral ratio, ratios of the feed and liquidation price', () => {
+    const position = CollateralPositions.describe(callOrder(), bitasset());
+    expect(position).toMatchObject({
+      id: '1.8.7',
+      borrower: '1.2.100',
+      collateral: { amount: 40000000, asset_id: '1.3.0' },
+      debt: { amount: 100000, asset_id: '1.3.1' },
+      ratio: 2000,
+      targetRatio: 2200,
+      mcr: 1600,
+      mssr: 1100,
+      icr: 1600,
+      status: POSITION_STATUS.OK
+    });
+    // 10 USD × 1.6 / 400 BTS
+    const { debt, collateral } = position.liquidationPrice;
+    expect(DexMarket.formatPrice(debt, 4, collateral, 5)).toBe('0.04');
+  });
+
+  test('warns within 10% above the MCR', () => {
+    expect(CollateralPositions.describe(callOrder({ collateral: 35200000 }), bitasset())).toMatchObject({
+      ratio: 1760, status: POSITION_STATUS.OK
+    });
+    expect(CollateralPositions.describe(callOrder({ collateral: 35199999 }), bitasset()).status)
+      .toBe(POSITION_STATUS.WARNING);
+  });
+
+  test('a CR just below the MCR is margin called, exactly at it is not', () => {
+    expect(CollateralPositions.describe(callOrder({ collateral: 32000000 }), bitasset()).status)
+      .toBe(POSITION_STATUS.WARNING);
+    const below = CollateralPositions.describe(callOrder({ collateral: 31999999 }), bitasset());
+    expect(below).toMatchObject({ ratio: 1599, status: POSITION_STATUS.MARGIN_CALL });
+  });
+
+  test('no ratio without a feed', () => {
+    const position = CollateralPositions.describe(callOrder({ target_collateral_ratio: undefined }), bitasset({ current_feed: null }));
+    expect(position).toMatchObject({ ratio: null, targetRatio: null, status: POSITION_STATUS.NO_FEED, mcr: 1750 });
+    expect(position.liquidationPrice).not.toBeNull();
+  });
+
+  test('the ICR defaults to the MCR', () => {
+    expect(CollateralPositions.ratios(bitasset({}, { initial_collateral_ratio: 1800 })))
+      .toEqual({ mcr: 1600, mssr: 1100, icr: 1800 });
+  });
+});
+
+// ---------------------------------------------------------------------------
+// parseRatio
+// ---------------------------------------------------------------------------
+describe('CollateralPositions.parseRatio()', () => {
+  test('multiples → thousandths', () => {
+    expect(CollateralPositions.parseRatio('1.75')).toBe(1750);
+    expect(CollateralPositions.parseRatio('2')).toBe(2000);
+    expect(CollateralPositions.parseRatio(' .5 ')).toBe(500);
+    expect(CollateralPositions.formatRatio(1750)).toBe('1.75');
+  });
+
+  test('rejects what a uint16 in thousandths cannot hold', () => {
+    expect(() => CollateralPositions.parseRatio('1.7555')).toThrow('a number like 1.75');
+    expect(() => CollateralPositions.parseRatio('abc')).toThrow('a number like 1.75');
+    expect(() => CollateralPositions.parseRatio('0')).toThrow('between 0.001 and 65.535');
+    expect(() => CollateralPositions.parseRatio('70')).toThrow('between 0.001 and 65.535');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// updateOperation
+// ---------------------------------------------------------------------------
+describe('CollateralPositions.updateOperation()', () => {
+  const update = (params) => CollateralPositions.updateOperation({
+    accountId: '1.2.100',
+    callOrder: callOrder(),
+    bitasset: bitasset(),
+    ...params
+  });
+
+  test('borrows while the CR stays above the MCR, keeping the target ratio', () => {
+    // 20 USD of collateral for 11 USD: CR 1.818
+    expect(update({ deltaDebt: 10000 })).toEqual({
+      funding_account: '1.2.100',
+      delta_collateral: { amount: 0, asset_id: '1.3.0' },
+      delta_debt: { amount: 10000, asset_id: '1.3.1' },
+      extensions: { target_collateral_ratio: 2200 }
+    });
+  });
+
+  test('refuses to borrow or withdraw below the MCR, or the ICR when set', () => {
+    expect(() => update({ deltaDebt: 30000 })).toThrow('Collateral ratio must stay at or above 1.6');
+    expect(() => update({ deltaCollateral: -10000000 })).toThrow('Collateral ratio must stay at or above 1.6');
+    const withIcr = bitasset({}, { initial_collateral_ratio: 1800 });
+    expect(update({ bitasset: withIcr, deltaDebt: 10000 }).delta_debt.amount).toBe(10000);
+    expect(() => update({ bitasset: withIcr, deltaDebt: 20000 })).toThrow('at or above 1.8');
+  });
+
+  test('repays and adds collateral even below the MCR', () => {
+    const marginCalled = callOrder({ collateral: 30000000 });
+    expect(update({ callOrder: marginCalled, deltaDebt: -10000 }).delta_debt.amount).toBe(-10000);
+    expect(update({ callOrder: marginCalled, deltaCollateral: 1000000 }).delta_collateral.amount).toBe(1000000);
+  });
+
+  test('closes a position by repaying all debt and withdrawing all collateral', () => {
+    expect(update({ deltaDebt: -100000, deltaCollateral: -40000000 })).toMatchObject({
+      delta_collateral: { amount: -40000000 },
+      delta_debt: { amount: -100000 }
+    });
+    expect(() => update({ deltaDebt: -100000 })).toThrow('withdraw all of its collateral too');
+    expect(() => update({ deltaDebt: -100001, deltaCollateral: -40000000 })).toThrow('Cannot repay more than the debt');
+    expect(() => update({ deltaCollateral: -40000001 })).toThrow('Cannot withdraw more collateral');
+  });
+
+  test('opens a position with collateral and debt', () => {
+    const op = update({ callOrder: null, deltaCollateral: 40000000, deltaDebt: 100000, targetRatio: 2000 });
+    expect(op.extensions).toEqual({ target_collateral_ratio: 2000 });
+    expect(() => update({ callOrder: null, deltaCollateral: 40000000 })).toThrow('needs collateral and debt');
+    expect(() => update({ callOrder: null, deltaCollateral: 40000000, deltaDebt: 200000 }))
+      .toThrow('at or above 1.6');
+  });
+
+  test('changes the target ratio alone with one unit of collateral', () => {
+    expect(update({ targetRatio: 2500 })).toMatchObject({
+      delta_collateral: { amount: 1, asset_id: '1.3.0' },
+      delta_debt: { amount: 0 },
+      extensions: { target_collateral_ratio: 2500 }
+    });
+    expect(update({ targetRatio: null }).extensions).toEqual({});
+    expect(() => update({ targetRatio: 2200 })).toThrow('Nothing to change');
+    expect(() => update({ targetRatio: 70000 })).toThrow('Target collateral ratio must be between');
+  });
+
+  test('needs a feed to borrow, not to repay', () => {
+    const noFeed = bitasset({ current_feed: null });
+    expect(() => update({ bitasset: noFeed, deltaDebt: 1 })).toThrow('no price feed');
+    expect(update({ bitasset: noFeed, deltaDebt: -1 }).delta_debt.amount).toBe(-1);
+  });
+
+  test('refuses globally settled assets', () => {
+    expect(() => update({ bitasset: bitasset({ settlement_fund: 5000 }), deltaDebt: -1 }))
+      .toThrow('globally settled');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// alerts
+// ---------------------------------------------------------------------------
+describe('CollateralPositions.alerts()', () => {
+  const at = (id, status) => ({ id, status });
+
+  test('alerts once per step down and forgets positions back to OK', () => {
+    let result = CollateralPositions.alerts([at('1.8.1', 'warning'), at('1.8.2', 'ok'), at('1.8.3', 'no_feed')]);
+    expect(result.alerts.map(p => p.id)).toEqual(['1.8.1']);
+    expect(result.state).toEqual({ '1.8.1': 'warning' });
+
+    result = CollateralPositions.alerts([at('1.8.1', 'warning')], result.state);
+    expect(result.alerts).toEqual([]);
+
+    result = CollateralPositions.alerts([at('1.8.1', 'margin_call')], result.state);
+    expect(result.alerts.map(p => p.status)).toEqual(['margin_call']);
+
+    result = CollateralPositions.alerts([at('1.8.1', 'warning')], result.state);
+    expect(result).toEqual({ alerts: [], state: { '1.8.1': 'warning' } });
+
+    result = CollateralPositions.alerts([at('1.8.1', 'ok')], result.state);
+    expect(result.state).toEqual({});
+    expect(CollateralPositions.alerts([at('1.8.1', 'warning')], result.state).alerts).toHaveLength(1);
+  });
+});
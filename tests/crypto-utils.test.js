@@ -4,7 +4,9 @@
  * Coverage:
  *  - generateBrainkey()
  *  - normalizeBrainkey(brainkey)
- *  - generateKeysFromBrainkey(brainkey)
+ *  - generateKeysFromBrainkey(brainkey, prefix)
+ *  - parsePublicKey / convertPublicKeyPrefix / samePublicKey — keys of any prefix
+ *  - publicKeyAddresses — Graphene and PTS-style addresses of a key
  *  - generateKeysFromPassword(accountName, password)
  *  - deriveKey(password, salt)
  *  - encrypt(data, key) + decrypt(encryptedData, key)  — round-trip
@@ -165,8 +167,72 @@ describe('CryptoUtils.generateKeysFromBrainkey()', () => {
     const keys2 = await CryptoUtils.generateKeysFromBrainkey(OTHER);
     expect(keys1.active.publicKey).not.toBe(keys2.active.publicKey);
   });
+
+  test('uses the given prefix for the same keys', async () => {
+    const keys = await CryptoUtils.generateKeysFromBrainkey(BRAINKEY);
+    const testnetKeys = await CryptoUtils.generateKeysFromBrainkey(BRAINKEY, 'TEST');
+    expect(testnetKeys.active.publicKey).toMatch(/^TEST/);
+    expect(testnetKeys.active.privateKey).toBe(keys.active.privateKey);
+    expect(testnetKeys.active.publicKey.slice(4)).toBe(keys.active.publicKey.slice(3)); // the checksum covers the key only
+    expect(CryptoUtils.samePublicKey(testnetKeys.active.publicKey, keys.active.publicKey)).toBe(true);
+  });
 }, 60000);
 
+// ---------------------------------------------------------------------------
+// Public key prefixes
+// ---------------------------------------------------------------------------
+describe('CryptoUtils public key prefixes', () => {
+  // Public key of private key 1
+  const KEY = 'BTS5p78kHbL33Rn3JWkTWRE2B9uz6gy4r1KbfAKLNQGE3ovMBS5bu';
+
+  test('parsePublicKey() splits any prefix from the key bytes', async () => {
+    const testKey = await CryptoUtils.convertPublicKeyPrefix(KEY, 'TEST');
+    const privateKey = await CryptoUtils.convertPublicKeyPrefix(KEY, 'PRIV');
+    expect(testKey).toMatch(/^TEST/);
+    expect(CryptoUtils.parsePublicKey(KEY).prefix).toBe('BTS');
+    expect(CryptoUtils.parsePublicKey(testKey).prefix).toBe('TEST');
+    expect(CryptoUtils.parsePublicKey(privateKey).prefix).toBe('PRIV');
+    expect(CryptoUtils.parsePublicKey(testKey).bytes).toEqual(CryptoUtils.parsePublicKey(KEY).bytes);
+  });
+
+  test('parsePublicKey() rejects bad checksums and non-keys', () => {
+    const tampered = KEY.slice(0, -1) + (KEY.endsWith('H') ? 'J' : 'H');
+    expect(CryptoUtils.parsePublicKey(tampered)).toBeNull();
+    expect(CryptoUtils.parsePublicKey('BTS')).toBeNull();
+    expect(CryptoUtils.parsePublicKey('bts' + KEY.slice(3))).toBeNull();
+    expect(CryptoUtils.parsePublicKey(null)).toBeNull();
+    expect(CryptoUtils.publicKeyPrefix('1.2.100')).toBeNull();
+  });
+
+  test('convertPublicKeyPrefix() round-trips and rejects invalid keys', async () => {
+    const testKey = await CryptoUtils.convertPublicKeyPrefix(KEY, 'TEST');
+    await expect(CryptoUtils.convertPublicKeyPrefix(testKey, 'BTS')).resolves.toBe(KEY);
+    await expect(CryptoUtils.convertPublicKeyPrefix(KEY, 'BTS')).resolves.toBe(KEY);
+    await expect(CryptoUtils.convertPublicKeyPrefix('BTSnotakey', 'TEST')).rejects.toThrow('Invalid public key');
+  });
+
+  test('samePublicKey() compares key bytes', async () => {
+    const other = (await CryptoUtils.generateKeysFromPassword('bob', 'bob-password')).active.publicKey;
+    expect(CryptoUtils.samePublicKey(KEY, await CryptoUtils.convertPublicKeyPrefix(KEY, 'TEST'))).toBe(true);
+    expect(CryptoUtils.samePublicKey(KEY, other)).toBe(false);
+    expect(CryptoUtils.samePublicKey(KEY, null)).toBe(false);
+  });
+
+  test('publicKeyAddresses() gives the Graphene and the four PTS-style addresses', async () => {
+    // graphenej address test vector
+    const key = 'GPH7jDPoMwyjVH5obFmqzFNp4Ffp7G2nvC7FKFkrMBpo7Sy4uq5Mj';
+    await expect(CryptoUtils.publicKeyAddresses(key, 'GPH')).resolves.toEqual([
+      'GPH8DvGQqzbgCR5FHiNsFf8kotEXr8VKD3mR',
+      'GPHEgj7RM6FBwSoccGaESJLC3Mi18785bM3T',
+      'GPHD5rYtofD6D4UHJH6mo953P5wpBfMhdMEi',
+      'GPHLAFmEtM8as1mbmjVcj5dphLdPguXquimn',
+      'GPHANNTSEaUviJgWLzJBersPmyFZBY4jJETY'
+    ]);
+    const [address] = await CryptoUtils.publicKeyAddresses(key.replace(/^GPH/, 'BTS'));
+    expect(address).toBe('BTS8DvGQqzbgCR5FHiNsFf8kotEXr8VKD3mR');
+  });
+});
+
 // ---------------------------------------------------------------------------
 // generateKeysFromPassword
 // ---------------------------------------------------------------------------
@@ -0,0 +1,195 @@
+/**
+ * Tests for src/lib/dex-market.js
+ *
+ * Coverage:
+ *  - toUnits() / formatUnits() — exact decimal conversion, precision and range errors
+ *  - formatPrice()             — significant digits, empty denominators
+ *  - orderAmounts()            — buy and sell orders, rounding of the total
+ *  - describeOrder()           — what an open order still sells and receives
+ *  - updateFields()            — new price, new amount, unchanged values left out
+ */
+
+import { DexMarket } from '../src/lib/dex-market.js';
+
+const BTS = { id: '1.3.0', symbol: 'BTS', precision: 5 };
+const USD = { id: '1.3.1', symbol: 'USD', precision: 4 };
+const ASSETS = new Map([[BTS.id, BTS], [USD.id, USD]]);
+
+/** An order selling `forSale` BTS at `base` BTS for `quote` USD */
+const btsOrder = (forSale, base, quote) => ({
+  id: '1.7.5',
+  seller: '1.2.100',
+  expiration: '2027-01-01T00:00:00',
+  for_sale: forSale,
+  sell_price: {
+    base: { amount: base, asset_id: BTS.id },
+    quote: { amount: quote, asset_id: USD.id }
+  }
+});
+
+// ---------------------------------------------------------------------------
+// toUnits / formatUnits
+// ---------------------------------------------------------------------------
+describe('DexMarket.toUnits()', () => {
+  test('converts decimals exactly', () => {
+    expect(DexMarket.toUnits('12.5', 5)).toBe(1250000);
+    expect(DexMarket.toUnits('0.00001', 5)).toBe(1);
+    expect(DexMarket.toUnits('.5', 1)).toBe(5);
+    expect(DexMarket.toUnits(3, 0)).toBe(3);
+    // 0.29 * 1e5 in floating point is 28999.999999999996
+    expect(DexMarket.toUnits('0.29', 5)).toBe(29000);
+    expect(DexMarket.toUnits('0.3', 15)).toBe(300000000000000);
+    expect(DexMarket.toUnits('1.50000000', 4)).toBe(15000);
+  });
+
+  test('rejects values that are not positive numbers', () => {
+    for (const value of ['', '.', '0', '0.000', '-1', '1e3', 'abc', null, undefined]) {
+      expect(() => DexMarket.toUnits(value, 5)).toThrow('Amount must be a positive number');
+    }
+    expect(() => DexMarket.toUnits('x', 5, 'Price')).toThrow('Price must be a positive number');
+  });
+
+  test('rejects more decimals than the asset has', () => {
+    expect(() => DexMarket.toUnits('1.000001', 5)).toThrow('Amount has more than 5 decimals');
+  });
+
+  test('rejects amounts past the safe integer range', () => {
+    expect(() => DexMarket.toUnits('100000000000', 8)).toThrow('Amount exceeds maximum allowed value');
+  });
+});
+
+describe('DexMarket.formatUnits()', () => {
+  test('drops trailing zeros', () => {
+    expect(DexMarket.formatUnits(1250000, 5)).toBe('12.5');
+    expect(DexMarket.formatUnits(1, 5)).toBe('0.00001');
+    expect(DexMarket.formatUnits(100000, 5)).toBe('1');
+    expect(DexMarket.formatUnits(0, 5)).toBe('0');
+    expect(DexMarket.formatUnits(42, 0)).toBe('42');
+    expect(DexMarket.formatUnits(-150, 2)).toBe('-1.5');
+    expect(DexMarket.formatUnits('123456789012345678', 8)).toBe('1234567890.12345678');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// formatPrice
+// ---------------------------------------------------------------------------
+describe('DexMarket.formatPrice()', () => {
+  test('divides amounts of different precisions', () => {
+    // 1 USD (10000) for 2 BTS (200000)
+    expect(DexMarket.formatPrice(10000, 4, 200000, 5)).toBe('0.5');
+    expect(DexMarket.formatPrice(200000, 5, 10000, 4)).toBe('2');
+    expect(DexMarket.formatPrice(1, 0, 3, 0)).toBe('0.33333333');
+    expect(DexMarket.formatPrice(1, 0, 3, 0, 3)).toBe('0.333');
+    expect(DexMarket.formatPrice(1, 0, 0, 0)).toBe('0');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// orderAmounts
+// ---------------------------------------------------------------------------
+describe('DexMarket.orderAmounts()', () => {
+  // BTS/USD: prices in USD per BTS, amounts in BTS
+
+  test('buy sells the base asset for the amount of quote', () => {
+    expect(DexMarket.orderAmounts({ side: 'buy', price: '0.5', amount: '2' }, USD, BTS)).toEqual({
+      amount_to_sell: { amount: 10000, asset_id: USD.id },
+      min_to_receive: { amount: 200000, asset_id: BTS.id }
+    });
+  });
+
+  test('sell sells the amount of quote for the base asset', () => {
+    expect(DexMarket.orderAmounts({ side: 'sell', price: '0.5', amount: '2' }, USD, BTS)).toEqual({
+      amount_to_sell: { amount: 200000, asset_id: BTS.id },
+      min_to_receive: { amount: 10000, asset_id: USD.id }
+    });
+  });
+
+  test('rounds the total to the nearest base unit', () => {
+    // 0.00003 BTS × 0.5 = 0.000015 USD → 0.0000 (too small); 0.00015 BTS → 0.0001
+    expect(() => DexMarket.orderAmounts({ side: 'sell', price: '0.5', amount: '0.00003' }, USD, BTS))
+      .toThrow('Total is too small for this market');
+    expect(DexMarket.orderAmounts({ side: 'sell', price: '0.5', amount: '0.0001' }, USD, BTS).min_to_receive.amount)
+      .toBe(1);
+    expect(DexMarket.orderAmounts({ side: 'sell', price: '0.333333', amount: '1' }, USD, BTS).min_to_receive.amount)
+      .toBe(3333);
+  });
+
+  test('keeps prices more precise than either asset', () => {
+    expect(DexMarket.orderAmounts({ side: 'buy', price: '0.12345678', amount: '1000' }, USD, BTS)).toEqual({
+      amount_to_sell: { amount: 1234568, asset_id: USD.id },
+      min_to_receive: { amount: 100000000, asset_id: BTS.id }
+    });
+  });
+
+  test('rejects bad input', () => {
+    expect(() => DexMarket.orderAmounts({ side: 'short', price: '1', amount: '1' }, USD, BTS))
+      .toThrow('Unknown order side: short');
+    expect(() => DexMarket.orderAmounts({ side: 'buy', price: '0', amount: '1' }, USD, BTS))
+      .toThrow('Price must be a positive number');
+    expect(() => DexMarket.orderAmounts({ side: 'buy', price: '1', amount: '1.000001' }, USD, BTS))
+      .toThrow('Amount has more than 5 decimals');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// describeOrder
+// ---------------------------------------------------------------------------
+describe('DexMarket.describeOrder()', () => {
+  test('what is left for sale, what it still receives and at what price', () => {
+    // 3 BTS at 0.6 USD each, 1 BTS already filled
+    expect(DexMarket.describeOrder(btsOrder(200000, 300000, 18000), ASSETS)).toEqual({
+      id: '1.7.5',
+      seller: '1.2.100',
+      expiration: '2027-01-01T00:00:00',
+      sell: { amount: 200000, asset_id: BTS.id },
+      receive: { amount: 12000, asset_id: USD.id },
+      sellText: '2 BTS',
+      receiveText: '1.2 USD',
+      price: '0.6',
+      priceUnit: 'USD/BTS'
+    });
+  });
+
+  test('rounds what it receives down', () => {
+    expect(DexMarket.describeOrder(btsOrder(100000, 300000, 10000), ASSETS).receive.amount).toBe(3333);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// updateFields
+// ---------------------------------------------------------------------------
+describe('DexMarket.updateFields()', () => {
+  const order = btsOrder(200000, 200000, 10000);
+
+  test('a new price for what is left for sale', () => {
+    expect(DexMarket.updateFields(order, { price: '0.6' }, BTS, USD)).toEqual({
+      new_price: { base: { amount: 200000, asset_id: BTS.id }, quote: { amount: 12000, asset_id: USD.id } }
+    });
+  });
+
+  test('a new amount keeps the price', () => {
+    expect(DexMarket.updateFields(order, { amount: '1.5' }, BTS, USD)).toEqual({
+      delta_amount_to_sell: { amount: -50000, asset_id: BTS.id }
+    });
+    expect(DexMarket.updateFields(order, { amount: '3', price: '' }, BTS, USD)).toEqual({
+      delta_amount_to_sell: { amount: 100000, asset_id: BTS.id }
+    });
+  });
+
+  test('a new amount and price', () => {
+    expect(DexMarket.updateFields(order, { amount: '3', price: '0.6' }, BTS, USD)).toEqual({
+      new_price: { base: { amount: 300000, asset_id: BTS.id }, quote: { amount: 18000, asset_id: USD.id } },
+      delta_amount_to_sell: { amount: 100000, asset_id: BTS.id }
+    });
+  });
+
+  test('leaves out values that do not change', () => {
+    expect(DexMarket.updateFields(order, { amount: '2', price: '0.5' }, BTS, USD)).toEqual({});
+    expect(DexMarket.updateFields(order, {}, BTS, USD)).toEqual({});
+  });
+
+  test('rejects a price whose total rounds to nothing', () => {
+    expect(() => DexMarket.updateFields(order, { price: '0.00001' }, BTS, USD))
+      .toThrow('Total is too small for this market');
+  });
+});
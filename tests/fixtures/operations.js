@@ -0,0 +1,383 @@
+/**
+ * Sample data for every operation type (0-77), in the canonical form the
+ * deserializer produces: object ids as strings, sets already in flat_set
+ * order, absent optionals left out. Shared by the serializer tests.
+ */
+
+// Public keys of the private keys 1, 2 and 3
+export const KEY_1 = 'BTS5p78kHbL33Rn3JWkTWRE2B9uz6gy4r1KbfAKLNQGE3ovMBS5bu';
+export const KEY_2 = 'BTS6PhSs6H49U1Lb6vz9GDtUF9RjtpFpkS6Rxm94LumQrnD1YqfSG';
+export const KEY_3 = 'BTS6nEZsuNhDnknxVTf1YH454nxiB5MpVSN7gQktMRioqRiAXfJpk';
+
+const fee = { amount: 100, asset_id: '1.3.0' };
+const bts = (amount) => ({ amount, asset_id: '1.3.0' });
+const usd = (amount) => ({ amount, asset_id: '1.3.113' });
+const price = { base: bts(100000), quote: usd(1000) };
+
+const memo = {
+  from: KEY_1,
+  to: KEY_2,
+  nonce: '5862723643998573708',
+  message: '0a1b2c3d4e5f'
+};
+
+const keyAuthority = { weight_threshold: 1, account_auths: [], key_auths: [[KEY_1, 1]], address_auths: [] };
+const multisigAuthority = {
+  weight_threshold: 2,
+  account_auths: [['1.2.300', 1]],
+  key_auths: [[KEY_2, 1]],
+  address_auths: []
+};
+
+const accountOptions = {
+  memo_key: KEY_1,
+  voting_account: '1.2.5',
+  num_witness: 1,
+  num_committee: 1,
+  votes: ['0:11', '1:35'],
+  extensions: []
+};
+
+const assetOptions = {
+  max_supply: '1000000000000000000',
+  market_fee_percent: 100,
+  max_market_fee: 0,
+  issuer_permissions: 79,
+  flags: 0,
+  core_exchange_rate: { base: bts(1), quote: { amount: 1, asset_id: '1.3.1' } },
+  whitelist_authorities: ['1.2.300'],
+  blacklist_authorities: [],
+  whitelist_markets: [],
+  blacklist_markets: ['1.3.121'],
+  description: '{"main":"Test coin"}',
+  extensions: []
+};
+
+const bitassetOptions = {
+  feed_lifetime_sec: 86400,
+  minimum_feeds: 7,
+  force_settlement_delay_sec: 86400,
+  force_settlement_offset_percent: 100,
+  maximum_force_settlement_volume: 2000,
+  short_backing_asset: '1.3.0',
+  extensions: []
+};
+
+const commitment = '02' + 'ab'.repeat(32);
+const blindingFactor = '11'.repeat(32);
+
+const transfer = {
+  fee,
+  from: '1.2.100',
+  to: '1.2.200',
+  amount: bts(150000),
+  extensions: []
+};
+
+/** [opType, opData] for every operation, with optional fields and extensions filled in */
+export const OPERATIONS = [
+  [0, { ...transfer, memo }],
+  [1, {
+    fee, seller: '1.2.100', amount_to_sell: bts(100000), min_to_receive: usd(1000),
+    expiration: '2026-06-01T12:00:00', fill_or_kill: false,
+    extensions: [[0, { on_fill: [[0, {
+      fee_asset_id: '1.3.0', spread_percent: 500, size_percent: 10000, expiration_seconds: 86400, repeat: true,
+      extensions: []
+    }]] }]]
+  }],
+  [2, { fee, fee_paying_account: '1.2.100', order: '1.7.12345', extensions: [] }],
+  [3, {
+    fee, funding_account: '1.2.100', delta_collateral: bts(1000000), delta_debt: usd(5000),
+    extensions: { target_collateral_ratio: 2000 }
+  }],
+  [4, { fee, order_id: '1.7.5', account_id: '1.2.100', pays: bts(100), receives: usd(1) }],
+  [5, {
+    fee, registrar: '1.2.100', referrer: '1.2.100', referrer_percent: 5000, name: 'new-account',
+    owner: keyAuthority, active: multisigAuthority,
+    options: { ...accountOptions, memo_key: KEY_3, num_witness: 0, num_committee: 0, votes: [] },
+    extensions: []
+  }],
+  [6, { fee, account: '1.2.100', active: multisigAuthority, new_options: accountOptions, extensions: [] }],
+  [7, { fee, authorizing_account: '1.2.100', account_to_list: '1.2.200', new_listing: 1, extensions: [] }],
+  [8, { fee, account_to_upgrade: '1.2.100', upgrade_to_lifetime_member: true, extensions: [] }],
+  [9, { fee, account_id: '1.2.100', new_owner: '1.2.200', extensions: [] }],
+  [10, {
+    fee, issuer: '1.2.100', symbol: 'TESTCOIN', precision: 4, common_options: assetOptions,
+    bitasset_opts: bitassetOptions, is_prediction_market: false, extensions: []
+  }],
+  [11, {
+    fee, issuer: '1.2.100', asset_to_update: '1.3.1', new_issuer: '1.2.300', new_options: assetOptions,
+    extensions: []
+  }],
+  [12, { fee, issuer: '1.2.100', asset_to_update: '1.3.1', new_options: bitassetOptions, extensions: [] }],
+  [13, {
+    fee, issuer: '1.2.100', asset_to_update: '1.3.1', new_feed_producers: ['1.2.300', '1.2.400'],
+    extensions: []
+  }],
+  [14, {
+    fee, issuer: '1.2.100', asset_to_issue: { amount: 5000, asset_id: '1.3.1' }, issue_to_account: '1.2.200',
+    memo: { from: KEY_1, to: KEY_2, nonce: '1', message: 'ff' }, extensions: []
+  }],
+  [15, { fee, payer: '1.2.100', amount_to_reserve: usd(250), extensions: [] }],
+  [16, { fee, from_account: '1.2.100', asset_id: '1.3.1', amount: 50000, extensions: [] }],
+  [17, { fee, account: '1.2.100', amount: usd(1000), extensions: [] }],
+  [18, { fee, issuer: '1.2.100', asset_to_settle: '1.3.113', settle_price: price, extensions: [] }],
+  [19, {
+    fee, publisher: '1.2.100', asset_id: '1.3.113',
+    feed: {
+      settlement_price: price,
+      maintenance_collateral_ratio: 1600,
+      maximum_short_squeeze_ratio: 1100,
+      core_exchange_rate: { base: bts(105000), quote: usd(1000) }
+    },
+    extensions: []
+  }],
+  [20, { fee, witness_account: '1.2.100', url: 'https://example.com/witness', block_signing_key: KEY_1 }],
+  [21, {
+    fee, witness: '1.6.50', witness_account: '1.2.100', new_url: 'https://example.com/w2', new_signing_key: KEY_2
+  }],
+  [22, {
+    fee, fee_paying_account: '1.2.100', expiration_time: '2026-06-02T00:00:00',
+    proposed_ops: [{ op: [0, transfer] }], review_period_seconds: 3600, extensions: []
+  }],
+  [23, {
+    fee, fee_paying_account: '1.2.100', proposal: '1.10.77',
+    active_approvals_to_add: ['1.2.100', '1.2.200'], active_approvals_to_remove: [],
+    owner_approvals_to_add: [], owner_approvals_to_remove: ['1.2.300'],
+    key_approvals_to_add: [KEY_1], key_approvals_to_remove: [],
+    extensions: []
+  }],
+  [24, { fee, fee_paying_account: '1.2.100', using_owner_authority: true, proposal: '1.10.77', extensions: [] }],
+  [25, {
+    fee, withdraw_from_account: '1.2.100', authorized_account: '1.2.200', withdrawal_limit: bts(10000),
+    withdrawal_period_sec: 86400, periods_until_expiration: 12, period_start_time: '2026-07-01T00:00:00'
+  }],
+  [26, {
+    fee, withdraw_from_account: '1.2.100', authorized_account: '1.2.200', permission_to_update: '1.12.3',
+    withdrawal_limit: bts(20000), withdrawal_period_sec: 604800, period_start_time: '2026-07-01T00:00:00',
+    periods_until_expiration: 4
+  }],
+  [27, {
+    fee, withdraw_permission: '1.12.3', withdraw_from_account: '1.2.100', withdraw_to_account: '1.2.200',
+    amount_to_withdraw: bts(10000), memo
+  }],
+  [28, { fee, withdraw_from_account: '1.2.100', authorized_account: '1.2.200', withdrawal_permission: '1.12.3' }],
+  [29, { fee, committee_member_account: '1.2.100', url: 'https://example.com/committee' }],
+  [30, {
+    fee, committee_member: '1.5.20', committee_member_account: '1.2.100', new_url: 'https://example.com/c2'
+  }],
+  [31, {
+    fee,
+    new_parameters: {
+      current_fees: {
+        parameters: [
+          [0, { fee: 86869, price_per_kbyte: 38197 }],
+          [1, { fee: 173 }],
+          [4, {}],
+          [5, { basic_fee: 2316, premium_fee: 115806, price_per_kbyte: 381 }],
+          [39, { fee: 500000, price_per_output: 500000 }],
+          [49, { fee: 100, fee_per_day: 10 }],
+          [77, { fee: 8 }]
+        ],
+        scale: 10000
+      },
+      block_interval: 3,
+      maintenance_interval: 3600,
+      maintenance_skip_slots: 3,
+      committee_proposal_review_period: 86400,
+      maximum_transaction_size: 98304,
+      maximum_block_size: 2097152,
+      maximum_time_until_expiration: 86400,
+      maximum_proposal_lifetime: 2419200,
+      maximum_asset_whitelist_authorities: 10,
+      maximum_asset_feed_publishers: 10,
+      maximum_witness_count: 1001,
+      maximum_committee_count: 1001,
+      maximum_authority_membership: 10,
+      reserve_percent_of_fee: 2000,
+      network_percent_of_fee: 2000,
+      lifetime_referrer_percent_of_fee: 3000,
+      cashback_vesting_period_seconds: 7776000,
+      cashback_vesting_threshold: 10000000,
+      count_non_member_votes: true,
+      allow_non_member_whitelists: false,
+      witness_pay_per_block: 35000,
+      worker_budget_per_day: 50000000000,
+      max_predicate_opcode: 1,
+      fee_liquidation_threshold: 10000000,
+      accounts_per_fee_scale: 1000,
+      account_fee_scale_bitshifts: 0,
+      max_authority_depth: 2,
+      extensions: []
+    }
+  }],
+  [32, {
+    fee, creator: '1.2.100', owner: '1.2.200', amount: bts(1000000),
+    policy: {
+      type: 0, begin_timestamp: '2026-01-01T00:00:00', vesting_cliff_seconds: 0, vesting_duration_seconds: 31536000
+    }
+  }],
+  [33, { fee, vesting_balance: '1.13.42', owner: '1.2.100', amount: bts(5000) }],
+  [34, {
+    fee, owner: '1.2.100', work_begin_date: '2026-02-01T00:00:00', work_end_date: '2027-02-01T00:00:00',
+    daily_pay: 5000000000, name: 'Core development', url: 'https://example.com/worker',
+    initializer: { type: 1, pay_vesting_period_days: 7 }
+  }],
+  [35, { fee, payer: '1.2.100', required_auths: ['1.2.100'], id: 7, data: '48656c6c6f' }],
+  [36, {
+    fee, fee_paying_account: '1.2.100',
+    predicates: [
+      { type: 0, account_id: '1.2.100', name: 'alice' },
+      { type: 1, asset_id: '1.3.0', symbol: 'BTS' },
+      { type: 2, id: '00112233445566778899aabbccddeeff00112233' }
+    ],
+    required_auths: [], extensions: []
+  }],
+  [37, {
+    fee, deposit_to_account: '1.2.100', balance_to_claim: '1.15.9', balance_owner_key: KEY_1,
+    total_claimed: bts(123456)
+  }],
+  [38, { fee, issuer: '1.2.300', from: '1.2.100', to: '1.2.200', amount: usd(500), memo, extensions: [] }],
+  [39, {
+    fee, amount: bts(100000), from: '1.2.100', blinding_factor: blindingFactor,
+    outputs: [{
+      commitment, range_proof: 'abcd', owner: keyAuthority,
+      stealth_memo: { one_time_key: KEY_2, to: KEY_3, encrypted_memo: 'deadbeef' }
+    }]
+  }],
+  [40, {
+    fee,
+    inputs: [{ commitment, owner: keyAuthority }],
+    outputs: [{ commitment, range_proof: '', owner: multisigAuthority }]
+  }],
+  [41, {
+    fee, amount: bts(100000), to: '1.2.200', blinding_factor: blindingFactor,
+    inputs: [{ commitment, owner: keyAuthority }]
+  }],
+  [42, { fee, settlement: '1.4.8', account: '1.2.100', amount: usd(100), extensions: [] }],
+  [43, {
+    fee, issuer: '1.2.100', amount_to_claim: { amount: 700, asset_id: '1.3.1' },
+    extensions: { claim_from_asset_id: '1.3.2' }
+  }],
+  [44, { fee, account_id: '1.2.100', fba_id: '2.16.1', amount: 1000 }],
+  [45, { fee, bidder: '1.2.100', additional_collateral: bts(200000), debt_covered: usd(1000), extensions: [] }],
+  [46, { fee, bidder: '1.2.100', debt: usd(1000), collateral: bts(200000) }],
+  [47, { fee, issuer: '1.2.100', asset_id: '1.3.1', amount_to_claim: bts(5000), extensions: [] }],
+  [48, { fee, issuer: '1.2.100', asset_to_update: '1.3.1', new_issuer: '1.2.200', extensions: [] }],
+  [49, {
+    fee, from: '1.2.100', to: '1.2.200', amount: bts(10000),
+    preimage_hash: [2, '2bb80d537b1da3e38bd30361aa855686bde0eacd7162fef6a25fe97bf527a25b'],
+    preimage_size: 6, claim_period_seconds: 86400, extensions: []
+  }],
+  [50, { fee, htlc_id: '1.16.4', redeemer: '1.2.200', preimage: '736563726574', extensions: [] }],
+  [51, { fee, htlc_id: '1.16.4', from: '1.2.100', to: '1.2.200', amount: bts(10000) }],
+  [52, { fee, htlc_id: '1.16.4', update_issuer: '1.2.100', seconds_to_add: 3600, extensions: [] }],
+  [53, { fee, htlc_id: '1.16.4', to: '1.2.100' }],
+  [54, {
+    fee, account: '1.2.100', enabled: true, valid_from: '2026-01-01T00:00:00', valid_to: '2027-01-01T00:00:00',
+    operation_type: 0, auth: keyAuthority,
+    restrictions: [
+      { member_index: 1, restriction_type: 0, argument_type: 0 },
+      { member_index: 2, restriction_type: 0, argument_type: 7, argument: '1.2.200' },
+      { member_index: 3, restriction_type: 3, argument_type: 2, argument: 100000 },
+      { member_index: 4, restriction_type: 0, argument_type: 3, argument: 'memo' },
+      { member_index: 5, restriction_type: 0, argument_type: 1, argument: true }
+    ],
+    extensions: []
+  }],
+  [55, {
+    fee, account: '1.2.100', authority_to_update: '1.17.2', new_enabled: false,
+    new_valid_from: '2026-03-01T00:00:00', restrictions_to_remove: [0, 2],
+    restrictions_to_add: [{ member_index: 0, restriction_type: 0, argument_type: 5, argument: KEY_1 }],
+    extensions: []
+  }],
+  [56, { fee, account: '1.2.100', authority_to_delete: '1.17.2', extensions: [] }],
+  [57, { fee, account: '1.2.100', target_type: 2, amount: bts(5000000), extensions: [] }],
+  [58, {
+    fee, ticket: '1.18.11', account: '1.2.100', target_type: 1, amount_for_new_target: bts(100),
+    extensions: []
+  }],
+  [59, {
+    fee, account: '1.2.100', asset_a: '1.3.0', asset_b: '1.3.1', share_asset: '1.3.2',
+    taker_fee_percent: 30, withdrawal_fee_percent: 0, extensions: []
+  }],
+  [60, { fee, account: '1.2.100', pool: '1.19.7', extensions: [] }],
+  [61, { fee, account: '1.2.100', pool: '1.19.7', amount_a: bts(1000), amount_b: usd(10), extensions: [] }],
+  [62, { fee, account: '1.2.100', pool: '1.19.7', share_amount: { amount: 500, asset_id: '1.3.2' }, extensions: [] }],
+  [63, {
+    fee, account: '1.2.100', pool: '1.19.7', amount_to_sell: bts(1000), min_to_receive: usd(9),
+    extensions: []
+  }],
+  [64, { fee, owner_account: '1.2.100', asset_type: '1.3.0', balance: 1000000, fee_rate: 1000, extensions: [] }],
+  [65, { fee, owner_account: '1.2.100', fund_id: '1.20.3', extensions: [] }],
+  [66, {
+    fee, owner_account: '1.2.100', fund_id: '1.20.3', delta_amount: bts(-500), new_fee_rate: 2000,
+    extensions: []
+  }],
+  [67, { fee, borrower: '1.2.200', fund_id: '1.20.3', borrow_amount: bts(1000), extensions: [] }],
+  [68, { fee, account: '1.2.200', fund_id: '1.20.3', repay_amount: bts(1000), fund_fee: bts(1), extensions: [] }],
+  [69, {
+    fee, owner_account: '1.2.100', asset_type: '1.3.0', balance: 1000000, fee_rate: 1000,
+    max_duration_seconds: 2592000, min_deal_amount: 100, enabled: true, auto_disable_time: '2027-01-01T00:00:00',
+    acceptable_collateral: [['1.3.113', price]], acceptable_borrowers: [['1.2.200', 0]],
+    extensions: []
+  }],
+  [70, { fee, owner_account: '1.2.100', offer_id: '1.21.5', extensions: [] }],
+  [71, {
+    fee, owner_account: '1.2.100', offer_id: '1.21.5', delta_amount: bts(500), max_duration_seconds: 86400,
+    enabled: false, acceptable_collateral: [['1.3.113', price]], extensions: []
+  }],
+  [72, {
+    fee, borrower: '1.2.200', offer_id: '1.21.5', borrow_amount: bts(1000), collateral: usd(20),
+    max_fee_rate: 1000, min_duration_seconds: 3600, extensions: []
+  }],
+  [73, { fee, account: '1.2.200', deal_id: '1.22.9', repay_amount: bts(1000), credit_fee: bts(10), extensions: [] }],
+  [74, {
+    fee, deal_id: '1.22.9', offer_id: '1.21.5', offer_owner: '1.2.100', borrower: '1.2.200',
+    unpaid_amount: bts(1000), collateral: usd(20), fee_rate: 1000
+  }],
+  [75, { fee, account: '1.2.100', pool: '1.19.7', taker_fee_percent: 25, extensions: [] }],
+  [76, { fee, account: '1.2.200', deal_id: '1.22.9', auto_repay: 1, extensions: [] }],
+  [77, {
+    fee, seller: '1.2.100', order: '1.7.12345', new_price: price, new_expiration: '2026-06-10T00:00:00',
+    on_fill: [], extensions: []
+  }]
+];
+
+/** Operations with their optional fields and extensions left out */
+export const OPERATION_VARIANTS = [
+  [0, transfer],
+  [1, {
+    fee, seller: '1.2.100', amount_to_sell: bts(100000), min_to_receive: usd(1000),
+    expiration: '2026-06-01T12:00:00', fill_or_kill: true, extensions: []
+  }],
+  [3, { fee, funding_account: '1.2.100', delta_collateral: bts(1000000), delta_debt: usd(5000), extensions: [] }],
+  [6, { fee, account: '1.2.100', extensions: [] }],
+  [10, {
+    fee, issuer: '1.2.100', symbol: 'UIA', precision: 2, common_options: assetOptions,
+    is_prediction_market: false, extensions: []
+  }],
+  [21, { fee, witness: '1.6.50', witness_account: '1.2.100' }],
+  [22, {
+    fee, fee_paying_account: '1.2.100', expiration_time: '2026-06-02T00:00:00',
+    proposed_ops: [{ op: [0, transfer] }, { op: [2, { fee, fee_paying_account: '1.2.100', order: '1.7.1', extensions: [] }] }],
+    extensions: []
+  }],
+  [32, {
+    fee, creator: '1.2.100', owner: '1.2.200', amount: bts(1000000),
+    policy: { type: 1, start_claim: '2026-01-01T00:00:00', vesting_seconds: 86400 }
+  }],
+  [43, { fee, issuer: '1.2.100', amount_to_claim: { amount: 700, asset_id: '1.3.1' }, extensions: [] }],
+  [55, {
+    fee, account: '1.2.100', authority_to_update: '1.17.2', new_auth: multisigAuthority,
+    restrictions_to_remove: [], restrictions_to_add: [], extensions: []
+  }],
+  [58, { fee, ticket: '1.18.11', account: '1.2.100', target_type: 0, extensions: [] }],
+  [66, { fee, owner_account: '1.2.100', fund_id: '1.20.3', extensions: [] }],
+  [71, {
+    fee, owner_account: '1.2.100', offer_id: '1.21.5', fee_rate: 500, min_deal_amount: 10,
+    auto_disable_time: '2027-06-01T00:00:00', acceptable_borrowers: [['1.2.200', 1000]], extensions: []
+  }],
+  [75, { fee, account: '1.2.100', pool: '1.19.7', withdrawal_fee_percent: 10, extensions: [] }],
+  [77, { fee, seller: '1.2.100', order: '1.7.12345', delta_amount_to_sell: bts(-100), on_fill: [], extensions: [] }]
+];
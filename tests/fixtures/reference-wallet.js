@@ -0,0 +1,49 @@
+/**
+ * A .bin backup in the format of the BitShares reference wallet (bitshares-ui):
+ * one-time public key, then the AES-encrypted, checksummed, LZMA-compressed
+ * wallet JSON. Its private_keys hold the five keys below (alice-active twice,
+ * as the reference wallet can store a key more than once).
+ */
+
+export const REFERENCE_BACKUP_PASSWORD = 'reference wallet password';
+
+export const REFERENCE_BACKUP_KEYS = {
+  'alice-owner': {
+    privateKey: '5JK5HBYGcJA2ECDMVARsjU9JybAjYPz7CQ36yGQ3GHWDoLp3Aek',
+    publicKey: 'BTS8i8QBTiVP4VvPKDZBJT133tVnqeRQFrjCcdJRhWNMvmuAnjrW4'
+  },
+  'alice-active': {
+    privateKey: '5JFTdNTd3pY39vmmw8S8Ski5USbzhSBEquPLa1B5E4SweDWYe3v',
+    publicKey: 'BTS7sPEd9RUX4doBLm8kVC9o5EicwCqiTtRJL2HFaMyzTrQ1isuPm'
+  },
+  'alice-memo': {
+    privateKey: '5KVMjjXHCv8WvCFtn5mPTdFsvgBwkRYGeUZx5orzWtwLPZqQ9BS',
+    publicKey: 'BTS7tRYZPjQ5DTVBwvB6SeKUmzfeuJNsH59JQDskPtXnw1frQiWmb'
+  },
+  'bob-active': {
+    privateKey: '5KkVRvDhUyFS9tworMwKc7LL6YJ4TjDXgWA4SknPS4kXeyZkZzh',
+    publicKey: 'BTS7v7zgrZ3adrDLUWJuJ2KeQEx7oz3JP7yiCV75ePAWJgfQ8QsGQ'
+  },
+  'unused': {
+    privateKey: '5JBEF1JwM3vgrJg32N7drURnCwoAm8c5v5g9oDv5nwgyK9sno9x',
+    publicKey: 'BTS5Vf5dCHeaC1HkpiNf5tU7CHKrHZ7XpBKDsuZM4kdo3QeYrkbLw'
+  }
+};
+
+// base64 of the file
+export const REFERENCE_BACKUP =
+  'Axzl/OaNlryi6OtsjB0HK5wvOwBhI6oxoSwptHW99epOv+etigu2UAbqH4tbHE02gnWtQn0VVHcV/PxtOIfHtMKDE5JfPbL5' +
+  'BLUz/y1aa5NvQP3udvzes2thxBtel+TWCw1IlV1omvE5Izl7E9/VGTjGdZNeduIHxoUSb5D9KFJQGAYkuMbcMfx2KzGc67rW' +
+  '+Kcpk5T8bQ57Tw3FBGk2XuKp8zFo5lHSO+Jq+g7dUdTlqbsMMJSO8qsYSPZR/suQjCkuurTSQS1tmyTi7zDe3GpZ5mRGl5R5' +
+  'kEcsZ31Yp7tE3GNulVbXPhN5Rop867g/AVtvHPuKXXCfs9EvrmETLK8RHCXlrQSm8w5dXGc4bqnpycTrx4SnB4qxWmP0yMqp' +
+  'R6te05ZzamSsQIC/BEf/efXTrqfNSDvAZAycxIV0X0gXb0Fk5pDn+ClLSAbsHloqs/MedcXz78edk/rlvAa7ycBbtzm8wfKj' +
+  'KGED5tsMIwDrIcHxzufuoZlIwfAIPFt+vlTSrKOgaD27jfiAymjP3ABOWNz353hPFAFEKBCk47/WxrYzIx40IG0km8g9vpuV' +
+  '01zq4y6fNV3iu2KkJ8RAFJ2p4bU5mhnD27UJG+kYBkTNpRytD8jas14tgRx+/YxRbvIQseKWm5xWEbic6Ac1Q9hDGK7aTuBH' +
+  'CS57na/cLh3pjF89XVlsVLZ+vS5AuEpQohBUsPYRnDWTXWeYHZs6dmnH90AmazzWaS2spzLjB7CxKmdKYuBq0UvCCSnZ9+Z7' +
+  'WswJgZ2VCvm0UUoOwYTq5+snD+smzRsm423exJYzYKrN99aFJyon/rX+GbavKzihDMArWg2HxKf6iQe/MLSvJftiZ4OAG9ci' +
+  'zsHgt79k7V8qwLlS7kPL8II/6bjrqqcEbvZ+M56/6gsJpuDybn8LiGAiUGc7F7S+9roJ4MvOveW/cNRynwdFznKZSKTCtFnO' +
+  'eFnpeotEVd72uwLs7SAWYR7EowUvoerAJq2T5inticHnW/vBGQYHiSwSH5KHQp8S6sRow4dPgvS5+JUH2ngNE9hfB3QYRa87' +
+  'eVIRAbOZil6HRInWCQbdC2OoDOirwTgGpHMYRDBG7htuKJJVcHvFGGuDt3Qc8yyliGJsJSlHbHdobV1VbtMdGVzWQjzg+Jex' +
+  'sQzHXP4W59X9LYrq4OMaGnbQEB3eZs9bQFN3RrSxf0GtH2g59umqRKmkjHMmQ2aBScds555JdML/kW/uvE/flHc+/CCmrB7E' +
+  '2C8pMWerryhhgyriK3hdStrdzhtxkJ7HsoaQIsppGfAfEBWm0AJmiBnGzkwmQ1eIcylkSP9EcXG2+YJvdVSEtsJWEnt85lRJ' +
+  'RT8eAErjTYqPZumg2UTJrhO/xY1eirkLaJilD3AyDlYDM3exUt9Miu2JP0ROqgZLMw==';
@@ -0,0 +1,1548 @@
+/**
+ * Local BitShares node for end-to-end tests.
+ *
+ * MockChain is a scriptable in-memory chain state: accounts, assets,
+ * balances, fees, blocks and account history. MockBitSharesNode serves it
+ * over WebSocket JSON-RPC the way a witness_node does (login API 1, then
+ * database / network_broadcast / history API ids, `notice` messages for
+ * subscriptions and broadcast callbacks). Several nodes may share one chain
+ * to test failover.
+ *
+ * Broadcasts are checked like the real chain would: TaPoS reference,
+ * expiration, fees, signatures against the fee payers' authorities and
+ * balances. Transfers, balance claims, vesting withdrawals and liquidity
+ * pool exchanges move funds; limit orders fill the orders they cross at the
+ * makers' prices and rest on the book until cancelled; call order updates
+ * borrow and repay smartcoins against their feed; force settlements wait as
+ * settle orders, or pay out of the settlement fund of a globally settled
+ * smartcoin, which takes collateral bids; other operations just pay their
+ * fee.
+ */
+
+import http from 'http';
+import { createHash } from 'crypto';
+import { WebSocketServer } from 'ws';
+import { BitSharesAPI } from '../../src/lib/bitshares-api.js';
+import { CryptoUtils, hexToBytes } from '../../src/lib/crypto-utils.js';
+
+export const MAINNET_CHAIN_ID = '4018d7844c78f6a6c41c6a552b898022310fc5dec06da467ee7905a8dad512c8';
+
+// Used only for serialization; never connects
+const serializer = new BitSharesAPI([]);
+
+// Fields naming the account that pays an operation's fee, in lookup order
+const FEE_PAYER_FIELDS = [
+  'fee_paying_account', 'from', 'account', 'seller', 'funding_account', 'registrar',
+  'issuer', 'publisher', 'payer', 'bidder', 'account_id', 'authorizing_account',
+  'account_to_upgrade', 'owner', 'creator'
+];
+
+// Which API each method belongs to
+const METHOD_APIS = {
+  login: 'login', database: 'login', network_broadcast: 'login', history: 'login', crypto: 'login',
+  broadcast_transaction: 'network_broadcast',
+  broadcast_transaction_with_callback: 'network_broadcast',
+  broadcast_transaction_synchronous: 'network_broadcast',
+  get_account_history: 'history',
+  get_relative_account_history: 'history',
+  get_account_history_operations: 'history'
+};
+
+const DEFAULT_APIS = { database: 2, network_broadcast: 3, history: 4 };
+
+// Object spaces a failed transaction is rolled back in
+const TRANSACTION_SPACES = ['2.5.', '2.3.', '2.4.', '1.4.', '1.7.', '1.8.', '1.13.', '1.15.', '1.17.', '1.19.'];
+
+function authority(spec) {
+  if (typeof spec === 'string') {
+    return { weight_threshold: 1, account_auths: [], key_auths: [[spec, 1]], address_auths: [] };
+  }
+  return { account_auths: [], key_auths: [], address_auths: [], ...spec };
+}
+
+function addSeconds(time, seconds) {
+  return new Date(new Date(time + 'Z').getTime() + seconds * 1000).toISOString().slice(0, -5);
+}
+
+const chainSeconds = time => BigInt(Date.parse(time + 'Z') / 1000);
+
+/** cdd policy: coin-seconds earned by `now`, capped at balance * vesting_seconds */
+function coinSecondsEarned(policy, balance, now) {
+  const vestingSeconds = BigInt(Math.max(policy.vesting_seconds || 0, 1));
+  const earned = BigInt(policy.coin_seconds_earned || 0) +
+    balance * (chainSeconds(now) - chainSeconds(policy.coin_seconds_earned_last_update));
+  return earned > balance * vestingSeconds ? balance * vestingSeconds : earned;
+}
+
+/**
+ * vesting_policy::get_allowed_withdraw of bitshares-core
+ * (linear_vesting_policy [0], cdd_vesting_policy [1], instant_vesting_policy [2])
+ */
+function allowedWithdraw([type, policy], amount, now) {
+  const balance = BigInt(amount);
+  let allowed = 0n;
+  if (type === 0) {
+    const elapsed = chainSeconds(now) - chainSeconds(policy.begin_timestamp);
+    if (elapsed > 0n && elapsed >= BigInt(policy.vesting_cliff_seconds || 0)) {
+      const begin = BigInt(policy.begin_balance);
+      const duration = BigInt(policy.vesting_duration_seconds || 0);
+      const vested = elapsed >= duration ? begin : begin * elapsed / duration;
+      allowed = vested - (begin - balance);
+    }
+  } else if (type === 1) {
+    if (chainSeconds(now) > chainSeconds(policy.start_claim)) {
+      allowed = coinSecondsEarned(policy, balance, now) / BigInt(Math.max(policy.vesting_seconds || 0, 1));
+    }
+  } else if (type === 2) {
+    allowed = balance;
+  }
+  if (allowed < 0n) return 0;
+  return Number(allowed > balance ? balance : allowed);
+}
+
+function feePayer(data) {
+  for (const field of FEE_PAYER_FIELDS) {
+    if (typeof data[field] === 'string' && data[field].startsWith('1.2.')) return data[field];
+  }
+  return null;
+}
+
+export class MockChain {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.chainId]
+   * @param {string} [options.prefix] - public key prefix
+   * @param {string} [options.coreSymbol]
+   * @param {string} [options.time] - head block time
+   * @param {number} [options.headBlockNumber]
+   * @param {number} [options.defaultFee] - core fee of operations without an entry in `fees`
+   * @param {number} [options.irreversibleLag] - blocks between the head and the last irreversible block
+   */
+  constructor({
+    chainId = MAINNET_CHAIN_ID,
+    prefix = 'BTS',
+    coreSymbol = 'BTS',
+    time = '2026-01-01T00:00:00',
+    headBlockNumber = 1000,
+    defaultFee = 100,
+    irreversibleLag = 0
+  } = {}) {
+    this.chainId = chainId;
+    this.irreversibleLag = irreversibleLag;
+    this.prefix = prefix;
+    this.defaultFee = defaultFee;
+    this.fees = {};
+    this.objects = new Map();
+    this.blockIds = new Map();
+    this.transactions = [];
+    this.listeners = new Set();
+    this.nextInstance = {};
+    this.history = new Map(); // account id → operation history ids, newest first
+
+    this.put({
+      id: '2.0.0',
+      parameters: { block_interval: 3, maximum_time_until_expiration: 86400 }
+    });
+    this.put({
+      id: '2.1.0',
+      head_block_number: 0,
+      head_block_id: '',
+      time,
+      current_witness: '1.6.1',
+      last_irreversible_block_num: 0
+    });
+    this.setHead(headBlockNumber, time);
+    this.setFee(37, 0); // balance_claim carries no fee
+    this.addAsset({ id: '1.3.0', symbol: coreSymbol, precision: 5, fee_pool: 0 });
+  }
+
+  // === Objects ===
+
+  put(object) {
+    this.objects.set(object.id, object);
+    return object;
+  }
+
+  get(id) {
+    return this.objects.get(id) || null;
+  }
+
+  allocate(space) {
+    const instance = this.nextInstance[space] || 0;
+    this.nextInstance[space] = instance + 1;
+    return `${space}.${instance}`;
+  }
+
+  reserve(id) {
+    const space = id.split('.').slice(0, 2).join('.');
+    const instance = Number(id.split('.')[2]);
+    this.nextInstance[space] = Math.max(this.nextInstance[space] || 0, instance + 1);
+  }
+
+  /** Call `listener(objects)` whenever objects change; returns an unsubscribe function */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  changed(objects) {
+    for (const listener of this.listeners) listener(objects);
+  }
+
+  // === Accounts ===
+
+  /**
+   * @param {Object} spec
+   * @param {string} spec.name
+   * @param {string} [spec.id] - defaults to the next 1.2.N from 1.2.100
+   * @param {string} [spec.key] - single key for owner, active and memo
+   * @param {string|Object} [spec.owner] - key or authority
+   * @param {string|Object} [spec.active] - key or authority
+   * @param {string} [spec.memo]
+   */
+  addAccount({ name, id, key, owner, active, memo }) {
+    if (!this.nextInstance['1.2']) this.nextInstance['1.2'] = 100;
+    if (id) this.reserve(id);
+    const accountId = id || this.allocate('1.2');
+    const statistics = this.allocate('2.6');
+    const ownerAuth = authority(owner || key);
+    const activeAuth = authority(active || key || owner);
+    const account = this.put({
+      id: accountId,
+      membership_expiration_date: '1970-01-01T00:00:00',
+      registrar: '1.2.0',
+      referrer: '1.2.0',
+      lifetime_referrer: '1.2.0',
+      network_fee_percentage: 2000,
+      lifetime_referrer_fee_percentage: 3000,
+      referrer_rewards_percentage: 0,
+      name,
+      owner: ownerAuth,
+      active: activeAuth,
+      options: {
+        memo_key: memo || key || activeAuth.key_auths[0]?.[0],
+        voting_account: '1.2.5',
+        num_witness: 0,
+        num_committee: 0,
+        votes: [],
+        extensions: []
+      },
+      statistics,
+      whitelisting_accounts: [],
+      blacklisting_accounts: [],
+      whitelisted_accounts: [],
+      blacklisted_accounts: [],
+      owner_special_authority: [0, {}],
+      active_special_authority: [0, {}],
+      top_n_control_flags: 0
+    });
+    this.put({ id: statistics, owner: accountId, total_ops: 0, removed_ops: 0 });
+    this.history.set(accountId, []);
+    return account;
+  }
+
+  getAccount(nameOrId) {
+    if (typeof nameOrId !== 'string') return null;
+    if (nameOrId.startsWith('1.2.')) return this.get(nameOrId);
+    for (const object of this.objects.values()) {
+      if (object.id.startsWith('1.2.') && object.name === nameOrId) return object;
+    }
+    return null;
+  }
+
+  // === Assets ===
+
+  /**
+   * @param {Object} spec
+   * @param {string} spec.symbol
+   * @param {number} [spec.precision]
+   * @param {string} [spec.id]
+   * @param {string} [spec.issuer]
+   * @param {Object} [spec.core_exchange_rate] - defaults to 1:1 with core
+   * @param {number} [spec.fee_pool] - core balance that pays fees in this asset
+   */
+  addAsset({ symbol, precision = 5, id, issuer = '1.2.0', core_exchange_rate, fee_pool = 0 }) {
+    if (id) this.reserve(id);
+    const assetId = id || this.allocate('1.3');
+    const dynamicId = this.allocate('2.3');
+    const asset = this.put({
+      id: assetId,
+      symbol,
+      precision,
+      issuer,
+      options: {
+        max_supply: '1000000000000000',
+        market_fee_percent: 0,
+        max_market_fee: '1000000000000000',
+        issuer_permissions: 0,
+        flags: 0,
+        core_exchange_rate: core_exchange_rate || {
+          base: { amount: 1, asset_id: assetId },
+          quote: { amount: 1, asset_id: '1.3.0' }
+        },
+        whitelist_authorities: [],
+        blacklist_authorities: [],
+        whitelist_markets: [],
+        blacklist_markets: [],
+        description: '',
+        extensions: []
+      },
+      dynamic_asset_data_id: dynamicId
+    });
+    this.put({ id: dynamicId, current_supply: 0, confidential_supply: 0, accumulated_fees: 0, fee_pool });
+    return asset;
+  }
+
+  getAsset(symbolOrId) {
+    if (typeof symbolOrId !== 'string') return null;
+    if (symbolOrId.startsWith('1.3.')) return this.get(symbolOrId);
+    for (const object of this.objects.values()) {
+      if (object.id.startsWith('1.3.') && object.symbol === symbolOrId) return object;
+    }
+    return null;
+  }
+
+  // === Balances ===
+
+  balanceObject(accountId, assetId) {
+    for (const object of this.objects.values()) {
+      if (object.id.startsWith('2.5.') && object.owner === accountId && object.asset_type === assetId) {
+        return object;
+      }
+    }
+    return null;
+  }
+
+  getBalance(account, asset) {
+    const accountId = this.getAccount(account)?.id;
+    const assetId = this.getAsset(asset)?.id;
+    return this.balanceObject(accountId, assetId)?.balance || 0;
+  }
+
+  /** Set a balance in base units (notifies subscribers) */
+  setBalance(account, asset, amount) {
+    const accountId = this.getAccount(account)?.id;
+    const assetId = this.getAsset(asset)?.id;
+    if (!accountId || !assetId) throw new Error(`Unknown account or asset: ${account} / ${asset}`);
+    const object = this.balanceObject(accountId, assetId) ||
+      this.put({ id: this.allocate('2.5'), owner: accountId, asset_type: assetId, balance: 0 });
+    object.balance = amount;
+    this.changed([object]);
+    return object;
+  }
+
+  adjustBalance(accountId, assetId, delta, changed) {
+    const balance = (this.balanceObject(accountId, assetId)?.balance || 0) + delta;
+    if (balance < 0) {
+      const asset = this.get(assetId);
+      throw new Error(`Insufficient Balance: ${this.get(accountId)?.name}'s balance of ${asset?.symbol} is less than required`);
+    }
+    const object = this.balanceObject(accountId, assetId) ||
+      this.put({ id: this.allocate('2.5'), owner: accountId, asset_type: assetId, balance: 0 });
+    object.balance = balance;
+    changed.push(object);
+  }
+
+  // === Limit orders ===
+
+  /**
+   * An open order on the book, without paying for it
+   * @param {Object} spec
+   * @param {string} spec.seller - account name or id
+   * @param {{amount: number, asset: string}} spec.sell
+   * @param {{amount: number, asset: string}} spec.receive
+   * @param {string} [spec.expiration]
+   */
+  addLimitOrder({ seller, sell, receive, expiration = '2030-01-01T00:00:00' }) {
+    return this.put({
+      id: this.allocate('1.7'),
+      expiration,
+      seller: this.getAccount(seller).id,
+      for_sale: sell.amount,
+      sell_price: {
+        base: { amount: sell.amount, asset_id: this.getAsset(sell.asset).id },
+        quote: { amount: receive.amount, asset_id: this.getAsset(receive.asset).id }
+      },
+      deferred_fee: 0,
+      deferred_paid_fee: { amount: 0, asset_id: '1.3.0' }
+    });
+  }
+
+  limitOrders(filter) {
+    return [...this.objects.values()].filter(o => o.id.startsWith('1.7.') && filter(o));
+  }
+
+  /** get_order_book: bids sell base for quote, asks sell quote for base; best first */
+  orderBook(base, quote, limit) {
+    const baseAsset = this.getAsset(base);
+    const quoteAsset = this.getAsset(quote);
+    const decimal = (amount, asset) => String(Number(amount) / 10 ** asset.precision);
+    const entry = (order, baseAmount, quoteAmount) => ({
+      price: String((Number(baseAmount) / 10 ** baseAsset.precision) / (Number(quoteAmount) / 10 ** quoteAsset.precision)),
+      quote: decimal(quoteAmount, quoteAsset),
+      base: decimal(baseAmount, baseAsset),
+      owner_id: order.seller,
+      owner_name: this.get(order.seller)?.name,
+      expiration: order.expiration,
+      order_id: order.id
+    });
+    const selling = (from, to) => this.limitOrders(o =>
+      o.sell_price.base.asset_id === from.id && o.sell_price.quote.asset_id === to.id);
+    const bids = selling(baseAsset, quoteAsset).map(o =>
+      entry(o, o.for_sale, Math.floor(o.for_sale * o.sell_price.quote.amount / o.sell_price.base.amount)));
+    const asks = selling(quoteAsset, baseAsset).map(o =>
+      entry(o, Math.floor(o.for_sale * o.sell_price.quote.amount / o.sell_price.base.amount), o.for_sale));
+    bids.sort((a, b) => Number(b.price) - Number(a.price));
+    asks.sort((a, b) => Number(a.price) - Number(b.price));
+    return { base: baseAsset.id, quote: quoteAsset.id, bids: bids.slice(0, limit), asks: asks.slice(0, limit) };
+  }
+
+  /**
+   * limit_order_create: the amount for sale leaves the seller's balance and
+   * first fills the opposite orders the new one's price reaches, best first,
+   * at each maker's price; what is left rests on the book
+   */
+  createLimitOrder(data, changed) {
+    if (data.expiration <= this.get('2.1.0').time) throw new Error('Assert Exception: op.expiration >= now');
+    const sellAssetId = data.amount_to_sell.asset_id;
+    const receiveAssetId = data.min_to_receive.asset_id;
+    const amount = BigInt(data.amount_to_sell.amount);
+    const minimum = BigInt(data.min_to_receive.amount);
+    this.adjustBalance(data.seller, sellAssetId, -Number(amount), changed);
+
+    const price = o => [BigInt(o.sell_price.base.amount), BigInt(o.sell_price.quote.amount)];
+    const makers = this.limitOrders(o => o.sell_price.base.asset_id === receiveAssetId &&
+      o.sell_price.quote.asset_id === sellAssetId)
+      .filter(o => price(o)[0] * amount >= minimum * price(o)[1])
+      .sort((x, y) => {
+        const diff = price(y)[0] * price(x)[1] - price(x)[0] * price(y)[1];
+        return diff > 0n ? 1 : diff < 0n ? -1 : 0;
+      });
+
+    let forSale = amount;
+    let received = 0n;
+    for (const maker of makers) {
+      const [base, quote] = price(maker);
+      const makerForSale = BigInt(maker.for_sale);
+      const makerReceives = makerForSale * quote / base;
+      let takerPays;
+      let takerReceives;
+      if (forSale < makerReceives) {
+        takerReceives = forSale * base / quote;
+        if (takerReceives === 0n) break;
+        takerPays = (takerReceives * quote + base - 1n) / base;
+      } else {
+        takerPays = makerReceives;
+        takerReceives = (makerReceives * base + quote - 1n) / quote;
+      }
+      forSale -= takerPays;
+      received += takerReceives;
+      this.adjustBalance(maker.seller, sellAssetId, Number(takerPays - this.marketFee(sellAssetId, takerPays, true)), changed);
+
+      // A maker too small to buy anything more is cancelled, its rest refunded
+      const makerLeft = makerForSale - takerReceives;
+      if (makerLeft * quote / base === 0n) {
+        this.objects.delete(maker.id);
+        if (makerLeft > 0n) this.adjustBalance(maker.seller, receiveAssetId, Number(makerLeft), changed);
+        changed.push(maker.id);
+      } else {
+        changed.push(this.put({ ...maker, for_sale: Number(makerLeft) }));
+      }
+      if (forSale === 0n) break;
+    }
+    if (received > 0n) {
+      this.adjustBalance(data.seller, receiveAssetId, Number(received - this.marketFee(receiveAssetId, received, false)), changed);
+    }
+
+    // So is the new order's own rest when too small to buy anything at its price
+    if (forSale > 0n && forSale * minimum / amount === 0n) {
+      this.adjustBalance(data.seller, sellAssetId, Number(forSale), changed);
+      forSale = 0n;
+    }
+    if (forSale === 0n) return;
+    if (data.fill_or_kill) {
+      throw new Error('Assert Exception: !op.fill_or_kill || filled: Cancelling order because it was not filled');
+    }
+    changed.push(this.put({
+      id: this.allocate('1.7'),
+      expiration: data.expiration,
+      seller: data.seller,
+      for_sale: Number(forSale),
+      sell_price: { base: { ...data.amount_to_sell, amount: Number(amount) }, quote: { ...data.min_to_receive, amount: Number(minimum) } },
+      deferred_fee: 0,
+      deferred_paid_fee: { amount: 0, asset_id: '1.3.0' }
+    }));
+  }
+
+  /** limit_order_cancel: what is left for sale returns to the seller */
+  cancelLimitOrder(data, changed) {
+    const order = this.get(data.order);
+    if (!order) throw new Error(`Assert Exception: Unable to find Object ${data.order}`);
+    if (order.seller !== data.fee_paying_account) throw new Error('Assert Exception: order.seller == o.fee_paying_account');
+    this.objects.delete(order.id);
+    this.adjustBalance(order.seller, order.sell_price.base.asset_id, order.for_sale, changed);
+    changed.push(order.id);
+  }
+
+  /** limit_order_update: new price, amount for sale and/or expiration */
+  updateLimitOrder(data, changed) {
+    const order = this.get(data.order);
+    if (!order) throw new Error(`Assert Exception: Unable to find Object ${data.order}`);
+    if (order.seller !== data.seller) throw new Error('Assert Exception: o.seller == _order->seller: Cannot update limit order belonging to another account');
+    const updated = { ...order };
+    if (data.new_price) {
+      if (data.new_price.base.asset_id !== order.sell_price.base.asset_id ||
+          data.new_price.quote.asset_id !== order.sell_price.quote.asset_id) {
+        throw new Error('Assert Exception: Cannot update limit order with incompatible price');
+      }
+      updated.sell_price = {
+        base: { ...data.new_price.base, amount: Number(data.new_price.base.amount) },
+        quote: { ...data.new_price.quote, amount: Number(data.new_price.quote.amount) }
+      };
+    }
+    if (data.delta_amount_to_sell) {
+      const delta = Number(data.delta_amount_to_sell.amount);
+      if (data.delta_amount_to_sell.asset_id !== order.sell_price.base.asset_id) {
+        throw new Error('Assert Exception: Cannot update limit order with incompatible asset');
+      }
+      if (order.for_sale + delta <= 0) throw new Error('Assert Exception: Cannot update limit order: order would be empty');
+      this.adjustBalance(order.seller, order.sell_price.base.asset_id, -delta, changed);
+      updated.for_sale = order.for_sale + delta;
+    }
+    if (data.new_expiration) {
+      if (data.new_expiration <= this.get('2.1.0').time) throw new Error('Assert Exception: new_expiration > now');
+      updated.expiration = data.new_expiration;
+    }
+    changed.push(this.put(updated));
+  }
+
+  // === Liquidity pools ===
+
+  /**
+   * A liquidity pool (1.19.x); asset_a is the one with the lower id
+   * @param {Object} spec
+   * @param {[string, number]} spec.a - [asset, balance in base units]
+   * @param {[string, number]} spec.b
+   * @param {number} [spec.taker_fee_percent] - hundredths of a percent
+   * @param {number} [spec.withdrawal_fee_percent]
+   */
+  addLiquidityPool({ a, b, taker_fee_percent = 0, withdrawal_fee_percent = 0 }) {
+    let sides = [[this.getAsset(a[0]).id, a[1]], [this.getAsset(b[0]).id, b[1]]];
+    const instance = id => Number(id.split('.')[2]);
+    if (instance(sides[0][0]) > instance(sides[1][0])) sides = sides.reverse();
+    const [[assetA, balanceA], [assetB, balanceB]] = sides;
+    const shareAsset = this.addAsset({ symbol: `LP.${this.objects.size}`, precision: 5 });
+    return this.put({
+      id: this.allocate('1.19'),
+      asset_a: assetA,
+      asset_b: assetB,
+      balance_a: balanceA,
+      balance_b: balanceB,
+      share_asset: shareAsset.id,
+      taker_fee_percent,
+      withdrawal_fee_percent,
+      virtual_value: String(BigInt(balanceA) * BigInt(balanceB))
+    });
+  }
+
+  liquidityPools(filter) {
+    return [...this.objects.values()].filter(o => o.id.startsWith('1.19.') && filter(o));
+  }
+
+  marketFee(assetId, amount, isMaker) {
+    const { options } = this.get(assetId);
+    if (!(options.flags & 0x01)) return 0n;
+    const percent = isMaker ? options.market_fee_percent : (options.extensions.taker_fee_percent ?? options.market_fee_percent);
+    const fee = amount * BigInt(percent) / 10000n;
+    return fee < BigInt(options.max_market_fee) ? fee : BigInt(options.max_market_fee);
+  }
+
+  /** liquidity_pool_exchange: the pool keeps balance_a × balance_b, rounded in its favour */
+  exchangeWithPool(data, changed) {
+    const pool = this.get(data.pool);
+    if (!pool) throw new Error(`Assert Exception: Unable to find Object ${data.pool}`);
+    const sellAssetId = data.amount_to_sell.asset_id;
+    const [inKey, outKey, receiveAssetId] = sellAssetId === pool.asset_a
+      ? ['balance_a', 'balance_b', pool.asset_b]
+      : sellAssetId === pool.asset_b ? ['balance_b', 'balance_a', pool.asset_a] : [];
+    if (!inKey || data.min_to_receive.asset_id !== receiveAssetId) {
+      throw new Error('Assert Exception: Asset type mismatch');
+    }
+
+    const sold = BigInt(data.amount_to_sell.amount);
+    const poolReceives = sold - this.marketFee(sellAssetId, sold, true);
+    const newIn = BigInt(pool[inKey]) + poolReceives;
+    const newOut = (BigInt(pool.virtual_value) + newIn - 1n) / newIn;
+    const delta = BigInt(pool[outKey]) - newOut;
+    const poolPays = delta - delta * BigInt(pool.taker_fee_percent) / 10000n;
+    if (poolPays <= 0n) throw new Error('Assert Exception: _pool_pays.amount > 0: Aborting due to zero outcome');
+    const received = poolPays - this.marketFee(receiveAssetId, poolPays, false);
+    if (received < BigInt(data.min_to_receive.amount)) {
+      throw new Error('Assert Exception: _account_receives.amount >= op.min_to_receive.amount: Unable to exchange at expected price');
+    }
+
+    this.adjustBalance(data.account, sellAssetId, -Number(sold), changed);
+    this.adjustBalance(data.account, receiveAssetId, Number(received), changed);
+    // The pool's taker fee stays in the pool
+    const updated = { ...pool, [inKey]: Number(newIn), [outKey]: Number(BigInt(pool[outKey]) - poolPays) };
+    updated.virtual_value = String(BigInt(updated.balance_a) * BigInt(updated.balance_b));
+    changed.push(this.put(updated));
+  }
+
+  // === Smartcoins ===
+
+  /**
+   * A market-issued asset backed by collateral, with its bitasset data (2.4.x)
+   * @param {Object} spec
+   * @param {string} spec.symbol
+   * @param {string} [spec.id]
+   * @param {number} [spec.precision]
+   * @param {string} [spec.backing] - collateral asset
+   * @param {[number, number]} [spec.feed] - settlement price as [debt, collateral] base units
+   * @param {Object} [spec.ratios] - { mcr, mssr, icr } in thousandths
+   * @param {Object} [spec.options] - bitasset options, e.g. force_settlement_delay_sec
+   * @param {number} [spec.flags] - asset flags, e.g. 0x10 disable_force_settle
+   */
+  addBitasset({ symbol, id, precision = 4, backing = '1.3.0', feed, ratios, options, flags = 0 }) {
+    const asset = this.addAsset({ symbol, id, precision });
+    asset.options.flags = flags;
+    const backingId = this.getAsset(backing).id;
+    const bitasset = this.put({
+      id: this.allocate('2.4'),
+      asset_id: asset.id,
+      options: {
+        feed_lifetime_sec: 86400,
+        minimum_feeds: 1,
+        force_settlement_delay_sec: 86400,
+        force_settlement_offset_percent: 0,
+        maximum_force_settlement_volume: 2000,
+        short_backing_asset: backingId,
+        extensions: {},
+        ...options
+      },
+      current_feed: null,
+      force_settled_volume: 0,
+      settlement_price: { base: { amount: 0, asset_id: asset.id }, quote: { amount: 0, asset_id: backingId } },
+      settlement_fund: 0,
+      is_prediction_market: false
+    });
+    asset.bitasset_data_id = bitasset.id;
+    this.setFeed(asset.id, feed || [0, 0], ratios);
+    return asset;
+  }
+
+  /** Publish a new median feed (notifies subscribers) */
+  setFeed(asset, [debt, collateral], { mcr = 1600, mssr = 1100, icr } = {}) {
+    const { id: assetId, bitasset_data_id } = this.getAsset(asset);
+    const bitasset = this.get(bitasset_data_id);
+    bitasset.current_feed = {
+      settlement_price: {
+        base: { amount: debt, asset_id: assetId },
+        quote: { amount: collateral, asset_id: bitasset.options.short_backing_asset }
+      },
+      maintenance_collateral_ratio: mcr,
+      maximum_short_squeeze_ratio: mssr,
+      ...(icr ? { initial_collateral_ratio: icr } : {}),
+      core_exchange_rate: { base: { amount: 1, asset_id: assetId }, quote: { amount: 1, asset_id: '1.3.0' } }
+    };
+    this.changed([bitasset]);
+    return bitasset;
+  }
+
+  /** A debt position (1.8.x) without moving any balance */
+  addCallOrder({ borrower, asset, collateral, debt, target_collateral_ratio }) {
+    const { id: assetId, bitasset_data_id } = this.getAsset(asset);
+    return this.put({
+      id: this.allocate('1.8'),
+      borrower: this.getAccount(borrower).id,
+      collateral,
+      debt,
+      call_price: {
+        base: { amount: collateral, asset_id: this.get(bitasset_data_id).options.short_backing_asset },
+        quote: { amount: debt, asset_id: assetId }
+      },
+      ...(target_collateral_ratio ? { target_collateral_ratio } : {})
+    });
+  }
+
+  callOrders(filter) {
+    return [...this.objects.values()].filter(o => o.id.startsWith('1.8.') && filter(o));
+  }
+
+  /**
+   * call_order_update: borrow or repay, add or withdraw collateral. An update
+   * that lowers the collateral ratio must leave it at or above the ICR.
+   */
+  updateCallOrder(data, changed) {
+    const debtAsset = this.get(data.delta_debt.asset_id);
+    const bitasset = debtAsset?.bitasset_data_id && this.get(debtAsset.bitasset_data_id);
+    if (!bitasset) throw new Error('Assert Exception: mia.is_market_issued(): Unable to cover non-market-issued asset');
+    const backing = bitasset.options.short_backing_asset;
+    if (data.delta_collateral.asset_id !== backing) {
+      throw new Error('Assert Exception: o.delta_collateral.asset_id == _bitasset_data->options.short_backing_asset');
+    }
+    const deltaCollateral = Number(data.delta_collateral.amount);
+    const deltaDebt = Number(data.delta_debt.amount);
+    if (deltaCollateral === 0 && deltaDebt === 0) {
+      throw new Error('Assert Exception: delta_collateral.amount != 0 || delta_debt.amount != 0');
+    }
+
+    const existing = this.callOrders(o => o.borrower === data.funding_account && o.call_price.quote.asset_id === debtAsset.id)[0];
+    const collateral = (existing?.collateral || 0) + deltaCollateral;
+    const debt = (existing?.debt || 0) + deltaDebt;
+    if (collateral < 0 || debt < 0) throw new Error('Assert Exception: Cannot remove more than the call order holds');
+    if (!existing && (collateral === 0 || debt === 0)) {
+      throw new Error('Assert Exception: Since there is no existing call order, the collateral and debt must be positive');
+    }
+    if (debt === 0 && collateral !== 0) {
+      throw new Error('Assert Exception: Should claim all collateral when closing debt position');
+    }
+
+    this.adjustBalance(data.funding_account, backing, -deltaCollateral, changed);
+    this.adjustBalance(data.funding_account, debtAsset.id, deltaDebt, changed);
+    const dynamic = this.get(debtAsset.dynamic_asset_data_id);
+    dynamic.current_supply += deltaDebt;
+    changed.push(dynamic);
+
+    if (debt === 0) {
+      this.objects.delete(existing.id);
+      changed.push(existing.id);
+      return;
+    }
+
+    const feed = bitasset.current_feed;
+    const price = feed?.settlement_price;
+    if (!price || !price.base.amount) throw new Error('Assert Exception: Cannot borrow asset with no price feed');
+    const icr = feed.initial_collateral_ratio || feed.maintenance_collateral_ratio;
+    const lowers = !existing || deltaDebt > 0 || deltaCollateral < 0;
+    if (lowers && BigInt(collateral) * BigInt(price.base.amount) * 1000n < BigInt(debt) * BigInt(price.quote.amount) * BigInt(icr)) {
+      throw new Error('Assert Exception: Can only increase collateral ratio without increasing debt when the call order is below the initial collateral ratio');
+    }
+
+    const target = data.extensions?.target_collateral_ratio;
+    const order = {
+      id: existing?.id || this.allocate('1.8'),
+      borrower: data.funding_account,
+      collateral,
+      debt,
+      call_price: { base: { amount: collateral, asset_id: backing }, quote: { amount: debt, asset_id: debtAsset.id } },
+      ...(target ? { target_collateral_ratio: target } : {})
+    };
+    changed.push(this.put(order));
+  }
+
+  settleOrders(filter) {
+    return [...this.objects.values()].filter(o => o.id.startsWith('1.4.') && filter(o));
+  }
+
+  collateralBids(filter) {
+    return [...this.objects.values()].filter(o => o.id.startsWith('1.17.') && filter(o));
+  }
+
+  /**
+   * Globally settle a smartcoin at `price` ([debt, collateral] base units):
+   * every position pays its debt's worth of collateral into the settlement
+   * fund and gets the rest back, pending settle orders are cancelled.
+   * Notifies subscribers.
+   */
+  globalSettle(asset, [debt, collateral]) {
+    const { id: assetId, bitasset_data_id, dynamic_asset_data_id } = this.getAsset(asset);
+    const bitasset = this.get(bitasset_data_id);
+    const backing = bitasset.options.short_backing_asset;
+    const changed = [];
+    let fund = 0n;
+    for (const order of this.callOrders(o => o.call_price.quote.asset_id === assetId)) {
+      // Rounded up, in favour of the fund
+      const owed = (BigInt(order.debt) * BigInt(collateral) + BigInt(debt) - 1n) / BigInt(debt);
+      const paid = owed < BigInt(order.collateral) ? owed : BigInt(order.collateral);
+      fund += paid;
+      this.adjustBalance(order.borrower, backing, order.collateral - Number(paid), changed);
+      this.objects.delete(order.id);
+      changed.push(order.id);
+    }
+    for (const order of this.settleOrders(o => o.balance.asset_id === assetId)) {
+      this.adjustBalance(order.owner, assetId, order.balance.amount, changed);
+      this.objects.delete(order.id);
+      changed.push(order.id);
+    }
+    bitasset.settlement_fund = Number(fund);
+    bitasset.settlement_price = {
+      base: { amount: this.get(dynamic_asset_data_id).current_supply, asset_id: assetId },
+      quote: { amount: Number(fund), asset_id: backing }
+    };
+    changed.push(bitasset);
+    this.changed(changed);
+    return bitasset;
+  }
+
+  /**
+   * asset_settle: a settle order that fills after the settlement delay or,
+   * once globally settled, an immediate payout from the settlement fund
+   */
+  settleAsset(data, changed) {
+    const asset = this.get(data.amount.asset_id);
+    const bitasset = asset?.bitasset_data_id && this.get(asset.bitasset_data_id);
+    if (!bitasset) throw new Error('Assert Exception: asset_to_settle.is_market_issued(): can only settle market-issued assets');
+    const amount = Number(data.amount.amount);
+    if (amount <= 0) throw new Error('Assert Exception: amount.amount > 0');
+    this.adjustBalance(data.account, asset.id, -amount, changed);
+
+    if (bitasset.settlement_fund > 0) {
+      // Rounded down, in favour of the fund
+      const price = bitasset.settlement_price;
+      const paid = Number(BigInt(amount) * BigInt(price.quote.amount) / BigInt(price.base.amount));
+      bitasset.settlement_fund -= paid;
+      const dynamic = this.get(asset.dynamic_asset_data_id);
+      dynamic.current_supply -= amount;
+      this.adjustBalance(data.account, bitasset.options.short_backing_asset, paid, changed);
+      changed.push(bitasset, dynamic);
+      return;
+    }
+
+    if (asset.options.flags & 0x10) {
+      throw new Error('Assert Exception: asset_to_settle->can_force_settle(): Force settlement is disabled for this asset');
+    }
+    changed.push(this.put({
+      id: this.allocate('1.4'),
+      owner: data.account,
+      balance: { amount, asset_id: asset.id },
+      settlement_date: addSeconds(this.get('2.1.0').time, bitasset.options.force_settlement_delay_sec)
+    }));
+  }
+
+  /**
+   * bid_collateral: replaces the bidder's bid on a globally settled
+   * smartcoin; a bid of no debt cancels it
+   */
+  bidCollateral(data, changed) {
+    const asset = this.get(data.debt_covered.asset_id);
+    const bitasset = asset?.bitasset_data_id && this.get(asset.bitasset_data_id);
+    if (!bitasset || !(bitasset.settlement_fund > 0)) {
+      throw new Error('Assert Exception: _bitasset_data->has_settlement(): Cannot bid since the BitAsset is not globally settled');
+    }
+    const backing = bitasset.options.short_backing_asset;
+    const existing = this.collateralBids(b => b.bidder === data.bidder && b.inv_swan_price.quote.asset_id === asset.id)[0];
+    if (existing) {
+      this.adjustBalance(data.bidder, backing, existing.inv_swan_price.base.amount, changed);
+      this.objects.delete(existing.id);
+      changed.push(existing.id);
+    }
+    if (Number(data.debt_covered.amount) === 0) {
+      if (!existing) throw new Error("Assert Exception: o.debt_covered.amount > 0: Can't find bid to cancel?!");
+      return;
+    }
+
+    this.adjustBalance(data.bidder, backing, -Number(data.additional_collateral.amount), changed);
+    changed.push(this.put({
+      id: this.allocate('1.17'),
+      bidder: data.bidder,
+      inv_swan_price: {
+        base: { amount: Number(data.additional_collateral.amount), asset_id: backing },
+        quote: { amount: Number(data.debt_covered.amount), asset_id: asset.id }
+      }
+    }));
+  }
+
+  // === Claimable balances ===
+
+  /**
+   * A genesis balance (balance_object, 1.15.x)
+   * @param {Object} spec
+   * @param {string} spec.owner - address (see CryptoUtils.publicKeyAddresses)
+   * @param {number} spec.amount - base units
+   * @param {string} [spec.asset]
+   * @param {Object} [spec.vesting_policy] - linear policy
+   * @param {string} [spec.last_claim_date]
+   */
+  addBalanceObject({ owner, amount, asset = '1.3.0', vesting_policy, last_claim_date = '1970-01-01T00:00:00' }) {
+    return this.put({
+      id: this.allocate('1.15'),
+      owner,
+      balance: { amount, asset_id: this.getAsset(asset).id },
+      ...(vesting_policy ? { vesting_policy } : {}),
+      last_claim_date
+    });
+  }
+
+  /**
+   * A vesting balance (vesting_balance_object, 1.13.x)
+   * @param {Object} spec
+   * @param {string} spec.owner - account name or id
+   * @param {number} spec.amount - base units
+   * @param {string} [spec.asset]
+   * @param {Array} [spec.policy] - [type, policy]; instant when omitted
+   * @param {string} [spec.balance_type] - 'unspecified', 'cashback', 'worker', ...
+   */
+  addVestingBalance({ owner, amount, asset = '1.3.0', policy = [2, {}], balance_type = 'unspecified' }) {
+    return this.put({
+      id: this.allocate('1.13'),
+      owner: this.getAccount(owner).id,
+      balance: { amount, asset_id: this.getAsset(asset).id },
+      policy,
+      balance_type
+    });
+  }
+
+  /** balance_claim: signed by the owner key, at most what has vested */
+  async claimBalance(data, keys, changed) {
+    const object = this.get(data.balance_to_claim);
+    if (!object) throw new Error(`Unknown balance object ${data.balance_to_claim}`);
+    if (!keys.has(data.balance_owner_key)) {
+      throw new Error(`Missing Authority: ${data.balance_owner_key} did not sign`);
+    }
+    const addresses = await CryptoUtils.publicKeyAddresses(data.balance_owner_key, this.prefix);
+    if (!addresses.includes(object.owner)) {
+      throw new Error('Assert Exception: op.balance_owner_key does not own the balance');
+    }
+    const now = this.get('2.1.0').time;
+    const amount = Number(data.total_claimed.amount);
+    const available = object.vesting_policy
+      ? allowedWithdraw([0, object.vesting_policy], object.balance.amount, now)
+      : Number(object.balance.amount);
+    if (data.total_claimed.asset_id !== object.balance.asset_id || amount <= 0 || amount > available) {
+      throw new Error('Assert Exception: op.total_claimed <= available: Attempted to claim more than is available');
+    }
+    if (object.vesting_policy && chainSeconds(now) - chainSeconds(object.last_claim_date) < 86400n) {
+      throw new Error('Assert Exception: d.head_block_time() - balance->last_claim_date >= fc::days(1)');
+    }
+    if (!this.get(data.deposit_to_account)) throw new Error(`Unknown account ${data.deposit_to_account}`);
+
+    const remaining = Number(object.balance.amount) - amount;
+    if (remaining === 0) this.objects.delete(object.id);
+    else this.put({ ...object, balance: { ...object.balance, amount: remaining }, last_claim_date: now });
+    this.adjustBalance(data.deposit_to_account, object.balance.asset_id, amount, changed);
+  }
+
+  /** vesting_balance_withdraw: by the owner, at most what the policy allows */
+  withdrawVesting(data, changed) {
+    const object = this.get(data.vesting_balance);
+    if (!object) throw new Error(`Unknown vesting balance ${data.vesting_balance}`);
+    if (object.owner !== data.owner) throw new Error('Assert Exception: op.owner == obj.owner');
+    const now = this.get('2.1.0').time;
+    const amount = Number(data.amount.amount);
+    if (data.amount.asset_id !== object.balance.asset_id || amount <= 0 ||
+        amount > allowedWithdraw(object.policy, object.balance.amount, now)) {
+      throw new Error('Assert Exception: obj.is_withdraw_allowed(now, op.amount)');
+    }
+
+    let policy = object.policy;
+    if (policy[0] === 1) {
+      // cdd: the withdrawal spends the coin-seconds it was earned with
+      const vestingSeconds = BigInt(Math.max(policy[1].vesting_seconds || 0, 1));
+      const earned = coinSecondsEarned(policy[1], BigInt(object.balance.amount), now);
+      policy = [1, {
+        ...policy[1],
+        coin_seconds_earned: String(earned - BigInt(amount) * vestingSeconds),
+        coin_seconds_earned_last_update: now
+      }];
+    }
+    this.put({ ...object, balance: { ...object.balance, amount: Number(object.balance.amount) - amount }, policy });
+    this.adjustBalance(data.owner, data.amount.asset_id, amount, changed);
+  }
+
+  // === Fees ===
+
+  /** Core fee of an operation type */
+  setFee(opType, amount) {
+    this.fees[opType] = amount;
+  }
+
+  coreFee(opType) {
+    return this.fees[opType] ?? this.defaultFee;
+  }
+
+  /** Global properties with the fee schedule as get_global_properties returns it */
+  globalProperties() {
+    const properties = this.get('2.0.0');
+    const fees = [...Array(78).keys()].map(type => [type, { fee: this.coreFee(type) }]);
+    return {
+      ...properties,
+      parameters: { ...properties.parameters, current_fees: { parameters: fees, scale: 10000 } }
+    };
+  }
+
+  /** Core fee converted at the asset's core exchange rate, rounded up */
+  feeIn(opType, assetId) {
+    const core = this.coreFee(opType);
+    if (assetId === '1.3.0') return core;
+    const asset = this.get(assetId);
+    if (!asset) throw new Error(`Unknown asset ${assetId}`);
+    const { base, quote } = asset.options.core_exchange_rate;
+    const [assetAmount, coreAmount] = base.asset_id === '1.3.0'
+      ? [quote.amount, base.amount]
+      : [base.amount, quote.amount];
+    return Math.ceil(core * assetAmount / coreAmount);
+  }
+
+  requiredFees(operations, assetId) {
+    return operations.map(([type, data]) => {
+      const fee = { amount: this.feeIn(type, assetId), asset_id: assetId };
+      if (type === 22) {
+        // proposal_create: [own fee, [fees of the proposed operations]]
+        const inner = (data.proposed_ops || []).map(({ op }) => op);
+        return [fee, this.requiredFees(inner, assetId)];
+      }
+      return fee;
+    });
+  }
+
+  // === Blocks ===
+
+  static blockId(number) {
+    const hash = createHash('sha256').update(`block ${number}`).digest('hex');
+    return number.toString(16).padStart(8, '0') + hash.slice(8, 40);
+  }
+
+  setHead(number, time) {
+    const dgp = this.get('2.1.0');
+    dgp.head_block_number = number;
+    dgp.head_block_id = MockChain.blockId(number);
+    dgp.time = time;
+    dgp.last_irreversible_block_num = Math.max(0, number - this.irreversibleLag);
+    this.blockIds.set(number & 0xFFFF, dgp.head_block_id);
+    return dgp;
+  }
+
+  /** Produce `count` empty blocks, one block interval apart */
+  produceBlocks(count = 1) {
+    const dgp = this.get('2.1.0');
+    for (let i = 0; i < count; i++) {
+      this.setHead(dgp.head_block_number + 1, addSeconds(dgp.time, this.get('2.0.0').parameters.block_interval));
+    }
+    this.changed([dgp]);
+    return dgp;
+  }
+
+  // === Transactions ===
+
+  async transactionDigest(trx) {
+    const bytes = serializer.serializeTransaction(trx);
+    const id = createHash('sha256').update(bytes).digest('hex').slice(0, 40);
+    const digest = createHash('sha256').update(Buffer.concat([Buffer.from(hexToBytes(this.chainId)), bytes])).digest();
+    return { id, digest: new Uint8Array(digest) };
+  }
+
+  async signers(trx, digest) {
+    const keys = new Set();
+    for (const signature of trx.signatures || []) {
+      const publicKey = CryptoUtils.recoverPublicKey(digest, hexToBytes(signature));
+      keys.add(await CryptoUtils.publicKeyToBTS(publicKey, this.prefix));
+    }
+    return keys;
+  }
+
+  /** Whether `keys` satisfy an account's active (or owner) authority */
+  authorized(accountId, keys, depth = 0) {
+    const account = this.get(accountId);
+    if (!account || depth > 2) return false;
+    const satisfies = (auth) => {
+      let weight = 0;
+      for (const [key, w] of auth.key_auths) if (keys.has(key)) weight += w;
+      for (const [id, w] of auth.account_auths) if (this.authorized(id, keys, depth + 1)) weight += w;
+      return weight >= auth.weight_threshold;
+    };
+    return satisfies(account.active) || satisfies(account.owner);
+  }
+
+  /** Keys from `available` the transaction's fee payers need (like get_required_signatures) */
+  requiredSignatures(trx, available) {
+    const required = new Set();
+    for (const [type, data] of trx.operations) {
+      if (type === 37) {
+        if (available.includes(data.balance_owner_key)) required.add(data.balance_owner_key);
+        continue;
+      }
+      const account = this.get(feePayer(data));
+      if (!account) continue;
+      let weight = 0;
+      for (const [key, w] of account.active.key_auths) {
+        if (weight >= account.active.weight_threshold) break;
+        if (available.includes(key)) {
+          required.add(key);
+          weight += w;
+        }
+      }
+    }
+    return [...required];
+  }
+
+  potentialSignatures(trx) {
+    const keys = new Set();
+    for (const [type, data] of trx.operations) {
+      if (type === 37) {
+        keys.add(data.balance_owner_key);
+        continue;
+      }
+      const account = this.get(feePayer(data));
+      if (!account) continue;
+      for (const [key] of [...account.active.key_auths, ...account.owner.key_auths]) keys.add(key);
+    }
+    return [...keys];
+  }
+
+  /**
+   * Validate and apply a signed transaction, then include it in a new block
+   * @returns {Promise<{id: string, block_num: number, trx_num: number, trx: Object}>}
+   */
+  async pushTransaction(trx) {
+    const dgp = this.get('2.1.0');
+    const { id, digest } = await this.transactionDigest(trx);
+
+    if (this.transactions.some(t => t.id === id)) {
+      throw new Error('Assert Exception: trx_idx.find(trx_id) == trx_idx.end(): Duplicate transaction check failed');
+    }
+    if (trx.expiration <= dgp.time) {
+      throw new Error(`Assert Exception: now <= trx.expiration: now ${dgp.time}, expiration ${trx.expiration}`);
+    }
+    const maxExpiration = addSeconds(dgp.time, this.get('2.0.0').parameters.maximum_time_until_expiration);
+    if (trx.expiration > maxExpiration) {
+      throw new Error('Assert Exception: trx.expiration <= now + chain_parameters.maximum_time_until_expiration');
+    }
+    const refBlockId = this.blockIds.get(trx.ref_block_num);
+    const refPrefix = refBlockId && Buffer.from(refBlockId, 'hex').readUInt32LE(4);
+    if (refPrefix !== trx.ref_block_prefix) {
+      throw new Error('Assert Exception: tapos_block_summary.block_id._hash[1] == trx.ref_block_prefix: transaction tapos mismatch');
+    }
+
+    const keys = await this.signers(trx, digest);
+    const changed = [];
+    const objects = new Map();
+    const snapshot = (object) => objects.has(object.id) || objects.set(object.id, { ...object });
+    for (const object of this.objects.values()) {
+      if (TRANSACTION_SPACES.some(space => object.id.startsWith(space))) snapshot(object);
+    }
+
+    try {
+      for (const [type, data] of trx.operations) {
+        if (type === 37) {
+          // Authorized by the owner key alone, and free
+          if (Number(data.fee.amount) !== 0) throw new Error('Assert Exception: op.fee.amount == 0');
+          await this.claimBalance(data, keys, changed);
+          continue;
+        }
+        const payer = feePayer(data);
+        if (!this.get(payer)) throw new Error(`Unknown fee paying account ${payer}`);
+        if (!this.authorized(payer, keys)) throw new Error(`Missing Active Authority ${payer}`);
+
+        const fee = { amount: Number(data.fee.amount), asset_id: data.fee.asset_id };
+        if (fee.amount < this.feeIn(type, fee.asset_id)) {
+          throw new Error(`Insufficient Fee Paid: fee.amount >= required_fee (${fee.amount} < ${this.feeIn(type, fee.asset_id)})`);
+        }
+        this.adjustBalance(payer, fee.asset_id, -fee.amount, changed);
+        if (fee.asset_id !== '1.3.0') {
+          const dynamic = this.get(this.get(fee.asset_id).dynamic_asset_data_id);
+          if (dynamic.fee_pool < this.coreFee(type)) {
+            throw new Error('Assert Exception: d.fee_pool >= core_fee_paid: Fee pool balance is insufficient');
+          }
+          dynamic.fee_pool -= this.coreFee(type);
+          dynamic.accumulated_fees += fee.amount;
+          changed.push(dynamic);
+        }
+
+        if (type === 0) {
+          const amount = Number(data.amount.amount);
+          if (!this.get(data.to)) throw new Error(`Unknown account ${data.to}`);
+          this.adjustBalance(data.from, data.amount.asset_id, -amount, changed);
+          this.adjustBalance(data.to, data.amount.asset_id, amount, changed);
+        } else if (type === 1) {
+          this.createLimitOrder(data, changed);
+        } else if (type === 2) {
+          this.cancelLimitOrder(data, changed);
+        } else if (type === 3) {
+          this.updateCallOrder(data, changed);
+        } else if (type === 17) {
+          this.settleAsset(data, changed);
+        } else if (type === 33) {
+          this.withdrawVesting(data, changed);
+        } else if (type === 45) {
+          this.bidCollateral(data, changed);
+        } else if (type === 63) {
+          this.exchangeWithPool(data, changed);
+        } else if (type === 77) {
+          this.updateLimitOrder(data, changed);
+        }
+      }
+    } catch (error) {
+      // Roll back balances and asset pools touched by the failed transaction
+      for (const [objectId, original] of objects) this.objects.set(objectId, original);
+      for (const object of this.objects.values()) {
+        if (TRANSACTION_SPACES.some(space => object.id.startsWith(space)) && !objects.has(object.id)) {
+          this.objects.delete(object.id);
+        }
+      }
+      throw error;
+    }
+
+    this.produceBlocks(1);
+    const blockNum = dgp.head_block_number;
+    const confirmation = { id, block_num: blockNum, trx_num: 0, trx };
+    this.transactions.push(confirmation);
+
+    trx.operations.forEach((op, opIndex) => this.addHistory(op, { opInTrx: opIndex }));
+
+    this.changed(changed);
+    return confirmation;
+  }
+
+  /**
+   * Add an operation to the history of the accounts it involves (fee payer
+   * and transfer recipient) at the head block, without applying it.
+   * Subscribers see the accounts' statistics change.
+   * @returns {Object} the operation_history_object
+   */
+  addHistory([type, data], { trxInBlock = 0, opInTrx = 0 } = {}) {
+    const dgp = this.get('2.1.0');
+    const entry = this.put({
+      id: this.allocate('1.11'),
+      op: [type, data],
+      result: [0, {}],
+      block_num: dgp.head_block_number,
+      trx_in_block: trxInBlock,
+      op_in_trx: opInTrx,
+      virtual_op: 0,
+      is_virtual: false,
+      block_time: dgp.time
+    });
+    const impacted = new Set([feePayer(data), data.to, data.deposit_to_account].filter(a => this.history.has(a)));
+    const statistics = [...impacted].map(accountId => {
+      this.history.get(accountId).unshift(entry.id);
+      const stats = this.get(this.get(accountId).statistics);
+      stats.total_ops++;
+      return stats;
+    });
+    this.changed(statistics);
+    return entry;
+  }
+
+  /** get_full_accounts entry: the account with the objects it owns */
+  fullAccount(account) {
+    const owned = prefix => [...this.objects.values()].filter(o => o.id.startsWith(prefix) && o.owner === account.id);
+    return {
+      account,
+      statistics: this.get(account.statistics),
+      balances: owned('2.5.'),
+      vesting_balances: owned('1.13.'),
+      limit_orders: this.limitOrders(o => o.seller === account.id),
+      call_orders: this.callOrders(o => o.borrower === account.id),
+      settle_orders: this.settleOrders(o => o.owner === account.id),
+      proposals: [],
+      assets: [],
+      withdraws: [],
+      more_data_available: {}
+    };
+  }
+
+  /** A transaction applied to the chain that has not expired yet */
+  recentTransaction(id) {
+    const confirmation = this.transactions.find(t => t.id === id);
+    return confirmation && confirmation.trx.expiration >= this.get('2.1.0').time ? confirmation.trx : null;
+  }
+
+  /** get_relative_account_history: sequence numbers count from 1 = oldest, start 0 = newest */
+  relativeAccountHistory(accountId, stop, limit, start) {
+    const ids = this.history.get(accountId) || [];
+    const from = start === 0 ? ids.length : Math.min(ids.length, start);
+    const result = [];
+    for (let sequence = from; sequence >= Math.max(stop, 1) && result.length < limit; sequence--) {
+      result.push(this.get(ids[ids.length - sequence]));
+    }
+    return result;
+  }
+
+  /** get_account_history_operations: one operation type, ids from start down to stop */
+  accountHistoryOperations(accountId, operationType, start, stop, limit) {
+    const instance = id => Number(String(id).split('.')[2]);
+    return (this.history.get(accountId) || [])
+      .map(id => this.get(id))
+      .filter(entry => entry.op[0] === operationType &&
+        (instance(start) === 0 || instance(entry.id) <= instance(start)) &&
+        (instance(stop) === 0 || instance(entry.id) > instance(stop)))
+      .slice(0, limit);
+  }
+
+  accountHistory(accountId, stop, limit, start) {
+    const instance = id => Number(String(id).split('.')[2]);
+    return (this.history.get(accountId) || [])
+      .filter(id => instance(id) > instance(stop) && (instance(start) === 0 || instance(id) <= instance(start)))
+      .slice(0, limit)
+      .map(id => this.get(id));
+  }
+}
+
+export class MockBitSharesNode {
+  /**
+   * @param {Object} [options]
+   * @param {MockChain} [options.chain] - share one chain between nodes of the same network
+   * @param {Object<string, number>} [options.apis] - API name → id; unlisted APIs are refused
+   */
+  constructor({ chain = new MockChain(), apis = DEFAULT_APIS } = {}) {
+    this.chain = chain;
+    this.apis = apis;
+    this.server = null;
+    this.port = 0;
+    this.connections = new Set();
+    this.calls = [];
+    this.methods = new Map();
+    this.installDefaultMethods();
+  }
+
+  get url() {
+    return `ws://127.0.0.1:${this.port}/ws`;
+  }
+
+  /** Listen on 127.0.0.1 (the same port again after a stop()) */
+  async start() {
+    this.server = http.createServer((req, res) => {
+      res.writeHead(426, { 'Content-Type': 'text/plain' });
+      res.end('Upgrade Required');
+    });
+    this.wss = new WebSocketServer({ noServer: true });
+    this.server.on('upgrade', (req, socket, head) => {
+      this.wss.handleUpgrade(req, socket, head, ws => this.accept(ws));
+    });
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, '127.0.0.1', resolve);
+    });
+    this.port = this.server.address().port;
+    this.unsubscribe = this.chain.subscribe(objects => this.publish(objects));
+    return this;
+  }
+
+  /** Go down: drop every connection without a close handshake and stop listening */
+  async stop() {
+    this.unsubscribe?.();
+    this.dropConnections();
+    this.wss?.close();
+    this.wss = null;
+    if (this.server) {
+      await new Promise(resolve => this.server.close(resolve));
+      this.server = null;
+    }
+  }
+
+  /** Drop every open connection but keep accepting new ones */
+  dropConnections() {
+    for (const connection of this.connections) connection.socket.terminate();
+    this.connections.clear();
+  }
+
+  /**
+   * Replace or add a method: `fn(params, { chain, node, connection })`
+   * returns the result (or a promise of it) or throws to reply with an error
+   */
+  handle(method, fn) {
+    this.methods.set(method, { api: this.methods.get(method)?.api || METHOD_APIS[method] || 'database', fn });
+  }
+
+  /** Send a raw notice to every connection */
+  notice(callbackId, params) {
+    for (const connection of this.connections) {
+      connection.socket.send(JSON.stringify({ method: 'notice', params: [callbackId, params] }));
+    }
+  }
+
+  /** Calls received for `method` (all of them if omitted) */
+  callsTo(method) {
+    return this.calls.filter(call => !method || call.method === method);
+  }
+
+  accept(ws) {
+    const connection = { subscribeCallback: null, socket: ws };
+    ws.on('message', data => this.receive(connection, data.toString()));
+    ws.on('close', () => this.connections.delete(connection));
+    ws.on('error', () => {});
+    this.connections.add(connection);
+  }
+
+  async receive(connection, text) {
+    let request;
+    try {
+      request = JSON.parse(text);
+    } catch (error) {
+      return;
+    }
+    const { id } = request;
+    try {
+      if (request.method !== 'call' || !Array.isArray(request.params)) {
+        throw new Error(`Assert Exception: unsupported method ${request.method}`);
+      }
+      const [apiId, method, params = []] = request.params;
+      const result = await this.dispatch(connection, apiId, method, params);
+      connection.socket.send(JSON.stringify({ id, jsonrpc: '2.0', result: result === undefined ? null : result }));
+    } catch (error) {
+      connection.socket.send(JSON.stringify({
+        id,
+        jsonrpc: '2.0',
+        error: {
+          code: 1,
+          message: error.message,
+          data: { code: 10, name: 'assert_exception', message: error.message, stack: [] }
+        }
+      }));
+    }
+  }
+
+  dispatch(connection, apiId, method, params) {
+    const apiName = apiId === 1 ? 'login' : Object.keys(this.apis).find(name => this.apis[name] === apiId);
+    this.calls.push({ api: apiName || apiId, method, params });
+    const entry = this.methods.get(method);
+    if (!apiName || !entry || entry.api !== apiName) {
+      throw new Error(`Assert Exception: itr != _by_name.end(): no method with name '${method}'`);
+    }
+    return entry.fn(params, { chain: this.chain, node: this, connection });
+  }
+
+  publish(objects) {
+    for (const connection of this.connections) {
+      if (connection.subscribeCallback === null) continue;
+      connection.socket.send(JSON.stringify({
+        method: 'notice',
+        params: [connection.subscribeCallback, [objects]]
+      }));
+    }
+  }
+
+  installDefaultMethods() {
+    const chain = this.chain;
+    const api = name => () => {
+      if (this.apis[name] === undefined) throw new Error(`Assert Exception: API ${name} is not enabled`);
+      return this.apis[name];
+    };
+    const methods = {
+      // Login API
+      login: () => true,
+      database: api('database'),
+      network_broadcast: api('network_broadcast'),
+      history: api('history'),
+      crypto: api('crypto'),
+
+      // Database API
+      get_chain_properties: () => ({ id: '2.11.0', chain_id: chain.chainId, immutable_parameters: {} }),
+      get_chain_id: () => chain.chainId,
+      get_config: () => ({ GRAPHENE_ADDRESS_PREFIX: chain.prefix }),
+      get_global_properties: () => chain.globalProperties(),
+      get_dynamic_global_properties: () => chain.get('2.1.0'),
+      get_objects: ([ids]) => ids.map(id => chain.get(id)),
+      get_accounts: ([names]) => names.map(name => chain.getAccount(name)),
+      get_account_by_name: ([name]) => chain.getAccount(name),
+      get_full_accounts: ([names]) => names
+        .map(name => [name, chain.getAccount(name)])
+        .filter(([, account]) => account)
+        .map(([name, account]) => [name, chain.fullAccount(account)]),
+      lookup_account_names: ([names]) => names.map(name => chain.getAccount(name)),
+      get_key_references: ([keys]) => keys.map(key => {
+        // Like public_key_type, only keys with the chain's prefix parse
+        if (!key.startsWith(chain.prefix)) {
+          throw new Error(`Assert Exception: prefix == GRAPHENE_ADDRESS_PREFIX: ${key}`);
+        }
+        return [...chain.objects.values()]
+          .filter(o => o.id.startsWith('1.2.') &&
+            [...o.owner.key_auths, ...o.active.key_auths].some(([k]) => k === key))
+          .map(o => o.id);
+      }),
+      get_assets: ([symbols]) => symbols.map(symbol => chain.getAsset(symbol)),
+      lookup_asset_symbols: ([symbols]) => symbols.map(symbol => chain.getAsset(symbol)),
+      get_order_book: ([base, quote, limit = 50]) => chain.orderBook(base, quote, limit),
+      get_limit_orders_by_account: ([account, limit = 101]) => {
+        const accountId = chain.getAccount(account)?.id;
+        return chain.limitOrders(o => o.seller === accountId).slice(0, limit);
+      },
+      get_limit_orders: ([assetA, assetB, limit = 100]) => {
+        const ids = [chain.getAsset(assetA)?.id, chain.getAsset(assetB)?.id];
+        return chain.limitOrders(o => ids.includes(o.sell_price.base.asset_id) &&
+          ids.includes(o.sell_price.quote.asset_id)).slice(0, limit);
+      },
+      get_call_orders_by_account: ([account, start = '1.3.0', limit = 101]) => {
+        const accountId = chain.getAccount(account)?.id;
+        const instance = id => Number(id.split('.')[2]);
+        return chain.callOrders(o => o.borrower === accountId && instance(o.call_price.quote.asset_id) >= instance(start))
+          .sort((x, y) => instance(x.call_price.quote.asset_id) - instance(y.call_price.quote.asset_id))
+          .slice(0, limit);
+      },
+      get_settle_orders_by_account: ([account, start = null, limit = 101]) => {
+        const accountId = chain.getAccount(account)?.id;
+        const instance = id => Number(id.split('.')[2]);
+        return chain.settleOrders(o => o.owner === accountId && (!start || instance(o.id) >= instance(start)))
+          .sort((x, y) => instance(x.id) - instance(y.id))
+          .slice(0, limit);
+      },
+      get_collateral_bids: ([asset, limit = 100, start = 0]) => {
+        const assetId = chain.getAsset(asset)?.id;
+        // Most collateral per debt first
+        const perDebt = b => Number(b.inv_swan_price.base.amount) / Number(b.inv_swan_price.quote.amount);
+        return chain.collateralBids(b => b.inv_swan_price.quote.asset_id === assetId)
+          .sort((x, y) => perDebt(y) - perDebt(x))
+          .slice(start, start + limit);
+      },
+      get_trade_history: () => [],
+      list_liquidity_pools: ([limit = 101, start = null]) => {
+        const instance = id => Number(id.split('.')[2]);
+        return chain.liquidityPools(p => !start || instance(p.id) >= instance(start))
+          .sort((x, y) => instance(x.id) - instance(y.id))
+          .slice(0, limit);
+      },
+      get_liquidity_pools_by_asset_a: ([asset, limit = 101]) =>
+        chain.liquidityPools(p => p.asset_a === chain.getAsset(asset)?.id).slice(0, limit),
+      get_liquidity_pools_by_asset_b: ([asset, limit = 101]) =>
+        chain.liquidityPools(p => p.asset_b === chain.getAsset(asset)?.id).slice(0, limit),
+      get_liquidity_pools_by_both_assets: ([assetX, assetY, limit = 101]) => {
+        const ids = [chain.getAsset(assetX)?.id, chain.getAsset(assetY)?.id];
+        return chain.liquidityPools(p => ids.includes(p.asset_a) && ids.includes(p.asset_b)).slice(0, limit);
+      },
+      get_balance_objects: ([addresses]) =>
+        [...chain.objects.values()].filter(o => o.id.startsWith('1.15.') && addresses.includes(o.owner)),
+      get_vesting_balances: ([account]) => {
+        const accountId = chain.getAccount(account)?.id;
+        return [...chain.objects.values()].filter(o => o.id.startsWith('1.13.') && o.owner === accountId);
+      },
+      get_account_balances: ([account, assets]) => {
+        const accountId = chain.getAccount(account)?.id;
+        const ids = assets?.length ? assets.map(a => chain.getAsset(a)?.id)
+          : [...chain.objects.values()].filter(o => o.id.startsWith('2.5.') && o.owner === accountId).map(o => o.asset_type);
+        return ids.map(assetId => ({ amount: chain.balanceObject(accountId, assetId)?.balance || 0, asset_id: assetId }));
+      },
+      get_required_fees: ([operations, asset]) => {
+        const assetId = chain.getAsset(asset)?.id;
+        if (!assetId) throw new Error(`Assert Exception: asset ${asset} not found`);
+        return chain.requiredFees(operations, assetId);
+      },
+      get_required_signatures: ([trx, available]) => chain.requiredSignatures(trx, available),
+      get_potential_signatures: ([trx]) => chain.potentialSignatures(trx),
+      get_recent_transaction_by_id: ([id]) => chain.recentTransaction(id),
+      set_subscribe_callback: ([callbackId], { connection }) => {
+        connection.subscribeCallback = callbackId;
+        return null;
+      },
+      cancel_all_subscriptions: (params, { connection }) => {
+        connection.subscribeCallback = null;
+        return null;
+      },
+
+      // Network broadcast API
+      broadcast_transaction: async ([trx]) => {
+        await chain.pushTransaction(trx);
+        return null;
+      },
+      broadcast_transaction_synchronous: ([trx]) => chain.pushTransaction(trx),
+      broadcast_transaction_with_callback: async ([callbackId, trx], { connection }) => {
+        const confirmation = await chain.pushTransaction(trx);
+        // The callback fires once the block is applied, after the call returns
+        setImmediate(() => connection.socket.send(JSON.stringify({
+          method: 'notice',
+          params: [callbackId, [confirmation]]
+        })));
+        return null;
+      },
+
+      // History API
+      get_account_history: ([account, stop, limit, start]) =>
+        chain.accountHistory(chain.getAccount(account)?.id, stop, limit, start),
+      get_relative_account_history: ([account, stop, limit, start]) =>
+        chain.relativeAccountHistory(chain.getAccount(account)?.id, stop, limit, start),
+      get_account_history_operations: ([account, operationType, start, stop, limit]) =>
+        chain.accountHistoryOperations(chain.getAccount(account)?.id, operationType, start, stop, limit)
+    };
+    for (const [method, fn] of Object.entries(methods)) this.handle(method, fn);
+  }
+}
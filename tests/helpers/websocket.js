@@ -0,0 +1,52 @@
+/**
+ * Browser-style WebSocket for Jest (the node test environment has no global
+ * WebSocket), built on the ws package.
+ *
+ *  - installWebSocket() — put it on global, with an optional url → url
+ *                         routing table so code that hard-codes wss:// nodes
+ *                         reaches local mock nodes
+ *  - allClosed()        — wait for every client socket to fire its close event
+ */
+
+import WebSocket from 'ws';
+
+// Nothing listens on port 1: unrouted urls fail like an unreachable node
+const REFUSED_URL = 'ws://127.0.0.1:1/';
+
+export class NodeWebSocket extends WebSocket {
+  /** url → url; unmatched non-ws:// urls are refused rather than dialled */
+  static routes = new Map();
+
+  /** Sockets that have not fired their close event yet */
+  static live = new Set();
+
+  constructor(url) {
+    const target = NodeWebSocket.routes.get(url) || url;
+    super(target.startsWith('ws://') ? target : REFUSED_URL);
+    NodeWebSocket.live.add(this);
+    this.addEventListener('close', () => NodeWebSocket.live.delete(this));
+    // Report a failed connection through onerror/onclose only
+    this.on('error', () => {});
+  }
+}
+
+/**
+ * Resolve once every client socket has closed, so close handlers that log do
+ * not run after the test file has finished
+ */
+export async function allClosed(timeout = 2000) {
+  const deadline = Date.now() + timeout;
+  while (NodeWebSocket.live.size > 0 && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+/**
+ * Install NodeWebSocket as global.WebSocket
+ * @param {Object<string, string>} routes - e.g. { 'wss://node.xbts.io/ws': mockNode.url }
+ */
+export function installWebSocket(routes = {}) {
+  NodeWebSocket.routes = new Map(Object.entries(routes));
+  global.WebSocket = NodeWebSocket;
+  return NodeWebSocket;
+}
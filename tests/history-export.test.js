@@ -0,0 +1,223 @@
+/**
+ * Tests for src/lib/history-export.js
+ *
+ * Coverage:
+ *  - formatUnits(amount, precision)  — exact decimals, no float rounding
+ *  - collect(accountId)               — walks every page, rows per operation type,
+ *                                       fees only when the account paid them,
+ *                                       memos, tx ids looked up from the block
+ *  - toCsv / toKoinlyCsv / toCoinTrackingCsv — headers, quoting, formula guard, trades only
+ */
+
+import { HistoryExporter, EXPORT_FORMATS, formatUnits } from '../src/lib/history-export.js';
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+const ME = '1.2.100';
+const BOB = '1.2.200';
+
+const ASSETS = {
+  '1.3.0': { id: '1.3.0', symbol: 'BTS', precision: 5 },
+  '1.3.1': { id: '1.3.1', symbol: 'USD', precision: 4 },
+  '1.3.2': { id: '1.3.2', symbol: 'BTC', precision: 8 }
+};
+const ACCOUNTS = { [ME]: { id: ME, name: 'alice' }, [BOB]: { id: BOB, name: 'bob' } };
+
+function entry(id, op, extra = {}) {
+  return { id, op, block_num: 1000, trx_in_block: 0, block_time: '2026-03-01T10:00:00', ...extra };
+}
+
+const HISTORY = [
+  entry('1.11.5', [63, {
+    fee: { amount: 100, asset_id: '1.3.0' },
+    account: ME,
+    pool: '1.19.0',
+    amount_to_sell: { amount: 500000, asset_id: '1.3.0' },
+    min_to_receive: { amount: 10, asset_id: '1.3.1' },
+    extensions: []
+  }], { result: [3, { paid: [{ amount: 500000, asset_id: '1.3.0' }], received: [{ amount: 12, asset_id: '1.3.1' }], fees: [] }], trx_id: 'aa'.repeat(20) }),
+  entry('1.11.4', [4, {
+    fee: { amount: 3, asset_id: '1.3.1' },
+    order_id: '1.7.9',
+    account_id: ME,
+    pays: { amount: 123456789, asset_id: '1.3.0' },
+    receives: { amount: 25000, asset_id: '1.3.1' },
+    fill_price: {},
+    is_maker: true
+  }], { trx_id: 'bb'.repeat(20) }),
+  entry('1.11.3', [0, {
+    fee: { amount: 86869, asset_id: '1.3.0' },
+    from: BOB,
+    to: ME,
+    amount: { amount: 150000000, asset_id: '1.3.0' },
+    memo: { from: 'BTS1', to: 'BTS2', nonce: '1', message: 'secret' },
+    extensions: []
+  }], { block_num: 900, trx_in_block: 2 }),
+  entry('1.11.2', [0, {
+    fee: { amount: 86869, asset_id: '1.3.0' },
+    from: ME,
+    to: BOB,
+    amount: { amount: 1, asset_id: '1.3.2' },
+    extensions: []
+  }], { trx_id: 'cc'.repeat(20), block_time: '2026-02-01T09:30:00' })
+];
+
+function fakeApi(history = HISTORY, pageSize = 2) {
+  return {
+    apiIds: { database: 2 },
+    calls: [],
+    async getAccountHistoryPage(accountId, { cursor }) {
+      const start = cursor ?? 0;
+      const operations = history.slice(start, start + pageSize);
+      const next = start + operations.length;
+      return { operations, cursor: next, done: next >= history.length };
+    },
+    async getAsset(id) { return ASSETS[id] || null; },
+    async getAccount(id) { return ACCOUNTS[id] || null; },
+    async call(apiId, method, params) {
+      this.calls.push([method, params]);
+      return { ref_block_num: 1, operations: [], signatures: [] };
+    },
+    async getTransactionId() { return 'dd'.repeat(20); }
+  };
+}
+
+async function collect(options) {
+  const api = fakeApi();
+  const exporter = new HistoryExporter(api, options);
+  const rows = await exporter.collect(ME);
+  return { api, rows };
+}
+
+// ---------------------------------------------------------------------------
+// formatUnits
+// ---------------------------------------------------------------------------
+describe('formatUnits()', () => {
+  test('places the decimal point by precision and trims trailing zeros', () => {
+    expect(formatUnits(150000000, 5)).toBe('1500');
+    expect(formatUnits('123456789', 5)).toBe('1234.56789');
+    expect(formatUnits(1, 8)).toBe('0.00000001');
+    expect(formatUnits(25000, 4)).toBe('2.5');
+    expect(formatUnits(42, 0)).toBe('42');
+  });
+
+  test('stays exact beyond double precision', () => {
+    expect(formatUnits('900719925474099312345', 5)).toBe('9007199254740993.12345');
+    expect(formatUnits(-1050, 2)).toBe('-10.5');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// collect
+// ---------------------------------------------------------------------------
+describe('HistoryExporter.collect()', () => {
+  test('walks every page and reports progress', async () => {
+    const progress = [];
+    const rows = await new HistoryExporter(fakeApi()).collect(ME, { onProgress: n => progress.push(n) });
+    expect(rows.map(row => row.op_id)).toEqual(['1.11.5', '1.11.4', '1.11.3', '1.11.2']);
+    expect(progress).toEqual([2, 4]);
+  });
+
+  test('transfers are sent or received from the account\'s side, with counterparties', async () => {
+    const { rows } = await collect();
+    const received = rows.find(row => row.op_id === '1.11.3');
+    expect(received).toMatchObject({
+      operation: 'Transfer',
+      from: 'bob',
+      to: 'alice',
+      sent: null,
+      received: { amount: '1500', symbol: 'BTS', precision: 5 },
+      fee: null, // bob paid it
+      trade: false
+    });
+
+    const sent = rows.find(row => row.op_id === '1.11.2');
+    expect(sent.sent).toEqual({ amount: '0.00000001', symbol: 'BTC', precision: 8 });
+    expect(sent.fee).toEqual({ amount: '0.86869', symbol: 'BTS', precision: 5 });
+    expect(sent.time).toBe('2026-02-01T09:30:00');
+  });
+
+  test('fills and pool exchanges are trades with the amounts that moved', async () => {
+    const { rows } = await collect();
+    const fill = rows.find(row => row.op_id === '1.11.4');
+    expect(fill).toMatchObject({
+      trade: true,
+      sent: { amount: '1234.56789', symbol: 'BTS', precision: 5 },
+      received: { amount: '2.5', symbol: 'USD', precision: 4 },
+      fee: { amount: '0.0003', symbol: 'USD', precision: 4 }
+    });
+
+    // The pool paid 12, more than min_to_receive
+    const swap = rows.find(row => row.op_id === '1.11.5');
+    expect(swap.trade).toBe(true);
+    expect(swap.received.amount).toBe('0.0012');
+  });
+
+  test('memos are decrypted through the callback; failures leave them empty', async () => {
+    const decryptMemo = jest.fn(async memo => `plain:${memo.message}`);
+    const { rows } = await collect({ decryptMemo });
+    expect(rows.find(row => row.op_id === '1.11.3').memo).toBe('plain:secret');
+
+    const locked = await collect({ decryptMemo: async () => { throw new Error('Wallet is locked'); } });
+    expect(locked.rows.find(row => row.op_id === '1.11.3').memo).toBe('');
+  });
+
+  test('tx ids missing from history come from the block\'s transaction', async () => {
+    const { api, rows } = await collect();
+    expect(rows.find(row => row.op_id === '1.11.4').tx_id).toBe('bb'.repeat(20));
+    expect(rows.find(row => row.op_id === '1.11.3').tx_id).toBe('dd'.repeat(20));
+    expect(api.calls).toEqual([['get_transaction', [900, 2]]]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Formats
+// ---------------------------------------------------------------------------
+describe('export formats', () => {
+  test('CSV has one line per operation with quoted fields where needed', async () => {
+    const { rows } = await collect({ decryptMemo: async () => 'rent, "March"' });
+    const lines = HistoryExporter.format(rows, EXPORT_FORMATS.CSV).trimEnd().split('\r\n');
+    expect(lines).toHaveLength(5);
+    expect(lines[0]).toBe('Date (UTC),Operation,Operation ID,Block,Transaction ID,From,To,' +
+      'Sent Amount,Sent Asset,Sent Precision,Received Amount,Received Asset,Received Precision,' +
+      'Fee Amount,Fee Asset,Fee Precision,Memo');
+    expect(lines[3]).toBe(`2026-03-01 10:00:00,Transfer,1.11.3,900,${'dd'.repeat(20)},bob,alice,` +
+      ',,,1500,BTS,5,,,,"rent, ""March"""');
+  });
+
+  test('CSV fields that would start a spreadsheet formula get a leading apostrophe', async () => {
+    for (const [memo, field] of [
+      ['=HYPERLINK("http://evil")', '"\'=HYPERLINK(""http://evil"")"'],
+      ['+1', '"\'+1"'],
+      ['-2+3', '"\'-2+3"'],
+      ['@SUM(A1)', '"\'@SUM(A1)"'],
+      ['\tcmd', '"\'\tcmd"'],
+      ['\rcmd', '"\'\rcmd"'],
+      ['a=b', 'a=b']
+    ]) {
+      const { rows } = await collect({ decryptMemo: async () => memo });
+      const csv = HistoryExporter.format(rows, EXPORT_FORMATS.CSV);
+      expect(csv.split('\r\n')[3].endsWith(`,${field}`)).toBe(true);
+    }
+  });
+
+  test('Koinly and CoinTracking get the trades only', async () => {
+    const { rows } = await collect();
+
+    const koinly = HistoryExporter.format(rows, EXPORT_FORMATS.KOINLY).trimEnd().split('\r\n');
+    expect(koinly).toHaveLength(3);
+    expect(koinly[0]).toBe('Date,Sent Amount,Sent Currency,Received Amount,Received Currency,' +
+      'Fee Amount,Fee Currency,Net Worth Amount,Net Worth Currency,Label,Description,TxHash');
+    expect(koinly[2]).toBe(`2026-03-01 10:00:00 UTC,1234.56789,BTS,2.5,USD,0.0003,USD,,,,Fill Order 1.11.4,${'bb'.repeat(20)}`);
+
+    const coinTracking = HistoryExporter.format(rows, EXPORT_FORMATS.COINTRACKING).trimEnd().split('\r\n');
+    expect(coinTracking).toHaveLength(3);
+    expect(coinTracking[1]).toBe(`Trade,0.0012,USD,5,BTS,0.001,BTS,BitShares Liquidity Pool,,` +
+      `Liquidity Pool Exchange 1.11.5,2026-03-01 10:00:00,${'aa'.repeat(20)}`);
+  });
+
+  test('rejects unknown formats', () => {
+    expect(() => HistoryExporter.format([], 'xlsx')).toThrow('Unknown export format: xlsx');
+  });
+});
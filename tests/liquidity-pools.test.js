@@ -0,0 +1,189 @@
+/**
+ * Tests for src/lib/liquidity-pools.js
+ *
+ * Coverage:
+ *  - quote()           — constant-product payout rounding, pool taker fee, market fees, price impact
+ *  - bestQuote()       — the pool that pays most for the actual amount
+ *  - amountToSellFor() — smallest amount that receives a target
+ *  - minToReceive()    — slippage tolerance in basis points
+ *  - swapSlippage()    — stored tolerance with the default filled in
+ */
+
+import { LiquidityPools, swapSlippage, DEFAULT_SLIPPAGE } from '../src/lib/liquidity-pools.js';
+
+const BTS = { id: '1.3.0', symbol: 'BTS', precision: 5, options: { flags: 0, market_fee_percent: 0, extensions: {} } };
+const USD = { id: '1.3.1', symbol: 'USD', precision: 4, options: { flags: 0, market_fee_percent: 0, extensions: {} } };
+const ASSETS = new Map([[BTS.id, BTS], [USD.id, USD]]);
+
+// 10000 BTS and 5000 USD: 0.5 USD per BTS
+const pool = (overrides = {}) => ({
+  id: '1.19.1',
+  asset_a: BTS.id,
+  asset_b: USD.id,
+  balance_a: 1000000000,
+  balance_b: 50000000,
+  taker_fee_percent: 30,
+  withdrawal_fee_percent: 100,
+  ...overrides
+});
+
+/** USD charging 1% on the maker side and 0.5% on the taker side */
+const withUsdFees = (options = {}) => new Map([[BTS.id, BTS], [USD.id, {
+  ...USD,
+  options: { flags: 1, market_fee_percent: 100, max_market_fee: '1000000000', extensions: { taker_fee_percent: 50 }, ...options }
+}]]);
+
+// ---------------------------------------------------------------------------
+// quote
+// ---------------------------------------------------------------------------
+describe('LiquidityPools.quote()', () => {
+  test('pays out what the invariant allows, less the pool taker fee', () => {
+    // new USD balance ⌈5e16 / 1.01e9⌉ = 49504951, so the pool pays 495049; 0.3% of that stays in the pool
+    expect(LiquidityPools.quote(pool(), BTS.id, 10000000, ASSETS)).toEqual({
+      pool: '1.19.1',
+      sell: { amount: 10000000, asset_id: BTS.id },
+      receive: { amount: 493564, asset_id: USD.id },
+      poolFee: { amount: 1485, asset_id: USD.id },
+      makerMarketFee: { amount: 0, asset_id: BTS.id },
+      takerMarketFee: { amount: 0, asset_id: USD.id },
+      priceImpact: 0.9902
+    });
+  });
+
+  test('works in both directions', () => {
+    // 50 USD into the pool: ⌈5e16 / 50500000⌉ = 990099010 BTS left
+    const quote = LiquidityPools.quote(pool({ taker_fee_percent: 0 }), USD.id, 500000, ASSETS);
+    expect(quote.receive).toEqual({ amount: 9900990, asset_id: BTS.id });
+    expect(quote.priceImpact).toBeCloseTo(0.99, 2);
+  });
+
+  test('charges the market fees of both assets', () => {
+    const assets = withUsdFees();
+    // Buying USD: 0.5% taker market fee on the 493564 the pool pays
+    const buy = LiquidityPools.quote(pool(), BTS.id, 10000000, assets);
+    expect(buy.takerMarketFee).toEqual({ amount: 2467, asset_id: USD.id });
+    expect(buy.receive.amount).toBe(493564 - 2467);
+
+    // Selling USD: 1% maker market fee before the pool sees it
+    const sell = LiquidityPools.quote(pool({ taker_fee_percent: 0 }), USD.id, 500000, assets);
+    expect(sell.makerMarketFee).toEqual({ amount: 5000, asset_id: USD.id });
+    expect(sell.receive.amount).toBe(LiquidityPools.quote(pool({ taker_fee_percent: 0 }), USD.id, 495000, ASSETS).receive.amount);
+  });
+
+  test('caps market fees at max_market_fee and skips assets that do not charge them', () => {
+    expect(LiquidityPools.quote(pool(), BTS.id, 10000000, withUsdFees({ max_market_fee: 1000 })).takerMarketFee.amount)
+      .toBe(1000);
+    expect(LiquidityPools.quote(pool(), BTS.id, 10000000, withUsdFees({ flags: 0 })).takerMarketFee.amount)
+      .toBe(0);
+    // Without a taker_fee_percent the taker side pays market_fee_percent
+    expect(LiquidityPools.quote(pool(), BTS.id, 10000000, withUsdFees({ extensions: {} })).takerMarketFee.amount)
+      .toBe(4935);
+  });
+
+  test('price impact grows with the trade size', () => {
+    const small = LiquidityPools.quote(pool(), BTS.id, 100000, ASSETS).priceImpact;
+    const large = LiquidityPools.quote(pool(), BTS.id, 500000000, ASSETS).priceImpact;
+    expect(small).toBeLessThan(0.05);
+    expect(large).toBeCloseTo(33.33, 1);
+  });
+
+  test('rejects amounts the pool cannot pay for', () => {
+    expect(() => LiquidityPools.quote(pool(), BTS.id, 1, ASSETS)).toThrow('Swap amount too small for this pool');
+    expect(() => LiquidityPools.quote(pool({ balance_b: 0 }), BTS.id, 100000, ASSETS)).toThrow('Pool 1.19.1 is empty');
+    expect(() => LiquidityPools.quote(pool(), '1.3.9', 100000, ASSETS)).toThrow('Pool 1.19.1 does not hold 1.3.9');
+    expect(() => LiquidityPools.quote(pool(), BTS.id, 0, ASSETS)).toThrow('Amount must be a positive number');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// bestQuote
+// ---------------------------------------------------------------------------
+describe('LiquidityPools.bestQuote()', () => {
+  // Same price: one deep pool with a fee, one shallow pool without
+  const deep = pool({ id: '1.19.1' });
+  const shallow = pool({ id: '1.19.2', balance_a: 100000000, balance_b: 5000000, taker_fee_percent: 0 });
+
+  test('a small amount goes to the pool without a fee', () => {
+    expect(LiquidityPools.bestQuote([deep, shallow], BTS.id, 100000, ASSETS)).toMatchObject({
+      pool: '1.19.2',
+      receive: { amount: 4995 }
+    });
+  });
+
+  test('a large amount goes to the deep pool', () => {
+    expect(LiquidityPools.bestQuote([deep, shallow], BTS.id, 10000000, ASSETS)).toMatchObject({
+      pool: '1.19.1',
+      receive: { amount: 493564 }
+    });
+  });
+
+  test('skips pools that cannot pay and reports why when none can', () => {
+    const empty = pool({ id: '1.19.3', balance_a: 0 });
+    expect(LiquidityPools.bestQuote([empty, deep], BTS.id, 100000, ASSETS).pool).toBe('1.19.1');
+    expect(() => LiquidityPools.bestQuote([empty], BTS.id, 100000, ASSETS)).toThrow('Pool 1.19.3 is empty');
+    expect(() => LiquidityPools.bestQuote([], BTS.id, 100000, ASSETS)).toThrow('No liquidity pool for this pair');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// amountToSellFor
+// ---------------------------------------------------------------------------
+describe('LiquidityPools.amountToSellFor()', () => {
+  const received = (amount, assets) => {
+    try {
+      return LiquidityPools.quote(pool(), BTS.id, amount, assets).receive.amount;
+    } catch {
+      return 0;
+    }
+  };
+
+  test('the smallest amount that receives the target', () => {
+    for (const target of [1, 4985, 493564, 10000000]) {
+      const amount = LiquidityPools.amountToSellFor(pool(), BTS.id, target, withUsdFees());
+      expect(received(amount, withUsdFees())).toBeGreaterThanOrEqual(target);
+      expect(received(amount - 1, withUsdFees())).toBeLessThan(target);
+    }
+    // Selling 10 base units less still rounds to the same payout
+    expect(LiquidityPools.amountToSellFor(pool(), BTS.id, 493564, ASSETS)).toBe(9999990);
+  });
+
+  test('rejects more than the pool holds', () => {
+    expect(() => LiquidityPools.amountToSellFor(pool(), BTS.id, 50000000, ASSETS))
+      .toThrow('Not enough liquidity in pool 1.19.1');
+    expect(() => LiquidityPools.amountToSellFor(pool(), BTS.id, 0, ASSETS)).toThrow('Amount must be a positive number');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// minToReceive / swapSlippage
+// ---------------------------------------------------------------------------
+describe('LiquidityPools.minToReceive()', () => {
+  test('takes the tolerance off, rounded down', () => {
+    expect(LiquidityPools.minToReceive(493564, 0.5)).toBe(491096);
+    expect(LiquidityPools.minToReceive(493564, 1)).toBe(488628);
+    expect(LiquidityPools.minToReceive(493564, 0)).toBe(493564);
+    expect(LiquidityPools.minToReceive(493564, '0.25')).toBe(492330);
+  });
+
+  test('never asks for less than one base unit', () => {
+    expect(LiquidityPools.minToReceive(1, 1)).toBe(1);
+  });
+
+  test('rejects tolerances out of range', () => {
+    expect(() => LiquidityPools.minToReceive(1000, 51)).toThrow('Slippage must be between 0 and 50%');
+    expect(() => LiquidityPools.minToReceive(1000, -1)).toThrow('Slippage must be between 0 and 50%');
+    expect(() => LiquidityPools.minToReceive(1000, 'x')).toThrow('Slippage must be between 0 and 50%');
+  });
+});
+
+describe('swapSlippage()', () => {
+  test('the stored tolerance, or the default', () => {
+    expect(swapSlippage(0.5)).toBe(0.5);
+    expect(swapSlippage('2')).toBe(2);
+    expect(swapSlippage(0)).toBe(0);
+    expect(swapSlippage(undefined)).toBe(DEFAULT_SLIPPAGE);
+    expect(swapSlippage(null)).toBe(DEFAULT_SLIPPAGE);
+    expect(swapSlippage(-1)).toBe(DEFAULT_SLIPPAGE);
+    expect(swapSlippage(60)).toBe(DEFAULT_SLIPPAGE);
+  });
+});
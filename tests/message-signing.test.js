@@ -0,0 +1,169 @@
+/**
+ * Tests for src/lib/message-signing.js
+ *
+ * Coverage:
+ *  - canonicalText(payload)  — stable line layout
+ *  - sign(fields, wif)       — envelope shape
+ *  - verify(envelope, opts)  — valid envelope, tampering, wrong key, chain id,
+ *                              expiry, future timestamps, on-chain authority lookup
+ *  - findKeyAuthority()      — memo / active / owner / none
+ */
+
+import { MessageSigning, SIGNED_MESSAGE_TYPE } from '../src/lib/message-signing.js';
+import { CryptoUtils } from '../src/lib/crypto-utils.js';
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+const CHAIN_ID = '4018d7844c78f6a6c41c6a552b898022310fc5dec06da467ee7905a8dad512c8';
+const SIGNED_AT = new Date('2026-01-01T00:00:00.000Z');
+
+let keys;       // { active, owner, memo } for 'alice'
+let otherKeys;  // keys for an unrelated account
+
+beforeAll(async () => {
+  keys = await CryptoUtils.generateKeysFromPassword('alice', 'alice-password-123');
+  otherKeys = await CryptoUtils.generateKeysFromPassword('mallory', 'mallory-password-123');
+});
+
+function aliceAccount() {
+  return {
+    name: 'alice',
+    id: '1.2.100',
+    options: { memo_key: keys.memo.publicKey },
+    active: { weight_threshold: 1, key_auths: [[keys.active.publicKey, 1]] },
+    owner: { weight_threshold: 1, key_auths: [[keys.owner.publicKey, 1]] }
+  };
+}
+
+async function signAs(keyPair, message = 'Sign in to example.com\nnonce: 8f2c') {
+  return MessageSigning.sign({
+    account: 'alice',
+    publicKey: keyPair.publicKey,
+    chainId: CHAIN_ID,
+    message
+  }, keyPair.privateKey, SIGNED_AT);
+}
+
+// ---------------------------------------------------------------------------
+// canonicalText / sign
+// ---------------------------------------------------------------------------
+describe('MessageSigning.sign()', () => {
+  test('canonical text lists header fields before the message', () => {
+    const text = MessageSigning.canonicalText({
+      account: 'alice',
+      publicKey: 'BTS1',
+      chainId: 'abc',
+      timestamp: '2026-01-01T00:00:00.000Z',
+      message: 'hi'
+    });
+    expect(text).toBe(
+      'BitShares Signed Message\nversion: 1\naccount: alice\npublicKey: BTS1\n' +
+      'chainId: abc\ntimestamp: 2026-01-01T00:00:00.000Z\n\nhi'
+    );
+  });
+
+  test('returns a versioned envelope with a 65-byte hex signature', async () => {
+    const env = await signAs(keys.memo);
+    expect(env.type).toBe(SIGNED_MESSAGE_TYPE);
+    expect(env.version).toBe(1);
+    expect(env.payload).toEqual({
+      account: 'alice',
+      publicKey: keys.memo.publicKey,
+      timestamp: '2026-01-01T00:00:00.000Z',
+      chainId: CHAIN_ID,
+      message: 'Sign in to example.com\nnonce: 8f2c'
+    });
+    expect(env.signature).toMatch(/^[0-9a-f]{130}$/);
+  });
+}, 60000);
+
+// ---------------------------------------------------------------------------
+// verify
+// ---------------------------------------------------------------------------
+describe('MessageSigning.verify()', () => {
+  test('accepts an envelope signed with the memo key', async () => {
+    const env = await signAs(keys.memo);
+    const result = await MessageSigning.verify(env, { account: aliceAccount() });
+    expect(result.valid).toBe(true);
+    expect(result.authority).toBe('memo');
+  });
+
+  test('accepts the JSON string form and active-key signatures', async () => {
+    const env = await signAs(keys.active);
+    const result = await MessageSigning.verify(JSON.stringify(env), { account: aliceAccount() });
+    expect(result.valid).toBe(true);
+    expect(result.authority).toBe('active');
+  });
+
+  test('rejects a tampered message', async () => {
+    const env = await signAs(keys.memo);
+    env.payload.message = 'Sign in to evil.com';
+    const result = await MessageSigning.verify(env, { account: aliceAccount() });
+    expect(result.valid).toBe(false);
+  });
+
+  test('rejects a key that is not an authority of the account', async () => {
+    const env = await signAs(otherKeys.memo);
+    const result = await MessageSigning.verify(env, { account: aliceAccount() });
+    expect(result.valid).toBe(false);
+    expect(result.error).toMatch(/not an authority/);
+  });
+
+  test('rejects an envelope signed for another chain', async () => {
+    const env = await signAs(keys.memo);
+    const result = await MessageSigning.verify(env, {
+      account: aliceAccount(),
+      chainId: '39f5e2ede1f8bc1a3a54a7914414e3779e33193f1f5693510e73cb7a87617447'
+    });
+    expect(result.valid).toBe(false);
+    expect(result.error).toMatch(/different chain/);
+  });
+
+  test('rejects an envelope older than maxAgeMs', async () => {
+    const env = await signAs(keys.memo);
+    const result = await MessageSigning.verify(env, {
+      account: aliceAccount(),
+      maxAgeMs: 5 * 60 * 1000,
+      now: new Date('2026-01-01T00:10:00.000Z')
+    });
+    expect(result.valid).toBe(false);
+    expect(result.error).toMatch(/expired/);
+  });
+
+  test('rejects an envelope dated in the future beyond the clock skew allowance', async () => {
+    const env = await signAs(keys.memo);
+    const verifyAt = now => MessageSigning.verify(env, {
+      account: aliceAccount(),
+      maxAgeMs: 5 * 60 * 1000,
+      now: new Date(now)
+    });
+    await expect(verifyAt('2025-12-31T23:59:30.000Z')).resolves.toMatchObject({ valid: true });
+    const result = await verifyAt('2025-12-31T23:55:00.000Z');
+    expect(result.valid).toBe(false);
+    expect(result.error).toMatch(/future/);
+  });
+
+  test('looks the account up through the api when none is given', async () => {
+    const env = await signAs(keys.owner);
+    const api = { getAccount: jest.fn(async () => aliceAccount()) };
+    const result = await MessageSigning.verify(env, { api });
+    expect(api.getAccount).toHaveBeenCalledWith('alice');
+    expect(result.valid).toBe(true);
+    expect(result.authority).toBe('owner');
+  });
+
+  test('rejects envelopes that are not signed messages', async () => {
+    expect((await MessageSigning.verify('not json')).valid).toBe(false);
+    expect((await MessageSigning.verify({ type: 'other' })).valid).toBe(false);
+  });
+}, 60000);
+
+// ---------------------------------------------------------------------------
+// findKeyAuthority
+// ---------------------------------------------------------------------------
+describe('MessageSigning.findKeyAuthority()', () => {
+  test('returns null for an unknown key', () => {
+    expect(MessageSigning.findKeyAuthority(aliceAccount(), otherKeys.active.publicKey)).toBeNull();
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Tests for src/lib/networks.js
+ *
+ * Coverage:
+ *  - validateCustomNetwork() — required fields, normalization, rejected values
+ *  - networkIdFromName()     — display name → network id
+ *  - save / list / get / remove user-defined networks in chrome.storage.local
+ *  - getKeyPrefix()          — built-in, custom and unknown networks
+ */
+
+import {
+  BUILTIN_NETWORKS,
+  CUSTOM_NETWORKS_KEY,
+  validateCustomNetwork,
+  networkIdFromName,
+  saveCustomNetwork,
+  removeCustomNetwork,
+  listNetworks,
+  getNetwork,
+  getKeyPrefix
+} from '../src/lib/networks.js';
+
+const CHAIN_ID = 'AB'.repeat(32);
+
+function devnet(overrides = {}) {
+  return {
+    id: 'devnet',
+    name: ' Local Devnet ',
+    chainId: CHAIN_ID,
+    keyPrefix: 'DEV',
+    nodes: ['ws://127.0.0.1:8090', ' ws://127.0.0.1:8090 ', 'wss://dev.example/ws'],
+    ...overrides
+  };
+}
+
+beforeEach(() => {
+  chrome.__resetStorage();
+});
+
+// ---------------------------------------------------------------------------
+// validateCustomNetwork
+// ---------------------------------------------------------------------------
+describe('validateCustomNetwork()', () => {
+  test('normalizes a network and fills in defaults', () => {
+    expect(validateCustomNetwork(devnet({ explorerUrl: 'https://explorer.dev.example/' }))).toEqual({
+      id: 'devnet',
+      name: 'Local Devnet',
+      label: 'Local Devnet',
+      chainId: 'ab'.repeat(32),
+      keyPrefix: 'DEV',
+      coreSymbol: 'DEV',
+      nodes: ['ws://127.0.0.1:8090', 'wss://dev.example/ws'],
+      faucetUrl: null,
+      explorerUrl: 'https://explorer.dev.example',
+      custom: true
+    });
+  });
+
+  test('rejects missing or malformed fields', () => {
+    expect(() => validateCustomNetwork(devnet({ name: '' }))).toThrow('Network name is required');
+    expect(() => validateCustomNetwork(devnet({ id: 'testnet' }))).toThrow('"testnet" is a built-in network');
+    expect(() => validateCustomNetwork(devnet({ id: 'my net' }))).toThrow('Network id must be');
+    expect(() => validateCustomNetwork(devnet({ keyPrefix: 'dev' }))).toThrow('Key prefix must be 1-12 uppercase letters');
+    expect(() => validateCustomNetwork(devnet({ chainId: 'abc' }))).toThrow('Chain id must be 64 hex characters');
+    expect(() => validateCustomNetwork(devnet({ nodes: [] }))).toThrow('At least one node URL is required');
+    expect(() => validateCustomNetwork(devnet({ nodes: ['https://node'] }))).toThrow('Invalid node URL: https://node');
+    expect(() => validateCustomNetwork(devnet({ faucetUrl: 'ftp://faucet' }))).toThrow('Faucet URL must start with');
+    expect(() => validateCustomNetwork(devnet({ explorerUrl: 'http://explorer' }))).toThrow('Explorer URL must start with https://');
+  });
+
+  test('a chain id is optional', () => {
+    expect(validateCustomNetwork(devnet({ chainId: '' })).chainId).toBeNull();
+  });
+});
+
+describe('networkIdFromName()', () => {
+  test('turns a display name into a lowercase slug', () => {
+    expect(networkIdFromName('  My Private Chain #2 ')).toBe('my-private-chain-2');
+    expect(networkIdFromName('')).toBe('');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Storage
+// ---------------------------------------------------------------------------
+describe('user-defined networks in storage', () => {
+  test('are listed after the built-in networks and found by id', async () => {
+    const saved = await saveCustomNetwork(devnet());
+    expect(saved.custom).toBe(true);
+
+    const networks = await listNetworks();
+    expect(networks.map(n => n.id)).toEqual(['mainnet', 'testnet', 'devnet']);
+    await expect(getNetwork('devnet')).resolves.toEqual(saved);
+    await expect(getNetwork('testnet')).resolves.toBe(BUILTIN_NETWORKS.testnet);
+    await expect(getNetwork('gone')).resolves.toBeNull();
+  });
+
+  test('saving the same id replaces the network; removing deletes it', async () => {
+    await saveCustomNetwork(devnet());
+    await saveCustomNetwork(devnet({ name: 'Renamed' }));
+    const stored = (await chrome.storage.local.get([CUSTOM_NETWORKS_KEY]))[CUSTOM_NETWORKS_KEY];
+    expect(stored.map(n => n.name)).toEqual(['Renamed']);
+
+    await removeCustomNetwork('devnet');
+    await expect(getNetwork('devnet')).resolves.toBeNull();
+  });
+
+  test('getKeyPrefix() knows every network and defaults to BTS', async () => {
+    await saveCustomNetwork(devnet());
+    await expect(getKeyPrefix('mainnet')).resolves.toBe('BTS');
+    await expect(getKeyPrefix('testnet')).resolves.toBe('TEST');
+    await expect(getKeyPrefix('devnet')).resolves.toBe('DEV');
+    await expect(getKeyPrefix('gone')).resolves.toBe('BTS');
+  });
+});
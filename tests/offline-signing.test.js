@@ -0,0 +1,131 @@
+/**
+ * Tests for src/lib/offline-signing.js
+ *
+ * Coverage:
+ *  - create(tx, meta)         — unsigned envelope shape
+ *  - parse(input, type)       — JSON / object / QR text input, validation errors
+ *  - isExpired(envelope)      — expiration is chain time (UTC)
+ *  - toQrFrames/fromQrFrames  — round trip, any order, missing frames
+ */
+
+import {
+  OfflineTransaction,
+  UNSIGNED_TX_TYPE,
+  SIGNED_TX_TYPE
+} from '../src/lib/offline-signing.js';
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+const CHAIN_ID = '4018d7844c78f6a6c41c6a552b898022310fc5dec06da467ee7905a8dad512c8';
+
+function preparedTx() {
+  return {
+    ref_block_num: 4660,
+    ref_block_prefix: 2882343476,
+    expiration: '2026-01-01T01:00:00',
+    operations: [[0, {
+      fee: { amount: 86869, asset_id: '1.3.0' },
+      from: '1.2.100',
+      to: '1.2.200',
+      amount: { amount: 150000000, asset_id: '1.3.0' },
+      extensions: []
+    }]],
+    extensions: [],
+    signatures: []
+  };
+}
+
+function unsigned() {
+  return OfflineTransaction.create(preparedTx(), {
+    chainId: CHAIN_ID,
+    account: { id: '1.2.100', name: 'cold-alice', watchOnly: true },
+    requiredKeys: ['BTS6MRyAjQq8ud7hVNYcfnVPJqcVpscN5So8BhtHuGYqET5GDW5CV']
+  });
+}
+
+// ---------------------------------------------------------------------------
+// create / parse
+// ---------------------------------------------------------------------------
+describe('OfflineTransaction.parse()', () => {
+  test('create() builds a versioned unsigned envelope', () => {
+    const env = unsigned();
+    expect(env.type).toBe(UNSIGNED_TX_TYPE);
+    expect(env.version).toBe(1);
+    expect(env.account).toEqual({ id: '1.2.100', name: 'cold-alice' });
+    expect(env.transaction.signatures).toEqual([]);
+  });
+
+  test('accepts JSON text and objects', () => {
+    const env = unsigned();
+    expect(OfflineTransaction.parse(JSON.stringify(env))).toEqual(env);
+    expect(OfflineTransaction.parse(env, UNSIGNED_TX_TYPE)).toBe(env);
+  });
+
+  test('accepts QR frame text, one frame per line', () => {
+    const env = unsigned();
+    const text = OfflineTransaction.toQrFrames(env).join('\n');
+    expect(OfflineTransaction.parse(text)).toEqual(env);
+  });
+
+  test('rejects the wrong stage', () => {
+    expect(() => OfflineTransaction.parse(unsigned(), SIGNED_TX_TYPE)).toThrow('not been signed');
+    const signed = { ...unsigned(), type: SIGNED_TX_TYPE };
+    signed.transaction = { ...signed.transaction, signatures: ['1f00'] };
+    expect(() => OfflineTransaction.parse(signed, UNSIGNED_TX_TYPE)).toThrow('already signed');
+  });
+
+  test('rejects malformed input', () => {
+    expect(() => OfflineTransaction.parse('{oops')).toThrow('Not a valid JSON');
+    expect(() => OfflineTransaction.parse({ type: 'other' })).toThrow('Not an offline');
+    expect(() => OfflineTransaction.parse({ ...unsigned(), version: 2 })).toThrow('Unsupported');
+    expect(() => OfflineTransaction.parse({ ...unsigned(), chainId: 'abc' })).toThrow('chain id');
+    const noOps = unsigned();
+    noOps.transaction.operations = [];
+    expect(() => OfflineTransaction.parse(noOps)).toThrow('incomplete');
+    const unsignedAsSigned = { ...unsigned(), type: SIGNED_TX_TYPE };
+    expect(() => OfflineTransaction.parse(unsignedAsSigned)).toThrow('no signatures');
+  });
+
+  test('isExpired() compares against the UTC expiration', () => {
+    const env = unsigned();
+    expect(OfflineTransaction.isExpired(env, new Date('2026-01-01T00:59:59Z'))).toBe(false);
+    expect(OfflineTransaction.isExpired(env, new Date('2026-01-01T01:00:00Z'))).toBe(true);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// QR frames
+// ---------------------------------------------------------------------------
+describe('OfflineTransaction QR frames', () => {
+  test('frames use only QR alphanumeric characters and stay small', () => {
+    const frames = OfflineTransaction.toQrFrames(unsigned(), 90);
+    expect(frames.length).toBeGreaterThan(1);
+    for (const [i, frame] of frames.entries()) {
+      expect(frame.startsWith(`BTSTX:${i + 1}/${frames.length}:`)).toBe(true);
+      expect(frame).toMatch(/^[0-9A-Z $%*+\-./:]+$/);
+      expect(frame.length).toBeLessThanOrEqual(106);
+    }
+  });
+
+  test('reassembles frames in any order, ignoring duplicates', () => {
+    const env = unsigned();
+    const frames = OfflineTransaction.toQrFrames(env, 40);
+    const shuffled = [...frames].reverse();
+    shuffled.push(frames[0]);
+    expect(OfflineTransaction.fromQrFrames(shuffled)).toEqual(env);
+  });
+
+  test('round-trips non-ASCII text', () => {
+    const env = unsigned();
+    env.account.name = 'kälte-🧊';
+    expect(OfflineTransaction.fromQrFrames(OfflineTransaction.toQrFrames(env))).toEqual(env);
+  });
+
+  test('reports missing and foreign frames', () => {
+    const frames = OfflineTransaction.toQrFrames(unsigned(), 40);
+    expect(() => OfflineTransaction.fromQrFrames(frames.slice(1))).toThrow('Missing QR codes: 1 of');
+    expect(() => OfflineTransaction.fromQrFrames([frames[0], 'BTSTX:1/99:AB'])).toThrow('different transactions');
+    expect(() => OfflineTransaction.fromQrFrames(['hello'])).toThrow('Not a BitShares');
+  });
+});
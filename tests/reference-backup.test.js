@@ -0,0 +1,103 @@
+/**
+ * Tests for src/lib/reference-backup.js and src/lib/lzma.js
+ *
+ * Coverage:
+ *  - lzmaDecompress()          — known and unknown (end marker) sizes, bad input
+ *  - decryptReferenceBackup()  — a reference wallet .bin, wrong password, other files
+ *  - referenceBackupKeys()     — every key once, in the requested prefix, key checks
+ */
+
+import { lzmaDecompress } from '../src/lib/lzma.js';
+import { decryptReferenceBackup, referenceBackupKeys } from '../src/lib/reference-backup.js';
+import { hexToBytes, base64ToBytes } from '../src/lib/crypto-utils.js';
+import {
+  REFERENCE_BACKUP,
+  REFERENCE_BACKUP_PASSWORD,
+  REFERENCE_BACKUP_KEYS
+} from './fixtures/reference-wallet.js';
+
+// 'hello hello hello' as written by `xz --format=lzma`, with the size in the
+// header and with an end marker instead
+const HELLO_SIZED = '5d00000100110000000000000000341949ee8de94f7f35c5a3ffff78a40000';
+const HELLO_END_MARKER = '5d00000100ffffffffffffffff00341949ee8de94f7f35c5a3ffff78a40000';
+
+const text = (bytes) => new TextDecoder().decode(bytes);
+
+// ---------------------------------------------------------------------------
+// lzmaDecompress
+// ---------------------------------------------------------------------------
+describe('lzmaDecompress()', () => {
+  test('decodes streams with a known size or an end marker', () => {
+    expect(text(lzmaDecompress(hexToBytes(HELLO_SIZED)))).toBe('hello hello hello');
+    expect(text(lzmaDecompress(hexToBytes(HELLO_END_MARKER)))).toBe('hello hello hello');
+  });
+
+  test('rejects data that is not LZMA or is cut short', () => {
+    expect(() => lzmaDecompress(new Uint8Array(5))).toThrow('Not LZMA data');
+    expect(() => lzmaDecompress(hexToBytes('ff' + HELLO_SIZED.slice(2)))).toThrow('Not LZMA data');
+    expect(() => lzmaDecompress(hexToBytes(HELLO_SIZED.slice(0, 44)))).toThrow('LZMA data is truncated');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// decryptReferenceBackup
+// ---------------------------------------------------------------------------
+describe('decryptReferenceBackup()', () => {
+  test('returns the wallet JSON of a reference wallet backup', async () => {
+    const backup = await decryptReferenceBackup(base64ToBytes(REFERENCE_BACKUP), REFERENCE_BACKUP_PASSWORD);
+    expect(backup.wallet[0].public_name).toBe('default');
+    expect(backup.private_keys).toHaveLength(6);
+    expect(backup.linked_accounts.map(a => a.name)).toEqual(['alice', 'bob']);
+  });
+
+  test('rejects a wrong password', async () => {
+    await expect(decryptReferenceBackup(base64ToBytes(REFERENCE_BACKUP), 'not the password'))
+      .rejects.toThrow('Wrong backup password');
+  });
+
+  test('rejects files that are not backups', async () => {
+    await expect(decryptReferenceBackup(new TextEncoder().encode('{"wallet": []}'), REFERENCE_BACKUP_PASSWORD))
+      .rejects.toThrow('Not a BitShares wallet backup');
+    await expect(decryptReferenceBackup(new Uint8Array(10), REFERENCE_BACKUP_PASSWORD))
+      .rejects.toThrow('Not a BitShares wallet backup');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// referenceBackupKeys
+// ---------------------------------------------------------------------------
+describe('referenceBackupKeys()', () => {
+  let backup;
+
+  beforeAll(async () => {
+    backup = await decryptReferenceBackup(base64ToBytes(REFERENCE_BACKUP), REFERENCE_BACKUP_PASSWORD);
+  });
+
+  test('decrypts every key once', async () => {
+    const keys = await referenceBackupKeys(backup, REFERENCE_BACKUP_PASSWORD);
+    expect(keys).toEqual(Object.values(REFERENCE_BACKUP_KEYS));
+  });
+
+  test('gives the public keys the requested prefix', async () => {
+    const keys = await referenceBackupKeys(backup, REFERENCE_BACKUP_PASSWORD, 'TEST');
+    expect(keys[0].publicKey).toBe(REFERENCE_BACKUP_KEYS['alice-owner'].publicKey.replace(/^BTS/, 'TEST'));
+  });
+
+  test('skips keys that do not match their public key', async () => {
+    const tampered = {
+      ...backup,
+      private_keys: backup.private_keys.map((entry, i) =>
+        i === 0 ? { ...entry, pubkey: REFERENCE_BACKUP_KEYS.unused.publicKey } : entry)
+    };
+    const keys = await referenceBackupKeys(tampered, REFERENCE_BACKUP_PASSWORD);
+    expect(keys.map(k => k.publicKey)).not.toContain(REFERENCE_BACKUP_KEYS['alice-owner'].publicKey);
+    expect(keys).toHaveLength(4);
+  });
+
+  test('fails without keys or with the wrong password', async () => {
+    await expect(referenceBackupKeys({ wallet: backup.wallet, private_keys: [] }, REFERENCE_BACKUP_PASSWORD))
+      .rejects.toThrow('The backup holds no private keys');
+    await expect(referenceBackupKeys(backup, 'not the password'))
+      .rejects.toThrow('Could not decrypt the backup\'s keys');
+  });
+});
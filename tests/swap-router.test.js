@@ -0,0 +1,258 @@
+/**
+ * Tests for src/lib/swap-router.js
+ *
+ * Coverage:
+ *  - graph() / paths() / reachableAssets() — pools and order books as a trading graph, paths of up to three hops
+ *  - hopTolerance()                         — per-hop tolerances compounding to the overall slippage
+ *  - route() / bestRoute()                  — chained hops selling the previous hop's minimum, order book fills,
+ *                                             the venue and path that pay the most
+ *  - amountToSellFor()                      — smallest amount the best route turns into a target
+ *  - operations()                           — one liquidity_pool_exchange or fill-or-kill limit_order_create per hop
+ */
+
+import { SwapRouter } from '../src/lib/swap-router.js';
+import { LiquidityPools } from '../src/lib/liquidity-pools.js';
+
+const NO_FEES = { flags: 0, market_fee_percent: 0, extensions: {} };
+const BTS = { id: '1.3.0', symbol: 'BTS', precision: 5, options: NO_FEES };
+const USDT = { id: '1.3.1', symbol: 'USDT', precision: 4, options: NO_FEES };
+const HBTC = { id: '1.3.2', symbol: 'HBTC', precision: 8, options: NO_FEES };
+const CNY = { id: '1.3.3', symbol: 'CNY', precision: 4, options: NO_FEES };
+const ASSETS = new Map([BTS, USDT, HBTC, CNY].map(asset => [asset.id, asset]));
+
+const pool = (id, [assetA, balanceA], [assetB, balanceB], takerFee = 20) => ({
+  id,
+  asset_a: assetA.id,
+  asset_b: assetB.id,
+  balance_a: balanceA,
+  balance_b: balanceB,
+  taker_fee_percent: takerFee
+});
+
+// 5000 BTS / 100 USDT and 10000 BTS / 0.1 HBTC; no USDT/HBTC pool
+const USDT_BTS = pool('1.19.1', [BTS, 500000000], [USDT, 1000000]);
+const BTS_HBTC = pool('1.19.2', [BTS, 1000000000], [HBTC, 10000000]);
+
+/** An order selling `sell` of one asset for `receive` of another */
+const order = (id, [sellAsset, sell], [receiveAsset, receive]) => ({
+  id,
+  seller: '1.2.9',
+  for_sale: sell,
+  sell_price: {
+    base: { amount: sell, asset_id: sellAsset.id },
+    quote: { amount: receive, asset_id: receiveAsset.id }
+  }
+});
+
+// 100 BTS at 0.02 USDT each, then 100 BTS at 0.021
+const BTS_ASKS = [
+  order('1.7.1', [BTS, 10000000], [USDT, 2000]),
+  order('1.7.2', [BTS, 10000000], [USDT, 2100])
+];
+
+const best = (pools, orders, amount, slippage = 1) => {
+  const graph = SwapRouter.graph(pools, orders);
+  return SwapRouter.bestRoute(graph, SwapRouter.paths(graph, USDT.id, HBTC.id), amount, ASSETS, slippage);
+};
+
+// ---------------------------------------------------------------------------
+// graph / paths / reachableAssets
+// ---------------------------------------------------------------------------
+describe('SwapRouter.paths()', () => {
+  test('routes through the asset two pools share', () => {
+    const graph = SwapRouter.graph([USDT_BTS, BTS_HBTC]);
+    expect(SwapRouter.paths(graph, USDT.id, HBTC.id)).toEqual([[USDT.id, BTS.id, HBTC.id]]);
+    expect(SwapRouter.paths(graph, HBTC.id, USDT.id)).toEqual([[HBTC.id, BTS.id, USDT.id]]);
+  });
+
+  test('shortest first, no asset twice, at most three hops', () => {
+    const graph = SwapRouter.graph([
+      USDT_BTS,
+      BTS_HBTC,
+      pool('1.19.3', [USDT, 1000000], [HBTC, 100000]),
+      pool('1.19.4', [BTS, 100000000], [CNY, 1000000]),
+      pool('1.19.5', [HBTC, 100000], [CNY, 1000000])
+    ]);
+    expect(SwapRouter.paths(graph, USDT.id, HBTC.id)).toEqual([
+      [USDT.id, HBTC.id],
+      [USDT.id, BTS.id, HBTC.id],
+      [USDT.id, BTS.id, CNY.id, HBTC.id]
+    ]);
+    expect(SwapRouter.paths(graph, USDT.id, HBTC.id, 1)).toEqual([[USDT.id, HBTC.id]]);
+  });
+
+  test('skips empty pools and sells only into the side an order book buys', () => {
+    const graph = SwapRouter.graph([{ ...USDT_BTS, balance_b: 0 }, BTS_HBTC], BTS_ASKS);
+    // The asks sell BTS for USDT: USDT can be sold on them, BTS cannot
+    expect(SwapRouter.paths(graph, USDT.id, HBTC.id)).toEqual([[USDT.id, BTS.id, HBTC.id]]);
+    expect(SwapRouter.paths(graph, HBTC.id, USDT.id)).toEqual([]);
+  });
+
+  test('reachable assets within the hop limit', () => {
+    const graph = SwapRouter.graph([USDT_BTS, BTS_HBTC, pool('1.19.4', [HBTC, 100000], [CNY, 1000000])]);
+    expect([...SwapRouter.reachableAssets(graph, USDT.id)].sort()).toEqual([BTS.id, HBTC.id, CNY.id].sort());
+    expect([...SwapRouter.reachableAssets(graph, USDT.id, 2)].sort()).toEqual([BTS.id, HBTC.id].sort());
+  });
+});
+
+describe('SwapRouter.orderBookMarkets()', () => {
+  test('every pair of the two assets and the core asset', () => {
+    expect(SwapRouter.orderBookMarkets(USDT.id, HBTC.id)).toEqual([
+      [USDT.id, HBTC.id], [USDT.id, BTS.id], [HBTC.id, BTS.id]
+    ]);
+    expect(SwapRouter.orderBookMarkets(USDT.id, BTS.id)).toEqual([[USDT.id, BTS.id]]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// hopTolerance
+// ---------------------------------------------------------------------------
+describe('SwapRouter.hopTolerance()', () => {
+  test('compounds to the overall slippage', () => {
+    expect(SwapRouter.hopTolerance(1, 1)).toBe(10000n);
+    expect(SwapRouter.hopTolerance(1, 2)).toBe(5012n);
+    expect(SwapRouter.hopTolerance(1, 3)).toBe(3344n);
+    expect(SwapRouter.hopTolerance(0, 3)).toBe(0n);
+    expect((1 - 3344 / 1e6) ** 3).toBeGreaterThanOrEqual(0.99);
+  });
+
+  test('rejects tolerances out of range', () => {
+    expect(() => SwapRouter.hopTolerance(-1, 2)).toThrow('Slippage must be between 0 and 100%');
+    expect(() => SwapRouter.hopTolerance(100, 2)).toThrow('Slippage must be between 0 and 100%');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// route / bestRoute
+// ---------------------------------------------------------------------------
+describe('SwapRouter.bestRoute()', () => {
+  test('each hop sells the least the hop before may deliver', () => {
+    const route = best([USDT_BTS, BTS_HBTC], [], 10000);
+    const first = LiquidityPools.quote(USDT_BTS, USDT.id, 10000, ASSETS);
+    // 1% over two hops: 0.5012% each
+    const firstMinimum = Math.floor(first.receive.amount * (1e6 - 5012) / 1e6);
+    const second = LiquidityPools.quote(BTS_HBTC, BTS.id, firstMinimum, ASSETS);
+
+    expect(route).toEqual({
+      path: [USDT.id, BTS.id, HBTC.id],
+      hops: [
+        {
+          type: 'pool',
+          pool: '1.19.1',
+          sell: { amount: 10000, asset_id: USDT.id },
+          receive: first.receive,
+          minToReceive: { amount: firstMinimum, asset_id: BTS.id },
+          priceImpact: first.priceImpact
+        },
+        {
+          type: 'pool',
+          pool: '1.19.2',
+          sell: { amount: firstMinimum, asset_id: BTS.id },
+          receive: second.receive,
+          minToReceive: { amount: 48575, asset_id: HBTC.id },
+          priceImpact: second.priceImpact
+        }
+      ],
+      sell: { amount: 10000, asset_id: USDT.id },
+      receive: { amount: 48820, asset_id: HBTC.id },
+      minReceive: { amount: 48575, asset_id: HBTC.id },
+      // The first hop's margin above its minimum stays in the account
+      leftovers: [{ amount: first.receive.amount - firstMinimum, asset_id: BTS.id }],
+      priceImpact: 1.4762
+    });
+  });
+
+  test('fills order books at each maker price', () => {
+    // 0.2 USDT buys the first 100 BTS, the last 0.1 USDT 47.61904 BTS at 0.021
+    const route = best([BTS_HBTC], BTS_ASKS, 3000);
+    expect(route.hops[0]).toEqual({
+      type: 'book',
+      sell: { amount: 3000, asset_id: USDT.id },
+      receive: { amount: 14761904, asset_id: BTS.id },
+      // No better than the worst ask: 0.3 USDT at 0.021, less 0.5012%
+      minToReceive: { amount: 14214114, asset_id: BTS.id },
+      priceImpact: 1.5873
+    });
+    expect(route.hops[1].sell).toEqual({ amount: 14214114, asset_id: BTS.id });
+    expect(route.leftovers).toEqual([{ amount: 14761904 - 14214114, asset_id: BTS.id }]);
+  });
+
+  test('takes the taker market fee of what a book hop receives', () => {
+    const assets = new Map(ASSETS).set(BTS.id, {
+      ...BTS,
+      options: { flags: 1, market_fee_percent: 100, max_market_fee: '1000000000000', extensions: {} }
+    });
+    const graph = SwapRouter.graph([], BTS_ASKS);
+    const route = SwapRouter.route(graph, [USDT.id, BTS.id], 2000, assets, 0);
+    expect(route.receive.amount).toBe(10000000 - 100000);
+    expect(route.minReceive.amount).toBe(10000000 - 100000);
+    expect(route.hops[0].minToReceive.amount).toBe(10000000);
+  });
+
+  test('each hop through the venue that pays the most', () => {
+    // The asks sell BTS cheaper than the pool for a small amount
+    expect(best([USDT_BTS, BTS_HBTC], BTS_ASKS, 1000).hops[0].type).toBe('book');
+    // More than the book holds goes to the pool
+    expect(best([USDT_BTS, BTS_HBTC], BTS_ASKS, 5000).hops[0]).toMatchObject({ type: 'pool', pool: '1.19.1' });
+  });
+
+  test('the path that pays the most', () => {
+    // A shallow direct pool loses to two deep hops for a large amount, wins for a small one
+    const direct = pool('1.19.3', [USDT, 10000], [HBTC, 60000], 0);
+    expect(best([USDT_BTS, BTS_HBTC, direct], [], 10000).path).toEqual([USDT.id, BTS.id, HBTC.id]);
+    expect(best([USDT_BTS, BTS_HBTC, direct], [], 10).path).toEqual([USDT.id, HBTC.id]);
+  });
+
+  test('reports why when no path works', () => {
+    expect(() => best([BTS_HBTC], [], 10000)).toThrow('No swap route for this pair');
+    // More USDT than the asks take
+    expect(() => best([BTS_HBTC], BTS_ASKS, 5000)).toThrow('Not enough orders on the 1.3.1/1.3.0 order book');
+  });
+});
+
+describe('SwapRouter.amountToSellFor()', () => {
+  const graph = SwapRouter.graph([USDT_BTS, BTS_HBTC]);
+  const paths = SwapRouter.paths(graph, USDT.id, HBTC.id);
+  const received = amount => SwapRouter.bestRoute(graph, paths, amount, ASSETS, 1).receive.amount;
+
+  test('the smallest amount the best route turns into the target', () => {
+    const amount = SwapRouter.amountToSellFor(graph, paths, 48820, ASSETS, 1);
+    expect(received(amount)).toBeGreaterThanOrEqual(48820);
+    expect(received(amount - 1)).toBeLessThan(48820);
+  });
+
+  test('rejects more than the route can deliver', () => {
+    expect(() => SwapRouter.amountToSellFor(graph, paths, 10000000, ASSETS, 1))
+      .toThrow('Not enough liquidity along any route');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// operations
+// ---------------------------------------------------------------------------
+describe('SwapRouter.operations()', () => {
+  test('one operation per hop, in order', () => {
+    const route = best([BTS_HBTC], BTS_ASKS, 3000);
+    const fee = { amount: 0, asset_id: USDT.id };
+    const [orderOp, exchangeOp] = SwapRouter.operations(route, '1.2.100', fee);
+
+    expect(orderOp).toEqual([1, {
+      fee,
+      seller: '1.2.100',
+      amount_to_sell: { amount: 3000, asset_id: USDT.id },
+      min_to_receive: { amount: 14214114, asset_id: BTS.id },
+      expiration: expect.stringMatching(/^\d{4}-\d\d-\d\dT\d\d:\d\d:\d\d$/),
+      fill_or_kill: true,
+      extensions: []
+    }]);
+    expect(exchangeOp).toEqual([63, {
+      fee,
+      account: '1.2.100',
+      pool: '1.19.2',
+      amount_to_sell: { amount: 14214114, asset_id: BTS.id },
+      min_to_receive: route.minReceive,
+      extensions: []
+    }]);
+    expect(orderOp[1].fee).not.toBe(exchangeOp[1].fee);
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Tests for src/lib/transaction-deserializer.js
+ *
+ * Coverage:
+ *  - deserializeOperationData() — round trip with serializeOperationData for
+ *                                 all 78 operations, with and without optionals
+ *  - deserializeTransaction()   — header, nested proposal ops, key prefix
+ *  - malformed input            — truncated data, trailing bytes, bad flags
+ */
+
+import { BitSharesAPI } from '../src/lib/bitshares-api.js';
+import { TransactionDeserializer } from '../src/lib/transaction-deserializer.js';
+import { bytesToHex } from '../src/lib/crypto-utils.js';
+import { OPERATIONS, OPERATION_VARIANTS, KEY_1 } from './fixtures/operations.js';
+
+const api = new BitSharesAPI(['wss://localhost/ws']);
+
+function transaction(operations) {
+  return {
+    ref_block_num: 4660,
+    ref_block_prefix: 2882343476,
+    expiration: '2026-01-01T01:00:00',
+    operations,
+    extensions: []
+  };
+}
+
+describe('deserializeOperationData()', () => {
+  test('fixtures cover every operation type', () => {
+    expect(OPERATIONS.map(([type]) => type)).toEqual([...Array(78).keys()]);
+  });
+
+  test.each(OPERATIONS)('op %i round-trips', (type, data) => {
+    const bytes = api.serializeOperationData(type, data);
+    const decoded = TransactionDeserializer.deserializeOperationData(type, bytes);
+    expect(decoded).toEqual(data);
+    expect(bytesToHex(api.serializeOperationData(type, decoded))).toBe(bytesToHex(bytes));
+  });
+
+  test.each(OPERATION_VARIANTS)('op %i round-trips without optional fields', (type, data) => {
+    const bytes = api.serializeOperationData(type, data);
+    const decoded = api.deserializeOperationData(type, bytes);
+    expect(decoded).toEqual(data);
+    expect(bytesToHex(api.serializeOperationData(type, decoded))).toBe(bytesToHex(bytes));
+  });
+
+  test('accepts hex input', () => {
+    const [type, data] = OPERATIONS[0];
+    const hex = bytesToHex(api.serializeOperationData(type, data));
+    expect(TransactionDeserializer.deserializeOperationData(type, hex)).toEqual(data);
+  });
+
+  test('shows the bytes, not the input: unsorted sets come back in signing order', () => {
+    const data = {
+      ...OPERATIONS[23][1],
+      active_approvals_to_add: ['1.2.200', '1.2.100']
+    };
+    const decoded = api.deserializeOperationData(23, api.serializeOperationData(23, data));
+    expect(decoded.active_approvals_to_add).toEqual(['1.2.100', '1.2.200']);
+  });
+
+  test('large int64 values are returned as strings', () => {
+    const decoded = api.deserializeOperationData(10, api.serializeOperationData(...OPERATIONS[10]));
+    expect(decoded.common_options.max_supply).toBe('1000000000000000000');
+  });
+});
+
+describe('deserializeTransaction()', () => {
+  test('decodes the header and every operation', () => {
+    const tx = transaction(OPERATIONS.map(([type, data]) => [type, data]));
+    const bytes = api.serializeTransaction(tx);
+    const decoded = api.deserializeTransaction(bytes);
+    expect(decoded).toEqual(tx);
+    expect(bytesToHex(api.serializeTransaction(decoded))).toBe(bytesToHex(bytes));
+  });
+
+  test('uses the requested public key prefix', () => {
+    const tx = transaction([OPERATIONS[0]]);
+    const decoded = api.deserializeTransaction(api.serializeTransaction(tx), 'TEST');
+    expect(decoded.operations[0][1].memo.from).toBe(KEY_1.replace(/^BTS/, 'TEST'));
+  });
+
+  test('rejects truncated data', () => {
+    const bytes = api.serializeTransaction(transaction([OPERATIONS[0]]));
+    expect(() => api.deserializeTransaction(bytes.slice(0, -5)))
+      .toThrow('Unexpected end of transaction data');
+  });
+
+  test('rejects trailing bytes', () => {
+    const bytes = api.serializeTransaction(transaction([OPERATIONS[0]]));
+    const padded = new Uint8Array([...bytes, 0]);
+    expect(() => api.deserializeTransaction(padded)).toThrow('trailing bytes');
+  });
+
+  test('rejects an invalid optional flag', () => {
+    const [type, data] = OPERATION_VARIANTS[0];
+    const bytes = api.serializeOperationData(type, data);
+    bytes[bytes.length - 2] = 2; // memo flag
+    expect(() => api.deserializeOperationData(type, bytes)).toThrow('Invalid optional flag 2');
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * Tests for src/lib/wallet-backup.js
+ *
+ * Coverage:
+ *  - encrypt() / parse() / decrypt() — round trip, wrong password, other files, newer versions
+ *  - conflicts()      — accounts, contacts and user-defined networks that disagree
+ *  - mergeSettings()  — lists, per-network nodes, maps and single values
+ */
+
+import {
+  WalletBackup,
+  WALLET_BACKUP_TYPE,
+  WALLET_BACKUP_VERSION
+} from '../src/lib/wallet-backup.js';
+
+const PASSWORD = 'backup password 123';
+
+const KEYS_A = { active: { privateKey: '5KeyA', publicKey: 'BTSA' } };
+const KEYS_B = { active: { privateKey: '5KeyB', publicKey: 'BTSB' } };
+
+function contents(overrides = {}) {
+  return {
+    wallet: { name: 'My Wallet', brainkey: 'WORDS', bitsharesAccountName: null, keys: KEYS_A },
+    accounts: [{ name: 'alice', id: '1.2.100', network: 'mainnet', watchOnly: false, keys: KEYS_A, addedAt: 1 }],
+    settings: { addressBook: [{ name: 'Bob', account: 'bob', addedAt: 1 }] },
+    ...overrides
+  };
+}
+
+// ---------------------------------------------------------------------------
+// encrypt / parse / decrypt
+// ---------------------------------------------------------------------------
+describe('WalletBackup file', () => {
+  let envelope;
+
+  beforeAll(async () => {
+    envelope = await WalletBackup.encrypt(contents(), PASSWORD, new Date('2026-01-02T03:04:05Z'));
+  });
+
+  test('round-trips through JSON', async () => {
+    expect(envelope).toMatchObject({
+      type: WALLET_BACKUP_TYPE,
+      version: WALLET_BACKUP_VERSION,
+      createdAt: '2026-01-02T03:04:05.000Z',
+      kdf: { name: 'PBKDF2-SHA256', iterations: 600000 }
+    });
+    expect(JSON.stringify(envelope)).not.toContain('5KeyA');
+
+    const parsed = WalletBackup.parse(JSON.stringify(envelope));
+    await expect(WalletBackup.decrypt(parsed, PASSWORD)).resolves.toEqual(contents());
+  });
+
+  test('rejects a wrong password', async () => {
+    await expect(WalletBackup.decrypt(envelope, 'not the password')).rejects.toThrow('Wrong backup password');
+  });
+
+  test('rejects other files and newer versions', () => {
+    expect(() => WalletBackup.parse('not json')).toThrow('Not a wallet backup file');
+    expect(() => WalletBackup.parse({ type: 'bitshares-unsigned-tx' })).toThrow('Not a wallet backup file');
+    expect(() => WalletBackup.parse({ ...envelope, version: WALLET_BACKUP_VERSION + 1 }))
+      .toThrow(`Unsupported backup version: ${WALLET_BACKUP_VERSION + 1}`);
+    expect(() => WalletBackup.parse({ ...envelope, kdf: {} })).toThrow('The backup file is damaged');
+  });
+
+  test('requires a backup password', async () => {
+    await expect(WalletBackup.encrypt(contents(), '')).rejects.toThrow('Backup password is required');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// conflicts
+// ---------------------------------------------------------------------------
+describe('WalletBackup.conflicts()', () => {
+  const current = (overrides = {}) => ({
+    accounts: [{ name: 'alice', id: '1.2.100', network: 'mainnet', watchOnly: false, keys: KEYS_A }],
+    settings: { addressBook: [{ name: 'Bob', account: 'BOB' }] },
+    ...overrides
+  });
+
+  test('none when the backup matches or only adds', () => {
+    const backup = contents({
+      accounts: [
+        ...contents().accounts,
+        { name: 'carol', id: '1.2.102', network: 'mainnet', watchOnly: true, keys: null }
+      ]
+    });
+    expect(WalletBackup.conflicts(backup, current())).toEqual([]);
+  });
+
+  test('accounts with other keys or on another network', () => {
+    const backup = contents({
+      accounts: [
+        { name: 'alice', id: '1.2.100', network: 'mainnet', watchOnly: false, keys: KEYS_B },
+        { name: 'dave', id: '1.2.103', network: 'testnet', watchOnly: false, keys: KEYS_A }
+      ]
+    });
+    const wallet = current();
+    wallet.accounts.push({ name: 'dave', id: '1.2.103', network: 'mainnet', watchOnly: false, keys: KEYS_A });
+    expect(WalletBackup.conflicts(backup, wallet)).toEqual([
+      { kind: 'account', id: '1.2.100', name: 'alice' },
+      { kind: 'account', id: '1.2.103', name: 'dave' }
+    ]);
+  });
+
+  test('watch-only accounts never conflict', () => {
+    const wallet = current({ accounts: [{ name: 'alice', id: '1.2.100', network: 'mainnet', watchOnly: true, keys: null }] });
+    expect(WalletBackup.conflicts(contents(), wallet)).toEqual([]);
+  });
+
+  test('contacts under another name and networks on another chain', () => {
+    const backup = contents({
+      settings: {
+        addressBook: [{ name: 'Robert', account: 'bob' }],
+        customNetworks: [{ id: 'devnet', name: 'Devnet', chainId: 'ab'.repeat(32), keyPrefix: 'DEV' }]
+      }
+    });
+    const wallet = current();
+    wallet.settings.customNetworks = [{ id: 'devnet', name: 'Devnet', chainId: 'cd'.repeat(32), keyPrefix: 'DEV' }];
+    expect(WalletBackup.conflicts(backup, wallet)).toEqual([
+      { kind: 'contact', id: 'bob', name: 'Robert' },
+      { kind: 'network', id: 'devnet', name: 'Devnet' }
+    ]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// mergeSettings
+// ---------------------------------------------------------------------------
+describe('WalletBackup.mergeSettings()', () => {
+  const current = {
+    addressBook: [{ name: 'Bob', account: 'bob' }],
+    favouriteAssets: ['1.3.0'],
+    customNodes: ['wss://mine.example/ws'],
+    explorerUrl: 'https://mine.example',
+    activeAccountPerNetwork: { mainnet: '1.2.100' }
+  };
+  const backup = {
+    addressBook: [{ name: 'Robert', account: 'BOB' }, { name: 'Carol', account: 'carol' }],
+    favouriteAssets: ['1.3.0', '1.3.121'],
+    customNodes: { mainnet: ['wss://mine.example/ws', 'wss://theirs.example/ws'], testnet: ['wss://test.example/ws'] },
+    explorerUrl: 'https://theirs.example',
+    preferredNode: 'wss://theirs.example/ws',
+    activeAccountPerNetwork: { mainnet: '1.2.200', testnet: '1.2.300' },
+    encryptedSessionData: 'never restored'
+  };
+
+  test('combines lists and maps; the current value wins by default', () => {
+    expect(WalletBackup.mergeSettings(current, backup)).toEqual({
+      addressBook: [{ name: 'Bob', account: 'bob' }, { name: 'Carol', account: 'carol' }],
+      favouriteAssets: ['1.3.0', '1.3.121'],
+      customNodes: { mainnet: ['wss://mine.example/ws', 'wss://theirs.example/ws'], testnet: ['wss://test.example/ws'] },
+      explorerUrl: 'https://mine.example',
+      preferredNode: 'wss://theirs.example/ws',
+      activeAccountPerNetwork: { mainnet: '1.2.100', testnet: '1.2.300' }
+    });
+  });
+
+  test('the backup wins when preferred', () => {
+    const merged = WalletBackup.mergeSettings(current, backup, true);
+    expect(merged.addressBook).toEqual([{ name: 'Robert', account: 'BOB' }, { name: 'Carol', account: 'carol' }]);
+    expect(merged.explorerUrl).toBe('https://theirs.example');
+    expect(merged.activeAccountPerNetwork).toEqual({ mainnet: '1.2.200', testnet: '1.2.300' });
+  });
+});
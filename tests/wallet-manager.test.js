@@ -4,15 +4,38 @@
  * Coverage:
  *  - hasWallet()       — false when storage empty, true after wallet saved
  *  - createWallet()    — creates wallet, stores to chrome.storage.local
+ *  - other networks    — testnet / user-defined key prefixes, key lookups, signing keys
+ *  - importWallet()    — reference wallet .bin backups: every account its keys control
+ *  - WIF import       — importWallet() and addAccountByWif(), authorities held
+ *  - exportBackup() / restoreBackup() — new wallet, merging, conflicts
  *  - unlock()          — correct password → true, wrong password → false
  *  - lock()            — wallet becomes locked after call
  *  - isUnlocked()      — reflects locked/unlocked state
+ *  - signMessage()     — returns a signed-message envelope for the memo key
+ *  - swapViaPool() / createLimitOrder() — refuse watch-only accounts
+ *  - decryptMemo()     — incoming / outgoing / unencrypted memos, foreign keys
+ *  - _buildVotingOptions() — vote replace / add / remove, ordering, counts, proxy
+ *  - _selectSigningKeys()  — node-selected wallet keys, dApp account keys only, active-key fallback
+ *  - prepareSigningTransaction() / signPreparedTransaction() — the reviewed transaction is the one signed
+ *  - _proposalApprovalDelta() — multisig member / key approvals, revoking
+ *  - signOfflineTransaction()  — signs with the required wallet keys, no network; appends to partial signatures
  *
  * The chrome.storage.local mock (tests/__mocks__/chrome.js) is injected
  * via setupFiles in jest config and is available on global.chrome.
  */
 
 import { WalletManager } from '../src/lib/wallet-manager.js';
+import { CryptoUtils } from '../src/lib/crypto-utils.js';
+import { MessageSigning } from '../src/lib/message-signing.js';
+import { OfflineTransaction, SIGNED_TX_TYPE } from '../src/lib/offline-signing.js';
+import { saveCustomNetwork } from '../src/lib/networks.js';
+import { BitSharesAPI } from './__mocks__/bitshares-api.js';
+import { base64ToBytes } from '../src/lib/crypto-utils.js';
+import {
+  REFERENCE_BACKUP,
+  REFERENCE_BACKUP_PASSWORD,
+  REFERENCE_BACKUP_KEYS
+} from './fixtures/reference-wallet.js';
 
 // ---------------------------------------------------------------------------
 // Global teardown: clear any lingering auto-lock timers after all tests
@@ -173,6 +196,361 @@ describe('WalletManager.createWallet()', () => {
   });
 }, 60000);
 
+// ---------------------------------------------------------------------------
+// Other networks
+// ---------------------------------------------------------------------------
+describe('WalletManager on other networks', () => {
+  let manager;
+
+  beforeEach(() => {
+    resetStorage();
+    manager = new WalletManager();
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await silentLock(manager);
+  });
+
+  test('a brainkey imported on testnet gets TEST keys and finds its account', async () => {
+    const lookup = jest.spyOn(BitSharesAPI.prototype, 'getAccountsByKey').mockResolvedValue(['alice']);
+    jest.spyOn(BitSharesAPI.prototype, 'getAccount').mockResolvedValue({ id: '1.2.100', name: 'alice' });
+
+    await manager.importWallet({ type: 'brainkey', brainkey: TEST_BRAINKEY }, TEST_PASSWORD, 'testnet');
+
+    const { active } = manager.decryptedKeys;
+    expect(active.publicKey).toMatch(/^TEST/);
+    expect(lookup).toHaveBeenCalledWith(active.publicKey);
+    const accounts = await manager.getAllAccounts('testnet');
+    expect(accounts.map(a => [a.name, a.network])).toEqual([['alice', 'testnet']]);
+  });
+
+  test('a user-defined network\'s prefix is used for new keys', async () => {
+    await saveCustomNetwork({ id: 'privnet', name: 'Private', keyPrefix: 'PRIV', nodes: ['ws://127.0.0.1:8090'] });
+
+    await manager.createWallet('My Wallet', TEST_PASSWORD, TEST_BRAINKEY, null, null, 'privnet');
+
+    const stored = await new Promise((resolve) =>
+      global.chrome.storage.local.get(['wallet'], resolve)
+    );
+    expect(stored.wallet.publicKeys.active).toMatch(/^PRIV/);
+    expect(stored.wallet.publicKeys.memo).toMatch(/^PRIV/);
+  });
+
+  test('signing keys carry the connected chain\'s prefix', async () => {
+    await manager.createWallet('My Wallet', TEST_PASSWORD, TEST_BRAINKEY);
+    const { wallet } = await new Promise((resolve) =>
+      global.chrome.storage.local.get(['wallet'], resolve)
+    );
+    wallet.accounts = [{ name: 'alice', id: '1.2.100', network: 'testnet', hasOwnKeys: false }];
+    await new Promise((resolve) => global.chrome.storage.local.set({ wallet }, resolve));
+    manager.api = { keyPrefix: 'TEST' };
+
+    const { active } = manager.decryptedKeys;
+    const keys = await manager.getWalletSigningKeys('testnet');
+    const testKey = await CryptoUtils.convertPublicKeyPrefix(active.publicKey, 'TEST');
+    expect(keys.get(testKey)).toEqual({ privateKey: active.privateKey, accountId: '1.2.100', role: 'active' });
+    expect(keys.has(active.publicKey)).toBe(false);
+  });
+}, 60000);
+
+// ---------------------------------------------------------------------------
+// importWallet from a reference wallet backup
+// ---------------------------------------------------------------------------
+describe('WalletManager.importWallet() from a reference wallet .bin', () => {
+  const K = REFERENCE_BACKUP_KEYS;
+  const authority = (key) => ({ weight_threshold: 1, account_auths: [], key_auths: [[key, 1]], address_auths: [] });
+  const ACCOUNTS = {
+    '1.2.100': {
+      id: '1.2.100',
+      name: 'alice',
+      owner: authority(K['alice-owner'].publicKey),
+      active: authority(K['alice-active'].publicKey),
+      options: { memo_key: K['alice-memo'].publicKey }
+    },
+    // Only bob's owner key is elsewhere; his active key is in the backup
+    '1.2.101': {
+      id: '1.2.101',
+      name: 'bob',
+      owner: authority('BTS6nEZsuNhDnknxVTf1YH454nxiB5MpVSN7gQktMRioqRiAXfJpk'),
+      active: authority(K['bob-active'].publicKey),
+      options: { memo_key: 'BTS6nEZsuNhDnknxVTf1YH454nxiB5MpVSN7gQktMRioqRiAXfJpk' }
+    }
+  };
+  const REFERENCES = {
+    [K['alice-owner'].publicKey]: ['1.2.100'],
+    [K['alice-active'].publicKey]: ['1.2.100'],
+    [K['alice-memo'].publicKey]: ['1.2.100'],
+    [K['bob-active'].publicKey]: ['1.2.101']
+  };
+
+  let manager;
+
+  beforeEach(() => {
+    resetStorage();
+    manager = new WalletManager();
+    jest.spyOn(BitSharesAPI.prototype, 'getAccountsByKey').mockImplementation(async (key) => REFERENCES[key] || []);
+    jest.spyOn(BitSharesAPI.prototype, 'getAccount').mockImplementation(async (id) => ACCOUNTS[id] || null);
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await silentLock(manager);
+  });
+
+  const importBackup = (password = REFERENCE_BACKUP_PASSWORD) => manager.importWallet(
+    { type: 'bin', backup: base64ToBytes(REFERENCE_BACKUP), password },
+    TEST_PASSWORD
+  );
+
+  test('adds every account the backup\'s keys control, each with its own keys', async () => {
+    await expect(importBackup()).resolves.toBe(true);
+
+    const accounts = await manager.getAllAccounts('mainnet');
+    expect(accounts.map(a => [a.name, a.id, a.hasOwnKeys])).toEqual([
+      ['alice', '1.2.100', true],
+      ['bob', '1.2.101', true]
+    ]);
+
+    expect(await manager.getAccountKeys('1.2.100')).toEqual({
+      active: K['alice-active'],
+      owner: K['alice-owner'],
+      memo: K['alice-memo']
+    });
+    expect(await manager.getAccountKeys('1.2.101')).toEqual({ active: K['bob-active'] });
+    expect(manager.decryptedKeys.active).toEqual(K['alice-active']);
+  });
+
+  test('the imported keys survive a lock and unlock', async () => {
+    await importBackup();
+    await manager.lock();
+    await expect(manager.unlock(TEST_PASSWORD)).resolves.toBe(true);
+
+    const keys = await manager.getWalletSigningKeys('mainnet');
+    expect(keys.get(K['bob-active'].publicKey)).toEqual({
+      privateKey: K['bob-active'].privateKey,
+      accountId: '1.2.101',
+      role: 'active'
+    });
+    expect(keys.has(K.unused.publicKey)).toBe(false);
+  });
+
+  test('fails on a wrong backup password or when no key has an account', async () => {
+    await expect(importBackup('not the password')).rejects.toThrow('Wrong backup password');
+
+    BitSharesAPI.prototype.getAccountsByKey.mockResolvedValue([]);
+    await expect(importBackup()).rejects.toThrow('None of the backup\'s keys belong to an account on this network');
+    await expect(manager.hasWallet()).resolves.toBe(false);
+  });
+}, 60000);
+
+// ---------------------------------------------------------------------------
+// WIF private keys
+// ---------------------------------------------------------------------------
+describe('WalletManager WIF private key import', () => {
+  const authority = (key) => ({ weight_threshold: 1, account_auths: [], key_auths: [[key, 1]], address_auths: [] });
+  let alice;
+  let bob;
+  let manager;
+
+  beforeAll(async () => {
+    alice = await CryptoUtils.generateKeysFromPassword('alice', 'alice password');
+    bob = await CryptoUtils.generateKeysFromPassword('bob', 'bob password');
+  });
+
+  beforeEach(() => {
+    resetStorage();
+    manager = new WalletManager();
+    const accounts = [
+      { id: '1.2.100', name: 'alice', keys: alice },
+      { id: '1.2.101', name: 'bob', keys: bob }
+    ].map(({ id, name, keys }) => ({
+      id,
+      name,
+      owner: authority(keys.owner.publicKey),
+      active: authority(keys.active.publicKey),
+      options: { memo_key: keys.memo.publicKey }
+    }));
+    jest.spyOn(BitSharesAPI.prototype, 'getAccountsByKey').mockImplementation(async (key) =>
+      accounts.filter(a => [a.owner, a.active].some(auth => auth.key_auths[0][0] === key) || a.options.memo_key === key)
+        .map(a => a.id));
+    jest.spyOn(BitSharesAPI.prototype, 'getAccount').mockImplementation(async (idOrName) =>
+      accounts.find(a => a.id === idOrName || a.name === idOrName) || null);
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await silentLock(manager);
+  });
+
+  test('creates a wallet from some of an account\'s keys and records the authorities held', async () => {
+    await expect(manager.importWallet(
+      { type: 'wif', keys: [alice.active.privateKey, ` ${alice.memo.privateKey} `, alice.active.privateKey] },
+      TEST_PASSWORD
+    )).resolves.toBe(true);
+
+    const [account] = await manager.getAllAccounts('mainnet');
+    expect(account).toMatchObject({ name: 'alice', id: '1.2.100', hasOwnKeys: true, authorities: ['active', 'memo'] });
+    await expect(manager.getAccountKeys('1.2.100')).resolves.toEqual({ active: alice.active, memo: alice.memo });
+
+    const { wallet } = await chrome.storage.local.get(['wallet']);
+    expect(wallet.importType).toBe('wif');
+  });
+
+  test('an owner key signs for the active authority; a memo key alone is not enough', async () => {
+    await manager.importWallet({ type: 'wif', keys: [bob.owner.privateKey] }, TEST_PASSWORD);
+    const [account] = await manager.getAllAccounts('mainnet');
+    expect(account.authorities).toEqual(['owner']);
+    await expect(manager.getAccountKeys('1.2.101')).resolves.toEqual({ active: bob.owner, owner: bob.owner });
+
+    resetStorage();
+    await expect(manager.importWallet({ type: 'wif', keys: [alice.memo.privateKey] }, TEST_PASSWORD))
+      .rejects.toThrow('None of the keys belong to an account on this network');
+    await expect(manager.importWallet({ type: 'wif', keys: ['not a key'] }, TEST_PASSWORD))
+      .rejects.toThrow('Invalid WIF key');
+  });
+
+  test('addAccountByWif() adds the accounts the keys control', async () => {
+    await manager.importWallet({ type: 'wif', keys: [alice.active.privateKey] }, TEST_PASSWORD);
+
+    await expect(manager.addAccountByWif([bob.active.privateKey], WRONG_PASSWORD))
+      .rejects.toThrow('Invalid wallet password');
+    await expect(manager.addAccountByWif([bob.active.privateKey], TEST_PASSWORD, 'mainnet', 'alice'))
+      .rejects.toThrow('The keys do not match the active or owner authority of alice');
+
+    await expect(manager.addAccountByWif([bob.active.privateKey, bob.owner.privateKey], TEST_PASSWORD, 'mainnet', 'Bob'))
+      .resolves.toEqual([{ name: 'bob', id: '1.2.101' }]);
+    expect((await manager.getAllAccounts()).find(a => a.id === '1.2.101').authorities).toEqual(['owner', 'active']);
+
+    await expect(manager.addAccountByWif([bob.active.privateKey], TEST_PASSWORD))
+      .rejects.toThrow('Account already exists in wallet');
+  });
+}, 60000);
+
+// ---------------------------------------------------------------------------
+// Wallet backup files
+// ---------------------------------------------------------------------------
+describe('WalletManager.exportBackup() / restoreBackup()', () => {
+  const BACKUP_PASSWORD = 'backup password 123';
+  const NEW_PASSWORD = 'NewWalletPassword1!';
+  let manager;
+  let carolKeys;
+  let daveKeys;
+
+  beforeAll(async () => {
+    carolKeys = await CryptoUtils.generateKeysFromPassword('carol', 'carol password');
+    daveKeys = await CryptoUtils.generateKeysFromPassword('dave', 'dave password');
+  });
+
+  beforeEach(async () => {
+    resetStorage();
+    manager = new WalletManager();
+    jest.spyOn(BitSharesAPI.prototype, 'getAccount').mockImplementation(async (name) => ({ id: '1.2.300', name }));
+
+    await manager.createWallet('My Wallet', TEST_PASSWORD, TEST_BRAINKEY);
+    await manager._addAccountsWithKeys([{ account: { id: '1.2.200', name: 'carol' }, keys: carolKeys }]);
+    await manager.addWatchOnlyAccount('erin');
+    await chrome.storage.local.set({
+      addressBook: [{ name: 'Bob', account: 'bob', addedAt: 1 }],
+      customNodes: { mainnet: ['wss://mine.example/ws'], testnet: [] },
+      failedUnlockAttempts: 3
+    });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await silentLock(manager);
+  });
+
+  test('rejects a wrong wallet password', async () => {
+    await expect(manager.exportBackup(WRONG_PASSWORD, BACKUP_PASSWORD)).rejects.toThrow('Invalid wallet password');
+  });
+
+  test('restores everything into a new wallet', async () => {
+    const backup = await manager.exportBackup(TEST_PASSWORD, BACKUP_PASSWORD);
+    const file = JSON.stringify(backup);
+    expect(file).not.toContain(carolKeys.active.privateKey);
+
+    resetStorage();
+    const restored = new WalletManager();
+    const result = await restored.restoreBackup(file, BACKUP_PASSWORD, NEW_PASSWORD);
+    expect(result).toMatchObject({ restored: true, created: true, conflicts: [] });
+
+    await restored.lock();
+    await expect(restored.unlock(NEW_PASSWORD)).resolves.toBe(true);
+    await expect(restored.getBrainkey()).resolves.toBe(TEST_BRAINKEY);
+    expect((await restored.getAllAccounts()).map(a => [a.name, !!a.watchOnly])).toEqual([
+      ['carol', false],
+      ['erin', true]
+    ]);
+    await expect(restored.getAccountKeys('1.2.200')).resolves.toEqual(carolKeys);
+
+    const stored = await chrome.storage.local.get(['addressBook', 'customNodes', 'failedUnlockAttempts']);
+    expect(stored.addressBook).toEqual([{ name: 'Bob', account: 'bob', addedAt: 1 }]);
+    expect(stored.customNodes.mainnet).toEqual(['wss://mine.example/ws']);
+    expect(stored.failedUnlockAttempts).toBeUndefined();
+    await silentLock(restored);
+  });
+
+  test('merges new accounts and settings into a wallet and upgrades watch-only accounts', async () => {
+    // Another wallet, where erin has keys and dave and a contact are new
+    const other = new WalletManager();
+    resetStorage();
+    await other.createWallet('Other', TEST_PASSWORD, TEST_BRAINKEY);
+    await other._addAccountsWithKeys([
+      { account: { id: '1.2.300', name: 'erin' }, keys: daveKeys },
+      { account: { id: '1.2.400', name: 'dave' }, keys: daveKeys }
+    ]);
+    await chrome.storage.local.set({ addressBook: [{ name: 'Frank', account: 'frank', addedAt: 2 }] });
+    const file = await other.exportBackup(TEST_PASSWORD, BACKUP_PASSWORD);
+    await silentLock(other);
+
+    resetStorage();
+    await manager.createWallet('My Wallet', TEST_PASSWORD, TEST_BRAINKEY);
+    await manager.addWatchOnlyAccount('erin');
+    await chrome.storage.local.set({ addressBook: [{ name: 'Bob', account: 'bob', addedAt: 1 }] });
+
+    const result = await manager.restoreBackup(file, BACKUP_PASSWORD, TEST_PASSWORD);
+    expect(result).toEqual({ restored: true, created: false, conflicts: [], added: 1, replaced: 1 });
+
+    const accounts = await manager.getAllAccounts();
+    expect(accounts.map(a => [a.name, !!a.watchOnly])).toEqual([['erin', false], ['dave', false]]);
+    await expect(manager.getAccountKeys('1.2.300')).resolves.toEqual(daveKeys);
+    const { addressBook } = await chrome.storage.local.get(['addressBook']);
+    expect(addressBook.map(c => c.account)).toEqual(['bob', 'frank']);
+  });
+
+  test('reports conflicts and writes nothing until they are resolved', async () => {
+    const file = await manager.exportBackup(TEST_PASSWORD, BACKUP_PASSWORD);
+
+    // carol now signs with other keys and bob has another name
+    await manager.removeAccount('1.2.200');
+    await manager._addAccountsWithKeys([{ account: { id: '1.2.200', name: 'carol' }, keys: daveKeys }]);
+    await chrome.storage.local.set({ addressBook: [{ name: 'Robert', account: 'bob', addedAt: 1 }] });
+
+    const result = await manager.restoreBackup(file, BACKUP_PASSWORD, TEST_PASSWORD);
+    expect(result).toEqual({
+      restored: false,
+      created: false,
+      conflicts: [
+        { kind: 'account', id: '1.2.200', name: 'carol' },
+        { kind: 'contact', id: 'bob', name: 'Bob' }
+      ],
+      added: 0,
+      replaced: 0
+    });
+    await expect(manager.getAccountKeys('1.2.200')).resolves.toEqual(daveKeys);
+
+    await manager.restoreBackup(file, BACKUP_PASSWORD, TEST_PASSWORD, { resolution: 'keep' });
+    await expect(manager.getAccountKeys('1.2.200')).resolves.toEqual(daveKeys);
+
+    await manager.restoreBackup(file, BACKUP_PASSWORD, TEST_PASSWORD, { resolution: 'replace' });
+    await expect(manager.getAccountKeys('1.2.200')).resolves.toEqual(carolKeys);
+    const { addressBook } = await chrome.storage.local.get(['addressBook']);
+    expect(addressBook).toEqual([{ name: 'Bob', account: 'bob', addedAt: 1 }]);
+  });
+}, 120000);
+
 // ---------------------------------------------------------------------------
 // unlock
 // ---------------------------------------------------------------------------
@@ -339,3 +717,457 @@ describe('WalletManager.isUnlocked()', () => {
     expect(result).toBe(true);
   });
 }, 60000);
+
+// ---------------------------------------------------------------------------
+// signMessage
+// ---------------------------------------------------------------------------
+describe('WalletManager.signMessage()', () => {
+  let manager;
+
+  beforeEach(async () => {
+    resetStorage();
+    manager = new WalletManager();
+    await manager.createWallet('Test Wallet', TEST_PASSWORD, TEST_BRAINKEY);
+    // Attach an account that uses the wallet's own (brainkey) keys
+    const { wallet } = await new Promise((resolve) =>
+      global.chrome.storage.local.get(['wallet'], resolve)
+    );
+    wallet.accounts = [{ name: 'alice', id: '1.2.100', network: 'mainnet', hasOwnKeys: false }];
+    await new Promise((resolve) => global.chrome.storage.local.set({ wallet }, resolve));
+  });
+
+  afterEach(async () => {
+    await silentLock(manager);
+  });
+
+  test('returns a signed-message envelope for the memo key', async () => {
+    const result = await manager.signMessage('hello dApp');
+    expect(result.success).toBe(true);
+    expect(result.type).toBe('bitshares-signed-message');
+    expect(result.version).toBe(1);
+    expect(result.keyType).toBe('memo');
+    expect(result.payload.account).toBe('alice');
+    expect(result.payload.publicKey).toBe(manager.decryptedKeys.memo.publicKey);
+    expect(result.payload.message).toBe('hello dApp');
+    expect(result.payload.chainId).toMatch(/^[0-9a-f]{64}$/);
+    expect(result.signature).toMatch(/^[0-9a-f]{130}$/);
+  });
+
+  test('envelope verifies against an account holding the memo key', async () => {
+    const result = await manager.signMessage('login nonce 42');
+    const account = {
+      name: 'alice',
+      options: { memo_key: manager.decryptedKeys.memo.publicKey },
+      active: { key_auths: [] },
+      owner: { key_auths: [] }
+    };
+    const verdict = await MessageSigning.verify(result, { account });
+    expect(verdict).toEqual({
+      valid: true,
+      account: 'alice',
+      publicKey: manager.decryptedKeys.memo.publicKey,
+      authority: 'memo'
+    });
+  });
+
+  test('rejects when the account is not in the wallet', async () => {
+    await expect(manager.signMessage('x', '1.2.999')).rejects.toThrow('Account not found');
+  });
+}, 60000);
+
+// ---------------------------------------------------------------------------
+// swapViaPool() / createLimitOrder()
+// ---------------------------------------------------------------------------
+describe('WalletManager.swapViaPool() / createLimitOrder()', () => {
+  let manager;
+
+  beforeEach(async () => {
+    resetStorage();
+    manager = new WalletManager();
+    await manager.createWallet('Test Wallet', TEST_PASSWORD, TEST_BRAINKEY);
+    const { wallet } = await new Promise((resolve) =>
+      global.chrome.storage.local.get(['wallet'], resolve)
+    );
+    wallet.accounts = [{ name: 'watched', id: '1.2.300', network: 'mainnet', watchOnly: true }];
+    await new Promise((resolve) => global.chrome.storage.local.set({ wallet }, resolve));
+    jest.spyOn(manager, 'getAccountKeys');
+  });
+
+  afterEach(async () => {
+    await silentLock(manager);
+  });
+
+  test('swapViaPool refuses a watch-only account', async () => {
+    await expect(manager.swapViaPool({ sellAsset: 'BTS', sellAmount: '1', buyAsset: 'USD' }, '1.2.300'))
+      .rejects.toThrow('Cannot sign with a watch-only account');
+    expect(manager.getAccountKeys).not.toHaveBeenCalled();
+  });
+
+  test('createLimitOrder refuses a watch-only account', async () => {
+    await expect(manager.createLimitOrder(
+      { sellAsset: 'BTS', sellAmount: '1', buyAsset: 'USD', buyAmount: '1' }, '1.2.300'
+    )).rejects.toThrow('Cannot sign with a watch-only account');
+    expect(manager.getAccountKeys).not.toHaveBeenCalled();
+  });
+}, 60000);
+
+// ---------------------------------------------------------------------------
+// decryptMemo()
+// ---------------------------------------------------------------------------
+describe('WalletManager.decryptMemo()', () => {
+  let manager;
+  let bob;
+  let carol;
+
+  beforeAll(async () => {
+    bob = await CryptoUtils.generateKeysFromPassword('bob', 'bob-password');
+    carol = await CryptoUtils.generateKeysFromPassword('carol', 'carol-password');
+  });
+
+  beforeEach(async () => {
+    resetStorage();
+    manager = new WalletManager();
+    await manager.createWallet('Test Wallet', TEST_PASSWORD, TEST_BRAINKEY);
+    const { wallet } = await new Promise((resolve) =>
+      global.chrome.storage.local.get(['wallet'], resolve)
+    );
+    wallet.accounts = [{ name: 'alice', id: '1.2.100', network: 'mainnet', hasOwnKeys: false }];
+    await new Promise((resolve) => global.chrome.storage.local.set({ wallet }, resolve));
+  });
+
+  afterEach(async () => {
+    await silentLock(manager);
+  });
+
+  test('reads memos sent to and from the wallet', async () => {
+    const { memo } = manager.decryptedKeys;
+    const incoming = await CryptoUtils.encryptMemo('deposit 1234', bob.memo.privateKey, memo.publicKey);
+    const outgoing = await CryptoUtils.encryptMemo('thanks bob', memo.privateKey, bob.memo.publicKey);
+
+    await expect(manager.decryptMemo(incoming)).resolves.toBe('deposit 1234');
+    await expect(manager.decryptMemo(outgoing)).resolves.toBe('thanks bob');
+  });
+
+  test('returns null for a memo between other accounts', async () => {
+    const memo = await CryptoUtils.encryptMemo('not yours', bob.memo.privateKey, carol.memo.publicKey);
+    await expect(manager.decryptMemo(memo)).resolves.toBeNull();
+  });
+
+  test('returns unencrypted memos as is, even when locked', async () => {
+    await manager.lock();
+    const nullKey = 'BTS1111111111111111111111111111111114T1Anm';
+    const memo = {
+      from: nullKey,
+      to: nullKey,
+      nonce: '0',
+      message: '00000000' + Buffer.from('order 42').toString('hex')
+    };
+    await expect(manager.decryptMemo(memo)).resolves.toBe('order 42');
+
+    const encrypted = await CryptoUtils.encryptMemo('secret', bob.memo.privateKey, carol.memo.publicKey);
+    await expect(manager.decryptMemo(encrypted)).rejects.toThrow('Wallet is locked');
+  });
+}, 60000);
+
+// ---------------------------------------------------------------------------
+// _buildVotingOptions()
+// ---------------------------------------------------------------------------
+describe('_buildVotingOptions()', () => {
+  const current = {
+    memo_key: 'BTS6MRyAjQq8ud7hVNYcfnVPJqcVpscN5So8BhtHuGYqET5GDW5CV',
+    voting_account: '1.2.5',
+    num_witness: 1,
+    num_committee: 1,
+    votes: ['0:11', '1:25'],
+    extensions: []
+  };
+
+  let manager;
+  beforeEach(() => {
+    manager = new WalletManager();
+  });
+
+  test('replaces the vote set and sorts it by serialized vote id', () => {
+    const opts = manager._buildVotingOptions(current, { votes: ['1:300', '2:5', '0:12', '1:26'] });
+    expect(opts.votes).toEqual(['2:5', '0:12', '1:26', '1:300']);
+    expect(opts.num_witness).toBe(2);
+    expect(opts.num_committee).toBe(1);
+    expect(opts.memo_key).toBe(current.memo_key);
+    expect(opts.voting_account).toBe('1.2.5');
+  });
+
+  test('adds to and removes from the current votes', () => {
+    const opts = manager._buildVotingOptions(current, { add: ['1:27', '1:25'], remove: ['0:11'] });
+    expect(opts.votes).toEqual(['1:25', '1:27']);
+    expect(opts.num_witness).toBe(2);
+    expect(opts.num_committee).toBe(0);
+  });
+
+  test('sets the proxy only when one is given', () => {
+    expect(manager._buildVotingOptions(current, {}, '1.2.200').voting_account).toBe('1.2.200');
+    expect(manager._buildVotingOptions({ ...current, voting_account: '1.2.200' }, {}).voting_account)
+      .toBe('1.2.200');
+  });
+
+  test('rejects malformed vote ids', () => {
+    expect(() => manager._buildVotingOptions(current, { add: ['1.6.25'] })).toThrow('Invalid vote id');
+    expect(() => manager._buildVotingOptions(current, { votes: ['3:1'] })).toThrow('Invalid vote id');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// _selectSigningKeys()
+// ---------------------------------------------------------------------------
+describe('WalletManager._selectSigningKeys()', () => {
+  let manager;
+  const account = { name: 'alice', id: '1.2.100', network: 'mainnet' };
+
+  beforeEach(async () => {
+    resetStorage();
+    manager = new WalletManager();
+    await manager.createWallet('Test Wallet', TEST_PASSWORD, TEST_BRAINKEY);
+    const { wallet } = await new Promise((resolve) =>
+      global.chrome.storage.local.get(['wallet'], resolve)
+    );
+    wallet.accounts = [
+      { ...account, hasOwnKeys: false },
+      { name: 'watcher', id: '1.2.200', network: 'mainnet', watchOnly: true }
+    ];
+    await new Promise((resolve) => global.chrome.storage.local.set({ wallet }, resolve));
+  });
+
+  test('signs with the wallet keys the node asks for', async () => {
+    const { owner, active } = manager.decryptedKeys;
+    manager.api = { getRequiredSignatures: jest.fn(async () => [owner.publicKey, active.publicKey]) };
+
+    const wifs = await manager._selectSigningKeys({ operations: [] }, account);
+    expect(wifs).toEqual([owner.privateKey, active.privateKey]);
+    // watch-only accounts contribute no keys
+    const offered = manager.api.getRequiredSignatures.mock.calls[0][1];
+    expect(offered).toEqual(expect.arrayContaining([owner.publicKey, active.publicKey]));
+  });
+
+  test('offers a dApp request only the active keys of the signing account', async () => {
+    const { owner, active } = manager.decryptedKeys;
+    manager.api = {
+      getAccount: jest.fn(async () => ({ id: '1.2.100', active: { key_auths: [[active.publicKey, 1]] } })),
+      getRequiredSignatures: jest.fn(async (tx, offered) => offered.filter(k => [owner.publicKey, active.publicKey].includes(k)))
+    };
+
+    const wifs = await manager._selectSigningKeys({ operations: [] }, account, { accountKeysOnly: true });
+    expect(wifs).toEqual([active.privateKey]);
+    expect(manager.api.getRequiredSignatures.mock.calls[0][1]).toEqual([active.publicKey]);
+  });
+
+  test('falls back to the active key when the lookup fails', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    manager.api = { getRequiredSignatures: jest.fn(async () => { throw new Error('offline'); }) };
+    try {
+      const wifs = await manager._selectSigningKeys({ operations: [] }, account);
+      expect(wifs).toEqual([manager.decryptedKeys.active.privateKey]);
+      expect(warn).toHaveBeenCalledWith('Required signature lookup failed, using the active key:', 'offline');
+    } finally {
+      warn.mockRestore();
+    }
+  });
+}, 60000);
+
+// ---------------------------------------------------------------------------
+// prepareSigningTransaction() / signPreparedTransaction()
+// ---------------------------------------------------------------------------
+describe('WalletManager.prepareSigningTransaction() / signPreparedTransaction()', () => {
+  let manager;
+  const transfer = () => [[0, { fee: { amount: 0, asset_id: '1.3.0' }, from: '1.2.100', to: '1.2.200',
+    amount: { amount: 5, asset_id: '1.3.0' }, extensions: [] }]];
+
+  beforeEach(async () => {
+    resetStorage();
+    manager = new WalletManager();
+    await manager.createWallet('Test Wallet', TEST_PASSWORD, TEST_BRAINKEY);
+    const { wallet } = await new Promise((resolve) =>
+      global.chrome.storage.local.get(['wallet'], resolve)
+    );
+    wallet.accounts = [{ name: 'alice', id: '1.2.100', network: 'mainnet', hasOwnKeys: false }];
+    await new Promise((resolve) => global.chrome.storage.local.set({ wallet }, resolve));
+    let headBlock = 1000;
+    manager.api = {
+      isConnected: true,
+      prepareTransaction: jest.fn(async (tx, expirationSeconds) => ({
+        ref_block_num: headBlock++,
+        ref_block_prefix: 7,
+        expiration: new Date(Date.now() + expirationSeconds * 1000).toISOString().slice(0, -5),
+        operations: tx.operations,
+        extensions: [],
+        signatures: []
+      })),
+      getRequiredSignatures: jest.fn(async () => [manager.decryptedKeys.active.publicKey]),
+      signTransaction: jest.fn(async (tx, wifs) => ({ ...tx, signatures: wifs.map(() => '1f00') })),
+      broadcastSignedTransaction: jest.fn(async () => ({ id: 'abc' }))
+    };
+  });
+
+  test('prepares with the review expiration and names the signing account', async () => {
+    const prepared = await manager.prepareSigningTransaction({ operations: transfer() }, null, null, 120);
+    expect(manager.api.prepareTransaction).toHaveBeenCalledWith(expect.anything(), 120);
+    expect(prepared.signerId).toBe('1.2.100');
+    expect(prepared.transaction.ref_block_num).toBe(1000);
+  });
+
+  test('signs the prepared transaction without preparing it again', async () => {
+    const prepared = await manager.prepareSigningTransaction({ operations: transfer() });
+    const result = await manager.signPreparedTransaction(prepared);
+
+    expect(result).toEqual({ success: true, result: { id: 'abc' } });
+    expect(manager.api.prepareTransaction).toHaveBeenCalledTimes(1);
+    expect(manager.api.signTransaction).toHaveBeenCalledWith(
+      prepared.transaction, [manager.decryptedKeys.active.privateKey]);
+    expect(manager.api.broadcastSignedTransaction.mock.calls[0][0].ref_block_num).toBe(1000);
+  });
+}, 60000);
+
+// ---------------------------------------------------------------------------
+// _proposalApprovalDelta()
+// ---------------------------------------------------------------------------
+describe('WalletManager._proposalApprovalDelta()', () => {
+  const manager = new WalletManager();
+  // 2-of-3 treasury whose signers are alice, bob and carol
+  const treasury = {
+    id: '1.2.500',
+    active: {
+      weight_threshold: 2,
+      account_auths: [['1.2.100', 1], ['1.2.101', 1], ['1.2.102', 1]],
+      key_auths: [['BTS_TREASURY_KEY', 1]]
+    },
+    owner: { weight_threshold: 1, account_auths: [], key_auths: [] }
+  };
+  const required = new Map([[treasury.id, treasury]]);
+  const signers = { accounts: new Set(['1.2.100', '1.2.101']), keys: new Set(['BTS_TREASURY_KEY']) };
+
+  test('adds every wallet member of a multisig approver', () => {
+    const delta = manager._proposalApprovalDelta(
+      { required_active_approvals: ['1.2.500'] }, required, signers, true);
+    expect(delta.active_approvals_to_add).toEqual(['1.2.100', '1.2.101']);
+    expect(delta.key_approvals_to_add).toEqual(['BTS_TREASURY_KEY']);
+    expect(delta.owner_approvals_to_add).toEqual([]);
+  });
+
+  test('skips approvals that are already on the proposal', () => {
+    const delta = manager._proposalApprovalDelta({
+      required_active_approvals: ['1.2.500'],
+      available_active_approvals: ['1.2.100'],
+      available_key_approvals: ['BTS_TREASURY_KEY']
+    }, required, signers, true);
+    expect(delta.active_approvals_to_add).toEqual(['1.2.101']);
+    expect(delta.key_approvals_to_add).toEqual([]);
+  });
+
+  test('approves directly when the required account is in the wallet', () => {
+    const delta = manager._proposalApprovalDelta({
+      required_active_approvals: ['1.2.100'],
+      required_owner_approvals: ['1.2.101']
+    }, new Map(), signers, true);
+    expect(delta.active_approvals_to_add).toEqual(['1.2.100']);
+    expect(delta.owner_approvals_to_add).toEqual(['1.2.101']);
+  });
+
+  test('revoking removes only the wallet\'s own approvals', () => {
+    const delta = manager._proposalApprovalDelta({
+      required_active_approvals: ['1.2.500'],
+      available_active_approvals: ['1.2.100', '1.2.102'],
+      available_key_approvals: ['BTS_TREASURY_KEY', 'BTS_OTHER']
+    }, required, signers, false);
+    expect(delta.active_approvals_to_remove).toEqual(['1.2.100']);
+    expect(delta.key_approvals_to_remove).toEqual(['BTS_TREASURY_KEY']);
+    expect(delta.active_approvals_to_add).toEqual([]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// signOfflineTransaction()
+// ---------------------------------------------------------------------------
+describe('WalletManager.signOfflineTransaction()', () => {
+  const CHAIN_ID = '39f5e2ede1f8bc1a3a54a7914414e3779e33193f1f5693510e73cb7a87617447';
+  let manager;
+
+  function envelope(requiredKeys, expiration = '2099-01-01T00:00:00') {
+    return OfflineTransaction.create({
+      ref_block_num: 1,
+      ref_block_prefix: 2,
+      expiration,
+      operations: [[0, { fee: { amount: 1, asset_id: '1.3.0' }, from: '1.2.100', to: '1.2.200',
+        amount: { amount: 5, asset_id: '1.3.0' }, extensions: [] }]],
+      extensions: []
+    }, { chainId: CHAIN_ID, account: { id: '1.2.100', name: 'alice' }, requiredKeys });
+  }
+
+  beforeEach(async () => {
+    resetStorage();
+    manager = new WalletManager();
+    await manager.createWallet('Test Wallet', TEST_PASSWORD, TEST_BRAINKEY);
+    const { wallet } = await new Promise((resolve) =>
+      global.chrome.storage.local.get(['wallet'], resolve)
+    );
+    wallet.accounts = [{ name: 'alice', id: '1.2.100', network: 'mainnet', hasOwnKeys: false }];
+    await new Promise((resolve) => global.chrome.storage.local.set({ wallet }, resolve));
+    manager.api = {
+      signTransaction: jest.fn(async (tx, wifs) => ({ ...tx, signatures: wifs.map(() => '1f00') }))
+    };
+  });
+
+  test('signs with the required wallet keys for the envelope chain id', async () => {
+    const { active } = manager.decryptedKeys;
+    const result = await manager.signOfflineTransaction(JSON.stringify(envelope([active.publicKey, 'BTS_OTHER_SIGNER'])));
+
+    expect(manager.api.signTransaction).toHaveBeenCalledWith(
+      expect.objectContaining({ ref_block_num: 1 }), [active.privateKey], CHAIN_ID);
+    expect(result.signed.type).toBe(SIGNED_TX_TYPE);
+    expect(result.signed.transaction.signatures).toEqual(['1f00']);
+    expect(result.missingKeys).toEqual(['BTS_OTHER_SIGNER']);
+  });
+
+  test('appends to the signatures of a partially signed envelope without duplicates', async () => {
+    const { active } = manager.decryptedKeys;
+    const partial = envelope([active.publicKey, 'BTS_OTHER_SIGNER']);
+    partial.type = SIGNED_TX_TYPE;
+    partial.transaction.signatures = ['20aa', '1f00'];
+
+    const result = await manager.signOfflineTransaction(partial);
+
+    expect(manager.api.signTransaction).toHaveBeenCalledWith(
+      expect.objectContaining({ signatures: [] }), [active.privateKey], CHAIN_ID);
+    expect(result.signed.transaction.signatures).toEqual(['20aa', '1f00']);
+  });
+
+  test('keeps the co-signer signatures and adds its own', async () => {
+    const { active } = manager.decryptedKeys;
+    const partial = envelope([active.publicKey, 'BTS_OTHER_SIGNER']);
+    partial.type = SIGNED_TX_TYPE;
+    partial.transaction.signatures = ['20aa'];
+
+    const result = await manager.signOfflineTransaction(JSON.stringify(partial));
+
+    expect(result.signed.type).toBe(SIGNED_TX_TYPE);
+    expect(result.signed.transaction.signatures).toEqual(['20aa', '1f00']);
+  });
+
+  test('finds the wallet keys of an envelope built on a TEST-prefix chain', async () => {
+    const { active } = manager.decryptedKeys;
+    const testKey = await CryptoUtils.convertPublicKeyPrefix(active.publicKey, 'TEST');
+    const result = await manager.signOfflineTransaction(envelope([testKey]));
+
+    expect(manager.api.signTransaction).toHaveBeenCalledWith(
+      expect.objectContaining({ ref_block_num: 1 }), [active.privateKey], CHAIN_ID);
+    expect(result.missingKeys).toEqual([]);
+  });
+
+  test('refuses when no required key is in the wallet', async () => {
+    await expect(manager.signOfflineTransaction(envelope(['BTS_OTHER_SIGNER'])))
+      .rejects.toThrow('None of the required keys');
+  });
+
+  test('refuses expired transactions', async () => {
+    const { active } = manager.decryptedKeys;
+    await expect(manager.signOfflineTransaction(envelope([active.publicKey], '2020-01-01T00:00:00')))
+      .rejects.toThrow('expired');
+  });
+}, 60000);